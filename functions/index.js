@@ -1,10 +1,13 @@
 const {onCall, HttpsError} = require('firebase-functions/v2/https');
 const {setGlobalOptions} = require('firebase-functions/v2');
 const sgMail = require('@sendgrid/mail');
+const admin = require('firebase-admin');
 
 // Set global options for all functions
 setGlobalOptions({region: 'us-central1'});
 
+admin.initializeApp();
+
 // Initialize SendGrid
 const SENDGRID_API_KEY = process.env.SENDGRID_API_KEY;
 const SENDER_EMAIL = process.env.SENDER_EMAIL;
@@ -13,6 +16,63 @@ if (SENDGRID_API_KEY) {
   sgMail.setApiKey(SENDGRID_API_KEY);
 }
 
+// Club details used until the club saves its own in Admin > Club Settings
+const DEFAULT_CLUB = {
+  clubName: 'Tea Tree Golf Club',
+  address: '10A Volcanic Drive, Brighton, Tasmania 7030',
+  phone: '03 6268 1692',
+  email: 'teatreegolf@bigpond.com',
+};
+
+// Club IDs as stored under clubs/ - checked before building a Firestore path
+const CLUB_ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+/**
+ * Read the club's name and contact details from clubs/{clubId}/settings/club
+ * @param {string} clubId Club the email is sent for
+ * @return {Promise<Object>} Club settings merged over the defaults
+ */
+async function getClub(clubId) {
+  if (!CLUB_ID_PATTERN.test(clubId || '')) {
+    throw new HttpsError('invalid-argument', 'Missing or invalid club');
+  }
+
+  try {
+    const settingsDoc = await admin.firestore().doc(`clubs/${clubId}/settings/club`).get();
+    return {...DEFAULT_CLUB, ...(settingsDoc.exists ? settingsDoc.data() : {})};
+  } catch (error) {
+    console.error('Error reading club settings, using defaults:', error);
+    return DEFAULT_CLUB;
+  }
+}
+
+/**
+ * Club contact lines for plain text emails
+ * @param {Object} club Club settings
+ * @return {string} Name, address, phone and email on separate lines
+ */
+function clubContactText(club) {
+  return [
+    club.clubName,
+    club.address,
+    club.phone && `Tel: ${club.phone}`,
+    club.email && `Email: ${club.email}`,
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Club contact block for the footer of HTML emails
+ * @param {Object} club Club settings
+ * @return {string} Paragraph with name, address, phone and email
+ */
+function clubContactHtml(club) {
+  const [name, ...lines] = clubContactText(club).split('\n');
+  return `<p>
+        <strong>${name}</strong><br>
+        ${lines.join('<br>\n        ')}
+      </p>`;
+}
+
 /**
  * Send verification email to applicant
  * This is a callable function that can be invoked from the client
@@ -28,7 +88,7 @@ exports.sendVerificationEmail = onCall(async (request) => {
   }
 
   // Get parameters from request
-  const {email, fullName, token, applicationId} = request.data;
+  const {email, fullName, token, applicationId, clubId} = request.data;
 
   // Validate required parameters
   if (!email || !fullName || !token || !applicationId) {
@@ -41,20 +101,21 @@ exports.sendVerificationEmail = onCall(async (request) => {
   // Build verification link
   // Use the origin from the request or default to production URL
   const origin = request.rawRequest?.headers?.origin || 'https://tea-tree-golf-club.web.app';
-  const verificationLink = `${origin}/verify-email?token=${token}&id=${applicationId}`;
+  const verificationLink = `${origin}/verify-email?club=${clubId}&token=${token}&id=${applicationId}`;
 
   // Email content
+  const club = await getClub(clubId);
   const msg = {
     to: email,
     from: {
       email: SENDER_EMAIL,
-      name: 'Tea Tree Golf Club',
+      name: club.clubName,
     },
-    subject: 'Verify your Tea Tree Golf Club membership application',
+    subject: `Verify your ${club.clubName} membership application`,
     text: `
 Hello ${fullName},
 
-Thank you for your interest in joining Tea Tree Golf Club!
+Thank you for your interest in joining ${club.clubName}!
 
 To complete your application, please verify your email address by clicking the link below:
 
@@ -67,10 +128,7 @@ Once verified, your application will be reviewed by our membership team. You wil
 If you did not submit this application, please ignore this email.
 
 Kind regards,
-Tea Tree Golf Club
-10A Volcanic Drive, Brighton, Tasmania, 7030
-Tel: 03 6268 1692
-Email: teatreegolf@bigpond.com
+${clubContactText(club)}
     `.trim(),
     html: `
 <!DOCTYPE html>
@@ -88,12 +146,12 @@ Email: teatreegolf@bigpond.com
 <body>
   <div class="container">
     <div class="header">
-      <h1>Tea Tree Golf Club</h1>
+      <h1>${club.clubName}</h1>
     </div>
     <div class="content">
       <p>Hello ${fullName},</p>
 
-      <p>Thank you for your interest in joining Tea Tree Golf Club!</p>
+      <p>Thank you for your interest in joining ${club.clubName}!</p>
 
       <p>To complete your application, please verify your email address by clicking the button below:</p>
 
@@ -117,12 +175,7 @@ Email: teatreegolf@bigpond.com
       </p>
     </div>
     <div class="footer">
-      <p>
-        <strong>Tea Tree Golf Club</strong><br>
-        10A Volcanic Drive, Brighton, Tasmania, 7030<br>
-        Tel: 03 6268 1692<br>
-        Email: teatreegolf@bigpond.com
-      </p>
+      ${clubContactHtml(club)}
     </div>
   </div>
 </body>
@@ -160,23 +213,25 @@ exports.sendApprovalEmail = onCall(async (request) => {
     );
   }
 
-  const {email, fullName} = request.data;
+  const {email, fullName, clubId} = request.data;
 
   if (!email || !fullName) {
     throw new HttpsError('invalid-argument', 'Missing required parameters');
   }
 
+  const club = await getClub(clubId);
+
   const msg = {
     to: email,
     from: {
       email: SENDER_EMAIL,
-      name: 'Tea Tree Golf Club',
+      name: club.clubName,
     },
-    subject: 'Welcome to Tea Tree Golf Club!',
+    subject: `Welcome to ${club.clubName}!`,
     text: `
 Hello ${fullName},
 
-Congratulations! Your membership application for Tea Tree Golf Club has been approved.
+Congratulations! Your membership application for ${club.clubName} has been approved.
 
 Welcome to our club! You will receive further information about your membership, including:
 - Membership card
@@ -186,15 +241,12 @@ Welcome to our club! You will receive further information about your membership,
 
 If you have any questions, please don't hesitate to contact us:
 
-Tea Tree Golf Club
-10A Volcanic Drive, Brighton, Tasmania, 7030
-Tel: 03 6268 1692
-Email: teatreegolf@bigpond.com
+${clubContactText(club)}
 
 We look forward to seeing you on the course!
 
 Kind regards,
-Tea Tree Golf Club
+${club.clubName}
     `.trim(),
     html: `
 <!DOCTYPE html>
@@ -211,12 +263,12 @@ Tea Tree Golf Club
 <body>
   <div class="container">
     <div class="header">
-      <h1>Welcome to Tea Tree Golf Club!</h1>
+      <h1>Welcome to ${club.clubName}!</h1>
     </div>
     <div class="content">
       <p>Hello ${fullName},</p>
 
-      <p><strong>Congratulations!</strong> Your membership application for Tea Tree Golf Club has been approved.</p>
+      <p><strong>Congratulations!</strong> Your membership application for ${club.clubName} has been approved.</p>
 
       <p>Welcome to our club! You will receive further information about your membership, including:</p>
       <ul>
@@ -231,12 +283,7 @@ Tea Tree Golf Club
       <p><strong>We look forward to seeing you on the course!</strong></p>
     </div>
     <div class="footer">
-      <p>
-        <strong>Tea Tree Golf Club</strong><br>
-        10A Volcanic Drive, Brighton, Tasmania, 7030<br>
-        Tel: 03 6268 1692<br>
-        Email: teatreegolf@bigpond.com
-      </p>
+      ${clubContactHtml(club)}
     </div>
   </div>
 </body>
@@ -267,23 +314,25 @@ exports.sendRejectionEmail = onCall(async (request) => {
     );
   }
 
-  const {email, fullName, rejectionReason} = request.data;
+  const {email, fullName, rejectionReason, clubId} = request.data;
 
   if (!email || !fullName || !rejectionReason) {
     throw new HttpsError('invalid-argument', 'Missing required parameters');
   }
 
+  const club = await getClub(clubId);
+
   const msg = {
     to: email,
     from: {
       email: SENDER_EMAIL,
-      name: 'Tea Tree Golf Club',
+      name: club.clubName,
     },
-    subject: 'Tea Tree Golf Club membership application update',
+    subject: `${club.clubName} membership application update`,
     text: `
 Hello ${fullName},
 
-Thank you for your interest in joining Tea Tree Golf Club.
+Thank you for your interest in joining ${club.clubName}.
 
 After careful review, we regret to inform you that your membership application has not been approved at this time.
 
@@ -291,15 +340,12 @@ Reason: ${rejectionReason}
 
 If you have any questions or would like to discuss this decision, please contact the club directly:
 
-Tea Tree Golf Club
-10A Volcanic Drive, Brighton, Tasmania, 7030
-Tel: 03 6268 1692
-Email: teatreegolf@bigpond.com
+${clubContactText(club)}
 
 Thank you for your understanding.
 
 Kind regards,
-Tea Tree Golf Club
+${club.clubName}
     `.trim(),
     html: `
 <!DOCTYPE html>
@@ -316,12 +362,12 @@ Tea Tree Golf Club
 <body>
   <div class="container">
     <div class="header">
-      <h1>Tea Tree Golf Club</h1>
+      <h1>${club.clubName}</h1>
     </div>
     <div class="content">
       <p>Hello ${fullName},</p>
 
-      <p>Thank you for your interest in joining Tea Tree Golf Club.</p>
+      <p>Thank you for your interest in joining ${club.clubName}.</p>
 
       <p>After careful review, we regret to inform you that your membership application has not been approved at this time.</p>
 
@@ -332,12 +378,7 @@ Tea Tree Golf Club
       <p>Thank you for your understanding.</p>
     </div>
     <div class="footer">
-      <p>
-        <strong>Tea Tree Golf Club</strong><br>
-        10A Volcanic Drive, Brighton, Tasmania, 7030<br>
-        Tel: 03 6268 1692<br>
-        Email: teatreegolf@bigpond.com
-      </p>
+      ${clubContactHtml(club)}
     </div>
   </div>
 </body>
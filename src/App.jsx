@@ -21,9 +21,13 @@ const Members = lazy(() => import('./pages/Members'))
 const AddMember = lazy(() => import('./pages/AddMember'))
 const EditMember = lazy(() => import('./pages/EditMember'))
 const MemberDetail = lazy(() => import('./pages/MemberDetail'))
+const MemberStatusReview = lazy(() => import('./pages/MemberStatusReview'))
+const ChangeRequests = lazy(() => import('./pages/ChangeRequests'))
+const DuplicateMembers = lazy(() => import('./pages/DuplicateMembers'))
 
 // Financial pages (contains jsPDF - large dependency)
 const Payments = lazy(() => import('./pages/Payments'))
+const Renewals = lazy(() => import('./pages/Renewals'))
 const Reports = lazy(() => import('./pages/Reports'))
 
 // Application management pages
@@ -35,11 +39,21 @@ const ApplicationDetails = lazy(() => import('./pages/ApplicationDetails'))
 const ApplyForMembership = lazy(() => import('./pages/ApplyForMembership'))
 const VerifyEmail = lazy(() => import('./pages/VerifyEmail'))
 const ApplicationConfirmation = lazy(() => import('./pages/ApplicationConfirmation'))
+const UpdateDetails = lazy(() => import('./pages/UpdateDetails'))
 
 // Admin pages (less frequently accessed)
 const Users = lazy(() => import('./pages/Users'))
 const Admin = lazy(() => import('./pages/Admin'))
 
+// Asking for access to another club
+const JoinClub = lazy(() => import('./pages/JoinClub'))
+
+// Member portal - members see their own account, outside the committee Layout
+const PortalLogin = lazy(() => import('./pages/PortalLogin'))
+const PortalLayout = lazy(() => import('./components/PortalLayout'))
+const PortalAccount = lazy(() => import('./pages/PortalAccount'))
+const PortalDetails = lazy(() => import('./pages/PortalDetails'))
+
 // Loading fallback component
 const PageLoader = () => (
   <div className="flex items-center justify-center min-h-[400px]">
@@ -78,6 +92,17 @@ function App() {
               <Route path="/apply" element={<ApplyForMembership />} />
               <Route path="/verify-email" element={<VerifyEmail />} />
               <Route path="/application-confirmation" element={<ApplicationConfirmation />} />
+              <Route path="/update-details" element={<UpdateDetails />} />
+
+              {/* Signed in, outside a club */}
+              <Route path="/join-club" element={<JoinClub />} />
+
+              {/* Member Portal */}
+              <Route path="/portal/login" element={<PortalLogin />} />
+              <Route path="/portal" element={<PortalLayout />}>
+                <Route index element={<PortalAccount />} />
+                <Route path="details" element={<PortalDetails />} />
+              </Route>
 
               {/* Protected Routes */}
               <Route path="/" element={<PrivateRoute><Layout /></PrivateRoute>}>
@@ -85,9 +110,13 @@ function App() {
                 <Route path="dashboard" element={<Dashboard />} />
                 <Route path="members" element={<Members />} />
                 <Route path="members/add" element={<AddMember />} />
+                <Route path="members/status-review" element={<MemberStatusReview />} />
+                <Route path="members/change-requests" element={<ChangeRequests />} />
+                <Route path="members/duplicates" element={<DuplicateMembers />} />
                 <Route path="members/:id" element={<MemberDetail />} />
                 <Route path="members/:id/edit" element={<EditMember />} />
                 <Route path="payments" element={<Payments />} />
+                <Route path="renewals" element={<Renewals />} />
                 <Route path="reports" element={<Reports />} />
                 <Route path="applications" element={<Applications />} />
                 <Route path="applications/add" element={<AddApplication />} />
@@ -0,0 +1,297 @@
+import { useState } from 'react'
+import { useQueryClient } from '@tanstack/react-query'
+import { useAuth } from '../contexts/AuthContext'
+import {
+  runBalanceReconciliation,
+  applyReconciliationCorrections,
+  formatDiscrepancyCause
+} from '../services/reconciliationService'
+
+const formatCurrency = (amount) => `${amount < 0 ? '-' : ''}$${Math.abs(amount).toFixed(2)}`
+
+const BalanceReconciliation = () => {
+  const { currentUser } = useAuth()
+  const queryClient = useQueryClient()
+  const [report, setReport] = useState(null)
+  const [selected, setSelected] = useState(new Set())
+  const [isLoading, setIsLoading] = useState(false)
+  const [progress, setProgress] = useState(0)
+  const [error, setError] = useState(null)
+  const [showResults, setShowResults] = useState(false)
+  const [results, setResults] = useState(null)
+
+  const handleRun = async () => {
+    try {
+      setIsLoading(true)
+      setError(null)
+
+      const reconciliation = await runBalanceReconciliation()
+      setReport(reconciliation)
+      setSelected(new Set(reconciliation.discrepancies.map(d => d.memberId)))
+    } catch (err) {
+      setError('Failed to run reconciliation: ' + err.message)
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const toggleSelected = (memberId) => {
+    const next = new Set(selected)
+    if (next.has(memberId)) {
+      next.delete(memberId)
+    } else {
+      next.add(memberId)
+    }
+    setSelected(next)
+  }
+
+  const handleApply = async () => {
+    const toCorrect = report.discrepancies.filter(d => selected.has(d.memberId))
+    if (toCorrect.length === 0) {
+      setError('Select at least one discrepancy to correct')
+      return
+    }
+
+    const confirmed = window.confirm(
+      `Apply corrections to ${toCorrect.length} member${toCorrect.length !== 1 ? 's' : ''}?\n\n` +
+      `This will:\n` +
+      `- Add audited adjustment entries to each member's ledger\n` +
+      `- Build ledger history for members that have none\n` +
+      `- Reset cached balances to match the ledger\n\n` +
+      `Continue?`
+    )
+
+    if (!confirmed) return
+
+    try {
+      setIsLoading(true)
+      setError(null)
+      setProgress(0)
+
+      const applyResults = await applyReconciliationCorrections(toCorrect, currentUser.uid, setProgress)
+      setResults(applyResults)
+      setShowResults(true)
+
+      queryClient.invalidateQueries({ queryKey: ['members'] })
+      queryClient.invalidateQueries({ queryKey: ['ledger'] })
+    } catch (err) {
+      setError('Failed to apply corrections: ' + err.message)
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h3 className="text-lg font-semibold text-gray-900 mb-2">Balance Reconciliation</h3>
+        <p className="text-sm text-gray-600">
+          Recalculate every member&apos;s balance from payments, fees and the ledger, and list anything that does not agree.
+          Corrections are written as adjustment entries in the member&apos;s ledger so every change remains auditable.
+        </p>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-md p-4">
+          <p className="text-red-800 text-sm">{error}</p>
+        </div>
+      )}
+
+      <div className="flex gap-3">
+        <button
+          onClick={handleRun}
+          disabled={isLoading}
+          className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+        >
+          {isLoading && !report ? 'Checking...' : 'Run Reconciliation'}
+        </button>
+        <button
+          onClick={handleApply}
+          disabled={isLoading || !report || selected.size === 0}
+          className="px-4 py-2 bg-primary text-white rounded-md hover:bg-primary/90 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isLoading && report ? `Applying... ${Math.round(progress)}%` : 'Apply Selected Corrections'}
+        </button>
+      </div>
+
+      {report && (
+        <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
+          <div className="grid grid-cols-4 gap-4">
+            <div>
+              <p className="text-sm text-blue-700">Members Checked</p>
+              <p className="text-2xl font-bold text-blue-900">{report.checkedMembers}</p>
+            </div>
+            <div>
+              <p className="text-sm text-blue-700">Discrepancies</p>
+              <p className="text-2xl font-bold text-blue-900">{report.discrepancies.length}</p>
+            </div>
+            <div>
+              <p className="text-sm text-blue-700">Total Drift</p>
+              <p className="text-2xl font-bold text-blue-900">${report.totalDifference.toFixed(2)}</p>
+            </div>
+            <div>
+              <p className="text-sm text-blue-700">Orphaned Records</p>
+              <p className="text-2xl font-bold text-blue-900">{report.orphans.length}</p>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {report && report.discrepancies.length === 0 && (
+        <p className="text-sm text-gray-600">All member balances agree with their payments, fees and ledger.</p>
+      )}
+
+      {report && report.discrepancies.length > 0 && (
+        <div className="border border-gray-200 rounded-lg overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left">
+                  <input
+                    type="checkbox"
+                    checked={selected.size === report.discrepancies.length}
+                    onChange={(e) => setSelected(
+                      e.target.checked ? new Set(report.discrepancies.map(d => d.memberId)) : new Set()
+                    )}
+                  />
+                </th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Member</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Cached</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Ledger</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Expected</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Cause</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {report.discrepancies.map(discrepancy => (
+                <tr key={discrepancy.memberId}>
+                  <td className="px-4 py-3 align-top">
+                    <input
+                      type="checkbox"
+                      checked={selected.has(discrepancy.memberId)}
+                      onChange={() => toggleSelected(discrepancy.memberId)}
+                    />
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-900 align-top">{discrepancy.memberName}</td>
+                  <td className="px-4 py-3 text-sm text-right text-gray-700 align-top">{formatCurrency(discrepancy.cachedBalance)}</td>
+                  <td className="px-4 py-3 text-sm text-right text-gray-700 align-top">
+                    {discrepancy.needsBackfill ? '-' : formatCurrency(discrepancy.ledgerBalance)}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-right font-medium text-gray-900 align-top">{formatCurrency(discrepancy.expectedBalance)}</td>
+                  <td className="px-4 py-3 text-sm text-gray-700">
+                    <ul className="space-y-1">
+                      {discrepancy.issues.map((issue, index) => (
+                        <li key={index}>
+                          <span className="font-medium">{formatDiscrepancyCause(issue.cause)}:</span>{' '}
+                          {issue.description}
+                          {issue.amount !== 0 && (
+                            <span className="text-gray-500"> (adjust {formatCurrency(issue.amount)})</span>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {report && report.orphans.length > 0 && (
+        <div className="border border-yellow-200 bg-yellow-50 rounded-lg p-4">
+          <h4 className="font-semibold text-yellow-900 mb-2">Orphaned Records</h4>
+          <p className="text-sm text-yellow-800 mb-3">
+            These records belong to members that no longer exist (for example after a hard delete or a partial data clear).
+            They cannot be corrected automatically and are not counted in any balance.
+          </p>
+          <ul className="text-sm text-yellow-900 space-y-1">
+            {report.orphans.map(orphan => (
+              <li key={`${orphan.collection}-${orphan.id}`}>
+                <span className="font-medium">{orphan.collection}</span> {orphan.id} - {orphan.memberName || orphan.memberId}: {orphan.description} ({formatCurrency(orphan.amount)})
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Results Modal */}
+      {showResults && results && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg shadow-xl max-w-4xl w-full max-h-[90vh] overflow-hidden">
+            <div className="p-6 border-b border-gray-200">
+              <h3 className="text-lg font-semibold text-gray-900">Reconciliation Results</h3>
+            </div>
+
+            <div className="p-6 overflow-y-auto max-h-[calc(90vh-200px)]">
+              <div className="grid grid-cols-3 gap-4 mb-6">
+                <div className="bg-success/10 p-4 rounded-lg">
+                  <p className="text-sm text-success/90">Corrected</p>
+                  <p className="text-2xl font-bold text-success">{results.successful}</p>
+                </div>
+                <div className="bg-red-50 p-4 rounded-lg">
+                  <p className="text-sm text-red-700">Failed</p>
+                  <p className="text-2xl font-bold text-red-900">{results.failed}</p>
+                </div>
+                <div className="bg-blue-50 p-4 rounded-lg">
+                  <p className="text-sm text-blue-700">Total</p>
+                  <p className="text-2xl font-bold text-blue-900">{results.total}</p>
+                </div>
+              </div>
+
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Member</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Previous</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">New Balance</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {results.details.map((detail, index) => (
+                      <tr key={index}>
+                        <td className="px-4 py-3 text-sm text-gray-900">{detail.memberName}</td>
+                        <td className="px-4 py-3 text-sm text-gray-700">{formatCurrency(detail.previousBalance)}</td>
+                        <td className="px-4 py-3 text-sm text-gray-700">
+                          {detail.accountBalance !== undefined ? formatCurrency(detail.accountBalance) : '-'}
+                        </td>
+                        <td className="px-4 py-3 text-sm">
+                          {detail.status === 'success' ? (
+                            <span className="px-2 py-1 bg-success/20 text-success rounded-full text-xs font-medium">
+                              Corrected ({detail.entriesCreated} entr{detail.entriesCreated === 1 ? 'y' : 'ies'})
+                            </span>
+                          ) : (
+                            <span className="px-2 py-1 bg-red-100 text-red-800 rounded-full text-xs font-medium">
+                              Failed: {detail.reason}
+                            </span>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+
+            <div className="p-6 border-t border-gray-200 flex justify-end">
+              <button
+                onClick={() => {
+                  setShowResults(false)
+                  setResults(null)
+                  handleRun() // Re-check so fixed members drop off the list
+                }}
+                className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700"
+              >
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default BalanceReconciliation
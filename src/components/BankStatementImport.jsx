@@ -0,0 +1,406 @@
+import { useState, useMemo } from 'react'
+import { useQuery, useQueryClient } from '@tanstack/react-query'
+import { getAllMembers } from '../services/membersService'
+import { getAllPayments } from '../services/paymentsService'
+import {
+  AUTO_CONFIRM_CONFIDENCE,
+  parseBankStatement,
+  matchStatementLines,
+  buildStatementPayment,
+  postStatementPayments,
+  addLinesToSuspense
+} from '../services/bankStatementService'
+import { getSelectablePaymentMethods } from '../services/paymentMethodService'
+import { usePaymentMethods } from '@/hooks/usePaymentMethods'
+import { useSuspenseLines, suspenseKeys } from '@/hooks/useStatementSuspense'
+import MemberSearchSelect from './MemberSearchSelect'
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+  DialogFooter,
+} from '@/components/ui/dialog'
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { Checkbox } from '@/components/ui/checkbox'
+import { Progress } from '@/components/ui/progress'
+
+const confidenceBadge = (confidence) => {
+  if (confidence >= AUTO_CONFIRM_CONFIDENCE) {
+    return <Badge className="bg-green-100 text-green-800 hover:bg-green-100">High {confidence}%</Badge>
+  }
+  if (confidence >= 50) {
+    return <Badge className="bg-yellow-100 text-yellow-800 hover:bg-yellow-100">Medium {confidence}%</Badge>
+  }
+  if (confidence > 0) {
+    return <Badge variant="outline">Low {confidence}%</Badge>
+  }
+  return <Badge variant="outline">No match</Badge>
+}
+
+/**
+ * BankStatementImport - Upload a bank statement, review member matches and post payments
+ *
+ * Confirmed lines are posted through recordBulkPayments; everything else that has not
+ * already been recorded goes to the suspense queue.
+ *
+ * @param {object} props
+ * @param {boolean} props.open - Dialog open state
+ * @param {function} props.onOpenChange - Called when the dialog opens/closes
+ * @param {string} props.userId - Current user ID
+ */
+const BankStatementImport = ({ open, onOpenChange, userId }) => {
+  const queryClient = useQueryClient()
+  const [fileName, setFileName] = useState('')
+  const [statement, setStatement] = useState(null)
+  const [rows, setRows] = useState([])
+  const [paymentMethod, setPaymentMethod] = useState('bank_transfer')
+  const [searchingRowId, setSearchingRowId] = useState(null)
+  const [isProcessing, setIsProcessing] = useState(false)
+  const [processProgress, setProcessProgress] = useState(0)
+  const [error, setError] = useState(null)
+  const [results, setResults] = useState(null)
+
+  const { data: members = [] } = useQuery({
+    queryKey: ['members'],
+    queryFn: getAllMembers,
+    staleTime: 5 * 60 * 1000,
+  })
+
+  const { data: payments = [] } = useQuery({
+    queryKey: ['payments'],
+    queryFn: getAllPayments,
+    staleTime: 5 * 60 * 1000,
+  })
+
+  const { data: paymentMethods = [] } = usePaymentMethods()
+  const { data: suspenseLines = [] } = useSuspenseLines({ enabled: open })
+
+  const suspenseIds = useMemo(() => new Set(suspenseLines.map(l => l.id)), [suspenseLines])
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0]
+    if (!file) return
+
+    setError(null)
+    setResults(null)
+    try {
+      const text = await file.text()
+      const parsed = parseBankStatement(text, file.name)
+      const matched = matchStatementLines(parsed.lines, { members, payments })
+
+      setFileName(file.name)
+      setStatement(parsed)
+      setRows(matched.map(line => ({
+        ...line,
+        member: line.match.memberId ? members.find(m => m.id === line.match.memberId) || null : null,
+        selected: !line.recordedPayment && line.match.confidence >= AUTO_CONFIRM_CONFIDENCE,
+      })))
+    } catch (err) {
+      console.error('Statement import error:', err)
+      setError(err.message || 'Could not read the statement file')
+      setStatement(null)
+      setRows([])
+    }
+    e.target.value = ''
+  }
+
+  const updateRow = (id, updates) => {
+    setRows(prev => prev.map(row => (row.id === id ? { ...row, ...updates } : row)))
+  }
+
+  const selectMember = (id, member) => {
+    updateRow(id, {
+      member,
+      selected: true,
+      match: { memberId: member.id, memberName: member.fullName, confidence: 100, matchType: 'manual', reason: 'Chosen manually', candidates: [] },
+    })
+    setSearchingRowId(null)
+  }
+
+  const postableRows = rows.filter(r => r.member && !r.recordedPayment)
+  const selectedRows = postableRows.filter(r => r.selected)
+  const suspenseRows = rows.filter(r => !r.recordedPayment && !r.selected)
+  const totalAmount = selectedRows.reduce((sum, r) => sum + r.amount, 0)
+
+  const handleSelectAll = (checked) => {
+    setRows(prev => prev.map(row => (row.member && !row.recordedPayment ? { ...row, selected: !!checked } : row)))
+  }
+
+  const handleProcess = async () => {
+    if (rows.length === 0) return
+
+    const message = `Post ${selectedRows.length} payments ($${totalAmount.toFixed(2)})` +
+      (suspenseRows.length > 0 ? ` and send ${suspenseRows.length} unmatched lines to suspense` : '') + '?'
+    if (!window.confirm(message)) return
+
+    setIsProcessing(true)
+    setError(null)
+    setProcessProgress(0)
+
+    try {
+      let posted = { successful: [], failed: [] }
+      if (selectedRows.length > 0) {
+        posted = await postStatementPayments(
+          selectedRows.map(row => buildStatementPayment(row, row.member, paymentMethod, fileName)),
+          { userId, suspenseIds, onProgress: setProcessProgress }
+        )
+      }
+
+      // Failed postings go to suspense with everything left unconfirmed
+      const failedIds = new Set(posted.failed.map(f => selectedRows[f.index].id))
+      const toSuspense = rows.filter(r => !r.recordedPayment && (!r.selected || failedIds.has(r.id)))
+      const queued = toSuspense.length > 0
+        ? await addLinesToSuspense(toSuspense, { source: fileName, userId, existingIds: suspenseIds })
+        : { added: 0, skipped: 0 }
+
+      setResults({ posted, queued })
+
+      queryClient.invalidateQueries({ queryKey: ['payments'] })
+      queryClient.invalidateQueries({ queryKey: ['members'] })
+      queryClient.invalidateQueries({ queryKey: ['ledger'] })
+      queryClient.invalidateQueries({ queryKey: ['fees'] })
+      queryClient.invalidateQueries({ queryKey: ['instalmentPlans'] })
+      queryClient.invalidateQueries({ queryKey: suspenseKeys.all })
+
+      setStatement(null)
+      setRows([])
+    } catch (err) {
+      console.error('Statement posting error:', err)
+      setError(err.message || 'Failed to post statement')
+    } finally {
+      setIsProcessing(false)
+    }
+  }
+
+  const handleClose = () => {
+    if (!isProcessing) {
+      setFileName('')
+      setStatement(null)
+      setRows([])
+      setSearchingRowId(null)
+      setError(null)
+      setResults(null)
+      onOpenChange(false)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={handleClose}>
+      <DialogContent className="max-w-5xl max-h-[90vh] overflow-hidden flex flex-col">
+        <DialogHeader>
+          <DialogTitle>Import Bank Statement</DialogTitle>
+          <DialogDescription>
+            Upload a CSV, OFX/QFX or QIF export. Credits are matched to members by reference, Golf Australia ID,
+            name or outstanding amount. Review the matches before posting; unmatched lines go to the suspense queue.
+          </DialogDescription>
+        </DialogHeader>
+
+        {/* Results summary */}
+        {results && (
+          <div className="p-3 rounded-lg bg-success/10 border border-success/30">
+            <p className="text-success font-medium">
+              {results.posted.successful.length} payments posted
+            </p>
+            {results.posted.failed.length > 0 && (
+              <div className="text-red-600 text-sm mt-1">
+                {results.posted.failed.length} payments failed and were sent to suspense:
+                <ul className="list-disc ml-5">
+                  {results.posted.failed.map(f => (
+                    <li key={f.index}>{f.memberName}: {f.error}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+            {results.queued.added > 0 && (
+              <p className="text-sm text-gray-700 mt-1">
+                {results.queued.added} lines added to the suspense queue
+                {results.queued.skipped > 0 && ` (${results.queued.skipped} were already there)`}
+              </p>
+            )}
+          </div>
+        )}
+
+        {/* Error message */}
+        {error && (
+          <div className="p-3 rounded-lg bg-red-50 border border-red-200">
+            <p className="text-red-800">{error}</p>
+          </div>
+        )}
+
+        {/* File and method */}
+        <div className="flex flex-wrap items-end gap-4">
+          <div>
+            <label htmlFor="statementFile" className="block text-sm font-medium text-gray-700 mb-1">
+              Statement File
+            </label>
+            <input
+              id="statementFile"
+              type="file"
+              accept=".csv,.ofx,.qfx,.qif"
+              onChange={handleFileChange}
+              disabled={isProcessing}
+              className="block text-sm text-gray-600 file:mr-3 file:py-2 file:px-4 file:rounded-md file:border-0 file:bg-club-navy file:text-white hover:file:bg-club-navy-dark"
+            />
+          </div>
+          <div>
+            <label htmlFor="statementMethod" className="block text-sm font-medium text-gray-700 mb-1">
+              Record As
+            </label>
+            <select
+              id="statementMethod"
+              value={paymentMethod}
+              onChange={(e) => setPaymentMethod(e.target.value)}
+              disabled={isProcessing}
+              className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+            >
+              {getSelectablePaymentMethods(paymentMethods).map(method => (
+                <option key={method.id} value={method.id}>{method.name}</option>
+              ))}
+            </select>
+          </div>
+          {statement && (
+            <p className="text-sm text-gray-600">
+              {fileName} ({statement.format.toUpperCase()}): {rows.length} credits
+              {statement.skippedDebits > 0 && `, ${statement.skippedDebits} debits skipped`}
+              {statement.errors.length > 0 && (
+                <span className="text-red-600">
+                  , {statement.errors.length} unreadable (lines {statement.errors.map(e => e.lineNumber).join(', ')})
+                </span>
+              )}
+            </p>
+          )}
+        </div>
+
+        {/* Progress bar */}
+        {isProcessing && (
+          <div className="space-y-2">
+            <Progress value={processProgress} />
+            <p className="text-sm text-gray-600 text-center">
+              Posting payments... {Math.round(processProgress)}%
+            </p>
+          </div>
+        )}
+
+        {/* Review table */}
+        {rows.length > 0 && (
+          <div className="flex-1 overflow-auto min-h-0">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead className="w-10">
+                    <Checkbox
+                      checked={selectedRows.length === postableRows.length && postableRows.length > 0}
+                      onCheckedChange={handleSelectAll}
+                      disabled={isProcessing}
+                    />
+                  </TableHead>
+                  <TableHead className="w-28">Date</TableHead>
+                  <TableHead>Details</TableHead>
+                  <TableHead className="w-24 text-right">Amount</TableHead>
+                  <TableHead className="w-56">Member</TableHead>
+                  <TableHead className="w-44">Match</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {rows.map(row => (
+                  <TableRow key={row.id} className={row.recordedPayment ? 'opacity-60' : ''}>
+                    <TableCell>
+                      <Checkbox
+                        checked={row.selected}
+                        onCheckedChange={(checked) => updateRow(row.id, { selected: !!checked })}
+                        disabled={!row.member || !!row.recordedPayment || isProcessing}
+                      />
+                    </TableCell>
+                    <TableCell className="text-sm whitespace-nowrap">{row.date}</TableCell>
+                    <TableCell className="text-sm">
+                      {row.description}
+                      {row.reference && (
+                        <span className="block text-xs text-gray-500">Ref: {row.reference}</span>
+                      )}
+                    </TableCell>
+                    <TableCell className="text-sm text-right font-medium">${row.amount.toFixed(2)}</TableCell>
+                    <TableCell>
+                      {row.recordedPayment ? (
+                        <span className="text-sm text-gray-600">
+                          Already recorded ({row.recordedPayment.receiptNumber})
+                        </span>
+                      ) : searchingRowId === row.id ? (
+                        <MemberSearchSelect
+                          members={members}
+                          onSelect={(member) => selectMember(row.id, member)}
+                          onCancel={() => setSearchingRowId(null)}
+                        />
+                      ) : (
+                        <button
+                          onClick={() => !isProcessing && setSearchingRowId(row.id)}
+                          className="text-left hover:bg-gray-50 p-1 rounded w-full"
+                          disabled={isProcessing}
+                        >
+                          {row.member ? (
+                            <span className="font-medium text-sm">{row.member.fullName}</span>
+                          ) : (
+                            <span className="text-sm text-gray-400">Choose member...</span>
+                          )}
+                          {suspenseIds.has(row.id) && (
+                            <span className="block text-xs text-gray-500">Waiting in suspense</span>
+                          )}
+                        </button>
+                      )}
+                    </TableCell>
+                    <TableCell>
+                      {!row.recordedPayment && (
+                        <>
+                          {confidenceBadge(row.match.confidence)}
+                          {row.match.confidence > 0 && (
+                            <span className="block text-xs text-gray-500 mt-1">{row.match.reason}</span>
+                          )}
+                        </>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+
+        {/* Summary and actions */}
+        <DialogFooter className="flex-col sm:flex-row gap-2 border-t pt-4">
+          <div className="flex-1 text-sm text-gray-600">
+            {rows.length > 0 ? (
+              <span>
+                <span className="font-medium">{selectedRows.length}</span> to post |
+                Total: <span className="font-medium text-club-navy">${totalAmount.toFixed(2)}</span> |
+                <span className="font-medium"> {suspenseRows.length}</span> to suspense
+              </span>
+            ) : (
+              <span>Choose a statement file to begin</span>
+            )}
+          </div>
+          <Button variant="outline" onClick={handleClose} disabled={isProcessing}>
+            {results ? 'Close' : 'Cancel'}
+          </Button>
+          <Button
+            onClick={handleProcess}
+            disabled={rows.length === 0 || (selectedRows.length === 0 && suspenseRows.length === 0) || isProcessing}
+          >
+            {isProcessing ? 'Processing...' : 'Confirm Import'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+export default BankStatementImport
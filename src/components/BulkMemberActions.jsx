@@ -0,0 +1,410 @@
+import { useState } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import { useBulkMemberAction } from '@/hooks/useBulkMemberActions'
+import { useCustomFields } from '@/hooks/useCustomFields'
+import {
+  BULK_MEMBER_ACTIONS,
+  BULK_MEMBER_ACTION_LABELS,
+  validateBulkParams
+} from '../services/bulkMemberService'
+import { downloadMembersCSV } from '../services/membersService'
+import { MEMBER_STATUS_LABELS } from '../services/memberStatusService'
+import {
+  generateMemberLetters,
+  MEMBER_LETTER_TYPES,
+  MEMBER_LETTER_LABELS
+} from '../services/welcomeLetterService'
+import { handleError, showSuccess } from '@/utils/errorHandler'
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+  DialogFooter,
+} from '@/components/ui/dialog'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Textarea } from '@/components/ui/textarea'
+import { Progress } from '@/components/ui/progress'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
+
+const LETTERS = 'letters'
+
+const getDefaultParams = (action) => {
+  switch (action) {
+    case BULK_MEMBER_ACTIONS.FEE:
+      return { amount: '', feeYear: new Date().getFullYear(), notes: '' }
+    case LETTERS:
+      return { letterType: MEMBER_LETTER_TYPES.WELCOME }
+    default:
+      return {}
+  }
+}
+
+// Form values as the service expects them
+const toServiceParams = (action, params) => {
+  if (action === BULK_MEMBER_ACTIONS.FEE) {
+    return {
+      amount: parseFloat(params.amount),
+      feeYear: parseInt(params.feeYear),
+      notes: params.notes
+    }
+  }
+  return params
+}
+
+/**
+ * Per-member outcome of a bulk action, laid out like the CSV upload results
+ */
+const BulkResults = ({ results }) => (
+  <div>
+    <div className="grid grid-cols-4 gap-4 mb-4">
+      <div className="bg-gray-50 p-3 rounded">
+        <p className="text-sm text-gray-600">Total</p>
+        <p className="text-2xl font-bold text-gray-900">{results.total}</p>
+      </div>
+      <div className="bg-success/10 p-3 rounded">
+        <p className="text-sm text-gray-600">Successful</p>
+        <p className="text-2xl font-bold text-success">{results.successful}</p>
+      </div>
+      <div className="bg-yellow-50 p-3 rounded">
+        <p className="text-sm text-gray-600">Skipped</p>
+        <p className="text-2xl font-bold text-yellow-600">{results.skipped}</p>
+      </div>
+      <div className="bg-red-50 p-3 rounded">
+        <p className="text-sm text-gray-600">Failed</p>
+        <p className="text-2xl font-bold text-red-600">{results.failed}</p>
+      </div>
+    </div>
+
+    {results.details.length > 0 && (
+      <div className="max-h-64 overflow-y-auto border rounded">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50 sticky top-0">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Member</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Reason</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {results.details.map(detail => (
+              <tr key={detail.memberId} className={
+                detail.status === 'success' ? 'bg-success/10' :
+                  detail.status === 'skipped' ? 'bg-yellow-50' :
+                    'bg-red-50'
+              }>
+                <td className="px-4 py-2 text-sm text-gray-900">{detail.name || '-'}</td>
+                <td className="px-4 py-2 text-sm">
+                  <span className={`px-2 py-1 rounded text-xs font-medium ${detail.status === 'success' ? 'bg-success/20 text-success' :
+                    detail.status === 'skipped' ? 'bg-yellow-200 text-yellow-800' :
+                      'bg-red-200 text-red-800'
+                  }`}>
+                    {detail.status}
+                  </span>
+                </td>
+                <td className="px-4 py-2 text-sm text-gray-600">{detail.reason || '-'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    )}
+  </div>
+)
+
+/**
+ * BulkMemberActions - Actions for the members ticked on the members list
+ * Changes are written in batches with a progress bar, then a result for each member.
+ */
+const BulkMemberActions = ({ members, categories, onClearSelection }) => {
+  const { currentUser, checkPermission, ROLES } = useAuth()
+  // Fees can only be created by super admins (see firestore.rules)
+  const canApplyFees = checkPermission(ROLES.SUPER_ADMIN)
+
+  const [action, setAction] = useState(null)
+  const [params, setParams] = useState({})
+  const [formError, setFormError] = useState('')
+  const [progress, setProgress] = useState(null)
+  const [results, setResults] = useState(null)
+  const [isGeneratingLetters, setIsGeneratingLetters] = useState(false)
+
+  const bulkMutation = useBulkMemberAction({ onSuccess: setResults })
+  const { data: customFields = [] } = useCustomFields()
+  const isRunning = bulkMutation.isPending || isGeneratingLetters
+  const count = members.length
+  const memberCount = `${count} member${count !== 1 ? 's' : ''}`
+
+  const openAction = (nextAction) => {
+    setAction(nextAction)
+    setParams(getDefaultParams(nextAction))
+    setFormError('')
+    setProgress(null)
+    setResults(null)
+  }
+
+  const closeDialog = () => {
+    if (isRunning) return
+    // Clear the ticks once something has been done to them
+    if (results) onClearSelection()
+    setAction(null)
+  }
+
+  const handleExport = () => {
+    downloadMembersCSV(members, `members-selected-${new Date().toISOString().split('T')[0]}.csv`, customFields)
+  }
+
+  const handleGenerateLetters = async () => {
+    try {
+      setIsGeneratingLetters(true)
+      const letterResults = await generateMemberLetters(members, params.letterType, setProgress)
+      setResults(letterResults)
+      if (letterResults.successful > 0) {
+        showSuccess(`Generated ${letterResults.successful} letter${letterResults.successful !== 1 ? 's' : ''}`)
+      }
+    } catch (err) {
+      handleError(err, 'Failed to generate letters')
+    } finally {
+      setIsGeneratingLetters(false)
+    }
+  }
+
+  const handleApply = (e) => {
+    e.preventDefault()
+
+    if (action === LETTERS) {
+      setProgress({ current: 0, total: count, memberName: '' })
+      handleGenerateLetters()
+      return
+    }
+
+    const serviceParams = toServiceParams(action, params)
+    const error = validateBulkParams(action, serviceParams)
+    if (error) {
+      setFormError(error)
+      return
+    }
+    setFormError('')
+    setProgress({ current: 0, total: count, memberName: '' })
+    bulkMutation.mutate({
+      action,
+      members,
+      params: serviceParams,
+      user: { uid: currentUser.uid, email: currentUser.email },
+      onProgress: setProgress
+    })
+  }
+
+  const renderFields = () => {
+    switch (action) {
+      case BULK_MEMBER_ACTIONS.CATEGORY:
+        return (
+          <div>
+            <Label>Category</Label>
+            <Select value={params.categoryId || ''} onValueChange={(categoryId) => setParams({ ...params, categoryId })}>
+              <SelectTrigger>
+                <SelectValue placeholder="Choose a category" />
+              </SelectTrigger>
+              <SelectContent>
+                {categories.map(category => (
+                  <SelectItem key={category.id} value={category.id}>{category.name}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        )
+
+      case BULK_MEMBER_ACTIONS.STATUS:
+        return (
+          <>
+            <div>
+              <Label>Status</Label>
+              <Select value={params.status || ''} onValueChange={(status) => setParams({ ...params, status })}>
+                <SelectTrigger>
+                  <SelectValue placeholder="Choose a status" />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(MEMBER_STATUS_LABELS).map(([value, label]) => (
+                    <SelectItem key={value} value={value}>{label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div>
+              <Label htmlFor="bulkStatusReason">Reason</Label>
+              <Input
+                id="bulkStatusReason"
+                value={params.reason || ''}
+                onChange={(e) => setParams({ ...params, reason: e.target.value })}
+                placeholder="Recorded in each member's status history"
+              />
+            </div>
+          </>
+        )
+
+      case BULK_MEMBER_ACTIONS.FEE:
+        return (
+          <>
+            <div>
+              <Label htmlFor="bulkFeeAmount">Amount ($)</Label>
+              <Input
+                type="number"
+                id="bulkFeeAmount"
+                step="0.01"
+                min="0"
+                value={params.amount}
+                onChange={(e) => setParams({ ...params, amount: e.target.value })}
+                required
+              />
+            </div>
+            <div>
+              <Label htmlFor="bulkFeeYear">Fee Year</Label>
+              <Input
+                type="number"
+                id="bulkFeeYear"
+                min="2020"
+                max="2100"
+                value={params.feeYear}
+                onChange={(e) => setParams({ ...params, feeYear: e.target.value })}
+                required
+              />
+            </div>
+            <div>
+              <Label htmlFor="bulkFeeNotes">Notes</Label>
+              <Input
+                id="bulkFeeNotes"
+                value={params.notes}
+                onChange={(e) => setParams({ ...params, notes: e.target.value })}
+                placeholder="e.g., 2027 Course Levy"
+              />
+            </div>
+          </>
+        )
+
+      case BULK_MEMBER_ACTIONS.TAG:
+        return (
+          <div>
+            <Label htmlFor="bulkTag">Tag</Label>
+            <Input
+              id="bulkTag"
+              value={params.tag || ''}
+              onChange={(e) => setParams({ ...params, tag: e.target.value })}
+              placeholder="e.g., Pennant Team"
+              maxLength={50}
+            />
+          </div>
+        )
+
+      case BULK_MEMBER_ACTIONS.COMMENT:
+        return (
+          <div>
+            <Label htmlFor="bulkComment">Comment</Label>
+            <Textarea
+              id="bulkComment"
+              value={params.text || ''}
+              onChange={(e) => setParams({ ...params, text: e.target.value })}
+              rows={3}
+              maxLength={1000}
+            />
+          </div>
+        )
+
+      case LETTERS:
+        return (
+          <div>
+            <Label>Letter</Label>
+            <Select value={params.letterType} onValueChange={(letterType) => setParams({ ...params, letterType })}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.entries(MEMBER_LETTER_LABELS).map(([value, label]) => (
+                  <SelectItem key={value} value={value}>{label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <p className="text-xs text-gray-500 mt-1">
+              Each letter downloads as its own PDF. Payment reminders skip members with nothing owing.
+            </p>
+          </div>
+        )
+
+      default:
+        return null
+    }
+  }
+
+  const actions = Object.values(BULK_MEMBER_ACTIONS)
+    .filter(bulkAction => bulkAction !== BULK_MEMBER_ACTIONS.FEE || canApplyFees)
+
+  return (
+    <>
+      <div className="flex flex-wrap items-center gap-2 mb-4 p-3 bg-club-tan-light bg-opacity-30 border border-club-navy rounded-md">
+        <span className="text-sm font-medium text-club-navy mr-2">{memberCount} selected</span>
+        {actions.map(bulkAction => (
+          <Button key={bulkAction} size="sm" variant="outline" onClick={() => openAction(bulkAction)}>
+            {BULK_MEMBER_ACTION_LABELS[bulkAction]}
+          </Button>
+        ))}
+        <Button size="sm" variant="outline" onClick={() => openAction(LETTERS)}>
+          Generate Letters
+        </Button>
+        <Button size="sm" variant="outline" onClick={handleExport}>
+          Export Selection
+        </Button>
+        <Button size="sm" variant="ghost" onClick={onClearSelection}>
+          Clear Selection
+        </Button>
+      </div>
+
+      <Dialog open={!!action} onOpenChange={(open) => !open && closeDialog()}>
+        <DialogContent className="max-w-2xl">
+          <DialogHeader>
+            <DialogTitle>
+              {action === LETTERS ? 'Generate Letters' : BULK_MEMBER_ACTION_LABELS[action]}
+            </DialogTitle>
+            <DialogDescription>
+              {results ? 'Finished - the result for each member is below.' : `For ${memberCount}.`}
+            </DialogDescription>
+          </DialogHeader>
+
+          {results ? (
+            <BulkResults results={results} />
+          ) : isRunning && progress ? (
+            <div>
+              <div className="flex justify-between text-sm text-gray-600 mb-1">
+                <span>{progress.memberName}</span>
+                <span>{progress.current} of {progress.total}</span>
+              </div>
+              <Progress value={progress.total ? (progress.current / progress.total) * 100 : 0} />
+            </div>
+          ) : (
+            <form id="bulk-action-form" onSubmit={handleApply} className="space-y-4">
+              {renderFields()}
+              {formError && <p className="text-sm text-red-600">{formError}</p>}
+            </form>
+          )}
+
+          <DialogFooter>
+            {results ? (
+              <Button onClick={closeDialog}>Close</Button>
+            ) : (
+              <>
+                <Button type="button" variant="outline" onClick={closeDialog} disabled={isRunning}>
+                  Cancel
+                </Button>
+                <Button type="submit" form="bulk-action-form" disabled={isRunning}>
+                  {isRunning ? 'Working...' : `Apply to ${memberCount}`}
+                </Button>
+              </>
+            )}
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </>
+  )
+}
+
+export default BulkMemberActions
@@ -2,6 +2,9 @@ import { useState, useMemo } from 'react'
 import { useQuery, useQueryClient } from '@tanstack/react-query'
 import { getAllMembers } from '../services/membersService'
 import { recordBulkPayments } from '../services/paymentsService'
+import { isCurrentMember } from '../services/memberStatusService'
+import { findPaymentMethod, getSelectablePaymentMethods, validatePaymentReference } from '../services/paymentMethodService'
+import { usePaymentMethods } from '@/hooks/usePaymentMethods'
 import {
   Dialog,
   DialogContent,
@@ -49,9 +52,12 @@ const BulkPaymentEntry = ({ open, onOpenChange, userId }) => {
     staleTime: 5 * 60 * 1000,
   })
 
+  const { data: paymentMethods = [] } = usePaymentMethods()
+  const selectableMethods = getSelectablePaymentMethods(paymentMethods)
+
   // Filter active members for search
   const activeMembers = useMemo(() => {
-    return members.filter(m => m.status === 'active')
+    return members.filter(isCurrentMember)
   }, [members])
 
   // Filter members based on search query
@@ -84,6 +90,11 @@ const BulkPaymentEntry = ({ open, onOpenChange, userId }) => {
     if (!row.member) return { isValid: false, error: 'Select a member' }
     if (!row.amount || parseFloat(row.amount) <= 0) return { isValid: false, error: 'Enter amount' }
     if (!row.paymentDate) return { isValid: false, error: 'Select date' }
+    const referenceError = validatePaymentReference(
+      findPaymentMethod(paymentMethods, row.paymentMethod),
+      row.reference
+    )
+    if (referenceError) return { isValid: false, error: referenceError }
     return { isValid: true, error: null }
   }
 
@@ -176,6 +187,9 @@ const BulkPaymentEntry = ({ open, onOpenChange, userId }) => {
       // Invalidate queries to refresh data
       queryClient.invalidateQueries({ queryKey: ['payments'] })
       queryClient.invalidateQueries({ queryKey: ['members'] })
+      queryClient.invalidateQueries({ queryKey: ['ledger'] })
+      queryClient.invalidateQueries({ queryKey: ['fees'] })
+      queryClient.invalidateQueries({ queryKey: ['instalmentPlans'] })
 
       // Remove successful rows
       const successIds = new Set(result.successful.map(r => r.memberId))
@@ -378,14 +392,15 @@ const BulkPaymentEntry = ({ open, onOpenChange, userId }) => {
                       disabled={isProcessing}
                       className="w-full px-2 py-1 border rounded text-sm"
                     >
-                      <option value="bank_transfer">Bank Transfer</option>
-                      <option value="cash">Cash</option>
+                      {selectableMethods.map(method => (
+                        <option key={method.id} value={method.id}>{method.name}</option>
+                      ))}
                     </select>
                   </TableCell>
                   <TableCell>
                     <input
                       type="text"
-                      placeholder="Reference"
+                      placeholder={findPaymentMethod(paymentMethods, row.paymentMethod)?.referenceHint || 'Reference'}
                       value={row.reference}
                       onChange={(e) => updateRow(index, { reference: e.target.value })}
                       disabled={isProcessing}
@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react'
+import { Fragment, useState, useEffect } from 'react'
 import { useForm } from 'react-hook-form'
 import { zodResolver } from '@hookform/resolvers/zod'
 import {
@@ -8,11 +8,23 @@ import {
   deleteCategory,
   reorderCategories,
   seedDefaultCategories,
-  generateDefaultProRataRates
+  generateDefaultProRataRates,
+  getCategoryPricing,
+  getMembershipYear
 } from '../services/categoryService'
+import { MEMBER_GROUP_TYPE_LABELS, GROUP_RATE_TYPES } from '../services/memberGroupService'
 import ProRataRateEditor from './ProRataRateEditor'
 import { categoryFormSchema } from '../schemas'
-import { FormField, FormInput } from './form'
+import { useClubSettings } from '@/hooks/useClubSettings'
+import { DEFAULT_CLUB_SETTINGS, MONTH_NAMES } from '../services/clubSettingsService'
+import { FormField, FormInput, FormSelect } from './form'
+
+const formatGroupRate = (rate) => {
+  return rate.rateType === GROUP_RATE_TYPES.PERCENTAGE ? `${rate.amount}% off` : `$${rate.amount}`
+}
+
+// Membership years are labelled by the calendar years they span, e.g. 2026/27
+const formatMembershipYear = (year) => `${year}/${String(year + 1).slice(-2)}`
 
 const CategoryManager = () => {
   const [categories, setCategories] = useState([])
@@ -22,12 +34,19 @@ const CategoryManager = () => {
   const [showCategoryForm, setShowCategoryForm] = useState(false)
   const [editingCategory, setEditingCategory] = useState(null)
   const [joiningFeeMonths, setJoiningFeeMonths] = useState([])
+  const [groupRates, setGroupRates] = useState([])
   const [editingRates, setEditingRates] = useState(null)
+  const [effectiveYear, setEffectiveYear] = useState(getMembershipYear)
+  const [historyCategoryId, setHistoryCategoryId] = useState(null)
+  const { data: club = DEFAULT_CLUB_SETTINGS } = useClubSettings()
+  const startMonth = club.membershipYearStartMonth
+  const currentYear = getMembershipYear(new Date(), startMonth)
 
   const {
     register,
     handleSubmit,
     reset,
+    setValue,
     formState: { errors },
   } = useForm({
     resolver: zodResolver(categoryFormSchema),
@@ -88,6 +107,7 @@ const CategoryManager = () => {
       isSpecial: false,
     })
     setJoiningFeeMonths([])
+    setGroupRates([])
     setShowCategoryForm(true)
     setError(null)
     setSuccess(null)
@@ -105,11 +125,22 @@ const CategoryManager = () => {
       isSpecial: category.isSpecial,
     })
     setJoiningFeeMonths(category.joiningFeeMonths || [])
+    setGroupRates((category.groupRates || []).map(rate => ({ ...rate, amount: String(rate.amount) })))
+    setEffectiveYear(currentYear)
     setShowCategoryForm(true)
     setError(null)
     setSuccess(null)
   }
 
+  // Show the prices already set for the chosen year, ready to change
+  const changeEffectiveYear = (year) => {
+    const pricing = getCategoryPricing(editingCategory, year)
+    setEffectiveYear(year)
+    setValue('annualFee', String(pricing.annualFee))
+    setValue('joiningFee', String(pricing.joiningFee))
+    setJoiningFeeMonths(pricing.joiningFeeMonths || [])
+  }
+
   const closeForm = () => {
     setShowCategoryForm(false)
     setEditingCategory(null)
@@ -131,24 +162,29 @@ const CategoryManager = () => {
         joiningFee: parseFloat(data.joiningFee),
         isSpecial: data.isSpecial,
         joiningFeeMonths: joiningFeeMonths,
+        groupRates: groupRates
+          .filter(rate => rate.amount !== '')
+          .map(rate => ({ ...rate, amount: parseFloat(rate.amount) })),
       }
 
       if (editingCategory) {
-        // Check if annual fee changed - if so, regenerate pro-rata rates
-        if (editingCategory.annualFee !== newAnnualFee) {
-          categoryData.proRataRates = generateDefaultProRataRates(newAnnualFee)
+        // Check if annual fee changed for the year - if so, regenerate pro-rata rates
+        const feeChanged = getCategoryPricing(editingCategory, effectiveYear).annualFee !== newAnnualFee
+        if (feeChanged) {
+          categoryData.proRataRates = generateDefaultProRataRates(newAnnualFee, startMonth)
         }
 
-        // Update existing category
+        // Update existing category - earlier years keep their prices
         await updateCategory(editingCategory.id, {
           ...categoryData,
-          order: editingCategory.order
+          order: editingCategory.order,
+          effectiveYear
         })
-        setSuccess('Category updated successfully' + (editingCategory.annualFee !== newAnnualFee ? ' (pro-rata rates recalculated)' : ''))
+        setSuccess('Category updated successfully' + (feeChanged ? ` (${formatMembershipYear(effectiveYear)} pro-rata rates recalculated)` : ''))
       } else {
         // Create new category with default pro-rata rates
         const order = categories.length + 1
-        categoryData.proRataRates = generateDefaultProRataRates(newAnnualFee)
+        categoryData.proRataRates = generateDefaultProRataRates(newAnnualFee, startMonth)
         await createCategory({ ...categoryData, order })
         setSuccess('Category created successfully')
       }
@@ -220,6 +256,17 @@ const CategoryManager = () => {
     }
   }
 
+  const setGroupRate = (groupType, changes) => {
+    const existing = groupRates.find(rate => rate.groupType === groupType)
+    if (changes.rateType === '') {
+      setGroupRates(groupRates.filter(rate => rate.groupType !== groupType))
+    } else if (existing) {
+      setGroupRates(groupRates.map(rate => rate.groupType === groupType ? { ...rate, ...changes } : rate))
+    } else {
+      setGroupRates([...groupRates, { groupType, rateType: GROUP_RATE_TYPES.FIXED, amount: '', ...changes }])
+    }
+  }
+
   const handleSaveRates = async () => {
     setSuccess('Pro-rata rates saved successfully')
     setEditingRates(null)
@@ -235,7 +282,7 @@ const CategoryManager = () => {
         Membership Categories
       </h2>
       <p className="text-sm text-gray-600 mb-4">
-        Manage membership categories and their fees. Click <span className="text-purple-600 font-medium">Rates</span> to view/edit pro-rata rates for new members joining mid-year. Rates are auto-calculated from the annual fee but can be manually adjusted. Changing the annual fee will recalculate all rates.
+        Manage membership categories and their fees. Click <span className="text-purple-600 font-medium">Rates</span> to view/edit pro-rata rates for new members joining mid-year. Rates are auto-calculated from the annual fee but can be manually adjusted. Changing the annual fee will recalculate all rates. Price changes apply from the membership year you choose; click <span className="text-gray-700 font-medium">History</span> to see the prices of earlier years.
       </p>
 
       {/* Success/Error Messages */}
@@ -296,60 +343,108 @@ const CategoryManager = () => {
             </thead>
             <tbody className="bg-white divide-y divide-gray-200">
               {categories.map((category, index) => (
-                <tr key={category.id}>
-                  <td className="px-4 py-3 whitespace-nowrap">
-                    <div className="flex space-x-1">
+                <Fragment key={category.id}>
+                  <tr>
+                    <td className="px-4 py-3 whitespace-nowrap">
+                      <div className="flex space-x-1">
+                        <button
+                          onClick={() => handleMoveUp(index)}
+                          disabled={index === 0}
+                          className="text-gray-400 hover:text-gray-600 disabled:opacity-30 disabled:cursor-not-allowed"
+                          title="Move up"
+                        >
+                          ▲
+                        </button>
+                        <button
+                          onClick={() => handleMoveDown(index)}
+                          disabled={index === categories.length - 1}
+                          className="text-gray-400 hover:text-gray-600 disabled:opacity-30 disabled:cursor-not-allowed"
+                          title="Move down"
+                        >
+                          ▼
+                        </button>
+                      </div>
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-900">{category.name}</td>
+                    <td className="px-4 py-3 text-sm text-gray-600">{category.ageMin} - {category.ageMax}</td>
+                    <td className="px-4 py-3 text-sm text-gray-600">{category.playingRights}</td>
+                    <td className="px-4 py-3 text-sm text-gray-600">
+                      ${category.annualFee}
+                      {(category.groupRates || []).map(rate => (
+                        <span key={rate.groupType} className="block text-xs text-gray-500">
+                          {MEMBER_GROUP_TYPE_LABELS[rate.groupType]}: {formatGroupRate(rate)}
+                        </span>
+                      ))}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-600">${category.joiningFee}</td>
+                    <td className="px-4 py-3 text-sm">
+                      {category.isSpecial ? (
+                        <span className="px-2 py-1 bg-purple-100 text-purple-800 text-xs rounded">Manual</span>
+                      ) : (
+                        <span className="px-2 py-1 bg-gray-100 text-gray-600 text-xs rounded">Auto</span>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 text-sm space-x-2">
+                      <button
+                        onClick={() => openEditForm(category)}
+                        className="text-primary hover:text-primary/80"
+                      >
+                        Edit
+                      </button>
                       <button
-                        onClick={() => handleMoveUp(index)}
-                        disabled={index === 0}
-                        className="text-gray-400 hover:text-gray-600 disabled:opacity-30 disabled:cursor-not-allowed"
-                        title="Move up"
+                        onClick={() => setEditingRates(category)}
+                        className="text-purple-600 hover:text-purple-800"
                       >
-                        ▲
+                        Rates
                       </button>
+                      {category.priceSchedules?.length > 0 && (
+                        <button
+                          onClick={() => setHistoryCategoryId(historyCategoryId === category.id ? null : category.id)}
+                          className="text-gray-600 hover:text-gray-800"
+                        >
+                          History
+                        </button>
+                      )}
                       <button
-                        onClick={() => handleMoveDown(index)}
-                        disabled={index === categories.length - 1}
-                        className="text-gray-400 hover:text-gray-600 disabled:opacity-30 disabled:cursor-not-allowed"
-                        title="Move down"
+                        onClick={() => handleDelete(category.id, category.name)}
+                        className="text-red-600 hover:text-red-800"
                       >
-                        ▼
+                        Delete
                       </button>
-                    </div>
-                  </td>
-                  <td className="px-4 py-3 text-sm text-gray-900">{category.name}</td>
-                  <td className="px-4 py-3 text-sm text-gray-600">{category.ageMin} - {category.ageMax}</td>
-                  <td className="px-4 py-3 text-sm text-gray-600">{category.playingRights}</td>
-                  <td className="px-4 py-3 text-sm text-gray-600">${category.annualFee}</td>
-                  <td className="px-4 py-3 text-sm text-gray-600">${category.joiningFee}</td>
-                  <td className="px-4 py-3 text-sm">
-                    {category.isSpecial ? (
-                      <span className="px-2 py-1 bg-purple-100 text-purple-800 text-xs rounded">Manual</span>
-                    ) : (
-                      <span className="px-2 py-1 bg-gray-100 text-gray-600 text-xs rounded">Auto</span>
-                    )}
-                  </td>
-                  <td className="px-4 py-3 text-sm space-x-2">
-                    <button
-                      onClick={() => openEditForm(category)}
-                      className="text-primary hover:text-primary/80"
-                    >
-                      Edit
-                    </button>
-                    <button
-                      onClick={() => setEditingRates(category)}
-                      className="text-purple-600 hover:text-purple-800"
-                    >
-                      Rates
-                    </button>
-                    <button
-                      onClick={() => handleDelete(category.id, category.name)}
-                      className="text-red-600 hover:text-red-800"
-                    >
-                      Delete
-                    </button>
-                  </td>
-                </tr>
+                    </td>
+                  </tr>
+                  {historyCategoryId === category.id && (
+                    <tr>
+                      <td colSpan={8} className="px-4 py-3 bg-gray-50">
+                        <table className="text-sm">
+                          <thead>
+                            <tr className="text-xs text-gray-500 uppercase">
+                              <th className="pr-6 text-left font-medium">Membership Year</th>
+                              <th className="pr-6 text-left font-medium">Annual Fee</th>
+                              <th className="pr-6 text-left font-medium">{MONTH_NAMES[startMonth - 1]} Rate</th>
+                              <th className="pr-6 text-left font-medium">Joining Fee</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {[...category.priceSchedules].reverse().map(schedule => (
+                              <tr key={schedule.membershipYear} className="text-gray-700">
+                                <td className="pr-6 py-1">
+                                  {formatMembershipYear(schedule.membershipYear)}
+                                  {schedule.membershipYear === currentYear && (
+                                    <span className="ml-2 text-xs text-primary">current</span>
+                                  )}
+                                </td>
+                                <td className="pr-6 py-1">${schedule.annualFee}</td>
+                                <td className="pr-6 py-1">${schedule.proRataRates?.[String(startMonth)] ?? schedule.annualFee}</td>
+                                <td className="pr-6 py-1">${schedule.joiningFee}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
               ))}
             </tbody>
           </table>
@@ -435,6 +530,30 @@ const CategoryManager = () => {
                 </div>
 
                 {/* Fees */}
+                {editingCategory && (
+                  <div className="col-span-2">
+                    <FormField label="Prices Apply From" name="effectiveYear">
+                      <FormSelect
+                        id="effectiveYear"
+                        value={effectiveYear}
+                        onChange={(e) => changeEffectiveYear(parseInt(e.target.value, 10))}
+                      >
+                        {[-1, 0, 1].map(offset => {
+                          const year = currentYear + offset
+                          return (
+                            <option key={year} value={year}>
+                              {formatMembershipYear(year)} membership year
+                            </option>
+                          )
+                        })}
+                      </FormSelect>
+                    </FormField>
+                    <p className="text-xs text-gray-500 mt-1">
+                      Fees and quotes for earlier membership years keep their old prices
+                    </p>
+                  </div>
+                )}
+
                 <FormField
                   label="Annual Fee ($)"
                   name="annualFee"
@@ -510,6 +629,43 @@ const CategoryManager = () => {
                     Leave blank if joining fee applies year-round
                   </p>
                 </div>
+
+                {/* Group Rates (Optional) */}
+                <div className="col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Linked Membership Rates (Optional)
+                  </label>
+                  <div className="space-y-2">
+                    {Object.entries(MEMBER_GROUP_TYPE_LABELS).map(([groupType, label]) => {
+                      const rate = groupRates.find(r => r.groupType === groupType)
+                      return (
+                        <div key={groupType} className="grid grid-cols-3 gap-2 items-center">
+                          <span className="text-sm text-gray-700">{label}</span>
+                          <FormSelect
+                            value={rate?.rateType || ''}
+                            onChange={(e) => setGroupRate(groupType, { rateType: e.target.value })}
+                          >
+                            <option value="">Standard fee</option>
+                            <option value={GROUP_RATE_TYPES.FIXED}>Fixed fee ($)</option>
+                            <option value={GROUP_RATE_TYPES.PERCENTAGE}>Discount (%)</option>
+                          </FormSelect>
+                          <FormInput
+                            type="number"
+                            min="0"
+                            step="0.01"
+                            max={rate?.rateType === GROUP_RATE_TYPES.PERCENTAGE ? '100' : undefined}
+                            value={rate?.amount ?? ''}
+                            disabled={!rate}
+                            onChange={(e) => setGroupRate(groupType, { amount: e.target.value })}
+                          />
+                        </div>
+                      )
+                    })}
+                  </div>
+                  <p className="text-xs text-gray-500 mt-1">
+                    Annual fee for members of this category who belong to a linked family, couple or corporate membership
+                  </p>
+                </div>
               </div>
 
               {error && (
@@ -0,0 +1,259 @@
+import { useState } from 'react'
+import { useQueryClient } from '@tanstack/react-query'
+import { useAuth } from '../contexts/AuthContext'
+import {
+  getNextMembershipYearStart,
+  previewCategoryProgression,
+  applyCategoryProgression
+} from '../services/categoryProgressionService'
+import { memberKeys } from '@/hooks/useMember'
+import { memberEventKeys } from '@/hooks/useMemberEvents'
+import { useClubSettings } from '@/hooks/useClubSettings'
+import { DEFAULT_CLUB_SETTINGS } from '../services/clubSettingsService'
+import { FormField, FormInput } from './form'
+
+const formatFeeChange = (amount) => {
+  if (amount === 0) return '$0.00'
+  return `${amount > 0 ? '+' : '-'}$${Math.abs(amount).toFixed(2)}`
+}
+
+const CategoryProgression = () => {
+  const { currentUser } = useAuth()
+  const queryClient = useQueryClient()
+  const { data: club = DEFAULT_CLUB_SETTINGS } = useClubSettings()
+  // Defaults to the start of the next membership year until a date is chosen
+  const [chosenDate, setEffectiveDate] = useState(null)
+  const effectiveDate = chosenDate ?? getNextMembershipYearStart(undefined, club.membershipYearStartMonth)
+  const [preview, setPreview] = useState(null)
+  const [isLoading, setIsLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const [success, setSuccess] = useState(null)
+  const [showResults, setShowResults] = useState(false)
+  const [results, setResults] = useState(null)
+
+  const handlePreview = async () => {
+    try {
+      setIsLoading(true)
+      setError(null)
+      setSuccess(null)
+      setPreview(await previewCategoryProgression(effectiveDate))
+    } catch (err) {
+      setError('Failed to preview: ' + err.message)
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const handleApply = async () => {
+    if (!preview || preview.moves.length === 0) return
+
+    const confirmed = window.confirm(
+      `Move ${preview.moves.length} member${preview.moves.length !== 1 ? 's' : ''} to their new age category ` +
+      `from ${preview.effectiveDate}?\n\n` +
+      `Annual fee change: ${formatFeeChange(preview.totalFeeChange)}\n\n` +
+      `This will:\n` +
+      `- Change each member's membership category\n` +
+      `- Record the change date and reason on each member's timeline\n` +
+      `- Not change fees already applied\n\n` +
+      `Continue?`
+    )
+
+    if (!confirmed) return
+
+    try {
+      setIsLoading(true)
+      setError(null)
+      setSuccess(null)
+
+      const applyResults = await applyCategoryProgression(preview.moves, preview.effectiveDate, currentUser.uid)
+      setResults(applyResults)
+      setShowResults(true)
+      setPreview(null)
+      queryClient.invalidateQueries({ queryKey: memberKeys.all })
+      queryClient.invalidateQueries({ queryKey: memberEventKeys.all })
+
+      if (applyResults.successful > 0) {
+        setSuccess(`Moved ${applyResults.successful} members to their new categories`)
+      }
+    } catch (err) {
+      setError('Failed to apply category changes: ' + err.message)
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h3 className="text-lg font-semibold text-gray-900 mb-2">Age Category Progression</h3>
+        <p className="text-sm text-gray-600">
+          Find members whose age on the effective date no longer fits their age-banded category (for example juniors
+          turning 19) and move them to the matching category. Run this before applying annual fees so members are
+          charged at their new rate. Members in special categories are left alone.
+        </p>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-md p-4">
+          <p className="text-red-800 text-sm">{error}</p>
+        </div>
+      )}
+
+      {success && (
+        <div className="bg-secondary/20 border border-primary rounded-md p-4">
+          <p className="text-primary text-sm">{success}</p>
+        </div>
+      )}
+
+      <div className="flex items-end gap-4">
+        <FormField label="Effective Date:" name="progressionEffectiveDate">
+          <FormInput
+            type="date"
+            id="progressionEffectiveDate"
+            value={effectiveDate}
+            onChange={(e) => {
+              setEffectiveDate(e.target.value)
+              setPreview(null)
+            }}
+          />
+        </FormField>
+      </div>
+
+      <div className="flex gap-3">
+        <button
+          onClick={handlePreview}
+          disabled={isLoading || !effectiveDate}
+          className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+        >
+          {isLoading ? 'Loading...' : 'Preview Category Changes'}
+        </button>
+        <button
+          onClick={handleApply}
+          disabled={isLoading || !preview || preview.moves.length === 0}
+          className="px-4 py-2 bg-primary text-white rounded-md hover:bg-primary/90 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Apply Category Changes
+        </button>
+      </div>
+
+      {preview && (
+        <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
+          <h4 className="font-semibold text-blue-900 mb-3">Category Changes from {preview.effectiveDate}</h4>
+
+          <div className="grid grid-cols-3 gap-4 mb-4">
+            <div>
+              <p className="text-sm text-blue-700">Members to Move</p>
+              <p className="text-2xl font-bold text-blue-900">{preview.moves.length}</p>
+            </div>
+            <div>
+              <p className="text-sm text-blue-700">Annual Fee Change</p>
+              <p className="text-2xl font-bold text-blue-900">{formatFeeChange(preview.totalFeeChange)}</p>
+            </div>
+            <div>
+              <p className="text-sm text-blue-700">No Date of Birth</p>
+              <p className="text-2xl font-bold text-blue-900">{preview.missingDateOfBirth.length}</p>
+            </div>
+          </div>
+
+          {preview.moves.length > 0 ? (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-blue-200">
+                <thead>
+                  <tr>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-blue-700 uppercase">Member</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-blue-700 uppercase">Age</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-blue-700 uppercase">From</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-blue-700 uppercase">To</th>
+                    <th className="px-3 py-2 text-right text-xs font-medium text-blue-700 uppercase">Fee Impact</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-blue-100">
+                  {preview.moves.map(move => (
+                    <tr key={move.memberId}>
+                      <td className="px-3 py-2 text-sm text-blue-900">{move.memberName}</td>
+                      <td className="px-3 py-2 text-sm text-blue-800">{move.age}</td>
+                      <td className="px-3 py-2 text-sm text-blue-800">{move.fromCategoryName}</td>
+                      <td className="px-3 py-2 text-sm text-blue-800">{move.toCategoryName}</td>
+                      <td className="px-3 py-2 text-sm text-right text-blue-900">
+                        ${move.currentFee.toFixed(2)} &rarr; ${move.newFee.toFixed(2)}
+                        <span className="block text-xs text-blue-700">{formatFeeChange(move.feeChange)}</span>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <p className="text-sm text-blue-700">Every member&apos;s category fits their age on {preview.effectiveDate}.</p>
+          )}
+
+          {(preview.missingDateOfBirth.length > 0 || preview.unmatched.length > 0) && (
+            <div className="mt-4 pt-4 border-t border-blue-200 space-y-2 text-sm text-blue-800">
+              {preview.missingDateOfBirth.length > 0 && (
+                <p>
+                  <span className="font-medium">No date of birth (not checked):</span>{' '}
+                  {preview.missingDateOfBirth.map(m => m.fullName).join(', ')}
+                </p>
+              )}
+              {preview.unmatched.length > 0 && (
+                <p>
+                  <span className="font-medium">No category for their age:</span>{' '}
+                  {preview.unmatched.map(m => `${m.fullName} (${m.age})`).join(', ')}
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Results Modal */}
+      {showResults && results && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg shadow-xl max-w-3xl w-full max-h-[90vh] overflow-hidden">
+            <div className="p-6 border-b border-gray-200">
+              <h3 className="text-lg font-semibold text-gray-900">Category Progression Results</h3>
+            </div>
+
+            <div className="p-6 overflow-y-auto max-h-[calc(90vh-200px)]">
+              <div className="grid grid-cols-3 gap-4 mb-6">
+                <div className="bg-success/10 p-4 rounded-lg">
+                  <p className="text-sm text-success/90">Successful</p>
+                  <p className="text-2xl font-bold text-success">{results.successful}</p>
+                </div>
+                <div className="bg-gray-50 p-4 rounded-lg">
+                  <p className="text-sm text-gray-700">Skipped</p>
+                  <p className="text-2xl font-bold text-gray-900">{results.skipped}</p>
+                </div>
+                <div className="bg-red-50 p-4 rounded-lg">
+                  <p className="text-sm text-red-700">Failed</p>
+                  <p className="text-2xl font-bold text-red-900">{results.failed}</p>
+                </div>
+              </div>
+
+              {results.details.some(detail => detail.status !== 'success') && (
+                <ul className="space-y-1 text-sm">
+                  {results.details.filter(detail => detail.status !== 'success').map(detail => (
+                    <li key={detail.memberId} className={detail.status === 'failed' ? 'text-red-700' : 'text-gray-700'}>
+                      {detail.memberName}: {detail.error}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            <div className="p-6 border-t border-gray-200 flex justify-end">
+              <button
+                onClick={() => setShowResults(false)}
+                className="px-4 py-2 bg-primary text-white rounded-md hover:bg-primary/90"
+              >
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default CategoryProgression
@@ -0,0 +1,161 @@
+import { useState } from 'react'
+import { useQueryClient } from '@tanstack/react-query'
+import { useAuth } from '../contexts/AuthContext'
+import { useCreateClub } from '@/hooks/useClubs'
+import { DEFAULT_CLUB_ID, suggestClubId } from '../services/clubService'
+import { importLegacyData } from '../services/adminService'
+import { runClubWork } from '../lib/firebase/clubScope'
+import { ROLE_NAMES, USER_STATUS } from '../services/usersService'
+import { handleError, showSuccess } from '@/utils/errorHandler'
+import { FormField, FormInput } from './form'
+
+/**
+ * ClubManager - The clubs on this deployment the user belongs to, adding a club,
+ * and importing the data from before clubs into the first club
+ */
+const ClubManager = () => {
+  const { currentUser, clubs, activeClubId, refreshClubs } = useAuth()
+  const [newClub, setNewClub] = useState(null)
+  const [isImporting, setIsImporting] = useState(false)
+  const [importProgress, setImportProgress] = useState('')
+  const queryClient = useQueryClient()
+
+  const createMutation = useCreateClub({
+    onSuccess: () => {
+      setNewClub(null)
+      refreshClubs()
+    }
+  })
+
+  const handleCreate = (e) => {
+    e.preventDefault()
+    createMutation.mutate({
+      clubData: newClub,
+      user: { uid: currentUser.uid, email: currentUser.email },
+      fromClubId: activeClubId
+    })
+  }
+
+  const handleImport = async () => {
+    const confirmed = window.confirm(
+      'Copy the members, payments, fees, categories, settings and users from before clubs into this club?\n\n' +
+      'Only do this once, into an empty club. The original data is left in place.'
+    )
+    if (!confirmed) return
+
+    try {
+      setIsImporting(true)
+      const results = await runClubWork(() => importLegacyData((collectionName, count) =>
+        setImportProgress(`Copied ${count} ${collectionName}`)
+      ))
+      const total = Object.values(results).reduce((sum, count) => sum + count, 0)
+      showSuccess(`Imported ${total} records (${results.members} members, ${results.payments} payments)`)
+      await refreshClubs()
+      queryClient.invalidateQueries()
+    } catch (error) {
+      handleError(error, 'Failed to import data')
+    } finally {
+      setIsImporting(false)
+      setImportProgress('')
+    }
+  }
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold text-gray-900">Clubs</h2>
+        {!newClub && (
+          <button
+            onClick={() => setNewClub({ clubName: '', clubId: '' })}
+            className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+          >
+            Add Club
+          </button>
+        )}
+      </div>
+
+      <p className="text-sm text-gray-600 mb-4">
+        Each club has its own members, payments, fees, categories, settings and users.
+        Switch between your clubs from the user menu.
+      </p>
+
+      <ul className="divide-y border rounded-md mb-4">
+        {clubs.map(club => (
+          <li key={club.clubId} className="flex justify-between px-4 py-2 text-sm">
+            <span className={club.clubId === activeClubId ? 'font-semibold text-gray-900' : 'text-gray-700'}>
+              {club.name} <span className="text-gray-400">({club.clubId})</span>
+            </span>
+            <span className="text-gray-500">
+              {club.status === USER_STATUS.ACTIVE ? ROLE_NAMES[club.role] : 'Pending approval'}
+            </span>
+          </li>
+        ))}
+      </ul>
+
+      {newClub && (
+        <form onSubmit={handleCreate} className="space-y-4 border rounded-md p-4 mb-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <FormField label="Club Name" name="newClubName" required>
+              <FormInput
+                id="newClubName"
+                value={newClub.clubName}
+                onChange={(e) => setNewClub({ clubName: e.target.value, clubId: suggestClubId(e.target.value) })}
+              />
+            </FormField>
+            <FormField
+              label="Club ID"
+              name="newClubId"
+              required
+              helpText="Used in application links, e.g. /apply?club=riverside. Can't be changed later."
+            >
+              <FormInput
+                id="newClubId"
+                value={newClub.clubId}
+                onChange={(e) => setNewClub({ ...newClub, clubId: e.target.value })}
+              />
+            </FormField>
+          </div>
+          <p className="text-xs text-gray-500">
+            You will be the new club&apos;s super admin. Set up its details, categories and users after switching to it.
+          </p>
+          <div className="flex gap-3">
+            <button
+              type="submit"
+              disabled={createMutation.isPending || !newClub.clubName.trim() || !newClub.clubId}
+              className="px-4 py-2 bg-primary text-white rounded-md hover:bg-primary/90 disabled:opacity-50"
+            >
+              {createMutation.isPending ? 'Creating...' : 'Create Club'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setNewClub(null)}
+              className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {activeClubId === DEFAULT_CLUB_ID && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded p-4">
+          <h3 className="font-semibold text-gray-900 mb-2">Import Data from Before Clubs</h3>
+          <p className="text-sm text-gray-700 mb-3">
+            Data recorded before this deployment supported several clubs is not shown until it is
+            imported into this club. Run the import once, before adding any members.
+          </p>
+          <button
+            onClick={handleImport}
+            disabled={isImporting}
+            className="px-4 py-2 bg-primary text-white rounded hover:bg-primary/90 disabled:opacity-50"
+          >
+            {isImporting ? 'Importing...' : 'Import Data'}
+          </button>
+          {importProgress && <span className="ml-3 text-sm text-gray-600">{importProgress}</span>}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ClubManager
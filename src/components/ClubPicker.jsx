@@ -0,0 +1,32 @@
+import { useAuth } from '../contexts/AuthContext'
+import { FormField, FormSelect } from './form'
+
+/**
+ * ClubPicker - Choose the club on the public pages (registration, membership application)
+ * Hidden when the deployment has only one club.
+ *
+ * @param {object} props
+ * @param {string} props.label - Field label
+ * @param {string} props.className - Classes for the field wrapper
+ */
+const ClubPicker = ({ label = 'Club', className = '' }) => {
+  const { clubs, activeClubId, switchClub } = useAuth()
+
+  if (clubs.length < 2) return null
+
+  return (
+    <FormField label={label} name="clubId" required className={className}>
+      <FormSelect
+        id="clubId"
+        value={activeClubId || ''}
+        onChange={(e) => switchClub(e.target.value)}
+      >
+        {clubs.map(club => (
+          <option key={club.clubId} value={club.clubId}>{club.name}</option>
+        ))}
+      </FormSelect>
+    </FormField>
+  )
+}
+
+export default ClubPicker
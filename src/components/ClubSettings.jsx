@@ -0,0 +1,234 @@
+import { useState } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import { useClubSettings, useSaveClubSettings } from '@/hooks/useClubSettings'
+import {
+  DEFAULT_CLUB_SETTINGS,
+  MAX_LOGO_SIZE,
+  MONTH_NAMES,
+  formatClubContactLine,
+  formatTreasurerContact,
+  formatBankDetails,
+  formatMembershipYearSpan
+} from '../services/clubSettingsService'
+import { showWarning } from '@/utils/errorHandler'
+import { FormField, FormInput, FormSelect } from './form'
+
+const TEXT_FIELDS = [
+  { section: 'Identity', fields: [
+    { name: 'clubName', label: 'Club Name', required: true },
+    { name: 'legalName', label: 'Legal Name', helpText: 'Printed on receipts and credit notes' },
+    { name: 'website', label: 'Website' }
+  ] },
+  { section: 'Contact', fields: [
+    { name: 'address', label: 'Address' },
+    { name: 'phone', label: 'Phone' },
+    { name: 'email', label: 'Email', type: 'email' },
+    { name: 'secretaryName', label: 'Secretary', helpText: 'Signs welcome letters' },
+    { name: 'treasurerName', label: 'Treasurer', helpText: 'Signs payment reminders and renewal notices' },
+    { name: 'treasurerPhone', label: 'Treasurer Phone' },
+    { name: 'treasurerEmail', label: 'Treasurer Email', type: 'email' }
+  ] },
+  { section: 'Payments', fields: [
+    { name: 'receiptPrefix', label: 'Receipt Prefix', required: true, helpText: 'e.g. R gives receipt numbers like R2026-001' },
+    { name: 'bankAccountName', label: 'Bank Account Name' },
+    { name: 'bankBsb', label: 'BSB' },
+    { name: 'bankAccountNumber', label: 'Account Number' }
+  ] }
+]
+
+/**
+ * ClubSettings - Club identity, contact details, logo, bank details, receipt prefix and membership year
+ * Letters, receipts, emails and fee calculations all read these settings.
+ */
+const ClubSettings = () => {
+  const { currentUser } = useAuth()
+  const { data: club = DEFAULT_CLUB_SETTINGS, isSuccess } = useClubSettings()
+  const [editing, setEditing] = useState(null)
+
+  const saveMutation = useSaveClubSettings({ onSuccess: () => setEditing(null) })
+
+  const handleLogoChange = (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+
+    if (!['image/png', 'image/jpeg'].includes(file.type)) {
+      showWarning('Logo must be a PNG or JPEG image')
+      return
+    }
+    if (file.size > MAX_LOGO_SIZE) {
+      showWarning(`Logo must be ${MAX_LOGO_SIZE / 1024} KB or smaller`)
+      return
+    }
+
+    const reader = new FileReader()
+    reader.onload = (event) => setEditing(current => ({ ...current, logoDataUrl: event.target.result }))
+    reader.readAsDataURL(file)
+  }
+
+  const handleSave = (e) => {
+    e.preventDefault()
+    saveMutation.mutate({ settings: editing, userId: currentUser.uid })
+  }
+
+  const handleStartMonthChange = (e) => {
+    const startMonth = parseInt(e.target.value)
+    if (startMonth !== club.membershipYearStartMonth) {
+      const confirmed = window.confirm(
+        `Start the membership year in ${MONTH_NAMES[startMonth - 1]}?\n\n` +
+        'Pro-rata rates, fee years and renewal dates will all use the new start month. ' +
+        'Review each category\'s rates after saving.'
+      )
+      if (!confirmed) return
+    }
+    setEditing({ ...editing, membershipYearStartMonth: startMonth })
+  }
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold text-gray-900">Club Settings</h2>
+        {!editing && (
+          <button
+            onClick={() => setEditing({ ...club })}
+            disabled={!isSuccess}
+            className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+          >
+            Edit Settings
+          </button>
+        )}
+      </div>
+
+      {editing ? (
+        <form onSubmit={handleSave} className="space-y-6">
+          {TEXT_FIELDS.map(({ section, fields }) => (
+            <div key={section}>
+              <h3 className="text-sm font-semibold text-gray-700 mb-2">{section}</h3>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {fields.map(field => (
+                  <FormField
+                    key={field.name}
+                    label={field.label}
+                    name={field.name}
+                    required={field.required}
+                    helpText={field.helpText}
+                  >
+                    <FormInput
+                      id={field.name}
+                      type={field.type || 'text'}
+                      value={editing[field.name]}
+                      onChange={(e) => setEditing({ ...editing, [field.name]: e.target.value })}
+                    />
+                  </FormField>
+                ))}
+              </div>
+            </div>
+          ))}
+
+          <div>
+            <h3 className="text-sm font-semibold text-gray-700 mb-2">Membership Year</h3>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <FormField
+                label="Starts In"
+                name="membershipYearStartMonth"
+                helpText={`Membership year runs ${formatMembershipYearSpan(editing.membershipYearStartMonth)}`}
+              >
+                <FormSelect
+                  id="membershipYearStartMonth"
+                  value={editing.membershipYearStartMonth}
+                  onChange={handleStartMonthChange}
+                >
+                  {MONTH_NAMES.map((month, index) => (
+                    <option key={month} value={index + 1}>{month}</option>
+                  ))}
+                </FormSelect>
+              </FormField>
+            </div>
+          </div>
+
+          <div>
+            <h3 className="text-sm font-semibold text-gray-700 mb-2">Logo</h3>
+            <div className="flex items-center gap-4">
+              {editing.logoDataUrl ? (
+                <img src={editing.logoDataUrl} alt="Club logo" className="h-16 w-16 object-contain border rounded" />
+              ) : (
+                <span className="text-sm text-gray-500">No logo</span>
+              )}
+              <label className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 cursor-pointer text-sm">
+                Upload
+                <input type="file" accept="image/png,image/jpeg" onChange={handleLogoChange} className="hidden" />
+              </label>
+              {editing.logoDataUrl && (
+                <button
+                  type="button"
+                  onClick={() => setEditing({ ...editing, logoDataUrl: '' })}
+                  className="text-sm text-red-600 hover:text-red-800"
+                >
+                  Remove
+                </button>
+              )}
+            </div>
+            <p className="mt-1 text-sm text-muted-foreground">
+              PNG or JPEG up to {MAX_LOGO_SIZE / 1024} KB, printed at the top of letters and receipts
+            </p>
+          </div>
+
+          <div className="flex gap-3">
+            <button
+              type="submit"
+              disabled={saveMutation.isPending}
+              className="px-4 py-2 bg-primary text-white rounded-md hover:bg-primary/90 disabled:opacity-50"
+            >
+              {saveMutation.isPending ? 'Saving...' : 'Save'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setEditing(null)}
+              className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <dl className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="flex items-center gap-3">
+            {club.logoDataUrl && (
+              <img src={club.logoDataUrl} alt="Club logo" className="h-12 w-12 object-contain" />
+            )}
+            <div>
+              <dt className="text-sm font-medium text-gray-500">Club</dt>
+              <dd className="mt-1 text-sm text-gray-900">{club.clubName}</dd>
+            </div>
+          </div>
+          <div>
+            <dt className="text-sm font-medium text-gray-500">Contact</dt>
+            <dd className="mt-1 text-sm text-gray-900">
+              {club.address}<br />{formatClubContactLine(club)}
+            </dd>
+          </div>
+          <div>
+            <dt className="text-sm font-medium text-gray-500">Secretary / Treasurer</dt>
+            <dd className="mt-1 text-sm text-gray-900">
+              {club.secretaryName}<br />{formatTreasurerContact(club)}
+            </dd>
+          </div>
+          <div>
+            <dt className="text-sm font-medium text-gray-500">Bank Details</dt>
+            <dd className="mt-1 text-sm text-gray-900">{formatBankDetails(club)}</dd>
+          </div>
+          <div>
+            <dt className="text-sm font-medium text-gray-500">Membership Year</dt>
+            <dd className="mt-1 text-sm text-gray-900">{formatMembershipYearSpan(club.membershipYearStartMonth)}</dd>
+          </div>
+          <div>
+            <dt className="text-sm font-medium text-gray-500">Receipt Numbers</dt>
+            <dd className="mt-1 text-sm text-gray-900">{club.receiptPrefix}{new Date().getFullYear()}-001</dd>
+          </div>
+        </dl>
+      )}
+    </div>
+  )
+}
+
+export default ClubSettings
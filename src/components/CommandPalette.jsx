@@ -1,7 +1,7 @@
-import { useState, useEffect, useMemo } from 'react'
+import { useState, useEffect } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
-import { useMembers } from '../hooks/useMembers'
+import { useMemberSearch } from '../hooks/useMembers'
 import {
   CommandDialog,
   CommandInput,
@@ -31,24 +31,11 @@ const CommandPalette = () => {
   const navigate = useNavigate()
   const { checkPermission, ROLES } = useAuth()
 
-  // Fetch members for search (only when palette is open)
-  const { data: members = [] } = useMembers({
+  // Search members through the search index (only when palette is open)
+  const { data: memberSearch } = useMemberSearch(search, {
     enabled: open,
   })
-
-  // Filter members by search term
-  const filteredMembers = useMemo(() => {
-    if (!search || search.length < 2) return []
-    const term = search.toLowerCase()
-    return members
-      .filter(
-        (m) =>
-          m.fullName?.toLowerCase().includes(term) ||
-          m.email?.toLowerCase().includes(term) ||
-          m.memberNumber?.toLowerCase().includes(term)
-      )
-      .slice(0, 5) // Limit results
-  }, [members, search])
+  const filteredMembers = (memberSearch?.pages[0]?.results || []).slice(0, 5) // Limit results
 
   // Keyboard shortcut listener (Cmd+K / Ctrl+K)
   useEffect(() => {
@@ -127,13 +114,15 @@ const CommandPalette = () => {
               <CommandItem
                 key={member.id}
                 value={`member-${member.id}-${member.fullName}`}
+                // Matched by the search index (phone, email, suburb...), so always shown
+                keywords={[search]}
                 onSelect={() => handleSelect(() => navigate(`/members/${member.id}`))}
               >
                 <User className="mr-2 h-4 w-4" />
                 <span>{member.fullName}</span>
-                {member.memberNumber && (
+                {member.golfAustraliaId && (
                   <span className="ml-2 text-xs text-muted-foreground">
-                    #{member.memberNumber}
+                    GA: {member.golfAustraliaId}
                   </span>
                 )}
               </CommandItem>
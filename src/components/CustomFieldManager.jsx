@@ -0,0 +1,279 @@
+import { useState } from 'react'
+import { useForm } from 'react-hook-form'
+import { zodResolver } from '@hookform/resolvers/zod'
+import {
+  useCustomFields,
+  useCreateCustomField,
+  useUpdateCustomField
+} from '@/hooks/useCustomFields'
+import {
+  toCustomFieldKey,
+  CUSTOM_FIELD_TYPES,
+  CUSTOM_FIELD_TYPE_LABELS
+} from '../services/memberFieldService'
+import { customFieldFormSchema } from '../schemas'
+import { FormField, FormInput, FormSelect } from './form'
+
+const emptyForm = (order) => ({
+  label: '',
+  type: CUSTOM_FIELD_TYPES.TEXT,
+  options: '',
+  active: true,
+  order: String(order),
+})
+
+const CustomFieldManager = () => {
+  const [showForm, setShowForm] = useState(false)
+  const [editingField, setEditingField] = useState(null)
+
+  const { data: fields = [], isLoading } = useCustomFields()
+  const createMutation = useCreateCustomField({ onSuccess: () => closeForm() })
+  const updateMutation = useUpdateCustomField({ onSuccess: () => closeForm() })
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    watch,
+    formState: { errors },
+  } = useForm({
+    resolver: zodResolver(customFieldFormSchema),
+    defaultValues: emptyForm(1),
+  })
+
+  /* eslint-disable react-hooks/incompatible-library -- watch() is intentionally reactive */
+  const watchLabel = watch('label')
+  const watchType = watch('type')
+  /* eslint-enable react-hooks/incompatible-library */
+
+  const openAddForm = () => {
+    setEditingField(null)
+    reset(emptyForm(fields.length + 1))
+    setShowForm(true)
+  }
+
+  const openEditForm = (field) => {
+    setEditingField(field)
+    reset({
+      label: field.label,
+      type: field.type,
+      options: (field.options || []).join('\n'),
+      active: field.active !== false,
+      order: String(field.order ?? ''),
+    })
+    setShowForm(true)
+  }
+
+  function closeForm() {
+    setShowForm(false)
+    setEditingField(null)
+  }
+
+  const onFormSubmit = (data) => {
+    if (editingField) {
+      updateMutation.mutate({ key: editingField.id, fieldData: data })
+    } else {
+      createMutation.mutate(data)
+    }
+  }
+
+  const handleToggleActive = (field) => {
+    updateMutation.mutate({
+      key: field.id,
+      fieldData: { ...field, active: !field.active }
+    })
+  }
+
+  const isSaving = createMutation.isPending || updateMutation.isPending
+
+  return (
+    <div className="bg-white shadow rounded-lg p-6">
+      <h2 className="text-xl font-semibold text-gray-900 mb-2 flex items-center">
+        <svg className="w-6 h-6 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-6 9l2 2 4-4" />
+        </svg>
+        Member Fields
+      </h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Extra details kept on every member, such as a locker number, volunteer role, pennant team or key fob number.
+        Active fields appear on the member form, can be searched and filtered on the members list, and are included
+        in CSV exports and imports (the column heading is the field label). Fields are deactivated rather than deleted
+        so members keep their values.
+      </p>
+
+      <div className="mb-4">
+        <button
+          onClick={openAddForm}
+          className="px-4 py-2 bg-primary text-white rounded hover:bg-primary/90 transition-colors"
+        >
+          + Add Field
+        </button>
+      </div>
+
+      {isLoading ? (
+        <p className="text-gray-600">Loading fields...</p>
+      ) : fields.length === 0 ? (
+        <p className="text-sm text-gray-500 italic">No member fields yet.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Order</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Label</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Key</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Type</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {fields.map(field => (
+                <tr key={field.id} className={field.active ? '' : 'bg-gray-50'}>
+                  <td className="px-4 py-3 text-sm text-gray-600">{field.order}</td>
+                  <td className="px-4 py-3 text-sm text-gray-900">{field.label}</td>
+                  <td className="px-4 py-3 text-sm text-gray-500 font-mono">{field.id}</td>
+                  <td className="px-4 py-3 text-sm text-gray-600">
+                    {CUSTOM_FIELD_TYPE_LABELS[field.type] || field.type}
+                    {field.type === CUSTOM_FIELD_TYPES.SELECT && (
+                      <span className="block text-xs text-gray-500">{(field.options || []).join(', ')}</span>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-sm">
+                    {field.active ? (
+                      <span className="px-2 py-1 bg-green-100 text-green-800 text-xs rounded">Active</span>
+                    ) : (
+                      <span className="px-2 py-1 bg-gray-100 text-gray-600 text-xs rounded">Inactive</span>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-sm space-x-2">
+                    <button
+                      onClick={() => openEditForm(field)}
+                      className="text-primary hover:text-primary/80"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => handleToggleActive(field)}
+                      disabled={updateMutation.isPending}
+                      className={field.active ? 'text-red-600 hover:text-red-800' : 'text-green-600 hover:text-green-800'}
+                    >
+                      {field.active ? 'Deactivate' : 'Activate'}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Field Form Modal */}
+      {showForm && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg shadow-xl max-w-lg w-full max-h-[90vh] overflow-y-auto">
+            <div className="p-6 border-b">
+              <h3 className="text-xl font-bold text-gray-900">
+                {editingField ? 'Edit Member Field' : 'Add Member Field'}
+              </h3>
+            </div>
+
+            <form onSubmit={handleSubmit(onFormSubmit)} className="p-6 space-y-4">
+              <FormField
+                label="Label"
+                name="label"
+                required
+                error={errors.label?.message}
+                helpText={editingField
+                  ? `Key: ${editingField.id} (cannot be changed)`
+                  : `Key: ${toCustomFieldKey(watchLabel) || '-'}`}
+              >
+                <FormInput
+                  type="text"
+                  id="label"
+                  placeholder="e.g., Locker Number"
+                  error={errors.label?.message}
+                  {...register('label')}
+                />
+              </FormField>
+
+              <FormField
+                label="Type"
+                name="type"
+                required
+                error={errors.type?.message}
+              >
+                <FormSelect
+                  id="type"
+                  error={errors.type?.message}
+                  {...register('type')}
+                >
+                  {Object.entries(CUSTOM_FIELD_TYPE_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </FormSelect>
+              </FormField>
+
+              {watchType === CUSTOM_FIELD_TYPES.SELECT && (
+                <FormField
+                  label="Options"
+                  name="options"
+                  required
+                  error={errors.options?.message}
+                  helpText="One per line"
+                >
+                  <textarea
+                    id="options"
+                    rows={4}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
+                    {...register('options')}
+                  />
+                </FormField>
+              )}
+
+              <FormField
+                label="Display Order"
+                name="order"
+                required
+                error={errors.order?.message}
+              >
+                <FormInput
+                  type="number"
+                  id="order"
+                  min="0"
+                  error={errors.order?.message}
+                  {...register('order')}
+                />
+              </FormField>
+
+              <label className="flex items-center">
+                <input type="checkbox" {...register('active')} className="mr-2" />
+                <span className="text-sm text-gray-700">Active (shown on the member form)</span>
+              </label>
+
+              <div className="flex space-x-3 pt-2">
+                <button
+                  type="submit"
+                  disabled={isSaving}
+                  className="flex-1 px-4 py-2 bg-primary text-white rounded hover:bg-primary/90 transition-colors disabled:opacity-50"
+                >
+                  {isSaving ? 'Saving...' : editingField ? 'Update Field' : 'Create Field'}
+                </button>
+                <button
+                  type="button"
+                  onClick={closeForm}
+                  disabled={isSaving}
+                  className="flex-1 px-4 py-2 bg-gray-200 text-gray-700 rounded hover:bg-gray-300 transition-colors"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default CustomFieldManager
@@ -3,12 +3,20 @@ import { useForm } from 'react-hook-form'
 import { zodResolver } from '@hookform/resolvers/zod'
 import { useAuth } from '../contexts/AuthContext'
 import { getAllCategories } from '../services/categoryService'
+import { getAnnualCategoryFee } from '../services/categoryProgressionService'
 import { previewFeeApplication, applyAnnualFees } from '../services/feeService'
+import { getDefaultInstalmentOptions } from '../services/instalmentService'
 import { feeApplicationFormSchema, transformFeeApplicationFormData } from '../schemas'
 import { FormField, FormSelect } from './form'
+import { InstalmentScheduleFields } from './InstalmentPlans'
+import { useClubSettings } from '@/hooks/useClubSettings'
+import { DEFAULT_CLUB_SETTINGS, MONTH_NAMES } from '../services/clubSettingsService'
 
 const FeeApplication = () => {
   const { currentUser } = useAuth()
+  const { data: club = DEFAULT_CLUB_SETTINGS } = useClubSettings()
+  const startMonth = club.membershipYearStartMonth
+  const startMonthName = MONTH_NAMES[startMonth - 1]
   const [categories, setCategories] = useState([])
   const [preview, setPreview] = useState(null)
   const [isLoading, setIsLoading] = useState(false)
@@ -16,11 +24,14 @@ const FeeApplication = () => {
   const [success, setSuccess] = useState(null)
   const [showResults, setShowResults] = useState(false)
   const [results, setResults] = useState(null)
+  const [continueInstalments, setContinueInstalments] = useState(true)
+  const [instalmentOptions, setInstalmentOptions] = useState(getDefaultInstalmentOptions)
 
   const {
     register,
     setValue,
     getValues,
+    watch,
     formState: { errors },
   } = useForm({
     resolver: zodResolver(feeApplicationFormSchema),
@@ -30,22 +41,26 @@ const FeeApplication = () => {
     },
   })
 
+  const feeYear = parseInt(watch('feeYear'))
+
+  // Fill the fees to apply with each category's full-year rate for the fee year
+  const resetCategoryFees = useCallback((cats, year) => {
+    const defaultOverrides = {}
+    cats.forEach(cat => {
+      defaultOverrides[cat.id] = String(getAnnualCategoryFee(cat, year, startMonth))
+    })
+    setValue('categoryOverrides', defaultOverrides)
+  }, [setValue, startMonth])
+
   const loadCategories = useCallback(async () => {
     try {
       const cats = await getAllCategories()
       setCategories(cats)
-
-      // Initialize category fees with March rate from proRataRates (or fallback to annualFee)
-      const defaultOverrides = {}
-      cats.forEach(cat => {
-        const marchRate = cat.proRataRates?.["3"] ?? cat.annualFee
-        defaultOverrides[cat.id] = String(marchRate)
-      })
-      setValue('categoryOverrides', defaultOverrides)
+      resetCategoryFees(cats, parseInt(getValues('feeYear')))
     } catch (err) {
       setError('Failed to load categories: ' + err.message)
     }
-  }, [setValue])
+  }, [resetCategoryFees, getValues])
 
   useEffect(() => {
     loadCategories()
@@ -71,8 +86,7 @@ const FeeApplication = () => {
       // Convert overrides to number format for service
       const categoryFees = {}
       categories.forEach(cat => {
-        const marchRate = cat.proRataRates?.["3"] ?? cat.annualFee
-        categoryFees[cat.id] = categoryOverrides[cat.id] ?? marchRate
+        categoryFees[cat.id] = categoryOverrides[cat.id] ?? getAnnualCategoryFee(cat, feeYear, startMonth)
       })
 
       const previewData = await previewFeeApplication(feeYear, categoryFees)
@@ -101,13 +115,18 @@ const FeeApplication = () => {
     // Convert overrides to number format for service
     const categoryFees = {}
     categories.forEach(cat => {
-      const marchRate = cat.proRataRates?.["3"] ?? cat.annualFee
-      categoryFees[cat.id] = categoryOverrides[cat.id] ?? marchRate
+      categoryFees[cat.id] = categoryOverrides[cat.id] ?? getAnnualCategoryFee(cat, feeYear, startMonth)
     })
 
+    // Members who paid last year's fee by instalments get a plan on this year's fee too
+    const instalmentMemberIds = continueInstalments ? preview.instalmentMembers.map(m => m.id) : []
+
     const confirmed = window.confirm(
       `Are you sure you want to apply ${feeYear} annual fees to ${preview.totalMembers} members?\n\n` +
       `Total fees: $${preview.totalAmount.toFixed(2)}\n\n` +
+      (instalmentMemberIds.length > 0
+        ? `${instalmentMemberIds.length} members will pay by ${instalmentOptions.count} instalments.\n\n`
+        : '') +
       `This will:\n` +
       `- Deduct fees from member account balances\n` +
       `- Create fee records in member transaction history\n` +
@@ -122,7 +141,11 @@ const FeeApplication = () => {
       setError(null)
       setSuccess(null)
 
-      const applyResults = await applyAnnualFees(feeYear, categoryFees, currentUser.uid)
+      const applyResults = await applyAnnualFees(feeYear, categoryFees, currentUser.uid, {
+        instalments: instalmentMemberIds.length > 0
+          ? { ...instalmentOptions, memberIds: instalmentMemberIds }
+          : null
+      })
       setResults(applyResults)
       setShowResults(true)
       setPreview(null) // Clear preview after application
@@ -142,7 +165,7 @@ const FeeApplication = () => {
       <div>
         <h3 className="text-lg font-semibold text-gray-900 mb-2">Apply Annual Membership Fees</h3>
         <p className="text-sm text-gray-600">
-          Apply annual fees to all active members. Default fees are pulled from the March rate in the pro-rata rate table (set in Membership Categories). You can override fees per category below before applying. Use <span className="font-medium">Refresh Rates</span> to reload the latest rates from the rate table.
+          Apply annual fees to all active members. Default fees are pulled from the {startMonthName} rate (the first month of the membership year) in the pro-rata rate table (set in Membership Categories). You can override fees per category below before applying. Use <span className="font-medium">Refresh Rates</span> to reload the latest rates from the rate table.
         </p>
       </div>
 
@@ -169,7 +192,10 @@ const FeeApplication = () => {
             id="feeYear"
             error={errors.feeYear?.message}
             {...register('feeYear', {
-              onChange: () => setPreview(null) // Clear preview when year changes
+              onChange: (e) => {
+                setPreview(null) // Clear preview when year changes
+                resetCategoryFees(categories, parseInt(e.target.value))
+              }
             })}
           >
             {[2024, 2025, 2026, 2027].map(year => (
@@ -202,7 +228,7 @@ const FeeApplication = () => {
                 Category
               </th>
               <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
-                Rate Table (March)
+                Rate Table ({startMonthName})
               </th>
               <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
                 Fee to Apply
@@ -211,11 +237,11 @@ const FeeApplication = () => {
           </thead>
           <tbody className="bg-white divide-y divide-gray-200">
             {categories.map(cat => {
-              const marchRate = cat.proRataRates?.["3"] ?? cat.annualFee
+              const fullYearRate = getAnnualCategoryFee(cat, feeYear, startMonth)
               return (
               <tr key={cat.id}>
                 <td className="px-4 py-3 text-sm text-gray-900">{cat.name}</td>
-                <td className="px-4 py-3 text-sm text-gray-500">${marchRate.toFixed(2)}</td>
+                <td className="px-4 py-3 text-sm text-gray-500">${fullYearRate.toFixed(2)}</td>
                 <td className="px-4 py-3">
                   <input
                     type="number"
@@ -278,9 +304,10 @@ const FeeApplication = () => {
                   <div key={categoryId} className="flex justify-between text-sm">
                     <span className="text-blue-800">
                       {data.categoryName}: {data.memberCount} member{data.memberCount !== 1 ? 's' : ''}
+                      {data.groupRateCount > 0 && ` (${data.groupRateCount} at linked membership rate)`}
                     </span>
                     <span className="font-medium text-blue-900">
-                      ${(data.feeAmount * data.memberCount).toFixed(2)}
+                      ${data.totalAmount.toFixed(2)}
                     </span>
                   </div>
                 ))}
@@ -288,6 +315,33 @@ const FeeApplication = () => {
             </div>
           )}
 
+          {preview.instalmentMembers.length > 0 && (
+            <div className="mt-4 pt-4 border-t border-blue-200 space-y-3">
+              <label className="flex items-start">
+                <input
+                  type="checkbox"
+                  checked={continueInstalments}
+                  onChange={(e) => setContinueInstalments(e.target.checked)}
+                  className="mr-2 mt-1"
+                />
+                <span className="text-sm text-blue-900">
+                  Set up instalment plans for {preview.instalmentMembers.length} member{preview.instalmentMembers.length !== 1 ? 's' : ''} who
+                  paid {preview.year - 1} fees by instalments
+                  <span className="block text-xs text-blue-700">
+                    {preview.instalmentMembers.map(m => m.fullName).join(', ')}
+                  </span>
+                </span>
+              </label>
+              {continueInstalments && (
+                <InstalmentScheduleFields
+                  amount={0}
+                  values={instalmentOptions}
+                  onChange={setInstalmentOptions}
+                />
+              )}
+            </div>
+          )}
+
           {preview.totalMembers === 0 && (
             <p className="text-sm text-blue-700">
               No eligible members found. {preview.alreadyAppliedCount > 0 &&
@@ -350,7 +404,7 @@ const FeeApplication = () => {
                         <td className="px-4 py-3 text-sm">
                           {detail.status === 'success' && (
                             <span className="px-2 py-1 bg-success/20 text-success rounded-full text-xs font-medium">
-                              Success
+                              {detail.instalments ? 'Success (instalments)' : 'Success'}
                             </span>
                           )}
                           {detail.status === 'skipped' && (
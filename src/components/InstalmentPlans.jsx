@@ -0,0 +1,312 @@
+import { useState } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import {
+  useMemberInstalmentPlans,
+  useCreateInstalmentPlan,
+  useCancelInstalmentPlan
+} from '@/hooks/useInstalmentPlans'
+import {
+  PLAN_STATUSES,
+  INSTALMENT_STATUSES,
+  MIN_INSTALMENTS,
+  MAX_INSTALMENTS,
+  buildInstalmentSchedule,
+  getDefaultInstalmentOptions,
+  getInstalmentStatus,
+  summariseInstalmentPlan
+} from '../services/instalmentService'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogFooter,
+} from '@/components/ui/dialog'
+
+const INSTALMENT_STATUS_STYLES = {
+  [INSTALMENT_STATUSES.PAID]: { label: 'Paid', className: 'bg-green-100 text-green-800' },
+  [INSTALMENT_STATUSES.PART_PAID]: { label: 'Part paid', className: 'bg-yellow-100 text-yellow-800' },
+  [INSTALMENT_STATUSES.OVERDUE]: { label: 'Overdue', className: 'bg-red-100 text-red-800' },
+  [INSTALMENT_STATUSES.UPCOMING]: { label: 'Upcoming', className: 'bg-gray-100 text-gray-700' },
+}
+
+const PLAN_STATUS_STYLES = {
+  [PLAN_STATUSES.ACTIVE]: 'bg-club-tan-light bg-opacity-30 text-club-navy',
+  [PLAN_STATUSES.COMPLETED]: 'bg-green-100 text-green-800',
+  [PLAN_STATUSES.CANCELLED]: 'bg-gray-100 text-gray-600',
+}
+
+/**
+ * InstalmentScheduleFields - Count, first due date and interval inputs with a schedule preview
+ *
+ * @param {object} props
+ * @param {number} props.amount - Amount being split (for the preview)
+ * @param {object} props.values - { count, firstDueDate, intervalMonths }
+ * @param {function} props.onChange - Called with the updated values
+ */
+export const InstalmentScheduleFields = ({ amount, values, onChange }) => {
+  let schedule = []
+  try {
+    schedule = buildInstalmentSchedule(amount, values.count, values.firstDueDate, values.intervalMonths)
+  } catch {
+    // Incomplete input - no preview until the fields are valid
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-3 gap-3">
+        <div>
+          <Label htmlFor="instalmentCount">Instalments</Label>
+          <Input
+            type="number"
+            id="instalmentCount"
+            min={MIN_INSTALMENTS}
+            max={MAX_INSTALMENTS}
+            value={values.count}
+            onChange={(e) => onChange({ ...values, count: e.target.value })}
+            required
+          />
+        </div>
+        <div>
+          <Label htmlFor="instalmentFirstDue">First Due</Label>
+          <Input
+            type="date"
+            id="instalmentFirstDue"
+            value={values.firstDueDate}
+            onChange={(e) => onChange({ ...values, firstDueDate: e.target.value })}
+            required
+          />
+        </div>
+        <div>
+          <Label htmlFor="instalmentInterval">Every (months)</Label>
+          <Input
+            type="number"
+            id="instalmentInterval"
+            min="1"
+            max="6"
+            value={values.intervalMonths}
+            onChange={(e) => onChange({ ...values, intervalMonths: e.target.value })}
+            required
+          />
+        </div>
+      </div>
+
+      {schedule.length > 0 && (
+        <ul className="text-sm text-gray-700 bg-gray-50 rounded p-3 space-y-1">
+          {schedule.map(inst => (
+            <li key={inst.number} className="flex justify-between">
+              <span>#{inst.number} due {inst.dueDate}</span>
+              <span className="font-medium">${inst.amount.toFixed(2)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+/**
+ * InstalmentPlans - A member's instalment plans with their schedules
+ *
+ * Fees without a plan can be split here; payments are allocated to the
+ * earliest due instalment automatically when they are recorded.
+ *
+ * @param {object} props
+ * @param {object} props.member - The member
+ * @param {Array} props.fees - The member's fee records
+ * @param {boolean} props.canEdit - Whether the user can create or cancel plans
+ */
+const InstalmentPlans = ({ member, fees, canEdit }) => {
+  const { currentUser } = useAuth()
+  const { data: plans = [], isLoading } = useMemberInstalmentPlans(member.id)
+  const [showDialog, setShowDialog] = useState(false)
+  const [selectedFeeId, setSelectedFeeId] = useState('')
+  const [scheduleValues, setScheduleValues] = useState(getDefaultInstalmentOptions)
+
+  const createMutation = useCreateInstalmentPlan({ onSuccess: () => setShowDialog(false) })
+  const cancelMutation = useCancelInstalmentPlan()
+
+  // Only fees that have never been split (or whose plan was cancelled) can get a new plan
+  const plannedFeeIds = new Set(
+    plans.filter(p => p.status !== PLAN_STATUSES.CANCELLED).map(p => p.feeId)
+  )
+  const availableFees = fees.filter(f => !plannedFeeIds.has(f.id))
+  const selectedFee = availableFees.find(f => f.id === selectedFeeId)
+
+  const handleOpenDialog = () => {
+    setSelectedFeeId(availableFees[0]?.id || '')
+    setScheduleValues(getDefaultInstalmentOptions())
+    setShowDialog(true)
+  }
+
+  const handleCreate = (e) => {
+    e.preventDefault()
+    createMutation.mutate({
+      feeId: selectedFeeId,
+      planOptions: scheduleValues,
+      userId: currentUser.uid
+    })
+  }
+
+  const handleCancel = (plan) => {
+    const reason = window.prompt(
+      `Cancel the instalment plan for "${plan.feeDescription}"? The unpaid amount stays on the account balance.\n\nReason:`
+    )
+    if (reason === null) return
+    cancelMutation.mutate({ planId: plan.id, reason, userId: currentUser.uid })
+  }
+
+  if (isLoading || (plans.length === 0 && !canEdit)) {
+    return null
+  }
+
+  return (
+    <div className="bg-white shadow rounded-lg p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold text-gray-900">Instalment Plans</h3>
+        {canEdit && availableFees.length > 0 && (
+          <Button variant="outline" size="sm" onClick={handleOpenDialog}>
+            Set Up Instalments
+          </Button>
+        )}
+      </div>
+
+      {plans.length === 0 ? (
+        <p className="text-gray-600">
+          No instalment plans. Split a fee into instalments to track part payments against due dates.
+        </p>
+      ) : (
+        <div className="space-y-6">
+          {plans.map(plan => {
+            const summary = summariseInstalmentPlan(plan)
+            return (
+              <div key={plan.id}>
+                <div className="flex flex-wrap justify-between items-center gap-2 mb-2">
+                  <div>
+                    <span className="font-medium text-gray-900">{plan.feeDescription}</span>
+                    <span className={`ml-2 px-2 py-1 rounded-full text-xs font-medium ${PLAN_STATUS_STYLES[plan.status]}`}>
+                      {plan.status.charAt(0).toUpperCase() + plan.status.slice(1)}
+                    </span>
+                    <p className="text-sm text-gray-600">
+                      ${summary.paidAmount.toFixed(2)} of ${summary.totalAmount.toFixed(2)} paid
+                      {summary.overdueCount > 0 && (
+                        <span className="text-red-600 ml-2">
+                          ${summary.overdueAmount.toFixed(2)} overdue
+                        </span>
+                      )}
+                    </p>
+                    {plan.status === PLAN_STATUSES.CANCELLED && plan.cancelReason && (
+                      <p className="text-xs text-gray-500">Cancelled: {plan.cancelReason}</p>
+                    )}
+                  </div>
+                  {canEdit && plan.status === PLAN_STATUSES.ACTIVE && (
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => handleCancel(plan)}
+                      disabled={cancelMutation.isPending}
+                    >
+                      Cancel Plan
+                    </Button>
+                  )}
+                </div>
+
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">#</th>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Due Date</th>
+                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
+                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Paid</th>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {plan.instalments.map(inst => {
+                        const status = INSTALMENT_STATUS_STYLES[getInstalmentStatus(inst)]
+                        return (
+                          <tr key={inst.number}>
+                            <td className="px-4 py-2 text-sm text-gray-600">{inst.number}</td>
+                            <td className="px-4 py-2 text-sm text-gray-900">{inst.dueDate}</td>
+                            <td className="px-4 py-2 text-sm text-right text-gray-900">${inst.amount.toFixed(2)}</td>
+                            <td className="px-4 py-2 text-sm text-right text-gray-900">${(inst.paidAmount || 0).toFixed(2)}</td>
+                            <td className="px-4 py-2 text-sm">
+                              {plan.status === PLAN_STATUSES.CANCELLED ? (
+                                <span className="text-gray-400">-</span>
+                              ) : (
+                                <span className={`px-2 py-1 rounded-full text-xs font-medium ${status.className}`}>
+                                  {status.label}
+                                </span>
+                              )}
+                            </td>
+                          </tr>
+                        )
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )
+          })}
+        </div>
+      )}
+
+      {/* Create Plan Dialog */}
+      <Dialog open={showDialog} onOpenChange={setShowDialog}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Set Up Instalments</DialogTitle>
+          </DialogHeader>
+          <p className="text-sm text-gray-600">
+            Anything {member.fullName} has already paid towards the fee is applied to the first instalments.
+          </p>
+
+          <form onSubmit={handleCreate} className="space-y-4">
+            <div>
+              <Label htmlFor="instalmentFee">Fee</Label>
+              <select
+                id="instalmentFee"
+                value={selectedFeeId}
+                onChange={(e) => setSelectedFeeId(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+                required
+              >
+                {availableFees.map(fee => (
+                  <option key={fee.id} value={fee.id}>
+                    {fee.notes} (${fee.amount.toFixed(2)})
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <InstalmentScheduleFields
+              amount={selectedFee?.amount || 0}
+              values={scheduleValues}
+              onChange={setScheduleValues}
+            />
+
+            <DialogFooter>
+              <Button
+                type="button"
+                variant="outline"
+                onClick={() => setShowDialog(false)}
+                disabled={createMutation.isPending}
+              >
+                Cancel
+              </Button>
+              <Button type="submit" variant="ocean" disabled={createMutation.isPending || !selectedFee}>
+                {createMutation.isPending ? 'Creating...' : 'Create Plan'}
+              </Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+    </div>
+  )
+}
+
+export default InstalmentPlans
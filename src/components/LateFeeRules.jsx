@@ -0,0 +1,531 @@
+import { useState } from 'react'
+import { useForm } from 'react-hook-form'
+import { zodResolver } from '@hookform/resolvers/zod'
+import { useQuery, useQueryClient } from '@tanstack/react-query'
+import { useAuth } from '../contexts/AuthContext'
+import {
+  useLateFeeRules,
+  useCreateLateFeeRule,
+  useUpdateLateFeeRule,
+  lateFeeRuleKeys
+} from '@/hooks/useLateFeeRules'
+import { getAllCategories } from '../services/categoryService'
+import {
+  LATE_FEE_AMOUNT_TYPES,
+  getLateFeeDueDate,
+  previewLateFees,
+  applyLateFees
+} from '../services/lateFeeService'
+import { lateFeeRuleFormSchema } from '../schemas'
+import { FormField, FormInput, FormSelect } from './form'
+
+const emptyForm = () => ({
+  name: 'Late payment surcharge',
+  feeYear: String(new Date().getFullYear()),
+  cutoffDate: `${new Date().getFullYear()}-04-30`,
+  graceDays: '14',
+  amountType: LATE_FEE_AMOUNT_TYPES.FLAT,
+  amount: '',
+  categoryIds: [],
+  active: true,
+})
+
+const formatRuleAmount = (rule) => {
+  return rule.amountType === LATE_FEE_AMOUNT_TYPES.PERCENTAGE
+    ? `${rule.amount}% of unpaid`
+    : `$${rule.amount.toFixed(2)}`
+}
+
+const LateFeeRules = () => {
+  const { currentUser } = useAuth()
+  const queryClient = useQueryClient()
+  const [showForm, setShowForm] = useState(false)
+  const [editingRule, setEditingRule] = useState(null)
+  const [preview, setPreview] = useState(null)
+  const [isLoading, setIsLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const [results, setResults] = useState(null)
+
+  const { data: rules = [], isLoading: rulesLoading } = useLateFeeRules()
+  const { data: categories = [] } = useQuery({
+    queryKey: ['categories'],
+    queryFn: getAllCategories,
+    staleTime: 30 * 60 * 1000,
+  })
+  const createMutation = useCreateLateFeeRule({ onSuccess: () => closeForm() })
+  const updateMutation = useUpdateLateFeeRule({ onSuccess: () => closeForm() })
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    watch,
+    formState: { errors },
+  } = useForm({
+    resolver: zodResolver(lateFeeRuleFormSchema),
+    defaultValues: emptyForm(),
+  })
+
+  const watchAmountType = watch('amountType')
+
+  const openAddForm = () => {
+    setEditingRule(null)
+    reset(emptyForm())
+    setShowForm(true)
+  }
+
+  const openEditForm = (rule) => {
+    setEditingRule(rule)
+    reset({
+      name: rule.name,
+      feeYear: String(rule.feeYear),
+      cutoffDate: rule.cutoffDate,
+      graceDays: String(rule.graceDays ?? 0),
+      amountType: rule.amountType,
+      amount: String(rule.amount),
+      categoryIds: rule.categoryIds || [],
+      active: rule.active !== false,
+    })
+    setShowForm(true)
+  }
+
+  function closeForm() {
+    setShowForm(false)
+    setEditingRule(null)
+    setPreview(null)
+  }
+
+  const onFormSubmit = (data) => {
+    if (editingRule) {
+      updateMutation.mutate({ ruleId: editingRule.id, ruleData: data })
+    } else {
+      createMutation.mutate({ ruleData: data, userId: currentUser.uid })
+    }
+  }
+
+  const handleToggleActive = (rule) => {
+    updateMutation.mutate({
+      ruleId: rule.id,
+      ruleData: { ...rule, active: !rule.active }
+    })
+  }
+
+  const handlePreview = async (rule) => {
+    try {
+      setIsLoading(true)
+      setError(null)
+      setPreview(await previewLateFees(rule.id))
+    } catch (err) {
+      setError('Failed to preview late fees: ' + err.message)
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const handleApply = async () => {
+    const { rule } = preview
+    const confirmed = window.confirm(
+      `Apply "${rule.name}" late fees to ${preview.totalMembers} members?\n\n` +
+      `Total late fees: $${preview.totalAmount.toFixed(2)}\n\n` +
+      (preview.instalmentMembers.length > 0
+        ? `${preview.instalmentMembers.length} members on an instalment plan will be skipped.\n\n`
+        : '') +
+      `This will:\n` +
+      `- Deduct late fees from member account balances\n` +
+      `- Create late fee records in member transaction history\n` +
+      `- Cannot be easily undone\n\n` +
+      `Continue?`
+    )
+
+    if (!confirmed) return
+
+    try {
+      setIsLoading(true)
+      setError(null)
+      const applyResults = await applyLateFees(rule.id, currentUser.uid)
+      setResults(applyResults)
+      setPreview(null)
+      queryClient.invalidateQueries({ queryKey: lateFeeRuleKeys.all })
+      queryClient.invalidateQueries({ queryKey: ['members'] })
+      queryClient.invalidateQueries({ queryKey: ['fees'] })
+    } catch (err) {
+      setError('Failed to apply late fees: ' + err.message)
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const categoryName = (id) => categories.find(c => c.id === id)?.name || id
+  const isSaving = createMutation.isPending || updateMutation.isPending
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h3 className="text-lg font-semibold text-gray-900 mb-2">Late Fees</h3>
+        <p className="text-sm text-gray-600">
+          Surcharge members whose subscription for the fee year is still unpaid after the cutoff date and grace period.
+          Only fees applied on or before the cutoff count, members on an instalment plan are skipped, and a rule never
+          charges the same member twice.
+        </p>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-md p-4">
+          <p className="text-red-800 text-sm">{error}</p>
+        </div>
+      )}
+
+      <div>
+        <button
+          onClick={openAddForm}
+          className="px-4 py-2 bg-primary text-white rounded hover:bg-primary/90 transition-colors"
+        >
+          + Add Late Fee Rule
+        </button>
+      </div>
+
+      {/* Rules List */}
+      {rulesLoading ? (
+        <p className="text-gray-600">Loading late fee rules...</p>
+      ) : rules.length === 0 ? (
+        <p className="text-gray-600">No late fee rules yet.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Rule</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Fee Year</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Cutoff</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Late Fee</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Categories</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {rules.map(rule => (
+                <tr key={rule.id} className={rule.active ? '' : 'bg-gray-50'}>
+                  <td className="px-4 py-3 text-sm text-gray-900">
+                    {rule.name}
+                    {rule.lastAppliedCount !== undefined && (
+                      <span className="block text-xs text-gray-500">
+                        Last applied to {rule.lastAppliedCount} member{rule.lastAppliedCount !== 1 ? 's' : ''}
+                      </span>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-600">{rule.feeYear}</td>
+                  <td className="px-4 py-3 text-sm text-gray-600">
+                    {rule.cutoffDate}
+                    {rule.graceDays > 0 && (
+                      <span className="block text-xs text-gray-500">
+                        +{rule.graceDays} days grace (charged after {getLateFeeDueDate(rule)})
+                      </span>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-900">{formatRuleAmount(rule)}</td>
+                  <td className="px-4 py-3 text-sm text-gray-600">
+                    {rule.categoryIds?.length ? rule.categoryIds.map(categoryName).join(', ') : 'All'}
+                  </td>
+                  <td className="px-4 py-3 text-sm">
+                    {rule.active ? (
+                      <span className="px-2 py-1 bg-green-100 text-green-800 text-xs rounded">Active</span>
+                    ) : (
+                      <span className="px-2 py-1 bg-gray-100 text-gray-600 text-xs rounded">Inactive</span>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-sm space-x-2 whitespace-nowrap">
+                    {rule.active && (
+                      <button
+                        onClick={() => handlePreview(rule)}
+                        disabled={isLoading}
+                        className="text-primary hover:text-primary/80 disabled:opacity-50"
+                      >
+                        Preview
+                      </button>
+                    )}
+                    <button
+                      onClick={() => openEditForm(rule)}
+                      className="text-primary hover:text-primary/80"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => handleToggleActive(rule)}
+                      disabled={updateMutation.isPending}
+                      className={rule.active ? 'text-red-600 hover:text-red-800' : 'text-green-600 hover:text-green-800'}
+                    >
+                      {rule.active ? 'Deactivate' : 'Activate'}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Preview */}
+      {preview && (
+        <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
+          <h4 className="font-semibold text-blue-900 mb-3">
+            Late Fee Preview - {preview.rule.name} ({preview.rule.feeYear})
+          </h4>
+
+          <div className="grid grid-cols-3 gap-4 mb-4">
+            <div>
+              <p className="text-sm text-blue-700">Members to Charge</p>
+              <p className="text-2xl font-bold text-blue-900">{preview.totalMembers}</p>
+            </div>
+            <div>
+              <p className="text-sm text-blue-700">Total Late Fees</p>
+              <p className="text-2xl font-bold text-blue-900">${preview.totalAmount.toFixed(2)}</p>
+            </div>
+            <div>
+              <p className="text-sm text-blue-700">Already Charged</p>
+              <p className="text-2xl font-bold text-blue-900">{preview.alreadyChargedCount}</p>
+            </div>
+          </div>
+
+          {preview.charges.length > 0 && (
+            <div className="overflow-x-auto mb-4">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-blue-700">
+                    <th className="py-1 pr-4 font-medium">Member</th>
+                    <th className="py-1 pr-4 font-medium">Category</th>
+                    <th className="py-1 pr-4 font-medium text-right">Unpaid</th>
+                    <th className="py-1 font-medium text-right">Late Fee</th>
+                  </tr>
+                </thead>
+                <tbody className="text-blue-900">
+                  {preview.charges.map(charge => (
+                    <tr key={charge.memberId}>
+                      <td className="py-1 pr-4">{charge.memberName}</td>
+                      <td className="py-1 pr-4">{charge.categoryName}</td>
+                      <td className="py-1 pr-4 text-right">${charge.outstanding.toFixed(2)}</td>
+                      <td className="py-1 text-right font-medium">${charge.amount.toFixed(2)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {preview.instalmentMembers.length > 0 && (
+            <p className="text-sm text-blue-800 mb-4">
+              Skipping {preview.instalmentMembers.length} member{preview.instalmentMembers.length !== 1 ? 's' : ''} on
+              an instalment plan: {preview.instalmentMembers.map(m => m.memberName).join(', ')}
+            </p>
+          )}
+
+          {!preview.isDue && (
+            <p className="text-sm text-blue-800 mb-4">
+              The grace period has not ended. Late fees can be applied after {preview.dueDate}.
+            </p>
+          )}
+
+          <div className="flex gap-3">
+            <button
+              onClick={handleApply}
+              disabled={isLoading || !preview.isDue || preview.totalMembers === 0}
+              className="px-4 py-2 bg-primary text-white rounded-md hover:bg-primary/90 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isLoading ? 'Applying...' : 'Apply Late Fees'}
+            </button>
+            <button
+              onClick={() => setPreview(null)}
+              disabled={isLoading}
+              className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            >
+              Close Preview
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Rule Form Modal */}
+      {showForm && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg shadow-xl max-w-lg w-full max-h-[90vh] overflow-y-auto">
+            <div className="p-6 border-b">
+              <h3 className="text-xl font-bold text-gray-900">
+                {editingRule ? 'Edit Late Fee Rule' : 'Add Late Fee Rule'}
+              </h3>
+            </div>
+
+            <form onSubmit={handleSubmit(onFormSubmit)} className="p-6 space-y-4">
+              <FormField label="Name" name="name" required error={errors.name?.message}>
+                <FormInput type="text" id="name" error={errors.name?.message} {...register('name')} />
+              </FormField>
+
+              <div className="grid grid-cols-2 gap-4">
+                <FormField label="Fee Year" name="feeYear" required error={errors.feeYear?.message}>
+                  <FormSelect id="feeYear" error={errors.feeYear?.message} {...register('feeYear')}>
+                    {[2024, 2025, 2026, 2027].map(year => (
+                      <option key={year} value={String(year)}>{year}</option>
+                    ))}
+                  </FormSelect>
+                </FormField>
+
+                <FormField label="Cutoff Date" name="cutoffDate" required error={errors.cutoffDate?.message}>
+                  <FormInput type="date" id="cutoffDate" error={errors.cutoffDate?.message} {...register('cutoffDate')} />
+                </FormField>
+              </div>
+
+              <FormField
+                label="Grace Period (days)"
+                name="graceDays"
+                required
+                error={errors.graceDays?.message}
+                helpText="Late fees can be applied once this many days have passed after the cutoff"
+              >
+                <FormInput type="number" id="graceDays" min="0" error={errors.graceDays?.message} {...register('graceDays')} />
+              </FormField>
+
+              <div className="grid grid-cols-2 gap-4">
+                <FormField label="Amount Type" name="amountType" required error={errors.amountType?.message}>
+                  <FormSelect id="amountType" error={errors.amountType?.message} {...register('amountType')}>
+                    <option value={LATE_FEE_AMOUNT_TYPES.FLAT}>Flat amount ($)</option>
+                    <option value={LATE_FEE_AMOUNT_TYPES.PERCENTAGE}>Percentage of unpaid (%)</option>
+                  </FormSelect>
+                </FormField>
+
+                <FormField
+                  label={watchAmountType === LATE_FEE_AMOUNT_TYPES.PERCENTAGE ? 'Percentage' : 'Amount'}
+                  name="amount"
+                  required
+                  error={errors.amount?.message}
+                >
+                  <FormInput type="number" id="amount" min="0" step="0.01" error={errors.amount?.message} {...register('amount')} />
+                </FormField>
+              </div>
+
+              <div>
+                <p className="text-sm font-medium text-gray-700 mb-1">Categories</p>
+                <p className="text-xs text-gray-500 mb-2">Leave all unticked to apply to every category</p>
+                <div className="grid grid-cols-2 gap-1">
+                  {categories.map(cat => (
+                    <label key={cat.id} className="flex items-center">
+                      <input type="checkbox" value={cat.id} {...register('categoryIds')} className="mr-2" />
+                      <span className="text-sm text-gray-700">{cat.name}</span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              <label className="flex items-center">
+                <input type="checkbox" {...register('active')} className="mr-2" />
+                <span className="text-sm text-gray-700">Active</span>
+              </label>
+
+              <div className="flex space-x-3 pt-2">
+                <button
+                  type="submit"
+                  disabled={isSaving}
+                  className="flex-1 px-4 py-2 bg-primary text-white rounded hover:bg-primary/90 transition-colors disabled:opacity-50"
+                >
+                  {isSaving ? 'Saving...' : editingRule ? 'Update Rule' : 'Create Rule'}
+                </button>
+                <button
+                  type="button"
+                  onClick={closeForm}
+                  disabled={isSaving}
+                  className="flex-1 px-4 py-2 bg-gray-200 text-gray-700 rounded hover:bg-gray-300 transition-colors"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Results Modal */}
+      {results && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg shadow-xl max-w-4xl w-full max-h-[90vh] overflow-hidden">
+            <div className="p-6 border-b border-gray-200">
+              <h3 className="text-lg font-semibold text-gray-900">
+                Late Fee Results - {results.year}
+              </h3>
+            </div>
+
+            <div className="p-6 overflow-y-auto max-h-[calc(90vh-200px)]">
+              <div className="grid grid-cols-4 gap-4 mb-6">
+                <div className="bg-success/10 p-4 rounded-lg">
+                  <p className="text-sm text-success/90">Charged</p>
+                  <p className="text-2xl font-bold text-success">{results.successful}</p>
+                </div>
+                <div className="bg-gray-50 p-4 rounded-lg">
+                  <p className="text-sm text-gray-700">Skipped</p>
+                  <p className="text-2xl font-bold text-gray-900">{results.skipped}</p>
+                </div>
+                <div className="bg-red-50 p-4 rounded-lg">
+                  <p className="text-sm text-red-700">Failed</p>
+                  <p className="text-2xl font-bold text-red-900">{results.failed}</p>
+                </div>
+                <div className="bg-blue-50 p-4 rounded-lg">
+                  <p className="text-sm text-blue-700">Total Amount</p>
+                  <p className="text-2xl font-bold text-blue-900">${results.totalAmount.toFixed(2)}</p>
+                </div>
+              </div>
+
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Member</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Category</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Late Fee</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {results.details.map((detail, index) => (
+                      <tr key={index}>
+                        <td className="px-4 py-3 text-sm text-gray-900">{detail.memberName}</td>
+                        <td className="px-4 py-3 text-sm text-gray-700">{detail.categoryName || '-'}</td>
+                        <td className="px-4 py-3 text-sm text-gray-700">
+                          {detail.feeAmount !== undefined ? `$${detail.feeAmount.toFixed(2)}` : '-'}
+                        </td>
+                        <td className="px-4 py-3 text-sm">
+                          {detail.status === 'success' && (
+                            <span className="px-2 py-1 bg-success/20 text-success rounded-full text-xs font-medium">
+                              Charged
+                            </span>
+                          )}
+                          {detail.status === 'skipped' && (
+                            <span className="px-2 py-1 bg-gray-100 text-gray-800 rounded-full text-xs font-medium">
+                              Skipped: {detail.reason}
+                            </span>
+                          )}
+                          {detail.status === 'failed' && (
+                            <span className="px-2 py-1 bg-red-100 text-red-800 rounded-full text-xs font-medium">
+                              Failed: {detail.reason}
+                            </span>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+
+            <div className="p-6 border-t border-gray-200 flex justify-end">
+              <button
+                onClick={() => setResults(null)}
+                className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700"
+              >
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default LateFeeRules
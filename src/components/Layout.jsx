@@ -2,12 +2,19 @@ import { Outlet, Link, useLocation } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
 import CommandPalette from './CommandPalette'
 import UserMenu from './UserMenu'
+import { useClubSettings } from '@/hooks/useClubSettings'
+import { usePaymentOutboxSync } from '@/hooks/usePaymentOutbox'
+import { DEFAULT_CLUB_SETTINGS } from '../services/clubSettingsService'
 import { Button } from '@/components/ui/button'
-import { Search, LayoutDashboard, Users, CreditCard, FileText, FileCheck, UserCog, Settings } from 'lucide-react'
+import { Search, LayoutDashboard, Users, CreditCard, FileText, FileCheck, UserCog, Settings, RefreshCw, WifiOff } from 'lucide-react'
 
 const Layout = () => {
-  const { checkPermission, ROLES } = useAuth()
+  const { currentUser, checkPermission, ROLES } = useAuth()
   const location = useLocation()
+  const { data: club = DEFAULT_CLUB_SETTINGS } = useClubSettings()
+  // Payments taken offline are recorded whenever the connection is back, whatever the page,
+  // by whoever is signed in then (if they can record payments)
+  const { isOnline, queuedCount } = usePaymentOutboxSync(checkPermission(ROLES.EDIT) ? currentUser?.uid : null)
 
   const canAccessApplications = checkPermission(ROLES.EDIT)
   const canAccessUsers = checkPermission(ROLES.ADMIN)
@@ -24,6 +31,7 @@ const Layout = () => {
     { to: '/members', label: 'Members', icon: Users, show: true },
     { to: '/payments', label: 'Payments', icon: CreditCard, show: true },
     { to: '/reports', label: 'Reports', icon: FileText, show: true },
+    { to: '/renewals', label: 'Renewals', icon: RefreshCw, show: canAccessApplications },
     { to: '/applications', label: 'Applications', icon: FileCheck, show: canAccessApplications },
     { to: '/users', label: 'Users', icon: UserCog, show: canAccessUsers },
     { to: '/admin', label: 'Admin', icon: Settings, show: canAccessAdmin },
@@ -38,7 +46,7 @@ const Layout = () => {
       <aside className="w-56 bg-club-navy flex flex-col fixed h-full">
         {/* Sidebar Header */}
         <div className="p-4 border-b border-club-tan/30">
-          <h1 className="text-lg font-bold text-white">Tea Tree Golf Club</h1>
+          <h1 className="text-lg font-bold text-white">{club.clubName}</h1>
           <span className="text-xs text-club-tan opacity-75">v2.4.0</span>
         </div>
 
@@ -64,8 +72,20 @@ const Layout = () => {
         {/* Top Header */}
         <header className="bg-club-white shadow-sm border-b border-club-tan-light sticky top-0 z-10">
           <div className="flex justify-between items-center h-14 px-6">
-            {/* Page context or breadcrumb could go here */}
-            <div />
+            {/* Connection and offline payments waiting to sync */}
+            <div className="flex items-center gap-3 text-sm">
+              {!isOnline && (
+                <span className="flex items-center gap-1.5 px-2 py-1 rounded-md bg-red-50 text-red-700">
+                  <WifiOff className="h-4 w-4" />
+                  Offline
+                </span>
+              )}
+              {queuedCount > 0 && (
+                <Link to="/payments" className="text-club-navy hover:text-club-navy-dark">
+                  {queuedCount} {queuedCount === 1 ? 'payment' : 'payments'} waiting to sync
+                </Link>
+              )}
+            </div>
 
             {/* Right side: Search + User Menu */}
             <div className="flex items-center gap-2">
@@ -2,18 +2,30 @@ import { useState, useEffect } from 'react'
 import { useForm } from 'react-hook-form'
 import { zodResolver } from '@hookform/resolvers/zod'
 import { getAllCategories, determineCategoryByAge, calculateAge } from '../services/membershipCategories'
+import { MEMBER_STATUS_LABELS } from '../services/memberStatusService'
+import {
+  parseTags,
+  parseCustomFieldValues,
+  CUSTOM_FIELD_TYPES
+} from '../services/memberFieldService'
+import { useCustomFields } from '@/hooks/useCustomFields'
 import { memberFormSchema } from '../schemas'
 import { FormField, FormInput, FormSelect } from './form'
 
-const MemberForm = ({ member, onSubmit, onCancel, isLoading }) => {
+const MemberForm = ({ member, onSubmit, onCancel, isLoading, submitLabel }) => {
   const [suggestedCategory, setSuggestedCategory] = useState(null)
   const [currentAge, setCurrentAge] = useState(null)
   const [categories, setCategories] = useState([])
+  const [tagInput, setTagInput] = useState('')
+
+  const { data: customFields = [] } = useCustomFields()
+  const activeFields = customFields.filter(field => field.active)
 
   const {
     register,
     handleSubmit,
     setValue,
+    setError,
     watch,
     formState: { errors },
   } = useForm({
@@ -33,12 +45,17 @@ const MemberForm = ({ member, onSubmit, onCancel, isLoading }) => {
       golfAustraliaId: '',
       membershipCategory: '',
       status: 'active',
+      statusReason: '',
+      tags: [],
+      customFields: {},
     },
   })
 
   /* eslint-disable react-hooks/incompatible-library -- watch() is intentionally reactive */
   const watchDateOfBirth = watch('dateOfBirth')
   const watchMembershipCategory = watch('membershipCategory')
+  const watchStatus = watch('status')
+  const watchTags = watch('tags')
   /* eslint-enable react-hooks/incompatible-library */
 
   // Load categories
@@ -71,6 +88,14 @@ const MemberForm = ({ member, onSubmit, onCancel, isLoading }) => {
       setValue('golfAustraliaId', member.golfAustraliaId || '')
       setValue('membershipCategory', member.membershipCategory || '')
       setValue('status', member.status || 'active')
+      setValue('tags', member.tags || [])
+      // Inputs hold text; yes/no fields hold a checkbox state
+      setValue('customFields', Object.fromEntries(
+        Object.entries(member.customFields || {}).map(([key, value]) => [
+          key,
+          typeof value === 'boolean' ? value : String(value)
+        ])
+      ))
     }
   }, [member, setValue])
 
@@ -93,12 +118,73 @@ const MemberForm = ({ member, onSubmit, onCancel, isLoading }) => {
     suggestCategory()
   }, [watchDateOfBirth, member, watchMembershipCategory, setValue])
 
+  const addTags = (text) => {
+    setValue('tags', parseTags([...(watchTags || []), ...parseTags(text)]))
+    setTagInput('')
+  }
+
+  const removeTag = (tag) => {
+    setValue('tags', (watchTags || []).filter(existing => existing !== tag))
+  }
+
+  const handleTagKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault()
+      addTags(tagInput)
+    }
+  }
+
   const onFormSubmit = (data) => {
-    // Include accountBalance for editing
-    const submitData = member
-      ? { ...data, accountBalance: member.accountBalance || 0 }
-      : data
-    onSubmit(submitData)
+    const { values, errors: fieldErrors } = parseCustomFieldValues(
+      activeFields,
+      data.customFields,
+      member?.customFields
+    )
+    if (Object.keys(fieldErrors).length > 0) {
+      Object.entries(fieldErrors).forEach(([key, message]) => {
+        setError(`customFields.${key}`, { message })
+      })
+      return
+    }
+
+    // Pick up a tag typed but not yet added
+    const tags = parseTags([...(data.tags || []), ...parseTags(tagInput)])
+    onSubmit({ ...data, tags, customFields: values })
+  }
+
+  const renderCustomFieldInput = (field) => {
+    const name = `customFields.${field.id}`
+    const error = errors.customFields?.[field.id]?.message
+
+    if (field.type === CUSTOM_FIELD_TYPES.BOOLEAN) {
+      return (
+        <label key={field.id} className="flex items-center mt-6">
+          <input type="checkbox" {...register(name)} className="mr-2" />
+          <span className="text-sm text-gray-700">{field.label}</span>
+        </label>
+      )
+    }
+
+    return (
+      <FormField key={field.id} label={field.label} name={name} error={error}>
+        {field.type === CUSTOM_FIELD_TYPES.SELECT ? (
+          <FormSelect id={name} error={error} {...register(name)}>
+            <option value="">Not set</option>
+            {(field.options || []).map(option => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </FormSelect>
+        ) : (
+          <FormInput
+            type={field.type === CUSTOM_FIELD_TYPES.NUMBER ? 'number' : field.type === CUSTOM_FIELD_TYPES.DATE ? 'date' : 'text'}
+            step={field.type === CUSTOM_FIELD_TYPES.NUMBER ? 'any' : undefined}
+            id={name}
+            error={error}
+            {...register(name)}
+          />
+        )}
+      </FormField>
+    )
   }
 
   return (
@@ -315,11 +401,29 @@ const MemberForm = ({ member, onSubmit, onCancel, isLoading }) => {
               error={errors.status?.message}
               {...register('status')}
             >
-              <option value="active">Active</option>
-              <option value="inactive">Inactive</option>
+              {Object.entries(MEMBER_STATUS_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
             </FormSelect>
           </FormField>
 
+          {member && watchStatus !== (member.status || 'active') && (
+            <FormField
+              label="Reason for Status Change"
+              name="statusReason"
+              error={errors.statusReason?.message}
+              helpText="Recorded in the member's status history"
+            >
+              <FormInput
+                type="text"
+                id="statusReason"
+                placeholder="e.g., Resignation letter received"
+                error={errors.statusReason?.message}
+                {...register('statusReason')}
+              />
+            </FormField>
+          )}
+
           {member && (
             <div>
               <label htmlFor="accountBalance" className="block text-sm font-medium text-gray-700 mb-1">
@@ -341,6 +445,53 @@ const MemberForm = ({ member, onSubmit, onCancel, isLoading }) => {
         </div>
       </div>
 
+      {/* Tags and Custom Fields */}
+      <div className="bg-white shadow rounded-lg p-6">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">Tags &amp; Other Details</h3>
+
+        <FormField
+          label="Tags"
+          name="tags"
+          error={errors.tags?.message}
+          helpText="Press Enter or comma to add a tag, e.g. Pennant Team, Volunteer"
+        >
+          <div>
+            {(watchTags || []).length > 0 && (
+              <div className="flex flex-wrap gap-2 mb-2">
+                {watchTags.map(tag => (
+                  <span key={tag} className="inline-flex items-center px-2 py-1 bg-gray-100 text-gray-800 text-xs rounded">
+                    {tag}
+                    <button
+                      type="button"
+                      onClick={() => removeTag(tag)}
+                      className="ml-1 text-gray-500 hover:text-red-600"
+                      aria-label={`Remove tag ${tag}`}
+                    >
+                      ×
+                    </button>
+                  </span>
+                ))}
+              </div>
+            )}
+            <FormInput
+              type="text"
+              id="tags"
+              value={tagInput}
+              onChange={(e) => setTagInput(e.target.value)}
+              onKeyDown={handleTagKeyDown}
+              onBlur={() => tagInput.trim() && addTags(tagInput)}
+              placeholder="Add a tag"
+            />
+          </div>
+        </FormField>
+
+        {activeFields.length > 0 && (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+            {activeFields.map(renderCustomFieldInput)}
+          </div>
+        )}
+      </div>
+
       {/* Form Actions */}
       <div className="flex justify-end gap-3">
         <button
@@ -356,7 +507,7 @@ const MemberForm = ({ member, onSubmit, onCancel, isLoading }) => {
           disabled={isLoading}
           className="px-4 py-2 bg-primary text-white rounded-md hover:bg-primary/90 disabled:opacity-50"
         >
-          {isLoading ? 'Saving...' : member ? 'Update Member' : 'Add Member'}
+          {isLoading ? 'Saving...' : submitLabel || (member ? 'Update Member' : 'Add Member')}
         </button>
       </div>
     </form>
@@ -0,0 +1,288 @@
+import { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { useAuth } from '../contexts/AuthContext'
+import {
+  useMemberGroupForMember,
+  useGroupMembers,
+  useCreateMemberGroup,
+  useUpdateMemberGroup,
+  useAddGroupMember,
+  useRemoveGroupMember,
+  useDisbandMemberGroup
+} from '@/hooks/useMemberGroups'
+import { useMembers } from '@/hooks/useMembers'
+import {
+  MEMBER_GROUP_TYPES,
+  MEMBER_GROUP_TYPE_LABELS,
+  summariseGroupBalance
+} from '../services/memberGroupService'
+import { isCurrentMember } from '../services/memberStatusService'
+import { generateGroupStatement, generateGroupPaymentReminder } from '../services/welcomeLetterService'
+import { handleError, showSuccess } from '@/utils/errorHandler'
+import { FormField, FormInput, FormSelect } from './form'
+import MemberSearchSelect from './MemberSearchSelect'
+
+// "Smith, Jane" and "Jane Smith" both suggest "Smith Family"
+const suggestGroupName = (fullName = '') => {
+  const surname = fullName.includes(',')
+    ? fullName.split(',')[0].trim()
+    : fullName.trim().split(' ').pop()
+  return surname ? `${surname} Family` : ''
+}
+
+/**
+ * MemberGroupCard - Family, couple or corporate membership the member is billed through
+ *
+ * @param {object} props
+ * @param {object} props.member - Member record (id, fullName)
+ * @param {boolean} props.canEdit - Whether the current user can change the group
+ */
+const MemberGroupCard = ({ member, canEdit }) => {
+  const { currentUser } = useAuth()
+  const { data: group, isLoading } = useMemberGroupForMember(member.id)
+  const { data: groupMembers = [] } = useGroupMembers(group)
+
+  const [showCreateForm, setShowCreateForm] = useState(false)
+  const [newGroup, setNewGroup] = useState({ name: '', type: MEMBER_GROUP_TYPES.FAMILY })
+  const [isAdding, setIsAdding] = useState(false)
+  const [isGenerating, setIsGenerating] = useState(false)
+
+  const { data: allMembers = [] } = useMembers({ enabled: isAdding })
+
+  const createMutation = useCreateMemberGroup({ onSuccess: () => setShowCreateForm(false) })
+  const updateMutation = useUpdateMemberGroup()
+  const addMutation = useAddGroupMember({ onSuccess: () => setIsAdding(false) })
+  const removeMutation = useRemoveGroupMember()
+  const disbandMutation = useDisbandMemberGroup()
+
+  const isBusy = createMutation.isPending || updateMutation.isPending || addMutation.isPending ||
+    removeMutation.isPending || disbandMutation.isPending
+
+  const openCreateForm = () => {
+    setNewGroup({ name: suggestGroupName(member.fullName), type: MEMBER_GROUP_TYPES.FAMILY })
+    setShowCreateForm(true)
+  }
+
+  const handleCreate = (e) => {
+    e.preventDefault()
+    createMutation.mutate({
+      groupData: { ...newGroup, billingContactId: member.id, memberIds: [member.id] },
+      userId: currentUser.uid
+    })
+  }
+
+  const handleMakeBillingContact = (contact) => {
+    updateMutation.mutate({
+      groupId: group.id,
+      groupData: { ...group, billingContactId: contact.id },
+      userId: currentUser.uid
+    })
+  }
+
+  const handleRemove = (groupMember) => {
+    const confirmed = window.confirm(`Unlink ${groupMember.fullName} from ${group.name}? They will be billed individually.`)
+    if (!confirmed) return
+    removeMutation.mutate({ groupId: group.id, memberId: groupMember.id, userId: currentUser.uid })
+  }
+
+  const handleDisband = () => {
+    const confirmed = window.confirm(`Remove ${group.name}? All ${groupMembers.length} members will be billed individually.`)
+    if (!confirmed) return
+    disbandMutation.mutate({ groupId: group.id })
+  }
+
+  const handleGenerate = async (generate, label) => {
+    try {
+      setIsGenerating(true)
+      await generate(group.id)
+      showSuccess(`${label} generated`)
+    } catch (error) {
+      handleError(error, `Failed to generate ${label.toLowerCase()}`)
+    } finally {
+      setIsGenerating(false)
+    }
+  }
+
+  if (isLoading) {
+    return (
+      <div className="bg-white shadow rounded-lg p-6">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">Linked Membership</h3>
+        <p className="text-gray-500 text-sm">Loading...</p>
+      </div>
+    )
+  }
+
+  if (!group) {
+    return (
+      <div className="bg-white shadow rounded-lg p-6">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">Linked Membership</h3>
+        {!showCreateForm ? (
+          <>
+            <p className="text-sm text-gray-500">
+              Not linked. Family, couple and corporate memberships share one statement and payment.
+            </p>
+            {canEdit && (
+              <button
+                onClick={openCreateForm}
+                className="mt-3 text-sm text-club-navy hover:text-club-navy-dark font-medium"
+              >
+                Create linked membership
+              </button>
+            )}
+          </>
+        ) : (
+          <form onSubmit={handleCreate} className="space-y-3">
+            <FormField label="Name" name="groupName" required>
+              <FormInput
+                id="groupName"
+                value={newGroup.name}
+                onChange={(e) => setNewGroup({ ...newGroup, name: e.target.value })}
+              />
+            </FormField>
+            <FormField label="Type" name="groupType" required>
+              <FormSelect
+                id="groupType"
+                value={newGroup.type}
+                onChange={(e) => setNewGroup({ ...newGroup, type: e.target.value })}
+              >
+                {Object.entries(MEMBER_GROUP_TYPE_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </FormSelect>
+            </FormField>
+            <p className="text-xs text-gray-500">{member.fullName} will be the billing contact.</p>
+            <div className="flex gap-2">
+              <button
+                type="submit"
+                disabled={isBusy || !newGroup.name.trim()}
+                className="px-4 py-2 bg-primary text-white rounded-md hover:bg-primary/90 disabled:opacity-50"
+              >
+                Create
+              </button>
+              <button
+                type="button"
+                onClick={() => setShowCreateForm(false)}
+                className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    )
+  }
+
+  const { totalOwing } = summariseGroupBalance(groupMembers)
+  const addableMembers = allMembers.filter(m => isCurrentMember(m) && !group.memberIds.includes(m.id))
+
+  return (
+    <div className="bg-white shadow rounded-lg p-6">
+      <h3 className="text-lg font-semibold text-gray-900 mb-1">Linked Membership</h3>
+      <p className="text-sm text-gray-600 mb-4">
+        {group.name} <span className="text-gray-400">&middot;</span> {MEMBER_GROUP_TYPE_LABELS[group.type]}
+      </p>
+
+      <ul className="space-y-2 mb-4">
+        {groupMembers.map(groupMember => (
+          <li key={groupMember.id} className="text-sm">
+            <div className="flex justify-between">
+              {groupMember.id === member.id ? (
+                <span className="font-medium text-gray-900">{groupMember.fullName}</span>
+              ) : (
+                <Link to={`/members/${groupMember.id}`} className="text-club-navy hover:text-club-navy-dark font-medium">
+                  {groupMember.fullName}
+                </Link>
+              )}
+              <span className={(groupMember.accountBalance || 0) < 0 ? 'text-red-600' : 'text-gray-700'}>
+                ${(groupMember.accountBalance || 0).toFixed(2)}
+              </span>
+            </div>
+            <div className="flex gap-3 text-xs">
+              {groupMember.id === group.billingContactId ? (
+                <span className="text-gray-500">Billing contact</span>
+              ) : canEdit && (
+                <>
+                  <button
+                    onClick={() => handleMakeBillingContact(groupMember)}
+                    disabled={isBusy}
+                    className="text-club-navy hover:text-club-navy-dark disabled:opacity-50"
+                  >
+                    Make billing contact
+                  </button>
+                  <button
+                    onClick={() => handleRemove(groupMember)}
+                    disabled={isBusy}
+                    className="text-red-600 hover:text-red-800 disabled:opacity-50"
+                  >
+                    Unlink
+                  </button>
+                </>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      <div className="flex justify-between text-sm font-medium border-t pt-3 mb-4">
+        <span className="text-gray-700">Combined owing</span>
+        <span className={totalOwing > 0 ? 'text-red-600' : 'text-gray-900'}>${totalOwing.toFixed(2)}</span>
+      </div>
+
+      <div className="flex flex-wrap gap-3 text-sm">
+        <button
+          onClick={() => handleGenerate(generateGroupStatement, 'Statement')}
+          disabled={isGenerating}
+          className="text-club-navy hover:text-club-navy-dark font-medium disabled:opacity-50"
+        >
+          Statement
+        </button>
+        {totalOwing > 0 && (
+          <button
+            onClick={() => handleGenerate(generateGroupPaymentReminder, 'Payment reminder')}
+            disabled={isGenerating}
+            className="text-club-navy hover:text-club-navy-dark font-medium disabled:opacity-50"
+          >
+            Payment Reminder
+          </button>
+        )}
+        {canEdit && (
+          <>
+            <Link
+              to={`/payments?member=${group.billingContactId}`}
+              className="text-club-navy hover:text-club-navy-dark font-medium"
+            >
+              Record Payment
+            </Link>
+            <button
+              onClick={() => setIsAdding(true)}
+              disabled={isBusy}
+              className="text-club-navy hover:text-club-navy-dark font-medium disabled:opacity-50"
+            >
+              Add Member
+            </button>
+            <button
+              onClick={handleDisband}
+              disabled={isBusy}
+              className="text-red-600 hover:text-red-800 font-medium disabled:opacity-50"
+            >
+              Remove Group
+            </button>
+          </>
+        )}
+      </div>
+
+      {isAdding && (
+        <div className="mt-4">
+          <MemberSearchSelect
+            members={addableMembers}
+            onSelect={(selected) => addMutation.mutate({ groupId: group.id, memberId: selected.id, userId: currentUser.uid })}
+            onCancel={() => setIsAdding(false)}
+          />
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default MemberGroupCard
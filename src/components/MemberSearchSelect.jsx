@@ -0,0 +1,83 @@
+import { useState, useMemo } from 'react'
+import {
+  Command,
+  CommandInput,
+  CommandList,
+  CommandEmpty,
+  CommandGroup,
+  CommandItem,
+} from '@/components/ui/command'
+import { Button } from '@/components/ui/button'
+
+/**
+ * MemberSearchSelect - Inline member search (name, email or Golf Australia ID)
+ *
+ * @param {object} props
+ * @param {Array} props.members - Members to search
+ * @param {function} props.onSelect - Called with the chosen member
+ * @param {function} props.onCancel - Called when the search is closed without a choice
+ */
+const MemberSearchSelect = ({ members, onSelect, onCancel }) => {
+  const [searchQuery, setSearchQuery] = useState('')
+
+  const filteredMembers = useMemo(() => {
+    if (!searchQuery.trim()) return members.slice(0, 10)
+    const query = searchQuery.toLowerCase()
+    return members
+      .filter(m =>
+        m.fullName.toLowerCase().includes(query) ||
+        m.email?.toLowerCase().includes(query) ||
+        m.golfAustraliaId?.toLowerCase().includes(query)
+      )
+      .slice(0, 10)
+  }, [members, searchQuery])
+
+  return (
+    <div className="relative">
+      <Command className="border rounded-md" shouldFilter={false}>
+        <CommandInput
+          placeholder="Search member..."
+          value={searchQuery}
+          onValueChange={setSearchQuery}
+          autoFocus
+        />
+        <CommandList>
+          <CommandEmpty>No members found</CommandEmpty>
+          <CommandGroup>
+            {filteredMembers.map(member => (
+              <CommandItem
+                key={member.id}
+                value={member.id}
+                onSelect={() => onSelect(member)}
+                onClick={() => onSelect(member)}
+                className="cursor-pointer"
+              >
+                <div className="flex flex-col">
+                  <span className="font-medium">{member.fullName}</span>
+                  <span className="text-xs text-gray-500">
+                    {member.golfAustraliaId && `GA: ${member.golfAustraliaId}`}
+                    {member.accountBalance < 0 && (
+                      <span className="text-red-600 ml-2">
+                        Owes ${Math.abs(member.accountBalance).toFixed(2)}
+                      </span>
+                    )}
+                  </span>
+                </div>
+              </CommandItem>
+            ))}
+          </CommandGroup>
+        </CommandList>
+      </Command>
+      <Button
+        variant="ghost"
+        size="sm"
+        className="absolute -top-1 -right-1"
+        onClick={onCancel}
+      >
+        X
+      </Button>
+    </div>
+  )
+}
+
+export default MemberSearchSelect
@@ -0,0 +1,280 @@
+import { useState } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import {
+  useMemberLedger,
+  useBalanceVerification,
+  useRecomputeBalance,
+  useRecordLedgerEntry,
+  useBackfillLedger
+} from '@/hooks/useMemberLedger'
+import { buildRunningStatement, formatLedgerEntryType, LEDGER_ENTRY_TYPES } from '../services/ledgerService'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogFooter,
+} from '@/components/ui/dialog'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select'
+
+const emptyAdjustment = {
+  type: LEDGER_ENTRY_TYPES.ADJUSTMENT,
+  direction: 'credit',
+  amount: '',
+  description: ''
+}
+
+const typeBadgeClass = (type) => {
+  switch (type) {
+    case LEDGER_ENTRY_TYPES.PAYMENT:
+      return 'bg-club-tan-light bg-opacity-30 text-club-navy'
+    case LEDGER_ENTRY_TYPES.CHARGE:
+      return 'bg-red-100 text-red-800'
+    case LEDGER_ENTRY_TYPES.REVERSAL:
+      return 'bg-yellow-100 text-yellow-800'
+    case LEDGER_ENTRY_TYPES.WRITE_OFF:
+      return 'bg-purple-100 text-purple-800'
+    default:
+      return 'bg-gray-100 text-gray-800'
+  }
+}
+
+/**
+ * MemberStatement - Running-balance statement built from the member's ledger
+ *
+ * @param {object} props
+ * @param {object} props.member - Member record (id, fullName, accountBalance)
+ * @param {boolean} props.canEdit - Whether the current user can record adjustments
+ */
+const MemberStatement = ({ member, canEdit }) => {
+  const { currentUser } = useAuth()
+  const { data: entries = [], isLoading } = useMemberLedger(member.id)
+  const { data: verification } = useBalanceVerification(member.id)
+
+  const recomputeMutation = useRecomputeBalance()
+  const backfillMutation = useBackfillLedger()
+  const recordEntryMutation = useRecordLedgerEntry()
+
+  const [showAdjustmentModal, setShowAdjustmentModal] = useState(false)
+  const [adjustment, setAdjustment] = useState(emptyAdjustment)
+
+  const statement = buildRunningStatement(entries)
+
+  const handleRecordAdjustment = (e) => {
+    e.preventDefault()
+
+    const amount = parseFloat(adjustment.amount)
+    // Write-offs always credit the member; adjustments can go either way
+    const signedAmount = adjustment.type === LEDGER_ENTRY_TYPES.WRITE_OFF || adjustment.direction === 'credit'
+      ? amount
+      : -amount
+
+    recordEntryMutation.mutate(
+      {
+        entryData: {
+          memberId: member.id,
+          memberName: member.fullName,
+          type: adjustment.type,
+          amount: signedAmount,
+          description: adjustment.description.trim()
+        },
+        userId: currentUser.uid
+      },
+      {
+        onSuccess: () => {
+          setShowAdjustmentModal(false)
+          setAdjustment(emptyAdjustment)
+        }
+      }
+    )
+  }
+
+  return (
+    <div className="bg-white shadow rounded-lg p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold text-gray-900">Account Statement</h3>
+        {canEdit && entries.length > 0 && (
+          <Button variant="outline" size="sm" onClick={() => setShowAdjustmentModal(true)}>
+            Adjustment / Write-off
+          </Button>
+        )}
+      </div>
+
+      {/* Balance verification */}
+      {verification && !verification.isValid && verification.entryCount > 0 && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-md p-4 mb-4 flex items-center justify-between">
+          <p className="text-sm text-yellow-800">
+            Cached balance (${verification.cachedBalance.toFixed(2)}) differs from the ledger
+            (${verification.ledgerBalance.toFixed(2)}) by ${Math.abs(verification.difference).toFixed(2)}.
+          </p>
+          {canEdit && (
+            <Button
+              size="sm"
+              variant="outline"
+              onClick={() => recomputeMutation.mutate(member.id)}
+              disabled={recomputeMutation.isPending}
+            >
+              {recomputeMutation.isPending ? 'Recalculating...' : 'Recalculate from Ledger'}
+            </Button>
+          )}
+        </div>
+      )}
+
+      {isLoading ? (
+        <p className="text-gray-600">Loading statement...</p>
+      ) : entries.length === 0 ? (
+        <div className="flex items-center justify-between">
+          <p className="text-gray-600">
+            No ledger entries yet. History recorded before the ledger was introduced can be imported from existing payments and fees.
+          </p>
+          {canEdit && (
+            <Button
+              variant="outline"
+              onClick={() => backfillMutation.mutate({ memberId: member.id, userId: currentUser.uid })}
+              disabled={backfillMutation.isPending}
+            >
+              {backfillMutation.isPending ? 'Building...' : 'Build Ledger from History'}
+            </Button>
+          )}
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Description</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Debit</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Credit</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Balance</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {statement.map(entry => (
+                <tr key={entry.id}>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">{entry.entryDate}</td>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm">
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium ${typeBadgeClass(entry.type)}`}>
+                      {formatLedgerEntryType(entry.type)}
+                    </span>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-900">{entry.description}</td>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm text-right text-red-600">
+                    {entry.debit > 0 ? `$${entry.debit.toFixed(2)}` : ''}
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm text-right text-club-navy">
+                    {entry.credit > 0 ? `$${entry.credit.toFixed(2)}` : ''}
+                  </td>
+                  <td className={`px-4 py-3 whitespace-nowrap text-sm text-right font-medium ${entry.runningBalance < 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                    ${entry.runningBalance.toFixed(2)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Adjustment Dialog */}
+      <Dialog open={showAdjustmentModal} onOpenChange={setShowAdjustmentModal}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Record Adjustment</DialogTitle>
+          </DialogHeader>
+          <p className="text-sm text-gray-600 mb-4">
+            Adjustments are added to the ledger for <strong>{member.fullName}</strong> and cannot be edited afterwards.
+          </p>
+
+          <form onSubmit={handleRecordAdjustment}>
+            <div className="space-y-4">
+              <div>
+                <Label htmlFor="adjustmentType">Entry Type</Label>
+                <Select
+                  value={adjustment.type}
+                  onValueChange={(value) => setAdjustment({ ...adjustment, type: value })}
+                >
+                  <SelectTrigger id="adjustmentType">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={LEDGER_ENTRY_TYPES.ADJUSTMENT}>Adjustment</SelectItem>
+                    <SelectItem value={LEDGER_ENTRY_TYPES.WRITE_OFF}>Write-off (forgive debt)</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+
+              {adjustment.type === LEDGER_ENTRY_TYPES.ADJUSTMENT && (
+                <div>
+                  <Label htmlFor="adjustmentDirection">Direction</Label>
+                  <Select
+                    value={adjustment.direction}
+                    onValueChange={(value) => setAdjustment({ ...adjustment, direction: value })}
+                  >
+                    <SelectTrigger id="adjustmentDirection">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="credit">Credit member (reduce amount owing)</SelectItem>
+                      <SelectItem value="debit">Debit member (increase amount owing)</SelectItem>
+                    </SelectContent>
+                  </Select>
+                </div>
+              )}
+
+              <div>
+                <Label htmlFor="adjustmentAmount">Amount ($)</Label>
+                <Input
+                  type="number"
+                  id="adjustmentAmount"
+                  step="0.01"
+                  min="0.01"
+                  value={adjustment.amount}
+                  onChange={(e) => setAdjustment({ ...adjustment, amount: e.target.value })}
+                  required
+                />
+              </div>
+
+              <div>
+                <Label htmlFor="adjustmentDescription">Reason</Label>
+                <Input
+                  type="text"
+                  id="adjustmentDescription"
+                  value={adjustment.description}
+                  onChange={(e) => setAdjustment({ ...adjustment, description: e.target.value })}
+                  placeholder="e.g., Correction to match paper records"
+                  required
+                />
+              </div>
+            </div>
+
+            <DialogFooter className="mt-6">
+              <Button
+                type="button"
+                variant="outline"
+                onClick={() => setShowAdjustmentModal(false)}
+                disabled={recordEntryMutation.isPending}
+              >
+                Cancel
+              </Button>
+              <Button type="submit" variant="ocean" disabled={recordEntryMutation.isPending}>
+                {recordEntryMutation.isPending ? 'Recording...' : 'Record Entry'}
+              </Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+    </div>
+  )
+}
+
+export default MemberStatement
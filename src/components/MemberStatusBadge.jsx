@@ -0,0 +1,31 @@
+import { cn } from '@/lib/utils'
+import { MEMBER_STATUSES, formatMemberStatus } from '../services/memberStatusService'
+
+const STATUS_STYLES = {
+  [MEMBER_STATUSES.ACTIVE]: 'bg-club-tan-light bg-opacity-30 text-club-navy',
+  [MEMBER_STATUSES.FINANCIAL]: 'bg-green-100 text-green-800',
+  [MEMBER_STATUSES.UNFINANCIAL]: 'bg-yellow-100 text-yellow-800',
+  [MEMBER_STATUSES.SUSPENDED]: 'bg-red-100 text-red-800',
+  [MEMBER_STATUSES.LIFE]: 'bg-blue-100 text-blue-800',
+}
+
+/**
+ * Coloured pill for a member status
+ * Former members (inactive, resigned, deceased) share the grey style.
+ * @param {Object} props
+ * @param {string} props.status - Member status value
+ * @param {string} props.className - Extra classes
+ */
+const MemberStatusBadge = ({ status, className }) => {
+  return (
+    <span className={cn(
+      'px-2 inline-flex text-xs leading-5 font-semibold rounded-full',
+      STATUS_STYLES[status] || 'bg-gray-100 text-gray-800',
+      className
+    )}>
+      {formatMemberStatus(status)}
+    </span>
+  )
+}
+
+export default MemberStatusBadge
@@ -0,0 +1,124 @@
+import { useMemberEvents } from '@/hooks/useMemberEvents'
+import {
+  MEMBER_EVENT_TYPES,
+  MEMBER_EVENT_LABELS,
+  TRACKED_DETAIL_FIELDS
+} from '../services/memberEventService'
+import MemberStatusBadge from './MemberStatusBadge'
+
+const STATUS_EVENT_TYPES = [
+  MEMBER_EVENT_TYPES.STATUS_CHANGE,
+  MEMBER_EVENT_TYPES.RESIGNED,
+  MEMBER_EVENT_TYPES.REJOINED
+]
+
+const SOURCE_LABELS = {
+  application: 'membership application',
+  age_progression: 'age progression',
+  renewal: 'annual renewal',
+  status_review: 'status review',
+  change_request: 'change request',
+  member_merge: 'member merge',
+  bulk_edit: 'members list bulk edit'
+}
+
+const eventDotClass = (type) => {
+  switch (type) {
+    case MEMBER_EVENT_TYPES.JOINED:
+    case MEMBER_EVENT_TYPES.REJOINED:
+      return 'bg-green-500'
+    case MEMBER_EVENT_TYPES.RESIGNED:
+      return 'bg-red-500'
+    case MEMBER_EVENT_TYPES.CATEGORY_CHANGE:
+      return 'bg-blue-500'
+    default:
+      return 'bg-gray-400'
+  }
+}
+
+/**
+ * MemberTimeline - Lifecycle events (joined, category and status changes, detail updates)
+ *
+ * @param {object} props
+ * @param {object} props.member - Member record (id)
+ * @param {Array} props.categories - Membership categories, to show category names
+ */
+const MemberTimeline = ({ member, categories = [] }) => {
+  const { data: events = [], isLoading } = useMemberEvents(member.id)
+
+  const getCategoryName = (categoryId) => {
+    return categories.find(c => c.id === categoryId)?.name || categoryId || '-'
+  }
+
+  return (
+    <div className="bg-white shadow rounded-lg p-6">
+      <h3 className="text-lg font-semibold text-gray-900 mb-4">Membership Timeline</h3>
+
+      {isLoading ? (
+        <p className="text-gray-500 text-sm">Loading timeline...</p>
+      ) : events.length === 0 ? (
+        <p className="text-gray-500 text-sm">
+          No lifecycle events recorded yet. Changes made from now on will appear here.
+        </p>
+      ) : (
+        <ol className="relative border-l border-gray-200 ml-2">
+          {events.map(event => (
+            <li key={event.id} className="mb-6 ml-6">
+              <span className={`absolute -left-1.5 mt-1.5 h-3 w-3 rounded-full ${eventDotClass(event.type)}`} />
+              <div className="flex flex-wrap items-baseline gap-2">
+                <span className="text-sm font-semibold text-gray-900">
+                  {MEMBER_EVENT_LABELS[event.type] || event.type}
+                </span>
+                <span className="text-xs text-gray-500">{event.eventDate}</span>
+                {SOURCE_LABELS[event.source] && (
+                  <span className="text-xs text-gray-500">({SOURCE_LABELS[event.source]})</span>
+                )}
+              </div>
+
+              {event.type === MEMBER_EVENT_TYPES.JOINED && (
+                <p className="text-sm text-gray-700 mt-1">
+                  {event.description}
+                  {event.to && ` - ${getCategoryName(event.to)}`}
+                </p>
+              )}
+
+              {event.type === MEMBER_EVENT_TYPES.CATEGORY_CHANGE && (
+                <p className="text-sm text-gray-700 mt-1">
+                  {getCategoryName(event.from)} &rarr; {getCategoryName(event.to)}
+                  {event.reason && <span className="text-gray-500"> - {event.reason}</span>}
+                </p>
+              )}
+
+              {STATUS_EVENT_TYPES.includes(event.type) && (
+                <div className="flex flex-wrap items-center gap-2 mt-1 text-sm">
+                  {event.from && (
+                    <>
+                      <MemberStatusBadge status={event.from} />
+                      <span className="text-gray-400">&rarr;</span>
+                    </>
+                  )}
+                  <MemberStatusBadge status={event.to} />
+                  {event.reason && <span className="text-gray-700">{event.reason}</span>}
+                </div>
+              )}
+
+              {event.type === MEMBER_EVENT_TYPES.DETAILS_CHANGE && (
+                <ul className="mt-1 space-y-0.5">
+                  {(event.changes || []).map(change => (
+                    <li key={change.field} className="text-sm text-gray-700">
+                      <span className="text-gray-500">{TRACKED_DETAIL_FIELDS[change.field] || change.field}:</span>{' '}
+                      <span className="line-through text-gray-400">{change.from || '(blank)'}</span>{' '}
+                      &rarr; {change.to || '(blank)'}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  )
+}
+
+export default MemberTimeline
@@ -0,0 +1,152 @@
+import { useState } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import {
+  useMemberViews,
+  useSaveMemberView,
+  useDeleteMemberView
+} from '@/hooks/useMemberViews'
+import { filtersToSearchParams } from '../services/memberViewService'
+import { handleError, showSuccess } from '@/utils/errorHandler'
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+  DialogFooter,
+} from '@/components/ui/dialog'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Checkbox } from '@/components/ui/checkbox'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
+
+/**
+ * Saved members list views
+ * Pick a view to apply its filters, save the current filters, or copy a link to them.
+ * Views can be kept private or shared with everyone at the club.
+ */
+const MemberViewSelector = ({ filters, onApply }) => {
+  const { currentUser, activeClubId, checkPermission, ROLES } = useAuth()
+  const [selectedViewId, setSelectedViewId] = useState('')
+  const [showSave, setShowSave] = useState(false)
+  const [viewName, setViewName] = useState('')
+  const [shared, setShared] = useState(false)
+
+  const { data: views = [] } = useMemberViews(currentUser?.uid)
+  const saveMutation = useSaveMemberView({
+    onSuccess: (view) => {
+      setSelectedViewId(view.id)
+      setShowSave(false)
+    }
+  })
+  const deleteMutation = useDeleteMemberView({ onSuccess: () => setSelectedViewId('') })
+
+  const selectedView = views.find(view => view.id === selectedViewId)
+  const canDelete = selectedView &&
+    (selectedView.createdBy === currentUser?.uid || checkPermission(ROLES.ADMIN))
+
+  const handleSelect = (viewId) => {
+    setSelectedViewId(viewId)
+    const view = views.find(v => v.id === viewId)
+    if (view) onApply(view.filters)
+  }
+
+  const openSave = () => {
+    setViewName('')
+    setShared(false)
+    setShowSave(true)
+  }
+
+  const handleSave = () => {
+    saveMutation.mutate({
+      viewData: { name: viewName, filters, shared },
+      user: currentUser
+    })
+  }
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete the view "${selectedView.name}"?`)) return
+    deleteMutation.mutate(selectedView.id)
+  }
+
+  // The club goes in the link so it opens at the right club for users in several
+  const handleCopyLink = async () => {
+    const params = filtersToSearchParams(filters)
+    if (activeClubId) params.set('club', activeClubId)
+    const url = `${window.location.origin}/members?${params.toString()}`
+    try {
+      await navigator.clipboard.writeText(url)
+      showSuccess('Link copied')
+    } catch (error) {
+      handleError(error, 'Failed to copy link')
+    }
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <Select value={selectedViewId} onValueChange={handleSelect}>
+        <SelectTrigger className="w-56">
+          <SelectValue placeholder={views.length ? 'Saved views' : 'No saved views'} />
+        </SelectTrigger>
+        <SelectContent>
+          {views.map(view => (
+            <SelectItem key={view.id} value={view.id}>
+              {view.name}{view.shared ? ' (shared)' : ''}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+      {canDelete && (
+        <Button variant="outline" onClick={handleDelete} disabled={deleteMutation.isPending}>
+          Delete View
+        </Button>
+      )}
+      <Button variant="outline" onClick={openSave}>
+        Save View
+      </Button>
+      <Button variant="outline" onClick={handleCopyLink}>
+        Copy Link
+      </Button>
+
+      <Dialog open={showSave} onOpenChange={setShowSave}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Save View</DialogTitle>
+            <DialogDescription>
+              Keep the current search, filters and sort order to come back to later.
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="space-y-4">
+            <div>
+              <Label htmlFor="viewName">Name</Label>
+              <Input
+                id="viewName"
+                value={viewName}
+                maxLength={50}
+                onChange={(e) => setViewName(e.target.value)}
+                placeholder="e.g., Pennant players owing"
+              />
+            </div>
+            <label className="flex items-center gap-2">
+              <Checkbox checked={shared} onCheckedChange={(checked) => setShared(!!checked)} />
+              <span className="text-sm text-gray-700">Share with everyone at the club</span>
+            </label>
+          </div>
+
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setShowSave(false)} disabled={saveMutation.isPending}>
+              Cancel
+            </Button>
+            <Button onClick={handleSave} disabled={!viewName.trim() || saveMutation.isPending}>
+              {saveMutation.isPending ? 'Saving...' : 'Save View'}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  )
+}
+
+export default MemberViewSelector
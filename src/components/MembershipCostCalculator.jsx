@@ -1,5 +1,6 @@
 import PropTypes from 'prop-types'
-import { calculateProRataFeeSync } from '../services/categoryService'
+import { calculateProRataFeeSync, getCategoryPricing, getMembershipYear } from '../services/categoryService'
+import { DEFAULT_MEMBERSHIP_YEAR_START_MONTH, formatMembershipYearSpan } from '../services/clubSettingsService'
 
 /**
  * Month names for display
@@ -16,6 +17,7 @@ const MONTH_NAMES = [
 const MembershipCostCalculator = ({
   category,
   joiningDate = new Date(),
+  membershipYearStartMonth = DEFAULT_MEMBERSHIP_YEAR_START_MONTH,
   className = ''
 }) => {
   // Don't render if no category selected
@@ -23,22 +25,23 @@ const MembershipCostCalculator = ({
     return null
   }
 
-  // Calculate costs
-  const costBreakdown = calculateProRataFeeSync(category, joiningDate)
+  // Calculate costs at the prices for the joining date's membership year
+  const pricing = getCategoryPricing(category, getMembershipYear(joiningDate, membershipYearStartMonth))
+  const costBreakdown = calculateProRataFeeSync(category, joiningDate, membershipYearStartMonth)
   const currentMonthName = MONTH_NAMES[costBreakdown.currentMonth]
   const currentYear = joiningDate.getFullYear()
 
   // Determine joining fee explanation
   const getJoiningFeeExplanation = () => {
-    if (category.joiningFee === 0) {
+    if (pricing.joiningFee === 0) {
       return null
     }
-    if (costBreakdown.joiningFee === 0 && category.joiningFee > 0) {
+    if (costBreakdown.joiningFee === 0 && pricing.joiningFee > 0) {
       // Fee exists but doesn't apply this month
-      const monthNames = category.joiningFeeMonths?.map(m => MONTH_NAMES[m]).join(', ') || ''
+      const monthNames = pricing.joiningFeeMonths?.map(m => MONTH_NAMES[m]).join(', ') || ''
       return `Joining fee waived (applies ${monthNames} only)`
     }
-    if (category.joiningFeeMonths?.length > 0) {
+    if (pricing.joiningFeeMonths?.length > 0) {
       return `Joining fee (applies this month)`
     }
     return `Joining fee (one-time)`
@@ -68,7 +71,7 @@ const MembershipCostCalculator = ({
         {/* Category Info */}
         <div className="text-sm text-success">
           <div className="font-medium">{category.name}</div>
-          <div className="text-success/90">Annual Rate: {formatCurrency(category.annualFee)}/year</div>
+          <div className="text-success/90">Annual Rate: {formatCurrency(pricing.annualFee)}/year</div>
         </div>
 
         <div className="border-t border-success/30" />
@@ -95,7 +98,7 @@ const MembershipCostCalculator = ({
             <span className="font-medium">{formatCurrency(costBreakdown.proRataSubscription)}</span>
           </div>
 
-          {category.joiningFee > 0 && (
+          {pricing.joiningFee > 0 && (
             <div className="flex justify-between text-success">
               <span className="flex items-center gap-1">
                 Joining fee:
@@ -125,7 +128,7 @@ const MembershipCostCalculator = ({
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
             </svg>
             <span>
-              Membership year runs March to February. Final amount confirmed upon approval.
+              Membership year runs {formatMembershipYearSpan(membershipYearStartMonth)}. Final amount confirmed upon approval.
             </span>
           </div>
         </div>
@@ -141,9 +144,14 @@ MembershipCostCalculator.propTypes = {
     annualFee: PropTypes.number.isRequired,
     joiningFee: PropTypes.number,
     joiningFeeMonths: PropTypes.arrayOf(PropTypes.number),
-    proRataRates: PropTypes.object
+    proRataRates: PropTypes.object,
+    priceSchedules: PropTypes.arrayOf(PropTypes.shape({
+      membershipYear: PropTypes.number.isRequired,
+      annualFee: PropTypes.number.isRequired
+    }))
   }),
   joiningDate: PropTypes.instanceOf(Date),
+  membershipYearStartMonth: PropTypes.number,
   className: PropTypes.string
 }
 
@@ -3,6 +3,9 @@ import { useNavigate } from 'react-router-dom'
 import { useQuery } from '@tanstack/react-query'
 import { getAllMembers } from '../services/membersService'
 import { getAllPayments } from '../services/paymentsService'
+import { getOverdueInstalments } from '../services/instalmentService'
+import { isCurrentMember } from '../services/memberStatusService'
+import { useActiveInstalmentPlans } from '@/hooks/useInstalmentPlans'
 import {
   Table,
   TableBody,
@@ -27,6 +30,7 @@ const SortIndicator = ({ column, sortColumn, sortDirection }) => {
 
 const OutstandingBalances = ({ onRecordPayment }) => {
   const navigate = useNavigate()
+  const [view, setView] = useState('balances')
   const [selectedMembers, setSelectedMembers] = useState(new Set())
   const [sortColumn, setSortColumn] = useState('balance')
   const [sortDirection, setSortDirection] = useState('asc')
@@ -47,6 +51,18 @@ const OutstandingBalances = ({ onRecordPayment }) => {
     staleTime: 5 * 60 * 1000,
   })
 
+  const { data: instalmentPlans = [] } = useActiveInstalmentPlans()
+
+  // Instalments past their due date, filtered by the same amount and days thresholds
+  const allOverdueInstalments = useMemo(() => getOverdueInstalments(instalmentPlans), [instalmentPlans])
+  const overdueInstalments = useMemo(() => {
+    return allOverdueInstalments.filter(inst => {
+      if (inst.outstanding < minAmount) return false
+      if (inst.daysOverdue < minDaysOverdue) return false
+      return true
+    })
+  }, [allOverdueInstalments, minAmount, minDaysOverdue])
+
   // Calculate members with outstanding balances
   const outstandingMembers = useMemo(() => {
     // Create a map of member ID to last payment date
@@ -61,7 +77,7 @@ const OutstandingBalances = ({ onRecordPayment }) => {
     const today = new Date()
 
     return members
-      .filter(member => member.status === 'active' && member.accountBalance < 0)
+      .filter(member => isCurrentMember(member) && member.accountBalance < 0)
       .map(member => {
         const lastPaymentDate = lastPaymentMap[member.id]
         let daysSincePayment = null
@@ -150,6 +166,7 @@ const OutstandingBalances = ({ onRecordPayment }) => {
   }
 
   const totalOutstanding = sortedMembers.reduce((sum, m) => sum + Math.abs(m.balance), 0)
+  const totalInstalmentsOverdue = overdueInstalments.reduce((sum, inst) => sum + inst.outstanding, 0)
   const selectedTotal = sortedMembers
     .filter(m => selectedMembers.has(m.id))
     .reduce((sum, m) => sum + Math.abs(m.balance), 0)
@@ -165,6 +182,25 @@ const OutstandingBalances = ({ onRecordPayment }) => {
     <div className="space-y-4">
       {/* Filters */}
       <div className="flex flex-wrap gap-4 items-center bg-white p-4 rounded-lg shadow-sm">
+        <div className="flex rounded-md border border-gray-300 overflow-hidden text-sm">
+          <button
+            onClick={() => setView('balances')}
+            className={`px-3 py-1.5 ${view === 'balances' ? 'bg-club-navy text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+          >
+            Balances
+          </button>
+          <button
+            onClick={() => setView('instalments')}
+            className={`px-3 py-1.5 border-l border-gray-300 ${view === 'instalments' ? 'bg-club-navy text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+          >
+            Overdue Instalments
+            {allOverdueInstalments.length > 0 && view !== 'instalments' && (
+              <span className="ml-1.5 px-1.5 rounded-full bg-red-100 text-red-800 text-xs">
+                {allOverdueInstalments.length}
+              </span>
+            )}
+          </button>
+        </div>
         <div className="flex items-center gap-2">
           <label className="text-sm text-gray-600">Min Amount:</label>
           <select
@@ -193,14 +229,92 @@ const OutstandingBalances = ({ onRecordPayment }) => {
           </select>
         </div>
         <div className="flex-1" />
-        <div className="text-sm text-gray-600">
-          <span className="font-medium">{sortedMembers.length}</span> members owe{' '}
-          <span className="font-medium text-red-600">${totalOutstanding.toFixed(2)}</span>
-        </div>
+        {view === 'balances' ? (
+          <div className="text-sm text-gray-600">
+            <span className="font-medium">{sortedMembers.length}</span> members owe{' '}
+            <span className="font-medium text-red-600">${totalOutstanding.toFixed(2)}</span>
+          </div>
+        ) : (
+          <div className="text-sm text-gray-600">
+            <span className="font-medium">{overdueInstalments.length}</span> overdue instalments totalling{' '}
+            <span className="font-medium text-red-600">${totalInstalmentsOverdue.toFixed(2)}</span>
+          </div>
+        )}
       </div>
 
+      {view === 'instalments' && (
+        overdueInstalments.length === 0 ? (
+          <div className="bg-white rounded-lg shadow-sm p-8 text-center">
+            <p className="text-gray-600">No overdue instalments</p>
+            <p className="text-sm text-gray-400 mt-1">Every instalment plan is up to date!</p>
+          </div>
+        ) : (
+          <div className="bg-white rounded-lg shadow-sm overflow-hidden">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Member</TableHead>
+                  <TableHead>Fee</TableHead>
+                  <TableHead>Instalment</TableHead>
+                  <TableHead>Due Date</TableHead>
+                  <TableHead className="text-right">Outstanding</TableHead>
+                  <TableHead>Overdue</TableHead>
+                  <TableHead className="text-right">Actions</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {overdueInstalments.map(inst => {
+                  const member = members.find(m => m.id === inst.memberId)
+                  return (
+                    <TableRow key={`${inst.planId}-${inst.number}`}>
+                      <TableCell>
+                        <button
+                          onClick={() => navigate(`/members/${inst.memberId}`)}
+                          className="text-club-navy hover:text-club-navy-dark font-medium"
+                        >
+                          {inst.memberName}
+                        </button>
+                      </TableCell>
+                      <TableCell>
+                        <span className="text-sm text-gray-600">{inst.feeDescription}</span>
+                      </TableCell>
+                      <TableCell>
+                        <span className="text-sm text-gray-600">{inst.number} of {inst.instalmentCount}</span>
+                      </TableCell>
+                      <TableCell>
+                        <span className="text-sm text-gray-900">{inst.dueDate}</span>
+                      </TableCell>
+                      <TableCell className="text-right">
+                        <Badge variant="destructive">
+                          -${inst.outstanding.toFixed(2)}
+                        </Badge>
+                      </TableCell>
+                      <TableCell>
+                        <span className={`text-sm ${inst.daysOverdue > 30 ? 'text-red-600 font-medium' : 'text-gray-600'}`}>
+                          {inst.daysOverdue === 1 ? '1 day' : `${inst.daysOverdue} days`}
+                        </span>
+                      </TableCell>
+                      <TableCell className="text-right">
+                        {member && (
+                          <Button
+                            size="sm"
+                            onClick={() => handleRecordPayment(member)}
+                          >
+                            Record Payment
+                          </Button>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  )
+                })}
+              </TableBody>
+            </Table>
+          </div>
+        )
+      )}
+
       {/* Summary when items selected */}
-      {selectedMembers.size > 0 && (
+      {view === 'balances' && selectedMembers.size > 0 && (
         <div className="flex items-center gap-4 bg-club-tan-light bg-opacity-20 p-3 rounded-lg">
           <span className="text-sm">
             <span className="font-medium">{selectedMembers.size}</span> selected
@@ -220,7 +334,7 @@ const OutstandingBalances = ({ onRecordPayment }) => {
       )}
 
       {/* Table */}
-      {sortedMembers.length === 0 ? (
+      {view !== 'balances' ? null : sortedMembers.length === 0 ? (
         <div className="bg-white rounded-lg shadow-sm p-8 text-center">
           <p className="text-gray-600">No outstanding balances found</p>
           <p className="text-sm text-gray-400 mt-1">All active members are up to date!</p>
@@ -2,6 +2,18 @@ import { useState, useEffect } from 'react'
 import { useForm } from 'react-hook-form'
 import { zodResolver } from '@hookform/resolvers/zod'
 import { searchMembers } from '../services/membersService'
+import { isCurrentMember } from '../services/memberStatusService'
+import { findPaymentMethod, getSelectablePaymentMethods, validatePaymentReference } from '../services/paymentMethodService'
+import { usePaymentMethods } from '@/hooks/usePaymentMethods'
+import { useVoucher } from '@/hooks/useVouchers'
+import {
+  VOUCHER_PAYMENT_METHOD,
+  normalizeVoucherCode,
+  isVoucherCode,
+  validateVoucherRedemption
+} from '../services/voucherService'
+import { useMemberGroupForMember, useGroupMembers } from '@/hooks/useMemberGroups'
+import { splitGroupPayment, validateGroupPaymentSplits } from '../services/memberGroupService'
 import { paymentFormSchema, transformPaymentFormData } from '../schemas'
 import { FormField, FormInput, FormSelect } from './form'
 
@@ -10,11 +22,20 @@ const PaymentForm = ({ payment, onSubmit, onCancel, isLoading, preSelectedMember
   const [memberResults, setMemberResults] = useState([])
   const [selectedMember, setSelectedMember] = useState(null)
   const [showResults, setShowResults] = useState(false)
+  const [payForGroup, setPayForGroup] = useState(false)
+  const [shareOverrides, setShareOverrides] = useState({})
+  const [splitError, setSplitError] = useState(null)
+  const { data: paymentMethods = [] } = usePaymentMethods()
+
+  // Linked memberships (family, couple, corporate) can pay once for everyone
+  const { data: memberGroup } = useMemberGroupForMember(payment ? null : selectedMember?.id)
+  const { data: groupMembers = [] } = useGroupMembers(memberGroup)
 
   const {
     register,
     handleSubmit,
     setValue,
+    setError,
     watch,
     formState: { errors },
   } = useForm({
@@ -66,8 +87,8 @@ const PaymentForm = ({ payment, onSubmit, onCancel, isLoading, preSelectedMember
     const searchMembersDebounced = async () => {
       if (memberSearch.length >= 2 && !selectedMember) {
         try {
-          const results = await searchMembers(memberSearch)
-          setMemberResults(results.filter(m => m.status === 'active'))
+          const { results } = await searchMembers(memberSearch)
+          setMemberResults(results.filter(isCurrentMember))
           setShowResults(true)
         } catch (error) {
           console.error('Error searching members:', error)
@@ -83,6 +104,8 @@ const PaymentForm = ({ payment, onSubmit, onCancel, isLoading, preSelectedMember
   }, [memberSearch, selectedMember])
 
   const handleMemberSelect = (member) => {
+    setPayForGroup(false)
+    setShareOverrides({})
     setSelectedMember(member)
     setValue('memberId', member.id)
     setValue('memberName', member.fullName)
@@ -108,12 +131,78 @@ const PaymentForm = ({ payment, onSubmit, onCancel, isLoading, preSelectedMember
   }
 
   const onFormSubmit = (data) => {
+    // Reference rules are configured per method, so they are checked here rather than in the schema
+    const referenceError = validatePaymentReference(
+      findPaymentMethod(paymentMethods, data.paymentMethod),
+      data.reference
+    )
+    if (referenceError) {
+      setError('reference', { type: 'manual', message: referenceError })
+      return
+    }
+
     const transformedData = transformPaymentFormData(data)
+
+    // The voucher must cover the payment; recordPayment checks again when it spends the balance
+    if (isVoucher) {
+      transformedData.reference = voucherCode
+      if (!payment) {
+        if (!voucher) {
+          setError('reference', { type: 'manual', message: `No voucher found with code ${voucherCode}` })
+          return
+        }
+        const redemptionError = validateVoucherRedemption(voucher, transformedData.amount, transformedData.paymentDate)
+        if (redemptionError) {
+          setError('reference', { type: 'manual', message: redemptionError })
+          return
+        }
+      }
+    }
+
+    if (splittingPayment) {
+      if (isVoucher) {
+        setSplitError('Vouchers are redeemed against one member at a time')
+        return
+      }
+      const error = validateGroupPaymentSplits(groupSplits, transformedData.amount)
+      if (error) {
+        setSplitError(error)
+        return
+      }
+      onSubmit({ ...transformedData, memberGroupId: memberGroup.id, splits: groupSplits })
+      return
+    }
+
     onSubmit(transformedData)
   }
 
   // eslint-disable-next-line react-hooks/incompatible-library -- watch() is intentionally reactive
   const watchMemberId = watch('memberId')
+  const watchAmount = watch('amount')
+  const selectedMethod = findPaymentMethod(paymentMethods, watch('paymentMethod'))
+
+  // Paying with a gift voucher - the reference is the voucher code, checked as it is typed
+  const isVoucher = selectedMethod?.id === VOUCHER_PAYMENT_METHOD
+  const voucherCode = isVoucher ? normalizeVoucherCode(watch('reference')) : ''
+  const { data: voucher, isFetching: voucherLoading } = useVoucher(isVoucherCode(voucherCode) ? voucherCode : null)
+  const voucherError = voucher && !payment
+    ? validateVoucherRedemption(voucher, parseFloat(watchAmount) || 0, watch('paymentDate'))
+    : null
+
+  // Suggested split clears each member's balance, with any surplus to the billing contact; shares can be edited
+  const splittingPayment = payForGroup && !!memberGroup && groupMembers.length > 0
+  const groupSplits = splittingPayment
+    ? splitGroupPayment(groupMembers, parseFloat(watchAmount) || 0, memberGroup.billingContactId).map(split => ({
+        ...split,
+        amount: shareOverrides[split.memberId] !== undefined ? parseFloat(shareOverrides[split.memberId]) || 0 : split.amount
+      }))
+    : []
+  const splitTotal = groupSplits.reduce((sum, split) => sum + split.amount, 0)
+
+  const handleShareChange = (memberId, value) => {
+    setShareOverrides({ ...shareOverrides, [memberId]: value })
+    setSplitError(null)
+  }
 
   return (
     <form onSubmit={handleSubmit(onFormSubmit)} className="space-y-6">
@@ -178,20 +267,91 @@ const PaymentForm = ({ payment, onSubmit, onCancel, isLoading, preSelectedMember
                 </p>
               </div>
             )}
+            {memberGroup && groupMembers.length > 1 && (
+              <label className="mt-2 flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={payForGroup}
+                  onChange={(e) => {
+                    setPayForGroup(e.target.checked)
+                    setShareOverrides({})
+                    setSplitError(null)
+                  }}
+                  className="mr-2"
+                />
+                Payment is for {memberGroup.name} - split it across the members&apos; balances
+              </label>
+            )}
           </div>
 
+          {/* Split across a linked membership */}
+          {splittingPayment && (
+            <div className="md:col-span-2 border border-gray-200 rounded-md p-3">
+              <div className="flex justify-between items-center mb-2">
+                <p className="text-sm font-medium text-gray-700">Split across {memberGroup.name}</p>
+                <button
+                  type="button"
+                  onClick={() => setShareOverrides({})}
+                  className="text-sm text-club-navy hover:text-club-navy-dark"
+                >
+                  Reset to suggested split
+                </button>
+              </div>
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-gray-500 uppercase">
+                    <th className="py-1">Member</th>
+                    <th className="py-1 text-right">Balance</th>
+                    <th className="py-1 text-right">Share ($)</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {groupMembers.map(member => (
+                    <tr key={member.id}>
+                      <td className="py-1 text-gray-900">
+                        {member.fullName}
+                        {member.id === memberGroup.billingContactId && (
+                          <span className="ml-2 text-xs text-gray-500">(billing contact)</span>
+                        )}
+                      </td>
+                      <td className={`py-1 text-right ${(member.accountBalance || 0) < 0 ? 'text-red-600' : 'text-gray-700'}`}>
+                        ${(member.accountBalance || 0).toFixed(2)}
+                      </td>
+                      <td className="py-1 text-right">
+                        <input
+                          type="number"
+                          step="0.01"
+                          min="0"
+                          value={shareOverrides[member.id] ?? groupSplits.find(split => split.memberId === member.id)?.amount.toFixed(2)}
+                          onChange={(e) => handleShareChange(member.id, e.target.value)}
+                          className="w-28 px-2 py-1 border border-gray-300 rounded-md text-right focus:outline-none focus:ring-2 focus:ring-club-navy"
+                        />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <p className="text-sm text-gray-600 mt-2">
+                Shares total ${splitTotal.toFixed(2)}. Each share is receipted and allocated to that member&apos;s fees.
+              </p>
+              {splitError && <p className="text-sm text-red-600 mt-1">{splitError}</p>}
+            </div>
+          )}
+
           {/* Amount */}
           <FormField
             label="Amount ($)"
             name="amount"
             required
             error={errors.amount?.message}
+            helpText={payment ? 'Issued receipt amounts are fixed. Void or refund the payment to correct the amount.' : undefined}
           >
             <FormInput
               type="number"
               id="amount"
               step="0.01"
               min="0.01"
+              readOnly={!!payment}
               error={errors.amount?.message}
               {...register('amount')}
             />
@@ -224,22 +384,45 @@ const PaymentForm = ({ payment, onSubmit, onCancel, isLoading, preSelectedMember
               error={errors.paymentMethod?.message}
               {...register('paymentMethod')}
             >
-              <option value="bank_transfer">Bank Transfer</option>
-              <option value="cash">Cash</option>
+              {getSelectablePaymentMethods(paymentMethods, payment?.paymentMethod).map(method => (
+                <option key={method.id} value={method.id}>{method.name}</option>
+              ))}
             </FormSelect>
           </FormField>
 
           {/* Reference */}
           <FormField
-            label="Reference/Transaction ID"
+            label={isVoucher ? 'Voucher Code' : 'Reference/Transaction ID'}
             name="reference"
+            required={!!selectedMethod?.requiresReference}
+            error={errors.reference?.message}
           >
             <FormInput
               type="text"
               id="reference"
-              placeholder="Optional"
+              placeholder={selectedMethod?.referenceHint || 'Optional'}
+              readOnly={isVoucher && !!payment}
+              error={errors.reference?.message}
               {...register('reference')}
             />
+            {isVoucher && isVoucherCode(voucherCode) && !voucherLoading && !errors.reference && (
+              voucher ? (
+                <p className={`text-sm mt-1 ${voucherError ? 'text-red-600' : 'text-green-700'}`}>
+                  {voucherError || `$${voucher.balance.toFixed(2)} left of $${voucher.faceValue.toFixed(2)}, expires ${voucher.expiryDate}`}
+                  {voucherError && voucher.balance > 0 && parseFloat(watchAmount) > voucher.balance && (
+                    <button
+                      type="button"
+                      onClick={() => setValue('amount', voucher.balance.toFixed(2))}
+                      className="ml-2 text-club-navy hover:text-club-navy-dark underline"
+                    >
+                      Use ${voucher.balance.toFixed(2)}
+                    </button>
+                  )}
+                </p>
+              ) : (
+                <p className="text-sm mt-1 text-red-600">No voucher found with code {voucherCode}</p>
+              )
+            )}
           </FormField>
 
           {/* Notes */}
@@ -261,7 +444,7 @@ const PaymentForm = ({ payment, onSubmit, onCancel, isLoading, preSelectedMember
           {payment && (
             <div className="md:col-span-2 p-3 bg-yellow-50 border border-yellow-200 rounded-md">
               <p className="text-sm text-yellow-800">
-                <strong>Note:</strong> Editing this payment will automatically adjust the member&apos;s account balance.
+                <strong>Note:</strong> Only the date, method, reference and notes can be edited. The receipt number and amount stay as issued.
               </p>
             </div>
           )}
@@ -0,0 +1,303 @@
+import { useState } from 'react'
+import { useForm } from 'react-hook-form'
+import { zodResolver } from '@hookform/resolvers/zod'
+import {
+  usePaymentMethods,
+  useCreatePaymentMethod,
+  useUpdatePaymentMethod,
+  useSeedPaymentMethods
+} from '@/hooks/usePaymentMethods'
+import { toPaymentMethodCode } from '../services/paymentMethodService'
+import { paymentMethodFormSchema } from '../schemas'
+import { FormField, FormInput } from './form'
+
+const emptyForm = (order) => ({
+  name: '',
+  requiresReference: false,
+  referenceFormat: '',
+  referenceHint: '',
+  active: true,
+  order: String(order),
+})
+
+const PaymentMethodManager = () => {
+  const [showForm, setShowForm] = useState(false)
+  const [editingMethod, setEditingMethod] = useState(null)
+
+  const { data: methods = [], isLoading } = usePaymentMethods()
+  const createMutation = useCreatePaymentMethod({ onSuccess: () => closeForm() })
+  const updateMutation = useUpdatePaymentMethod({ onSuccess: () => closeForm() })
+  const seedMutation = useSeedPaymentMethods()
+
+  // The built-in list is returned until the club saves its own, and it has no timestamps
+  const usingDefaults = methods.length > 0 && methods.every(m => !m.createdAt)
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    watch,
+    formState: { errors },
+  } = useForm({
+    resolver: zodResolver(paymentMethodFormSchema),
+    defaultValues: emptyForm(1),
+  })
+
+  // eslint-disable-next-line react-hooks/incompatible-library -- watch() is intentionally reactive
+  const watchName = watch('name')
+
+  const openAddForm = () => {
+    setEditingMethod(null)
+    reset(emptyForm(methods.length + 1))
+    setShowForm(true)
+  }
+
+  const openEditForm = (method) => {
+    setEditingMethod(method)
+    reset({
+      name: method.name,
+      requiresReference: !!method.requiresReference,
+      referenceFormat: method.referenceFormat || '',
+      referenceHint: method.referenceHint || '',
+      active: method.active !== false,
+      order: String(method.order ?? ''),
+    })
+    setShowForm(true)
+  }
+
+  function closeForm() {
+    setShowForm(false)
+    setEditingMethod(null)
+  }
+
+  const onFormSubmit = (data) => {
+    if (editingMethod) {
+      updateMutation.mutate({ code: editingMethod.id, methodData: data })
+    } else {
+      createMutation.mutate(data)
+    }
+  }
+
+  const handleToggleActive = (method) => {
+    updateMutation.mutate({
+      code: method.id,
+      methodData: { ...method, active: !method.active }
+    })
+  }
+
+  const isSaving = createMutation.isPending || updateMutation.isPending
+
+  return (
+    <div className="bg-white shadow rounded-lg p-6">
+      <h2 className="text-xl font-semibold text-gray-900 mb-2 flex items-center">
+        <svg className="w-6 h-6 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 10h18M7 15h1m4 0h1m-7 4h12a3 3 0 003-3V8a3 3 0 00-3-3H6a3 3 0 00-3 3v8a3 3 0 003 3z" />
+        </svg>
+        Payment Methods
+      </h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Methods offered when recording payments. A method can require a reference and check it against a pattern
+        (e.g. a 6-digit cheque number). Methods are deactivated rather than deleted so existing receipts keep their label.
+      </p>
+
+      {/* Seed Methods */}
+      {!isLoading && usingDefaults && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded p-4 mb-4">
+          <p className="text-gray-700 mb-3">
+            The built-in payment methods are in use. Save them to the database to start customising them.
+          </p>
+          <button
+            onClick={() => seedMutation.mutate()}
+            disabled={seedMutation.isPending}
+            className="px-4 py-2 bg-primary text-white rounded hover:bg-primary/90 transition-colors disabled:opacity-50"
+          >
+            {seedMutation.isPending ? 'Saving...' : 'Initialize Payment Methods'}
+          </button>
+        </div>
+      )}
+
+      {/* Add Method Button */}
+      {!usingDefaults && (
+        <div className="mb-4">
+          <button
+            onClick={openAddForm}
+            className="px-4 py-2 bg-primary text-white rounded hover:bg-primary/90 transition-colors"
+          >
+            + Add Payment Method
+          </button>
+        </div>
+      )}
+
+      {/* Methods List */}
+      {isLoading ? (
+        <p className="text-gray-600">Loading payment methods...</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Order</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Code</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Reference</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                {!usingDefaults && (
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+                )}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {methods.map(method => (
+                <tr key={method.id} className={method.active ? '' : 'bg-gray-50'}>
+                  <td className="px-4 py-3 text-sm text-gray-600">{method.order}</td>
+                  <td className="px-4 py-3 text-sm text-gray-900">{method.name}</td>
+                  <td className="px-4 py-3 text-sm text-gray-500 font-mono">{method.id}</td>
+                  <td className="px-4 py-3 text-sm text-gray-600">
+                    {method.requiresReference ? 'Required' : 'Optional'}
+                    {method.referenceFormat && (
+                      <span className="block text-xs text-gray-500 font-mono">{method.referenceFormat}</span>
+                    )}
+                    {method.referenceHint && (
+                      <span className="block text-xs text-gray-500">{method.referenceHint}</span>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-sm">
+                    {method.active ? (
+                      <span className="px-2 py-1 bg-green-100 text-green-800 text-xs rounded">Active</span>
+                    ) : (
+                      <span className="px-2 py-1 bg-gray-100 text-gray-600 text-xs rounded">Inactive</span>
+                    )}
+                  </td>
+                  {!usingDefaults && (
+                    <td className="px-4 py-3 text-sm space-x-2">
+                      <button
+                        onClick={() => openEditForm(method)}
+                        className="text-primary hover:text-primary/80"
+                      >
+                        Edit
+                      </button>
+                      <button
+                        onClick={() => handleToggleActive(method)}
+                        disabled={updateMutation.isPending}
+                        className={method.active ? 'text-red-600 hover:text-red-800' : 'text-green-600 hover:text-green-800'}
+                      >
+                        {method.active ? 'Deactivate' : 'Activate'}
+                      </button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Method Form Modal */}
+      {showForm && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg shadow-xl max-w-lg w-full max-h-[90vh] overflow-y-auto">
+            <div className="p-6 border-b">
+              <h3 className="text-xl font-bold text-gray-900">
+                {editingMethod ? 'Edit Payment Method' : 'Add Payment Method'}
+              </h3>
+            </div>
+
+            <form onSubmit={handleSubmit(onFormSubmit)} className="p-6 space-y-4">
+              <FormField
+                label="Name"
+                name="name"
+                required
+                error={errors.name?.message}
+                helpText={editingMethod
+                  ? `Code: ${editingMethod.id} (cannot be changed)`
+                  : `Code: ${toPaymentMethodCode(watchName) || '-'}`}
+              >
+                <FormInput
+                  type="text"
+                  id="name"
+                  error={errors.name?.message}
+                  {...register('name')}
+                />
+              </FormField>
+
+              <label className="flex items-center">
+                <input type="checkbox" {...register('requiresReference')} className="mr-2" />
+                <span className="text-sm text-gray-700">Reference required</span>
+              </label>
+
+              <FormField
+                label="Reference Format"
+                name="referenceFormat"
+                error={errors.referenceFormat?.message}
+                helpText="Optional regular expression, e.g. ^[0-9]{6}$ for a 6-digit cheque number"
+              >
+                <FormInput
+                  type="text"
+                  id="referenceFormat"
+                  className="font-mono"
+                  error={errors.referenceFormat?.message}
+                  {...register('referenceFormat')}
+                />
+              </FormField>
+
+              <FormField
+                label="Reference Hint"
+                name="referenceHint"
+                error={errors.referenceHint?.message}
+                helpText="Shown as the placeholder and in format errors"
+              >
+                <FormInput
+                  type="text"
+                  id="referenceHint"
+                  placeholder="e.g., 6-digit cheque number"
+                  error={errors.referenceHint?.message}
+                  {...register('referenceHint')}
+                />
+              </FormField>
+
+              <FormField
+                label="Display Order"
+                name="order"
+                required
+                error={errors.order?.message}
+              >
+                <FormInput
+                  type="number"
+                  id="order"
+                  min="0"
+                  error={errors.order?.message}
+                  {...register('order')}
+                />
+              </FormField>
+
+              <label className="flex items-center">
+                <input type="checkbox" {...register('active')} className="mr-2" />
+                <span className="text-sm text-gray-700">Active (offered when recording payments)</span>
+              </label>
+
+              <div className="flex space-x-3 pt-2">
+                <button
+                  type="submit"
+                  disabled={isSaving}
+                  className="flex-1 px-4 py-2 bg-primary text-white rounded hover:bg-primary/90 transition-colors disabled:opacity-50"
+                >
+                  {isSaving ? 'Saving...' : editingMethod ? 'Update Method' : 'Create Method'}
+                </button>
+                <button
+                  type="button"
+                  onClick={closeForm}
+                  disabled={isSaving}
+                  className="flex-1 px-4 py-2 bg-gray-200 text-gray-700 rounded hover:bg-gray-300 transition-colors"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default PaymentMethodManager
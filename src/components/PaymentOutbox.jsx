@@ -0,0 +1,138 @@
+import { useAuth } from '../contexts/AuthContext'
+import { formatPaymentMethod, generatePDFReceipt } from '../services/paymentsService'
+import { OUTBOX_STATUSES } from '../services/paymentOutboxService'
+import { usePaymentMethods } from '@/hooks/usePaymentMethods'
+import { usePaymentOutbox } from '@/hooks/usePaymentOutbox'
+import { Badge } from '@/components/ui/badge'
+import { handleError } from '@/utils/errorHandler'
+
+/**
+ * PaymentOutbox - Payments taken on this device while offline, not yet recorded
+ *
+ * Queued payments sync on their own when the connection returns, recorded by
+ * whoever is signed in then. A payment the server refused stays here marked
+ * failed until it is retried or discarded.
+ */
+const PaymentOutbox = () => {
+  const { currentUser } = useAuth()
+  const { entries, isOnline, isSyncing, sync, retry, discard } = usePaymentOutbox(currentUser?.uid)
+  const { data: paymentMethods = [] } = usePaymentMethods()
+
+  if (entries.length === 0) return null
+
+  const handlePrint = async (entry) => {
+    try {
+      await generatePDFReceipt({
+        ...entry.paymentData,
+        receiptNumber: entry.provisionalReceiptNumber,
+        provisional: true
+      })
+    } catch (error) {
+      handleError(error, 'Failed to generate provisional receipt')
+    }
+  }
+
+  const handleDiscard = (entry) => {
+    if (!window.confirm(`Discard ${entry.provisionalReceiptNumber} ($${entry.paymentData.amount.toFixed(2)} from ${entry.paymentData.memberName})? It will not be recorded.`)) {
+      return
+    }
+    discard(entry.id)
+  }
+
+  return (
+    <div className="bg-white shadow rounded-lg overflow-hidden mb-6 border border-amber-300">
+      <div className="px-6 py-4 border-b border-gray-200 flex flex-wrap justify-between items-center gap-3">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">Waiting to Sync</h2>
+          <p className="text-sm text-gray-600">
+            {isOnline
+              ? 'Payments taken offline on this device. They get their receipt numbers when recorded, by whoever is signed in.'
+              : 'No connection. These payments will be recorded when the connection returns.'}
+          </p>
+        </div>
+        {isOnline && (
+          <button
+            onClick={sync}
+            disabled={isSyncing}
+            className="px-4 py-2 bg-club-navy text-white rounded-md hover:bg-club-navy-dark disabled:opacity-50 text-sm"
+          >
+            {isSyncing ? 'Syncing...' : 'Sync Now'}
+          </button>
+        )}
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Provisional #</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Member</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Method</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Taken</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {entries.map(entry => (
+              <tr key={entry.id}>
+                <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                  {entry.provisionalReceiptNumber}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{entry.paymentData.memberName}</td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-right font-medium text-gray-900">
+                  ${entry.paymentData.amount.toFixed(2)}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                  {formatPaymentMethod(entry.paymentData.paymentMethod, paymentMethods)}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                  {new Date(entry.queuedAt).toLocaleString()}
+                </td>
+                <td className="px-6 py-4 text-sm">
+                  {entry.status === OUTBOX_STATUSES.FAILED ? (
+                    <>
+                      <Badge variant="destructive">Failed</Badge>
+                      <span className="block text-xs text-red-600 mt-1">{entry.error}</span>
+                    </>
+                  ) : (
+                    <Badge variant="secondary">Queued</Badge>
+                  )}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm">
+                  <div className="flex gap-3">
+                    <button
+                      onClick={() => handlePrint(entry)}
+                      className="text-club-navy hover:text-club-navy-dark"
+                      title="Print Provisional Receipt"
+                    >
+                      Print
+                    </button>
+                    {entry.status === OUTBOX_STATUSES.FAILED && (
+                      <button
+                        onClick={() => retry(entry.id)}
+                        className="text-club-navy hover:text-club-navy-dark"
+                      >
+                        Retry
+                      </button>
+                    )}
+                    <button
+                      onClick={() => handleDiscard(entry)}
+                      disabled={isSyncing}
+                      className="text-red-600 hover:text-red-900 disabled:opacity-50"
+                    >
+                      Discard
+                    </button>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
+
+export default PaymentOutbox
@@ -0,0 +1,159 @@
+import { useEffect } from 'react'
+import { useForm } from 'react-hook-form'
+import { zodResolver } from '@hookform/resolvers/zod'
+import { useAuth } from '../contexts/AuthContext'
+import { useReversePayment } from '@/hooks/useMemberPayments'
+import { usePaymentMethods } from '@/hooks/usePaymentMethods'
+import { formatPaymentMethod } from '../services/paymentsService'
+import { getSelectablePaymentMethods } from '../services/paymentMethodService'
+import { paymentReversalFormSchema, transformPaymentReversalFormData } from '../schemas'
+import { FormField, FormInput, FormSelect } from './form'
+import { Button } from '@/components/ui/button'
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogFooter,
+} from '@/components/ui/dialog'
+
+const defaultValues = (payment) => ({
+  reversalType: 'void',
+  amount: payment ? String(payment.amount) : '',
+  reversalDate: new Date().toISOString().split('T')[0],
+  refundMethod: payment?.paymentMethod || 'bank_transfer',
+  reason: '',
+})
+
+/**
+ * PaymentReversalDialog - Void or refund an issued payment
+ *
+ * @param {object} props
+ * @param {object|null} props.payment - Payment to reverse (dialog is open while set)
+ * @param {function} props.onClose - Called when the dialog closes
+ * @param {function} props.onReversed - Called with the reversed payment (e.g. to print the credit note)
+ */
+const PaymentReversalDialog = ({ payment, onClose, onReversed }) => {
+  const { currentUser } = useAuth()
+  const reverseMutation = useReversePayment()
+  const { data: paymentMethods = [] } = usePaymentMethods()
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    watch,
+    formState: { errors },
+  } = useForm({
+    resolver: zodResolver(paymentReversalFormSchema),
+    defaultValues: defaultValues(payment),
+  })
+
+  useEffect(() => {
+    reset(defaultValues(payment))
+  }, [payment, reset])
+
+  // eslint-disable-next-line react-hooks/incompatible-library -- watch() is intentionally reactive
+  const reversalType = watch('reversalType')
+
+  const onSubmit = (formData) => {
+    reverseMutation.mutate(
+      {
+        paymentId: payment.id,
+        reversalData: transformPaymentReversalFormData(formData),
+        userId: currentUser.uid
+      },
+      {
+        onSuccess: (reversed) => {
+          onReversed?.(reversed)
+          onClose()
+        }
+      }
+    )
+  }
+
+  return (
+    <Dialog open={!!payment} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>Void or Refund Payment</DialogTitle>
+        </DialogHeader>
+
+        {payment && (
+          <p className="text-sm text-gray-600">
+            Receipt <strong>{payment.receiptNumber}</strong> for <strong>{payment.memberName}</strong>{' '}
+            (${payment.amount.toFixed(2)}, {formatPaymentMethod(payment.paymentMethod, paymentMethods)}).
+            The receipt stays on record and a credit note is issued.
+          </p>
+        )}
+
+        <form onSubmit={handleSubmit(onSubmit)}>
+          <div className="space-y-4">
+            <FormField label="Action" name="reversalType" required>
+              <FormSelect id="reversalType" {...register('reversalType')}>
+                <option value="void">Void - payment was recorded in error</option>
+                <option value="refund">Refund - money returned to the member</option>
+              </FormSelect>
+            </FormField>
+
+            {reversalType === 'refund' && (
+              <>
+                <FormField label="Refund Amount ($)" name="amount" required error={errors.amount?.message}>
+                  <FormInput
+                    type="number"
+                    id="amount"
+                    step="0.01"
+                    min="0.01"
+                    max={payment?.amount}
+                    error={errors.amount?.message}
+                    {...register('amount')}
+                  />
+                </FormField>
+
+                <FormField label="Refunded Via" name="refundMethod">
+                  <FormSelect id="refundMethod" {...register('refundMethod')}>
+                    {getSelectablePaymentMethods(paymentMethods, payment?.paymentMethod).map(method => (
+                      <option key={method.id} value={method.id}>{method.name}</option>
+                    ))}
+                  </FormSelect>
+                </FormField>
+              </>
+            )}
+
+            <FormField label="Date" name="reversalDate" required error={errors.reversalDate?.message}>
+              <FormInput
+                type="date"
+                id="reversalDate"
+                error={errors.reversalDate?.message}
+                {...register('reversalDate')}
+              />
+            </FormField>
+
+            <FormField label="Reason" name="reason" required error={errors.reason?.message}>
+              <textarea
+                id="reason"
+                rows="3"
+                placeholder="e.g., Duplicate entry, member resigned before season start"
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-club-navy mt-1"
+                {...register('reason')}
+              />
+            </FormField>
+          </div>
+
+          <DialogFooter className="mt-6">
+            <Button type="button" variant="outline" onClick={onClose} disabled={reverseMutation.isPending}>
+              Cancel
+            </Button>
+            <Button type="submit" variant="destructive" disabled={reverseMutation.isPending}>
+              {reverseMutation.isPending
+                ? 'Processing...'
+                : reversalType === 'refund' ? 'Refund Payment' : 'Void Payment'}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+export default PaymentReversalDialog
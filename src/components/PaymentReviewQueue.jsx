@@ -0,0 +1,109 @@
+import { useNavigate } from 'react-router-dom'
+import { useAuth } from '../contexts/AuthContext'
+import {
+  formatPaymentMethod,
+  formatPaymentStatus,
+  isPaymentReversed
+} from '../services/paymentsService'
+import { usePaymentMethods } from '@/hooks/usePaymentMethods'
+import { usePaymentsForReview, useMarkPaymentReviewed } from '@/hooks/useMemberPayments'
+import { Badge } from '@/components/ui/badge'
+
+/**
+ * PaymentReviewQueue - Offline payments whose member changed before they synced
+ *
+ * The payment is already recorded against the member; this is a prompt to check
+ * it still belongs there (and isn't a duplicate) before clearing the flag.
+ */
+const PaymentReviewQueue = () => {
+  const navigate = useNavigate()
+  const { currentUser, checkPermission, ROLES } = useAuth()
+  const canEdit = checkPermission(ROLES.EDIT)
+
+  const { data: payments = [], isLoading } = usePaymentsForReview()
+  const { data: paymentMethods = [] } = usePaymentMethods()
+  const reviewMutation = useMarkPaymentReviewed()
+
+  return (
+    <div className="bg-white shadow rounded-lg overflow-hidden">
+      <div className="px-6 py-4 border-b border-gray-200">
+        <h2 className="text-lg font-semibold text-gray-900">Review</h2>
+        <p className="text-sm text-gray-600">
+          Payments taken offline where the member changed before the payment was recorded
+        </p>
+      </div>
+
+      {isLoading ? (
+        <div className="p-6 text-center text-gray-500">Loading payments for review...</div>
+      ) : payments.length === 0 ? (
+        <div className="p-6 text-center text-gray-500">No offline payments need review.</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Receipt #</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Member</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Method</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">What Changed</th>
+                {canEdit && (
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                )}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {payments.map(payment => (
+                <tr key={payment.id}>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                    {payment.receiptNumber}
+                    <span className="block text-xs text-gray-500">
+                      was {payment.provisionalReceiptNumber}, taken {new Date(payment.queuedAt).toLocaleString()}
+                    </span>
+                    {isPaymentReversed(payment) && (
+                      <Badge variant="destructive" className="mt-1">{formatPaymentStatus(payment.status)}</Badge>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                    <button
+                      onClick={() => navigate(`/members/${payment.memberId}`)}
+                      className="text-club-navy hover:text-club-navy-dark"
+                    >
+                      {payment.memberName}
+                    </button>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-right font-medium text-gray-900">
+                    ${payment.amount.toFixed(2)}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                    {formatPaymentMethod(payment.paymentMethod, paymentMethods)}
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-700">
+                    <ul className="list-disc pl-4 space-y-1">
+                      {(payment.reviewReasons || []).map(reason => (
+                        <li key={reason}>{reason}</li>
+                      ))}
+                    </ul>
+                  </td>
+                  {canEdit && (
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      <button
+                        onClick={() => reviewMutation.mutate({ paymentId: payment.id, userId: currentUser.uid })}
+                        disabled={reviewMutation.isPending}
+                        className="text-club-navy hover:text-club-navy-dark font-medium disabled:opacity-50"
+                      >
+                        Mark Reviewed
+                      </button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default PaymentReviewQueue
@@ -0,0 +1,149 @@
+import { useEffect } from 'react'
+import { Outlet, Link, Navigate, useLocation } from 'react-router-dom'
+import { useAuth } from '../contexts/AuthContext'
+import { useClubSettings } from '@/hooks/useClubSettings'
+import { usePortalLink, usePortalMembers, usePortalProfile, useLinkPortalMember } from '@/hooks/useMemberPortal'
+import { DEFAULT_CLUB_SETTINGS, formatClubContactLine } from '../services/clubSettingsService'
+import { FormSelect } from './form'
+
+/**
+ * PortalLayout - The member portal's own frame, apart from the committee Layout
+ * Ties the signed-in member to their member record, then shows the portal pages
+ * with its portal profile (useOutletContext() gives { member }).
+ */
+const PortalLayout = () => {
+  const { currentUser, logout } = useAuth()
+  const location = useLocation()
+  const { data: club = DEFAULT_CLUB_SETTINGS } = useClubSettings()
+
+  const { data: link, isLoading: linkLoading } = usePortalLink(currentUser?.uid)
+  const { data: members = [], isLoading: membersLoading } = usePortalMembers(currentUser?.email)
+  const { data: member = null, isLoading: memberLoading, error: memberError } = usePortalProfile(link?.memberId)
+  const linkMutation = useLinkPortalMember()
+
+  // A record merged into another member has no portal profile, so no longer counts as linked
+  const isLinked = !!link && !!member
+
+  // One membership with this email - open it straight away
+  useEffect(() => {
+    if (!linkLoading && !memberLoading && !isLinked && members.length === 1 && !linkMutation.isPending) {
+      linkMutation.mutate({ user: currentUser, memberId: members[0].id })
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [linkLoading, memberLoading, isLinked, members])
+
+  if (!currentUser) {
+    return <Navigate to="/portal/login" />
+  }
+
+  const navItems = [
+    { to: '/portal', label: 'My Account' },
+    { to: '/portal/details', label: 'My Details' },
+  ]
+
+  const renderBody = () => {
+    if (linkLoading || membersLoading || memberLoading || linkMutation.isPending) {
+      return <p className="text-center text-gray-500 py-12">Loading your membership...</p>
+    }
+
+    if (members.length === 0 || memberError) {
+      return (
+        <div className="bg-white rounded-lg shadow p-8 text-center max-w-lg mx-auto">
+          <h2 className="text-xl font-semibold text-gray-900 mb-2">Membership not found</h2>
+          <p className="text-gray-600 mb-4">
+            {club.clubName} doesn&apos;t have a membership with the email <strong>{currentUser.email}</strong>.
+            Please contact the club to check the email on your membership.
+          </p>
+          {formatClubContactLine(club) && (
+            <p className="text-sm text-gray-500">{formatClubContactLine(club)}</p>
+          )}
+        </div>
+      )
+    }
+
+    // Several memberships share this email (e.g. a family) - choose whose to see
+    if (!member) {
+      return (
+        <div className="bg-white rounded-lg shadow p-8 max-w-lg mx-auto">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">Whose membership would you like to see?</h2>
+          <div className="space-y-2">
+            {members.map(m => (
+              <button
+                key={m.id}
+                onClick={() => linkMutation.mutate({ user: currentUser, memberId: m.id })}
+                className="w-full py-2 px-4 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+              >
+                {m.fullName}
+              </button>
+            ))}
+          </div>
+        </div>
+      )
+    }
+
+    return <Outlet context={{ member }} />
+  }
+
+  return (
+    <div className="min-h-screen bg-club-cream">
+      <header className="bg-club-navy">
+        <div className="max-w-5xl mx-auto px-4 py-4 flex flex-wrap justify-between items-center gap-4">
+          <div className="flex items-center gap-3">
+            {club.logoDataUrl && (
+              <img src={club.logoDataUrl} alt="" className="h-10 w-10 object-contain bg-white rounded" />
+            )}
+            <div>
+              <h1 className="text-lg font-bold text-white">{club.clubName}</h1>
+              <span className="text-xs text-club-tan">Member Portal</span>
+            </div>
+          </div>
+
+          <div className="flex items-center gap-3">
+            {members.length > 1 && member && (
+              <FormSelect
+                id="portalMember"
+                aria-label="Membership"
+                value={member.id}
+                onChange={(e) => linkMutation.mutate({ user: currentUser, memberId: e.target.value })}
+                className="w-48 mt-0"
+              >
+                {members.map(m => (
+                  <option key={m.id} value={m.id}>{m.fullName}</option>
+                ))}
+              </FormSelect>
+            )}
+            <span className="text-sm text-club-tan-light hidden sm:inline">{currentUser.email}</span>
+            <button
+              onClick={() => logout()}
+              className="px-3 py-1.5 border border-club-tan/50 rounded-md text-sm text-white hover:bg-club-navy-dark"
+            >
+              Sign Out
+            </button>
+          </div>
+        </div>
+
+        {member && (
+          <nav className="max-w-5xl mx-auto px-4 flex gap-1">
+            {navItems.map(({ to, label }) => (
+              <Link
+                key={to}
+                to={to}
+                className={location.pathname === to
+                  ? 'px-4 py-2 rounded-t-md text-sm font-semibold bg-club-cream text-club-navy-dark'
+                  : 'px-4 py-2 rounded-t-md text-sm font-medium text-club-tan-light hover:text-white'}
+              >
+                {label}
+              </Link>
+            ))}
+          </nav>
+        )}
+      </header>
+
+      <main className="max-w-5xl mx-auto px-4 py-8">
+        {renderBody()}
+      </main>
+    </div>
+  )
+}
+
+export default PortalLayout
@@ -1,13 +1,21 @@
-import { Navigate } from 'react-router-dom'
+import { Navigate, Link } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
 
 const PrivateRoute = ({ children }) => {
-  const { currentUser, isPending, logout } = useAuth()
+  const { currentUser, isPending, logout, clubs, activeClubId, switchClub } = useAuth()
 
   if (!currentUser) {
     return <Navigate to="/login" />
   }
 
+  // Signed in, but not a user of this club (e.g. a member signed in to the portal,
+  // or before the club's data was imported)
+  if (!clubs.some(club => club.clubId === activeClubId)) {
+    return <Navigate to="/join-club" />
+  }
+
+  const otherClubs = clubs.filter(club => club.clubId !== activeClubId)
+
   // Check if user is pending approval
   if (isPending()) {
     return (
@@ -23,6 +31,23 @@ const PrivateRoute = ({ children }) => {
             <p className="text-gray-600 mb-6">
               Your account is awaiting approval from an administrator. You will be able to access the system once your account has been approved.
             </p>
+            {otherClubs.length > 0 && (
+              <div className="mb-6 space-y-2">
+                <p className="text-sm text-gray-500">Switch to another of your clubs:</p>
+                {otherClubs.map(club => (
+                  <button
+                    key={club.clubId}
+                    onClick={() => switchClub(club.clubId)}
+                    className="w-full py-2 px-4 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+                  >
+                    {club.name}
+                  </button>
+                ))}
+              </div>
+            )}
+            <Link to="/join-club" className="block mb-4 text-sm font-medium text-club-navy hover:text-club-navy-dark">
+              Join another club
+            </Link>
             <button
               onClick={() => logout()}
               className="w-full py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-gray-600 hover:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-gray-500"
@@ -2,38 +2,30 @@ import { useState, useEffect } from 'react'
 import {
   generateDefaultProRataRates,
   updateProRataRates,
-  calculateDefaultProRataRate
+  calculateDefaultProRataRate,
+  getMembershipYearMonths
 } from '../services/categoryService'
-
-// Months in membership year order (March to February)
-const MEMBERSHIP_YEAR_MONTHS = [
-  { num: 3, name: 'March', monthsRemaining: 12 },
-  { num: 4, name: 'April', monthsRemaining: 11 },
-  { num: 5, name: 'May', monthsRemaining: 10 },
-  { num: 6, name: 'June', monthsRemaining: 9 },
-  { num: 7, name: 'July', monthsRemaining: 8 },
-  { num: 8, name: 'August', monthsRemaining: 7 },
-  { num: 9, name: 'September', monthsRemaining: 6 },
-  { num: 10, name: 'October', monthsRemaining: 5 },
-  { num: 11, name: 'November', monthsRemaining: 4 },
-  { num: 12, name: 'December', monthsRemaining: 3 },
-  { num: 1, name: 'January', monthsRemaining: 2 },
-  { num: 2, name: 'February', monthsRemaining: 1 }
-]
+import { useClubSettings } from '@/hooks/useClubSettings'
+import { DEFAULT_CLUB_SETTINGS } from '../services/clubSettingsService'
 
 const ProRataRateEditor = ({ category, onSave, onClose }) => {
   const [rates, setRates] = useState({})
   const [isSaving, setIsSaving] = useState(false)
   const [error, setError] = useState(null)
+  const { data: club = DEFAULT_CLUB_SETTINGS } = useClubSettings()
+  const startMonth = club.membershipYearStartMonth
+
+  // Months in membership year order, from the club's start month
+  const membershipYearMonths = getMembershipYearMonths(startMonth)
 
   // Initialize rates from category or generate defaults
   useEffect(() => {
     if (category.proRataRates && Object.keys(category.proRataRates).length > 0) {
       setRates(category.proRataRates)
     } else {
-      setRates(generateDefaultProRataRates(category.annualFee))
+      setRates(generateDefaultProRataRates(category.annualFee, startMonth))
     }
-  }, [category])
+  }, [category, startMonth])
 
   const handleRateChange = (month, value) => {
     const numValue = value === '' ? '' : parseFloat(value)
@@ -44,7 +36,7 @@ const ProRataRateEditor = ({ category, onSave, onClose }) => {
   }
 
   const handleResetAll = () => {
-    setRates(generateDefaultProRataRates(category.annualFee))
+    setRates(generateDefaultProRataRates(category.annualFee, startMonth))
   }
 
   const handleSave = async () => {
@@ -58,7 +50,7 @@ const ProRataRateEditor = ({ category, onSave, onClose }) => {
         const key = String(month)
         const value = rates[key]
         if (value === '' || value === undefined || isNaN(value)) {
-          finalRates[key] = calculateDefaultProRataRate(category.annualFee, month)
+          finalRates[key] = calculateDefaultProRataRate(category.annualFee, month, startMonth)
         } else {
           finalRates[key] = value
         }
@@ -74,7 +66,7 @@ const ProRataRateEditor = ({ category, onSave, onClose }) => {
   }
 
   const getCalculatedRate = (month) => {
-    return calculateDefaultProRataRate(category.annualFee, month)
+    return calculateDefaultProRataRate(category.annualFee, month, startMonth)
   }
 
   const isModified = (month) => {
@@ -137,7 +129,7 @@ const ProRataRateEditor = ({ category, onSave, onClose }) => {
                 </tr>
               </thead>
               <tbody className="bg-white divide-y divide-gray-200">
-                {MEMBERSHIP_YEAR_MONTHS.map((month) => {
+                {membershipYearMonths.map((month) => {
                   const calculated = getCalculatedRate(month.num)
                   const currentRate = rates[String(month.num)]
                   const displayRate = currentRate !== undefined && currentRate !== '' ? currentRate : calculated
@@ -0,0 +1,166 @@
+import { useState } from 'react'
+import { useQuery } from '@tanstack/react-query'
+import { useAuth } from '../contexts/AuthContext'
+import { getAllMembers } from '../services/membersService'
+import { getSelectablePaymentMethods } from '../services/paymentMethodService'
+import { usePaymentMethods } from '@/hooks/usePaymentMethods'
+import {
+  useSuspenseLines,
+  useResolveSuspenseLine,
+  useIgnoreSuspenseLine
+} from '@/hooks/useStatementSuspense'
+import MemberSearchSelect from './MemberSearchSelect'
+
+/**
+ * StatementSuspenseQueue - Bank statement credits that were not posted on import
+ *
+ * Each line can be posted to a member (recorded as a payment) or ignored
+ * when it is not member income.
+ */
+const StatementSuspenseQueue = () => {
+  const { currentUser, checkPermission, ROLES } = useAuth()
+  const canEdit = checkPermission(ROLES.EDIT)
+  const [assigningLineId, setAssigningLineId] = useState(null)
+  const [paymentMethod, setPaymentMethod] = useState('bank_transfer')
+
+  const { data: lines = [], isLoading } = useSuspenseLines()
+  const { data: paymentMethods = [] } = usePaymentMethods()
+  const { data: members = [] } = useQuery({
+    queryKey: ['members'],
+    queryFn: getAllMembers,
+    staleTime: 5 * 60 * 1000,
+  })
+
+  const resolveMutation = useResolveSuspenseLine({ onSuccess: () => setAssigningLineId(null) })
+  const ignoreMutation = useIgnoreSuspenseLine()
+  const isBusy = resolveMutation.isPending || ignoreMutation.isPending
+
+  const totalAmount = lines.reduce((sum, line) => sum + (line.amount || 0), 0)
+
+  const handleAssign = (line, member) => {
+    if (!window.confirm(`Record $${line.amount.toFixed(2)} from ${line.date} as a payment from ${member.fullName}?`)) {
+      return
+    }
+    resolveMutation.mutate({ line, member, paymentMethod, userId: currentUser.uid })
+  }
+
+  const handleIgnore = (line) => {
+    const reason = window.prompt(`Why is this $${line.amount.toFixed(2)} credit not a member payment?`, 'Not member income')
+    if (reason === null) return
+    ignoreMutation.mutate({ lineId: line.id, reason, userId: currentUser.uid })
+  }
+
+  const suggestedMember = (line) => members.find(m => m.id === line.suggestedMemberId)
+
+  return (
+    <div className="bg-white shadow rounded-lg overflow-hidden">
+      <div className="px-6 py-4 border-b border-gray-200 flex flex-wrap justify-between items-center gap-3">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">Suspense Queue</h2>
+          <p className="text-sm text-gray-600">
+            {lines.length} unmatched bank credits totalling ${totalAmount.toFixed(2)}
+          </p>
+        </div>
+        {canEdit && lines.length > 0 && (
+          <div className="flex items-center gap-2">
+            <label htmlFor="suspenseMethod" className="text-sm text-gray-700">Record as</label>
+            <select
+              id="suspenseMethod"
+              value={paymentMethod}
+              onChange={(e) => setPaymentMethod(e.target.value)}
+              className="px-3 py-1 border border-gray-300 rounded-md text-sm"
+            >
+              {getSelectablePaymentMethods(paymentMethods).map(method => (
+                <option key={method.id} value={method.id}>{method.name}</option>
+              ))}
+            </select>
+          </div>
+        )}
+      </div>
+
+      {isLoading ? (
+        <div className="p-6 text-center text-gray-500">Loading suspense queue...</div>
+      ) : lines.length === 0 ? (
+        <div className="p-6 text-center text-gray-500">
+          No unmatched statement lines. Use Import Statement to match a bank export.
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Details</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Source</th>
+                {canEdit && (
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider w-72">Actions</th>
+                )}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {lines.map(line => {
+                const suggestion = suggestedMember(line)
+                return (
+                  <tr key={line.id}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{line.date}</td>
+                    <td className="px-6 py-4 text-sm text-gray-900">
+                      {line.description}
+                      {line.reference && (
+                        <span className="block text-xs text-gray-500">Ref: {line.reference}</span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-right font-medium text-gray-900">
+                      ${line.amount.toFixed(2)}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-500">{line.source || '-'}</td>
+                    {canEdit && (
+                      <td className="px-6 py-4 text-sm">
+                        {assigningLineId === line.id ? (
+                          <MemberSearchSelect
+                            members={members}
+                            onSelect={(member) => handleAssign(line, member)}
+                            onCancel={() => setAssigningLineId(null)}
+                          />
+                        ) : (
+                          <div className="flex flex-wrap gap-3">
+                            {suggestion && (
+                              <button
+                                onClick={() => handleAssign(line, suggestion)}
+                                disabled={isBusy}
+                                className="text-club-navy hover:text-club-navy-dark font-medium disabled:opacity-50"
+                                title={`Suggested match (${line.confidence}%)`}
+                              >
+                                Post to {suggestion.fullName}
+                              </button>
+                            )}
+                            <button
+                              onClick={() => setAssigningLineId(line.id)}
+                              disabled={isBusy}
+                              className="text-club-navy hover:text-club-navy-dark disabled:opacity-50"
+                            >
+                              {suggestion ? 'Other member...' : 'Assign member...'}
+                            </button>
+                            <button
+                              onClick={() => handleIgnore(line)}
+                              disabled={isBusy}
+                              className="text-gray-500 hover:text-gray-700 disabled:opacity-50"
+                            >
+                              Ignore
+                            </button>
+                          </div>
+                        )}
+                      </td>
+                    )}
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default StatementSuspenseQueue
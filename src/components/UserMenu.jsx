@@ -10,12 +10,20 @@ import {
 } from '@/components/ui/dropdown-menu'
 import { Button } from '@/components/ui/button'
 import { Badge } from '@/components/ui/badge'
-import { User, ChevronDown, LogOut } from 'lucide-react'
+import { User, ChevronDown, LogOut, Check, Plus } from 'lucide-react'
+import { cn } from '@/lib/utils'
 
 const UserMenu = () => {
-  const { currentUser, userRole, logout, ROLES } = useAuth()
+  const { currentUser, userRole, logout, ROLES, clubs, activeClubId, switchClub } = useAuth()
   const navigate = useNavigate()
 
+  // Pages show records from one club, so start again from the dashboard
+  const handleSwitchClub = (clubId) => {
+    if (switchClub(clubId)) {
+      navigate('/dashboard')
+    }
+  }
+
   const handleLogout = async () => {
     try {
       await logout()
@@ -67,6 +75,26 @@ const UserMenu = () => {
           </div>
         </DropdownMenuLabel>
         <DropdownMenuSeparator />
+        {clubs.length > 1 && (
+          <>
+            <DropdownMenuLabel className="text-xs text-muted-foreground">Clubs</DropdownMenuLabel>
+            {clubs.map(club => (
+              <DropdownMenuItem
+                key={club.clubId}
+                onClick={() => handleSwitchClub(club.clubId)}
+                className="cursor-pointer"
+              >
+                <Check className={cn('mr-2 h-4 w-4', club.clubId !== activeClubId && 'invisible')} />
+                <span className="truncate">{club.name}</span>
+              </DropdownMenuItem>
+            ))}
+          </>
+        )}
+        <DropdownMenuItem onClick={() => navigate('/join-club')} className="cursor-pointer">
+          <Plus className="mr-2 h-4 w-4" />
+          Join another club
+        </DropdownMenuItem>
+        <DropdownMenuSeparator />
         <DropdownMenuItem
           onClick={handleLogout}
           className="text-red-600 focus:text-red-600 cursor-pointer"
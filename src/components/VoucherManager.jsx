@@ -0,0 +1,319 @@
+import { Fragment, useState } from 'react'
+import { useForm } from 'react-hook-form'
+import { zodResolver } from '@hookform/resolvers/zod'
+import { useAuth } from '../contexts/AuthContext'
+import { useVouchers, useIssueVoucher, useCancelVoucher } from '@/hooks/useVouchers'
+import { usePaymentMethods } from '@/hooks/usePaymentMethods'
+import { formatPaymentMethod, generatePDFVoucher } from '../services/paymentsService'
+import {
+  VOUCHER_STATUSES,
+  VOUCHER_STATUS_LABELS,
+  VOUCHER_PAYMENT_METHOD,
+  getVoucherStatus,
+  getDefaultVoucherExpiry
+} from '../services/voucherService'
+import { voucherFormSchema, transformVoucherFormData } from '../schemas'
+import { handleError } from '@/utils/errorHandler'
+import { FormField, FormInput, FormSelect } from './form'
+
+const STATUS_STYLES = {
+  [VOUCHER_STATUSES.ACTIVE]: 'bg-green-100 text-green-800',
+  [VOUCHER_STATUSES.REDEEMED]: 'bg-gray-100 text-gray-600',
+  [VOUCHER_STATUSES.EXPIRED]: 'bg-amber-100 text-amber-800',
+  [VOUCHER_STATUSES.CANCELLED]: 'bg-red-100 text-red-800'
+}
+
+const emptyForm = () => {
+  const issueDate = new Date().toISOString().split('T')[0]
+  return {
+    faceValue: '',
+    purchaserName: '',
+    recipientName: '',
+    issueDate,
+    expiryDate: getDefaultVoucherExpiry(issueDate),
+    purchaseMethod: 'eftpos',
+    purchaseReference: '',
+    notes: '',
+  }
+}
+
+/**
+ * VoucherManager - Sell, print and cancel gift vouchers
+ *
+ * Vouchers are redeemed through the payment form with the Gift Voucher method;
+ * each redemption is listed against the voucher here.
+ */
+const VoucherManager = () => {
+  const { currentUser, checkPermission, ROLES } = useAuth()
+  const canEdit = checkPermission(ROLES.EDIT)
+  const [showForm, setShowForm] = useState(false)
+  const [expandedCode, setExpandedCode] = useState(null)
+
+  const { data: vouchers = [], isLoading } = useVouchers()
+  const { data: paymentMethods = [] } = usePaymentMethods()
+  const issueMutation = useIssueVoucher({
+    onSuccess: (voucher) => {
+      setShowForm(false)
+      handlePrint(voucher)
+    }
+  })
+  const cancelMutation = useCancelVoucher()
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors },
+  } = useForm({
+    resolver: zodResolver(voucherFormSchema),
+    defaultValues: emptyForm(),
+  })
+
+  // A voucher can't be bought with another voucher
+  const purchaseMethods = paymentMethods.filter(m => m.active && m.id !== VOUCHER_PAYMENT_METHOD)
+
+  const openForm = () => {
+    reset(emptyForm())
+    setShowForm(true)
+  }
+
+  const onFormSubmit = (data) => {
+    issueMutation.mutate({ voucherData: transformVoucherFormData(data), userId: currentUser.uid })
+  }
+
+  async function handlePrint(voucher) {
+    try {
+      await generatePDFVoucher(voucher)
+    } catch (error) {
+      handleError(error, 'Failed to generate voucher')
+    }
+  }
+
+  const handleCancelVoucher = (voucher) => {
+    const reason = window.prompt(
+      `Cancel voucher ${voucher.code}? Its remaining $${voucher.balance.toFixed(2)} can no longer be redeemed.\n\nReason:`,
+      'Refunded to purchaser'
+    )
+    if (!reason) return
+    cancelMutation.mutate({ code: voucher.code, reason, userId: currentUser.uid })
+  }
+
+  return (
+    <div className="bg-white shadow rounded-lg overflow-hidden">
+      <div className="px-6 py-4 border-b border-gray-200 flex items-start justify-between gap-4">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">Gift Vouchers</h2>
+          <p className="text-sm text-gray-600">
+            Vouchers are redeemed by recording a payment with the Gift Voucher method and the voucher code as the reference
+          </p>
+        </div>
+        {canEdit && (
+          <button
+            onClick={openForm}
+            className="px-4 py-2 bg-primary text-white rounded hover:bg-primary/90 transition-colors whitespace-nowrap"
+          >
+            + Sell Voucher
+          </button>
+        )}
+      </div>
+
+      {isLoading ? (
+        <div className="p-6 text-center text-gray-500">Loading vouchers...</div>
+      ) : vouchers.length === 0 ? (
+        <div className="p-6 text-center text-gray-500">No vouchers have been sold yet.</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Code</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">For</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Value</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Balance</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Issued</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Expires</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {vouchers.map(voucher => {
+                const status = getVoucherStatus(voucher)
+                const redemptions = voucher.redemptions || []
+                const isExpanded = expandedCode === voucher.code
+                return (
+                  <Fragment key={voucher.code}>
+                    <tr>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-mono font-medium text-gray-900">
+                        {voucher.code}
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-900">
+                        {voucher.recipientName || voucher.purchaserName}
+                        <span className="block text-xs text-gray-500">
+                          {voucher.recipientName ? `from ${voucher.purchaserName}, ` : ''}
+                          paid by {formatPaymentMethod(voucher.purchaseMethod, paymentMethods)}
+                        </span>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-900">
+                        ${voucher.faceValue.toFixed(2)}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-right font-medium text-gray-900">
+                        ${voucher.balance.toFixed(2)}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{voucher.issueDate}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{voucher.expiryDate}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm">
+                        <span className={`px-2 py-1 text-xs rounded ${STATUS_STYLES[status]}`}>
+                          {VOUCHER_STATUS_LABELS[status]}
+                        </span>
+                        {voucher.cancelReason && (
+                          <span className="block text-xs text-gray-500 mt-1">{voucher.cancelReason}</span>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm space-x-3">
+                        {redemptions.length > 0 && (
+                          <button
+                            onClick={() => setExpandedCode(isExpanded ? null : voucher.code)}
+                            className="text-club-navy hover:text-club-navy-dark"
+                          >
+                            {isExpanded ? 'Hide' : `Used (${redemptions.length})`}
+                          </button>
+                        )}
+                        <button
+                          onClick={() => handlePrint(voucher)}
+                          className="text-club-navy hover:text-club-navy-dark"
+                        >
+                          Print
+                        </button>
+                        {canEdit && voucher.status !== VOUCHER_STATUSES.CANCELLED && voucher.balance > 0 && (
+                          <button
+                            onClick={() => handleCancelVoucher(voucher)}
+                            disabled={cancelMutation.isPending}
+                            className="text-red-600 hover:text-red-800 disabled:opacity-50"
+                          >
+                            Cancel
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                    {isExpanded && (
+                      <tr className="bg-gray-50">
+                        <td colSpan={8} className="px-6 py-3">
+                          <table className="min-w-full text-sm">
+                            <thead>
+                              <tr className="text-left text-gray-500">
+                                <th className="py-1 pr-4 font-medium">Date</th>
+                                <th className="py-1 pr-4 font-medium">Member</th>
+                                <th className="py-1 pr-4 font-medium">Receipt / Credit Note</th>
+                                <th className="py-1 font-medium text-right">Amount</th>
+                              </tr>
+                            </thead>
+                            <tbody className="text-gray-900">
+                              {redemptions.map((redemption, index) => (
+                                <tr key={index}>
+                                  <td className="py-1 pr-4">{redemption.date}</td>
+                                  <td className="py-1 pr-4">{redemption.memberName}</td>
+                                  <td className="py-1 pr-4">{redemption.creditNoteNumber || redemption.receiptNumber}</td>
+                                  <td className={`py-1 text-right ${redemption.amount < 0 ? 'text-green-700' : ''}`}>
+                                    {redemption.amount < 0
+                                      ? `+$${Math.abs(redemption.amount).toFixed(2)} restored`
+                                      : `$${redemption.amount.toFixed(2)}`}
+                                  </td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </td>
+                      </tr>
+                    )}
+                  </Fragment>
+                )
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Issue Voucher Modal */}
+      {showForm && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg shadow-xl max-w-lg w-full max-h-[90vh] overflow-y-auto">
+            <div className="p-6 border-b">
+              <h3 className="text-xl font-bold text-gray-900">Sell Gift Voucher</h3>
+            </div>
+
+            <form onSubmit={handleSubmit(onFormSubmit)} className="p-6 space-y-4">
+              <FormField label="Value ($)" name="faceValue" required error={errors.faceValue?.message}>
+                <FormInput type="number" id="faceValue" min="0" step="0.01" error={errors.faceValue?.message} {...register('faceValue')} />
+              </FormField>
+
+              <div className="grid grid-cols-2 gap-4">
+                <FormField label="Purchased By" name="purchaserName" required error={errors.purchaserName?.message}>
+                  <FormInput type="text" id="purchaserName" error={errors.purchaserName?.message} {...register('purchaserName')} />
+                </FormField>
+
+                <FormField label="Recipient" name="recipientName" error={errors.recipientName?.message}>
+                  <FormInput type="text" id="recipientName" error={errors.recipientName?.message} {...register('recipientName')} />
+                </FormField>
+              </div>
+
+              <div className="grid grid-cols-2 gap-4">
+                <FormField label="Issue Date" name="issueDate" required error={errors.issueDate?.message}>
+                  <FormInput type="date" id="issueDate" error={errors.issueDate?.message} {...register('issueDate')} />
+                </FormField>
+
+                <FormField
+                  label="Expiry Date"
+                  name="expiryDate"
+                  required
+                  error={errors.expiryDate?.message}
+                  helpText="At least three years from sale"
+                >
+                  <FormInput type="date" id="expiryDate" error={errors.expiryDate?.message} {...register('expiryDate')} />
+                </FormField>
+              </div>
+
+              <div className="grid grid-cols-2 gap-4">
+                <FormField label="Paid By" name="purchaseMethod" required error={errors.purchaseMethod?.message}>
+                  <FormSelect id="purchaseMethod" error={errors.purchaseMethod?.message} {...register('purchaseMethod')}>
+                    {purchaseMethods.map(method => (
+                      <option key={method.id} value={method.id}>{method.name}</option>
+                    ))}
+                  </FormSelect>
+                </FormField>
+
+                <FormField label="Reference" name="purchaseReference" error={errors.purchaseReference?.message}>
+                  <FormInput type="text" id="purchaseReference" error={errors.purchaseReference?.message} {...register('purchaseReference')} />
+                </FormField>
+              </div>
+
+              <FormField label="Notes" name="notes" error={errors.notes?.message}>
+                <FormInput type="text" id="notes" error={errors.notes?.message} {...register('notes')} />
+              </FormField>
+
+              <div className="flex space-x-3 pt-2">
+                <button
+                  type="submit"
+                  disabled={issueMutation.isPending}
+                  className="flex-1 px-4 py-2 bg-primary text-white rounded hover:bg-primary/90 transition-colors disabled:opacity-50"
+                >
+                  {issueMutation.isPending ? 'Issuing...' : 'Issue & Print'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setShowForm(false)}
+                  disabled={issueMutation.isPending}
+                  className="flex-1 px-4 py-2 bg-gray-200 text-gray-700 rounded hover:bg-gray-300 transition-colors"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default VoucherManager
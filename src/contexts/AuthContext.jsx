@@ -1,13 +1,36 @@
 import { createContext, useContext, useState, useEffect } from 'react'
+import { useQueryClient } from '@tanstack/react-query'
 import {
   signInWithEmailAndPassword,
   createUserWithEmailAndPassword,
   signOut,
   onAuthStateChanged,
-  sendPasswordResetEmail
+  sendPasswordResetEmail,
+  sendSignInLinkToEmail,
+  isSignInWithEmailLink,
+  signInWithEmailLink
 } from 'firebase/auth'
-import { auth } from '../firebase'
-import { getUserDocument, createUserDocument, ROLES, USER_STATUS, hasPermission } from '../services/usersService'
+import { auth, clearLocalCache } from '../firebase'
+import { setActiveClubId, isClubWorkPending } from '../lib/firebase/clubScope'
+import { ROLES, USER_STATUS, hasPermission } from '../services/usersService'
+import {
+  DEFAULT_CLUB_ID,
+  getClubs,
+  getUserClubs,
+  createClub,
+  canSetUpDefaultClub,
+  requestClubAccess,
+  chooseActiveClubId
+} from '../services/clubService'
+import { DEFAULT_CLUB_SETTINGS } from '../services/clubSettingsService'
+import { showWarning } from '../utils/errorHandler'
+
+const ACTIVE_CLUB_KEY = 'activeClubId'
+// The email a portal sign-in link was sent to, so the link can be completed without asking again
+const PORTAL_EMAIL_KEY = 'portalSignInEmail'
+
+// Application and email verification links carry ?club= so they open at the right club
+const getLinkedClubId = () => new URLSearchParams(window.location.search).get('club')
 
 const AuthContext = createContext({})
 
@@ -20,30 +43,102 @@ export const AuthProvider = ({ children }) => {
   const [currentUser, setCurrentUser] = useState(null)
   const [userRole, setUserRole] = useState(null)
   const [userStatus, setUserStatus] = useState(null)
+  // Signed in: the clubs the user belongs to. Signed out: every club, for the public pages
+  const [clubs, setClubs] = useState([])
+  const [activeClubId, setActiveClub] = useState(null)
   const [loading, setLoading] = useState(true)
+  const queryClient = useQueryClient()
 
   const login = (email, password) => {
     return signInWithEmailAndPassword(auth, email, password)
   }
 
-  const register = async (email, password) => {
+  const register = async (email, password, clubId) => {
     // Create Firebase Auth account
     const userCredential = await createUserWithEmailAndPassword(auth, email, password)
 
-    // Create user document in Firestore with pending status
-    await createUserDocument(userCredential.user.uid, email, ROLES.VIEW, USER_STATUS.PENDING)
+    // Ask for access to the club - pending until one of its admins approves
+    await requestClubAccess(clubId, { uid: userCredential.user.uid, email })
 
     return userCredential
   }
 
-  const logout = () => {
-    return signOut(auth)
+  // Work in a club - club-scoped reads and writes go to it from now on
+  const selectClub = (clubId, memberships) => {
+    const membership = memberships.find(club => club.clubId === clubId)
+    setActiveClubId(clubId)
+    setActiveClub(clubId)
+    setUserRole(membership?.role || null)
+    setUserStatus(membership?.status || null)
+    if (clubId) {
+      localStorage.setItem(ACTIVE_CLUB_KEY, clubId)
+    }
+  }
+
+  // Returns false (and stays in the current club) while changes are still being saved -
+  // the rest of them would otherwise go to the new club
+  const switchClub = (clubId) => {
+    if (clubId === activeClubId) return true
+    if (queryClient.isMutating() > 0 || isClubWorkPending()) {
+      showWarning('Please wait for changes to finish saving before switching club')
+      return false
+    }
+    selectClub(clubId, clubs)
+    // Cached queries hold the previous club's data
+    queryClient.resetQueries()
+    return true
+  }
+
+  // Reload the user's clubs, e.g. after creating a club or asking to join one
+  // A user who had no club starts working in their new one
+  const refreshClubs = async () => {
+    const memberships = await getUserClubs(currentUser.uid)
+    setClubs(memberships)
+    selectClub(activeClubId || chooseActiveClubId(memberships), memberships)
+    return memberships
+  }
+
+  // Signing out also deletes the members, payments and ledger kept on this device for
+  // working offline, then reloads the page (Firestore can't be used after clearing)
+  const logout = async () => {
+    await signOut(auth)
+    try {
+      await clearLocalCache()
+    } catch (error) {
+      // Another tab of the app still has the cache open
+      console.warn('Could not clear offline data:', error)
+    }
+    window.location.reload()
   }
 
   const resetPassword = (email) => {
     return sendPasswordResetEmail(auth, email)
   }
 
+  // Member portal sign-in - members get an email link rather than a password
+  const sendPortalSignInLink = async (email) => {
+    await sendSignInLinkToEmail(auth, email, {
+      url: `${window.location.origin}/portal/login?club=${activeClubId}`,
+      handleCodeInApp: true
+    })
+    localStorage.setItem(PORTAL_EMAIL_KEY, email)
+  }
+
+  const isPortalSignInLink = (url) => {
+    return isSignInWithEmailLink(auth, url)
+  }
+
+  // email is only needed when the link is opened on a different device or browser
+  const completePortalSignIn = async (url, email = localStorage.getItem(PORTAL_EMAIL_KEY)) => {
+    const userCredential = await signInWithEmailLink(auth, email, url)
+    localStorage.removeItem(PORTAL_EMAIL_KEY)
+    return userCredential
+  }
+
+  const getPortalSignInEmail = () => {
+    return localStorage.getItem(PORTAL_EMAIL_KEY)
+  }
+
   // Check if user has required permission
   const checkPermission = (requiredRole) => {
     if (!userRole) return false
@@ -62,38 +157,51 @@ export const AuthProvider = ({ children }) => {
 
   useEffect(() => {
     const unsubscribe = onAuthStateChanged(auth, async (user) => {
+      const preferredClubIds = [getLinkedClubId(), localStorage.getItem(ACTIVE_CLUB_KEY)]
+
       if (user) {
         try {
-          // Fetch user document from Firestore
-          const userDoc = await getUserDocument(user.uid)
-
-          if (userDoc) {
-            setCurrentUser(user)
-            setUserRole(userDoc.role)
-            setUserStatus(userDoc.status)
-          } else {
-            // If no user document exists, create one with super admin role
-            // This handles the initial admin account
-            await createUserDocument(user.uid, user.email, ROLES.SUPER_ADMIN, USER_STATUS.ACTIVE)
-            setCurrentUser(user)
-            setUserRole(ROLES.SUPER_ADMIN)
-            setUserStatus(USER_STATUS.ACTIVE)
+          // Fetch the clubs the user belongs to, with their role in each
+          let memberships = await getUserClubs(user.uid)
+
+          if (memberships.length === 0 && (await getClubs()).length === 0 && await canSetUpDefaultClub(user.uid)) {
+            // First sign-in of the root super admin - set up the first club with them as its super admin
+            // Anyone else (including members signed in to the portal) waits for a club to exist
+            await createClub({ clubId: DEFAULT_CLUB_ID, clubName: DEFAULT_CLUB_SETTINGS.clubName }, user)
+            memberships = await getUserClubs(user.uid)
           }
+
+          // Members signed in to the portal aren't users of any club - they work in the club they came from
+          const choices = memberships.length > 0 ? memberships : await getClubs()
+
+          setCurrentUser(user)
+          setClubs(memberships)
+          selectClub(chooseActiveClubId(choices, preferredClubIds), memberships)
         } catch (error) {
-          console.error('Error fetching user document:', error)
+          console.error('Error fetching user clubs:', error)
           setCurrentUser(null)
-          setUserRole(null)
-          setUserStatus(null)
+          setClubs([])
+          selectClub(null, [])
         }
       } else {
         setCurrentUser(null)
-        setUserRole(null)
-        setUserStatus(null)
+        try {
+          // The application, registration and login pages show the club's own details
+          const allClubs = await getClubs()
+          setClubs(allClubs)
+          selectClub(chooseActiveClubId(allClubs, preferredClubIds), [])
+        } catch (error) {
+          console.error('Error fetching clubs:', error)
+          setClubs([])
+          selectClub(null, [])
+        }
       }
+      queryClient.resetQueries()
       setLoading(false)
     })
 
     return unsubscribe
+    // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [])
 
   const value = {
@@ -104,9 +212,17 @@ export const AuthProvider = ({ children }) => {
     register,
     logout,
     resetPassword,
+    sendPortalSignInLink,
+    isPortalSignInLink,
+    completePortalSignIn,
+    getPortalSignInEmail,
     checkPermission,
     isActive,
     isPending,
+    clubs,
+    activeClubId,
+    switchClub,
+    refreshClubs,
     // Role constants for easy access
     ROLES,
     USER_STATUS
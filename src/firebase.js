@@ -1,6 +1,13 @@
 import { initializeApp } from 'firebase/app'
 import { getAuth, connectAuthEmulator } from 'firebase/auth'
-import { getFirestore, connectFirestoreEmulator } from 'firebase/firestore'
+import {
+  initializeFirestore,
+  persistentLocalCache,
+  persistentMultipleTabManager,
+  connectFirestoreEmulator,
+  terminate,
+  clearIndexedDbPersistence
+} from 'firebase/firestore'
 
 // Your Firebase configuration will go here
 // We'll add this after you create your Firebase project
@@ -18,7 +25,20 @@ const app = initializeApp(firebaseConfig)
 
 // Initialize Firebase services
 export const auth = getAuth(app)
-export const db = getFirestore(app)
+// Keep read data in IndexedDB (shared by open tabs) so the app keeps working when the
+// clubhouse connection drops. Payments taken offline go through the payment outbox.
+export const db = initializeFirestore(app, {
+  localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() })
+})
+
+/**
+ * Delete this device's copy of the club's data, so the next person at a shared PC can't read it
+ * Firestore can't be used afterwards - reload the page to start again.
+ */
+export const clearLocalCache = async () => {
+  await terminate(db)
+  await clearIndexedDbPersistence(db)
+}
 
 // Connect to emulators in development mode (only if VITE_USE_EMULATORS is set)
 if (import.meta.env.DEV && import.meta.env.VITE_USE_EMULATORS === 'true') {
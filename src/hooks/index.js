@@ -7,21 +7,188 @@ export {
   memberKeys
 } from './useMember'
 
+// Member lifecycle event hooks
+export {
+  useMemberEvents,
+  memberEventKeys
+} from './useMemberEvents'
+
+// Linked membership (family, couple, corporate) hooks
+export {
+  useMemberGroups,
+  useMemberGroupForMember,
+  useGroupMembers,
+  useCreateMemberGroup,
+  useUpdateMemberGroup,
+  useAddGroupMember,
+  useRemoveGroupMember,
+  useDisbandMemberGroup,
+  memberGroupKeys
+} from './useMemberGroups'
+
+// Member change request hooks
+export {
+  usePendingChangeRequests,
+  useMemberChangeRequests,
+  useSubmitContactChange,
+  useSubmitPublicChangeRequest,
+  useSubmitStaffChangeRequest,
+  useApproveChangeRequest,
+  useRejectChangeRequest,
+  changeRequestKeys
+} from './useChangeRequests'
+
+// Member portal hooks
+export {
+  usePortalLink,
+  usePortalMembers,
+  usePortalProfile,
+  useLinkPortalMember,
+  portalKeys
+} from './useMemberPortal'
+
+// Duplicate member hooks
+export {
+  useDuplicateMembers,
+  useMergeMembers,
+  useMarkNotDuplicate
+} from './useMemberMerge'
+
+// Bulk member hooks
+export {
+  useBulkMemberAction
+} from './useBulkMemberActions'
+
+// Custom member field hooks
+export {
+  useCustomFields,
+  useCreateCustomField,
+  useUpdateCustomField,
+  customFieldKeys
+} from './useCustomFields'
+
+// Saved members list view hooks
+export {
+  useMemberViews,
+  useSaveMemberView,
+  useDeleteMemberView,
+  memberViewKeys
+} from './useMemberViews'
+
+// Member status hooks
+export {
+  useStatusRules,
+  useStatusProposals,
+  useSaveStatusRules,
+  useApplyStatusTransitions,
+  memberStatusKeys
+} from './useMemberStatus'
+
+// Club settings hooks
+export {
+  useClubSettings,
+  useSaveClubSettings,
+  clubSettingsKeys
+} from './useClubSettings'
+
+// Club hooks
+export {
+  useAllClubs,
+  useCreateClub,
+  useRequestClubAccess,
+  clubKeys
+} from './useClubs'
+
 // Payment hooks
 export {
   useMemberPayments,
+  usePaymentsPage,
+  usePaymentCount,
+  usePaymentsForReview,
+  useMarkPaymentReviewed,
   useRecordPayment,
   useUpdatePayment,
-  useDeletePayment,
+  useReversePayment,
   paymentKeys
 } from './useMemberPayments'
 
+// Offline payment outbox hooks
+export {
+  usePaymentOutbox,
+  usePaymentOutboxSync
+} from './usePaymentOutbox'
+
+// Payment method hooks
+export {
+  usePaymentMethods,
+  useCreatePaymentMethod,
+  useUpdatePaymentMethod,
+  useSeedPaymentMethods,
+  paymentMethodKeys
+} from './usePaymentMethods'
+
+// Bank statement suspense hooks
+export {
+  useSuspenseLines,
+  useResolveSuspenseLine,
+  useIgnoreSuspenseLine,
+  suspenseKeys
+} from './useStatementSuspense'
+
 // Fee hooks
 export {
   useMemberFees,
+  useAllocateFeePayments,
   feeKeys
 } from './useMemberFees'
 
+// Late fee rule hooks
+export {
+  useLateFeeRules,
+  useCreateLateFeeRule,
+  useUpdateLateFeeRule,
+  lateFeeRuleKeys
+} from './useLateFeeRules'
+
+// Renewal hooks
+export {
+  useRenewalSeasons,
+  useSeasonRenewals,
+  useOpenRenewalSeason,
+  useRecordRenewalResponse,
+  useApplyRenewalFees,
+  useCloseRenewalSeason,
+  renewalKeys
+} from './useRenewals'
+
+// Instalment plan hooks
+export {
+  useMemberInstalmentPlans,
+  useActiveInstalmentPlans,
+  useCreateInstalmentPlan,
+  useCancelInstalmentPlan,
+  instalmentKeys
+} from './useInstalmentPlans'
+
+// Gift voucher hooks
+export {
+  useVouchers,
+  useVoucher,
+  useIssueVoucher,
+  useCancelVoucher,
+  voucherKeys
+} from './useVouchers'
+
+// Ledger hooks
+export {
+  useMemberLedger,
+  useBalanceVerification,
+  useRecomputeBalance,
+  useRecordLedgerEntry,
+  useBackfillLedger,
+  ledgerKeys
+} from './useMemberLedger'
+
 // User hooks
 export {
   useUsers,
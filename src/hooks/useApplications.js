@@ -1,4 +1,4 @@
-import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { useQuery, useInfiniteQuery, useMutation, useQueryClient } from '@tanstack/react-query'
 import {
   getAllApplications,
   getApplicationById,
@@ -93,15 +93,17 @@ export const useApplicationStats = () => {
 }
 
 /**
- * Search applications by name or email
+ * Search applications by name, email, phone, Golf Link number or suburb, a page at a time
  * @param {string} searchTerm - Search term
  * @param {boolean} enabled - Whether to enable the query
- * @returns {Object} React Query result with filtered applications array
+ * @returns {Object} Infinite query result - data.pages[n].results, fetchNextPage, hasNextPage
  */
 export const useSearchApplications = (searchTerm, enabled = true) => {
-  return useQuery({
+  return useInfiniteQuery({
     queryKey: applicationKeys.list({ search: searchTerm }),
-    queryFn: () => searchApplications(searchTerm),
+    queryFn: ({ pageParam }) => searchApplications(searchTerm, { cursor: pageParam }),
+    initialPageParam: null,
+    getNextPageParam: (lastPage) => lastPage.nextCursor,
     enabled: enabled && !!searchTerm && searchTerm.length >= 2, // Only search if term is 2+ chars
     staleTime: 1 * 60 * 1000, // Search results fresh for 1 minute
     cacheTime: 5 * 60 * 1000,
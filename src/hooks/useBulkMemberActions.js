@@ -0,0 +1,42 @@
+import { useMutation, useQueryClient } from '@tanstack/react-query'
+import { applyBulkMemberAction, BULK_MEMBER_ACTIONS } from '@/services/bulkMemberService'
+import { handleError, showSuccess } from '@/utils/errorHandler'
+import { memberKeys } from './useMember'
+import { memberEventKeys } from './useMemberEvents'
+import { feeKeys } from './useMemberFees'
+import { ledgerKeys } from './useMemberLedger'
+import { memberStatusKeys } from './useMemberStatus'
+
+/**
+ * Hook to make the same change to many members from the members list
+ * Pass onProgress with the variables to follow each batch.
+ */
+export const useBulkMemberAction = (options = {}) => {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ action, members, params, user, onProgress }) =>
+      applyBulkMemberAction(action, members, params, user, onProgress),
+    onSuccess: (data, variables) => {
+      queryClient.invalidateQueries({ queryKey: memberKeys.all })
+      queryClient.invalidateQueries({ queryKey: memberEventKeys.all })
+      queryClient.invalidateQueries({ queryKey: memberStatusKeys.all })
+      if (variables.action === BULK_MEMBER_ACTIONS.FEE) {
+        queryClient.invalidateQueries({ queryKey: feeKeys.all })
+        queryClient.invalidateQueries({ queryKey: ledgerKeys.all })
+      }
+      showSuccess(
+        `Updated ${data.successful} member${data.successful !== 1 ? 's' : ''}` +
+        (data.skipped > 0 ? `, ${data.skipped} skipped` : '') +
+        (data.failed > 0 ? `, ${data.failed} failed` : '')
+      )
+      options.onSuccess?.(data, variables)
+    },
+    onError: (error) => {
+      handleError(error, 'Failed to update members')
+      options.onError?.(error)
+    },
+  })
+}
+
+export default useBulkMemberAction
@@ -0,0 +1,149 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import {
+  getPendingChangeRequests,
+  getMemberChangeRequests,
+  submitContactChangeRequest,
+  submitPublicChangeRequest,
+  submitStaffChangeRequest,
+  approveChangeRequest,
+  rejectChangeRequest
+} from '@/services/changeRequestService'
+import { memberKeys } from './useMember'
+import { memberEventKeys } from './useMemberEvents'
+import { handleError, showSuccess } from '@/utils/errorHandler'
+
+/**
+ * Query key factory for member change requests
+ */
+export const changeRequestKeys = {
+  all: ['memberChangeRequests'],
+  pending: () => [...changeRequestKeys.all, 'pending'],
+  byMember: (memberId) => [...changeRequestKeys.all, 'member', memberId],
+}
+
+/**
+ * Hook to fetch change requests waiting for review
+ * @param {object} options - Additional React Query options
+ */
+export const usePendingChangeRequests = (options = {}) => {
+  return useQuery({
+    queryKey: changeRequestKeys.pending(),
+    queryFn: () => getPendingChangeRequests(),
+    staleTime: 2 * 60 * 1000, // 2 minutes
+    ...options,
+  })
+}
+
+/**
+ * Hook to fetch a member's change requests
+ * @param {string} memberId - The member ID
+ * @param {object} options - Additional React Query options
+ */
+export const useMemberChangeRequests = (memberId, options = {}) => {
+  return useQuery({
+    queryKey: changeRequestKeys.byMember(memberId),
+    queryFn: () => getMemberChangeRequests(memberId),
+    enabled: !!memberId,
+    staleTime: 2 * 60 * 1000, // 2 minutes
+    ...options,
+  })
+}
+
+/**
+ * Hook for a member to submit contact detail changes for review
+ */
+export const useSubmitContactChange = (options = {}) => {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ member, details, user }) => submitContactChangeRequest(member, details, user),
+    onSuccess: (data, variables) => {
+      queryClient.invalidateQueries({ queryKey: changeRequestKeys.byMember(variables.member.id) })
+      showSuccess('Changes sent to the club for approval')
+      options.onSuccess?.(data, variables)
+    },
+    onError: (error) => {
+      handleError(error, 'Failed to send changes')
+      options.onError?.(error)
+    },
+  })
+}
+
+/**
+ * Hook for the public "update my details" form
+ */
+export const useSubmitPublicChangeRequest = (options = {}) => {
+  return useMutation({
+    mutationFn: (formData) => submitPublicChangeRequest(formData),
+    onSuccess: (data, variables) => {
+      options.onSuccess?.(data, variables)
+    },
+    onError: (error) => {
+      handleError(error, 'Failed to send your details')
+      options.onError?.(error)
+    },
+  })
+}
+
+/**
+ * Hook for a VIEW user to suggest an edit to a member
+ */
+export const useSubmitStaffChangeRequest = (options = {}) => {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ member, formData, user }) => submitStaffChangeRequest(member, formData, user),
+    onSuccess: (data, variables) => {
+      queryClient.invalidateQueries({ queryKey: changeRequestKeys.all })
+      showSuccess('Changes sent for approval')
+      options.onSuccess?.(data, variables)
+    },
+    onError: (error) => {
+      handleError(error, 'Failed to send changes')
+      options.onError?.(error)
+    },
+  })
+}
+
+/**
+ * Hook to approve a change request and apply it to the member
+ */
+export const useApproveChangeRequest = (options = {}) => {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ request, member, userId }) => approveChangeRequest(request, member, userId),
+    onSuccess: (data, variables) => {
+      queryClient.invalidateQueries({ queryKey: changeRequestKeys.all })
+      queryClient.invalidateQueries({ queryKey: memberKeys.detail(variables.member.id) })
+      queryClient.invalidateQueries({ queryKey: memberKeys.lists() })
+      queryClient.invalidateQueries({ queryKey: memberEventKeys.byMember(variables.member.id) })
+      showSuccess(data.length > 0 ? `${variables.member.fullName} updated` : `${variables.member.fullName} already had these details`)
+      options.onSuccess?.(data, variables)
+    },
+    onError: (error) => {
+      handleError(error, 'Failed to approve change request')
+      options.onError?.(error)
+    },
+  })
+}
+
+/**
+ * Hook to reject a change request
+ */
+export const useRejectChangeRequest = (options = {}) => {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ requestId, reason, userId }) => rejectChangeRequest(requestId, reason, userId),
+    onSuccess: (data, variables) => {
+      queryClient.invalidateQueries({ queryKey: changeRequestKeys.all })
+      showSuccess('Change request rejected')
+      options.onSuccess?.(data, variables)
+    },
+    onError: (error) => {
+      handleError(error, 'Failed to reject change request')
+      options.onError?.(error)
+    },
+  })
+}
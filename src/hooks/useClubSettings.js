@@ -0,0 +1,44 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { getClubSettings, saveClubSettings } from '@/services/clubSettingsService'
+import { handleError, showSuccess } from '@/utils/errorHandler'
+
+/**
+ * Query key factory for club settings queries
+ */
+export const clubSettingsKeys = {
+  all: ['clubSettings'],
+}
+
+/**
+ * Hook to fetch the club's identity, contact, payment and membership year settings
+ * Callers default data to DEFAULT_CLUB_SETTINGS so pages render before (or without) the settings
+ * @param {object} options - Additional React Query options
+ */
+export const useClubSettings = (options = {}) => {
+  return useQuery({
+    queryKey: clubSettingsKeys.all,
+    queryFn: getClubSettings,
+    staleTime: 30 * 60 * 1000, // 30 minutes - rarely changes
+    ...options,
+  })
+}
+
+/**
+ * Hook to save the club settings
+ */
+export const useSaveClubSettings = (options = {}) => {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ settings, userId }) => saveClubSettings(settings, userId),
+    onSuccess: (data, variables) => {
+      queryClient.invalidateQueries({ queryKey: clubSettingsKeys.all })
+      showSuccess('Club settings saved')
+      options.onSuccess?.(data, variables)
+    },
+    onError: (error) => {
+      handleError(error, 'Failed to save club settings')
+      options.onError?.(error)
+    },
+  })
+}
@@ -0,0 +1,62 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { getClubs, createClub, requestClubAccess } from '@/services/clubService'
+import { handleError, showSuccess } from '@/utils/errorHandler'
+
+/**
+ * Query key factory for club queries
+ */
+export const clubKeys = {
+  all: ['clubs'],
+}
+
+/**
+ * Hook to fetch every club on the deployment
+ * @param {object} options - Additional React Query options
+ */
+export const useAllClubs = (options = {}) => {
+  return useQuery({
+    queryKey: clubKeys.all,
+    queryFn: getClubs,
+    staleTime: 30 * 60 * 1000, // 30 minutes - clubs are rarely added
+    ...options,
+  })
+}
+
+/**
+ * Hook to create a club with the current user as its super admin
+ * Callers refresh the user's clubs (AuthContext refreshClubs) in onSuccess.
+ */
+export const useCreateClub = (options = {}) => {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ clubData, user, fromClubId }) => createClub(clubData, user, fromClubId),
+    onSuccess: (data, variables) => {
+      queryClient.invalidateQueries({ queryKey: clubKeys.all })
+      showSuccess(`${data.name} created`)
+      options.onSuccess?.(data, variables)
+    },
+    onError: (error) => {
+      handleError(error, 'Failed to create club')
+      options.onError?.(error)
+    },
+  })
+}
+
+/**
+ * Hook to ask for access to another club
+ * Callers refresh the user's clubs (AuthContext refreshClubs) in onSuccess.
+ */
+export const useRequestClubAccess = (options = {}) => {
+  return useMutation({
+    mutationFn: ({ clubId, user }) => requestClubAccess(clubId, user),
+    onSuccess: (data, variables) => {
+      showSuccess('Access requested - a club administrator will approve it')
+      options.onSuccess?.(data, variables)
+    },
+    onError: (error) => {
+      handleError(error, 'Failed to request access')
+      options.onError?.(error)
+    },
+  })
+}
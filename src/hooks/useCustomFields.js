@@ -0,0 +1,69 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import {
+  getCustomFields,
+  createCustomField,
+  updateCustomField
+} from '@/services/memberFieldService'
+import { handleError, showSuccess } from '@/utils/errorHandler'
+
+/**
+ * Query key factory for custom member field queries
+ */
+export const customFieldKeys = {
+  all: ['customFields'],
+}
+
+/**
+ * Hook to fetch the club's custom member fields (all, including inactive)
+ * @param {object} options - Additional React Query options
+ */
+export const useCustomFields = (options = {}) => {
+  return useQuery({
+    queryKey: customFieldKeys.all,
+    queryFn: getCustomFields,
+    staleTime: 30 * 60 * 1000, // 30 minutes - rarely changes
+    ...options,
+  })
+}
+
+/**
+ * Hook to create a custom field
+ */
+export const useCreateCustomField = (options = {}) => {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (fieldData) => createCustomField(fieldData),
+    onSuccess: (data, variables) => {
+      queryClient.invalidateQueries({ queryKey: customFieldKeys.all })
+      showSuccess(`Field "${data.label}" added`)
+      options.onSuccess?.(data, variables)
+    },
+    onError: (error) => {
+      handleError(error, 'Failed to add field')
+      options.onError?.(error)
+    },
+  })
+}
+
+/**
+ * Hook to update a custom field (including activating/deactivating it)
+ */
+export const useUpdateCustomField = (options = {}) => {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ key, fieldData }) => updateCustomField(key, fieldData),
+    onSuccess: (data, variables) => {
+      queryClient.invalidateQueries({ queryKey: customFieldKeys.all })
+      showSuccess(`Field "${data.label}" updated`)
+      options.onSuccess?.(data, variables)
+    },
+    onError: (error) => {
+      handleError(error, 'Failed to update field')
+      options.onError?.(error)
+    },
+  })
+}
+
+export default useCustomFields
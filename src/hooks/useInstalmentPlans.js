@@ -0,0 +1,87 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import {
+  getInstalmentPlansByMember,
+  getActiveInstalmentPlans,
+  createInstalmentPlan,
+  cancelInstalmentPlan
+} from '@/services/instalmentService'
+import { handleError, showSuccess } from '@/utils/errorHandler'
+
+/**
+ * Query key factory for instalment plan queries
+ */
+export const instalmentKeys = {
+  all: ['instalmentPlans'],
+  active: () => [...instalmentKeys.all, 'active'],
+  byMember: (memberId) => [...instalmentKeys.all, 'member', memberId],
+}
+
+/**
+ * Hook to fetch a member's instalment plans
+ * @param {string} memberId - The member ID
+ * @param {object} options - Additional React Query options
+ */
+export const useMemberInstalmentPlans = (memberId, options = {}) => {
+  return useQuery({
+    queryKey: instalmentKeys.byMember(memberId),
+    queryFn: () => getInstalmentPlansByMember(memberId),
+    enabled: !!memberId,
+    staleTime: 5 * 60 * 1000, // 5 minutes
+    ...options,
+  })
+}
+
+/**
+ * Hook to fetch all active instalment plans (overdue instalments view)
+ * @param {object} options - Additional React Query options
+ */
+export const useActiveInstalmentPlans = (options = {}) => {
+  return useQuery({
+    queryKey: instalmentKeys.active(),
+    queryFn: getActiveInstalmentPlans,
+    staleTime: 2 * 60 * 1000, // 2 minutes
+    ...options,
+  })
+}
+
+/**
+ * Hook to split an existing fee into instalments
+ */
+export const useCreateInstalmentPlan = (options = {}) => {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ feeId, planOptions, userId }) => createInstalmentPlan(feeId, planOptions, userId),
+    onSuccess: (data, variables) => {
+      queryClient.invalidateQueries({ queryKey: instalmentKeys.all })
+      showSuccess(`Instalment plan created: ${data.instalments.length} instalments`)
+      options.onSuccess?.(data, variables)
+    },
+    onError: (error) => {
+      handleError(error, 'Failed to create instalment plan')
+      options.onError?.(error)
+    },
+  })
+}
+
+/**
+ * Hook to cancel an instalment plan
+ */
+export const useCancelInstalmentPlan = (options = {}) => {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ planId, reason, userId }) => cancelInstalmentPlan(planId, reason, userId),
+    onSuccess: (data, variables) => {
+      queryClient.invalidateQueries({ queryKey: instalmentKeys.all })
+      showSuccess('Instalment plan cancelled')
+      options.onSuccess?.(data, variables)
+    },
+    onError: (error) => {
+      handleError(error, 'Failed to cancel instalment plan')
+      options.onError?.(error)
+    },
+  })
+}
+
+export default useMemberInstalmentPlans
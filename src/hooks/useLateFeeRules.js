@@ -0,0 +1,69 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import {
+  getAllLateFeeRules,
+  createLateFeeRule,
+  updateLateFeeRule
+} from '@/services/lateFeeService'
+import { handleError, showSuccess } from '@/utils/errorHandler'
+
+/**
+ * Query key factory for late fee rule queries
+ */
+export const lateFeeRuleKeys = {
+  all: ['lateFeeRules'],
+}
+
+/**
+ * Hook to fetch late fee rules (all, including inactive)
+ * @param {object} options - Additional React Query options
+ */
+export const useLateFeeRules = (options = {}) => {
+  return useQuery({
+    queryKey: lateFeeRuleKeys.all,
+    queryFn: getAllLateFeeRules,
+    staleTime: 10 * 60 * 1000, // 10 minutes
+    ...options,
+  })
+}
+
+/**
+ * Hook to create a late fee rule
+ */
+export const useCreateLateFeeRule = (options = {}) => {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ ruleData, userId }) => createLateFeeRule(ruleData, userId),
+    onSuccess: (data, variables) => {
+      queryClient.invalidateQueries({ queryKey: lateFeeRuleKeys.all })
+      showSuccess(`Late fee rule "${data.name}" added`)
+      options.onSuccess?.(data, variables)
+    },
+    onError: (error) => {
+      handleError(error, 'Failed to add late fee rule')
+      options.onError?.(error)
+    },
+  })
+}
+
+/**
+ * Hook to update a late fee rule (including activating/deactivating it)
+ */
+export const useUpdateLateFeeRule = (options = {}) => {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ ruleId, ruleData }) => updateLateFeeRule(ruleId, ruleData),
+    onSuccess: (data, variables) => {
+      queryClient.invalidateQueries({ queryKey: lateFeeRuleKeys.all })
+      showSuccess(`Late fee rule "${data.name}" updated`)
+      options.onSuccess?.(data, variables)
+    },
+    onError: (error) => {
+      handleError(error, 'Failed to update late fee rule')
+      options.onError?.(error)
+    },
+  })
+}
+
+export default useLateFeeRules
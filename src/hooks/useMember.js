@@ -6,6 +6,7 @@ import {
   deleteMember
 } from '@/services/membersService'
 import { handleError, showSuccess } from '@/utils/errorHandler'
+import { memberEventKeys } from './useMemberEvents'
 
 /**
  * Query key factory for member-related queries
@@ -62,12 +63,13 @@ export const useUpdateMember = (options = {}) => {
   const queryClient = useQueryClient()
 
   return useMutation({
-    mutationFn: ({ memberId, data }) => updateMember(memberId, data),
+    mutationFn: ({ memberId, data, userId }) => updateMember(memberId, data, userId),
     onSuccess: (data, variables) => {
       // Update the specific member in cache
       queryClient.setQueryData(memberKeys.detail(variables.memberId), data)
       // Invalidate lists to update any list views
       queryClient.invalidateQueries({ queryKey: memberKeys.lists() })
+      queryClient.invalidateQueries({ queryKey: memberEventKeys.byMember(variables.memberId) })
       showSuccess('Member updated successfully')
       options.onSuccess?.(data, variables)
     },
@@ -86,10 +88,11 @@ export const useDeleteMember = (options = {}) => {
   const queryClient = useQueryClient()
 
   return useMutation({
-    mutationFn: deleteMember,
-    onSuccess: (_, memberId) => {
+    mutationFn: ({ memberId, userId }) => deleteMember(memberId, userId),
+    onSuccess: (_, { memberId }) => {
       // Invalidate the specific member
       queryClient.invalidateQueries({ queryKey: memberKeys.detail(memberId) })
+      queryClient.invalidateQueries({ queryKey: memberEventKeys.byMember(memberId) })
       // Invalidate lists
       queryClient.invalidateQueries({ queryKey: memberKeys.lists() })
       showSuccess('Member deleted successfully')
@@ -0,0 +1,27 @@
+import { useQuery } from '@tanstack/react-query'
+import { getMemberEvents } from '@/services/memberEventService'
+
+/**
+ * Query key factory for member lifecycle event queries
+ */
+export const memberEventKeys = {
+  all: ['memberEvents'],
+  byMember: (memberId) => [...memberEventKeys.all, 'member', memberId],
+}
+
+/**
+ * Hook to fetch a member's lifecycle timeline
+ * @param {string} memberId - The member ID
+ * @param {object} options - Additional React Query options
+ */
+export const useMemberEvents = (memberId, options = {}) => {
+  return useQuery({
+    queryKey: memberEventKeys.byMember(memberId),
+    queryFn: () => getMemberEvents(memberId),
+    enabled: !!memberId,
+    staleTime: 2 * 60 * 1000, // 2 minutes
+    ...options,
+  })
+}
+
+export default useMemberEvents
@@ -1,5 +1,7 @@
-import { useQuery } from '@tanstack/react-query'
-import { getFeesByMember } from '@/services/feeService'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { getFeesByMember, allocateUnallocatedPayments } from '@/services/feeService'
+import { instalmentKeys } from './useInstalmentPlans'
+import { handleError, showSuccess } from '@/utils/errorHandler'
 
 /**
  * Query key factory for fee-related queries
@@ -27,4 +29,28 @@ export const useMemberFees = (memberId, options = {}) => {
   })
 }
 
+/**
+ * Hook to allocate a member's unallocated payments to their outstanding fees
+ */
+export const useAllocateFeePayments = (options = {}) => {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (memberId) => allocateUnallocatedPayments(memberId),
+    onSuccess: (data, memberId) => {
+      queryClient.invalidateQueries({ queryKey: feeKeys.byMember(memberId) })
+      queryClient.invalidateQueries({ queryKey: instalmentKeys.all })
+
+      showSuccess(data.allocated > 0
+        ? `$${data.allocated.toFixed(2)} allocated to ${data.allocations.length} fee(s)`
+        : 'No outstanding fees to allocate payments to')
+      options.onSuccess?.(data, memberId)
+    },
+    onError: (error) => {
+      handleError(error, 'Failed to allocate payments')
+      options.onError?.(error)
+    },
+  })
+}
+
 export default useMemberFees
@@ -0,0 +1,167 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import {
+  getAllMemberGroups,
+  getMemberGroupForMember,
+  getGroupMembers,
+  createMemberGroup,
+  updateMemberGroup,
+  addMemberToGroup,
+  removeMemberFromGroup,
+  disbandMemberGroup
+} from '@/services/memberGroupService'
+import { handleError, showSuccess } from '@/utils/errorHandler'
+
+/**
+ * Query key factory for member group (family, couple, corporate) queries
+ */
+export const memberGroupKeys = {
+  all: ['memberGroups'],
+  lists: () => [...memberGroupKeys.all, 'list'],
+  byMember: (memberId) => [...memberGroupKeys.all, 'member', memberId],
+  members: (groupId) => [...memberGroupKeys.all, 'members', groupId],
+}
+
+/**
+ * Hook to fetch all member groups
+ * @param {object} options - Additional React Query options
+ */
+export const useMemberGroups = (options = {}) => {
+  return useQuery({
+    queryKey: memberGroupKeys.lists(),
+    queryFn: getAllMemberGroups,
+    staleTime: 5 * 60 * 1000, // 5 minutes
+    ...options,
+  })
+}
+
+/**
+ * Hook to fetch the group a member belongs to (null if not linked)
+ * @param {string} memberId - The member ID
+ * @param {object} options - Additional React Query options
+ */
+export const useMemberGroupForMember = (memberId, options = {}) => {
+  return useQuery({
+    queryKey: memberGroupKeys.byMember(memberId),
+    queryFn: () => getMemberGroupForMember(memberId),
+    enabled: !!memberId,
+    staleTime: 2 * 60 * 1000, // 2 minutes
+    ...options,
+  })
+}
+
+/**
+ * Hook to fetch the members of a group, with their balances
+ * @param {object} group - Group with id and memberIds
+ * @param {object} options - Additional React Query options
+ */
+export const useGroupMembers = (group, options = {}) => {
+  return useQuery({
+    queryKey: [...memberGroupKeys.members(group?.id), group?.memberIds],
+    queryFn: () => getGroupMembers(group),
+    enabled: !!group,
+    staleTime: 60 * 1000, // 1 minute
+    ...options,
+  })
+}
+
+/**
+ * Hook to create a member group
+ */
+export const useCreateMemberGroup = (options = {}) => {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ groupData, userId }) => createMemberGroup(groupData, userId),
+    onSuccess: (data, variables) => {
+      queryClient.invalidateQueries({ queryKey: memberGroupKeys.all })
+      showSuccess(`${data.name} created`)
+      options.onSuccess?.(data, variables)
+    },
+    onError: (error) => {
+      handleError(error, 'Failed to create linked membership')
+      options.onError?.(error)
+    },
+  })
+}
+
+/**
+ * Hook to update a group's name, type, billing contact or notes
+ */
+export const useUpdateMemberGroup = (options = {}) => {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ groupId, groupData, userId }) => updateMemberGroup(groupId, groupData, userId),
+    onSuccess: (data, variables) => {
+      queryClient.invalidateQueries({ queryKey: memberGroupKeys.all })
+      showSuccess('Linked membership updated')
+      options.onSuccess?.(data, variables)
+    },
+    onError: (error) => {
+      handleError(error, 'Failed to update linked membership')
+      options.onError?.(error)
+    },
+  })
+}
+
+/**
+ * Hook to link a member to a group
+ */
+export const useAddGroupMember = (options = {}) => {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ groupId, memberId, userId }) => addMemberToGroup(groupId, memberId, userId),
+    onSuccess: (data, variables) => {
+      queryClient.invalidateQueries({ queryKey: memberGroupKeys.all })
+      showSuccess('Member linked')
+      options.onSuccess?.(data, variables)
+    },
+    onError: (error) => {
+      handleError(error, 'Failed to link member')
+      options.onError?.(error)
+    },
+  })
+}
+
+/**
+ * Hook to unlink a member from a group
+ */
+export const useRemoveGroupMember = (options = {}) => {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ groupId, memberId, userId }) => removeMemberFromGroup(groupId, memberId, userId),
+    onSuccess: (data, variables) => {
+      queryClient.invalidateQueries({ queryKey: memberGroupKeys.all })
+      showSuccess(data.groupRemoved ? 'Linked membership removed' : 'Member unlinked')
+      options.onSuccess?.(data, variables)
+    },
+    onError: (error) => {
+      handleError(error, 'Failed to unlink member')
+      options.onError?.(error)
+    },
+  })
+}
+
+/**
+ * Hook to remove a group - members are billed individually again
+ */
+export const useDisbandMemberGroup = (options = {}) => {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ groupId }) => disbandMemberGroup(groupId),
+    onSuccess: (data, variables) => {
+      queryClient.invalidateQueries({ queryKey: memberGroupKeys.all })
+      showSuccess('Linked membership removed')
+      options.onSuccess?.(data, variables)
+    },
+    onError: (error) => {
+      handleError(error, 'Failed to remove linked membership')
+      options.onError?.(error)
+    },
+  })
+}
+
+export default useMemberGroupForMember
@@ -0,0 +1,122 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import {
+  getLedgerByMember,
+  verifyMemberBalance,
+  recomputeMemberBalance,
+  recordLedgerEntry,
+  backfillMemberLedger
+} from '@/services/ledgerService'
+import { memberKeys } from './useMember'
+import { handleError, showSuccess } from '@/utils/errorHandler'
+
+/**
+ * Query key factory for ledger-related queries
+ */
+export const ledgerKeys = {
+  all: ['ledger'],
+  byMember: (memberId) => [...ledgerKeys.all, 'member', memberId],
+  verification: (memberId) => [...ledgerKeys.all, 'verify', memberId],
+}
+
+/**
+ * Hook to fetch ledger entries for a specific member
+ * @param {string} memberId - The member ID
+ * @param {object} options - Additional React Query options
+ */
+export const useMemberLedger = (memberId, options = {}) => {
+  return useQuery({
+    queryKey: ledgerKeys.byMember(memberId),
+    queryFn: () => getLedgerByMember(memberId),
+    enabled: !!memberId,
+    staleTime: 2 * 60 * 1000, // 2 minutes
+    ...options,
+  })
+}
+
+/**
+ * Hook to compare a member's cached balance with the ledger balance
+ * @param {string} memberId - The member ID
+ * @param {object} options - Additional React Query options
+ */
+export const useBalanceVerification = (memberId, options = {}) => {
+  return useQuery({
+    queryKey: ledgerKeys.verification(memberId),
+    queryFn: () => verifyMemberBalance(memberId),
+    enabled: !!memberId,
+    staleTime: 2 * 60 * 1000, // 2 minutes
+    ...options,
+  })
+}
+
+// Shared invalidation after any write that touches a member's ledger
+const invalidateMemberLedger = (queryClient, memberId) => {
+  queryClient.invalidateQueries({ queryKey: ledgerKeys.byMember(memberId) })
+  queryClient.invalidateQueries({ queryKey: ledgerKeys.verification(memberId) })
+  queryClient.invalidateQueries({ queryKey: memberKeys.detail(memberId) })
+  queryClient.invalidateQueries({ queryKey: memberKeys.lists() })
+}
+
+/**
+ * Hook to recompute a member's cached balance from the ledger
+ */
+export const useRecomputeBalance = (options = {}) => {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: recomputeMemberBalance,
+    onSuccess: (data, memberId) => {
+      invalidateMemberLedger(queryClient, memberId)
+      showSuccess(`Balance recalculated: $${data.accountBalance.toFixed(2)}`)
+      options.onSuccess?.(data, memberId)
+    },
+    onError: (error) => {
+      handleError(error, 'Failed to recalculate balance')
+      options.onError?.(error)
+    },
+    ...options,
+  })
+}
+
+/**
+ * Hook to record a manual adjustment or write-off
+ */
+export const useRecordLedgerEntry = (options = {}) => {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ entryData, userId }) => recordLedgerEntry(entryData, userId),
+    onSuccess: (data, variables) => {
+      invalidateMemberLedger(queryClient, variables.entryData.memberId)
+      showSuccess('Ledger entry recorded')
+      options.onSuccess?.(data, variables)
+    },
+    onError: (error) => {
+      handleError(error, 'Failed to record ledger entry')
+      options.onError?.(error)
+    },
+    ...options,
+  })
+}
+
+/**
+ * Hook to build ledger history from existing payments and fees
+ */
+export const useBackfillLedger = (options = {}) => {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ memberId, userId }) => backfillMemberLedger(memberId, userId),
+    onSuccess: (data, variables) => {
+      invalidateMemberLedger(queryClient, variables.memberId)
+      showSuccess(`Ledger built with ${data.created} entries`)
+      options.onSuccess?.(data, variables)
+    },
+    onError: (error) => {
+      handleError(error, 'Failed to build ledger')
+      options.onError?.(error)
+    },
+    ...options,
+  })
+}
+
+export default useMemberLedger
@@ -0,0 +1,76 @@
+import { useMemo } from 'react'
+import { useMutation, useQueryClient } from '@tanstack/react-query'
+import { findDuplicateMembers, mergeMembers, markNotDuplicate } from '@/services/memberMergeService'
+import { useMembers } from './useMembers'
+import { memberKeys } from './useMember'
+import { paymentKeys } from './useMemberPayments'
+import { feeKeys } from './useMemberFees'
+import { ledgerKeys } from './useMemberLedger'
+import { memberEventKeys } from './useMemberEvents'
+import { instalmentKeys } from './useInstalmentPlans'
+import { renewalKeys } from './useRenewals'
+import { memberGroupKeys } from './useMemberGroups'
+import { changeRequestKeys } from './useChangeRequests'
+import { handleError, showSuccess } from '@/utils/errorHandler'
+
+/**
+ * Hook for likely duplicate members, worked out from the member list
+ * @param {object} options - Additional React Query options for the member list
+ */
+export const useDuplicateMembers = (options = {}) => {
+  const { data: members = [], ...rest } = useMembers(options)
+  const duplicates = useMemo(() => findDuplicateMembers(members), [members])
+  return { ...rest, data: duplicates }
+}
+
+/**
+ * Hook to merge a duplicate member into the surviving record
+ */
+export const useMergeMembers = (options = {}) => {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ survivorId, retiredId, choices, userId }) => mergeMembers(survivorId, retiredId, choices, userId),
+    onSuccess: (data, variables) => {
+      // Payments, fees, history and balances have all moved between the two members
+      const movedKeys = [
+        memberKeys.all,
+        paymentKeys.all,
+        feeKeys.all,
+        ledgerKeys.all,
+        memberEventKeys.all,
+        instalmentKeys.all,
+        renewalKeys.all,
+        memberGroupKeys.all,
+        changeRequestKeys.all,
+      ]
+      movedKeys.forEach(queryKey => queryClient.invalidateQueries({ queryKey }))
+      showSuccess('Members merged')
+      options.onSuccess?.(data, variables)
+    },
+    onError: (error) => {
+      handleError(error, 'Failed to merge members')
+      options.onError?.(error)
+    },
+  })
+}
+
+/**
+ * Hook to mark two members as different people
+ */
+export const useMarkNotDuplicate = (options = {}) => {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ memberIdA, memberIdB }) => markNotDuplicate(memberIdA, memberIdB),
+    onSuccess: (data, variables) => {
+      queryClient.invalidateQueries({ queryKey: memberKeys.lists() })
+      showSuccess('Marked as different members')
+      options.onSuccess?.(data, variables)
+    },
+    onError: (error) => {
+      handleError(error, 'Failed to update members')
+      options.onError?.(error)
+    },
+  })
+}
@@ -1,11 +1,20 @@
-import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { useQuery, useInfiniteQuery, useMutation, useQueryClient } from '@tanstack/react-query'
 import {
   getPaymentsByMember,
+  getPaymentsPage,
+  getPaymentListQuery,
+  countPayments,
+  getPaymentsForReview,
+  markPaymentReviewed,
   recordPayment,
   updatePayment,
-  deletePayment
+  reversePayment
 } from '@/services/paymentsService'
 import { memberKeys } from './useMember'
+import { ledgerKeys } from './useMemberLedger'
+import { instalmentKeys } from './useInstalmentPlans'
+import { feeKeys } from './useMemberFees'
+import { voucherKeys } from './useVouchers'
 import { handleError, showSuccess } from '@/utils/errorHandler'
 
 /**
@@ -16,6 +25,7 @@ export const paymentKeys = {
   lists: () => [...paymentKeys.all, 'list'],
   list: (filters) => [...paymentKeys.lists(), filters],
   byMember: (memberId) => [...paymentKeys.all, 'member', memberId],
+  review: () => [...paymentKeys.all, 'review'],
   details: () => [...paymentKeys.all, 'detail'],
   detail: (id) => [...paymentKeys.details(), id],
 }
@@ -35,6 +45,74 @@ export const useMemberPayments = (memberId, options = {}) => {
   })
 }
 
+/**
+ * Hook to page through all payments, sorted and filtered by Firestore
+ * @param {Object} filters - { method, status, from, to }
+ * @param {Object} sorting - { sort, direction }
+ * @param {object} options - Additional React Query options
+ * @returns {Object} Infinite query result - data.pages[n].payments, fetchNextPage, hasNextPage
+ */
+export const usePaymentsPage = (filters, { sort, direction } = {}, options = {}) => {
+  const listQuery = getPaymentListQuery(filters, sort, direction)
+  return useInfiniteQuery({
+    queryKey: paymentKeys.list(listQuery),
+    queryFn: ({ pageParam }) => getPaymentsPage({ filters, sort, direction, cursor: pageParam }),
+    initialPageParam: null,
+    getNextPageParam: (lastPage) => lastPage.nextCursor,
+    staleTime: 5 * 60 * 1000, // 5 minutes
+    ...options,
+  })
+}
+
+/**
+ * Hook to count the payments matching the list filters without loading them
+ * @param {Object} filters - { method, status, from, to }
+ * @param {object} options - Additional React Query options
+ */
+export const usePaymentCount = (filters, options = {}) => {
+  const { conditions } = getPaymentListQuery(filters)
+  return useQuery({
+    queryKey: paymentKeys.list({ count: conditions }),
+    queryFn: () => countPayments(filters),
+    staleTime: 5 * 60 * 1000, // 5 minutes
+    ...options,
+  })
+}
+
+/**
+ * Hook to fetch offline payments flagged for review (member changed before they synced)
+ * @param {object} options - Additional React Query options
+ */
+export const usePaymentsForReview = (options = {}) => {
+  return useQuery({
+    queryKey: paymentKeys.review(),
+    queryFn: getPaymentsForReview,
+    staleTime: 2 * 60 * 1000, // 2 minutes
+    ...options,
+  })
+}
+
+/**
+ * Hook to clear an offline payment's review flag
+ */
+export const useMarkPaymentReviewed = (options = {}) => {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ paymentId, userId }) => markPaymentReviewed(paymentId, userId),
+    onSuccess: (data, variables) => {
+      queryClient.invalidateQueries({ queryKey: paymentKeys.all })
+
+      showSuccess('Payment marked as reviewed')
+      options.onSuccess?.(data, variables)
+    },
+    onError: (error) => {
+      handleError(error, 'Failed to mark payment reviewed')
+      options.onError?.(error)
+    },
+  })
+}
+
 /**
  * Hook to record a new payment
  */
@@ -56,6 +134,15 @@ export const useRecordPayment = (options = {}) => {
       })
       // Invalidate member lists (for balance updates in list view)
       queryClient.invalidateQueries({ queryKey: memberKeys.lists() })
+      // Invalidate ledger statements and balance checks
+      queryClient.invalidateQueries({ queryKey: ledgerKeys.all })
+      // Payments are allocated to fees and their instalment plans
+      queryClient.invalidateQueries({ queryKey: feeKeys.all })
+      queryClient.invalidateQueries({ queryKey: instalmentKeys.all })
+      // Voucher payments spend the voucher's balance
+      if (data.voucherCode) {
+        queryClient.invalidateQueries({ queryKey: voucherKeys.all })
+      }
 
       showSuccess(`Payment recorded! Receipt: ${data.receiptNumber}`)
       options.onSuccess?.(data, variables)
@@ -89,6 +176,7 @@ export const useUpdatePayment = (options = {}) => {
           queryKey: memberKeys.detail(variables.paymentData.memberId)
         })
       }
+      queryClient.invalidateQueries({ queryKey: ledgerKeys.all })
       queryClient.invalidateQueries({ queryKey: memberKeys.lists() })
 
       showSuccess('Payment updated successfully')
@@ -103,24 +191,32 @@ export const useUpdatePayment = (options = {}) => {
 }
 
 /**
- * Hook to delete a payment
+ * Hook to void or refund a payment (issues a credit note)
  */
-export const useDeletePayment = (options = {}) => {
+export const useReversePayment = (options = {}) => {
   const queryClient = useQueryClient()
 
   return useMutation({
-    mutationFn: deletePayment,
-    onSuccess: (_, paymentId) => {
+    mutationFn: ({ paymentId, reversalData, userId }) =>
+      reversePayment(paymentId, reversalData, userId),
+    onSuccess: (data, variables) => {
       // Invalidate all payment-related queries
       queryClient.invalidateQueries({ queryKey: paymentKeys.all })
       // Invalidate all member-related queries (balances may have changed)
       queryClient.invalidateQueries({ queryKey: memberKeys.all })
+      // Invalidate all ledger statements (reversal entry was written)
+      queryClient.invalidateQueries({ queryKey: ledgerKeys.all })
+      // Reopen fees and instalments the payment had paid off
+      queryClient.invalidateQueries({ queryKey: feeKeys.all })
+      queryClient.invalidateQueries({ queryKey: instalmentKeys.all })
+      // Voided voucher payments return their value to the voucher
+      queryClient.invalidateQueries({ queryKey: voucherKeys.all })
 
-      showSuccess('Payment deleted successfully')
-      options.onSuccess?.(paymentId)
+      showSuccess(`Payment ${data.status}. Credit note: ${data.creditNoteNumber}`)
+      options.onSuccess?.(data, variables)
     },
     onError: (error) => {
-      handleError(error, 'Failed to delete payment')
+      handleError(error, 'Failed to void or refund payment')
       options.onError?.(error)
     },
     ...options,
@@ -0,0 +1,82 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import {
+  getMembersByEmail,
+  getPortalLink,
+  getPortalProfile,
+  linkPortalMember
+} from '@/services/memberPortalService'
+import { handleError } from '@/utils/errorHandler'
+
+/**
+ * Query key factory for the member portal
+ */
+export const portalKeys = {
+  all: ['memberPortal'],
+  link: (uid) => [...portalKeys.all, 'link', uid],
+  membersByEmail: (email) => [...portalKeys.all, 'members', email],
+  profile: (memberId) => [...portalKeys.all, 'profile', memberId],
+}
+
+/**
+ * Hook to fetch the member record a portal user is tied to
+ * @param {string} uid - Firebase Auth user ID
+ * @param {object} options - Additional React Query options
+ */
+export const usePortalLink = (uid, options = {}) => {
+  return useQuery({
+    queryKey: portalKeys.link(uid),
+    queryFn: () => getPortalLink(uid),
+    enabled: !!uid,
+    staleTime: 30 * 60 * 1000, // 30 minutes - only changes when switching member
+    ...options,
+  })
+}
+
+/**
+ * Hook to fetch the portal profile (name, contact details and balance) of the linked member
+ * @param {string} memberId - The member ID
+ * @param {object} options - Additional React Query options
+ */
+export const usePortalProfile = (memberId, options = {}) => {
+  return useQuery({
+    queryKey: portalKeys.profile(memberId),
+    queryFn: () => getPortalProfile(memberId),
+    enabled: !!memberId,
+    staleTime: 5 * 60 * 1000, // 5 minutes
+    ...options,
+  })
+}
+
+/**
+ * Hook to fetch the portal profiles with the signed-in email
+ * @param {string} email - Verified sign-in email
+ * @param {object} options - Additional React Query options
+ */
+export const usePortalMembers = (email, options = {}) => {
+  return useQuery({
+    queryKey: portalKeys.membersByEmail(email),
+    queryFn: () => getMembersByEmail(email),
+    enabled: !!email,
+    staleTime: 5 * 60 * 1000, // 5 minutes
+    ...options,
+  })
+}
+
+/**
+ * Hook to tie the portal user to one of the member records with their email
+ */
+export const useLinkPortalMember = (options = {}) => {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ user, memberId }) => linkPortalMember(user, memberId),
+    onSuccess: (data, variables) => {
+      queryClient.setQueryData(portalKeys.link(variables.user.uid), data)
+      options.onSuccess?.(data, variables)
+    },
+    onError: (error) => {
+      handleError(error, 'Failed to open your membership')
+      options.onError?.(error)
+    },
+  })
+}
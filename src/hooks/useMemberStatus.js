@@ -0,0 +1,93 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import {
+  getStatusRules,
+  saveStatusRules,
+  getStatusProposals,
+  applyStatusTransitions
+} from '@/services/memberStatusService'
+import { handleError, showSuccess } from '@/utils/errorHandler'
+import { memberKeys } from './useMember'
+import { memberEventKeys } from './useMemberEvents'
+
+/**
+ * Query key factory for member status queries
+ */
+export const memberStatusKeys = {
+  all: ['memberStatus'],
+  rules: () => [...memberStatusKeys.all, 'rules'],
+  proposals: () => [...memberStatusKeys.all, 'proposals'],
+}
+
+/**
+ * Hook to fetch the status rule dates
+ * @param {object} options - Additional React Query options
+ */
+export const useStatusRules = (options = {}) => {
+  return useQuery({
+    queryKey: memberStatusKeys.rules(),
+    queryFn: getStatusRules,
+    staleTime: 30 * 60 * 1000, // 30 minutes - rarely changes
+    ...options,
+  })
+}
+
+/**
+ * Hook to evaluate every member against the status rules
+ * @param {object} options - Additional React Query options
+ */
+export const useStatusProposals = (options = {}) => {
+  return useQuery({
+    queryKey: memberStatusKeys.proposals(),
+    queryFn: getStatusProposals,
+    staleTime: 60 * 1000, // 1 minute
+    ...options,
+  })
+}
+
+/**
+ * Hook to save the status rule dates
+ */
+export const useSaveStatusRules = (options = {}) => {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ rules, userId }) => saveStatusRules(rules, userId),
+    onSuccess: (data, variables) => {
+      queryClient.invalidateQueries({ queryKey: memberStatusKeys.all })
+      showSuccess('Status rules saved')
+      options.onSuccess?.(data, variables)
+    },
+    onError: (error) => {
+      handleError(error, 'Failed to save status rules')
+      options.onError?.(error)
+    },
+  })
+}
+
+/**
+ * Hook to apply reviewed status transitions
+ */
+export const useApplyStatusTransitions = (options = {}) => {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ transitions, userId }) => applyStatusTransitions(transitions, userId),
+    onSuccess: (data, variables) => {
+      queryClient.invalidateQueries({ queryKey: memberStatusKeys.all })
+      queryClient.invalidateQueries({ queryKey: memberKeys.all })
+      queryClient.invalidateQueries({ queryKey: memberEventKeys.all })
+      showSuccess(
+        `Updated ${data.successful} member status${data.successful !== 1 ? 'es' : ''}` +
+        (data.skipped > 0 ? `, ${data.skipped} skipped` : '') +
+        (data.failed > 0 ? `, ${data.failed} failed` : '')
+      )
+      options.onSuccess?.(data, variables)
+    },
+    onError: (error) => {
+      handleError(error, 'Failed to update member statuses')
+      options.onError?.(error)
+    },
+  })
+}
+
+export default useStatusProposals
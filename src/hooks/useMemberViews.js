@@ -0,0 +1,72 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import {
+  getMemberViews,
+  saveMemberView,
+  deleteMemberView
+} from '@/services/memberViewService'
+import { handleError, showSuccess } from '@/utils/errorHandler'
+
+/**
+ * Query key factory for saved members list views
+ */
+export const memberViewKeys = {
+  all: ['memberViews'],
+  byUser: (userId) => [...memberViewKeys.all, 'user', userId],
+}
+
+/**
+ * Hook to fetch the user's own and the club's shared members list views
+ * @param {string} userId - Current user
+ * @param {object} options - Additional React Query options
+ */
+export const useMemberViews = (userId, options = {}) => {
+  return useQuery({
+    queryKey: memberViewKeys.byUser(userId),
+    queryFn: () => getMemberViews(userId),
+    enabled: !!userId,
+    staleTime: 5 * 60 * 1000, // 5 minutes
+    ...options,
+  })
+}
+
+/**
+ * Hook to save the current filters as a view
+ */
+export const useSaveMemberView = (options = {}) => {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ viewData, user }) => saveMemberView(viewData, user),
+    onSuccess: (data, variables) => {
+      queryClient.invalidateQueries({ queryKey: memberViewKeys.all })
+      showSuccess(`View "${data.name}" saved`)
+      options.onSuccess?.(data, variables)
+    },
+    onError: (error) => {
+      handleError(error, 'Failed to save view')
+      options.onError?.(error)
+    },
+  })
+}
+
+/**
+ * Hook to delete a saved view
+ */
+export const useDeleteMemberView = (options = {}) => {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (viewId) => deleteMemberView(viewId),
+    onSuccess: (data, variables) => {
+      queryClient.invalidateQueries({ queryKey: memberViewKeys.all })
+      showSuccess('View deleted')
+      options.onSuccess?.(data, variables)
+    },
+    onError: (error) => {
+      handleError(error, 'Failed to delete view')
+      options.onError?.(error)
+    },
+  })
+}
+
+export default useMemberViews
@@ -1,9 +1,11 @@
-import { useQuery } from '@tanstack/react-query'
-import { getAllMembers } from '@/services/membersService'
+import { useQuery, useInfiniteQuery } from '@tanstack/react-query'
+import { getAllMembers, searchMembers, getMembersPage, countMembers } from '@/services/membersService'
+import { getMemberListQuery } from '@/services/memberViewService'
+import { MIN_SEARCH_LENGTH } from '@/services/searchService'
 import { memberKeys } from './useMember'
 
 /**
- * Hook to fetch all members (for command palette search)
+ * Hook to fetch all members (for member pickers)
  * Uses the existing memberKeys factory for cache consistency
  * @param {object} options - Additional React Query options
  */
@@ -16,4 +18,56 @@ export const useMembers = (options = {}) => {
   })
 }
 
+/**
+ * Hook to search members through the search index, a page at a time
+ * @param {string} searchTerm - Search text; nothing is fetched under 2 characters
+ * @param {object} options - Additional React Query options
+ * @returns {Object} Infinite query result - data.pages[n].results, fetchNextPage, hasNextPage
+ */
+export const useMemberSearch = (searchTerm, options = {}) => {
+  const term = (searchTerm || '').trim()
+  return useInfiniteQuery({
+    queryKey: memberKeys.list({ search: term }),
+    queryFn: ({ pageParam }) => searchMembers(term, { cursor: pageParam }),
+    initialPageParam: null,
+    getNextPageParam: (lastPage) => lastPage.nextCursor,
+    staleTime: 60 * 1000, // Search results fresh for 1 minute
+    ...options,
+    enabled: term.length >= MIN_SEARCH_LENGTH && (options.enabled ?? true),
+  })
+}
+
+/**
+ * Hook to page through the members list, sorted and filtered by Firestore
+ * Only the filters Firestore runs are in the query key; the rest are applied to
+ * the loaded members with filterMembers.
+ * @param {Object} filters - Members list filters
+ * @param {object} options - Additional React Query options
+ * @returns {Object} Infinite query result - data.pages[n].members, fetchNextPage, hasNextPage
+ */
+export const useMembersPage = (filters, options = {}) => {
+  const { search, condition, sort, direction } = getMemberListQuery(filters)
+  return useInfiniteQuery({
+    queryKey: memberKeys.list({ page: { search, condition, sort, direction } }),
+    queryFn: ({ pageParam }) => getMembersPage(filters, { cursor: pageParam }),
+    initialPageParam: null,
+    getNextPageParam: (lastPage) => lastPage.nextCursor,
+    staleTime: 5 * 60 * 1000, // 5 minutes
+    ...options,
+  })
+}
+
+/**
+ * Hook to count the club's members without loading them
+ * @param {object} options - Additional React Query options
+ */
+export const useMemberCount = (options = {}) => {
+  return useQuery({
+    queryKey: memberKeys.list({ count: true }),
+    queryFn: countMembers,
+    staleTime: 5 * 60 * 1000, // 5 minutes
+    ...options,
+  })
+}
+
 export default useMembers
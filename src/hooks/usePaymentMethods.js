@@ -0,0 +1,94 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import {
+  getAllPaymentMethods,
+  createPaymentMethod,
+  updatePaymentMethod,
+  seedDefaultPaymentMethods
+} from '@/services/paymentMethodService'
+import { handleError, showSuccess } from '@/utils/errorHandler'
+
+/**
+ * Query key factory for payment method queries
+ */
+export const paymentMethodKeys = {
+  all: ['paymentMethods'],
+}
+
+/**
+ * Hook to fetch configured payment methods (all, including inactive)
+ * @param {object} options - Additional React Query options
+ */
+export const usePaymentMethods = (options = {}) => {
+  return useQuery({
+    queryKey: paymentMethodKeys.all,
+    queryFn: getAllPaymentMethods,
+    staleTime: 30 * 60 * 1000, // 30 minutes - rarely changes
+    ...options,
+  })
+}
+
+/**
+ * Hook to create a payment method
+ */
+export const useCreatePaymentMethod = (options = {}) => {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (methodData) => createPaymentMethod(methodData),
+    onSuccess: (data, variables) => {
+      queryClient.invalidateQueries({ queryKey: paymentMethodKeys.all })
+      showSuccess(`Payment method "${data.name}" added`)
+      options.onSuccess?.(data, variables)
+    },
+    onError: (error) => {
+      handleError(error, 'Failed to add payment method')
+      options.onError?.(error)
+    },
+  })
+}
+
+/**
+ * Hook to update a payment method (including activating/deactivating it)
+ */
+export const useUpdatePaymentMethod = (options = {}) => {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ code, methodData }) => updatePaymentMethod(code, methodData),
+    onSuccess: (data, variables) => {
+      queryClient.invalidateQueries({ queryKey: paymentMethodKeys.all })
+      showSuccess(`Payment method "${data.name}" updated`)
+      options.onSuccess?.(data, variables)
+    },
+    onError: (error) => {
+      handleError(error, 'Failed to update payment method')
+      options.onError?.(error)
+    },
+  })
+}
+
+/**
+ * Hook to seed the built-in payment methods
+ */
+export const useSeedPaymentMethods = (options = {}) => {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: seedDefaultPaymentMethods,
+    onSuccess: (data) => {
+      queryClient.invalidateQueries({ queryKey: paymentMethodKeys.all })
+      if (data.success) {
+        showSuccess(data.message)
+      } else {
+        handleError(new Error(data.message), data.message)
+      }
+      options.onSuccess?.(data)
+    },
+    onError: (error) => {
+      handleError(error, 'Failed to seed payment methods')
+      options.onError?.(error)
+    },
+  })
+}
+
+export default usePaymentMethods
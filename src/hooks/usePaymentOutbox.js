@@ -0,0 +1,98 @@
+import { useCallback, useEffect, useSyncExternalStore } from 'react'
+import { useQueryClient } from '@tanstack/react-query'
+import {
+  getOutbox,
+  subscribeToOutbox,
+  isOutboxSyncing,
+  syncOutbox,
+  retryOutboxEntry,
+  discardOutboxEntry,
+  OUTBOX_STATUSES
+} from '@/services/paymentOutboxService'
+import { paymentKeys } from './useMemberPayments'
+import { memberKeys } from './useMember'
+import { ledgerKeys } from './useMemberLedger'
+import { instalmentKeys } from './useInstalmentPlans'
+import { feeKeys } from './useMemberFees'
+import { handleError, showSuccess, showWarning } from '@/utils/errorHandler'
+import { runClubWork } from '@/lib/firebase/clubScope'
+
+// How often queued payments are retried while the browser reports a connection
+const RETRY_INTERVAL = 60 * 1000
+
+const subscribeToConnection = (callback) => {
+  window.addEventListener('online', callback)
+  window.addEventListener('offline', callback)
+  return () => {
+    window.removeEventListener('online', callback)
+    window.removeEventListener('offline', callback)
+  }
+}
+
+const getIsOnline = () => navigator.onLine
+
+/**
+ * Hook to the payment outbox - payments taken offline on this device
+ * @param {string} userId - Signed-in user who records synced payments; without one nothing syncs
+ * @returns {Object} { entries, queuedCount, isOnline, isSyncing, sync, retry, discard }
+ */
+export const usePaymentOutbox = (userId = null) => {
+  const queryClient = useQueryClient()
+  const entries = useSyncExternalStore(subscribeToOutbox, getOutbox)
+  const isSyncing = useSyncExternalStore(subscribeToOutbox, isOutboxSyncing)
+  const isOnline = useSyncExternalStore(subscribeToConnection, getIsOnline)
+
+  const sync = useCallback(async () => {
+    // A sync already running reports its own results
+    if (!userId || isOutboxSyncing()) return
+    try {
+      const { synced, failed } = await runClubWork(() => syncOutbox(userId))
+      if (synced.length > 0) {
+        queryClient.invalidateQueries({ queryKey: paymentKeys.all })
+        queryClient.invalidateQueries({ queryKey: memberKeys.all })
+        queryClient.invalidateQueries({ queryKey: ledgerKeys.all })
+        queryClient.invalidateQueries({ queryKey: feeKeys.all })
+        queryClient.invalidateQueries({ queryKey: instalmentKeys.all })
+        showSuccess(`${synced.length} offline ${synced.length === 1 ? 'payment' : 'payments'} recorded: ${synced.map(p => p.receiptNumber).join(', ')}`)
+      }
+      if (failed.length > 0) {
+        showWarning(`${failed.length} offline ${failed.length === 1 ? 'payment' : 'payments'} could not be recorded - see Payments`)
+      }
+    } catch (error) {
+      handleError(error, 'Failed to sync offline payments')
+    }
+  }, [queryClient, userId])
+
+  return {
+    entries,
+    queuedCount: entries.filter(entry => entry.status === OUTBOX_STATUSES.QUEUED).length,
+    isOnline,
+    isSyncing,
+    sync,
+    retry: retryOutboxEntry,
+    discard: discardOutboxEntry
+  }
+}
+
+/**
+ * Hook to record queued payments as soon as there is a connection, retrying every
+ * minute until they are all in. Used once, in Layout, so it runs on every page.
+ * @param {string} userId - Signed-in user who can record payments, or null
+ * @returns {Object} Same as usePaymentOutbox
+ */
+export const usePaymentOutboxSync = (userId = null) => {
+  const outbox = usePaymentOutbox(userId)
+  const { isOnline, sync } = outbox
+  const hasQueued = outbox.queuedCount > 0
+
+  useEffect(() => {
+    if (!isOnline || !hasQueued || !userId) return undefined
+    sync()
+    const timer = setInterval(sync, RETRY_INTERVAL)
+    return () => clearInterval(timer)
+  }, [isOnline, hasQueued, userId, sync])
+
+  return outbox
+}
+
+export default usePaymentOutbox
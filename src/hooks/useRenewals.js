@@ -0,0 +1,135 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import {
+  getRenewalSeasons,
+  getRenewalsBySeason,
+  openRenewalSeason,
+  recordRenewalResponse,
+  applyRenewalFees,
+  closeRenewalSeason
+} from '@/services/renewalService'
+import { handleError, showSuccess } from '@/utils/errorHandler'
+import { memberKeys } from './useMember'
+import { memberEventKeys } from './useMemberEvents'
+import { feeKeys } from './useMemberFees'
+
+/**
+ * Query key factory for renewal queries
+ */
+export const renewalKeys = {
+  all: ['renewals'],
+  seasons: () => [...renewalKeys.all, 'seasons'],
+  bySeason: (seasonId) => [...renewalKeys.all, 'season', seasonId],
+}
+
+/**
+ * Hook to fetch renewal seasons, newest first
+ * @param {object} options - Additional React Query options
+ */
+export const useRenewalSeasons = (options = {}) => {
+  return useQuery({
+    queryKey: renewalKeys.seasons(),
+    queryFn: getRenewalSeasons,
+    staleTime: 5 * 60 * 1000, // 5 minutes
+    ...options,
+  })
+}
+
+/**
+ * Hook to fetch the renewals for a season
+ * @param {string} seasonId - Season ID
+ * @param {object} options - Additional React Query options
+ */
+export const useSeasonRenewals = (seasonId, options = {}) => {
+  return useQuery({
+    queryKey: renewalKeys.bySeason(seasonId),
+    queryFn: () => getRenewalsBySeason(seasonId),
+    enabled: !!seasonId,
+    staleTime: 60 * 1000, // 1 minute
+    ...options,
+  })
+}
+
+/**
+ * Hook to open a renewal season
+ */
+export const useOpenRenewalSeason = (options = {}) => {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ year, seasonOptions, userId }) => openRenewalSeason(year, seasonOptions, userId),
+    onSuccess: (data, variables) => {
+      queryClient.invalidateQueries({ queryKey: renewalKeys.all })
+      showSuccess(`${data.name} opened with ${data.memberCount} renewal notices`)
+      options.onSuccess?.(data, variables)
+    },
+    onError: (error) => {
+      handleError(error, 'Failed to open renewal season')
+      options.onError?.(error)
+    },
+  })
+}
+
+/**
+ * Hook to record a member's renewal response
+ */
+export const useRecordRenewalResponse = (options = {}) => {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ renewalId, responseData, userId }) => recordRenewalResponse(renewalId, responseData, userId),
+    onSuccess: (data, variables) => {
+      queryClient.invalidateQueries({ queryKey: renewalKeys.all })
+      options.onSuccess?.(data, variables)
+    },
+    onError: (error) => {
+      handleError(error, 'Failed to record renewal response')
+      options.onError?.(error)
+    },
+  })
+}
+
+/**
+ * Hook to apply the new year's fee to renewing members
+ */
+export const useApplyRenewalFees = (options = {}) => {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ seasonId, userId }) => applyRenewalFees(seasonId, userId),
+    onSuccess: (data, variables) => {
+      queryClient.invalidateQueries({ queryKey: renewalKeys.all })
+      queryClient.invalidateQueries({ queryKey: memberKeys.all })
+      queryClient.invalidateQueries({ queryKey: memberEventKeys.all })
+      queryClient.invalidateQueries({ queryKey: feeKeys.all })
+      options.onSuccess?.(data, variables)
+    },
+    onError: (error) => {
+      handleError(error, 'Failed to apply renewal fees')
+      options.onError?.(error)
+    },
+  })
+}
+
+/**
+ * Hook to close a renewal season, marking resigned and lapsed members
+ */
+export const useCloseRenewalSeason = (options = {}) => {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ seasonId, userId }) => closeRenewalSeason(seasonId, userId),
+    onSuccess: (data, variables) => {
+      queryClient.invalidateQueries({ queryKey: renewalKeys.all })
+      queryClient.invalidateQueries({ queryKey: memberKeys.all })
+      queryClient.invalidateQueries({ queryKey: memberEventKeys.all })
+      showSuccess(`Season closed - ${data.successful} members marked resigned or lapsed`)
+      options.onSuccess?.(data, variables)
+    },
+    onError: (error) => {
+      handleError(error, 'Failed to close renewal season')
+      options.onError?.(error)
+    },
+  })
+}
+
+export default useRenewalSeasons
@@ -0,0 +1,82 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import {
+  getSuspenseLines,
+  resolveSuspenseLine,
+  ignoreSuspenseLine
+} from '@/services/bankStatementService'
+import { paymentKeys } from './useMemberPayments'
+import { memberKeys } from './useMember'
+import { ledgerKeys } from './useMemberLedger'
+import { instalmentKeys } from './useInstalmentPlans'
+import { feeKeys } from './useMemberFees'
+import { handleError, showSuccess } from '@/utils/errorHandler'
+
+/**
+ * Query key factory for the bank statement suspense queue
+ */
+export const suspenseKeys = {
+  all: ['statementSuspense'],
+  open: () => [...suspenseKeys.all, 'open'],
+}
+
+/**
+ * Hook to fetch open suspense lines (unmatched bank statement credits)
+ * @param {object} options - Additional React Query options
+ */
+export const useSuspenseLines = (options = {}) => {
+  return useQuery({
+    queryKey: suspenseKeys.open(),
+    queryFn: () => getSuspenseLines(),
+    staleTime: 2 * 60 * 1000, // 2 minutes
+    ...options,
+  })
+}
+
+/**
+ * Hook to post a suspense line to a member as a payment
+ */
+export const useResolveSuspenseLine = (options = {}) => {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ line, member, paymentMethod, userId }) =>
+      resolveSuspenseLine(line, member, paymentMethod, userId),
+    onSuccess: (data, variables) => {
+      queryClient.invalidateQueries({ queryKey: suspenseKeys.all })
+      queryClient.invalidateQueries({ queryKey: paymentKeys.all })
+      queryClient.invalidateQueries({ queryKey: memberKeys.all })
+      queryClient.invalidateQueries({ queryKey: ledgerKeys.all })
+      queryClient.invalidateQueries({ queryKey: feeKeys.all })
+      queryClient.invalidateQueries({ queryKey: instalmentKeys.all })
+
+      showSuccess(`Payment recorded for ${data.memberName}. Receipt: ${data.receiptNumber}`)
+      options.onSuccess?.(data, variables)
+    },
+    onError: (error) => {
+      handleError(error, 'Failed to post statement line')
+      options.onError?.(error)
+    },
+  })
+}
+
+/**
+ * Hook to dismiss a suspense line that is not a member payment
+ */
+export const useIgnoreSuspenseLine = (options = {}) => {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ lineId, reason, userId }) => ignoreSuspenseLine(lineId, reason, userId),
+    onSuccess: (data, variables) => {
+      queryClient.invalidateQueries({ queryKey: suspenseKeys.all })
+      showSuccess('Statement line ignored')
+      options.onSuccess?.(data, variables)
+    },
+    onError: (error) => {
+      handleError(error, 'Failed to ignore statement line')
+      options.onError?.(error)
+    },
+  })
+}
+
+export default useSuspenseLines
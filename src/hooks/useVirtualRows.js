@@ -0,0 +1,53 @@
+import { useState, useEffect } from 'react'
+
+/**
+ * Which rows of a long list are in view, plus some either side
+ * @param {Object} options - { scrollTop, viewportHeight, rowHeight, count, overscan }
+ * @returns {Object} { start, end, paddingTop, paddingBottom } - render rows start..end-1
+ */
+export const getVirtualRange = ({ scrollTop, viewportHeight, rowHeight, count, overscan }) => {
+  const start = Math.min(count, Math.max(0, Math.floor(scrollTop / rowHeight) - overscan))
+  const end = Math.min(count, Math.ceil((scrollTop + viewportHeight) / rowHeight) + overscan)
+  return {
+    start,
+    end,
+    paddingTop: start * rowHeight,
+    paddingBottom: (count - end) * rowHeight
+  }
+}
+
+/**
+ * Hook to render only the visible rows of a long table
+ * Rows are taken to be about rowHeight tall; spacer rows of paddingTop and
+ * paddingBottom keep the scrollbar true to the whole list. onEndReached is
+ * called whenever the rows near the end are rendered, to load the next page.
+ * @param {Object} options - { count, rowHeight, overscan, onEndReached }
+ * @returns {Object} { containerRef, onScroll, start, end, paddingTop, paddingBottom }
+ */
+export const useVirtualRows = ({ count, rowHeight = 56, overscan = 10, onEndReached }) => {
+  // Callback ref, as the scroll container may only render once data has loaded
+  const [container, setContainer] = useState(null)
+  const [scrollTop, setScrollTop] = useState(0)
+  const [viewportHeight, setViewportHeight] = useState(800)
+
+  useEffect(() => {
+    if (!container) return undefined
+    const observer = new ResizeObserver(() => setViewportHeight(container.clientHeight))
+    observer.observe(container)
+    return () => observer.disconnect()
+  }, [container])
+
+  const range = getVirtualRange({ scrollTop, viewportHeight, rowHeight, count, overscan })
+
+  useEffect(() => {
+    if (range.end >= count - overscan) onEndReached?.()
+  }, [range.end, count, overscan, onEndReached])
+
+  return {
+    containerRef: setContainer,
+    onScroll: (e) => setScrollTop(e.currentTarget.scrollTop),
+    ...range
+  }
+}
+
+export default useVirtualRows
@@ -0,0 +1,87 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import {
+  getAllVouchers,
+  getVoucher,
+  issueVoucher,
+  cancelVoucher
+} from '@/services/voucherService'
+import { handleError, showSuccess } from '@/utils/errorHandler'
+
+/**
+ * Query key factory for gift voucher queries
+ */
+export const voucherKeys = {
+  all: ['vouchers'],
+  list: () => [...voucherKeys.all, 'list'],
+  detail: (code) => [...voucherKeys.all, 'detail', code],
+}
+
+/**
+ * Hook to fetch all vouchers, newest first
+ * @param {object} options - Additional React Query options
+ */
+export const useVouchers = (options = {}) => {
+  return useQuery({
+    queryKey: voucherKeys.list(),
+    queryFn: getAllVouchers,
+    staleTime: 2 * 60 * 1000, // 2 minutes
+    ...options,
+  })
+}
+
+/**
+ * Hook to look up a voucher by code (checking a voucher at the counter)
+ * @param {string} code - Normalised voucher code, or null to skip
+ * @param {object} options - Additional React Query options
+ */
+export const useVoucher = (code, options = {}) => {
+  return useQuery({
+    queryKey: voucherKeys.detail(code),
+    queryFn: () => getVoucher(code),
+    enabled: !!code,
+    staleTime: 0, // Always check the current balance
+    ...options,
+  })
+}
+
+/**
+ * Hook to issue a gift voucher
+ */
+export const useIssueVoucher = (options = {}) => {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ voucherData, userId }) => issueVoucher(voucherData, userId),
+    onSuccess: (data, variables) => {
+      queryClient.invalidateQueries({ queryKey: voucherKeys.all })
+      showSuccess(`Voucher ${data.code} issued for $${data.faceValue.toFixed(2)}`)
+      options.onSuccess?.(data, variables)
+    },
+    onError: (error) => {
+      handleError(error, 'Failed to issue voucher')
+      options.onError?.(error)
+    },
+  })
+}
+
+/**
+ * Hook to cancel a voucher's remaining value
+ */
+export const useCancelVoucher = (options = {}) => {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ code, reason, userId }) => cancelVoucher(code, reason, userId),
+    onSuccess: (data, variables) => {
+      queryClient.invalidateQueries({ queryKey: voucherKeys.all })
+      showSuccess(`Voucher ${data.code} cancelled`)
+      options.onSuccess?.(data, variables)
+    },
+    onError: (error) => {
+      handleError(error, 'Failed to cancel voucher')
+      options.onError?.(error)
+    },
+  })
+}
+
+export default useVouchers
@@ -0,0 +1,84 @@
+import { collection, doc } from 'firebase/firestore'
+import { db } from '../../firebase'
+
+/**
+ * Club-scoped Firestore paths
+ *
+ * Each club's data lives under clubs/{clubId} - members, payments, fees,
+ * categories, applications, settings, receipt counters and the club's users.
+ * Services build their references through clubCollection/clubDoc so every
+ * read and write goes to the club the user is working in.
+ */
+
+export const CLUBS_COLLECTION = 'clubs'
+
+let activeClubId = null
+let pendingClubWork = 0
+
+/**
+ * Set the club that club-scoped reads and writes go to
+ * Called by AuthContext on sign-in and when the user switches club.
+ * @param {string|null} clubId - Club ID
+ */
+export function setActiveClubId(clubId) {
+  activeClubId = clubId
+}
+
+/**
+ * Get the club that club-scoped reads and writes go to
+ * @returns {string|null} Club ID
+ */
+export function getActiveClubId() {
+  return activeClubId
+}
+
+/**
+ * Run work that reads and writes the active club, holding off club switches until it ends
+ * References are built as a service goes, so switching part way through would send the
+ * rest of its writes to the other club. React Query mutations are held off by
+ * AuthContext switchClub; this covers work started outside them.
+ * @param {Function} work - Async function doing the work
+ * @returns {Promise} The work's result
+ */
+export async function runClubWork(work) {
+  pendingClubWork++
+  try {
+    return await work()
+  } finally {
+    pendingClubWork--
+  }
+}
+
+/**
+ * Whether work started with runClubWork is still running
+ * @returns {boolean}
+ */
+export function isClubWorkPending() {
+  return pendingClubWork > 0
+}
+
+function requireActiveClubId() {
+  if (!activeClubId) {
+    throw new Error('No club selected')
+  }
+  return activeClubId
+}
+
+/**
+ * Reference to a collection in the active club
+ * @param {string} collectionName - Collection name, e.g. 'members'
+ * @returns {CollectionReference}
+ */
+export function clubCollection(collectionName) {
+  return collection(db, CLUBS_COLLECTION, requireActiveClubId(), collectionName)
+}
+
+/**
+ * Reference to a document in the active club
+ * @param {string} collectionName - Collection name, e.g. 'members'
+ * @param {string} docId - Document ID
+ * @returns {DocumentReference}
+ */
+export function clubDoc(collectionName, docId) {
+  return doc(db, CLUBS_COLLECTION, requireActiveClubId(), collectionName, docId)
+}
@@ -0,0 +1,44 @@
+import { getDocs, getCountFromServer, query, limit, startAfter } from 'firebase/firestore'
+
+/**
+ * Cursor pagination for Firestore queries
+ *
+ * Lists that can grow large (members, payments, search results) are read a page
+ * at a time. The cursor is the last document snapshot of the previous page, so
+ * the next page starts straight after it whatever the sort order.
+ */
+
+export const DEFAULT_PAGE_SIZE = 50
+
+/**
+ * Read one page of a query
+ * @param {Query|CollectionReference} baseQuery - Collection or query to page through
+ * @param {Array} constraints - where/orderBy constraints (limit and cursor are added here)
+ * @param {Object} options - { pageSize, cursor }
+ * @returns {Object} { items, nextCursor } - nextCursor is null on the last page
+ */
+export async function getPage(baseQuery, constraints = [], { pageSize = DEFAULT_PAGE_SIZE, cursor = null } = {}) {
+  const snapshot = await getDocs(query(
+    baseQuery,
+    ...constraints,
+    ...(cursor ? [startAfter(cursor)] : []),
+    limit(pageSize)
+  ))
+
+  return {
+    items: snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() })),
+    // A full page means there may be more
+    nextCursor: snapshot.docs.length === pageSize ? snapshot.docs[snapshot.docs.length - 1] : null
+  }
+}
+
+/**
+ * Count the documents a query matches without reading them
+ * @param {Query|CollectionReference} baseQuery - Collection or query
+ * @param {Array} constraints - where constraints
+ * @returns {number}
+ */
+export async function countDocuments(baseQuery, constraints = []) {
+  const snapshot = await getCountFromServer(query(baseQuery, ...constraints))
+  return snapshot.data().count
+}
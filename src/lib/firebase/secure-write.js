@@ -1,6 +1,4 @@
 import {
-  collection,
-  doc,
   addDoc,
   setDoc,
   updateDoc,
@@ -9,6 +7,7 @@ import {
   serverTimestamp,
 } from 'firebase/firestore'
 import { db } from '../../firebase'
+import { clubCollection, clubDoc } from './clubScope'
 import { validateUserInput } from '../validation/schemas'
 
 /**
@@ -91,7 +90,7 @@ export async function secureAddDoc(collectionName, data, schema, options = {}) {
   }
 
   try {
-    const docRef = await addDoc(collection(db, collectionName), docData)
+    const docRef = await addDoc(clubCollection(collectionName), docData)
     return { id: docRef.id, ...docData }
   } catch (error) {
     logSecurityEvent({
@@ -140,7 +139,7 @@ export async function secureUpdateDoc(collectionName, docId, data, schema, optio
   }
 
   try {
-    const docRef = doc(db, collectionName, docId)
+    const docRef = clubDoc(collectionName, docId)
     await updateDoc(docRef, updateData)
     return { id: docId, ...updateData }
   } catch (error) {
@@ -194,7 +193,7 @@ export async function secureSetDoc(collectionName, docId, data, schema, options
   }
 
   try {
-    const docRef = doc(db, collectionName, docId)
+    const docRef = clubDoc(collectionName, docId)
     await setDoc(docRef, docData, { merge })
     return { id: docId, ...docData }
   } catch (error) {
@@ -268,7 +267,7 @@ export async function secureDeleteDoc(collectionName, docId, options = {}) {
   const { userId = null, softDelete = false, softDeleteField = 'status' } = options
 
   try {
-    const docRef = doc(db, collectionName, docId)
+    const docRef = clubDoc(collectionName, docId)
 
     if (softDelete) {
       // Soft delete - set status to inactive/deleted
@@ -78,10 +78,10 @@ const AddApplication = () => {
       )
 
       // Immediately verify the application (admin bypass)
-      const { doc, updateDoc, serverTimestamp } = await import('firebase/firestore')
-      const { db } = await import('../firebase')
+      const { updateDoc, serverTimestamp } = await import('firebase/firestore')
+      const { clubDoc } = await import('../lib/firebase/clubScope')
 
-      const docRef = doc(db, 'applications', application.id)
+      const docRef = clubDoc('applications', application.id)
       await updateDoc(docRef, {
         emailVerified: true,
         status: APPLICATION_STATUS.EMAIL_VERIFIED,
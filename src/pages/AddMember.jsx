@@ -2,18 +2,21 @@ import { useState } from 'react'
 import { useNavigate } from 'react-router-dom'
 import MemberForm from '../components/MemberForm'
 import { createMember } from '../services/membersService'
+import { runClubWork } from '../lib/firebase/clubScope'
+import { useAuth } from '../contexts/AuthContext'
 
 const AddMember = () => {
   const [isLoading, setIsLoading] = useState(false)
   const [error, setError] = useState(null)
   const navigate = useNavigate()
+  const { currentUser } = useAuth()
 
   const handleSubmit = async (formData) => {
     setIsLoading(true)
     setError(null)
 
     try {
-      await createMember(formData)
+      await runClubWork(() => createMember(formData, currentUser.uid))
       // Redirect to members list on success
       navigate('/members')
     } catch (err) {
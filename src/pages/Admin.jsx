@@ -4,13 +4,23 @@ import { RefreshCw } from 'lucide-react'
 import { useAuth } from '../contexts/AuthContext'
 import { useNavigate } from 'react-router-dom'
 import { clearAllData, getDataStats, exportAllData, downloadJSONBackup } from '../services/adminService'
+import { rebuildSearchIndex } from '../services/searchService'
+import { rebuildPortalProfiles } from '../services/memberPortalService'
 import { importMembersFromCSV } from '../services/membersService'
 import { getMembersWithOutstandingBalance, generateBulkPaymentReminders } from '../services/welcomeLetterService'
+import { runClubWork } from '../lib/firebase/clubScope'
 import { handleError, showSuccess } from '@/utils/errorHandler'
 import { formatTimeAgo } from '@/utils/dateUtils'
 import { cn } from '@/lib/utils'
+import ClubSettings from '../components/ClubSettings'
+import ClubManager from '../components/ClubManager'
 import CategoryManager from '../components/CategoryManager'
+import PaymentMethodManager from '../components/PaymentMethodManager'
+import CustomFieldManager from '../components/CustomFieldManager'
+import CategoryProgression from '../components/CategoryProgression'
 import FeeApplication from '../components/FeeApplication'
+import LateFeeRules from '../components/LateFeeRules'
+import BalanceReconciliation from '../components/BalanceReconciliation'
 
 const Admin = () => {
   const [isClearing, setIsClearing] = useState(false)
@@ -24,6 +34,8 @@ const Admin = () => {
 
   // Backup export state
   const [isExporting, setIsExporting] = useState(false)
+  const [isReindexing, setIsReindexing] = useState(false)
+  const [isRebuildingProfiles, setIsRebuildingProfiles] = useState(false)
 
   // Bulk PDF state
   const [isGeneratingPDFs, setIsGeneratingPDFs] = useState(false)
@@ -31,7 +43,7 @@ const Admin = () => {
   const [pdfResults, setPdfResults] = useState(null)
   const [showPdfResults, setShowPdfResults] = useState(false)
 
-  const { checkPermission, ROLES, currentUser } = useAuth()
+  const { checkPermission, ROLES, currentUser, activeClubId } = useAuth()
   const navigate = useNavigate()
   const queryClient = useQueryClient()
 
@@ -74,7 +86,7 @@ const Admin = () => {
       setIsClearing(true)
 
       // Clear all data but preserve current super admin user
-      const results = await clearAllData([currentUser.uid])
+      const results = await runClubWork(() => clearAllData([currentUser.uid]))
 
       setShowConfirmDialog(false)
       setConfirmText('')
@@ -125,7 +137,7 @@ const Admin = () => {
       reader.onload = async (e) => {
         try {
           const csvText = e.target?.result
-          const results = await importMembersFromCSV(csvText)
+          const results = await runClubWork(() => importMembersFromCSV(csvText, currentUser.uid))
 
           setUploadResults(results)
           setShowUploadResults(true)
@@ -171,10 +183,10 @@ const Admin = () => {
       setIsExporting(true)
 
       // Export all data
-      const data = await exportAllData()
+      const data = await runClubWork(() => exportAllData())
 
       // Download as JSON file
-      const filename = `teatree-backup-${new Date().toISOString().split('T')[0]}.json`
+      const filename = `${activeClubId}-backup-${new Date().toISOString().split('T')[0]}.json`
       downloadJSONBackup(data, filename)
 
       showSuccess(`Backup downloaded successfully! (${data.counts.members} members, ${data.counts.payments} payments, ${data.counts.users} users)`)
@@ -185,6 +197,30 @@ const Admin = () => {
     }
   }
 
+  const handleRebuildSearchIndex = async () => {
+    try {
+      setIsReindexing(true)
+      const result = await runClubWork(() => rebuildSearchIndex())
+      showSuccess(`Search index up to date (${result.members.updated} of ${result.members.checked} members and ${result.applications.updated} of ${result.applications.checked} applications updated)`)
+    } catch (err) {
+      handleError(err, 'Failed to rebuild search index')
+    } finally {
+      setIsReindexing(false)
+    }
+  }
+
+  const handleRebuildPortalProfiles = async () => {
+    try {
+      setIsRebuildingProfiles(true)
+      const result = await runClubWork(() => rebuildPortalProfiles())
+      showSuccess(`Portal profiles up to date (${result.written} members)`)
+    } catch (err) {
+      handleError(err, 'Failed to rebuild portal profiles')
+    } finally {
+      setIsRebuildingProfiles(false)
+    }
+  }
+
   // Load members with outstanding balances
   const loadOutstandingMembers = () => {
     refetchOutstanding()
@@ -196,9 +232,9 @@ const Admin = () => {
       setIsGeneratingPDFs(true)
       setPdfResults(null)
 
-      const results = await generateBulkPaymentReminders((progress) => {
+      const results = await runClubWork(() => generateBulkPaymentReminders((progress) => {
         setPdfProgress(progress)
-      })
+      }))
 
       setPdfResults(results)
       setShowPdfResults(true)
@@ -316,6 +352,49 @@ const Admin = () => {
         </div>
       </div>
 
+      {/* Search Index Section */}
+      <div className="bg-white shadow rounded-lg p-6">
+        <h2 className="text-xl font-semibold text-gray-900 mb-4 flex items-center">
+          <svg className="w-6 h-6 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+          </svg>
+          Search Index
+        </h2>
+        <p className="text-sm text-gray-600 mb-4">
+          Member and application search (the Ctrl+K search and payment member lookup) uses an index kept on each record.
+          Records are indexed whenever they are saved; rebuild the index once after upgrading or after importing data
+          from before clubs, so older records can be found.
+        </p>
+        <button
+          onClick={handleRebuildSearchIndex}
+          disabled={isReindexing}
+          className="px-4 py-2 bg-primary text-white rounded hover:bg-primary/90 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+        >
+          {isReindexing ? 'Rebuilding...' : 'Rebuild Search Index'}
+        </button>
+      </div>
+
+      {/* Member Portal Section */}
+      <div className="bg-white shadow rounded-lg p-6">
+        <h2 className="text-xl font-semibold text-gray-900 mb-4 flex items-center">
+          <svg className="w-6 h-6 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z" />
+          </svg>
+          Member Portal Profiles
+        </h2>
+        <p className="text-sm text-gray-600 mb-4">
+          Members signed in to the portal see a copy of their name, contact details and balance, not their member record.
+          The copy is updated whenever a member is saved; rebuild it once after upgrading so members saved before can sign in.
+        </p>
+        <button
+          onClick={handleRebuildPortalProfiles}
+          disabled={isRebuildingProfiles}
+          className="px-4 py-2 bg-primary text-white rounded hover:bg-primary/90 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+        >
+          {isRebuildingProfiles ? 'Rebuilding...' : 'Rebuild Portal Profiles'}
+        </button>
+      </div>
+
       {/* CSV Upload Section */}
       <div className="bg-white shadow rounded-lg p-6">
         <h2 className="text-xl font-semibold text-gray-900 mb-4 flex items-center">
@@ -357,6 +436,7 @@ const Admin = () => {
             <li>Date of Birth format (if provided): YYYY-MM-DD</li>
             <li>Status defaults to &quot;active&quot; if not specified</li>
             <li>Date Joined defaults to today if not specified</li>
+            <li>Optional extra columns after these: <strong>Tags</strong> (separated by ; or ,) and any member field, headed by its label</li>
           </ul>
 
           <div className="flex items-center space-x-4">
@@ -377,14 +457,45 @@ const Admin = () => {
         </div>
       </div>
 
+      {/* Club Settings */}
+      <div className="bg-white shadow rounded-lg p-6">
+        <ClubSettings />
+      </div>
+
+      {/* Clubs on this deployment */}
+      <div className="bg-white shadow rounded-lg p-6">
+        <ClubManager />
+      </div>
+
       {/* Category Management */}
       <CategoryManager />
 
+      {/* Payment Methods */}
+      <PaymentMethodManager />
+
+      {/* Custom Member Fields */}
+      <CustomFieldManager />
+
+      {/* Age Category Progression */}
+      <div className="bg-white shadow rounded-lg p-6">
+        <CategoryProgression />
+      </div>
+
       {/* Fee Application */}
       <div className="bg-white shadow rounded-lg p-6">
         <FeeApplication />
       </div>
 
+      {/* Late Fees */}
+      <div className="bg-white shadow rounded-lg p-6">
+        <LateFeeRules />
+      </div>
+
+      {/* Balance Reconciliation */}
+      <div className="bg-white shadow rounded-lg p-6">
+        <BalanceReconciliation />
+      </div>
+
       {/* Bulk Payment Reminder PDFs */}
       <div className="bg-white shadow rounded-lg p-6">
         <h2 className="text-xl font-semibold text-gray-900 mb-4 flex items-center">
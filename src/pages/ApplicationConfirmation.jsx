@@ -2,10 +2,13 @@ import { useState } from 'react'
 import { useLocation, Link, Navigate } from 'react-router-dom'
 import { resendVerificationEmail } from '../services/applicationsService'
 import { generateVerificationToken, generateTokenExpiry, sendVerificationEmail } from '../services/emailVerificationService'
+import { useClubSettings } from '@/hooks/useClubSettings'
+import { DEFAULT_CLUB_SETTINGS } from '../services/clubSettingsService'
 
 const ApplicationConfirmation = () => {
   const location = useLocation()
   const { applicationId, email, fullName } = location.state || {}
+  const { data: club = DEFAULT_CLUB_SETTINGS } = useClubSettings()
 
   const [isResending, setIsResending] = useState(false)
   const [resendSuccess, setResendSuccess] = useState(false)
@@ -77,7 +80,7 @@ const ApplicationConfirmation = () => {
             Application Submitted!
           </h1>
           <p className="text-gray-600">
-            Thank you for applying to Tea Tree Golf Club
+            Thank you for applying to {club.clubName}
           </p>
         </div>
 
@@ -194,9 +197,9 @@ const ApplicationConfirmation = () => {
         <div className="text-center text-sm text-gray-600 mb-6">
           <p className="mb-2">Questions about your application?</p>
           <div className="font-medium text-gray-900">
-            <p>Tea Tree Golf Club</p>
-            <p>10A Volcanic Drive, Brighton, Tasmania, 7030</p>
-            <p>Tel: 03 6268 1692 | Email: teatreegolf@bigpond.com</p>
+            <p>{club.clubName}</p>
+            <p>{club.address}</p>
+            <p>Tel: {club.phone} | Email: {club.email}</p>
           </div>
         </div>
 
@@ -74,9 +74,9 @@ const ApplicationDetails = () => {
     )
   }
 
-  const handleGeneratePDF = () => {
+  const handleGeneratePDF = async () => {
     try {
-      generateApplicationPDF(application)
+      await generateApplicationPDF(application)
       setSuccessMessage('PDF generated successfully!')
       setTimeout(() => setSuccessMessage(''), 3000)
     } catch (err) {
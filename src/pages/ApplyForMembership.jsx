@@ -11,6 +11,10 @@ import { applicationFormSchema, transformApplicationFormData } from '../schemas'
 import { FormField, FormInput, FormSelect } from '../components/form'
 import CategorySelector from '../components/CategorySelector'
 import MembershipCostCalculator from '../components/MembershipCostCalculator'
+import { useClubSettings } from '@/hooks/useClubSettings'
+import { DEFAULT_CLUB_SETTINGS } from '../services/clubSettingsService'
+import { useAuth } from '../contexts/AuthContext'
+import ClubPicker from '../components/ClubPicker'
 import {
   formatAustralianPhone,
   calculateAge
@@ -19,6 +23,8 @@ import {
 const ApplyForMembership = () => {
   const navigate = useNavigate()
   const recaptchaRef = useRef(null)
+  const { activeClubId } = useAuth()
+  const { data: club = DEFAULT_CLUB_SETTINGS } = useClubSettings()
 
   const {
     register,
@@ -63,7 +69,7 @@ const ApplyForMembership = () => {
   const watchDateOfBirth = watch('dateOfBirth')
   const watchAgreedToTerms = watch('agreedToTerms')
 
-  // Fetch categories on mount
+  // Fetch the club's categories on mount and when the applicant picks another club
   useEffect(() => {
     const fetchCategories = async () => {
       try {
@@ -78,8 +84,10 @@ const ApplyForMembership = () => {
         setCategoriesLoading(false)
       }
     }
+    setValue('membershipCategoryId', '')
+    setSelectedCategory(null)
     fetchCategories()
-  }, [])
+  }, [activeClubId, setValue])
 
   // Update suggested category when DOB changes
   useEffect(() => {
@@ -110,7 +118,7 @@ const ApplyForMembership = () => {
 
   // Calculate cost breakdown for current selection
   const costBreakdown = selectedCategory
-    ? calculateProRataFeeSync(selectedCategory, new Date())
+    ? calculateProRataFeeSync(selectedCategory, new Date(), club.membershipYearStartMonth)
     : null
 
   // Handle form submission
@@ -184,15 +192,16 @@ const ApplyForMembership = () => {
         {/* Header */}
         <div className="bg-white rounded-lg shadow-xl p-8 mb-6">
           <h1 className="text-3xl font-bold text-club-navy mb-2">
-            Tea Tree Golf Club
+            {club.clubName}
           </h1>
           <h2 className="text-xl text-gray-700 mb-4">
             Membership Application
           </h2>
           <p className="text-gray-600">
-            Thank you for your interest in joining Tea Tree Golf Club. Please complete the form below to apply for membership.
+            Thank you for your interest in joining {club.clubName}. Please complete the form below to apply for membership.
             All fields marked with * are required.
           </p>
+          <ClubPicker label="Club you are applying to" className="mt-4 max-w-sm" />
         </div>
 
         {/* Error Alert */}
@@ -521,6 +530,7 @@ const ApplyForMembership = () => {
                   <MembershipCostCalculator
                     category={selectedCategory}
                     joiningDate={new Date()}
+                    membershipYearStartMonth={club.membershipYearStartMonth}
                     className="mt-6"
                   />
                 )}
@@ -605,9 +615,9 @@ const ApplyForMembership = () => {
 
         {/* Footer */}
         <div className="text-center mt-8 text-white text-sm">
-          <p>Tea Tree Golf Club</p>
-          <p>10A Volcanic Drive, Brighton, Tasmania, 7030</p>
-          <p>Tel: 03 6268 1692 | Email: teatreegolf@bigpond.com</p>
+          <p>{club.clubName}</p>
+          <p>{club.address}</p>
+          <p>Tel: {club.phone} | Email: {club.email}</p>
         </div>
       </div>
     </div>
@@ -0,0 +1,241 @@
+import { useState, useMemo } from 'react'
+import { Link } from 'react-router-dom'
+import { useAuth } from '../contexts/AuthContext'
+import {
+  usePendingChangeRequests,
+  useApproveChangeRequest,
+  useRejectChangeRequest
+} from '@/hooks/useChangeRequests'
+import { useMembers } from '@/hooks/useMembers'
+import {
+  CHANGE_REQUEST_SOURCES,
+  compareWithMember,
+  suggestMemberForRequest
+} from '../services/changeRequestService'
+import { FormInput } from '../components/form'
+import MemberSearchSelect from '../components/MemberSearchSelect'
+import PageBreadcrumb from '../components/PageBreadcrumb'
+import { cn } from '@/lib/utils'
+
+const SOURCE_LABELS = {
+  [CHANGE_REQUEST_SOURCES.PORTAL]: 'Member portal',
+  [CHANGE_REQUEST_SOURCES.PUBLIC]: 'Update my details form',
+  [CHANGE_REQUEST_SOURCES.STAFF]: 'Suggested by staff'
+}
+
+const ChangeRequests = () => {
+  const { checkPermission, ROLES, currentUser } = useAuth()
+  const canEdit = checkPermission(ROLES.EDIT)
+
+  // Request being rejected, and why
+  const [rejecting, setRejecting] = useState(null)
+  // Members chosen by the reviewer for public requests { requestId: memberId }
+  const [chosenMembers, setChosenMembers] = useState({})
+  const [choosingId, setChoosingId] = useState(null)
+
+  const { data: requests = [], isLoading, error } = usePendingChangeRequests({ enabled: canEdit })
+  const { data: members = [] } = useMembers({ enabled: canEdit })
+  const approveMutation = useApproveChangeRequest()
+  const rejectMutation = useRejectChangeRequest({ onSuccess: () => setRejecting(null) })
+
+  const membersById = useMemo(() => new Map(members.map(m => [m.id, m])), [members])
+
+  // Portal and staff requests name their member; public ones are matched here
+  const getRequestMember = (request) => {
+    if (request.memberId) return membersById.get(request.memberId) || null
+    if (chosenMembers[request.id]) return membersById.get(chosenMembers[request.id]) || null
+    return suggestMemberForRequest(request, members)
+  }
+
+  const handleChooseMember = (request, member) => {
+    setChosenMembers(prev => ({ ...prev, [request.id]: member.id }))
+    setChoosingId(null)
+  }
+
+  const handleReject = (e) => {
+    e.preventDefault()
+    rejectMutation.mutate({ requestId: rejecting.id, reason: rejecting.reason, userId: currentUser.uid })
+  }
+
+  if (!canEdit) {
+    return (
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900 mb-6">Change Requests</h1>
+        <p className="text-gray-600">You do not have permission to change members.</p>
+      </div>
+    )
+  }
+
+  return (
+    <div>
+      <PageBreadcrumb
+        items={[
+          { label: 'Members', href: '/members' },
+          { label: 'Change Requests' }
+        ]}
+      />
+
+      <div className="mb-6">
+        <h1 className="text-3xl font-bold text-gray-900">Change Requests</h1>
+        <p className="text-gray-600 mt-2">
+          Member detail changes sent from the member portal or the update my details form, and edits
+          suggested by staff. Approving a request updates the member record and records the change on
+          the member&apos;s timeline.
+        </p>
+      </div>
+
+      <div className="bg-white shadow rounded-lg p-6">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">
+          Waiting for Review {requests.length > 0 && `(${requests.length})`}
+        </h3>
+
+        {isLoading ? (
+          <p className="text-gray-600">Loading change requests...</p>
+        ) : error ? (
+          <p className="text-red-600">Failed to load change requests: {error.message}</p>
+        ) : requests.length === 0 ? (
+          <p className="text-gray-600">There are no change requests waiting.</p>
+        ) : (
+          <ul className="divide-y">
+            {requests.map(request => {
+              const member = getRequestMember(request)
+              const rows = compareWithMember(request.changes, member)
+              const isPublic = request.source === CHANGE_REQUEST_SOURCES.PUBLIC
+              return (
+                <li key={request.id} className="py-4">
+                  <div className="flex justify-between items-start gap-4">
+                    <div>
+                      {member ? (
+                        <Link
+                          to={`/members/${member.id}`}
+                          className="text-club-navy hover:text-club-navy-dark font-medium"
+                        >
+                          {member.fullName}
+                        </Link>
+                      ) : (
+                        <span className="font-medium text-gray-900">{request.memberName}</span>
+                      )}
+                      <p className="text-xs text-gray-500">
+                        {SOURCE_LABELS[request.source] || request.source}
+                        {request.submittedByEmail && ` - ${request.submittedByEmail}`}
+                        {request.createdAt?.toDate && ` - ${request.createdAt.toDate().toLocaleDateString()}`}
+                      </p>
+                      {isPublic && (
+                        <p className="text-xs text-gray-500">
+                          Submitted as {request.submittedName}
+                          {request.submittedGolfAustraliaId && ` (GA: ${request.submittedGolfAustraliaId})`}
+                          {' - '}
+                          {member ? (
+                            <button
+                              onClick={() => setChoosingId(request.id)}
+                              className="text-club-navy hover:text-club-navy-dark"
+                            >
+                              Not this member?
+                            </button>
+                          ) : (
+                            <span className="text-yellow-700">No matching member found</span>
+                          )}
+                        </p>
+                      )}
+                    </div>
+                    <div className="flex gap-2">
+                      {member ? (
+                        <button
+                          onClick={() => approveMutation.mutate({ request, member, userId: currentUser.uid })}
+                          disabled={approveMutation.isPending}
+                          className="px-3 py-1 text-sm bg-primary text-white rounded-md hover:bg-primary/90 disabled:opacity-50"
+                        >
+                          Approve
+                        </button>
+                      ) : (
+                        <button
+                          onClick={() => setChoosingId(request.id)}
+                          className="px-3 py-1 text-sm bg-primary text-white rounded-md hover:bg-primary/90"
+                        >
+                          Choose Member
+                        </button>
+                      )}
+                      <button
+                        onClick={() => setRejecting({ id: request.id, reason: '' })}
+                        className="px-3 py-1 text-sm border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+                      >
+                        Reject
+                      </button>
+                    </div>
+                  </div>
+
+                  {choosingId === request.id && (
+                    <div className="mt-3 max-w-md">
+                      <MemberSearchSelect
+                        members={members}
+                        onSelect={(chosen) => handleChooseMember(request, chosen)}
+                        onCancel={() => setChoosingId(null)}
+                      />
+                    </div>
+                  )}
+
+                  <table className="mt-3 text-sm">
+                    <thead>
+                      <tr className="text-left text-xs text-gray-500 uppercase">
+                        <th className="pr-6 py-1 font-medium">Field</th>
+                        <th className="pr-6 py-1 font-medium">Current</th>
+                        <th className="py-1 font-medium">Proposed</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {rows.map(row => (
+                        <tr key={row.field}>
+                          <td className="pr-6 py-0.5 text-gray-500">{row.label}</td>
+                          <td className="pr-6 py-0.5 text-gray-500">
+                            {row.current === null ? '-' : (row.current || '(blank)')}
+                            {row.changedSince && (
+                              <span className="block text-xs text-yellow-700">
+                                Changed since the request (was {row.from || 'blank'})
+                              </span>
+                            )}
+                          </td>
+                          <td className={cn('py-0.5', row.alreadySet ? 'text-gray-400' : 'text-gray-900 font-medium')}>
+                            {row.to || '(blank)'}
+                            {row.alreadySet && <span className="ml-2 text-xs">(already set)</span>}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+
+                  {rejecting?.id === request.id && (
+                    <form onSubmit={handleReject} className="mt-3 flex gap-2 items-center">
+                      <FormInput
+                        id="rejectReason"
+                        placeholder="Reason (shown to the member)"
+                        value={rejecting.reason}
+                        onChange={(e) => setRejecting({ ...rejecting, reason: e.target.value })}
+                        className="mt-0 max-w-md"
+                      />
+                      <button
+                        type="submit"
+                        disabled={rejectMutation.isPending}
+                        className="px-3 py-2 text-sm bg-red-600 text-white rounded-md hover:bg-red-700 disabled:opacity-50"
+                      >
+                        {rejectMutation.isPending ? 'Rejecting...' : 'Reject'}
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setRejecting(null)}
+                        className="px-3 py-2 text-sm border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+                      >
+                        Cancel
+                      </button>
+                    </form>
+                  )}
+                </li>
+              )
+            })}
+          </ul>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default ChangeRequests
@@ -4,13 +4,17 @@ import { useQuery } from '@tanstack/react-query'
 import { useAuth } from '../contexts/AuthContext'
 import { getAllMembers, calculateMemberStats } from '../services/membersService'
 import { getAllCategories } from '../services/membershipCategories'
-import { getAllPayments } from '../services/paymentsService'
+import { getAllPayments, getNetPaymentAmount } from '../services/paymentsService'
+import { isCurrentMember } from '../services/memberStatusService'
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
 import { DataFreshness } from '@/components/DataFreshness'
+import { useClubSettings } from '@/hooks/useClubSettings'
+import { DEFAULT_CLUB_SETTINGS } from '../services/clubSettingsService'
 
 const Dashboard = () => {
   const { checkPermission, ROLES } = useAuth()
   const canEdit = checkPermission(ROLES.EDIT)
+  const { data: club = DEFAULT_CLUB_SETTINGS } = useClubSettings()
   const [selectedYear, setSelectedYear] = useState(new Date().getFullYear())
 
   // Fetch members with React Query (shared cache with Members page)
@@ -66,7 +70,7 @@ const Dashboard = () => {
 
   // Get ALL members who owe money (for accurate count)
   const allMembersWithDebt = members
-    .filter(m => m.status === 'active' && m.accountBalance < 0)
+    .filter(m => isCurrentMember(m) && m.accountBalance < 0)
 
   // Filter payments by selected year
   const paymentsForYear = payments.filter(payment => {
@@ -76,7 +80,7 @@ const Dashboard = () => {
   })
 
   // Calculate total paid for selected year
-  const totalPaidForYear = paymentsForYear.reduce((sum, payment) => sum + (payment.amount || 0), 0)
+  const totalPaidForYear = paymentsForYear.reduce((sum, payment) => sum + getNetPaymentAmount(payment), 0)
 
   // Get available years from payments
   const availableYears = [...new Set(payments.map(p => {
@@ -106,7 +110,7 @@ const Dashboard = () => {
       <div className="flex justify-between items-start mb-6">
         <div>
           <h1 className="text-3xl font-bold text-gray-900">Dashboard</h1>
-          <p className="text-gray-600 mt-1">Welcome to Tea Tree Golf Club Membership Management System</p>
+          <p className="text-gray-600 mt-1">Welcome to {club.clubName} Membership Management System</p>
         </div>
         <DataFreshness
           dataUpdatedAt={oldestUpdateTime}
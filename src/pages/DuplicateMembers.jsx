@@ -0,0 +1,242 @@
+import { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { useAuth } from '../contexts/AuthContext'
+import { useDuplicateMembers, useMergeMembers, useMarkNotDuplicate } from '@/hooks/useMemberMerge'
+import { MERGE_DETAIL_FIELDS, buildMergedMember } from '../services/memberMergeService'
+import { TRACKED_DETAIL_FIELDS } from '../services/memberEventService'
+import PageBreadcrumb from '../components/PageBreadcrumb'
+import { cn } from '@/lib/utils'
+
+const formatBalance = (balance) => {
+  const amount = balance || 0
+  return `$${Math.abs(amount).toFixed(2)}${amount < 0 ? ' owing' : amount > 0 ? ' credit' : ''}`
+}
+
+// The record joined earliest is kept by default - it usually has the history
+const getDefaultSurvivor = ({ a, b }) => {
+  return (b.dateJoined || '') < (a.dateJoined || '') && b.dateJoined ? b : a
+}
+
+/**
+ * MergeReview - Choose the record to keep and which details to take from each
+ */
+const MergeReview = ({ pair, onCancel, onMerged }) => {
+  const { currentUser } = useAuth()
+  const [survivorId, setSurvivorId] = useState(() => getDefaultSurvivor(pair).id)
+  const [choices, setChoices] = useState({})
+
+  const survivor = survivorId === pair.a.id ? pair.a : pair.b
+  const retired = survivorId === pair.a.id ? pair.b : pair.a
+  const merged = buildMergedMember(survivor, retired, choices)
+  const differingFields = MERGE_DETAIL_FIELDS.filter(field =>
+    survivor[field] && retired[field] && survivor[field] !== retired[field]
+  )
+
+  const mergeMutation = useMergeMembers({ onSuccess: onMerged })
+
+  const handleSwap = (id) => {
+    setSurvivorId(id)
+    setChoices({})
+  }
+
+  const handleMerge = () => {
+    const confirmed = window.confirm(
+      `Merge ${retired.fullName} into ${survivor.fullName}?\n\n` +
+      'Payments, fees, history and the balance move to the record kept. This cannot be undone.'
+    )
+    if (!confirmed) return
+    mergeMutation.mutate({ survivorId: survivor.id, retiredId: retired.id, choices, userId: currentUser.uid })
+  }
+
+  return (
+    <div className="mt-4 border-t pt-4">
+      <p className="text-sm font-medium text-gray-700 mb-2">Record to keep</p>
+      <div className="flex flex-wrap gap-4 mb-4">
+        {[pair.a, pair.b].map(member => (
+          <label key={member.id} className="flex items-center gap-2 text-sm">
+            <input
+              type="radio"
+              name={`survivor-${pair.a.id}-${pair.b.id}`}
+              checked={survivorId === member.id}
+              onChange={() => handleSwap(member.id)}
+            />
+            {member.fullName}
+            <span className="text-gray-500">
+              (joined {member.dateJoined || 'unknown'}, {formatBalance(member.accountBalance)})
+            </span>
+          </label>
+        ))}
+      </div>
+
+      {differingFields.length > 0 && (
+        <table className="text-sm mb-4">
+          <thead>
+            <tr className="text-left text-xs text-gray-500 uppercase">
+              <th className="pr-6 py-1 font-medium">Field</th>
+              <th className="pr-6 py-1 font-medium">Kept record</th>
+              <th className="py-1 font-medium">Duplicate</th>
+            </tr>
+          </thead>
+          <tbody>
+            {differingFields.map(field => (
+              <tr key={field}>
+                <td className="pr-6 py-1 text-gray-500">{TRACKED_DETAIL_FIELDS[field]}</td>
+                {['survivor', 'retired'].map(side => (
+                  <td key={side} className="pr-6 py-1">
+                    <label className="flex items-center gap-2">
+                      <input
+                        type="radio"
+                        name={`${survivorId}-${field}`}
+                        checked={(choices[field] === 'retired') === (side === 'retired')}
+                        onChange={() => setChoices({ ...choices, [field]: side })}
+                      />
+                      {side === 'survivor' ? survivor[field] : retired[field]}
+                    </label>
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <p className="text-sm text-gray-600 mb-4">
+        Blank details on the kept record are filled from the duplicate. The balance after merging
+        is <span className="font-medium">{formatBalance(merged.accountBalance)}</span>, and{' '}
+        {retired.fullName}&apos;s record will point to {survivor.fullName}.
+      </p>
+
+      <div className="flex gap-2">
+        <button
+          onClick={handleMerge}
+          disabled={mergeMutation.isPending}
+          className="px-3 py-1 text-sm bg-primary text-white rounded-md hover:bg-primary/90 disabled:opacity-50"
+        >
+          {mergeMutation.isPending ? 'Merging...' : 'Merge'}
+        </button>
+        <button
+          onClick={onCancel}
+          disabled={mergeMutation.isPending}
+          className="px-3 py-1 text-sm border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  )
+}
+
+const DuplicateMembers = () => {
+  const { checkPermission, ROLES } = useAuth()
+  const isAdmin = checkPermission(ROLES.ADMIN)
+
+  // Pair being reviewed, as `${a.id}|${b.id}`
+  const [reviewing, setReviewing] = useState(null)
+
+  const { data: pairs = [], isLoading, error } = useDuplicateMembers({ enabled: isAdmin })
+  const notDuplicateMutation = useMarkNotDuplicate()
+
+  if (!isAdmin) {
+    return (
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900 mb-6">Duplicate Members</h1>
+        <p className="text-gray-600">Only administrators can merge members.</p>
+      </div>
+    )
+  }
+
+  return (
+    <div>
+      <PageBreadcrumb
+        items={[
+          { label: 'Members', href: '/members' },
+          { label: 'Duplicates' }
+        ]}
+      />
+
+      <div className="mb-6">
+        <h1 className="text-3xl font-bold text-gray-900">Duplicate Members</h1>
+        <p className="text-gray-600 mt-2">
+          Members who look like the same person, found by name, email, phone, date of birth and
+          Golf Australia ID. Merging moves the duplicate&apos;s payments, fees, comments and history to
+          the record kept and adds its balance.
+        </p>
+      </div>
+
+      <div className="bg-white shadow rounded-lg p-6">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">
+          Possible Duplicates {pairs.length > 0 && `(${pairs.length})`}
+        </h3>
+
+        {isLoading ? (
+          <p className="text-gray-600">Looking for duplicates...</p>
+        ) : error ? (
+          <p className="text-red-600">Failed to load members: {error.message}</p>
+        ) : pairs.length === 0 ? (
+          <p className="text-gray-600">No likely duplicates found.</p>
+        ) : (
+          <ul className="divide-y">
+            {pairs.map(pair => {
+              const pairKey = `${pair.a.id}|${pair.b.id}`
+              return (
+                <li key={pairKey} className="py-4">
+                  <div className="flex justify-between items-start gap-4">
+                    <div>
+                      <div className="flex items-center gap-2">
+                        <span className={cn(
+                          'px-2 py-0.5 rounded-full text-xs font-medium',
+                          pair.score >= 80 ? 'bg-red-100 text-red-800' : 'bg-yellow-100 text-yellow-800'
+                        )}>
+                          {pair.score}%
+                        </span>
+                        {[pair.a, pair.b].map((member, index) => (
+                          <span key={member.id}>
+                            {index > 0 && <span className="text-gray-400 mr-2">and</span>}
+                            <Link
+                              to={`/members/${member.id}`}
+                              className="text-club-navy hover:text-club-navy-dark font-medium"
+                            >
+                              {member.fullName}
+                            </Link>
+                          </span>
+                        ))}
+                      </div>
+                      <p className="text-xs text-gray-500 mt-1">{pair.reasons.join(', ')}</p>
+                    </div>
+                    {reviewing !== pairKey && (
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() => setReviewing(pairKey)}
+                          className="px-3 py-1 text-sm bg-primary text-white rounded-md hover:bg-primary/90"
+                        >
+                          Review
+                        </button>
+                        <button
+                          onClick={() => notDuplicateMutation.mutate({ memberIdA: pair.a.id, memberIdB: pair.b.id })}
+                          disabled={notDuplicateMutation.isPending}
+                          className="px-3 py-1 text-sm border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                        >
+                          Not Duplicates
+                        </button>
+                      </div>
+                    )}
+                  </div>
+
+                  {reviewing === pairKey && (
+                    <MergeReview
+                      pair={pair}
+                      onCancel={() => setReviewing(null)}
+                      onMerged={() => setReviewing(null)}
+                    />
+                  )}
+                </li>
+              )
+            })}
+          </ul>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default DuplicateMembers
@@ -1,11 +1,16 @@
 import { useNavigate, useParams } from 'react-router-dom'
 import MemberForm from '../components/MemberForm'
 import { useMember, useUpdateMember } from '@/hooks/useMember'
+import { useSubmitStaffChangeRequest } from '@/hooks/useChangeRequests'
 import PageBreadcrumb from '../components/PageBreadcrumb'
+import { useAuth } from '../contexts/AuthContext'
 
 const EditMember = () => {
   const navigate = useNavigate()
   const { id } = useParams()
+  const { currentUser, checkPermission, ROLES } = useAuth()
+  // VIEW users suggest changes, which an EDIT user approves from the change request queue
+  const canEdit = checkPermission(ROLES.EDIT)
 
   const { data: member, isLoading: isFetching, error: fetchError } = useMember(id)
 
@@ -15,8 +20,18 @@ const EditMember = () => {
     }
   })
 
+  const proposeMutation = useSubmitStaffChangeRequest({
+    onSuccess: () => {
+      navigate(`/members/${id}`)
+    }
+  })
+
   const handleSubmit = async (formData) => {
-    updateMutation.mutate({ memberId: id, data: formData })
+    if (canEdit) {
+      updateMutation.mutate({ memberId: id, data: formData, userId: currentUser.uid })
+    } else {
+      proposeMutation.mutate({ member, formData, user: { uid: currentUser.uid, email: currentUser.email } })
+    }
   }
 
   const handleCancel = () => {
@@ -49,20 +64,25 @@ const EditMember = () => {
         items={[
           { label: 'Members', href: '/members' },
           { label: member.fullName, href: `/members/${id}` },
-          { label: 'Edit' }
+          { label: canEdit ? 'Edit' : 'Suggest Changes' }
         ]}
       />
 
       <div className="mb-6">
-        <h1 className="text-3xl font-bold text-gray-900">Edit Member</h1>
-        <p className="text-gray-600 mt-2">Update {member.fullName}&apos;s information</p>
+        <h1 className="text-3xl font-bold text-gray-900">{canEdit ? 'Edit Member' : 'Suggest Changes'}</h1>
+        <p className="text-gray-600 mt-2">
+          {canEdit
+            ? `Update ${member.fullName}'s information`
+            : `Changes to ${member.fullName}'s details are sent for approval by a committee member with edit access. Category, status and balance changes aren't included.`}
+        </p>
       </div>
 
       <MemberForm
         member={member}
         onSubmit={handleSubmit}
         onCancel={handleCancel}
-        isLoading={updateMutation.isPending}
+        isLoading={updateMutation.isPending || proposeMutation.isPending}
+        submitLabel={canEdit ? undefined : 'Send for Approval'}
       />
     </div>
   )
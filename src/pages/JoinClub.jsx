@@ -0,0 +1,90 @@
+import { useState } from 'react'
+import { Link, Navigate, useNavigate } from 'react-router-dom'
+import { useAuth } from '../contexts/AuthContext'
+import { useAllClubs, useRequestClubAccess } from '@/hooks/useClubs'
+import { FormField, FormSelect } from '../components/form'
+
+/**
+ * JoinClub - Ask for access to another club on the deployment
+ * Also where a signed-in user lands when they don't belong to any club yet.
+ */
+const JoinClub = () => {
+  const { currentUser, clubs, activeClubId, refreshClubs, logout } = useAuth()
+  const navigate = useNavigate()
+  const [clubId, setClubId] = useState('')
+
+  const { data: allClubs = [], isLoading } = useAllClubs({ enabled: !!currentUser })
+  const requestMutation = useRequestClubAccess({
+    onSuccess: async () => {
+      await refreshClubs()
+      navigate('/')
+    }
+  })
+
+  if (!currentUser) {
+    return <Navigate to="/login" />
+  }
+
+  const joinableClubs = allClubs.filter(club => !clubs.some(mine => mine.clubId === club.clubId))
+  const activeClub = clubs.find(club => club.clubId === activeClubId)
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    requestMutation.mutate({ clubId, user: { uid: currentUser.uid, email: currentUser.email } })
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div>
+          <h2 className="mt-6 text-center text-3xl font-bold text-gray-900">
+            Join a club
+          </h2>
+          <p className="mt-2 text-center text-sm text-gray-600">
+            {clubs.length === 0
+              ? `${currentUser.email} doesn't have access to a club yet.`
+              : 'Ask for access to another club. Its administrators approve new users.'}
+          </p>
+        </div>
+
+        {isLoading ? (
+          <p className="text-center text-gray-500">Loading clubs...</p>
+        ) : joinableClubs.length === 0 ? (
+          <p className="text-center text-sm text-gray-600">You have already asked to join every club.</p>
+        ) : (
+          <form className="space-y-6" onSubmit={handleSubmit}>
+            <FormField label="Club" name="joinClubId" required>
+              <FormSelect id="joinClubId" value={clubId} onChange={(e) => setClubId(e.target.value)}>
+                <option value="">Select a club</option>
+                {joinableClubs.map(club => (
+                  <option key={club.clubId} value={club.clubId}>{club.name}</option>
+                ))}
+              </FormSelect>
+            </FormField>
+            <button
+              type="submit"
+              disabled={!clubId || requestMutation.isPending}
+              className="w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-club-navy hover:bg-club-navy-dark disabled:opacity-50"
+            >
+              {requestMutation.isPending ? 'Requesting...' : 'Request Access'}
+            </button>
+          </form>
+        )}
+
+        <div className="text-center text-sm">
+          {activeClub ? (
+            <Link to="/dashboard" className="font-medium text-club-navy hover:text-club-navy-dark">
+              Back to {activeClub.name}
+            </Link>
+          ) : (
+            <button onClick={() => logout()} className="font-medium text-club-navy hover:text-club-navy-dark">
+              Sign out
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default JoinClub
@@ -5,6 +5,8 @@ import { zodResolver } from '@hookform/resolvers/zod'
 import { useAuth } from '../contexts/AuthContext'
 import { loginSchema, passwordResetSchema } from '../schemas'
 import { FormField, FormInput } from '../components/form'
+import { useClubSettings } from '@/hooks/useClubSettings'
+import { DEFAULT_CLUB_SETTINGS } from '../services/clubSettingsService'
 
 const Login = () => {
   const [error, setError] = useState('')
@@ -12,6 +14,7 @@ const Login = () => {
   const [resetSuccess, setResetSuccess] = useState(false)
   const [resetError, setResetError] = useState('')
   const { login, resetPassword, currentUser } = useAuth()
+  const { data: club = DEFAULT_CLUB_SETTINGS } = useClubSettings()
   const navigate = useNavigate()
 
   // Login form
@@ -143,7 +146,7 @@ const Login = () => {
     <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-club-navy to-club-navy-dark">
       <div className="max-w-md w-full bg-white rounded-lg shadow-xl p-8">
         <div className="text-center mb-8">
-          <h1 className="text-3xl font-bold text-club-navy">Tea Tree Golf Club</h1>
+          <h1 className="text-3xl font-bold text-club-navy">{club.clubName}</h1>
           <p className="text-gray-600 mt-2">Membership Management System</p>
         </div>
 
@@ -205,6 +208,13 @@ const Login = () => {
               Create account
             </Link>
           </div>
+
+          <p className="text-center text-sm text-gray-600">
+            Club member?{' '}
+            <Link to="/portal/login" className="text-club-navy hover:text-club-navy font-medium">
+              Sign in to the member portal
+            </Link>
+          </p>
         </form>
       </div>
     </div>
@@ -1,23 +1,48 @@
 import { useState } from 'react'
-import { useParams, Link } from 'react-router-dom'
+import { useParams, Link, Navigate } from 'react-router-dom'
 import { useQueryClient } from '@tanstack/react-query'
 import { RefreshCw } from 'lucide-react'
 import { useAuth } from '../contexts/AuthContext'
 import { useMember, memberKeys } from '@/hooks/useMember'
 import { useMemberPayments, useRecordPayment } from '@/hooks/useMemberPayments'
-import { useMemberFees, feeKeys } from '@/hooks/useMemberFees'
+import { useMemberFees, useAllocateFeePayments, feeKeys } from '@/hooks/useMemberFees'
+import { ledgerKeys } from '@/hooks/useMemberLedger'
+import { instalmentKeys } from '@/hooks/useInstalmentPlans'
+import { usePaymentMethods } from '@/hooks/usePaymentMethods'
+import { useCustomFields } from '@/hooks/useCustomFields'
 import { useQuery } from '@tanstack/react-query'
 import { getAllCategories, calculateAge } from '../services/membershipCategories'
-import { formatPaymentMethod, generatePDFReceipt } from '../services/paymentsService'
-import { applyFeeToMember } from '../services/feeService'
+import {
+  formatPaymentMethod,
+  formatPaymentStatus,
+  isPaymentReversed,
+  getNetPaymentAmount,
+  generatePDFReceipt,
+  generatePDFCreditNote
+} from '../services/paymentsService'
+import { findPaymentMethod, getSelectablePaymentMethods } from '../services/paymentMethodService'
+import {
+  applyFeeToMember,
+  FEE_PAYMENT_STATUSES,
+  getFeeOutstanding,
+  getFeePaymentStatus,
+  getUnallocatedPaymentAmount,
+  sortFeesOldestFirst
+} from '../services/feeService'
+import { LATE_FEE_TYPE } from '../services/lateFeeService'
+import { isCurrentMember, hasPlayingRights, formatMemberStatus } from '../services/memberStatusService'
+import { formatCustomFieldValue } from '../services/memberFieldService'
+import { getDefaultInstalmentOptions } from '../services/instalmentService'
 import { generateWelcomeLetter, generatePaymentReminder } from '../services/welcomeLetterService'
 import { addMemberComment, deleteMemberComment } from '../services/membersService'
+import { runClubWork } from '../lib/firebase/clubScope'
 import { handleError, showSuccess } from '@/utils/errorHandler'
 import { formatTimeAgo } from '@/utils/dateUtils'
 import { cn } from '@/lib/utils'
 import { Button } from '@/components/ui/button'
 import { Input } from '@/components/ui/input'
 import { Label } from '@/components/ui/label'
+import { Tabs, TabsList, TabsTrigger, TabsContent } from '@/components/ui/tabs'
 import {
   Dialog,
   DialogContent,
@@ -33,6 +58,17 @@ import {
   SelectValue,
 } from '@/components/ui/select'
 import PageBreadcrumb from '../components/PageBreadcrumb'
+import MemberStatement from '../components/MemberStatement'
+import InstalmentPlans, { InstalmentScheduleFields } from '../components/InstalmentPlans'
+import MemberStatusBadge from '../components/MemberStatusBadge'
+import MemberTimeline from '../components/MemberTimeline'
+import MemberGroupCard from '../components/MemberGroupCard'
+
+const FEE_STATUS_STYLES = {
+  [FEE_PAYMENT_STATUSES.PAID]: { label: 'Paid', className: 'bg-green-100 text-green-800' },
+  [FEE_PAYMENT_STATUSES.PART_PAID]: { label: 'Part paid', className: 'bg-yellow-100 text-yellow-800' },
+  [FEE_PAYMENT_STATUSES.UNPAID]: { label: 'Unpaid', className: 'bg-gray-100 text-gray-700' },
+}
 
 const MemberDetail = () => {
   const { checkPermission, ROLES, currentUser } = useAuth()
@@ -58,6 +94,7 @@ const MemberDetail = () => {
 
   // Record payment mutation
   const recordPaymentMutation = useRecordPayment()
+  const allocateFeePaymentsMutation = useAllocateFeePayments()
 
   // Modal states
   const [showFeeModal, setShowFeeModal] = useState(false)
@@ -74,6 +111,8 @@ const MemberDetail = () => {
     notes: ''
   })
   const [isSubmittingFee, setIsSubmittingFee] = useState(false)
+  const [payFeeByInstalments, setPayFeeByInstalments] = useState(false)
+  const [feeInstalmentOptions, setFeeInstalmentOptions] = useState(getDefaultInstalmentOptions)
 
   // Payment form state
   const [paymentFormData, setPaymentFormData] = useState({
@@ -84,11 +123,25 @@ const MemberDetail = () => {
     notes: ''
   })
 
+  // Manual fee allocation (otherwise the payment pays the oldest fees first)
+  const [allocateManually, setAllocateManually] = useState(false)
+  const [feeAllocationAmounts, setFeeAllocationAmounts] = useState({})
+
+  const { data: paymentMethods = [] } = usePaymentMethods()
+  const { data: customFields = [] } = useCustomFields()
+  const selectedPaymentMethod = findPaymentMethod(paymentMethods, paymentFormData.paymentMethod)
+
   const canEdit = checkPermission(ROLES.EDIT)
 
   // Find member's category
   const category = categories.find(c => c.id === member?.membershipCategory)
 
+  const outstandingFees = sortFeesOldestFirst(fees).filter(f => getFeeOutstanding(f) > 0)
+  const unallocatedPayments = getUnallocatedPaymentAmount(
+    payments.reduce((sum, p) => sum + getNetPaymentAmount(p), 0),
+    fees
+  )
+
   const handlePrintReceipt = async (payment) => {
     try {
       await generatePDFReceipt(payment)
@@ -98,6 +151,15 @@ const MemberDetail = () => {
     }
   }
 
+  const handlePrintCreditNote = async (payment) => {
+    try {
+      await generatePDFCreditNote(payment)
+      showSuccess('Credit note generated successfully!')
+    } catch (err) {
+      handleError(err, 'Failed to generate credit note')
+    }
+  }
+
   const handleGenerateWelcomeLetter = async () => {
     try {
       await generateWelcomeLetter(id)
@@ -122,6 +184,8 @@ const MemberDetail = () => {
       feeYear: new Date().getFullYear(),
       notes: `${new Date().getFullYear()} Annual Membership Fee`
     })
+    setPayFeeByInstalments(false)
+    setFeeInstalmentOptions(getDefaultInstalmentOptions())
     setShowFeeModal(true)
   }
 
@@ -137,14 +201,18 @@ const MemberDetail = () => {
         feeYear: parseInt(feeFormData.feeYear),
         notes: feeFormData.notes,
         categoryId: member.membershipCategory,
-        categoryName: category?.name || member.membershipCategory
+        categoryName: category?.name || member.membershipCategory,
+        instalments: payFeeByInstalments ? feeInstalmentOptions : null
       }
 
-      await applyFeeToMember(feeData, currentUser.uid)
+      await runClubWork(() => applyFeeToMember(feeData, currentUser.uid))
 
       // Invalidate queries to refetch
       queryClient.invalidateQueries({ queryKey: memberKeys.detail(id) })
       queryClient.invalidateQueries({ queryKey: feeKeys.byMember(id) })
+      queryClient.invalidateQueries({ queryKey: ledgerKeys.byMember(id) })
+      queryClient.invalidateQueries({ queryKey: ledgerKeys.verification(id) })
+      queryClient.invalidateQueries({ queryKey: instalmentKeys.byMember(id) })
 
       showSuccess('Fee recorded successfully!')
       setShowFeeModal(false)
@@ -165,6 +233,8 @@ const MemberDetail = () => {
       reference: '',
       notes: ''
     })
+    setAllocateManually(false)
+    setFeeAllocationAmounts({})
     setShowPaymentModal(true)
   }
 
@@ -174,12 +244,12 @@ const MemberDetail = () => {
 
     setIsSubmittingComment(true)
     try {
-      await addMemberComment(
+      await runClubWork(() => addMemberComment(
         id,
         newComment.trim(),
         currentUser.uid,
         currentUser.email
-      )
+      ))
       queryClient.invalidateQueries({ queryKey: memberKeys.detail(id) })
       setNewComment('')
       showSuccess('Comment added successfully!')
@@ -194,7 +264,7 @@ const MemberDetail = () => {
     if (!window.confirm('Are you sure you want to delete this comment?')) return
 
     try {
-      await deleteMemberComment(id, commentId)
+      await runClubWork(() => deleteMemberComment(id, commentId))
       queryClient.invalidateQueries({ queryKey: memberKeys.detail(id) })
       showSuccess('Comment deleted successfully!')
     } catch (err) {
@@ -215,6 +285,12 @@ const MemberDetail = () => {
       notes: paymentFormData.notes
     }
 
+    if (allocateManually) {
+      paymentData.feeAllocations = Object.entries(feeAllocationAmounts)
+        .map(([feeId, amount]) => ({ feeId, amount: parseFloat(amount) || 0 }))
+        .filter(allocation => allocation.amount > 0)
+    }
+
     recordPaymentMutation.mutate(
       { paymentData, userId: currentUser.uid },
       {
@@ -243,6 +319,11 @@ const MemberDetail = () => {
     )
   }
 
+  // A duplicate merged into another member - show the member it was merged into
+  if (member?.mergedInto) {
+    return <Navigate to={`/members/${member.mergedInto}`} replace />
+  }
+
   if (memberError || !member) {
     return (
       <div>
@@ -281,12 +362,19 @@ const MemberDetail = () => {
           <div className="flex items-center gap-3 mt-1">
             <p className="text-gray-600">
               {category?.name || member.membershipCategory}
-              {member.status === 'inactive' && ' (Inactive)'}
+              {!isCurrentMember(member) && ` (${formatMemberStatus(member.status)})`}
             </p>
             <span className="text-xs text-muted-foreground">
               Updated {formatTimeAgo(dataUpdatedAt)}
             </span>
           </div>
+          {member.tags?.length > 0 && (
+            <div className="flex flex-wrap gap-1 mt-2">
+              {member.tags.map(tag => (
+                <span key={tag} className="px-2 py-0.5 rounded-full text-xs bg-gray-100 text-gray-700">{tag}</span>
+              ))}
+            </div>
+          )}
         </div>
         <div className="flex gap-2">
           <Button
@@ -307,11 +395,9 @@ const MemberDetail = () => {
               Payment Reminder
             </Button>
           )}
-          {canEdit && (
-            <Button variant="outline" asChild>
-              <Link to={`/members/${id}/edit`}>Edit</Link>
-            </Button>
-          )}
+          <Button variant="outline" asChild>
+            <Link to={`/members/${id}/edit`}>{canEdit ? 'Edit' : 'Suggest Changes'}</Link>
+          </Button>
           <Button variant="outline" asChild>
             <Link to="/members">Back to List</Link>
           </Button>
@@ -397,7 +483,7 @@ const MemberDetail = () => {
         </div>
 
         {/* Membership Information */}
-        <div>
+        <div className="space-y-6">
           <div className="bg-white shadow rounded-lg p-6">
             <h3 className="text-lg font-semibold text-gray-900 mb-4">Membership</h3>
             <dl className="space-y-4">
@@ -413,7 +499,14 @@ const MemberDetail = () => {
               </div>
               <div>
                 <dt className="text-sm font-medium text-gray-500">Category</dt>
-                <dd className="mt-1 text-sm text-gray-900">{category?.name || member.membershipCategory}</dd>
+                <dd className="mt-1 text-sm text-gray-900">
+                  {category?.name || member.membershipCategory}
+                  {member.categoryChangedDate && (
+                    <span className="block text-xs text-gray-500 mt-1">
+                      Since {member.categoryChangedDate}{member.categoryChangeReason && `: ${member.categoryChangeReason}`}
+                    </span>
+                  )}
+                </dd>
               </div>
               <div>
                 <dt className="text-sm font-medium text-gray-500">Annual Fee</dt>
@@ -421,133 +514,245 @@ const MemberDetail = () => {
               </div>
               <div>
                 <dt className="text-sm font-medium text-gray-500">Status</dt>
-                <dd className="mt-1">
-                  <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${member.status === 'active'
-                    ? 'bg-club-tan-light bg-opacity-30 text-club-navy'
-                    : 'bg-gray-100 text-gray-800'
-                    }`}>
-                    {member.status}
-                  </span>
+                <dd className="mt-1 text-sm text-gray-900">
+                  <MemberStatusBadge status={member.status} />
+                  {isCurrentMember(member) && !hasPlayingRights(member) && (
+                    <span className="ml-2 text-xs text-red-600">No playing rights</span>
+                  )}
+                  {member.statusChangedDate && (
+                    <span className="block text-xs text-gray-500 mt-1">
+                      Since {member.statusChangedDate}{member.statusReason && `: ${member.statusReason}`}
+                    </span>
+                  )}
                 </dd>
               </div>
             </dl>
           </div>
+
+          {/* Custom member fields - inactive ones only when the member has a value */}
+          {(() => {
+            const shownFields = customFields.filter(field =>
+              field.active || formatCustomFieldValue(field, member.customFields?.[field.id])
+            )
+            if (shownFields.length === 0) return null
+            return (
+              <div className="bg-white shadow rounded-lg p-6">
+                <h3 className="text-lg font-semibold text-gray-900 mb-4">Other Details</h3>
+                <dl className="space-y-4">
+                  {shownFields.map(field => (
+                    <div key={field.id}>
+                      <dt className="text-sm font-medium text-gray-500">{field.label}</dt>
+                      <dd className="mt-1 text-sm text-gray-900">
+                        {formatCustomFieldValue(field, member.customFields?.[field.id]) || 'Not provided'}
+                      </dd>
+                    </div>
+                  ))}
+                </dl>
+              </div>
+            )
+          })()}
+
+          <MemberGroupCard member={member} canEdit={canEdit} />
         </div>
 
-        {/* Transaction History (Payments & Fees) */}
+        {/* Account and Timeline */}
         <div className="lg:col-span-3">
-          <div className="bg-white shadow rounded-lg p-6">
-            <h3 className="text-lg font-semibold text-gray-900 mb-4">Transaction History</h3>
+          <Tabs defaultValue="account" className="w-full">
+            <TabsList className="mb-4">
+              <TabsTrigger value="account">Account</TabsTrigger>
+              <TabsTrigger value="timeline">Timeline</TabsTrigger>
+            </TabsList>
 
-            {payments.length === 0 && fees.length === 0 ? (
-              <p className="text-gray-600">No transactions recorded yet</p>
-            ) : (
-              <div className="overflow-x-auto">
-                <table className="min-w-full divide-y divide-gray-200">
-                  <thead className="bg-gray-50">
-                    <tr>
-                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                        Type
-                      </th>
-                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                        Date
-                      </th>
-                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                        Description
-                      </th>
-                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                        Amount
-                      </th>
-                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                        Reference
-                      </th>
-                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                        Actions
-                      </th>
-                    </tr>
-                  </thead>
-                  <tbody className="bg-white divide-y divide-gray-200">
-                    {[
-                      ...payments.map(p => ({ ...p, type: 'payment', date: p.paymentDate })),
-                      ...fees.map(f => ({ ...f, type: 'fee', date: f.appliedDate }))
-                    ]
-                      .sort((a, b) => b.date.localeCompare(a.date))
-                      .map((transaction, index) => (
-                        <tr key={`${transaction.type}-${transaction.id || index}`}>
-                          <td className="px-4 py-3 whitespace-nowrap text-sm">
-                            {transaction.type === 'payment' ? (
-                              <span className="px-2 py-1 bg-club-tan-light bg-opacity-30 text-club-navy rounded-full text-xs font-medium">
-                                Payment
-                              </span>
-                            ) : (
-                              <span className="px-2 py-1 bg-red-100 text-red-800 rounded-full text-xs font-medium">
-                                Fee
-                              </span>
-                            )}
-                          </td>
-                          <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
-                            {transaction.date}
-                          </td>
-                          <td className="px-4 py-3 text-sm text-gray-900">
-                            {transaction.type === 'payment'
-                              ? `${formatPaymentMethod(transaction.paymentMethod)} - ${transaction.receiptNumber}`
-                              : transaction.notes}
-                          </td>
-                          <td className="px-4 py-3 whitespace-nowrap text-sm font-medium">
-                            {transaction.type === 'payment' ? (
-                              <span className="text-club-navy">+${transaction.amount.toFixed(2)}</span>
-                            ) : (
-                              <span className="text-red-600">-${transaction.amount.toFixed(2)}</span>
-                            )}
-                          </td>
-                          <td className="px-4 py-3 text-sm text-gray-500">
-                            {transaction.type === 'payment'
-                              ? transaction.reference || '-'
-                              : `${transaction.feeYear} Annual Fee`}
-                          </td>
-                          <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">
-                            {transaction.type === 'payment' && (
-                              <Button
-                                variant="ghost"
-                                size="sm"
-                                onClick={() => handlePrintReceipt(transaction)}
-                              >
-                                Print
-                              </Button>
-                            )}
-                          </td>
-                        </tr>
-                      ))}
-                  </tbody>
-                </table>
-
-                <div className="mt-4 pt-4 border-t border-gray-200">
-                  <div className="grid grid-cols-2 gap-4">
-                    <div>
-                      <p className="text-sm text-gray-600">
-                        Payments: <span className="font-medium">{payments.length}</span>
-                      </p>
-                      <p className="text-sm text-club-navy">
-                        Total: <span className="font-medium">
-                          +${payments.reduce((sum, p) => sum + p.amount, 0).toFixed(2)}
-                        </span>
-                      </p>
-                    </div>
-                    <div>
-                      <p className="text-sm text-gray-600">
-                        Fees Applied: <span className="font-medium">{fees.length}</span>
-                      </p>
-                      <p className="text-sm text-red-600">
-                        Total: <span className="font-medium">
-                          -${fees.reduce((sum, f) => sum + f.amount, 0).toFixed(2)}
-                        </span>
-                      </p>
+            <TabsContent value="account">
+              <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                {/* Ledger Statement (running balance) */}
+                <div className="lg:col-span-3">
+                  <MemberStatement member={member} canEdit={canEdit} />
+                </div>
+
+                {/* Instalment Plans */}
+                <div className="lg:col-span-3">
+                  <InstalmentPlans member={member} fees={fees} canEdit={canEdit} />
+                </div>
+
+                {/* Transaction History (Payments & Fees) */}
+                <div className="lg:col-span-3">
+                  <div className="bg-white shadow rounded-lg p-6">
+                    <div className="flex justify-between items-center mb-4">
+                      <h3 className="text-lg font-semibold text-gray-900">Transaction History</h3>
+                      {canEdit && unallocatedPayments > 0 && outstandingFees.length > 0 && (
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => allocateFeePaymentsMutation.mutate(id)}
+                          disabled={allocateFeePaymentsMutation.isPending}
+                          title={`$${unallocatedPayments.toFixed(2)} of payments is not allocated to a fee`}
+                        >
+                          {allocateFeePaymentsMutation.isPending ? 'Allocating...' : 'Allocate Payments to Fees'}
+                        </Button>
+                      )}
                     </div>
+
+                    {payments.length === 0 && fees.length === 0 ? (
+                      <p className="text-gray-600">No transactions recorded yet</p>
+                    ) : (
+                      <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200">
+                          <thead className="bg-gray-50">
+                            <tr>
+                              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                Type
+                              </th>
+                              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                Date
+                              </th>
+                              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                Description
+                              </th>
+                              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                Amount
+                              </th>
+                              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                Reference
+                              </th>
+                              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                Actions
+                              </th>
+                            </tr>
+                          </thead>
+                          <tbody className="bg-white divide-y divide-gray-200">
+                            {[
+                              ...payments.map(p => ({ ...p, type: 'payment', date: p.paymentDate })),
+                              ...fees.map(f => ({ ...f, type: 'fee', date: f.appliedDate }))
+                            ]
+                              .sort((a, b) => b.date.localeCompare(a.date))
+                              .map((transaction, index) => (
+                                <tr key={`${transaction.type}-${transaction.id || index}`}>
+                                  <td className="px-4 py-3 whitespace-nowrap text-sm">
+                                    {transaction.type === 'payment' ? (
+                                      <>
+                                        <span className="px-2 py-1 bg-club-tan-light bg-opacity-30 text-club-navy rounded-full text-xs font-medium">
+                                          Payment
+                                        </span>
+                                        {isPaymentReversed(transaction) && (
+                                          <span className="ml-1 px-2 py-1 bg-yellow-100 text-yellow-800 rounded-full text-xs font-medium">
+                                            {formatPaymentStatus(transaction.status)}
+                                          </span>
+                                        )}
+                                      </>
+                                    ) : (
+                                      <>
+                                        <span className="px-2 py-1 bg-red-100 text-red-800 rounded-full text-xs font-medium">
+                                          {transaction.feeType === LATE_FEE_TYPE ? 'Late Fee' : 'Fee'}
+                                        </span>
+                                        <span className={cn(
+                                          'ml-1 px-2 py-1 rounded-full text-xs font-medium',
+                                          FEE_STATUS_STYLES[getFeePaymentStatus(transaction)].className
+                                        )}>
+                                          {FEE_STATUS_STYLES[getFeePaymentStatus(transaction)].label}
+                                        </span>
+                                      </>
+                                    )}
+                                  </td>
+                                  <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
+                                    {transaction.date}
+                                  </td>
+                                  <td className="px-4 py-3 text-sm text-gray-900">
+                                    {transaction.type === 'payment'
+                                      ? `${formatPaymentMethod(transaction.paymentMethod, paymentMethods)} - ${transaction.receiptNumber}`
+                                      : transaction.notes}
+                                    {transaction.type === 'payment' && isPaymentReversed(transaction) && (
+                                      <span className="block text-xs text-gray-500">
+                                        {transaction.creditNoteNumber} ({transaction.reversalDate}): {transaction.reversalReason}
+                                      </span>
+                                    )}
+                                  </td>
+                                  <td className="px-4 py-3 whitespace-nowrap text-sm font-medium">
+                                    {transaction.type === 'payment' ? (
+                                      <span className="text-club-navy">
+                                        <span className={transaction.status === 'voided' ? 'line-through text-gray-400' : ''}>
+                                          +${transaction.amount.toFixed(2)}
+                                        </span>
+                                        {transaction.status === 'refunded' && (
+                                          <span className="block text-xs text-red-600">-${transaction.reversedAmount.toFixed(2)} refunded</span>
+                                        )}
+                                      </span>
+                                    ) : (
+                                      <span className="text-red-600">
+                                        -${transaction.amount.toFixed(2)}
+                                        {getFeePaymentStatus(transaction) === FEE_PAYMENT_STATUSES.PART_PAID && (
+                                          <span className="block text-xs text-gray-500">
+                                            ${transaction.paidAmount.toFixed(2)} paid
+                                          </span>
+                                        )}
+                                      </span>
+                                    )}
+                                  </td>
+                                  <td className="px-4 py-3 text-sm text-gray-500">
+                                    {transaction.type === 'payment'
+                                      ? transaction.reference || '-'
+                                      : `${transaction.feeYear} Annual Fee`}
+                                  </td>
+                                  <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">
+                                    {transaction.type === 'payment' && (
+                                      <Button
+                                        variant="ghost"
+                                        size="sm"
+                                        onClick={() => handlePrintReceipt(transaction)}
+                                      >
+                                        Print
+                                      </Button>
+                                    )}
+                                    {transaction.type === 'payment' && isPaymentReversed(transaction) && (
+                                      <Button
+                                        variant="ghost"
+                                        size="sm"
+                                        onClick={() => handlePrintCreditNote(transaction)}
+                                      >
+                                        Credit Note
+                                      </Button>
+                                    )}
+                                  </td>
+                                </tr>
+                              ))}
+                          </tbody>
+                        </table>
+
+                        <div className="mt-4 pt-4 border-t border-gray-200">
+                          <div className="grid grid-cols-2 gap-4">
+                            <div>
+                              <p className="text-sm text-gray-600">
+                                Payments: <span className="font-medium">{payments.length}</span>
+                              </p>
+                              <p className="text-sm text-club-navy">
+                                Total: <span className="font-medium">
+                                  +${payments.reduce((sum, p) => sum + getNetPaymentAmount(p), 0).toFixed(2)}
+                                </span>
+                              </p>
+                            </div>
+                            <div>
+                              <p className="text-sm text-gray-600">
+                                Fees Applied: <span className="font-medium">{fees.length}</span>
+                              </p>
+                              <p className="text-sm text-red-600">
+                                Total: <span className="font-medium">
+                                  -${fees.reduce((sum, f) => sum + f.amount, 0).toFixed(2)}
+                                </span>
+                              </p>
+                            </div>
+                          </div>
+                        </div>
+                      </div>
+                    )}
                   </div>
                 </div>
               </div>
-            )}
-          </div>
+            </TabsContent>
+
+            <TabsContent value="timeline">
+              <MemberTimeline member={member} categories={categories} />
+            </TabsContent>
+          </Tabs>
         </div>
 
         {/* Member Comments Section */}
@@ -670,6 +875,24 @@ const MemberDetail = () => {
                   placeholder="e.g., 2025 Annual Membership Fee"
                 />
               </div>
+
+              <label className="flex items-center">
+                <input
+                  type="checkbox"
+                  checked={payFeeByInstalments}
+                  onChange={(e) => setPayFeeByInstalments(e.target.checked)}
+                  className="mr-2"
+                />
+                <span className="text-sm text-gray-700">Pay by instalments</span>
+              </label>
+
+              {payFeeByInstalments && (
+                <InstalmentScheduleFields
+                  amount={parseFloat(feeFormData.amount) || 0}
+                  values={feeInstalmentOptions}
+                  onChange={setFeeInstalmentOptions}
+                />
+              )}
             </div>
 
             <DialogFooter className="mt-6">
@@ -739,22 +962,24 @@ const MemberDetail = () => {
                     <SelectValue placeholder="Select payment method" />
                   </SelectTrigger>
                   <SelectContent>
-                    <SelectItem value="bank_transfer">Bank Transfer</SelectItem>
-                    <SelectItem value="cash">Cash</SelectItem>
-                    <SelectItem value="cheque">Cheque</SelectItem>
-                    <SelectItem value="card">Card</SelectItem>
+                    {getSelectablePaymentMethods(paymentMethods).map(method => (
+                      <SelectItem key={method.id} value={method.id}>{method.name}</SelectItem>
+                    ))}
                   </SelectContent>
                 </Select>
               </div>
 
               <div>
-                <Label htmlFor="paymentReference">Reference (optional)</Label>
+                <Label htmlFor="paymentReference">
+                  Reference {selectedPaymentMethod?.requiresReference ? '*' : '(optional)'}
+                </Label>
                 <Input
                   type="text"
                   id="paymentReference"
                   value={paymentFormData.reference}
                   onChange={(e) => setPaymentFormData({ ...paymentFormData, reference: e.target.value })}
-                  placeholder="e.g., Transfer ID, Cheque number"
+                  placeholder={selectedPaymentMethod?.referenceHint || 'e.g., Transfer ID, Cheque number'}
+                  required={!!selectedPaymentMethod?.requiresReference}
                 />
               </div>
 
@@ -768,6 +993,48 @@ const MemberDetail = () => {
                   placeholder="Any additional notes"
                 />
               </div>
+
+              {outstandingFees.length > 0 && (
+                <div>
+                  <label className="flex items-center">
+                    <input
+                      type="checkbox"
+                      checked={allocateManually}
+                      onChange={(e) => setAllocateManually(e.target.checked)}
+                      className="mr-2"
+                    />
+                    <span className="text-sm text-gray-700">Choose which fees this pays</span>
+                  </label>
+                  {!allocateManually && (
+                    <p className="text-xs text-gray-500 mt-1">The oldest outstanding fee is paid first.</p>
+                  )}
+                  {allocateManually && (
+                    <div className="mt-2 space-y-2">
+                      {outstandingFees.map(fee => (
+                        <div key={fee.id} className="flex items-center gap-2">
+                          <span className="flex-1 text-sm text-gray-700">
+                            {fee.notes}
+                            <span className="block text-xs text-gray-500">
+                              ${getFeeOutstanding(fee).toFixed(2)} owing
+                            </span>
+                          </span>
+                          <Input
+                            type="number"
+                            step="0.01"
+                            min="0"
+                            max={getFeeOutstanding(fee)}
+                            className="w-28"
+                            aria-label={`Amount for ${fee.notes}`}
+                            value={feeAllocationAmounts[fee.id] ?? ''}
+                            onChange={(e) => setFeeAllocationAmounts({ ...feeAllocationAmounts, [fee.id]: e.target.value })}
+                          />
+                        </div>
+                      ))}
+                      <p className="text-xs text-gray-500">Anything not allocated stays as credit on the account.</p>
+                    </div>
+                  )}
+                </div>
+              )}
             </div>
 
             <DialogFooter className="mt-6">
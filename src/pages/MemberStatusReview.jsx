@@ -0,0 +1,235 @@
+import { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { useAuth } from '../contexts/AuthContext'
+import {
+  useStatusProposals,
+  useSaveStatusRules,
+  useApplyStatusTransitions
+} from '@/hooks/useMemberStatus'
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table'
+import { Checkbox } from '@/components/ui/checkbox'
+import { FormField, FormInput } from '../components/form'
+import PageBreadcrumb from '../components/PageBreadcrumb'
+import MemberStatusBadge from '../components/MemberStatusBadge'
+
+const MemberStatusReview = () => {
+  const { checkPermission, ROLES, currentUser } = useAuth()
+  const canEdit = checkPermission(ROLES.EDIT)
+  const isSuperAdmin = checkPermission(ROLES.SUPER_ADMIN)
+
+  // Everything proposed is selected unless the reviewer unticks it
+  const [excluded, setExcluded] = useState(new Set())
+  const [editingRules, setEditingRules] = useState(null)
+
+  const { data: review, isLoading, error } = useStatusProposals({ enabled: canEdit })
+  const saveRulesMutation = useSaveStatusRules({ onSuccess: () => setEditingRules(null) })
+  const applyMutation = useApplyStatusTransitions({ onSuccess: () => setExcluded(new Set()) })
+
+  const transitions = review?.transitions || []
+  const selected = transitions.filter(t => !excluded.has(t.memberId))
+
+  const toggleTransition = (memberId, checked) => {
+    const next = new Set(excluded)
+    if (checked) {
+      next.delete(memberId)
+    } else {
+      next.add(memberId)
+    }
+    setExcluded(next)
+  }
+
+  const toggleAll = (checked) => {
+    setExcluded(checked ? new Set() : new Set(transitions.map(t => t.memberId)))
+  }
+
+  const handleApply = () => {
+    const confirmed = window.confirm(
+      `Change the status of ${selected.length} member${selected.length !== 1 ? 's' : ''}?\n\n` +
+      `Each change is recorded in the member's status history.`
+    )
+    if (!confirmed) return
+    applyMutation.mutate({ transitions: selected, userId: currentUser.uid })
+  }
+
+  const handleSaveRules = (e) => {
+    e.preventDefault()
+    saveRulesMutation.mutate({ rules: editingRules, userId: currentUser.uid })
+  }
+
+  if (!canEdit) {
+    return (
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900 mb-6">Status Review</h1>
+        <p className="text-gray-600">You do not have permission to change member statuses.</p>
+      </div>
+    )
+  }
+
+  return (
+    <div>
+      <PageBreadcrumb
+        items={[
+          { label: 'Members', href: '/members' },
+          { label: 'Status Review' }
+        ]}
+      />
+
+      <div className="mb-6">
+        <h1 className="text-3xl font-bold text-gray-900">Status Review</h1>
+        <p className="text-gray-600 mt-2">
+          Members who still owe money after fees are due become unfinancial, and are suspended (losing playing rights)
+          after the suspension date until they pay. Life, inactive, resigned and deceased members are never changed
+          automatically. Review the proposed changes below before applying them.
+        </p>
+      </div>
+
+      {/* Rule Dates */}
+      <div className="bg-white shadow rounded-lg p-6 mb-6">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">Rule Dates</h3>
+          {isSuperAdmin && review && !editingRules && (
+            <button
+              onClick={() => setEditingRules({ ...review.rules })}
+              className="px-3 py-1 text-sm border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+            >
+              Edit Dates
+            </button>
+          )}
+        </div>
+
+        {editingRules ? (
+          <form onSubmit={handleSaveRules} className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+            <FormField label="Fees Due (MM-DD)" name="feesDueDate" required>
+              <FormInput
+                type="text"
+                id="feesDueDate"
+                value={editingRules.feesDueDate}
+                onChange={(e) => setEditingRules({ ...editingRules, feesDueDate: e.target.value })}
+                placeholder="03-31"
+              />
+            </FormField>
+            <FormField label="Suspend After (MM-DD)" name="suspensionDate" required>
+              <FormInput
+                type="text"
+                id="suspensionDate"
+                value={editingRules.suspensionDate}
+                onChange={(e) => setEditingRules({ ...editingRules, suspensionDate: e.target.value })}
+                placeholder="06-30"
+              />
+            </FormField>
+            <div className="flex gap-3">
+              <button
+                type="submit"
+                disabled={saveRulesMutation.isPending}
+                className="px-4 py-2 bg-primary text-white rounded-md hover:bg-primary/90 disabled:opacity-50"
+              >
+                {saveRulesMutation.isPending ? 'Saving...' : 'Save'}
+              </button>
+              <button
+                type="button"
+                onClick={() => setEditingRules(null)}
+                className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        ) : review && (
+          <dl className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <dt className="text-sm font-medium text-gray-500">Fees Due</dt>
+              <dd className="mt-1 text-sm text-gray-900">{review.dueDate}</dd>
+            </div>
+            <div>
+              <dt className="text-sm font-medium text-gray-500">Suspend Unfinancial Members After</dt>
+              <dd className="mt-1 text-sm text-gray-900">{review.suspensionDate}</dd>
+            </div>
+            <div>
+              <dt className="text-sm font-medium text-gray-500">Evaluated</dt>
+              <dd className="mt-1 text-sm text-gray-900">{review.asOf}</dd>
+            </div>
+          </dl>
+        )}
+      </div>
+
+      {/* Proposed Transitions */}
+      <div className="bg-white shadow rounded-lg p-6">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">
+            Proposed Changes {transitions.length > 0 && `(${transitions.length})`}
+          </h3>
+          {transitions.length > 0 && (
+            <button
+              onClick={handleApply}
+              disabled={selected.length === 0 || applyMutation.isPending}
+              className="px-4 py-2 bg-primary text-white rounded-md hover:bg-primary/90 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {applyMutation.isPending ? 'Applying...' : `Apply Selected (${selected.length})`}
+            </button>
+          )}
+        </div>
+
+        {isLoading ? (
+          <p className="text-gray-600">Evaluating members...</p>
+        ) : error ? (
+          <p className="text-red-600">Failed to evaluate members: {error.message}</p>
+        ) : transitions.length === 0 ? (
+          <p className="text-gray-600">Every member&apos;s status is up to date.</p>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead className="w-12">
+                  <Checkbox
+                    checked={excluded.size === 0}
+                    onCheckedChange={toggleAll}
+                  />
+                </TableHead>
+                <TableHead>Member</TableHead>
+                <TableHead>Current</TableHead>
+                <TableHead>Proposed</TableHead>
+                <TableHead className="text-right">Balance</TableHead>
+                <TableHead>Reason</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {transitions.map(transition => (
+                <TableRow key={transition.memberId}>
+                  <TableCell>
+                    <Checkbox
+                      checked={!excluded.has(transition.memberId)}
+                      onCheckedChange={(checked) => toggleTransition(transition.memberId, checked)}
+                    />
+                  </TableCell>
+                  <TableCell>
+                    <Link
+                      to={`/members/${transition.memberId}`}
+                      className="text-club-navy hover:text-club-navy-dark font-medium"
+                    >
+                      {transition.memberName}
+                    </Link>
+                  </TableCell>
+                  <TableCell><MemberStatusBadge status={transition.from} /></TableCell>
+                  <TableCell><MemberStatusBadge status={transition.to} /></TableCell>
+                  <TableCell className={`text-right ${transition.accountBalance < 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                    ${transition.accountBalance.toFixed(2)}
+                  </TableCell>
+                  <TableCell className="text-sm text-gray-600">{transition.reason}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default MemberStatusReview
@@ -1,16 +1,33 @@
 import { useState, useMemo } from 'react'
-import { Link } from 'react-router-dom'
+import { Link, useSearchParams } from 'react-router-dom'
 import { useQuery } from '@tanstack/react-query'
 import { Search } from 'lucide-react'
 import { useAuth } from '../contexts/AuthContext'
 import { downloadMembersCSV, getAllMembers } from '../services/membersService'
 import { getAllCategories } from '../services/membershipCategories'
+import { MEMBER_STATUS_LABELS } from '../services/memberStatusService'
+import { collectTags, CUSTOM_FIELD_TYPES } from '../services/memberFieldService'
+import {
+  filtersFromSearchParams,
+  filtersToSearchParams,
+  hasActiveFilters,
+  getMemberListQuery,
+  filterMembers,
+  sortMembers
+} from '../services/memberViewService'
+import { useCustomFields } from '@/hooks/useCustomFields'
+import { useMembersPage, useMemberCount } from '@/hooks/useMembers'
+import { useVirtualRows } from '@/hooks/useVirtualRows'
+import { handleError } from '@/utils/errorHandler'
 import { Card, CardContent } from '@/components/ui/card'
-import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table'
-import { Badge } from '@/components/ui/badge'
+import { TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table'
 import { Input } from '@/components/ui/input'
+import { Checkbox } from '@/components/ui/checkbox'
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
 import { DataFreshness, StaleDataBanner } from '@/components/DataFreshness'
+import MemberStatusBadge from '../components/MemberStatusBadge'
+import BulkMemberActions from '../components/BulkMemberActions'
+import MemberViewSelector from '../components/MemberViewSelector'
 
 // SortIcon component moved outside to avoid re-creation during render
 const SortIcon = ({ column, sortColumn, sortDirection }) => {
@@ -37,28 +54,28 @@ const SortIcon = ({ column, sortColumn, sortDirection }) => {
 
 const Members = () => {
   const { checkPermission, ROLES } = useAuth()
-  const [searchTerm, setSearchTerm] = useState('')
-  const [statusFilter, setStatusFilter] = useState('all')
-  const [categoryFilter, setCategoryFilter] = useState('all')
-  const [balanceFilter, setBalanceFilter] = useState('all')
-  const [sortColumn, setSortColumn] = useState('fullName')
-  const [sortDirection, setSortDirection] = useState('asc')
+  // Filters live in the URL so a filtered list can be bookmarked or shared
+  const [searchParams, setSearchParams] = useSearchParams()
+  const filters = useMemo(() => filtersFromSearchParams(searchParams), [searchParams])
+  const { sort: sortColumn, direction: sortDirection } = filters
+  const [selectedIds, setSelectedIds] = useState(new Set())
 
   const canEdit = checkPermission(ROLES.EDIT)
 
-  // Fetch members with React Query (cached)
+  // Members load a page at a time as the table scrolls
+  const listQuery = getMemberListQuery(filters)
   const {
-    data: members = [],
+    data,
     isLoading: membersLoading,
     dataUpdatedAt,
     isFetching,
-    refetch
-  } = useQuery({
-    queryKey: ['members'],
-    queryFn: getAllMembers,
-    staleTime: 5 * 60 * 1000,    // Consider data fresh for 5 minutes
-    cacheTime: 10 * 60 * 1000,   // Keep in cache for 10 minutes
-  })
+    refetch,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage
+  } = useMembersPage(filters)
+  const members = data?.pages.flatMap(page => page.members) ?? []
+  const { data: memberCount } = useMemberCount()
 
   // Fetch categories with React Query (cached)
   const { data: categories = [], isLoading: categoriesLoading } = useQuery({
@@ -68,47 +85,36 @@ const Members = () => {
     cacheTime: 30 * 60 * 1000,   // Keep in cache for 30 minutes
   })
 
-  const isLoading = membersLoading || categoriesLoading
+  const { data: customFields = [] } = useCustomFields()
 
-  // Derive filtered members using useMemo (not useEffect + useState)
-  // This avoids infinite loops from array reference changes
-  const filteredMembers = useMemo(() => {
-    let filtered = [...members]
-
-    // Apply search filter
-    if (searchTerm) {
-      const searchLower = searchTerm.toLowerCase()
-      filtered = filtered.filter(member =>
-        member.fullName?.toLowerCase().includes(searchLower) ||
-        member.email?.toLowerCase().includes(searchLower) ||
-        member.golfAustraliaId?.toLowerCase().includes(searchLower)
-      )
-    }
+  const isLoading = membersLoading || categoriesLoading
 
-    // Apply status filter
-    if (statusFilter !== 'all') {
-      filtered = filtered.filter(member => member.status === statusFilter)
-    }
+  // Tags of the members loaded so far, and the one being filtered on
+  const tags = collectTags(filters.tag === 'all' ? members : [...members, { tags: [filters.tag] }])
+  const filterField = customFields.find(field => field.id === filters.field)
 
-    // Apply category filter
-    if (categoryFilter !== 'all') {
-      filtered = filtered.filter(member => member.membershipCategory === categoryFilter)
-    }
+  // Replace rather than push, so typing in the search box doesn't fill the history
+  const setFilters = (changes) => {
+    setSearchParams(filtersToSearchParams({ ...filters, ...changes }), { replace: true })
+  }
 
-    // Apply balance filter
-    if (balanceFilter === 'positive') {
-      filtered = filtered.filter(member => (member.accountBalance || 0) > 0)
-    } else if (balanceFilter === 'negative') {
-      filtered = filtered.filter(member => (member.accountBalance || 0) < 0)
-    } else if (balanceFilter === 'zero') {
-      filtered = filtered.filter(member => (member.accountBalance || 0) === 0)
-    }
+  const applyView = (viewFilters) => {
+    setSearchParams(filtersToSearchParams(viewFilters))
+  }
 
-    return filtered
-  }, [members, searchTerm, statusFilter, categoryFilter, balanceFilter])
+  // Derive filtered members during render (not useEffect + useState)
+  // This avoids infinite loops from array reference changes
+  const filteredMembers = filterMembers(members, listQuery.clientFilters, customFields)
 
-  const handleExportCSV = () => {
-    downloadMembersCSV(filteredMembers, `members-${new Date().toISOString().split('T')[0]}.csv`)
+  // The export has every matching member, not just the pages loaded so far
+  const handleExportCSV = async () => {
+    try {
+      const allMembers = await getAllMembers()
+      const exported = sortMembers(filterMembers(allMembers, filters, customFields), sortColumn, sortDirection)
+      downloadMembersCSV(exported, `members-${new Date().toISOString().split('T')[0]}.csv`, customFields)
+    } catch (error) {
+      handleError(error, 'Failed to export members')
+    }
   }
 
   const getBalanceColor = (balance) => {
@@ -117,36 +123,60 @@ const Members = () => {
     return 'text-gray-900'
   }
 
+  // Firestore sorts a status or category filtered list by name only
+  const canSortBy = (column) => !listQuery.condition || column === 'fullName'
+
   const handleSort = (column) => {
+    if (!canSortBy(column)) return
     if (sortColumn === column) {
       // Toggle direction if clicking the same column
-      setSortDirection(sortDirection === 'asc' ? 'desc' : 'asc')
+      setFilters({ direction: sortDirection === 'asc' ? 'desc' : 'asc' })
     } else {
       // Set new column and default to ascending
-      setSortColumn(column)
-      setSortDirection('asc')
+      setFilters({ sort: column, direction: 'asc' })
     }
   }
 
-  // Sort filtered members based on current sort settings
-  const sortedMembers = [...filteredMembers].sort((a, b) => {
-    let aValue = a[sortColumn]
-    let bValue = b[sortColumn]
-
-    // Handle different data types
-    if (sortColumn === 'accountBalance') {
-      aValue = parseFloat(aValue) || 0
-      bValue = parseFloat(bValue) || 0
-    } else if (typeof aValue === 'string') {
-      aValue = aValue.toLowerCase()
-      bValue = (bValue || '').toLowerCase()
-    }
+  // Pages come sorted from Firestore; search results are sorted once loaded
+  const sortedMembers = listQuery.search
+    ? sortMembers(filteredMembers, sortColumn, sortDirection)
+    : filteredMembers
+
+  // Filtered lists only know how many have loaded so far
+  const shownCount = hasActiveFilters(filters) ? filteredMembers.length : (memberCount ?? filteredMembers.length)
 
-    if (aValue < bValue) return sortDirection === 'asc' ? -1 : 1
-    if (aValue > bValue) return sortDirection === 'asc' ? 1 : -1
-    return 0
+  const {
+    containerRef,
+    onScroll,
+    start: firstRow,
+    end: lastRow,
+    paddingTop,
+    paddingBottom
+  } = useVirtualRows({
+    count: sortedMembers.length,
+    rowHeight: 64,
+    onEndReached: () => {
+      if (hasNextPage && !isFetchingNextPage) fetchNextPage()
+    }
   })
 
+  // Bulk actions apply to ticked members that the filters still show
+  const selectedMembers = sortedMembers.filter(member => selectedIds.has(member.id))
+
+  const toggleMember = (memberId, checked) => {
+    const next = new Set(selectedIds)
+    if (checked) {
+      next.add(memberId)
+    } else {
+      next.delete(memberId)
+    }
+    setSelectedIds(next)
+  }
+
+  const toggleAll = (checked) => {
+    setSelectedIds(checked ? new Set(sortedMembers.map(member => member.id)) : new Set())
+  }
+
   if (isLoading) {
     return (
       <div>
@@ -164,8 +194,8 @@ const Members = () => {
           <h1 className="text-3xl font-bold text-gray-900">Members</h1>
           <div className="flex items-center gap-3 mt-1">
             <p className="text-gray-600">
-              {filteredMembers.length} {filteredMembers.length === 1 ? 'member' : 'members'}
-              {searchTerm || statusFilter !== 'all' || categoryFilter !== 'all' || balanceFilter !== 'all' ? ' (filtered)' : ''}
+              {shownCount}{hasNextPage && hasActiveFilters(filters) ? '+' : ''} {shownCount === 1 ? 'member' : 'members'}
+              {hasActiveFilters(filters) ? ' (filtered)' : ''}
             </p>
             <DataFreshness
               dataUpdatedAt={dataUpdatedAt}
@@ -176,12 +206,34 @@ const Members = () => {
           </div>
         </div>
         {canEdit && (
-          <Link
-            to="/members/add"
-            className="px-4 py-2 bg-club-navy text-white rounded-md hover:bg-club-navy-dark"
-          >
-            Add Member
-          </Link>
+          <div className="flex gap-3">
+            <Link
+              to="/members/status-review"
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50"
+            >
+              Status Review
+            </Link>
+            <Link
+              to="/members/change-requests"
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50"
+            >
+              Change Requests
+            </Link>
+            {checkPermission(ROLES.ADMIN) && (
+              <Link
+                to="/members/duplicates"
+                className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50"
+              >
+                Duplicates
+              </Link>
+            )}
+            <Link
+              to="/members/add"
+              className="px-4 py-2 bg-club-navy text-white rounded-md hover:bg-club-navy-dark"
+            >
+              Add Member
+            </Link>
+          </div>
         )}
       </div>
 
@@ -205,9 +257,9 @@ const Members = () => {
                 <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-muted-foreground" />
                 <Input
                   id="search"
-                  placeholder="Search by name, email, or Golf Australia ID..."
-                  value={searchTerm}
-                  onChange={(e) => setSearchTerm(e.target.value)}
+                  placeholder="Search by name, email, Golf Australia ID, tag or member field..."
+                  value={filters.search}
+                  onChange={(e) => setFilters({ search: e.target.value })}
                   className="pl-9"
                 />
               </div>
@@ -217,14 +269,16 @@ const Members = () => {
               <label className="block text-sm font-medium text-gray-700 mb-1">
                 Status
               </label>
-              <Select value={statusFilter} onValueChange={setStatusFilter}>
+              <Select value={filters.status} onValueChange={(status) => setFilters({ status })}>
                 <SelectTrigger>
                   <SelectValue placeholder="All Status" />
                 </SelectTrigger>
                 <SelectContent>
                   <SelectItem value="all">All Status</SelectItem>
-                  <SelectItem value="active">Active</SelectItem>
-                  <SelectItem value="inactive">Inactive</SelectItem>
+                  <SelectItem value="current">Current Members</SelectItem>
+                  {Object.entries(MEMBER_STATUS_LABELS).map(([value, label]) => (
+                    <SelectItem key={value} value={value}>{label}</SelectItem>
+                  ))}
                 </SelectContent>
               </Select>
             </div>
@@ -233,7 +287,7 @@ const Members = () => {
               <label className="block text-sm font-medium text-gray-700 mb-1">
                 Category
               </label>
-              <Select value={categoryFilter} onValueChange={setCategoryFilter}>
+              <Select value={filters.category} onValueChange={(category) => setFilters({ category })}>
                 <SelectTrigger>
                   <SelectValue placeholder="All Categories" />
                 </SelectTrigger>
@@ -250,7 +304,7 @@ const Members = () => {
               <label className="block text-sm font-medium text-gray-700 mb-1">
                 Balance
               </label>
-              <Select value={balanceFilter} onValueChange={setBalanceFilter}>
+              <Select value={filters.balance} onValueChange={(balance) => setFilters({ balance })}>
                 <SelectTrigger>
                   <SelectValue placeholder="All Balances" />
                 </SelectTrigger>
@@ -262,9 +316,81 @@ const Members = () => {
                 </SelectContent>
               </Select>
             </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Tag
+              </label>
+              <Select value={filters.tag} onValueChange={(tag) => setFilters({ tag })}>
+                <SelectTrigger>
+                  <SelectValue placeholder="All Tags" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All Tags</SelectItem>
+                  {tags.map(tag => (
+                    <SelectItem key={tag} value={tag}>{tag}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            {customFields.length > 0 && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Member Field
+                </label>
+                <Select
+                  value={filters.field || 'none'}
+                  onValueChange={(field) => setFilters({ field: field === 'none' ? '' : field, fieldValue: '' })}
+                >
+                  <SelectTrigger>
+                    <SelectValue placeholder="Any Field" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="none">Any Field</SelectItem>
+                    {customFields.map(field => (
+                      <SelectItem key={field.id} value={field.id}>{field.label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            )}
+
+            {filterField && (
+              <div>
+                <label htmlFor="fieldValue" className="block text-sm font-medium text-gray-700 mb-1">
+                  {filterField.label}
+                </label>
+                {filterField.type === CUSTOM_FIELD_TYPES.SELECT || filterField.type === CUSTOM_FIELD_TYPES.BOOLEAN ? (
+                  <Select
+                    value={filters.fieldValue || 'any'}
+                    onValueChange={(fieldValue) => setFilters({ fieldValue: fieldValue === 'any' ? '' : fieldValue })}
+                  >
+                    <SelectTrigger id="fieldValue">
+                      <SelectValue placeholder="Any value" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="any">Any value</SelectItem>
+                      {(filterField.type === CUSTOM_FIELD_TYPES.BOOLEAN ? ['Yes', 'No'] : filterField.options || []).map(option => (
+                        <SelectItem key={option} value={option}>{option}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                ) : (
+                  <Input
+                    id="fieldValue"
+                    type={filterField.type === CUSTOM_FIELD_TYPES.DATE ? 'date' : 'text'}
+                    placeholder="Any value"
+                    value={filters.fieldValue}
+                    onChange={(e) => setFilters({ fieldValue: e.target.value })}
+                  />
+                )}
+              </div>
+            )}
           </div>
 
-          <div className="mt-4 flex justify-end">
+          <div className="mt-4 flex flex-wrap justify-between gap-3">
+            <MemberViewSelector filters={filters} onApply={applyView} />
             <button
               onClick={handleExportCSV}
               className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
@@ -275,93 +401,140 @@ const Members = () => {
         </CardContent>
       </Card>
 
+      {canEdit && selectedMembers.length > 0 && (
+        <BulkMemberActions
+          members={selectedMembers}
+          categories={categories}
+          onClearSelection={() => setSelectedIds(new Set())}
+        />
+      )}
+
       {/* Members Table */}
       {filteredMembers.length === 0 ? (
         <Card>
           <CardContent className="py-6 text-center">
-            <p className="text-gray-600">No members found</p>
+            <p className="text-gray-600">{hasNextPage || isFetching ? 'Loading members...' : 'No members found'}</p>
           </CardContent>
         </Card>
       ) : (
         <Card>
-          <Table>
-            <TableHeader>
-              <TableRow>
-                <TableHead
-                  onClick={() => handleSort('fullName')}
-                  className="cursor-pointer hover:bg-muted/50"
-                >
-                  Name <SortIcon column="fullName" sortColumn={sortColumn} sortDirection={sortDirection} />
-                </TableHead>
-                <TableHead
-                  onClick={() => handleSort('email')}
-                  className="cursor-pointer hover:bg-muted/50"
-                >
-                  Email <SortIcon column="email" sortColumn={sortColumn} sortDirection={sortDirection} />
-                </TableHead>
-                <TableHead
-                  onClick={() => handleSort('membershipCategory')}
-                  className="cursor-pointer hover:bg-muted/50"
-                >
-                  Category <SortIcon column="membershipCategory" sortColumn={sortColumn} sortDirection={sortDirection} />
-                </TableHead>
-                <TableHead
-                  onClick={() => handleSort('status')}
-                  className="cursor-pointer hover:bg-muted/50"
-                >
-                  Status <SortIcon column="status" sortColumn={sortColumn} sortDirection={sortDirection} />
-                </TableHead>
-                <TableHead
-                  onClick={() => handleSort('accountBalance')}
-                  className="cursor-pointer hover:bg-muted/50"
-                >
-                  Balance <SortIcon column="accountBalance" sortColumn={sortColumn} sortDirection={sortDirection} />
-                </TableHead>
-                <TableHead>Actions</TableHead>
-              </TableRow>
-            </TableHeader>
-            <TableBody>
-              {sortedMembers.map(member => {
-                const category = categories.find(c => c.id === member.membershipCategory)
-                return (
-                  <TableRow key={member.id}>
-                    <TableCell>
-                      <div className="font-medium">{member.fullName}</div>
-                      {member.golfAustraliaId && (
-                        <div className="text-sm text-muted-foreground">GA: {member.golfAustraliaId}</div>
-                      )}
-                    </TableCell>
-                    <TableCell>{member.email}</TableCell>
-                    <TableCell>{category?.name || member.membershipCategory}</TableCell>
-                    <TableCell>
-                      <Badge variant={member.status === 'active' ? 'default' : 'secondary'}>
-                        {member.status}
-                      </Badge>
-                    </TableCell>
-                    <TableCell className={`font-medium ${getBalanceColor(member.accountBalance || 0)}`}>
-                      ${(member.accountBalance || 0).toFixed(2)}
-                    </TableCell>
-                    <TableCell>
-                      <Link
-                        to={`/members/${member.id}`}
-                        className="text-club-navy hover:text-club-navy-dark mr-3"
-                      >
-                        View
-                      </Link>
+          {/* Only the rows in view are rendered; more pages load near the end */}
+          <div
+            ref={containerRef}
+            onScroll={onScroll}
+            className="relative max-h-[70vh] overflow-auto"
+          >
+            <table className="w-full caption-bottom text-sm">
+              <TableHeader className="sticky top-0 z-10 bg-white">
+                <TableRow>
+                  {canEdit && (
+                    <TableHead className="w-12">
+                      <Checkbox
+                        checked={selectedMembers.length > 0 && selectedMembers.length === sortedMembers.length}
+                        onCheckedChange={toggleAll}
+                        aria-label="Select all members"
+                      />
+                    </TableHead>
+                  )}
+                  <TableHead
+                    onClick={() => handleSort('fullName')}
+                    className="cursor-pointer hover:bg-muted/50"
+                  >
+                    Name <SortIcon column="fullName" sortColumn={sortColumn} sortDirection={sortDirection} />
+                  </TableHead>
+                  <TableHead
+                    onClick={() => handleSort('email')}
+                    className={canSortBy('email') ? 'cursor-pointer hover:bg-muted/50' : ''}
+                  >
+                    Email {canSortBy('email') && <SortIcon column="email" sortColumn={sortColumn} sortDirection={sortDirection} />}
+                  </TableHead>
+                  <TableHead
+                    onClick={() => handleSort('membershipCategory')}
+                    className={canSortBy('membershipCategory') ? 'cursor-pointer hover:bg-muted/50' : ''}
+                  >
+                    Category {canSortBy('membershipCategory') && <SortIcon column="membershipCategory" sortColumn={sortColumn} sortDirection={sortDirection} />}
+                  </TableHead>
+                  <TableHead
+                    onClick={() => handleSort('status')}
+                    className={canSortBy('status') ? 'cursor-pointer hover:bg-muted/50' : ''}
+                  >
+                    Status {canSortBy('status') && <SortIcon column="status" sortColumn={sortColumn} sortDirection={sortDirection} />}
+                  </TableHead>
+                  <TableHead
+                    onClick={() => handleSort('accountBalance')}
+                    className={canSortBy('accountBalance') ? 'cursor-pointer hover:bg-muted/50' : ''}
+                  >
+                    Balance {canSortBy('accountBalance') && <SortIcon column="accountBalance" sortColumn={sortColumn} sortDirection={sortDirection} />}
+                  </TableHead>
+                  <TableHead>Actions</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {paddingTop > 0 && (
+                  <tr aria-hidden="true" style={{ height: paddingTop }} />
+                )}
+                {sortedMembers.slice(firstRow, lastRow).map(member => {
+                  const category = categories.find(c => c.id === member.membershipCategory)
+                  return (
+                    <TableRow key={member.id}>
                       {canEdit && (
+                        <TableCell>
+                          <Checkbox
+                            checked={selectedIds.has(member.id)}
+                            onCheckedChange={(checked) => toggleMember(member.id, checked)}
+                            aria-label={`Select ${member.fullName}`}
+                          />
+                        </TableCell>
+                      )}
+                      <TableCell>
+                        <div className="font-medium">{member.fullName}</div>
+                        {member.golfAustraliaId && (
+                          <div className="text-sm text-muted-foreground">GA: {member.golfAustraliaId}</div>
+                        )}
+                        {member.tags?.length > 0 && (
+                          <div className="flex flex-wrap gap-1 mt-1">
+                            {member.tags.map(tag => (
+                              <span key={tag} className="px-2 py-0.5 rounded-full text-xs bg-gray-100 text-gray-700">{tag}</span>
+                            ))}
+                          </div>
+                        )}
+                      </TableCell>
+                      <TableCell>{member.email}</TableCell>
+                      <TableCell>{category?.name || member.membershipCategory}</TableCell>
+                      <TableCell>
+                        <MemberStatusBadge status={member.status} />
+                      </TableCell>
+                      <TableCell className={`font-medium ${getBalanceColor(member.accountBalance || 0)}`}>
+                        ${(member.accountBalance || 0).toFixed(2)}
+                      </TableCell>
+                      <TableCell>
                         <Link
-                          to={`/members/${member.id}/edit`}
-                          className="text-club-navy hover:text-club-navy-dark"
+                          to={`/members/${member.id}`}
+                          className="text-club-navy hover:text-club-navy-dark mr-3"
                         >
-                          Edit
+                          View
                         </Link>
-                      )}
-                    </TableCell>
-                  </TableRow>
-                )
-              })}
-            </TableBody>
-          </Table>
+                        {canEdit && (
+                          <Link
+                            to={`/members/${member.id}/edit`}
+                            className="text-club-navy hover:text-club-navy-dark"
+                          >
+                            Edit
+                          </Link>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  )
+                })}
+                {paddingBottom > 0 && (
+                  <tr aria-hidden="true" style={{ height: paddingBottom }} />
+                )}
+              </TableBody>
+            </table>
+          </div>
+          {isFetchingNextPage && (
+            <p className="px-4 py-2 text-sm text-muted-foreground border-t">Loading more members...</p>
+          )}
         </Card>
       )}
     </div>
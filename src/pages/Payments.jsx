@@ -1,48 +1,88 @@
 import { useState, useEffect, useCallback } from 'react'
 import { useSearchParams, useNavigate } from 'react-router-dom'
-import { useQuery, useQueryClient } from '@tanstack/react-query'
+import { useQueryClient } from '@tanstack/react-query'
 import { useAuth } from '../contexts/AuthContext'
 import PaymentForm from '../components/PaymentForm'
 import OutstandingBalances from '../components/OutstandingBalances'
 import BulkPaymentEntry from '../components/BulkPaymentEntry'
-import { recordPayment, getAllPayments, deletePayment, updatePayment, formatPaymentMethod, generatePDFReceipt } from '../services/paymentsService'
+import BankStatementImport from '../components/BankStatementImport'
+import StatementSuspenseQueue from '../components/StatementSuspenseQueue'
+import PaymentReversalDialog from '../components/PaymentReversalDialog'
+import PaymentOutbox from '../components/PaymentOutbox'
+import PaymentReviewQueue from '../components/PaymentReviewQueue'
+import VoucherManager from '../components/VoucherManager'
+import {
+  recordPayment,
+  recordGroupPayment,
+  updatePayment,
+  getPaymentListQuery,
+  DEFAULT_PAYMENT_FILTERS,
+  PAYMENT_STATUSES,
+  PAYMENT_REVIEW_STATUSES,
+  formatPaymentMethod,
+  formatPaymentStatus,
+  isPaymentReversed,
+  generatePDFReceipt,
+  generatePDFCreditNote,
+  newPaymentId
+} from '../services/paymentsService'
+import { queuePayment, isOfflineError } from '../services/paymentOutboxService'
+import { VOUCHER_PAYMENT_METHOD } from '../services/voucherService'
+import { parseError } from '@/utils/errorHandler'
 import { getMemberById } from '../services/membersService'
+import { usePaymentMethods } from '@/hooks/usePaymentMethods'
+import { usePaymentsPage, usePaymentCount, usePaymentsForReview } from '@/hooks/useMemberPayments'
+import { useSuspenseLines } from '@/hooks/useStatementSuspense'
+import { useVirtualRows } from '@/hooks/useVirtualRows'
 import { Tabs, TabsList, TabsTrigger, TabsContent } from '@/components/ui/tabs'
 import { Badge } from '@/components/ui/badge'
+import { Input } from '@/components/ui/input'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
 import { DataFreshness, StaleDataBanner } from '@/components/DataFreshness'
 
 const Payments = () => {
   const [showForm, setShowForm] = useState(false)
   const [showBulkEntry, setShowBulkEntry] = useState(false)
+  const [showStatementImport, setShowStatementImport] = useState(false)
   const [activeTab, setActiveTab] = useState('recent')
   const [isLoading, setIsLoading] = useState(false)
   const [error, setError] = useState(null)
   const [success, setSuccess] = useState(null)
   const [preSelectedMember, setPreSelectedMember] = useState(null)
   const [editingPayment, setEditingPayment] = useState(null)
+  const [reversingPayment, setReversingPayment] = useState(null)
   const [sortColumn, setSortColumn] = useState('paymentDate')
   const [sortDirection, setSortDirection] = useState('desc')
+  const [filters, setFilters] = useState(DEFAULT_PAYMENT_FILTERS)
   const [searchParams] = useSearchParams()
   const navigate = useNavigate()
   const { currentUser, checkPermission, ROLES } = useAuth()
   const queryClient = useQueryClient()
 
   const canEdit = checkPermission(ROLES.EDIT)
+  // Reversing a voucher payment puts value back on the voucher, which only SUPER_ADMIN can do
+  const canReverseVoucherPayments = checkPermission(ROLES.SUPER_ADMIN)
 
   const [userMap, setUserMap] = useState({})
 
-  // Fetch payments with React Query (cached)
+  // Payments load a page at a time as the table scrolls, sorted and filtered by Firestore
+  const listQuery = getPaymentListQuery(filters, sortColumn, sortDirection)
+  const isFiltered = listQuery.conditions.length > 0
   const {
-    data: payments = [],
+    data,
     dataUpdatedAt,
     isFetching,
-    refetch
-  } = useQuery({
-    queryKey: ['payments'],
-    queryFn: getAllPayments,
-    staleTime: 5 * 60 * 1000,    // Consider data fresh for 5 minutes
-    cacheTime: 10 * 60 * 1000,   // Keep in cache for 10 minutes
-  })
+    refetch,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage
+  } = usePaymentsPage(filters, { sort: sortColumn, direction: sortDirection })
+  const payments = data?.pages.flatMap(page => page.payments) ?? []
+  const { data: paymentCount } = usePaymentCount(filters)
+
+  const { data: paymentMethods = [] } = usePaymentMethods()
+  const { data: suspenseLines = [] } = useSuspenseLines()
+  const { data: reviewPayments = [] } = usePaymentsForReview()
 
   // Memoize loadPreSelectedMember to prevent infinite re-renders
   const loadPreSelectedMember = useCallback(async (memberId) => {
@@ -80,19 +120,48 @@ const Payments = () => {
     }
   }, [searchParams, fetchUsers, loadPreSelectedMember])
 
+  // Keep a payment on this device when Firestore can't be reached
+  const queueOfflinePayment = async (formData, paymentId) => {
+    const entry = await queuePayment(formData, currentUser.uid, paymentId)
+    setSuccess(`No connection - payment saved on this device with provisional receipt ${entry.provisionalReceiptNumber}. It will be recorded when the connection returns.`)
+    setShowForm(false)
+    setPreSelectedMember(null)
+    setTimeout(() => setSuccess(null), 10000)
+  }
+
   const handleSubmit = async (formData) => {
     setIsLoading(true)
     setError(null)
     setSuccess(null)
 
+    // Chosen up front, so a save that reached Firestore before the connection dropped
+    // is found (not recorded again) when the outbox syncs it
+    const paymentId = newPaymentId()
+
     try {
+      if (!navigator.onLine && !editingPayment) {
+        if (formData.splits) {
+          setError('Linked membership payments need a connection. Record the payment against one member, or try again when back online.')
+        } else if (formData.paymentMethod === VOUCHER_PAYMENT_METHOD) {
+          setError('Voucher payments need a connection to check the voucher balance. Take another payment method, or try again when back online.')
+        } else {
+          await queueOfflinePayment(formData, paymentId)
+        }
+        return
+      }
+
       if (editingPayment) {
         // Update existing payment
         await updatePayment(editingPayment.id, formData, currentUser.uid)
         setSuccess(`Payment updated successfully!`)
+      } else if (formData.splits) {
+        // One payment for a linked membership, split across the members' balances
+        const { splits, ...paymentData } = formData
+        const result = await recordGroupPayment(paymentData, splits, currentUser.uid)
+        setSuccess(`Payment recorded successfully! Receipts ${result.receiptNumbers.map(r => `#${r}`).join(', ')}`)
       } else {
         // Create new payment
-        const result = await recordPayment(formData, currentUser.uid)
+        const result = await recordPayment(formData, currentUser.uid, { paymentId })
         setSuccess(`Payment recorded successfully! Receipt #${result.receiptNumber}`)
       }
 
@@ -103,37 +172,32 @@ const Payments = () => {
       // Invalidate queries to refetch fresh data
       queryClient.invalidateQueries({ queryKey: ['payments'] })
       queryClient.invalidateQueries({ queryKey: ['members'] })
+      queryClient.invalidateQueries({ queryKey: ['ledger'] })
+      queryClient.invalidateQueries({ queryKey: ['fees'] })
+      queryClient.invalidateQueries({ queryKey: ['instalmentPlans'] })
+      queryClient.invalidateQueries({ queryKey: ['memberGroups'] })
+      queryClient.invalidateQueries({ queryKey: ['vouchers'] })
 
       // Clear success message after 5 seconds
       setTimeout(() => setSuccess(null), 5000)
     } catch (err) {
+      // The connection dropped mid-save - keep it to sync later under the same payment ID,
+      // so if the save did reach Firestore the sync finds it rather than recording it twice
+      if (!editingPayment && !formData.splits && formData.paymentMethod !== VOUCHER_PAYMENT_METHOD && isOfflineError(err)) {
+        try {
+          await queueOfflinePayment(formData, paymentId)
+          return
+        } catch (queueError) {
+          console.error('Error queuing payment:', queueError)
+        }
+      }
       console.error('Error saving payment:', err)
-      setError(`Failed to ${editingPayment ? 'update' : 'record'} payment. Please try again.`)
+      setError(`Failed to ${editingPayment ? 'update' : 'record'} payment: ${parseError(err).message}`)
     } finally {
       setIsLoading(false)
     }
   }
 
-  const handleDelete = async (paymentId) => {
-    if (!confirm('Are you sure you want to delete this payment? This will adjust the member\'s account balance.')) {
-      return
-    }
-
-    try {
-      await deletePayment(paymentId)
-      setSuccess('Payment deleted successfully')
-
-      // Invalidate queries to refetch fresh data
-      queryClient.invalidateQueries({ queryKey: ['payments'] })
-      queryClient.invalidateQueries({ queryKey: ['members'] })
-
-      setTimeout(() => setSuccess(null), 5000)
-    } catch (error) {
-      console.error('Error deleting payment:', error)
-      setError('Failed to delete payment')
-    }
-  }
-
   const handleEdit = (payment) => {
     setEditingPayment(payment)
     setShowForm(true)
@@ -152,6 +216,16 @@ const Payments = () => {
     }
   }
 
+  const handlePrintCreditNote = async (payment) => {
+    try {
+      await generatePDFCreditNote(payment)
+    } catch (error) {
+      console.error('Error generating credit note:', error)
+      setError('Failed to generate credit note')
+      setTimeout(() => setError(null), 3000)
+    }
+  }
+
   const handleCancel = () => {
     setShowForm(false)
     setPreSelectedMember(null)
@@ -166,7 +240,15 @@ const Payments = () => {
     setActiveTab('recent')
   }
 
+  const updateFilters = (changes) => {
+    setFilters({ ...filters, ...changes })
+  }
+
+  // Filtered payments are always in date order
+  const canSortBy = (column) => column === 'paymentDate' || !isFiltered
+
   const handleSort = (column) => {
+    if (!canSortBy(column)) return
     if (sortColumn === column) {
       // Toggle direction if clicking the same column
       setSortDirection(sortDirection === 'asc' ? 'desc' : 'asc')
@@ -177,37 +259,31 @@ const Payments = () => {
     }
   }
 
-  // Sort payments based on current sort settings
-  const sortedPayments = [...payments].sort((a, b) => {
-    let aValue = a[sortColumn]
-    let bValue = b[sortColumn]
-
-    // Handle different data types
-    if (sortColumn === 'amount') {
-      aValue = parseFloat(aValue) || 0
-      bValue = parseFloat(bValue) || 0
-    } else if (sortColumn === 'paymentDate') {
-      aValue = new Date(aValue).getTime()
-      bValue = new Date(bValue).getTime()
-    } else if (typeof aValue === 'string') {
-      aValue = aValue.toLowerCase()
-      bValue = bValue.toLowerCase()
+  const {
+    containerRef,
+    onScroll,
+    start: firstRow,
+    end: lastRow,
+    paddingTop,
+    paddingBottom
+  } = useVirtualRows({
+    count: payments.length,
+    rowHeight: 57,
+    onEndReached: () => {
+      if (hasNextPage && !isFetchingNextPage) fetchNextPage()
     }
-
-    if (aValue < bValue) return sortDirection === 'asc' ? -1 : 1
-    if (aValue > bValue) return sortDirection === 'asc' ? 1 : -1
-    return 0
   })
 
   const SortIcon = ({ column }) => {
-    if (sortColumn !== column) {
+    if (!canSortBy(column)) return null
+    if (listQuery.sort !== column) {
       return (
         <svg className="w-4 h-4 text-gray-400 ml-1 inline" fill="none" stroke="currentColor" viewBox="0 0 24 24">
           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 16V4m0 0L3 8m4-4l4 4m6 0v12m0 0l4-4m-4 4l-4-4" />
         </svg>
       )
     }
-    if (sortDirection === 'asc') {
+    if (listQuery.direction === 'asc') {
       return (
         <svg className="w-4 h-4 text-club-navy ml-1 inline" fill="none" stroke="currentColor" viewBox="0 0 24 24">
           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 15l7-7 7 7" />
@@ -239,6 +315,12 @@ const Payments = () => {
         </div>
         {!showForm && canEdit && (
           <div className="flex gap-2">
+            <button
+              onClick={() => setShowStatementImport(true)}
+              className="px-4 py-2 border border-club-navy text-club-navy rounded-md hover:bg-club-navy hover:text-white transition-colors"
+            >
+              Import Statement
+            </button>
             <button
               onClick={() => setShowBulkEntry(true)}
               className="px-4 py-2 border border-club-navy text-club-navy rounded-md hover:bg-club-navy hover:text-white transition-colors"
@@ -270,6 +352,20 @@ const Payments = () => {
         userId={currentUser?.uid}
       />
 
+      {/* Bank Statement Import Dialog */}
+      <BankStatementImport
+        open={showStatementImport}
+        onOpenChange={setShowStatementImport}
+        userId={currentUser?.uid}
+      />
+
+      {/* Void / Refund Dialog */}
+      <PaymentReversalDialog
+        payment={reversingPayment}
+        onClose={() => setReversingPayment(null)}
+        onReversed={handlePrintCreditNote}
+      />
+
       {/* Success Message */}
       {success && (
         <div className="mb-4 p-4 bg-club-tan-light bg-opacity-20 border border-club-navy rounded-md">
@@ -284,6 +380,9 @@ const Payments = () => {
         </div>
       )}
 
+      {/* Payments taken offline on this device */}
+      <PaymentOutbox />
+
       {/* Payment Form */}
       {showForm && (
         <div className="mb-6">
@@ -302,11 +401,26 @@ const Payments = () => {
         <TabsList className="mb-4">
           <TabsTrigger value="recent">
             Recent Payments
-            <Badge variant="secondary" className="ml-2">{payments.length}</Badge>
+            <Badge variant="secondary" className="ml-2">{paymentCount ?? payments.length}</Badge>
           </TabsTrigger>
           <TabsTrigger value="outstanding">
             Outstanding Balances
           </TabsTrigger>
+          <TabsTrigger value="suspense">
+            Suspense
+            {suspenseLines.length > 0 && (
+              <Badge variant="secondary" className="ml-2">{suspenseLines.length}</Badge>
+            )}
+          </TabsTrigger>
+          <TabsTrigger value="review">
+            Review
+            {reviewPayments.length > 0 && (
+              <Badge variant="secondary" className="ml-2">{reviewPayments.length}</Badge>
+            )}
+          </TabsTrigger>
+          <TabsTrigger value="vouchers">
+            Vouchers
+          </TabsTrigger>
         </TabsList>
 
         <TabsContent value="recent">
@@ -314,58 +428,124 @@ const Payments = () => {
           <div className="bg-white shadow rounded-lg overflow-hidden">
             <div className="px-6 py-4 border-b border-gray-200">
               <h2 className="text-lg font-semibold text-gray-900">Recent Payments</h2>
+              <div className="grid grid-cols-1 md:grid-cols-5 gap-4 mt-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Method
+                  </label>
+                  <Select value={filters.method} onValueChange={(method) => updateFilters({ method })}>
+                    <SelectTrigger>
+                      <SelectValue placeholder="All Methods" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="all">All Methods</SelectItem>
+                      {paymentMethods.map(method => (
+                        <SelectItem key={method.id} value={method.id}>{method.name}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Status
+                  </label>
+                  <Select value={filters.status} onValueChange={(status) => updateFilters({ status })}>
+                    <SelectTrigger>
+                      <SelectValue placeholder="All Payments" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="all">All Payments</SelectItem>
+                      <SelectItem value={PAYMENT_STATUSES.VOIDED}>{formatPaymentStatus(PAYMENT_STATUSES.VOIDED)}</SelectItem>
+                      <SelectItem value={PAYMENT_STATUSES.REFUNDED}>{formatPaymentStatus(PAYMENT_STATUSES.REFUNDED)}</SelectItem>
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div>
+                  <label htmlFor="paymentsFrom" className="block text-sm font-medium text-gray-700 mb-1">
+                    From
+                  </label>
+                  <Input
+                    id="paymentsFrom"
+                    type="date"
+                    value={filters.from}
+                    onChange={(e) => updateFilters({ from: e.target.value })}
+                  />
+                </div>
+                <div>
+                  <label htmlFor="paymentsTo" className="block text-sm font-medium text-gray-700 mb-1">
+                    To
+                  </label>
+                  <Input
+                    id="paymentsTo"
+                    type="date"
+                    value={filters.to}
+                    onChange={(e) => updateFilters({ to: e.target.value })}
+                  />
+                </div>
+                {isFiltered && (
+                  <div className="flex items-end">
+                    <button
+                      onClick={() => setFilters(DEFAULT_PAYMENT_FILTERS)}
+                      className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+                    >
+                      Clear Filters
+                    </button>
+                  </div>
+                )}
+              </div>
             </div>
 
             {payments.length === 0 ? (
               <div className="p-6 text-center">
-                <p className="text-gray-600">No payments recorded yet</p>
+                <p className="text-gray-600">
+                  {isFetching ? 'Loading payments...' : isFiltered ? 'No payments match these filters' : 'No payments recorded yet'}
+                </p>
               </div>
             ) : (
-              <div className="overflow-x-auto">
+              // Only the rows in view are rendered; more pages load near the end
+              <div
+                ref={containerRef}
+                onScroll={onScroll}
+                className="max-h-[70vh] overflow-auto"
+              >
                 <table className="min-w-full divide-y divide-gray-200">
-                  <thead className="bg-gray-50">
+                  <thead className="bg-gray-50 sticky top-0 z-10">
                     <tr>
                       <th
                         onClick={() => handleSort('receiptNumber')}
-                        className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer hover:bg-gray-100"
+                        className={`px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider ${canSortBy('receiptNumber') ? 'cursor-pointer hover:bg-gray-100' : ''}`}
                       >
                         Receipt # <SortIcon column="receiptNumber" />
                       </th>
                       <th
                         onClick={() => handleSort('paymentDate')}
-                        className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer hover:bg-gray-100"
+                        className={`px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider ${canSortBy('paymentDate') ? 'cursor-pointer hover:bg-gray-100' : ''}`}
                       >
                         Date <SortIcon column="paymentDate" />
                       </th>
                       <th
                         onClick={() => handleSort('memberName')}
-                        className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer hover:bg-gray-100"
+                        className={`px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider ${canSortBy('memberName') ? 'cursor-pointer hover:bg-gray-100' : ''}`}
                       >
                         Member <SortIcon column="memberName" />
                       </th>
                       <th
                         onClick={() => handleSort('amount')}
-                        className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer hover:bg-gray-100"
+                        className={`px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider ${canSortBy('amount') ? 'cursor-pointer hover:bg-gray-100' : ''}`}
                       >
                         Amount <SortIcon column="amount" />
                       </th>
                       <th
                         onClick={() => handleSort('paymentMethod')}
-                        className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer hover:bg-gray-100"
+                        className={`px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider ${canSortBy('paymentMethod') ? 'cursor-pointer hover:bg-gray-100' : ''}`}
                       >
                         Method <SortIcon column="paymentMethod" />
                       </th>
-                      <th
-                        onClick={() => handleSort('reference')}
-                        className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer hover:bg-gray-100"
-                      >
-                        Reference <SortIcon column="reference" />
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Reference
                       </th>
-                      <th
-                        onClick={() => handleSort('recordedBy')}
-                        className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer hover:bg-gray-100"
-                      >
-                        Recorded By <SortIcon column="recordedBy" />
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Recorded By
                       </th>
                       {canEdit && (
                         <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
@@ -375,10 +555,26 @@ const Payments = () => {
                     </tr>
                   </thead>
                   <tbody className="bg-white divide-y divide-gray-200">
-                    {sortedPayments.map(payment => (
+                    {paddingTop > 0 && (
+                      <tr aria-hidden="true" style={{ height: paddingTop }} />
+                    )}
+                    {payments.slice(firstRow, lastRow).map(payment => (
                       <tr key={payment.id} className="hover:bg-gray-50">
                         <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
                           {payment.receiptNumber}
+                          {isPaymentReversed(payment) && (
+                            <Badge variant="destructive" className="ml-2" title={`${payment.creditNoteNumber}: ${payment.reversalReason}`}>
+                              {formatPaymentStatus(payment.status)}
+                            </Badge>
+                          )}
+                          {payment.reviewStatus === PAYMENT_REVIEW_STATUSES.PENDING && (
+                            <Badge variant="outline" className="ml-2" title={payment.reviewReasons?.join('\n')}>
+                              Review
+                            </Badge>
+                          )}
+                          {payment.provisionalReceiptNumber && (
+                            <span className="block text-xs text-gray-500">was {payment.provisionalReceiptNumber}</span>
+                          )}
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                           {payment.paymentDate}
@@ -392,10 +588,17 @@ const Payments = () => {
                           </button>
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-club-navy">
-                          ${payment.amount.toFixed(2)}
+                          <span className={payment.status === 'voided' ? 'line-through text-gray-400' : ''}>
+                            ${payment.amount.toFixed(2)}
+                          </span>
+                          {payment.status === 'refunded' && (
+                            <span className="block text-xs text-red-600">
+                              -${payment.reversedAmount.toFixed(2)} refunded
+                            </span>
+                          )}
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                          {formatPaymentMethod(payment.paymentMethod)}
+                          {formatPaymentMethod(payment.paymentMethod, paymentMethods)}
                         </td>
                         <td className="px-6 py-4 text-sm text-gray-500">
                           {payment.reference || '-'}
@@ -412,24 +615,44 @@ const Payments = () => {
                             >
                               Print
                             </button>
-                            <button
-                              onClick={() => handleEdit(payment)}
-                              className="text-club-navy hover:text-club-navy-dark mr-4"
-                            >
-                              Edit
-                            </button>
-                            <button
-                              onClick={() => handleDelete(payment.id)}
-                              className="text-red-600 hover:text-red-900"
-                            >
-                              Delete
-                            </button>
+                            {isPaymentReversed(payment) ? (
+                              <button
+                                onClick={() => handlePrintCreditNote(payment)}
+                                className="text-club-navy hover:text-club-navy-dark"
+                                title={`Print Credit Note ${payment.creditNoteNumber}`}
+                              >
+                                Credit Note
+                              </button>
+                            ) : (
+                              <>
+                                <button
+                                  onClick={() => handleEdit(payment)}
+                                  className="text-club-navy hover:text-club-navy-dark mr-4"
+                                >
+                                  Edit
+                                </button>
+                                {(payment.paymentMethod !== VOUCHER_PAYMENT_METHOD || canReverseVoucherPayments) && (
+                                  <button
+                                    onClick={() => setReversingPayment(payment)}
+                                    className="text-red-600 hover:text-red-900"
+                                  >
+                                    Void / Refund
+                                  </button>
+                                )}
+                              </>
+                            )}
                           </td>
                         )}
                       </tr>
                     ))}
+                    {paddingBottom > 0 && (
+                      <tr aria-hidden="true" style={{ height: paddingBottom }} />
+                    )}
                   </tbody>
                 </table>
+                {isFetchingNextPage && (
+                  <p className="px-6 py-2 text-sm text-gray-500 border-t border-gray-200">Loading more payments...</p>
+                )}
               </div>
             )}
           </div>
@@ -438,6 +661,18 @@ const Payments = () => {
         <TabsContent value="outstanding">
           <OutstandingBalances onRecordPayment={handleRecordPaymentForMember} />
         </TabsContent>
+
+        <TabsContent value="suspense">
+          <StatementSuspenseQueue />
+        </TabsContent>
+
+        <TabsContent value="review">
+          <PaymentReviewQueue />
+        </TabsContent>
+
+        <TabsContent value="vouchers">
+          <VoucherManager />
+        </TabsContent>
       </Tabs>
     </div>
   )
@@ -0,0 +1,193 @@
+import { useOutletContext } from 'react-router-dom'
+import { useMemberFees } from '@/hooks/useMemberFees'
+import { useMemberPayments } from '@/hooks/useMemberPayments'
+import { usePaymentMethods } from '@/hooks/usePaymentMethods'
+import { useClubSettings } from '@/hooks/useClubSettings'
+import {
+  generatePDFReceipt,
+  generatePDFCreditNote,
+  formatPaymentMethod,
+  formatPaymentStatus,
+  isPaymentReversed
+} from '../services/paymentsService'
+import {
+  FEE_PAYMENT_STATUSES,
+  getFeeOutstanding,
+  getFeePaymentStatus
+} from '../services/feeService'
+import { LATE_FEE_TYPE } from '../services/lateFeeService'
+import { DEFAULT_CLUB_SETTINGS, formatBankDetails, formatTreasurerContact } from '../services/clubSettingsService'
+import { handleError, showSuccess } from '@/utils/errorHandler'
+import { Button } from '@/components/ui/button'
+import { cn } from '@/lib/utils'
+
+const FEE_STATUS_STYLES = {
+  [FEE_PAYMENT_STATUSES.PAID]: { label: 'Paid', className: 'bg-green-100 text-green-800' },
+  [FEE_PAYMENT_STATUSES.PART_PAID]: { label: 'Part paid', className: 'bg-yellow-100 text-yellow-800' },
+  [FEE_PAYMENT_STATUSES.UNPAID]: { label: 'Unpaid', className: 'bg-gray-100 text-gray-700' },
+}
+
+/**
+ * PortalAccount - A member's balance, fees and payments, with their receipts
+ */
+const PortalAccount = () => {
+  const { member } = useOutletContext()
+  const { data: club = DEFAULT_CLUB_SETTINGS } = useClubSettings()
+  const { data: fees = [], isLoading: feesLoading } = useMemberFees(member.id)
+  const { data: payments = [], isLoading: paymentsLoading } = useMemberPayments(member.id)
+  const { data: paymentMethods = [] } = usePaymentMethods()
+
+  const balance = member.accountBalance || 0
+
+  const handleDownloadReceipt = async (payment) => {
+    try {
+      await generatePDFReceipt(payment)
+      showSuccess('Receipt downloaded')
+    } catch (err) {
+      handleError(err, 'Failed to download receipt')
+    }
+  }
+
+  const handleDownloadCreditNote = async (payment) => {
+    try {
+      await generatePDFCreditNote(payment)
+      showSuccess('Credit note downloaded')
+    } catch (err) {
+      handleError(err, 'Failed to download credit note')
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow p-6">
+        <h2 className="text-2xl font-bold text-gray-900">{member.fullName}</h2>
+        <div className="mt-4 flex flex-wrap items-end justify-between gap-4">
+          <div>
+            <p className={cn(
+              'text-4xl font-bold',
+              balance > 0 ? 'text-club-navy' : balance < 0 ? 'text-red-600' : 'text-gray-900'
+            )}>
+              ${Math.abs(balance).toFixed(2)}
+            </p>
+            <p className="text-sm text-gray-500 mt-1">
+              {balance > 0 && 'In credit'}
+              {balance < 0 && 'Owing'}
+              {balance === 0 && 'Your account is fully paid'}
+            </p>
+          </div>
+          {balance < 0 && club.bankAccountNumber && (
+            <div className="text-sm text-gray-700 bg-club-cream rounded-md p-3">
+              <p className="font-medium mb-1">Pay by direct deposit</p>
+              <p>{formatBankDetails(club)}</p>
+              <p className="text-gray-500">Please use your name as the reference.</p>
+              {formatTreasurerContact(club) && (
+                <p className="text-gray-500 mt-1">Questions: {formatTreasurerContact(club)}</p>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <h3 className="text-lg font-semibold text-gray-900 px-6 py-4 border-b">Fees</h3>
+        {feesLoading ? (
+          <p className="px-6 py-4 text-gray-500">Loading...</p>
+        ) : fees.length === 0 ? (
+          <p className="px-6 py-4 text-gray-500">No fees have been charged.</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Fee</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Amount</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Owing</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {fees.map(fee => (
+                <tr key={fee.id}>
+                  <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-900">{fee.appliedDate}</td>
+                  <td className="px-6 py-3 text-sm text-gray-900">
+                    {fee.feeType === LATE_FEE_TYPE ? `${fee.feeYear} Late Fee` : `${fee.feeYear} Annual Fee`}
+                    {fee.notes && <span className="block text-xs text-gray-500">{fee.notes}</span>}
+                  </td>
+                  <td className="px-6 py-3 whitespace-nowrap text-sm text-right text-gray-900">${fee.amount.toFixed(2)}</td>
+                  <td className="px-6 py-3 whitespace-nowrap text-sm text-right text-gray-900">${getFeeOutstanding(fee).toFixed(2)}</td>
+                  <td className="px-6 py-3 whitespace-nowrap text-sm">
+                    <span className={cn(
+                      'px-2 py-1 rounded-full text-xs font-medium',
+                      FEE_STATUS_STYLES[getFeePaymentStatus(fee)].className
+                    )}>
+                      {FEE_STATUS_STYLES[getFeePaymentStatus(fee)].label}
+                    </span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <h3 className="text-lg font-semibold text-gray-900 px-6 py-4 border-b">Payments</h3>
+        {paymentsLoading ? (
+          <p className="px-6 py-4 text-gray-500">Loading...</p>
+        ) : payments.length === 0 ? (
+          <p className="px-6 py-4 text-gray-500">No payments have been recorded.</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Receipt</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Method</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Amount</th>
+                <th className="px-6 py-3" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {payments.map(payment => (
+                <tr key={payment.id}>
+                  <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-900">{payment.paymentDate}</td>
+                  <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-900">
+                    {payment.receiptNumber}
+                    {isPaymentReversed(payment) && (
+                      <span className="ml-2 px-2 py-1 bg-yellow-100 text-yellow-800 rounded-full text-xs font-medium">
+                        {formatPaymentStatus(payment.status)}
+                      </span>
+                    )}
+                  </td>
+                  <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-900">
+                    {formatPaymentMethod(payment.paymentMethod, paymentMethods)}
+                  </td>
+                  <td className="px-6 py-3 whitespace-nowrap text-sm text-right text-club-navy">
+                    <span className={payment.status === 'voided' ? 'line-through text-gray-400' : ''}>
+                      ${payment.amount.toFixed(2)}
+                    </span>
+                    {payment.status === 'refunded' && (
+                      <span className="block text-xs text-red-600">-${payment.reversedAmount.toFixed(2)} refunded</span>
+                    )}
+                  </td>
+                  <td className="px-6 py-3 whitespace-nowrap text-sm text-right">
+                    <Button variant="ghost" size="sm" onClick={() => handleDownloadReceipt(payment)}>
+                      Receipt
+                    </Button>
+                    {isPaymentReversed(payment) && (
+                      <Button variant="ghost" size="sm" onClick={() => handleDownloadCreditNote(payment)}>
+                        Credit Note
+                      </Button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default PortalAccount
@@ -0,0 +1,119 @@
+import { useOutletContext } from 'react-router-dom'
+import { useForm } from 'react-hook-form'
+import { zodResolver } from '@hookform/resolvers/zod'
+import { useAuth } from '../contexts/AuthContext'
+import { useMemberChangeRequests, useSubmitContactChange } from '@/hooks/useChangeRequests'
+import { contactDetailsSchema } from '../schemas'
+import { CONTACT_DETAIL_FIELDS, CHANGE_REQUEST_STATUSES } from '../services/changeRequestService'
+import { TRACKED_DETAIL_FIELDS } from '../services/memberEventService'
+import { AUSTRALIAN_STATES } from '../services/applicationsService'
+import { FormField, FormInput, FormSelect } from '../components/form'
+
+const REQUEST_STATUS_STYLES = {
+  [CHANGE_REQUEST_STATUSES.PENDING]: { label: 'Waiting for approval', className: 'bg-yellow-100 text-yellow-800' },
+  [CHANGE_REQUEST_STATUSES.APPROVED]: { label: 'Approved', className: 'bg-green-100 text-green-800' },
+  [CHANGE_REQUEST_STATUSES.REJECTED]: { label: 'Not approved', className: 'bg-red-100 text-red-800' },
+}
+
+/**
+ * PortalDetails - A member's contact details, and asking the club to change them
+ * Changes go to the club's change request queue; the record changes once approved.
+ */
+const PortalDetails = () => {
+  const { member } = useOutletContext()
+  const { currentUser } = useAuth()
+  const { data: requests = [] } = useMemberChangeRequests(member.id)
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors, isDirty },
+  } = useForm({
+    resolver: zodResolver(contactDetailsSchema),
+    values: Object.fromEntries(CONTACT_DETAIL_FIELDS.map(field => [field, member[field] || ''])),
+  })
+
+  const submitMutation = useSubmitContactChange()
+
+  const onSubmit = (details) => {
+    submitMutation.mutate({ member, details, user: { uid: currentUser.uid, email: currentUser.email } })
+  }
+
+  const renderInput = (field, props = {}) => (
+    <FormField label={TRACKED_DETAIL_FIELDS[field]} name={field} error={errors[field]?.message}>
+      <FormInput id={field} error={errors[field]?.message} {...props} {...register(field)} />
+    </FormField>
+  )
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow p-6">
+        <h2 className="text-xl font-semibold text-gray-900 mb-1">My Details</h2>
+        <p className="text-sm text-gray-600 mb-6">
+          Changes are sent to the club for approval and show here once they&apos;ve been made.
+        </p>
+
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {renderInput('email', { type: 'email' })}
+            {renderInput('phoneMobile', { type: 'tel' })}
+            {renderInput('phoneHome', { type: 'tel' })}
+            {renderInput('phoneWork', { type: 'tel' })}
+          </div>
+          {renderInput('streetAddress')}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            {renderInput('suburb')}
+            <FormField label={TRACKED_DETAIL_FIELDS.state} name="state" error={errors.state?.message}>
+              <FormSelect id="state" error={errors.state?.message} {...register('state')}>
+                <option value="">Select</option>
+                {AUSTRALIAN_STATES.map(state => (
+                  <option key={state} value={state}>{state}</option>
+                ))}
+              </FormSelect>
+            </FormField>
+            {renderInput('postcode')}
+          </div>
+          <p className="text-xs text-gray-500">
+            Changing your email changes the address you sign in with, once the club approves it.
+          </p>
+          <button
+            type="submit"
+            disabled={!isDirty || submitMutation.isPending}
+            className="px-4 py-2 bg-club-navy text-white rounded-md hover:bg-club-navy-dark disabled:opacity-50"
+          >
+            {submitMutation.isPending ? 'Sending...' : 'Send Changes for Approval'}
+          </button>
+        </form>
+      </div>
+
+      {requests.length > 0 && (
+        <div className="bg-white rounded-lg shadow p-6">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">Changes You&apos;ve Asked For</h3>
+          <ul className="divide-y">
+            {[...requests].reverse().map(request => (
+              <li key={request.id} className="py-3 text-sm">
+                <div className="flex justify-between items-start gap-4">
+                  <ul className="text-gray-700">
+                    {request.changes.map(change => (
+                      <li key={change.field}>
+                        {TRACKED_DETAIL_FIELDS[change.field]}: <span className="font-medium">{change.to || '(blank)'}</span>
+                      </li>
+                    ))}
+                  </ul>
+                  <span className={`px-2 py-1 rounded-full text-xs font-medium whitespace-nowrap ${REQUEST_STATUS_STYLES[request.status].className}`}>
+                    {REQUEST_STATUS_STYLES[request.status].label}
+                  </span>
+                </div>
+                {request.rejectedReason && (
+                  <p className="text-xs text-gray-500 mt-1">{request.rejectedReason}</p>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default PortalDetails
@@ -0,0 +1,161 @@
+import { useState, useEffect } from 'react'
+import { Link, useNavigate } from 'react-router-dom'
+import { useForm } from 'react-hook-form'
+import { zodResolver } from '@hookform/resolvers/zod'
+import { useAuth } from '../contexts/AuthContext'
+import { passwordResetSchema } from '../schemas'
+import { FormField, FormInput } from '../components/form'
+import ClubPicker from '../components/ClubPicker'
+import { useClubSettings } from '@/hooks/useClubSettings'
+import { DEFAULT_CLUB_SETTINGS } from '../services/clubSettingsService'
+
+/**
+ * PortalLogin - Members sign in to the member portal with a link emailed to them
+ * Also completes the sign-in when the member opens that link.
+ */
+const PortalLogin = () => {
+  const { currentUser, sendPortalSignInLink, isPortalSignInLink, completePortalSignIn, getPortalSignInEmail } = useAuth()
+  const { data: club = DEFAULT_CLUB_SETTINGS } = useClubSettings()
+  const navigate = useNavigate()
+  const [error, setError] = useState('')
+  const [sentTo, setSentTo] = useState('')
+  // Opened the emailed link and the sign-in isn't finished yet
+  const [linkPending, setLinkPending] = useState(() => isPortalSignInLink(window.location.href))
+  // Opened the link on a device that didn't ask for it - the email has to be entered again
+  const confirmingLink = linkPending && !getPortalSignInEmail()
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors, isSubmitting },
+  } = useForm({
+    resolver: zodResolver(passwordResetSchema),
+    defaultValues: { email: '' },
+  })
+
+  const finishSignIn = async (email) => {
+    try {
+      setError('')
+      await completePortalSignIn(window.location.href, email)
+    } catch (err) {
+      console.error('Portal sign-in error:', err)
+      setError(err.code === 'auth/invalid-action-code'
+        ? 'This sign-in link has expired or already been used. Ask for a new one below.'
+        : 'Failed to sign in. Please try again.')
+    } finally {
+      setLinkPending(false)
+    }
+  }
+
+  // Opened the link on the device that asked for it - sign straight in
+  useEffect(() => {
+    if (linkPending && !confirmingLink) {
+      finishSignIn()
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [])
+
+  // Navigate to the portal once auth state is confirmed
+  useEffect(() => {
+    if (currentUser && !linkPending) {
+      navigate('/portal', { replace: true })
+    }
+  }, [currentUser, linkPending, navigate])
+
+  const onSubmit = async ({ email }) => {
+    if (confirmingLink) {
+      await finishSignIn(email)
+      return
+    }
+
+    try {
+      setError('')
+      await sendPortalSignInLink(email)
+      setSentTo(email)
+    } catch (err) {
+      console.error('Portal sign-in link error:', err)
+      setError('Failed to send the sign-in link. Please try again.')
+    }
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-club-navy to-club-navy-dark">
+      <div className="max-w-md w-full bg-white rounded-lg shadow-xl p-8">
+        <div className="text-center mb-8">
+          <h1 className="text-3xl font-bold text-club-navy">{club.clubName}</h1>
+          <p className="text-gray-600 mt-2">Member Portal</p>
+        </div>
+
+        {error && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+            {error}
+          </div>
+        )}
+
+        {sentTo ? (
+          <div className="space-y-4 text-center">
+            <div className="bg-club-tan-light bg-opacity-30 border border-club-navy text-club-navy px-4 py-3 rounded">
+              We&apos;ve emailed a sign-in link to <strong>{sentTo}</strong>. Open it on this device to see your membership.
+            </div>
+            <button
+              type="button"
+              onClick={() => setSentTo('')}
+              className="text-sm text-gray-600 hover:text-club-navy"
+            >
+              Use a different email
+            </button>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
+            <p className="text-sm text-gray-600">
+              {confirmingLink
+                ? 'Confirm the email address the sign-in link was sent to.'
+                : 'Enter the email address the club has for your membership and we\'ll email you a link to sign in - no password needed.'}
+            </p>
+
+            {!confirmingLink && <ClubPicker />}
+
+            <FormField
+              label="Email Address"
+              name="email"
+              error={errors.email?.message}
+            >
+              <FormInput
+                id="email"
+                type="email"
+                placeholder="your.email@example.com"
+                error={errors.email?.message}
+                {...register('email')}
+              />
+            </FormField>
+
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-club-navy hover:bg-club-navy-dark focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-club-navy disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {confirmingLink
+                ? (isSubmitting ? 'Signing in...' : 'Sign In')
+                : (isSubmitting ? 'Sending...' : 'Email Me a Sign-in Link')}
+            </button>
+
+            <div className="text-center text-sm space-y-1">
+              <p>
+                <Link to="/update-details" className="text-club-navy hover:text-club-navy font-medium">
+                  Update your details without signing in
+                </Link>
+              </p>
+              <p>
+                <Link to="/login" className="text-club-navy hover:text-club-navy font-medium">
+                  Committee sign in
+                </Link>
+              </p>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default PortalLogin
@@ -5,11 +5,15 @@ import { zodResolver } from '@hookform/resolvers/zod'
 import { useAuth } from '../contexts/AuthContext'
 import { registerSchema } from '../schemas'
 import { FormField, FormInput } from '../components/form'
+import { useClubSettings } from '@/hooks/useClubSettings'
+import { DEFAULT_CLUB_SETTINGS } from '../services/clubSettingsService'
+import ClubPicker from '../components/ClubPicker'
 
 const Register = () => {
   const [error, setError] = useState('')
   const [success, setSuccess] = useState(false)
-  const { register: registerUser } = useAuth()
+  const { register: registerUser, activeClubId } = useAuth()
+  const { data: club = DEFAULT_CLUB_SETTINGS } = useClubSettings()
 
   const {
     register,
@@ -27,7 +31,11 @@ const Register = () => {
   const onSubmit = async (data) => {
     try {
       setError('')
-      await registerUser(data.email, data.password)
+      if (!activeClubId) {
+        setError('No clubs have been set up yet')
+        return
+      }
+      await registerUser(data.email, data.password, activeClubId)
       setSuccess(true)
     } catch (err) {
       if (err.code === 'auth/email-already-in-use') {
@@ -64,7 +72,7 @@ const Register = () => {
                 </h3>
                 <div className="mt-2 text-sm text-club-navy">
                   <p>
-                    Your account has been created and is pending approval by an administrator.
+                    Your account has been created and is pending approval by a {club.clubName} administrator.
                     You will be able to log in once your account has been approved.
                   </p>
                   <p className="mt-2">
@@ -95,7 +103,7 @@ const Register = () => {
             Create your account
           </h2>
           <p className="mt-2 text-center text-sm text-gray-600">
-            Register for Tea Tree Golf Club Membership System
+            Register for {club.clubName} Membership System
           </p>
         </div>
         <form className="mt-8 space-y-6" onSubmit={handleSubmit(onSubmit)}>
@@ -106,6 +114,8 @@ const Register = () => {
           )}
 
           <div className="rounded-md shadow-sm space-y-4">
+            <ClubPicker />
+
             <FormField
               label="Email address"
               name="email"
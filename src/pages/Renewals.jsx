@@ -0,0 +1,484 @@
+import { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { useQuery } from '@tanstack/react-query'
+import { useAuth } from '../contexts/AuthContext'
+import {
+  useRenewalSeasons,
+  useSeasonRenewals,
+  useOpenRenewalSeason,
+  useRecordRenewalResponse,
+  useApplyRenewalFees,
+  useCloseRenewalSeason
+} from '@/hooks/useRenewals'
+import { getAllCategories } from '../services/categoryService'
+import {
+  RENEWAL_RESPONSES,
+  RENEWAL_RESPONSE_LABELS,
+  RENEWAL_SEASON_STATUSES,
+  summariseRenewals
+} from '../services/renewalService'
+import { getNextMembershipYearStart } from '../services/categoryProgressionService'
+import { generateRenewalNotices } from '../services/welcomeLetterService'
+import { runClubWork } from '../lib/firebase/clubScope'
+import { formatMemberStatus } from '../services/memberStatusService'
+import { handleError, showSuccess } from '@/utils/errorHandler'
+import { FormField, FormInput, FormSelect } from '../components/form'
+import { useClubSettings } from '@/hooks/useClubSettings'
+import { DEFAULT_CLUB_SETTINGS, MONTH_NAMES } from '../services/clubSettingsService'
+
+const RESPONSE_STYLES = {
+  [RENEWAL_RESPONSES.PENDING]: 'bg-gray-100 text-gray-800',
+  [RENEWAL_RESPONSES.RENEWING]: 'bg-green-100 text-green-800',
+  [RENEWAL_RESPONSES.CHANGING_CATEGORY]: 'bg-blue-100 text-blue-800',
+  [RENEWAL_RESPONSES.RESIGNING]: 'bg-red-100 text-red-800'
+}
+
+const Renewals = () => {
+  const { checkPermission, ROLES, currentUser } = useAuth()
+  const canEdit = checkPermission(ROLES.EDIT)
+  const isSuperAdmin = checkPermission(ROLES.SUPER_ADMIN)
+
+  const [selectedSeasonId, setSelectedSeasonId] = useState(null)
+  const [responseFilter, setResponseFilter] = useState('all')
+  const [searchTerm, setSearchTerm] = useState('')
+  const [changingRenewalId, setChangingRenewalId] = useState(null)
+  const { data: club = DEFAULT_CLUB_SETTINGS } = useClubSettings()
+  // Defaults to the next membership year, responding by its first day, until changed
+  const [seasonEdits, setNewSeason] = useState({})
+  const yearStart = getNextMembershipYearStart(undefined, club.membershipYearStartMonth)
+  const newSeason = { year: yearStart.slice(0, 4), responseDeadline: yearStart, ...seasonEdits }
+  const [isGenerating, setIsGenerating] = useState(false)
+  const [results, setResults] = useState(null)
+
+  const { data: seasons = [], isLoading: seasonsLoading } = useRenewalSeasons()
+  const { data: categories = [] } = useQuery({
+    queryKey: ['categories'],
+    queryFn: getAllCategories,
+    staleTime: 10 * 60 * 1000, // 10 minutes
+  })
+
+  // Default to the open season, otherwise the most recent
+  const openSeason = seasons.find(s => s.status === RENEWAL_SEASON_STATUSES.OPEN)
+  const season = seasons.find(s => s.id === selectedSeasonId) || openSeason || seasons[0]
+  const isOpen = season?.status === RENEWAL_SEASON_STATUSES.OPEN
+
+  const { data: renewals = [], isLoading: renewalsLoading } = useSeasonRenewals(season?.id)
+
+  const openSeasonMutation = useOpenRenewalSeason({
+    onSuccess: (data) => setSelectedSeasonId(data.id)
+  })
+  const responseMutation = useRecordRenewalResponse({
+    onSuccess: () => setChangingRenewalId(null)
+  })
+  const applyFeesMutation = useApplyRenewalFees({
+    onSuccess: (data) => setResults({ title: `Renewal Fees Applied - ${data.year}`, ...data })
+  })
+  const closeSeasonMutation = useCloseRenewalSeason({
+    onSuccess: (data) => setResults({ title: 'Season Closed', ...data })
+  })
+
+  const summary = summariseRenewals(renewals)
+  const filteredRenewals = renewals.filter(renewal => {
+    const matchesResponse = responseFilter === 'all' || renewal.response === responseFilter
+    const matchesSearch = !searchTerm || renewal.memberName.toLowerCase().includes(searchTerm.toLowerCase())
+    return matchesResponse && matchesSearch
+  })
+
+  const getCategoryName = (categoryId) => {
+    return categories.find(c => c.id === categoryId)?.name || categoryId || '-'
+  }
+
+  const handleOpenSeason = (e) => {
+    e.preventDefault()
+    const year = parseInt(newSeason.year)
+    const confirmed = window.confirm(
+      `Open the ${year} renewal season?\n\n` +
+      `A renewal notice will be created for every fee-paying member, ` +
+      `with members who have aged out of their category moved to the matching one.`
+    )
+    if (!confirmed) return
+    openSeasonMutation.mutate({
+      year,
+      seasonOptions: { responseDeadline: newSeason.responseDeadline },
+      userId: currentUser.uid
+    })
+  }
+
+  const handleResponseChange = (renewal, response) => {
+    // Changing category needs the new category before it can be saved
+    if (response === RENEWAL_RESPONSES.CHANGING_CATEGORY) {
+      setChangingRenewalId(renewal.id)
+      return
+    }
+    setChangingRenewalId(null)
+    responseMutation.mutate({
+      renewalId: renewal.id,
+      responseData: { response },
+      userId: currentUser.uid
+    })
+  }
+
+  const handleCategoryRequest = (renewal, requestedCategoryId) => {
+    if (!requestedCategoryId) return
+    responseMutation.mutate({
+      renewalId: renewal.id,
+      responseData: { response: RENEWAL_RESPONSES.CHANGING_CATEGORY, requestedCategoryId },
+      userId: currentUser.uid
+    })
+  }
+
+  const handleGenerateNotices = async () => {
+    const toPrint = filteredRenewals
+    if (toPrint.length === 0) return
+    try {
+      setIsGenerating(true)
+      const count = await runClubWork(() => generateRenewalNotices(season, toPrint))
+      showSuccess(`Generated ${count} renewal notice${count !== 1 ? 's' : ''}`)
+    } catch (error) {
+      handleError(error, 'Failed to generate renewal notices')
+    } finally {
+      setIsGenerating(false)
+    }
+  }
+
+  const handleApplyFees = () => {
+    const unbilled = renewals.filter(r =>
+      (r.response === RENEWAL_RESPONSES.RENEWING || r.response === RENEWAL_RESPONSES.CHANGING_CATEGORY) && !r.feeId
+    )
+    const total = unbilled.reduce((sum, r) => sum + r.feeAmount, 0)
+    const confirmed = window.confirm(
+      `Apply ${season.year} fees to ${unbilled.length} renewing members?\n\n` +
+      `Total fees: $${total.toFixed(2)}\n\n` +
+      `Members changing category are moved to their new category first. ` +
+      `Members who have not responded are not charged.\n\nContinue?`
+    )
+    if (!confirmed) return
+    applyFeesMutation.mutate({ seasonId: season.id, userId: currentUser.uid })
+  }
+
+  const handleCloseSeason = () => {
+    const confirmed = window.confirm(
+      `Close the ${season.year} renewal season?\n\n` +
+      `${summary.resigning} resigning members will be marked resigned and ` +
+      `${summary.pending} members who did not respond will be marked lapsed (inactive).\n\n` +
+      `Responses can no longer be recorded once the season is closed.`
+    )
+    if (!confirmed) return
+    closeSeasonMutation.mutate({ seasonId: season.id, userId: currentUser.uid })
+  }
+
+  if (!canEdit) {
+    return (
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900 mb-6">Renewals</h1>
+        <p className="text-gray-600">You do not have permission to manage renewals.</p>
+      </div>
+    )
+  }
+
+  return (
+    <div>
+      <div className="mb-6 flex justify-between items-start">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Renewals</h1>
+          <p className="text-gray-600 mt-2">
+            Open a renewal season for the membership year starting 1 {MONTH_NAMES[club.membershipYearStartMonth - 1]}, send renewal notices, record each
+            member&apos;s response, charge renewing members and close the season to lapse anyone who did not renew.
+          </p>
+        </div>
+        {seasons.length > 1 && (
+          <FormSelect
+            id="season"
+            value={season?.id || ''}
+            onChange={(e) => setSelectedSeasonId(e.target.value)}
+            className="w-48"
+          >
+            {seasons.map(s => (
+              <option key={s.id} value={s.id}>{s.name}</option>
+            ))}
+          </FormSelect>
+        )}
+      </div>
+
+      {/* Open a season */}
+      {isSuperAdmin && !seasonsLoading && !openSeason && (
+        <div className="bg-white shadow rounded-lg p-6 mb-6">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">Open Renewal Season</h3>
+          <form onSubmit={handleOpenSeason} className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+            <FormField label="Membership Year" name="renewalYear" required>
+              <FormInput
+                type="number"
+                id="renewalYear"
+                min="2020"
+                max="2100"
+                value={newSeason.year}
+                onChange={(e) => setNewSeason({ ...newSeason, year: e.target.value })}
+              />
+            </FormField>
+            <FormField label="Respond By" name="responseDeadline" required>
+              <FormInput
+                type="date"
+                id="responseDeadline"
+                value={newSeason.responseDeadline}
+                onChange={(e) => setNewSeason({ ...newSeason, responseDeadline: e.target.value })}
+              />
+            </FormField>
+            <div>
+              <button
+                type="submit"
+                disabled={openSeasonMutation.isPending}
+                className="px-4 py-2 bg-primary text-white rounded-md hover:bg-primary/90 disabled:opacity-50"
+              >
+                {openSeasonMutation.isPending ? 'Opening...' : 'Open Season'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {seasonsLoading ? (
+        <p className="text-gray-600">Loading renewal seasons...</p>
+      ) : !season ? (
+        <div className="bg-white shadow rounded-lg p-6">
+          <p className="text-gray-600">No renewal seasons yet.</p>
+        </div>
+      ) : (
+        <>
+          {/* Season summary */}
+          <div className="bg-white shadow rounded-lg p-6 mb-6">
+            <div className="flex justify-between items-start mb-4">
+              <div>
+                <h3 className="text-lg font-semibold text-gray-900">{season.name}</h3>
+                <p className="text-sm text-gray-600">
+                  {isOpen ? `Open - responses due by ${season.responseDeadline}` : 'Closed'}
+                </p>
+              </div>
+              <div className="flex gap-3">
+                <button
+                  onClick={handleGenerateNotices}
+                  disabled={isGenerating || filteredRenewals.length === 0}
+                  className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                >
+                  {isGenerating ? 'Generating...' : `Renewal Notices (${filteredRenewals.length})`}
+                </button>
+                {isSuperAdmin && isOpen && (
+                  <>
+                    <button
+                      onClick={handleApplyFees}
+                      disabled={applyFeesMutation.isPending || summary.renewing + summary.changingCategory === summary.feesApplied}
+                      className="px-4 py-2 bg-primary text-white rounded-md hover:bg-primary/90 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      {applyFeesMutation.isPending ? 'Applying...' : 'Apply Fees to Renewing Members'}
+                    </button>
+                    <button
+                      onClick={handleCloseSeason}
+                      disabled={closeSeasonMutation.isPending}
+                      className="px-4 py-2 border border-red-300 text-red-700 rounded-md hover:bg-red-50 disabled:opacity-50"
+                    >
+                      {closeSeasonMutation.isPending ? 'Closing...' : 'Close Season'}
+                    </button>
+                  </>
+                )}
+              </div>
+            </div>
+
+            <div className="grid grid-cols-2 md:grid-cols-6 gap-4">
+              <div>
+                <p className="text-sm text-gray-500">Notices</p>
+                <p className="text-2xl font-bold text-gray-900">{summary.total}</p>
+              </div>
+              <div>
+                <p className="text-sm text-gray-500">No Response</p>
+                <p className="text-2xl font-bold text-gray-900">{summary.pending}</p>
+              </div>
+              <div>
+                <p className="text-sm text-gray-500">Renewing</p>
+                <p className="text-2xl font-bold text-green-700">{summary.renewing}</p>
+              </div>
+              <div>
+                <p className="text-sm text-gray-500">Changing Category</p>
+                <p className="text-2xl font-bold text-blue-700">{summary.changingCategory}</p>
+              </div>
+              <div>
+                <p className="text-sm text-gray-500">Resigning</p>
+                <p className="text-2xl font-bold text-red-700">{summary.resigning}</p>
+              </div>
+              <div>
+                <p className="text-sm text-gray-500">Fees Applied</p>
+                <p className="text-2xl font-bold text-gray-900">{summary.feesApplied}</p>
+                <p className="text-xs text-gray-500">of ${summary.renewingFeeTotal.toFixed(2)} renewing</p>
+              </div>
+            </div>
+          </div>
+
+          {/* Renewals */}
+          <div className="bg-white shadow rounded-lg p-6">
+            <div className="flex gap-4 mb-4">
+              <FormInput
+                type="text"
+                placeholder="Search members..."
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+                className="max-w-xs"
+              />
+              <FormSelect
+                value={responseFilter}
+                onChange={(e) => setResponseFilter(e.target.value)}
+                className="max-w-xs"
+              >
+                <option value="all">All Responses</option>
+                {Object.entries(RENEWAL_RESPONSE_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </FormSelect>
+            </div>
+
+            {renewalsLoading ? (
+              <p className="text-gray-600">Loading renewals...</p>
+            ) : filteredRenewals.length === 0 ? (
+              <p className="text-gray-600">No renewals match.</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Member</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Renewal Category</th>
+                      <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Fee</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Response</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                        {isOpen ? 'Fee Applied' : 'Outcome'}
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {filteredRenewals.map(renewal => {
+                      const canRespond = isOpen && !renewal.feeId
+                      const showCategorySelect = canRespond && (
+                        changingRenewalId === renewal.id ||
+                        renewal.response === RENEWAL_RESPONSES.CHANGING_CATEGORY
+                      )
+
+                      return (
+                        <tr key={renewal.id}>
+                          <td className="px-4 py-3 text-sm">
+                            <Link
+                              to={`/members/${renewal.memberId}`}
+                              className="text-club-navy hover:text-club-navy-dark font-medium"
+                            >
+                              {renewal.memberName}
+                            </Link>
+                          </td>
+                          <td className="px-4 py-3 text-sm text-gray-700">
+                            {showCategorySelect ? (
+                              <FormSelect
+                                value={renewal.response === RENEWAL_RESPONSES.CHANGING_CATEGORY ? renewal.categoryId : ''}
+                                onChange={(e) => handleCategoryRequest(renewal, e.target.value)}
+                                disabled={responseMutation.isPending}
+                              >
+                                <option value="">Choose new category...</option>
+                                {categories.map(cat => (
+                                  <option key={cat.id} value={cat.id}>{cat.name}</option>
+                                ))}
+                              </FormSelect>
+                            ) : (
+                              <>
+                                {renewal.categoryName}
+                                {renewal.categoryId !== renewal.currentCategoryId && (
+                                  <span className="block text-xs text-gray-500">
+                                    from {getCategoryName(renewal.currentCategoryId)}
+                                  </span>
+                                )}
+                              </>
+                            )}
+                          </td>
+                          <td className="px-4 py-3 text-sm text-right text-gray-900">
+                            ${renewal.feeAmount.toFixed(2)}
+                          </td>
+                          <td className="px-4 py-3 text-sm">
+                            {canRespond ? (
+                              <FormSelect
+                                value={changingRenewalId === renewal.id ? RENEWAL_RESPONSES.CHANGING_CATEGORY : renewal.response}
+                                onChange={(e) => handleResponseChange(renewal, e.target.value)}
+                                disabled={responseMutation.isPending}
+                              >
+                                {Object.entries(RENEWAL_RESPONSE_LABELS).map(([value, label]) => (
+                                  <option key={value} value={value}>{label}</option>
+                                ))}
+                              </FormSelect>
+                            ) : (
+                              <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${RESPONSE_STYLES[renewal.response]}`}>
+                                {RENEWAL_RESPONSE_LABELS[renewal.response]}
+                              </span>
+                            )}
+                            {renewal.responseDate && (
+                              <span className="block text-xs text-gray-500 mt-1">{renewal.responseDate}</span>
+                            )}
+                          </td>
+                          <td className="px-4 py-3 text-sm text-gray-700">
+                            {isOpen
+                              ? (renewal.feeId ? 'Applied' : '-')
+                              : (renewal.outcome ? formatMemberStatus(renewal.outcome) : renewal.feeId ? 'Renewed' : '-')}
+                          </td>
+                        </tr>
+                      )
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </>
+      )}
+
+      {/* Results Modal */}
+      {results && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg shadow-xl max-w-3xl w-full max-h-[90vh] overflow-hidden">
+            <div className="p-6 border-b border-gray-200">
+              <h3 className="text-lg font-semibold text-gray-900">{results.title}</h3>
+            </div>
+
+            <div className="p-6 overflow-y-auto max-h-[calc(90vh-200px)]">
+              <div className="grid grid-cols-3 gap-4 mb-6">
+                <div className="bg-success/10 p-4 rounded-lg">
+                  <p className="text-sm text-success/90">Successful</p>
+                  <p className="text-2xl font-bold text-success">{results.successful}</p>
+                </div>
+                <div className="bg-gray-50 p-4 rounded-lg">
+                  <p className="text-sm text-gray-700">Skipped</p>
+                  <p className="text-2xl font-bold text-gray-900">{results.skipped}</p>
+                </div>
+                <div className="bg-red-50 p-4 rounded-lg">
+                  <p className="text-sm text-red-700">Failed</p>
+                  <p className="text-2xl font-bold text-red-900">{results.failed}</p>
+                </div>
+              </div>
+
+              {results.details.some(detail => detail.status !== 'success') && (
+                <ul className="space-y-1 text-sm">
+                  {results.details.filter(detail => detail.status !== 'success').map(detail => (
+                    <li key={detail.id} className={detail.status === 'failed' ? 'text-red-700' : 'text-gray-700'}>
+                      {detail.memberName}: {detail.error || detail.reason}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            <div className="p-6 border-t border-gray-200 flex justify-end">
+              <button
+                onClick={() => setResults(null)}
+                className="px-4 py-2 bg-primary text-white rounded-md hover:bg-primary/90"
+              >
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default Renewals
@@ -1,8 +1,16 @@
 import { useState } from 'react'
 import { useQuery } from '@tanstack/react-query'
 import { getMembersWithOutstandingBalance, getMemberStats, downloadMembersCSV, getAllMembers } from '../services/membersService'
-import { getPaymentStats, getAllPayments } from '../services/paymentsService'
+import { getPaymentStats, getAllPayments, formatPaymentStatus, formatPaymentMethod, getNetPaymentAmount } from '../services/paymentsService'
+import { usePaymentMethods } from '@/hooks/usePaymentMethods'
+import { useClubSettings } from '@/hooks/useClubSettings'
+import { useCustomFields } from '@/hooks/useCustomFields'
+import { useVouchers } from '@/hooks/useVouchers'
+import { DEFAULT_CLUB_SETTINGS } from '../services/clubSettingsService'
 import { getAllCategories } from '../services/membershipCategories'
+import { getAllFees, summariseFeeRevenue } from '../services/feeService'
+import { isCurrentMember, formatMemberStatus } from '../services/memberStatusService'
+import { summariseVoucherLiability, VOUCHER_STATUS_LABELS } from '../services/voucherService'
 import { handleError } from '@/utils/errorHandler'
 import jsPDF from 'jspdf'
 
@@ -12,6 +20,9 @@ const Reports = () => {
   const [exportFormat, setExportFormat] = useState('csv')
   const [isGenerating, setIsGenerating] = useState(false)
 
+  const { data: paymentMethods = [] } = usePaymentMethods()
+  const { data: club = DEFAULT_CLUB_SETTINGS } = useClubSettings()
+
   // Fetch outstanding members
   const { data: outstandingMembers = [], isLoading: outstandingLoading } = useQuery({
     queryKey: ['members', 'outstanding'],
@@ -40,16 +51,30 @@ const Reports = () => {
     staleTime: 30 * 60 * 1000,
   })
 
-  const isLoading = outstandingLoading || statsLoading || paymentStatsLoading
+  // Fetch fees for revenue by fee year and category
+  const { data: fees = [], isLoading: feesLoading } = useQuery({
+    queryKey: ['fees', 'all'],
+    queryFn: getAllFees,
+    staleTime: 5 * 60 * 1000,
+  })
+
+  const { data: customFields = [] } = useCustomFields()
+  const { data: vouchers = [], isLoading: vouchersLoading } = useVouchers()
+
+  const feeRevenue = summariseFeeRevenue(fees)
+  const feeRevenueYears = [...new Set(feeRevenue.map(row => row.feeYear))]
+  const voucherLiability = summariseVoucherLiability(vouchers)
+
+  const isLoading = outstandingLoading || statsLoading || paymentStatsLoading || feesLoading || vouchersLoading
 
   const handleExportOutstanding = () => {
-    downloadMembersCSV(outstandingMembers, `outstanding-payments-${new Date().toISOString().split('T')[0]}.csv`)
+    downloadMembersCSV(outstandingMembers, `outstanding-payments-${new Date().toISOString().split('T')[0]}.csv`, customFields)
   }
 
   const handleExportAllMembers = async () => {
     try {
       const allMembers = await getAllMembers()
-      downloadMembersCSV(allMembers, `all-members-${new Date().toISOString().split('T')[0]}.csv`)
+      downloadMembersCSV(allMembers, `all-members-${new Date().toISOString().split('T')[0]}.csv`, customFields)
     } catch (error) {
       handleError(error, 'Failed to export members')
     }
@@ -82,7 +107,7 @@ const Reports = () => {
             'Email': m.email || '',
             'Phone': m.phone || '',
             'Category': categories.find(c => c.id === m.membershipCategory)?.name || '',
-            'Status': m.status,
+            'Status': formatMemberStatus(m.status),
             'Balance': `$${(m.accountBalance || 0).toFixed(2)}`,
             'Date Joined': m.dateJoined || ''
           }))
@@ -93,7 +118,7 @@ const Reports = () => {
 
         case 'active-members': {
           const allActive = await getAllMembers()
-          const activeMembers = allActive.filter(m => m.status === 'active')
+          const activeMembers = allActive.filter(isCurrentMember)
           data = activeMembers.map(m => ({
             'Member Name': m.fullName,
             'Email': m.email || '',
@@ -115,7 +140,10 @@ const Reports = () => {
             'Receipt #': p.receiptNumber,
             'Member': p.memberName,
             'Amount': `$${p.amount.toFixed(2)}`,
-            'Method': p.paymentMethod === 'bank_transfer' ? 'Bank Transfer' : 'Cash',
+            'Status': formatPaymentStatus(p.status),
+            'Net Amount': `$${getNetPaymentAmount(p).toFixed(2)}`,
+            'Credit Note': p.creditNoteNumber || '',
+            'Method': formatPaymentMethod(p.paymentMethod, paymentMethods),
             'Reference': p.reference || '',
             'Recorded By': p.recordedBy
           }))
@@ -124,6 +152,20 @@ const Reports = () => {
           break
         }
 
+        case 'voucher-liability':
+          data = voucherLiability.vouchers.map(v => ({
+            'Code': v.code,
+            'Recipient': v.recipientName || v.purchaserName,
+            'Issued': v.issueDate,
+            'Expires': v.expiryDate,
+            'Value': `$${v.faceValue.toFixed(2)}`,
+            'Balance': `$${v.balance.toFixed(2)}`,
+            'Status': VOUCHER_STATUS_LABELS[v.currentStatus]
+          }))
+          filename = `voucher-liability-${new Date().toISOString().split('T')[0]}`
+          title = 'Gift Voucher Liability'
+          break
+
         default:
           return
       }
@@ -266,7 +308,7 @@ const Reports = () => {
       doc.setFontSize(8)
       doc.setTextColor(150, 150, 150)
       doc.text(`Page ${i} of ${totalPages}`, pageWidth / 2, pageHeight - 10, { align: 'center' })
-      doc.text('Tea Tree Golf Club', pageWidth - 15, pageHeight - 10, { align: 'right' })
+      doc.text(club.clubName, pageWidth - 15, pageHeight - 10, { align: 'right' })
     }
 
     doc.save(`${filename}.pdf`)
@@ -325,21 +367,138 @@ const Reports = () => {
             ${(paymentStats?.totalAmount || 0).toFixed(2)}
           </p>
           <p className="text-sm text-gray-500 mt-1">{paymentStats?.totalCount || 0} payments</p>
+          {paymentStats?.voucherCount > 0 && (
+            <p className="text-xs text-gray-500 mt-1">
+              Excludes ${paymentStats.voucherAmount.toFixed(2)} paid by gift voucher
+            </p>
+          )}
         </div>
 
         <div className="bg-white shadow rounded-lg p-6">
           <p className="text-sm font-medium text-gray-600">Payment Methods</p>
           <div className="mt-2 space-y-1">
-            <p className="text-sm text-gray-700">
-              Bank: ${(paymentStats?.byMethod.bank_transfer || 0).toFixed(2)}
-            </p>
-            <p className="text-sm text-gray-700">
-              Cash: ${(paymentStats?.byMethod.cash || 0).toFixed(2)}
-            </p>
+            {Object.entries(paymentStats?.byMethod || {}).map(([code, amount]) => (
+              <p key={code} className="text-sm text-gray-700">
+                {formatPaymentMethod(code, paymentMethods)}: ${amount.toFixed(2)}
+              </p>
+            ))}
+            {Object.keys(paymentStats?.byMethod || {}).length === 0 && (
+              <p className="text-sm text-gray-500">No payments</p>
+            )}
           </div>
         </div>
       </div>
 
+      {/* Revenue by Fee Year and Category */}
+      <div className="bg-white shadow rounded-lg p-6 mb-6">
+        <h2 className="text-lg font-semibold text-gray-900 mb-1">Revenue by Fee</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          Payments allocated to each fee, grouped by the year and category the fee was charged for.
+        </p>
+        {feeRevenue.length === 0 ? (
+          <p className="text-sm text-gray-500">No fees applied</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Fee Year</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Category</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Fees</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Charged</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Collected</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Outstanding</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {feeRevenueYears.map(year => {
+                  const rows = feeRevenue.filter(row => row.feeYear === year)
+                  const total = (field) => rows.reduce((sum, row) => sum + row[field], 0)
+                  return [
+                    ...rows.map(row => (
+                      <tr key={`${year}-${row.categoryName}`}>
+                        <td className="px-4 py-2 text-sm text-gray-900">{year}</td>
+                        <td className="px-4 py-2 text-sm text-gray-700">{row.categoryName}</td>
+                        <td className="px-4 py-2 text-sm text-right text-gray-700">{row.count}</td>
+                        <td className="px-4 py-2 text-sm text-right text-gray-900">${row.charged.toFixed(2)}</td>
+                        <td className="px-4 py-2 text-sm text-right text-primary">${row.collected.toFixed(2)}</td>
+                        <td className="px-4 py-2 text-sm text-right text-red-600">${row.outstanding.toFixed(2)}</td>
+                      </tr>
+                    )),
+                    <tr key={`${year}-total`} className="bg-gray-50 font-medium">
+                      <td className="px-4 py-2 text-sm text-gray-900" colSpan={2}>{year} total</td>
+                      <td className="px-4 py-2 text-sm text-right text-gray-900">{total('count')}</td>
+                      <td className="px-4 py-2 text-sm text-right text-gray-900">${total('charged').toFixed(2)}</td>
+                      <td className="px-4 py-2 text-sm text-right text-primary">${total('collected').toFixed(2)}</td>
+                      <td className="px-4 py-2 text-sm text-right text-red-600">${total('outstanding').toFixed(2)}</td>
+                    </tr>
+                  ]
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Gift Voucher Liability */}
+      <div className="bg-white shadow rounded-lg p-6 mb-6">
+        <h2 className="text-lg font-semibold text-gray-900 mb-1">Voucher Liability</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          Unredeemed gift voucher value the club still owes. Value left on expired vouchers is shown separately.
+        </p>
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4">
+          <div className="bg-gray-50 p-4 rounded-lg">
+            <p className="text-sm text-gray-600">Sold</p>
+            <p className="text-2xl font-bold text-gray-900">${voucherLiability.issued.toFixed(2)}</p>
+            <p className="text-xs text-gray-500">{vouchers.length} vouchers</p>
+          </div>
+          <div className="bg-gray-50 p-4 rounded-lg">
+            <p className="text-sm text-gray-600">Redeemed</p>
+            <p className="text-2xl font-bold text-primary">${voucherLiability.redeemed.toFixed(2)}</p>
+          </div>
+          <div className="bg-gray-50 p-4 rounded-lg">
+            <p className="text-sm text-gray-600">Outstanding</p>
+            <p className="text-2xl font-bold text-red-600">${voucherLiability.outstanding.toFixed(2)}</p>
+            <p className="text-xs text-gray-500">{voucherLiability.outstandingCount} active vouchers</p>
+          </div>
+          <div className="bg-gray-50 p-4 rounded-lg">
+            <p className="text-sm text-gray-600">Expired Unredeemed</p>
+            <p className="text-2xl font-bold text-gray-900">${voucherLiability.expired.toFixed(2)}</p>
+            <p className="text-xs text-gray-500">{voucherLiability.expiredCount} vouchers</p>
+          </div>
+        </div>
+        {voucherLiability.vouchers.length === 0 ? (
+          <p className="text-sm text-gray-500">No vouchers with value left</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Code</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Recipient</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Expires</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Value</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Balance</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {voucherLiability.vouchers.map(v => (
+                  <tr key={v.code}>
+                    <td className="px-4 py-2 text-sm font-mono text-gray-900">{v.code}</td>
+                    <td className="px-4 py-2 text-sm text-gray-700">{v.recipientName || v.purchaserName}</td>
+                    <td className="px-4 py-2 text-sm text-gray-700">{v.expiryDate}</td>
+                    <td className="px-4 py-2 text-sm text-right text-gray-700">${v.faceValue.toFixed(2)}</td>
+                    <td className="px-4 py-2 text-sm text-right text-gray-900">${v.balance.toFixed(2)}</td>
+                    <td className="px-4 py-2 text-sm text-gray-700">{VOUCHER_STATUS_LABELS[v.currentStatus]}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
       {/* Report Builder */}
       <div className="bg-white shadow rounded-lg p-6 mb-6">
         <div className="mb-4">
@@ -363,6 +522,7 @@ const Reports = () => {
               <option value="all-members">All Members</option>
               <option value="active-members">Active Members Only</option>
               <option value="payments">Payment History ({selectedYear})</option>
+              <option value="voucher-liability">Gift Voucher Liability</option>
             </select>
           </div>
 
@@ -419,12 +579,14 @@ const Reports = () => {
             {reportType === 'all-members' && 'All Members Report'}
             {reportType === 'active-members' && 'Active Members Report'}
             {reportType === 'payments' && `Payment History Report (${selectedYear})`}
+            {reportType === 'voucher-liability' && 'Gift Voucher Liability Report'}
           </h3>
           <p className="text-sm text-blue-800">
             {reportType === 'outstanding' && `Includes ${outstandingMembers.length} members with outstanding balances totaling $${(memberStats?.totalOutstanding || 0).toFixed(2)}`}
             {reportType === 'all-members' && `Includes all ${memberStats?.total || 0} members (active and inactive) with complete contact and membership details`}
             {reportType === 'active-members' && `Includes ${memberStats?.active || 0} active members with current membership status and balance information`}
             {reportType === 'payments' && `Includes ${paymentStats?.totalCount || 0} payments totaling $${(paymentStats?.totalAmount || 0).toFixed(2)} for the year ${selectedYear}`}
+            {reportType === 'voucher-liability' && `Includes ${voucherLiability.vouchers.length} vouchers with $${voucherLiability.outstanding.toFixed(2)} outstanding and $${voucherLiability.expired.toFixed(2)} expired unredeemed`}
           </p>
           <div className="mt-3 text-xs text-blue-700">
             <strong>Fields included:</strong>
@@ -432,6 +594,7 @@ const Reports = () => {
             {reportType === 'all-members' && ' Member Name, Email, Phone, Category, Status, Balance, Date Joined'}
             {reportType === 'active-members' && ' Member Name, Email, Phone, Category, Balance, Date Joined'}
             {reportType === 'payments' && ' Date, Receipt #, Member, Amount, Payment Method, Reference, Recorded By'}
+            {reportType === 'voucher-liability' && ' Code, Recipient, Issued, Expires, Value, Balance, Status'}
           </div>
         </div>
       </div>
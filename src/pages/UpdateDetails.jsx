@@ -0,0 +1,163 @@
+import { useState, useRef } from 'react'
+import { Link } from 'react-router-dom'
+import { useForm } from 'react-hook-form'
+import { zodResolver } from '@hookform/resolvers/zod'
+import ReCAPTCHA from 'react-google-recaptcha'
+import { RECAPTCHA_SITE_KEY } from '../config/recaptcha'
+import { detailsUpdateRequestSchema } from '../schemas'
+import { AUSTRALIAN_STATES } from '../services/applicationsService'
+import { TRACKED_DETAIL_FIELDS } from '../services/memberEventService'
+import { DEFAULT_CLUB_SETTINGS } from '../services/clubSettingsService'
+import { useSubmitPublicChangeRequest } from '@/hooks/useChangeRequests'
+import { useClubSettings } from '@/hooks/useClubSettings'
+import { FormField, FormInput, FormSelect } from '../components/form'
+import ClubPicker from '../components/ClubPicker'
+
+const EMPTY_FORM = {
+  fullName: '',
+  golfAustraliaId: '',
+  email: '',
+  phoneMobile: '',
+  phoneHome: '',
+  phoneWork: '',
+  streetAddress: '',
+  suburb: '',
+  state: '',
+  postcode: ''
+}
+
+/**
+ * UpdateDetails - Public "update my details" form
+ * Members who don't use the portal send new contact details here; they go to the
+ * club's change request queue and are matched to the member when reviewed.
+ */
+const UpdateDetails = () => {
+  const recaptchaRef = useRef(null)
+  const { data: club = DEFAULT_CLUB_SETTINGS } = useClubSettings()
+  const [captchaToken, setCaptchaToken] = useState(null)
+  const [submitted, setSubmitted] = useState(false)
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors },
+  } = useForm({
+    resolver: zodResolver(detailsUpdateRequestSchema),
+    defaultValues: EMPTY_FORM,
+  })
+
+  const submitMutation = useSubmitPublicChangeRequest({
+    onSuccess: () => {
+      reset(EMPTY_FORM)
+      setSubmitted(true)
+    },
+    onError: () => {
+      recaptchaRef.current?.reset()
+      setCaptchaToken(null)
+    }
+  })
+
+  const renderInput = (field, props = {}) => (
+    <FormField label={TRACKED_DETAIL_FIELDS[field]} name={field} error={errors[field]?.message}>
+      <FormInput id={field} error={errors[field]?.message} {...props} {...register(field)} />
+    </FormField>
+  )
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-club-navy to-club-navy-dark py-8 px-4">
+      <div className="max-w-2xl mx-auto">
+        <div className="bg-white rounded-lg shadow-xl p-8 mb-6">
+          <h1 className="text-3xl font-bold text-club-navy mb-2">{club.clubName}</h1>
+          <h2 className="text-xl text-gray-700 mb-4">Update My Details</h2>
+          <p className="text-gray-600">
+            Moved house or changed your phone number? Let us know below. Only fill in the details that
+            have changed - the club will check them before updating your membership record.
+          </p>
+          <ClubPicker label="Your club" className="mt-4 max-w-sm" />
+        </div>
+
+        {submitted ? (
+          <div className="bg-white rounded-lg shadow p-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-2">Thank you</h3>
+            <p className="text-gray-600 mb-4">
+              Your details have been sent to the club. They&apos;ll be updated once the club has checked them.
+            </p>
+            <button
+              onClick={() => setSubmitted(false)}
+              className="text-club-navy hover:text-club-navy-dark font-medium"
+            >
+              Send more changes
+            </button>
+          </div>
+        ) : (
+          <form
+            onSubmit={handleSubmit(data => submitMutation.mutate(data))}
+            className="bg-white rounded-lg shadow p-6 space-y-4"
+          >
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="md:col-span-2">
+                <FormField label="Your Name" name="fullName" required error={errors.fullName?.message}>
+                  <FormInput id="fullName" error={errors.fullName?.message} {...register('fullName')} />
+                </FormField>
+              </div>
+              <FormField
+                label="Golf Australia ID"
+                name="golfAustraliaId"
+                error={errors.golfAustraliaId?.message}
+                helpText="Helps us find your record"
+              >
+                <FormInput id="golfAustraliaId" error={errors.golfAustraliaId?.message} {...register('golfAustraliaId')} />
+              </FormField>
+            </div>
+
+            <h3 className="text-lg font-semibold text-gray-900 pt-2">New Details</h3>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {renderInput('email', { type: 'email' })}
+              {renderInput('phoneMobile', { type: 'tel' })}
+              {renderInput('phoneHome', { type: 'tel' })}
+              {renderInput('phoneWork', { type: 'tel' })}
+            </div>
+            {renderInput('streetAddress')}
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              {renderInput('suburb')}
+              <FormField label={TRACKED_DETAIL_FIELDS.state} name="state" error={errors.state?.message}>
+                <FormSelect id="state" error={errors.state?.message} {...register('state')}>
+                  <option value="">Select</option>
+                  {AUSTRALIAN_STATES.map(state => (
+                    <option key={state} value={state}>{state}</option>
+                  ))}
+                </FormSelect>
+              </FormField>
+              {renderInput('postcode')}
+            </div>
+
+            <div className="flex justify-center pt-2">
+              <ReCAPTCHA ref={recaptchaRef} sitekey={RECAPTCHA_SITE_KEY} onChange={setCaptchaToken} />
+            </div>
+
+            <div className="flex flex-col sm:flex-row gap-4 justify-between items-center">
+              <Link to="/portal/login" className="text-sm text-club-navy hover:text-club-navy-dark">
+                Use the member portal instead
+              </Link>
+              <button
+                type="submit"
+                disabled={!captchaToken || submitMutation.isPending}
+                className="px-6 py-3 bg-club-navy text-white rounded-md hover:bg-club-navy-dark disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {submitMutation.isPending ? 'Sending...' : 'Send My Details'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        <div className="text-center mt-8 text-white text-sm">
+          <p>{club.clubName}</p>
+          <p>Tel: {club.phone} | Email: {club.email}</p>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default UpdateDetails
@@ -3,9 +3,12 @@ import { useSearchParams, Link } from 'react-router-dom'
 import { verifyEmail } from '../services/applicationsService'
 import { resendVerificationEmail } from '../services/applicationsService'
 import { generateVerificationToken, generateTokenExpiry } from '../services/emailVerificationService'
+import { useClubSettings } from '@/hooks/useClubSettings'
+import { DEFAULT_CLUB_SETTINGS } from '../services/clubSettingsService'
 
 const VerifyEmail = () => {
   const [searchParams] = useSearchParams()
+  const { data: club = DEFAULT_CLUB_SETTINGS } = useClubSettings()
 
   const [status, setStatus] = useState('verifying') // verifying, success, error, expired
   const [errorMessage, setErrorMessage] = useState('')
@@ -154,9 +157,9 @@ const VerifyEmail = () => {
 
             <div className="text-sm text-gray-600 mb-6">
               <p className="mb-2">If you have any questions, please contact us:</p>
-              <p className="font-medium">Tea Tree Golf Club</p>
-              <p>Tel: 03 6268 1692</p>
-              <p>Email: teatreegolf@bigpond.com</p>
+              <p className="font-medium">{club.clubName}</p>
+              <p>Tel: {club.phone}</p>
+              <p>Email: {club.email}</p>
             </div>
 
             <button
@@ -271,9 +274,9 @@ const VerifyEmail = () => {
               If you continue to experience issues, please contact us directly:
             </p>
             <div className="text-sm text-gray-700">
-              <p className="font-medium">Tea Tree Golf Club</p>
-              <p>Tel: 03 6268 1692</p>
-              <p>Email: teatreegolf@bigpond.com</p>
+              <p className="font-medium">{club.clubName}</p>
+              <p>Tel: {club.phone}</p>
+              <p>Email: {club.email}</p>
             </div>
           </div>
 
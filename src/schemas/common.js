@@ -194,8 +194,17 @@ export const requiredStringSchema = (fieldName) =>
 // Titles
 export const titleSchema = z.enum(['Mr', 'Mrs', 'Ms', 'Miss', 'Dr']).optional()
 
-// Member status
-export const memberStatusSchema = z.enum(['active', 'inactive'])
+// Member status (see MEMBER_STATUSES in memberStatusService)
+export const memberStatusSchema = z.enum([
+  'active',
+  'financial',
+  'unfinancial',
+  'suspended',
+  'life',
+  'inactive',
+  'resigned',
+  'deceased',
+])
 
 // User roles
 export const userRoleSchema = z.enum(['view', 'edit', 'admin', 'super_admin'])
@@ -204,7 +213,12 @@ export const userRoleSchema = z.enum(['view', 'edit', 'admin', 'super_admin'])
 export const userStatusSchema = z.enum(['pending', 'active', 'inactive'])
 
 // Payment methods
-export const paymentMethodSchema = z.enum(['bank_transfer', 'cash'])
+// Configurable in the paymentMethods collection - only the stored code is validated here
+export const paymentMethodSchema = z
+  .string()
+  .min(1, 'Payment method is required')
+  .max(50)
+  .regex(/^[a-z0-9_]+$/, 'Invalid payment method')
 
 // Membership types for applications
 export const membershipTypeSchema = z.enum(['Full', 'Restricted', 'Junior'], {
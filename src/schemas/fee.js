@@ -53,6 +53,51 @@ export const transformFeeApplicationFormData = (formData) => {
   }
 }
 
+// Late fee rule form schema
+export const lateFeeRuleFormSchema = z
+  .object({
+    name: z
+      .string()
+      .trim()
+      .min(1, 'Name is required')
+      .max(100, 'Name must be 100 characters or less'),
+    feeYear: z
+      .string()
+      .min(1, 'Fee year is required')
+      .refine(
+        (val) => {
+          const year = parseInt(val)
+          return !isNaN(year) && year >= 2020 && year <= 2100
+        },
+        'Please select a valid year'
+      ),
+    cutoffDate: z.string().min(1, 'Cutoff date is required'),
+    graceDays: z
+      .string()
+      .min(1, 'Grace period is required')
+      .refine(
+        (val) => !isNaN(parseInt(val)) && parseInt(val) >= 0 && parseInt(val) <= 365,
+        'Grace period must be between 0 and 365 days'
+      ),
+    amountType: z.enum(['flat', 'percentage']),
+    amount: z
+      .string()
+      .min(1, 'Amount is required')
+      .refine(
+        (val) => !isNaN(parseFloat(val)) && parseFloat(val) > 0,
+        'Amount must be greater than zero'
+      ),
+    categoryIds: z.array(z.string()).optional().default([]),
+    active: z.boolean().default(true),
+  })
+  .refine(
+    (data) => data.amountType !== 'percentage' || parseFloat(data.amount) <= 100,
+    {
+      message: 'Percentage cannot be more than 100',
+      path: ['amount'],
+    }
+  )
+
 // Validate fee application form
 export const validateFeeApplicationForm = (data) => {
   return feeApplicationFormSchema.safeParse(data)
@@ -39,9 +39,14 @@ export {
   memberSchema,
   memberFormSchema,
   memberCSVRowSchema,
+  contactDetailsSchema,
+  detailsUpdateRequestSchema,
+  customFieldFormSchema,
   transformCSVRowToMember,
   validateMemberForm,
   validateMember,
+  validateContactDetails,
+  validateDetailsUpdateRequest,
   validateCSVRow,
 } from './member'
 
@@ -50,7 +55,12 @@ export {
   paymentSchema,
   paymentFormSchema,
   paymentUpdateSchema,
+  paymentReversalFormSchema,
+  paymentMethodFormSchema,
+  voucherFormSchema,
   transformPaymentFormData,
+  transformPaymentReversalFormData,
+  transformVoucherFormData,
   validatePaymentForm,
   validatePayment,
 } from './payment'
@@ -92,6 +102,7 @@ export {
 export {
   feeSchema,
   feeApplicationFormSchema,
+  lateFeeRuleFormSchema,
   transformFeeApplicationFormData,
   validateFeeApplicationForm,
   validateFee,
@@ -2,6 +2,7 @@ import { z } from 'zod'
 import {
   optionalEmailSchema,
   optionalAustralianPhoneSchema,
+  optionalPostcodeSchema,
   optionalDateOfBirthSchema,
   dateSchema,
   memberStatusSchema,
@@ -48,6 +49,49 @@ export const memberFormSchema = z.object({
   dateJoined: z.string().min(1, 'Date joined is required'),
   membershipCategory: z.string().optional().default(''), // Auto-determined from DOB if empty
   status: z.string().default('active'),
+  statusReason: z.string().max(200, 'Reason must be 200 characters or less').optional().default(''),
+  tags: z.array(z.string().max(50, 'Tags must be 50 characters or less')).optional().default([]),
+  // Club-defined fields by key - checked against the field definitions by parseCustomFieldValues
+  customFields: z.record(z.string(), z.unknown()).optional().default({}),
+})
+
+// Custom member field form schema - Admin > Member Fields
+export const customFieldFormSchema = z.object({
+  label: z
+    .string()
+    .trim()
+    .min(1, 'Label is required')
+    .max(50, 'Label must be 50 characters or less'),
+  type: z.enum(['text', 'number', 'date', 'select', 'boolean']),
+  options: z.string().max(2000, 'Options are too long').optional().default(''),
+  active: z.boolean().default(true),
+  order: z
+    .string()
+    .min(1, 'Order is required')
+    .refine((val) => !isNaN(parseInt(val)) && parseInt(val) >= 0, 'Order must be a non-negative number'),
+}).refine(
+  (data) => data.type !== 'select' || data.options.trim().length > 0,
+  { message: 'Enter at least one option', path: ['options'] }
+)
+
+// Contact details a member can ask to change from the member portal
+export const contactDetailsSchema = z.object({
+  // Lowercase - portal sign-in matches the member's email exactly
+  email: optionalEmailSchema.transform((val) => val.toLowerCase()).optional().default(''),
+  phoneMobile: optionalAustralianPhoneSchema.optional().default(''),
+  phoneHome: optionalAustralianPhoneSchema.optional().default(''),
+  phoneWork: optionalAustralianPhoneSchema.optional().default(''),
+  streetAddress: z.string().trim().max(255, 'Street address is too long').optional().default(''),
+  suburb: z.string().trim().max(100, 'Suburb is too long').optional().default(''),
+  state: z.string().trim().max(3).optional().default(''),
+  postcode: optionalPostcodeSchema.optional().default(''),
+})
+
+// Public "update my details" form - the club matches the person to a member when reviewing
+// Contact details left blank are not changed
+export const detailsUpdateRequestSchema = contactDetailsSchema.extend({
+  fullName: z.string().trim().min(1, 'Your name is required').max(100, 'Name is too long'),
+  golfAustraliaId: z.string().trim().max(20, 'Golf Australia ID is too long').optional().default(''),
 })
 
 // CSV row schema for imports
@@ -76,8 +120,8 @@ export const memberCSVRowSchema = z.object({
     .optional()
     .refine(
       (val) =>
-        !val || ['active', 'inactive'].includes(val.toLowerCase()),
-      'Status must be "active" or "inactive"'
+        !val || memberStatusSchema.options.includes(val.toLowerCase()),
+      `Status must be one of: ${memberStatusSchema.options.join(', ')}`
     ),
   accountBalance: z
     .string()
@@ -119,6 +163,16 @@ export const validateMember = (data) => {
   return memberSchema.safeParse(data)
 }
 
+// Validate contact details from the member portal
+export const validateContactDetails = (data) => {
+  return contactDetailsSchema.safeParse(data)
+}
+
+// Validate the public "update my details" form
+export const validateDetailsUpdateRequest = (data) => {
+  return detailsUpdateRequestSchema.safeParse(data)
+}
+
 // Validate CSV row
 export const validateCSVRow = (row) => {
   return memberCSVRowSchema.safeParse(row)
@@ -59,6 +59,115 @@ export const paymentUpdateSchema = z.object({
   notes: z.string().optional().default(''),
 })
 
+// Reversal form schema - voiding or refunding an issued receipt
+export const paymentReversalFormSchema = z
+  .object({
+    reversalType: z.enum(['void', 'refund']),
+    amount: z.string().optional().default(''),
+    reversalDate: z.string().min(1, 'Date is required'),
+    refundMethod: z.string().optional().default(''),
+    reason: z
+      .string()
+      .trim()
+      .min(3, 'Please give a reason')
+      .max(500, 'Reason must be 500 characters or less'),
+  })
+  .refine(
+    (data) => {
+      if (data.reversalType !== 'refund') return true
+      const num = parseFloat(data.amount)
+      return !isNaN(num) && num > 0
+    },
+    { message: 'Refund amount must be greater than 0', path: ['amount'] }
+  )
+
+// Transform reversal form data for the service layer
+export const transformPaymentReversalFormData = (formData) => {
+  return {
+    reversalType: formData.reversalType,
+    amount: formData.reversalType === 'refund' ? parseFloat(formData.amount) : undefined,
+    reversalDate: formData.reversalDate,
+    refundMethod: formData.reversalType === 'refund' ? formData.refundMethod || '' : '',
+    reason: formData.reason.trim(),
+  }
+}
+
+// Payment method form schema - Admin > Payment Methods
+export const paymentMethodFormSchema = z.object({
+  name: z
+    .string()
+    .trim()
+    .min(1, 'Name is required')
+    .max(50, 'Name must be 50 characters or less'),
+  requiresReference: z.boolean().default(false),
+  referenceFormat: z
+    .string()
+    .optional()
+    .default('')
+    .refine(
+      (val) => {
+        if (!val) return true
+        try {
+          new RegExp(val)
+          return true
+        } catch {
+          return false
+        }
+      },
+      'Reference format must be a valid regular expression'
+    ),
+  referenceHint: z.string().max(100, 'Hint must be 100 characters or less').optional().default(''),
+  active: z.boolean().default(true),
+  order: z
+    .string()
+    .min(1, 'Order is required')
+    .refine((val) => !isNaN(parseInt(val)) && parseInt(val) >= 0, 'Order must be a non-negative number'),
+})
+
+// Voucher form schema - issuing a gift voucher
+export const voucherFormSchema = z
+  .object({
+    faceValue: z
+      .string()
+      .min(1, 'Value is required')
+      .refine(
+        (val) => {
+          const num = parseFloat(val)
+          return !isNaN(num) && num > 0 && num <= 10000
+        },
+        'Value must be between $0.01 and $10,000'
+      ),
+    purchaserName: z
+      .string()
+      .trim()
+      .min(1, 'Purchaser is required')
+      .max(100, 'Purchaser must be 100 characters or less'),
+    recipientName: z.string().trim().max(100, 'Recipient must be 100 characters or less').optional().default(''),
+    issueDate: z.string().min(1, 'Issue date is required'),
+    expiryDate: z.string().min(1, 'Expiry date is required'),
+    purchaseMethod: paymentMethodSchema,
+    purchaseReference: z.string().max(100, 'Reference must be 100 characters or less').optional().default(''),
+    notes: z.string().max(500, 'Notes must be 500 characters or less').optional().default(''),
+  })
+  .refine(
+    (data) => data.expiryDate > data.issueDate,
+    { message: 'Expiry date must be after the issue date', path: ['expiryDate'] }
+  )
+
+// Transform voucher form data for the service layer
+export const transformVoucherFormData = (formData) => {
+  return {
+    faceValue: parseFloat(formData.faceValue),
+    purchaserName: formData.purchaserName.trim(),
+    recipientName: (formData.recipientName || '').trim(),
+    issueDate: formData.issueDate,
+    expiryDate: formData.expiryDate,
+    purchaseMethod: formData.purchaseMethod,
+    purchaseReference: formData.purchaseReference || '',
+    notes: formData.notes || '',
+  }
+}
+
 // Validate payment form data
 export const validatePaymentForm = (data) => {
   return paymentFormSchema.safeParse(data)
@@ -1,14 +1,36 @@
 import {
   collection,
   getDocs,
-  doc,
+  query,
+  limit,
   writeBatch
 } from 'firebase/firestore'
 import { db } from '../firebase'
+import { clubCollection, clubDoc, getActiveClubId } from '../lib/firebase/clubScope'
+import { DEFAULT_CLUB_ID } from './clubService'
+import { rebuildPortalProfiles } from './memberPortalService'
 
 const MEMBERS_COLLECTION = 'members'
 const PAYMENTS_COLLECTION = 'payments'
 const USERS_COLLECTION = 'users'
+const LEDGER_COLLECTION = 'ledgerEntries'
+const INSTALMENT_PLANS_COLLECTION = 'instalmentPlans'
+const MEMBER_EVENTS_COLLECTION = 'memberEvents'
+const RENEWAL_SEASONS_COLLECTION = 'renewalSeasons'
+const RENEWALS_COLLECTION = 'renewals'
+const MEMBER_GROUPS_COLLECTION = 'memberGroups'
+const CHANGE_REQUESTS_COLLECTION = 'memberChangeRequests'
+const PORTAL_MEMBERS_COLLECTION = 'portalMembers'
+const PORTAL_PROFILES_COLLECTION = 'portalProfiles'
+const VOUCHERS_COLLECTION = 'vouchers'
+
+// Top-level collections from before clubs existed - imported into the first club
+const LEGACY_COLLECTIONS = [
+  'members', 'payments', 'fees', 'ledgerEntries', 'memberEvents', 'statementSuspense',
+  'instalmentPlans', 'reconciliationLog', 'membershipCategories', 'paymentMethods',
+  'lateFeeRules', 'memberGroups', 'renewalSeasons', 'renewals', 'settings',
+  'applications', 'receipt_counters', 'credit_note_counters', 'users'
+]
 
 /**
  * Clear all data from a specific collection
@@ -18,7 +40,7 @@ const USERS_COLLECTION = 'users'
  */
 export const clearCollection = async (collectionName, excludeIds = []) => {
   try {
-    const collectionRef = collection(db, collectionName)
+    const collectionRef = clubCollection(collectionName)
     const snapshot = await getDocs(collectionRef)
 
     if (snapshot.empty) {
@@ -37,7 +59,7 @@ export const clearCollection = async (collectionName, excludeIds = []) => {
         continue
       }
 
-      batch.delete(doc(db, collectionName, document.id))
+      batch.delete(clubDoc(collectionName, document.id))
       operationCount++
       deletedCount++
 
@@ -62,7 +84,7 @@ export const clearCollection = async (collectionName, excludeIds = []) => {
 }
 
 /**
- * Clear all data from the system (members, payments)
+ * Clear all data from the system (members, payments, ledger entries)
  * Preserves super admin users
  * @param {string[]} preserveUserIds - Array of user IDs to preserve (typically super admins)
  * @returns {Object} Object with counts of deleted documents
@@ -72,6 +94,12 @@ export const clearAllData = async (preserveUserIds = []) => {
     const results = {
       members: 0,
       payments: 0,
+      ledgerEntries: 0,
+      instalmentPlans: 0,
+      memberEvents: 0,
+      renewals: 0,
+      memberGroups: 0,
+      changeRequests: 0,
       users: 0,
       errors: []
     }
@@ -90,6 +118,53 @@ export const clearAllData = async (preserveUserIds = []) => {
       results.errors.push(`Failed to clear payments: ${error.message}`)
     }
 
+    // Clear ledger entries (they would otherwise reference deleted members)
+    try {
+      results.ledgerEntries = await clearCollection(LEDGER_COLLECTION)
+    } catch (error) {
+      results.errors.push(`Failed to clear ledger entries: ${error.message}`)
+    }
+
+    // Clear instalment plans (their paid amounts come from the deleted payments)
+    try {
+      results.instalmentPlans = await clearCollection(INSTALMENT_PLANS_COLLECTION)
+    } catch (error) {
+      results.errors.push(`Failed to clear instalment plans: ${error.message}`)
+    }
+
+    // Clear member timelines (they would otherwise reference deleted members)
+    try {
+      results.memberEvents = await clearCollection(MEMBER_EVENTS_COLLECTION)
+    } catch (error) {
+      results.errors.push(`Failed to clear member events: ${error.message}`)
+    }
+
+    // Clear renewal seasons and their renewals (one notice per deleted member)
+    try {
+      results.renewals = await clearCollection(RENEWALS_COLLECTION)
+      await clearCollection(RENEWAL_SEASONS_COLLECTION)
+    } catch (error) {
+      results.errors.push(`Failed to clear renewals: ${error.message}`)
+    }
+
+    // Clear family, couple and corporate memberships (they list deleted members)
+    try {
+      results.memberGroups = await clearCollection(MEMBER_GROUPS_COLLECTION)
+    } catch (error) {
+      results.errors.push(`Failed to clear member groups: ${error.message}`)
+    }
+
+    // Clear change requests and member portal links and profiles (they reference deleted members)
+    try {
+      results.changeRequests = await clearCollection(CHANGE_REQUESTS_COLLECTION)
+      await clearCollection(PORTAL_MEMBERS_COLLECTION)
+      await clearCollection(PORTAL_PROFILES_COLLECTION)
+    } catch (error) {
+      results.errors.push(`Failed to clear change requests: ${error.message}`)
+    }
+
+    // Gift vouchers are kept - their value is still owed to whoever holds them
+
     // Clear users (except preserved ones)
     try {
       results.users = await clearCollection(USERS_COLLECTION, preserveUserIds)
@@ -111,9 +186,9 @@ export const clearAllData = async (preserveUserIds = []) => {
 export const getDataStats = async () => {
   try {
     const [membersSnap, paymentsSnap, usersSnap] = await Promise.all([
-      getDocs(collection(db, MEMBERS_COLLECTION)),
-      getDocs(collection(db, PAYMENTS_COLLECTION)),
-      getDocs(collection(db, USERS_COLLECTION))
+      getDocs(clubCollection(MEMBERS_COLLECTION)),
+      getDocs(clubCollection(PAYMENTS_COLLECTION)),
+      getDocs(clubCollection(USERS_COLLECTION))
     ])
 
     return {
@@ -134,12 +209,23 @@ export const getDataStats = async () => {
 export const exportAllData = async () => {
   try {
     // Fetch all collections in parallel
-    const [membersSnap, paymentsSnap, usersSnap, categoriesSnap, feesSnap] = await Promise.all([
-      getDocs(collection(db, MEMBERS_COLLECTION)),
-      getDocs(collection(db, PAYMENTS_COLLECTION)),
-      getDocs(collection(db, USERS_COLLECTION)),
-      getDocs(collection(db, 'membershipCategories')),
-      getDocs(collection(db, 'fees'))
+    const [membersSnap, paymentsSnap, usersSnap, categoriesSnap, feesSnap, ledgerSnap, methodsSnap, plansSnap, lateFeeRulesSnap, settingsSnap, eventsSnap, seasonsSnap, renewalsSnap, groupsSnap, changeRequestsSnap, vouchersSnap] = await Promise.all([
+      getDocs(clubCollection(MEMBERS_COLLECTION)),
+      getDocs(clubCollection(PAYMENTS_COLLECTION)),
+      getDocs(clubCollection(USERS_COLLECTION)),
+      getDocs(clubCollection('membershipCategories')),
+      getDocs(clubCollection('fees')),
+      getDocs(clubCollection(LEDGER_COLLECTION)),
+      getDocs(clubCollection('paymentMethods')),
+      getDocs(clubCollection(INSTALMENT_PLANS_COLLECTION)),
+      getDocs(clubCollection('lateFeeRules')),
+      getDocs(clubCollection('settings')),
+      getDocs(clubCollection(MEMBER_EVENTS_COLLECTION)),
+      getDocs(clubCollection(RENEWAL_SEASONS_COLLECTION)),
+      getDocs(clubCollection(RENEWALS_COLLECTION)),
+      getDocs(clubCollection(MEMBER_GROUPS_COLLECTION)),
+      getDocs(clubCollection(CHANGE_REQUESTS_COLLECTION)),
+      getDocs(clubCollection(VOUCHERS_COLLECTION))
     ])
 
     // Convert snapshots to arrays of objects
@@ -148,23 +234,57 @@ export const exportAllData = async () => {
     const users = usersSnap.docs.map(doc => ({ id: doc.id, ...doc.data() }))
     const categories = categoriesSnap.docs.map(doc => ({ id: doc.id, ...doc.data() }))
     const fees = feesSnap.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+    const ledgerEntries = ledgerSnap.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+    const paymentMethods = methodsSnap.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+    const instalmentPlans = plansSnap.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+    const lateFeeRules = lateFeeRulesSnap.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+    const settings = settingsSnap.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+    const memberEvents = eventsSnap.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+    const renewalSeasons = seasonsSnap.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+    const renewals = renewalsSnap.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+    const memberGroups = groupsSnap.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+    const memberChangeRequests = changeRequestsSnap.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+    const vouchers = vouchersSnap.docs.map(doc => ({ id: doc.id, ...doc.data() }))
 
     return {
       exportDate: new Date().toISOString(),
-      version: '1.1.0',
+      version: '1.4.0',
+      clubId: getActiveClubId(),
       collections: {
         members,
         payments,
         users,
         membershipCategories: categories,
-        fees
+        fees,
+        ledgerEntries,
+        paymentMethods,
+        instalmentPlans,
+        lateFeeRules,
+        settings,
+        memberEvents,
+        renewalSeasons,
+        renewals,
+        memberGroups,
+        memberChangeRequests,
+        vouchers
       },
       counts: {
         members: members.length,
         payments: payments.length,
         users: users.length,
         categories: categories.length,
-        fees: fees.length
+        fees: fees.length,
+        ledgerEntries: ledgerEntries.length,
+        paymentMethods: paymentMethods.length,
+        instalmentPlans: instalmentPlans.length,
+        lateFeeRules: lateFeeRules.length,
+        settings: settings.length,
+        memberEvents: memberEvents.length,
+        renewalSeasons: renewalSeasons.length,
+        renewals: renewals.length,
+        memberGroups: memberGroups.length,
+        memberChangeRequests: memberChangeRequests.length,
+        vouchers: vouchers.length
       }
     }
   } catch (error) {
@@ -195,3 +315,64 @@ export const downloadJSONBackup = (data, filename = `backup-${new Date().toISOSt
     throw error
   }
 }
+
+/**
+ * Copy the data from before clubs existed into the first club
+ * Documents keep their IDs, so references between them still work. Users also get
+ * their uid so they find the club when they sign in. The top-level copies are left
+ * in place until the import has been checked. Members' portal profiles are written after.
+ * @param {Function} onProgress - Called with (collectionName, count) after each collection
+ * @returns {Object} Number of documents copied from each collection
+ */
+export const importLegacyData = async (onProgress) => {
+  try {
+    if (getActiveClubId() !== DEFAULT_CLUB_ID) {
+      throw new Error('Data from before clubs can only be imported into the first club')
+    }
+
+    // Refuse a second run - it would overwrite changes made since the first
+    const existingMembers = await getDocs(query(clubCollection(MEMBERS_COLLECTION), limit(1)))
+    if (!existingMembers.empty) {
+      throw new Error('This club already has members. Import only into an empty club.')
+    }
+
+    const results = {}
+
+    for (const collectionName of LEGACY_COLLECTIONS) {
+      const snapshot = await getDocs(collection(db, collectionName))
+
+      // Firestore batch has limit of 500 operations
+      let batch = writeBatch(db)
+      let operationCount = 0
+
+      for (const document of snapshot.docs) {
+        const data = collectionName === USERS_COLLECTION
+          ? { ...document.data(), uid: document.id }
+          : document.data()
+        batch.set(clubDoc(collectionName, document.id), data)
+        operationCount++
+
+        if (operationCount >= 500) {
+          await batch.commit()
+          batch = writeBatch(db)
+          operationCount = 0
+        }
+      }
+
+      if (operationCount > 0) {
+        await batch.commit()
+      }
+
+      results[collectionName] = snapshot.size
+      onProgress?.(collectionName, snapshot.size)
+    }
+
+    // The portal reads its own copy of each member's details, which didn't exist before clubs
+    await rebuildPortalProfiles()
+
+    return results
+  } catch (error) {
+    console.error('Error importing data from before clubs:', error)
+    throw error
+  }
+}
@@ -1,12 +1,15 @@
 import jsPDF from 'jspdf'
+import { getClubSettings, formatClubContactLine, getLogoImageFormat } from './clubSettingsService'
 
 /**
  * Generate PDF matching the paper membership application form
  * Pre-fills applicant data, leaves signature lines blank
  * @param {Object} application - Application data
  */
-export const generateApplicationPDF = (application) => {
+export const generateApplicationPDF = async (application) => {
   try {
+    const club = await getClubSettings()
+
     // Create new PDF document (A4 portrait)
     const doc = new jsPDF({
       orientation: 'portrait',
@@ -26,19 +29,23 @@ export const generateApplicationPDF = (application) => {
     let yPos = 20
 
     // Header - Club Name and Logo
+    const logoFormat = getLogoImageFormat(club.logoDataUrl)
+    if (logoFormat) {
+      doc.addImage(club.logoDataUrl, logoFormat, marginLeft, 8, 22, 22)
+    }
     doc.setFontSize(24)
     doc.setFont('helvetica', 'bold')
     doc.setTextColor(...textColor)
-    doc.text('Tea Tree Golf Club', pageWidth / 2, yPos, { align: 'center' })
+    doc.text(club.clubName, pageWidth / 2, yPos, { align: 'center' })
 
     yPos += 10
 
     // Club Address
     doc.setFontSize(10)
     doc.setFont('helvetica', 'normal')
-    doc.text('10A Volcanic Drive, Brighton, Tasmania, 7030', pageWidth / 2, yPos, { align: 'center' })
+    doc.text(club.address, pageWidth / 2, yPos, { align: 'center' })
     yPos += 5
-    doc.text('Tel: 03 6268 1692 or Email: teatreegolf@bigpond.com', pageWidth / 2, yPos, { align: 'center' })
+    doc.text(formatClubContactLine(club), pageWidth / 2, yPos, { align: 'center' })
 
     yPos += 15
 
@@ -202,7 +209,7 @@ export const generateApplicationPDF = (application) => {
     // Consent statement
     doc.setFontSize(10)
     doc.setFont('helvetica', 'normal')
-    const consentText = 'I hereby consent to the above nomination and in the event of being accepted as a Member agree to abide by the rules of Tea Tree Golf Club.'
+    const consentText = `I hereby consent to the above nomination and in the event of being accepted as a Member agree to abide by the rules of ${club.clubName}.`
     const consentLines = doc.splitTextToSize(consentText, contentWidth)
     consentLines.forEach(line => {
       doc.text(line, marginLeft, yPos)
@@ -1,6 +1,4 @@
 import {
-  collection,
-  doc,
   getDoc,
   getDocs,
   addDoc,
@@ -16,8 +14,10 @@ import {
 } from 'firebase/firestore'
 import { z } from 'zod'
 import { db } from '../firebase'
+import { clubCollection, clubDoc } from '../lib/firebase/clubScope'
 import { createMember } from './membersService'
 import { applyFeeToMember } from './feeService'
+import { buildApplicationSearchFields, searchApplicationIndex } from './searchService'
 
 const APPLICATIONS_COLLECTION = 'applications'
 
@@ -142,8 +142,9 @@ export const submitApplication = async (applicationData, verificationToken, toke
       createdAt: serverTimestamp(),
       updatedAt: serverTimestamp()
     }
+    Object.assign(newApplication, buildApplicationSearchFields(newApplication))
 
-    const docRef = await addDoc(collection(db, APPLICATIONS_COLLECTION), newApplication)
+    const docRef = await addDoc(clubCollection(APPLICATIONS_COLLECTION), newApplication)
     return { id: docRef.id, ...newApplication }
   } catch (error) {
     console.error('Error submitting application:', error)
@@ -160,7 +161,7 @@ export const submitApplication = async (applicationData, verificationToken, toke
  */
 export const verifyEmail = async (applicationId, token) => {
   try {
-    const docRef = doc(db, APPLICATIONS_COLLECTION, applicationId)
+    const docRef = clubDoc(APPLICATIONS_COLLECTION, applicationId)
     const docSnap = await getDoc(docRef)
 
     if (!docSnap.exists()) {
@@ -219,7 +220,7 @@ export const verifyEmail = async (applicationId, token) => {
  */
 export const getApplicationById = async (applicationId) => {
   try {
-    const docRef = doc(db, APPLICATIONS_COLLECTION, applicationId)
+    const docRef = clubDoc(APPLICATIONS_COLLECTION, applicationId)
     const docSnap = await getDoc(docRef)
 
     if (docSnap.exists()) {
@@ -240,7 +241,7 @@ export const getApplicationById = async (applicationId) => {
 export const getAllApplications = async () => {
   try {
     const q = query(
-      collection(db, APPLICATIONS_COLLECTION),
+      clubCollection(APPLICATIONS_COLLECTION),
       orderBy('submittedAt', 'desc')
     )
 
@@ -266,7 +267,7 @@ export const getAllApplications = async () => {
 export const getApplicationsByStatus = async (status) => {
   try {
     const q = query(
-      collection(db, APPLICATIONS_COLLECTION),
+      clubCollection(APPLICATIONS_COLLECTION),
       where('status', '==', status),
       orderBy('submittedAt', 'desc')
     )
@@ -292,7 +293,7 @@ export const getApplicationsByStatus = async (status) => {
  */
 export const subscribeToApplications = (callback) => {
   const q = query(
-    collection(db, APPLICATIONS_COLLECTION),
+    clubCollection(APPLICATIONS_COLLECTION),
     orderBy('submittedAt', 'desc')
   )
 
@@ -322,7 +323,7 @@ export const approveApplication = async (applicationId, adminUserId) => {
     // Use transaction to ensure atomic operation
     const result = await runTransaction(db, async (transaction) => {
       // Get application data
-      const applicationRef = doc(db, APPLICATIONS_COLLECTION, applicationId)
+      const applicationRef = clubDoc(APPLICATIONS_COLLECTION, applicationId)
       const applicationDoc = await transaction.get(applicationRef)
 
       if (!applicationDoc.exists()) {
@@ -361,7 +362,11 @@ export const approveApplication = async (applicationId, adminUserId) => {
     })
 
     // Create member using existing service (outside transaction)
-    const member = await createMember(result.memberData)
+    const member = await createMember(result.memberData, adminUserId, {
+      source: 'application',
+      sourceId: applicationId,
+      description: 'Joined from membership application'
+    })
 
     // Apply estimated costs as initial fee if they exist
     const application = result.application
@@ -402,7 +407,7 @@ export const approveApplication = async (applicationId, adminUserId) => {
  */
 export const rejectApplication = async (applicationId, adminUserId, rejectionReason) => {
   try {
-    const docRef = doc(db, APPLICATIONS_COLLECTION, applicationId)
+    const docRef = clubDoc(APPLICATIONS_COLLECTION, applicationId)
     const docSnap = await getDoc(docRef)
 
     if (!docSnap.exists()) {
@@ -446,7 +451,7 @@ export const rejectApplication = async (applicationId, adminUserId, rejectionRea
  */
 export const resendVerificationEmail = async (applicationId, newToken, newExpiry) => {
   try {
-    const docRef = doc(db, APPLICATIONS_COLLECTION, applicationId)
+    const docRef = clubDoc(APPLICATIONS_COLLECTION, applicationId)
     const docSnap = await getDoc(docRef)
 
     if (!docSnap.exists()) {
@@ -475,25 +480,13 @@ export const resendVerificationEmail = async (applicationId, newToken, newExpiry
 }
 
 /**
- * Search applications by name or email (AUTHENTICATED - EDIT role or higher)
- * Client-side search (similar to members search)
- * @param {string} searchTerm - Search term
- * @returns {Array} Filtered applications
+ * Search applications by name, email, phone, Golf Link number or suburb (AUTHENTICATED - EDIT role or higher)
+ * Uses the search index rather than loading every application (see searchService)
+ * @param {string} searchTerm - Search text (at least 2 characters)
+ * @param {Object} options - { pageSize, cursor } - cursor is the previous page's nextCursor
+ * @returns {Object} { results, nextCursor } - best matches first
  */
-export const searchApplications = async (searchTerm) => {
-  try {
-    const allApplications = await getAllApplications()
-    const searchLower = searchTerm.toLowerCase()
-
-    return allApplications.filter(app =>
-      app.fullName?.toLowerCase().includes(searchLower) ||
-      app.email?.toLowerCase().includes(searchLower)
-    )
-  } catch (error) {
-    console.error('Error searching applications:', error)
-    throw error
-  }
-}
+export const searchApplications = (searchTerm, options = {}) => searchApplicationIndex(searchTerm, options)
 
 /**
  * Get application statistics (AUTHENTICATED - EDIT role or higher)
@@ -536,7 +529,7 @@ export const getApplicationStats = async () => {
  */
 export const deleteApplication = async (applicationId) => {
   try {
-    const docRef = doc(db, APPLICATIONS_COLLECTION, applicationId)
+    const docRef = clubDoc(APPLICATIONS_COLLECTION, applicationId)
     await deleteDoc(docRef)
     console.log('Application deleted successfully:', applicationId)
     return true
@@ -0,0 +1,686 @@
+import {
+  getDocs,
+  updateDoc,
+  query,
+  where,
+  serverTimestamp,
+  writeBatch
+} from 'firebase/firestore'
+import { db } from '../firebase'
+import { clubCollection, clubDoc } from '../lib/firebase/clubScope'
+import { recordPayment, recordBulkPayments } from './paymentsService'
+
+const STATEMENT_SUSPENSE_COLLECTION = 'statementSuspense'
+
+// Suspense queue lifecycle for statement lines that could not be posted on import
+export const SUSPENSE_STATUSES = {
+  OPEN: 'open',
+  RESOLVED: 'resolved',  // Posted as a payment
+  IGNORED: 'ignored'     // Not member income (e.g. bank interest, sponsorship)
+}
+
+export const MATCH_TYPES = {
+  REFERENCE: 'reference',
+  GOLF_AUSTRALIA_ID: 'golf_australia_id',
+  NAME: 'name',
+  AMOUNT: 'amount'
+}
+
+// Matches at or above this confidence are ticked for posting by default
+export const AUTO_CONFIRM_CONFIDENCE = 80
+
+// Payment references are limited to 100 characters (Firestore rules)
+const MAX_REFERENCE_LENGTH = 100
+
+// ============================================
+// PARSING
+// ============================================
+
+/**
+ * Parse a statement date into YYYY-MM-DD
+ * Accepts ISO (2025-01-15), OFX (20250115 or 20250115120000[+10:AEST]),
+ * Australian day-first (15/01/2025, 15-01-25) and QIF (15/01'25)
+ * @param {string} value - Raw date
+ * @returns {string|null} ISO date or null if unrecognised
+ */
+export const parseStatementDate = (value) => {
+  const raw = (value || '').trim().replace(/'/g, '/')
+  if (!raw) return null
+
+  let year, month, day
+  let match = raw.match(/^(\d{4})-(\d{2})-(\d{2})/)
+  if (match) {
+    [, year, month, day] = match
+  } else if ((match = raw.match(/^(\d{4})(\d{2})(\d{2})/))) {
+    [, year, month, day] = match
+  } else if ((match = raw.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/))) {
+    [, day, month, year] = match
+    if (year.length === 2) year = `20${year}`
+  } else {
+    return null
+  }
+
+  const m = parseInt(month, 10)
+  const d = parseInt(day, 10)
+  if (m < 1 || m > 12 || d < 1 || d > 31) return null
+
+  return `${year}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`
+}
+
+/**
+ * Parse a statement amount
+ * Handles currency symbols, thousands separators, (brackets) and CR/DR suffixes
+ * @param {string|number} value - Raw amount
+ * @returns {number|null} Signed amount (positive = money in) or null
+ */
+export const parseStatementAmount = (value) => {
+  if (typeof value === 'number') return isNaN(value) ? null : value
+  let raw = (value || '').trim().toUpperCase()
+  if (!raw) return null
+
+  let sign = 1
+  if (/^\(.*\)$/.test(raw)) {
+    sign = -1
+    raw = raw.slice(1, -1)
+  }
+  if (raw.endsWith('DR')) {
+    sign = -1
+    raw = raw.slice(0, -2)
+  } else if (raw.endsWith('CR')) {
+    raw = raw.slice(0, -2)
+  }
+
+  const amount = parseFloat(raw.replace(/[$,\s]/g, ''))
+  if (isNaN(amount)) return null
+  return Math.round(sign * amount * 100) / 100
+}
+
+// Split one CSV line, honouring quoted values
+const splitCSVLine = (line) => {
+  const values = []
+  let currentValue = ''
+  let insideQuotes = false
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i]
+    if (char === '"') {
+      if (insideQuotes && line[i + 1] === '"') {
+        currentValue += '"'
+        i++
+      } else {
+        insideQuotes = !insideQuotes
+      }
+    } else if (char === ',' && !insideQuotes) {
+      values.push(currentValue.trim())
+      currentValue = ''
+    } else {
+      currentValue += char
+    }
+  }
+  values.push(currentValue.trim())
+  return values
+}
+
+// Header names used by the common Australian bank exports
+const CSV_COLUMNS = {
+  date: ['date', 'transaction date', 'posted date', 'value date', 'effective date'],
+  amount: ['amount', 'transaction amount', 'amount (aud)'],
+  credit: ['credit', 'credit amount', 'deposits', 'money in'],
+  debit: ['debit', 'debit amount', 'withdrawals', 'money out'],
+  description: ['description', 'narrative', 'details', 'transaction details', 'narration', 'memo', 'payee'],
+  reference: ['reference', 'ref', 'lodgement reference', 'payer reference']
+}
+
+const findColumn = (headers, names) => headers.findIndex(h => names.includes(h))
+
+/**
+ * Parse a CSV bank statement
+ * Uses the header row when present; headerless exports (e.g. CommBank) are read as
+ * date, amount, description[, balance]
+ * @param {string} text - File contents
+ * @returns {Object} { lines, skippedDebits, errors }
+ */
+export const parseCSVStatement = (text) => {
+  const rows = text.split(/\r?\n/).filter(line => line.trim())
+  if (rows.length === 0) {
+    throw new Error('Statement file is empty')
+  }
+
+  const firstRow = splitCSVLine(rows[0])
+  const hasHeader = !parseStatementDate(firstRow[0]?.replace(/"/g, ''))
+  let columns = { date: 0, amount: 1, credit: -1, debit: -1, description: 2, reference: -1 }
+
+  if (hasHeader) {
+    const headers = firstRow.map(h => h.replace(/"/g, '').trim().toLowerCase())
+    columns = Object.fromEntries(
+      Object.entries(CSV_COLUMNS).map(([key, names]) => [key, findColumn(headers, names)])
+    )
+    if (columns.date === -1 || (columns.amount === -1 && columns.credit === -1)) {
+      throw new Error('Could not find date and amount columns in the statement header')
+    }
+  }
+
+  const result = { lines: [], skippedDebits: 0, errors: [] }
+  const valueAt = (values, index) => (index >= 0 ? values[index] || '' : '')
+
+  rows.slice(hasHeader ? 1 : 0).forEach((row, i) => {
+    const lineNumber = i + (hasHeader ? 2 : 1)
+    const values = splitCSVLine(row)
+
+    const date = parseStatementDate(valueAt(values, columns.date))
+    let amount
+    if (columns.amount >= 0) {
+      amount = parseStatementAmount(valueAt(values, columns.amount))
+    } else {
+      const credit = parseStatementAmount(valueAt(values, columns.credit))
+      const debit = parseStatementAmount(valueAt(values, columns.debit))
+      amount = credit ? Math.abs(credit) : debit ? -Math.abs(debit) : null
+    }
+
+    if (!date || amount === null) {
+      result.errors.push({ lineNumber, reason: 'Unreadable date or amount' })
+      return
+    }
+    if (amount <= 0) {
+      result.skippedDebits++
+      return
+    }
+
+    result.lines.push({
+      lineNumber,
+      date,
+      amount,
+      description: valueAt(values, columns.description),
+      reference: valueAt(values, columns.reference),
+      bankTransactionId: ''
+    })
+  })
+
+  return result
+}
+
+// Read an OFX/QFX tag value (SGML style, closing tags optional)
+const readOFXTag = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'))
+  return match ? match[1].trim() : ''
+}
+
+/**
+ * Parse an OFX/QFX bank statement
+ * @param {string} text - File contents
+ * @returns {Object} { lines, skippedDebits, errors }
+ */
+export const parseOFXStatement = (text) => {
+  const blocks = text.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || []
+  if (blocks.length === 0) {
+    throw new Error('No transactions found in the OFX file')
+  }
+
+  const result = { lines: [], skippedDebits: 0, errors: [] }
+
+  blocks.forEach((block, i) => {
+    const lineNumber = i + 1
+    const date = parseStatementDate(readOFXTag(block, 'DTPOSTED'))
+    const amount = parseStatementAmount(readOFXTag(block, 'TRNAMT'))
+
+    if (!date || amount === null) {
+      result.errors.push({ lineNumber, reason: 'Unreadable date or amount' })
+      return
+    }
+    if (amount <= 0) {
+      result.skippedDebits++
+      return
+    }
+
+    const name = readOFXTag(block, 'NAME')
+    const memo = readOFXTag(block, 'MEMO')
+    result.lines.push({
+      lineNumber,
+      date,
+      amount,
+      description: [name, memo].filter(Boolean).join(' '),
+      reference: readOFXTag(block, 'CHECKNUM') || readOFXTag(block, 'REFNUM'),
+      bankTransactionId: readOFXTag(block, 'FITID')
+    })
+  })
+
+  return result
+}
+
+/**
+ * Parse a QIF bank statement
+ * @param {string} text - File contents
+ * @returns {Object} { lines, skippedDebits, errors }
+ */
+export const parseQIFStatement = (text) => {
+  const records = text.split(/^\^\s*$/m).filter(record => /^T/m.test(record))
+  if (records.length === 0) {
+    throw new Error('No transactions found in the QIF file')
+  }
+
+  const result = { lines: [], skippedDebits: 0, errors: [] }
+
+  records.forEach((record, i) => {
+    const lineNumber = i + 1
+    const fields = {}
+    record.split(/\r?\n/).forEach(line => {
+      const code = line.charAt(0)
+      if (code && !line.startsWith('!') && !(code in fields)) {
+        fields[code] = line.slice(1).trim()
+      }
+    })
+
+    const date = parseStatementDate(fields.D)
+    const amount = parseStatementAmount(fields.T ?? fields.U)
+
+    if (!date || amount === null) {
+      result.errors.push({ lineNumber, reason: 'Unreadable date or amount' })
+      return
+    }
+    if (amount <= 0) {
+      result.skippedDebits++
+      return
+    }
+
+    result.lines.push({
+      lineNumber,
+      date,
+      amount,
+      description: [fields.P, fields.M].filter(Boolean).join(' '),
+      reference: fields.N || '',
+      bankTransactionId: ''
+    })
+  })
+
+  return result
+}
+
+/**
+ * Detect the statement format from the file name, then the contents
+ * @param {string} text - File contents
+ * @param {string} filename - Uploaded file name
+ * @returns {'csv'|'ofx'|'qif'} Format
+ */
+export const detectStatementFormat = (text, filename = '') => {
+  const extension = filename.toLowerCase().split('.').pop()
+  if (extension === 'ofx' || extension === 'qfx') return 'ofx'
+  if (extension === 'qif') return 'qif'
+  if (extension === 'csv') return 'csv'
+
+  if (/<OFX>|OFXHEADER/i.test(text)) return 'ofx'
+  if (/^!Type:/m.test(text)) return 'qif'
+  return 'csv'
+}
+
+/**
+ * Parse a bank statement export into credit lines
+ * Debits are counted but dropped - only money in can be a member payment
+ * @param {string} text - File contents
+ * @param {string} filename - Uploaded file name
+ * @returns {Object} { format, lines, skippedDebits, errors } - each line has an `id`
+ */
+export const parseBankStatement = (text, filename = '') => {
+  const format = detectStatementFormat(text, filename)
+  const parsers = { csv: parseCSVStatement, ofx: parseOFXStatement, qif: parseQIFStatement }
+  const result = parsers[format](text)
+
+  return {
+    format,
+    ...result,
+    lines: result.lines.map(line => ({ ...line, id: getStatementLineId(line) }))
+  }
+}
+
+/**
+ * Stable ID for a statement line, so re-importing the same export is harmless
+ * Uses the bank's transaction ID when the format has one
+ * @param {Object} line - Parsed statement line
+ * @returns {string} Document-safe ID
+ */
+export const getStatementLineId = (line) => {
+  const key = line.bankTransactionId ||
+    `${line.date}|${line.amount.toFixed(2)}|${normaliseText(line.description)}|${normaliseText(line.reference)}`
+
+  // djb2 - short, deterministic and good enough to separate lines in one account
+  let hash = 5381
+  for (let i = 0; i < key.length; i++) {
+    hash = ((hash << 5) + hash + key.charCodeAt(i)) >>> 0
+  }
+  return `stl_${line.date.replace(/-/g, '')}_${hash.toString(36)}`
+}
+
+// ============================================
+// MATCHING
+// ============================================
+
+// Upper-case words only, for comparing bank narratives with member data
+const normaliseText = (value) => (value || '').toUpperCase().replace(/[^A-Z0-9]+/g, ' ').trim()
+
+// Alphanumerics only, for comparing IDs and references
+const normaliseCode = (value) => (value || '').toUpperCase().replace(/[^A-Z0-9]/g, '')
+
+// The text that identifies the payer on a statement line
+const getLineReference = (line) => (line.reference || line.description || '').trim()
+
+/**
+ * Find an existing payment that looks like this statement line (same date, amount and reference)
+ * @param {Object} line - Parsed statement line
+ * @param {Array} payments - Existing payments
+ * @returns {Object|null} Matching payment
+ */
+export const findRecordedPayment = (line, payments) => {
+  const reference = normaliseCode(getLineReference(line).slice(0, MAX_REFERENCE_LENGTH))
+  return (payments || []).find(p =>
+    p.paymentDate === line.date &&
+    Math.abs(p.amount - line.amount) < 0.005 &&
+    normaliseCode(p.reference) === reference
+  ) || null
+}
+
+/**
+ * Score a statement line against every member
+ * Reference (a payer reference this member used before) 90, Golf Australia ID 95,
+ * full name 80, surname + initial 65, unique surname 50, unique outstanding amount 40.
+ * A name match that also clears the member's exact balance gains 10.
+ * Ties at the top are capped at 50 so they are never auto-confirmed.
+ * @param {Object} line - Parsed statement line
+ * @param {Object} data - { members, payments }
+ * @returns {Object} { memberId, memberName, confidence, matchType, reason, candidates }
+ */
+export const matchStatementLine = (line, { members = [], payments = [] } = {}) => {
+  const text = normaliseText(`${line.description} ${line.reference}`)
+  const words = new Set(text.split(' ').filter(Boolean))
+  const code = normaliseCode(`${line.description}${line.reference}`)
+  const lineReference = normaliseCode(getLineReference(line))
+
+  const scores = new Map()
+  const addScore = (member, confidence, matchType, reason) => {
+    const existing = scores.get(member.id)
+    if (!existing || confidence > existing.confidence) {
+      scores.set(member.id, { memberId: member.id, memberName: member.fullName, confidence, matchType, reason })
+    }
+  }
+
+  // Reference: payers tend to reuse the same narrative every year
+  if (lineReference.length >= 4) {
+    const referenceMembers = new Set(
+      payments
+        .filter(p => p.reference && normaliseCode(p.reference) === lineReference)
+        .map(p => p.memberId)
+    )
+    members
+      .filter(m => referenceMembers.has(m.id))
+      .forEach(m => addScore(m, referenceMembers.size === 1 ? 90 : 60, MATCH_TYPES.REFERENCE, 'Reference used on a previous payment'))
+  }
+
+  // Golf Australia ID anywhere in the narrative
+  const idMembers = members.filter(m => {
+    const gaId = normaliseCode(m.golfAustraliaId)
+    return gaId.length >= 5 && code.includes(gaId)
+  })
+  idMembers.forEach(m => addScore(m, idMembers.length === 1 ? 95 : 60, MATCH_TYPES.GOLF_AUSTRALIA_ID, `Golf Australia ID ${m.golfAustraliaId}`))
+
+  // Name
+  const surnameCounts = new Map()
+  members.forEach(m => {
+    const parts = normaliseText(m.fullName).split(' ')
+    const surname = parts[parts.length - 1]
+    surnameCounts.set(surname, (surnameCounts.get(surname) || 0) + 1)
+  })
+  members.forEach(m => {
+    const parts = normaliseText(m.fullName).split(' ').filter(Boolean)
+    if (parts.length === 0) return
+    const first = parts[0]
+    const surname = parts[parts.length - 1]
+    if (!words.has(surname) || surname.length < 2) return
+
+    let confidence = null
+    let reason = ''
+    if (parts.length > 1 && parts.every(p => words.has(p))) {
+      confidence = 80
+      reason = 'Full name'
+    } else if (parts.length > 1 && (words.has(first) || words.has(first.charAt(0)))) {
+      confidence = 65
+      reason = 'Surname and initial'
+    } else if (surnameCounts.get(surname) === 1) {
+      confidence = 50
+      reason = 'Surname'
+    }
+    if (confidence === null) return
+
+    const owing = m.accountBalance < 0 ? Math.abs(m.accountBalance) : 0
+    if (owing > 0 && Math.abs(owing - line.amount) < 0.005) {
+      confidence += 10
+      reason += ' + outstanding amount'
+    }
+    addScore(m, confidence, MATCH_TYPES.NAME, reason)
+  })
+
+  // Outstanding amount - weak on its own, only useful when a single member owes it
+  const amountMembers = members.filter(m =>
+    m.accountBalance < 0 && Math.abs(Math.abs(m.accountBalance) - line.amount) < 0.005
+  )
+  amountMembers.forEach(m => addScore(m, amountMembers.length === 1 ? 40 : 20, MATCH_TYPES.AMOUNT, `Owes $${line.amount.toFixed(2)}`))
+
+  const candidates = [...scores.values()]
+    .sort((a, b) => b.confidence - a.confidence || a.memberName.localeCompare(b.memberName))
+    .slice(0, 5)
+
+  if (candidates.length === 0) {
+    return { memberId: null, memberName: null, confidence: 0, matchType: null, reason: 'No match', candidates }
+  }
+
+  const best = { ...candidates[0] }
+  if (candidates[1] && candidates[1].confidence === best.confidence) {
+    best.confidence = Math.min(best.confidence, 50)
+    best.reason = `${best.reason} (ambiguous)`
+  }
+
+  return { ...best, candidates }
+}
+
+/**
+ * Match every line of a parsed statement
+ * @param {Array} lines - Parsed statement lines
+ * @param {Object} data - { members, payments }
+ * @returns {Array} Lines with `match` and `recordedPayment` (possible duplicate) added
+ */
+export const matchStatementLines = (lines, { members = [], payments = [] } = {}) => {
+  return lines.map(line => ({
+    ...line,
+    recordedPayment: findRecordedPayment(line, payments),
+    match: matchStatementLine(line, { members, payments })
+  }))
+}
+
+/**
+ * Build recordPayment data for a statement line
+ * @param {Object} line - Statement line
+ * @param {Object} member - Member to credit
+ * @param {string} paymentMethod - Method code (usually bank_transfer)
+ * @param {string} source - Statement file name, recorded in the notes
+ * @returns {Object} Payment data
+ */
+export const buildStatementPayment = (line, member, paymentMethod, source = '') => {
+  return {
+    memberId: member.id || member.memberId,
+    memberName: member.fullName || member.memberName,
+    amount: line.amount,
+    paymentDate: line.date,
+    paymentMethod,
+    reference: getLineReference(line).slice(0, MAX_REFERENCE_LENGTH),
+    notes: source ? `Imported from bank statement ${source}` : 'Imported from bank statement',
+    statementLineId: line.id
+  }
+}
+
+// ============================================
+// POSTING AND SUSPENSE QUEUE
+// ============================================
+
+/**
+ * Get suspense lines
+ * @param {string} status - Suspense status (default open)
+ * @returns {Array} Lines, newest first
+ */
+export const getSuspenseLines = async (status = SUSPENSE_STATUSES.OPEN) => {
+  try {
+    const q = query(
+      clubCollection(STATEMENT_SUSPENSE_COLLECTION),
+      where('status', '==', status)
+    )
+    const querySnapshot = await getDocs(q)
+
+    const lines = []
+    querySnapshot.forEach((doc) => {
+      lines.push({ id: doc.id, ...doc.data() })
+    })
+
+    return lines.sort((a, b) => (b.date || '').localeCompare(a.date || ''))
+  } catch (error) {
+    console.error('Error getting suspense lines:', error)
+    throw error
+  }
+}
+
+/**
+ * Put statement lines in the suspense queue
+ * Lines already queued (same statement line ID) are left as they are
+ * @param {Array} lines - Parsed statement lines
+ * @param {Object} options - { source, userId, existingIds }
+ * @returns {Object} { added, skipped }
+ */
+export const addLinesToSuspense = async (lines, { source = '', userId, existingIds = new Set() }) => {
+  try {
+    const newLines = lines.filter(line => !existingIds.has(line.id))
+    if (newLines.length === 0) {
+      return { added: 0, skipped: lines.length }
+    }
+
+    const batch = writeBatch(db)
+    newLines.forEach(line => {
+      batch.set(clubDoc(STATEMENT_SUSPENSE_COLLECTION, line.id), {
+        date: line.date,
+        amount: line.amount,
+        description: line.description || '',
+        reference: line.reference || '',
+        bankTransactionId: line.bankTransactionId || '',
+        source,
+        suggestedMemberId: line.match?.memberId || '',
+        suggestedMemberName: line.match?.memberName || '',
+        confidence: line.match?.confidence || 0,
+        status: SUSPENSE_STATUSES.OPEN,
+        importedBy: userId,
+        importedAt: serverTimestamp()
+      })
+    })
+    await batch.commit()
+
+    return { added: newLines.length, skipped: lines.length - newLines.length }
+  } catch (error) {
+    console.error('Error adding lines to suspense:', error)
+    throw error
+  }
+}
+
+// statementLineId is only for tracking - it is not stored on the payment
+const toPaymentData = (statementPayment) => {
+  const paymentData = { ...statementPayment }
+  delete paymentData.statementLineId
+  return paymentData
+}
+
+// Close suspense lines that have now been posted
+const markSuspenseResolved = async (resolutions, userId) => {
+  if (resolutions.length === 0) return
+  const batch = writeBatch(db)
+  resolutions.forEach(({ lineId, paymentId, receiptNumber, memberId, memberName }) => {
+    batch.update(clubDoc(STATEMENT_SUSPENSE_COLLECTION, lineId), {
+      status: SUSPENSE_STATUSES.RESOLVED,
+      paymentId,
+      receiptNumber,
+      memberId,
+      memberName,
+      resolvedBy: userId,
+      resolvedAt: serverTimestamp()
+    })
+  })
+  await batch.commit()
+}
+
+/**
+ * Post confirmed statement matches through recordBulkPayments
+ * Any that were waiting in suspense are marked resolved
+ * @param {Array} payments - From buildStatementPayment
+ * @param {Object} options - { userId, suspenseIds, onProgress }
+ * @returns {Object} recordBulkPayments results
+ */
+export const postStatementPayments = async (payments, { userId, suspenseIds = new Set(), onProgress = () => {} }) => {
+  try {
+    const results = await recordBulkPayments(payments.map(toPaymentData), userId, onProgress)
+
+    const resolutions = results.successful
+      .filter(r => suspenseIds.has(payments[r.index].statementLineId))
+      .map(r => ({
+        lineId: payments[r.index].statementLineId,
+        paymentId: r.id,
+        receiptNumber: r.receiptNumber,
+        memberId: r.memberId,
+        memberName: r.memberName
+      }))
+    await markSuspenseResolved(resolutions, userId)
+
+    return results
+  } catch (error) {
+    console.error('Error posting statement payments:', error)
+    throw error
+  }
+}
+
+/**
+ * Post a suspense line to a member
+ * @param {Object} line - Suspense line
+ * @param {Object} member - Member to credit
+ * @param {string} paymentMethod - Method code
+ * @param {string} userId - User posting the line
+ * @returns {Object} Recorded payment
+ */
+export const resolveSuspenseLine = async (line, member, paymentMethod, userId) => {
+  try {
+    const paymentData = toPaymentData(buildStatementPayment(line, member, paymentMethod, line.source))
+    const payment = await recordPayment(paymentData, userId)
+
+    await markSuspenseResolved([{
+      lineId: line.id,
+      paymentId: payment.id,
+      receiptNumber: payment.receiptNumber,
+      memberId: payment.memberId,
+      memberName: payment.memberName
+    }], userId)
+
+    return payment
+  } catch (error) {
+    console.error('Error resolving suspense line:', error)
+    throw error
+  }
+}
+
+/**
+ * Dismiss a suspense line that is not a member payment
+ * @param {string} lineId - Suspense line ID
+ * @param {string} reason - Why it was ignored
+ * @param {string} userId - User dismissing the line
+ */
+export const ignoreSuspenseLine = async (lineId, reason, userId) => {
+  try {
+    await updateDoc(clubDoc(STATEMENT_SUSPENSE_COLLECTION, lineId), {
+      status: SUSPENSE_STATUSES.IGNORED,
+      ignoredReason: (reason || '').trim(),
+      resolvedBy: userId,
+      resolvedAt: serverTimestamp()
+    })
+  } catch (error) {
+    console.error('Error ignoring suspense line:', error)
+    throw error
+  }
+}
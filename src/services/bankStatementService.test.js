@@ -0,0 +1,301 @@
+import { describe, it, expect } from 'vitest'
+import {
+  MATCH_TYPES,
+  AUTO_CONFIRM_CONFIDENCE,
+  parseStatementDate,
+  parseStatementAmount,
+  parseCSVStatement,
+  parseOFXStatement,
+  parseQIFStatement,
+  detectStatementFormat,
+  parseBankStatement,
+  getStatementLineId,
+  findRecordedPayment,
+  matchStatementLine,
+  matchStatementLines,
+  buildStatementPayment
+} from './bankStatementService'
+
+/**
+ * Bank Statement Import Tests
+ *
+ * Parsing of CSV/OFX/QIF exports and member matching.
+ */
+
+const members = [
+  { id: 'm1', fullName: 'John Smith', golfAustraliaId: '1234567890', accountBalance: -450 },
+  { id: 'm2', fullName: 'Mary Jones', golfAustraliaId: '2223334445', accountBalance: -320 },
+  { id: 'm3', fullName: 'Peter Jones', golfAustraliaId: '', accountBalance: 0 },
+  { id: 'm4', fullName: 'Alice Brown', golfAustraliaId: '', accountBalance: -95 }
+]
+
+const line = (overrides = {}) => ({
+  id: 'stl_test',
+  date: '2025-02-03',
+  amount: 100,
+  description: '',
+  reference: '',
+  bankTransactionId: '',
+  ...overrides
+})
+
+describe('parseStatementDate', () => {
+  it('should read ISO, OFX and day-first dates', () => {
+    expect(parseStatementDate('2025-01-15')).toBe('2025-01-15')
+    expect(parseStatementDate('20250115120000[+10:AEST]')).toBe('2025-01-15')
+    expect(parseStatementDate('15/01/2025')).toBe('2025-01-15')
+    expect(parseStatementDate('5/1/25')).toBe('2025-01-05')
+  })
+
+  it('should read QIF apostrophe years', () => {
+    expect(parseStatementDate("15/01'25")).toBe('2025-01-15')
+  })
+
+  it('should reject unrecognised or impossible dates', () => {
+    expect(parseStatementDate('Jan 15')).toBeNull()
+    expect(parseStatementDate('15/13/2025')).toBeNull()
+    expect(parseStatementDate('')).toBeNull()
+  })
+})
+
+describe('parseStatementAmount', () => {
+  it('should strip currency symbols and separators', () => {
+    expect(parseStatementAmount('$1,250.50')).toBe(1250.5)
+  })
+
+  it('should treat brackets and DR as money out', () => {
+    expect(parseStatementAmount('(45.00)')).toBe(-45)
+    expect(parseStatementAmount('45.00 DR')).toBe(-45)
+    expect(parseStatementAmount('45.00CR')).toBe(45)
+  })
+
+  it('should return null for non-numeric values', () => {
+    expect(parseStatementAmount('n/a')).toBeNull()
+  })
+})
+
+describe('parseCSVStatement', () => {
+  it('should read a statement with a header row', () => {
+    const csv = [
+      'Date,Description,Reference,Amount,Balance',
+      '03/02/2025,"DIRECT CREDIT J SMITH, SUBS",SMITH J,450.00,1450.00',
+      '04/02/2025,ACCOUNT FEE,,-5.00,1445.00'
+    ].join('\n')
+
+    const result = parseCSVStatement(csv)
+    expect(result.lines).toHaveLength(1)
+    expect(result.lines[0]).toMatchObject({
+      lineNumber: 2,
+      date: '2025-02-03',
+      amount: 450,
+      description: 'DIRECT CREDIT J SMITH, SUBS',
+      reference: 'SMITH J'
+    })
+    expect(result.skippedDebits).toBe(1)
+  })
+
+  it('should read separate credit and debit columns', () => {
+    const csv = [
+      'Transaction Date,Narrative,Debit,Credit',
+      '03/02/2025,TRANSFER FROM M JONES,,320.00',
+      '04/02/2025,GREENKEEPING SUPPLIES,210.00,'
+    ].join('\r\n')
+
+    const result = parseCSVStatement(csv)
+    expect(result.lines).toHaveLength(1)
+    expect(result.lines[0].amount).toBe(320)
+    expect(result.skippedDebits).toBe(1)
+  })
+
+  it('should read a headerless export as date, amount, description', () => {
+    const result = parseCSVStatement('03/02/2025,+95.00,"Transfer from A BROWN",+1540.00')
+    expect(result.lines[0]).toMatchObject({ date: '2025-02-03', amount: 95, description: 'Transfer from A BROWN' })
+  })
+
+  it('should report unreadable rows', () => {
+    const result = parseCSVStatement('Date,Amount,Description\nyesterday,10.00,Cash')
+    expect(result.lines).toHaveLength(0)
+    expect(result.errors).toEqual([{ lineNumber: 2, reason: 'Unreadable date or amount' }])
+  })
+
+  it('should reject a header without date and amount columns', () => {
+    expect(() => parseCSVStatement('Name,Email\nJohn,john@example.com')).toThrow('Could not find date and amount columns')
+  })
+})
+
+describe('parseOFXStatement', () => {
+  it('should read credit transactions with their bank IDs', () => {
+    const ofx = `OFXHEADER:100
+<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><BANKTRANLIST>
+<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20250203<TRNAMT>450.00<FITID>TX001<NAME>J SMITH<MEMO>1234567890 SUBS</STMTTRN>
+<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20250204<TRNAMT>-5.00<FITID>TX002<NAME>ACCOUNT FEE</STMTTRN>
+</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>`
+
+    const result = parseOFXStatement(ofx)
+    expect(result.lines).toEqual([{
+      lineNumber: 1,
+      date: '2025-02-03',
+      amount: 450,
+      description: 'J SMITH 1234567890 SUBS',
+      reference: '',
+      bankTransactionId: 'TX001'
+    }])
+    expect(result.skippedDebits).toBe(1)
+  })
+
+  it('should throw when there are no transactions', () => {
+    expect(() => parseOFXStatement('<OFX></OFX>')).toThrow('No transactions found')
+  })
+})
+
+describe('parseQIFStatement', () => {
+  it('should read credit records', () => {
+    const qif = `!Type:Bank
+D03/02'25
+T320.00
+PM JONES
+MMEMBERSHIP
+N000123
+^
+D04/02'25
+T-5.00
+PACCOUNT FEE
+^`
+
+    const result = parseQIFStatement(qif)
+    expect(result.lines).toEqual([{
+      lineNumber: 1,
+      date: '2025-02-03',
+      amount: 320,
+      description: 'M JONES MEMBERSHIP',
+      reference: '000123',
+      bankTransactionId: ''
+    }])
+    expect(result.skippedDebits).toBe(1)
+  })
+})
+
+describe('detectStatementFormat', () => {
+  it('should prefer the file extension', () => {
+    expect(detectStatementFormat('', 'march.QFX')).toBe('ofx')
+    expect(detectStatementFormat('', 'march.qif')).toBe('qif')
+  })
+
+  it('should fall back to the contents', () => {
+    expect(detectStatementFormat('OFXHEADER:100', 'export')).toBe('ofx')
+    expect(detectStatementFormat('!Type:Bank\n', 'export')).toBe('qif')
+    expect(detectStatementFormat('Date,Amount', 'export')).toBe('csv')
+  })
+})
+
+describe('getStatementLineId', () => {
+  it('should be stable for the same line', () => {
+    const a = line({ description: 'J SMITH' })
+    expect(getStatementLineId(a)).toBe(getStatementLineId({ ...a }))
+    expect(getStatementLineId(a)).toMatch(/^stl_20250203_[0-9a-z]+$/)
+  })
+
+  it('should differ when the amount or narrative differs', () => {
+    const a = line({ description: 'J SMITH' })
+    expect(getStatementLineId(a)).not.toBe(getStatementLineId({ ...a, amount: 101 }))
+    expect(getStatementLineId(a)).not.toBe(getStatementLineId({ ...a, description: 'M JONES' }))
+  })
+
+  it('should use the bank transaction ID when present', () => {
+    const a = line({ bankTransactionId: 'TX001', description: 'J SMITH' })
+    expect(getStatementLineId(a)).toBe(getStatementLineId({ ...a, description: 'changed' }))
+  })
+
+  it('should be assigned to every parsed line', () => {
+    const result = parseBankStatement('Date,Amount,Description\n03/02/2025,10.00,Cash', 'feb.csv')
+    expect(result.format).toBe('csv')
+    expect(result.lines[0].id).toBe(getStatementLineId(result.lines[0]))
+  })
+})
+
+describe('matchStatementLine', () => {
+  it('should match a Golf Australia ID with high confidence', () => {
+    const match = matchStatementLine(line({ amount: 200, description: 'DEPOSIT 1234567890' }), { members })
+    expect(match).toMatchObject({ memberId: 'm1', matchType: MATCH_TYPES.GOLF_AUSTRALIA_ID, confidence: 95 })
+  })
+
+  it('should match a reference the member used before', () => {
+    const payments = [{ memberId: 'm4', reference: 'ABROWN-SUBS', amount: 95 }]
+    const match = matchStatementLine(line({ description: 'ABROWN SUBS' }), { members, payments })
+    expect(match).toMatchObject({ memberId: 'm4', matchType: MATCH_TYPES.REFERENCE, confidence: 90 })
+  })
+
+  it('should score a full name match at the auto-confirm level', () => {
+    const match = matchStatementLine(line({ description: 'TRANSFER JOHN SMITH' }), { members })
+    expect(match.memberId).toBe('m1')
+    expect(match.confidence).toBe(AUTO_CONFIRM_CONFIDENCE)
+  })
+
+  it('should boost a name match that clears the outstanding balance', () => {
+    const match = matchStatementLine(line({ amount: 450, description: 'J SMITH' }), { members })
+    expect(match).toMatchObject({ memberId: 'm1', confidence: 75, reason: 'Surname and initial + outstanding amount' })
+  })
+
+  it('should cap ties between members', () => {
+    const withJane = [...members, { id: 'm5', fullName: 'Jane Smith', accountBalance: 0 }]
+    const match = matchStatementLine(line({ amount: 50, description: 'J SMITH' }), { members: withJane })
+    expect(match.confidence).toBe(50)
+    expect(match.reason).toBe('Surname and initial (ambiguous)')
+    expect(match.candidates.map(c => c.memberId)).toEqual(['m5', 'm1'])
+  })
+
+  it('should not match on a surname shared by several members', () => {
+    const match = matchStatementLine(line({ amount: 50, description: 'JONES' }), { members })
+    expect(match.memberId).toBeNull()
+  })
+
+  it('should separate two members with the same surname by initial', () => {
+    const match = matchStatementLine(line({ amount: 50, description: 'P JONES' }), { members })
+    expect(match).toMatchObject({ memberId: 'm3', confidence: 65 })
+  })
+
+  it('should fall back to a unique outstanding amount', () => {
+    const match = matchStatementLine(line({ amount: 95, description: 'INTERNET TRANSFER' }), { members })
+    expect(match).toMatchObject({ memberId: 'm4', matchType: MATCH_TYPES.AMOUNT, confidence: 40 })
+  })
+
+  it('should return no member when nothing matches', () => {
+    const match = matchStatementLine(line({ amount: 12.34, description: 'BANK INTEREST' }), { members })
+    expect(match).toMatchObject({ memberId: null, confidence: 0, candidates: [] })
+  })
+})
+
+describe('findRecordedPayment', () => {
+  it('should find a payment already posted from the same line', () => {
+    const l = line({ amount: 450, description: 'J SMITH SUBS' })
+    const payments = [{ id: 'p1', paymentDate: '2025-02-03', amount: 450, reference: 'J SMITH SUBS' }]
+    expect(findRecordedPayment(l, payments).id).toBe('p1')
+    expect(matchStatementLines([l], { members, payments })[0].recordedPayment.id).toBe('p1')
+  })
+
+  it('should ignore payments on other dates', () => {
+    const payments = [{ id: 'p1', paymentDate: '2025-02-04', amount: 450, reference: 'J SMITH SUBS' }]
+    expect(findRecordedPayment(line({ amount: 450, description: 'J SMITH SUBS' }), payments)).toBeNull()
+  })
+})
+
+describe('buildStatementPayment', () => {
+  it('should build payment data from the line', () => {
+    const l = line({ amount: 450, description: 'J SMITH SUBS', reference: 'SMITH J' })
+    expect(buildStatementPayment(l, members[0], 'bank_transfer', 'feb.csv')).toEqual({
+      memberId: 'm1',
+      memberName: 'John Smith',
+      amount: 450,
+      paymentDate: '2025-02-03',
+      paymentMethod: 'bank_transfer',
+      reference: 'SMITH J',
+      notes: 'Imported from bank statement feb.csv',
+      statementLineId: 'stl_test'
+    })
+  })
+
+  it('should use the description when there is no reference, trimmed to 100 characters', () => {
+    const payment = buildStatementPayment(line({ description: 'X'.repeat(150) }), members[0], 'bank_transfer')
+    expect(payment.reference).toHaveLength(100)
+  })
+})
@@ -0,0 +1,259 @@
+import {
+  getDoc,
+  serverTimestamp,
+  writeBatch
+} from 'firebase/firestore'
+import { db } from '../firebase'
+import { clubDoc } from '../lib/firebase/clubScope'
+import { buildStatusChange, getStatusUpdate } from './memberStatusService'
+import { writeMemberEvent, getMemberUpdateEvents } from './memberEventService'
+import { applyFeeToMember } from './feeService'
+import { normaliseTag, hasTag } from './memberFieldService'
+import { buildMemberSearchFields } from './searchService'
+
+const MEMBERS_COLLECTION = 'members'
+
+/**
+ * Changes that can be made to many members at once from the members list
+ */
+export const BULK_MEMBER_ACTIONS = {
+  CATEGORY: 'category',
+  STATUS: 'status',
+  FEE: 'fee',
+  TAG: 'tag',
+  COMMENT: 'comment'
+}
+
+export const BULK_MEMBER_ACTION_LABELS = {
+  [BULK_MEMBER_ACTIONS.CATEGORY]: 'Change Category',
+  [BULK_MEMBER_ACTIONS.STATUS]: 'Change Status',
+  [BULK_MEMBER_ACTIONS.FEE]: 'Apply Fee',
+  [BULK_MEMBER_ACTIONS.TAG]: 'Add Tag',
+  [BULK_MEMBER_ACTIONS.COMMENT]: 'Add Comment'
+}
+
+// Each member takes at most two writes (the member and a timeline event),
+// keeping every batch under Firestore's limit of 500 operations
+export const BULK_BATCH_SIZE = 200
+
+const today = () => new Date().toISOString().split('T')[0]
+
+/**
+ * Work out one member's part of a bulk change
+ * @param {string} action - One of BULK_MEMBER_ACTIONS (not FEE - fees are charged by applyFeeToMember)
+ * @param {string} memberId - The member ID
+ * @param {Object} member - Current member data
+ * @param {Object} params - { categoryId } | { status, reason } | { tag } | { comment } (from buildBulkComment)
+ * @param {string} userId - ID of user making the change
+ * @returns {Object} { update, events } to write, or { skipped: reason } when there is nothing to change
+ */
+export const getBulkMemberChange = (action, memberId, member, params, userId) => {
+  switch (action) {
+    case BULK_MEMBER_ACTIONS.CATEGORY: {
+      if (member.membershipCategory === params.categoryId) {
+        return { skipped: 'Already in this category' }
+      }
+      const updates = { membershipCategory: params.categoryId }
+      return {
+        update: {
+          ...updates,
+          categoryChangedDate: today(),
+          categoryChangeReason: params.reason || 'Changed from the members list'
+        },
+        events: getMemberUpdateEvents(memberId, member, updates, { source: 'bulk_edit' })
+      }
+    }
+
+    case BULK_MEMBER_ACTIONS.STATUS: {
+      if (member.status === params.status) {
+        return { skipped: 'Already has this status' }
+      }
+      const reason = params.reason || 'Changed from the members list'
+      const change = buildStatusChange(member.status, params.status, reason, userId)
+      return {
+        update: getStatusUpdate(member, change),
+        events: getMemberUpdateEvents(memberId, member, { status: params.status }, { reason, source: 'bulk_edit' })
+      }
+    }
+
+    case BULK_MEMBER_ACTIONS.TAG: {
+      const tag = normaliseTag(params.tag)
+      if (hasTag(member, tag)) {
+        return { skipped: 'Already tagged' }
+      }
+      // Tags are searchable, so the search index is rebuilt with the new tag
+      const tags = [...(member.tags || []), tag]
+      return {
+        update: { tags, ...buildMemberSearchFields({ ...member, tags }) },
+        events: []
+      }
+    }
+
+    case BULK_MEMBER_ACTIONS.COMMENT:
+      return {
+        update: { comments: [params.comment, ...(member.comments || [])] },
+        events: []
+      }
+
+    default:
+      throw new Error(`Unknown bulk action: ${action}`)
+  }
+}
+
+/**
+ * Check a bulk action's settings before anything is written
+ * @param {string} action - One of BULK_MEMBER_ACTIONS
+ * @param {Object} params - Settings for the action
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateBulkParams = (action, params) => {
+  switch (action) {
+    case BULK_MEMBER_ACTIONS.CATEGORY:
+      return params.categoryId ? null : 'Choose a category'
+    case BULK_MEMBER_ACTIONS.STATUS:
+      return params.status ? null : 'Choose a status'
+    case BULK_MEMBER_ACTIONS.FEE:
+      if (!(params.amount > 0)) return 'Enter a fee amount greater than zero'
+      return params.feeYear ? null : 'Enter the fee year'
+    case BULK_MEMBER_ACTIONS.TAG: {
+      const tag = normaliseTag(params.tag)
+      if (!tag) return 'Enter a tag'
+      return tag.length > 50 ? 'Tags must be 50 characters or less' : null
+    }
+    case BULK_MEMBER_ACTIONS.COMMENT: {
+      const text = (params.text || '').trim()
+      if (!text) return 'Enter a comment'
+      return text.length > 1000 ? 'Comments must be 1000 characters or less' : null
+    }
+    default:
+      return `Unknown bulk action: ${action}`
+  }
+}
+
+/**
+ * The comment added to every selected member - one comment, so each member's copy matches
+ * @param {string} text - Comment text
+ * @param {Object} user - { uid, email } of the user adding it
+ * @returns {Object} Comment as stored on members
+ */
+export const buildBulkComment = (text, user) => {
+  return {
+    id: Date.now().toString(),
+    text: text.trim(),
+    createdAt: new Date().toISOString(),
+    createdBy: user.uid,
+    createdByName: user.email
+  }
+}
+
+/**
+ * Charge the same one-off fee to each member
+ * Fees change balances, so each is charged in its own transaction as annual fees are.
+ */
+const applyBulkFee = async (members, params, userId, results, onProgress) => {
+  for (let i = 0; i < members.length; i++) {
+    const member = members[i]
+    onProgress?.({ current: i + 1, total: members.length, memberName: member.fullName })
+
+    try {
+      await applyFeeToMember({
+        memberId: member.id,
+        memberName: member.fullName,
+        amount: params.amount,
+        feeYear: params.feeYear,
+        notes: params.notes
+      }, userId)
+      results.successful++
+      results.details.push({ memberId: member.id, name: member.fullName, status: 'success' })
+    } catch (error) {
+      results.failed++
+      results.details.push({ memberId: member.id, name: member.fullName, status: 'failed', reason: error.message })
+    }
+  }
+}
+
+/**
+ * Make the same change to many members
+ * Members are re-read before each batch so the change is worked out from their current record.
+ * A failed batch fails only its own members.
+ * @param {string} action - One of BULK_MEMBER_ACTIONS
+ * @param {Array} members - Selected members ({ id, fullName } at least)
+ * @param {Object} params - { categoryId, reason } | { status, reason } | { amount, feeYear, notes } | { tag } | { text }
+ * @param {Object} user - { uid, email } of the user making the change
+ * @param {Function} onProgress - Called with { current, total, memberName } as members are done
+ * @returns {Object} Results { total, successful, skipped, failed, details: [{ memberId, name, status, reason }] }
+ */
+export const applyBulkMemberAction = async (action, members, params, user, onProgress = null) => {
+  try {
+    const paramsError = validateBulkParams(action, params)
+    if (paramsError) {
+      throw new Error(paramsError)
+    }
+
+    const results = {
+      total: members.length,
+      successful: 0,
+      skipped: 0,
+      failed: 0,
+      details: []
+    }
+
+    if (action === BULK_MEMBER_ACTIONS.FEE) {
+      await applyBulkFee(members, params, user.uid, results, onProgress)
+      return results
+    }
+
+    const changeParams = action === BULK_MEMBER_ACTIONS.COMMENT
+      ? { comment: buildBulkComment(params.text, user) }
+      : params
+
+    for (let start = 0; start < members.length; start += BULK_BATCH_SIZE) {
+      const chunk = members.slice(start, start + BULK_BATCH_SIZE)
+      const batch = writeBatch(db)
+      const written = []
+
+      const snapshots = await Promise.all(chunk.map(member => getDoc(clubDoc(MEMBERS_COLLECTION, member.id))))
+      snapshots.forEach((snapshot, index) => {
+        const { id, fullName } = chunk[index]
+        if (!snapshot.exists()) {
+          results.failed++
+          results.details.push({ memberId: id, name: fullName, status: 'failed', reason: 'Member not found' })
+          return
+        }
+
+        try {
+          const change = getBulkMemberChange(action, id, snapshot.data(), changeParams, user.uid)
+          if (change.skipped) {
+            results.skipped++
+            results.details.push({ memberId: id, name: fullName, status: 'skipped', reason: change.skipped })
+            return
+          }
+          batch.update(snapshot.ref, { ...change.update, updatedAt: serverTimestamp() })
+          change.events.forEach(event => writeMemberEvent(batch, event, user.uid))
+          written.push({ memberId: id, name: fullName })
+        } catch (error) {
+          results.failed++
+          results.details.push({ memberId: id, name: fullName, status: 'failed', reason: error.message })
+        }
+      })
+
+      try {
+        if (written.length > 0) {
+          await batch.commit()
+        }
+        results.successful += written.length
+        written.forEach(detail => results.details.push({ ...detail, status: 'success' }))
+      } catch (error) {
+        results.failed += written.length
+        written.forEach(detail => results.details.push({ ...detail, status: 'failed', reason: error.message }))
+      }
+
+      onProgress?.({ current: start + chunk.length, total: members.length, memberName: chunk[chunk.length - 1].fullName })
+    }
+
+    return results
+  } catch (error) {
+    console.error('Error applying bulk member action:', error)
+    throw error
+  }
+}
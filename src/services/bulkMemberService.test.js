@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest'
+import {
+  BULK_MEMBER_ACTIONS,
+  getBulkMemberChange,
+  validateBulkParams,
+  buildBulkComment
+} from './bulkMemberService'
+
+/**
+ * Bulk Member Action Tests
+ *
+ * Each member's part of a bulk change.
+ */
+
+const member = {
+  fullName: 'Jane Smith',
+  membershipCategory: 'senior',
+  status: 'financial',
+  statusHistory: [{ from: 'active', to: 'financial', date: '2026-03-01', reason: 'Paid', changedBy: 'u1', source: 'manual' }],
+  tags: ['Pennant Team'],
+  comments: [{ id: 'c1', text: 'Locker 12' }]
+}
+
+describe('getBulkMemberChange', () => {
+  it('changes the category and records it on the timeline', () => {
+    const change = getBulkMemberChange(BULK_MEMBER_ACTIONS.CATEGORY, 'm1', member, { categoryId: 'veteran' }, 'u2')
+    expect(change.update.membershipCategory).toBe('veteran')
+    expect(change.update.categoryChangeReason).toBe('Changed from the members list')
+    expect(change.events).toHaveLength(1)
+    expect(change.events[0]).toMatchObject({ type: 'category_change', from: 'senior', to: 'veteran', source: 'bulk_edit' })
+  })
+
+  it('skips members already in the category', () => {
+    expect(getBulkMemberChange(BULK_MEMBER_ACTIONS.CATEGORY, 'm1', member, { categoryId: 'senior' }, 'u2'))
+      .toEqual({ skipped: 'Already in this category' })
+  })
+
+  it('appends the status change to the history', () => {
+    const change = getBulkMemberChange(BULK_MEMBER_ACTIONS.STATUS, 'm1', member, { status: 'suspended', reason: 'Course closed' }, 'u2')
+    expect(change.update.status).toBe('suspended')
+    expect(change.update.statusHistory).toHaveLength(2)
+    expect(change.update.statusHistory[1]).toMatchObject({ from: 'financial', to: 'suspended', reason: 'Course closed', changedBy: 'u2' })
+    expect(change.events[0]).toMatchObject({ type: 'status_change', reason: 'Course closed', source: 'bulk_edit' })
+  })
+
+  it('records resignations as resignations', () => {
+    const change = getBulkMemberChange(BULK_MEMBER_ACTIONS.STATUS, 'm1', member, { status: 'resigned' }, 'u2')
+    expect(change.events[0].type).toBe('resigned')
+  })
+
+  it('skips members who already have the status', () => {
+    expect(getBulkMemberChange(BULK_MEMBER_ACTIONS.STATUS, 'm1', member, { status: 'financial' }, 'u2').skipped)
+      .toBe('Already has this status')
+  })
+
+  it('adds a tag once', () => {
+    const change = getBulkMemberChange(BULK_MEMBER_ACTIONS.TAG, 'm1', member, { tag: ' Volunteer ' }, 'u2')
+    expect(change.update.tags).toEqual(['Pennant Team', 'Volunteer'])
+    expect(change.update.searchTokens).toContain('volunteer')
+    expect(change.events).toEqual([])
+    expect(getBulkMemberChange(BULK_MEMBER_ACTIONS.TAG, 'm1', member, { tag: 'PENNANT TEAM' }, 'u2').skipped)
+      .toBe('Already tagged')
+  })
+
+  it('puts the comment first', () => {
+    const comment = { id: 'c2', text: 'Sent the AGM notice' }
+    const change = getBulkMemberChange(BULK_MEMBER_ACTIONS.COMMENT, 'm1', member, { comment }, 'u2')
+    expect(change.update.comments.map(c => c.id)).toEqual(['c2', 'c1'])
+  })
+
+  it('refuses fees and unknown actions', () => {
+    expect(() => getBulkMemberChange(BULK_MEMBER_ACTIONS.FEE, 'm1', member, {}, 'u2')).toThrow('Unknown bulk action')
+  })
+})
+
+describe('validateBulkParams', () => {
+  it('needs a choice for category and status changes', () => {
+    expect(validateBulkParams(BULK_MEMBER_ACTIONS.CATEGORY, {})).toBe('Choose a category')
+    expect(validateBulkParams(BULK_MEMBER_ACTIONS.STATUS, { status: 'life' })).toBeNull()
+  })
+
+  it('needs a positive fee amount and a year', () => {
+    expect(validateBulkParams(BULK_MEMBER_ACTIONS.FEE, { amount: 0, feeYear: 2027 })).toBe('Enter a fee amount greater than zero')
+    expect(validateBulkParams(BULK_MEMBER_ACTIONS.FEE, { amount: NaN, feeYear: 2027 })).toBe('Enter a fee amount greater than zero')
+    expect(validateBulkParams(BULK_MEMBER_ACTIONS.FEE, { amount: 25, feeYear: 2027 })).toBeNull()
+  })
+
+  it('rejects blank and over-long tags and comments', () => {
+    expect(validateBulkParams(BULK_MEMBER_ACTIONS.TAG, { tag: '   ' })).toBe('Enter a tag')
+    expect(validateBulkParams(BULK_MEMBER_ACTIONS.TAG, { tag: 'x'.repeat(51) })).toBe('Tags must be 50 characters or less')
+    expect(validateBulkParams(BULK_MEMBER_ACTIONS.COMMENT, { text: '' })).toBe('Enter a comment')
+  })
+})
+
+describe('buildBulkComment', () => {
+  it('records who added the comment', () => {
+    const comment = buildBulkComment('  AGM notice sent ', { uid: 'u2', email: 'sec@example.com' })
+    expect(comment).toMatchObject({ text: 'AGM notice sent', createdBy: 'u2', createdByName: 'sec@example.com' })
+  })
+})
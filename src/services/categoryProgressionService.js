@@ -0,0 +1,206 @@
+import {
+  getDocs,
+  runTransaction,
+  serverTimestamp
+} from 'firebase/firestore'
+import { db } from '../firebase'
+import { clubCollection, clubDoc } from '../lib/firebase/clubScope'
+import { getAllCategories, findCategoryByAge, getCategoryPricing, getMembershipYear } from './categoryService'
+import { isCurrentMember } from './memberStatusService'
+import { writeMemberEvent, MEMBER_EVENT_TYPES } from './memberEventService'
+import { roundCurrency } from './ledgerService'
+import { getClubSettings, DEFAULT_MEMBERSHIP_YEAR_START_MONTH } from './clubSettingsService'
+import { calculateAgeOn } from '../utils/dateUtils'
+
+const MEMBERS_COLLECTION = 'members'
+
+/**
+ * Start of the next membership year (the 1st of the start month) on or after a date
+ * @param {string} fromDate - ISO date (defaults to today)
+ * @param {number} startMonth - Month the membership year starts (club setting, default March)
+ * @returns {string} ISO date
+ */
+export const getNextMembershipYearStart = (
+  fromDate = new Date().toISOString().split('T')[0],
+  startMonth = DEFAULT_MEMBERSHIP_YEAR_START_MONTH
+) => {
+  const year = parseInt(fromDate.slice(0, 4))
+  const monthDay = `${String(startMonth).padStart(2, '0')}-01`
+  return fromDate.slice(5) <= monthDay ? `${year}-${monthDay}` : `${year + 1}-${monthDay}`
+}
+
+/**
+ * Full-year subscription for a category, as used by annual fee application
+ * (the rate for the first month of the membership year)
+ * @param {Object} category - Category with annualFee, proRataRates and priceSchedules
+ * @param {number} membershipYear - Membership year to price (defaults to the category's current prices)
+ * @param {number} startMonth - Month the membership year starts (club setting, default March)
+ * @returns {number} Annual fee
+ */
+export const getAnnualCategoryFee = (category, membershipYear, startMonth = DEFAULT_MEMBERSHIP_YEAR_START_MONTH) => {
+  const pricing = category && membershipYear !== undefined ? getCategoryPricing(category, membershipYear) : category
+  return pricing?.proRataRates?.[String(startMonth)] ?? pricing?.annualFee ?? 0
+}
+
+/**
+ * Whether an age falls inside a category's age band
+ * @param {Object} category - Category with ageMin/ageMax
+ * @param {number} age - Age in years
+ * @returns {boolean}
+ */
+const fitsCategory = (category, age) => age >= category.ageMin && age <= category.ageMax
+
+/**
+ * Find members whose age no longer fits their category on the effective date
+ * Members in special categories (e.g. Life, Social) are chosen by hand and left alone.
+ * @param {Array} members - All members
+ * @param {Array} categories - Membership categories
+ * @param {string} effectiveDate - ISO date the moves take effect
+ * @param {number} startMonth - Month the membership year starts (club setting, default March)
+ * @returns {Object} { moves, totalFeeChange, missingDateOfBirth, unmatched }
+ */
+export const proposeCategoryMoves = (members, categories, effectiveDate, startMonth = DEFAULT_MEMBERSHIP_YEAR_START_MONTH) => {
+  const membershipYear = getMembershipYear(effectiveDate, startMonth)
+  const moves = []
+  const missingDateOfBirth = []
+  const unmatched = []
+
+  members.filter(isCurrentMember).forEach(member => {
+    const currentCategory = categories.find(c => c.id === member.membershipCategory)
+    if (currentCategory?.isSpecial) return
+
+    if (!member.dateOfBirth) {
+      missingDateOfBirth.push({ id: member.id, fullName: member.fullName })
+      return
+    }
+
+    const age = calculateAgeOn(member.dateOfBirth, effectiveDate)
+    if (currentCategory && fitsCategory(currentCategory, age)) return
+
+    const newCategory = findCategoryByAge(categories, age)
+    if (!newCategory || newCategory.id === member.membershipCategory) {
+      unmatched.push({ id: member.id, fullName: member.fullName, age })
+      return
+    }
+
+    const currentFee = getAnnualCategoryFee(currentCategory, membershipYear, startMonth)
+    const newFee = getAnnualCategoryFee(newCategory, membershipYear, startMonth)
+    moves.push({
+      memberId: member.id,
+      memberName: member.fullName,
+      dateOfBirth: member.dateOfBirth,
+      age,
+      fromCategoryId: member.membershipCategory || '',
+      fromCategoryName: currentCategory?.name || 'No category',
+      toCategoryId: newCategory.id,
+      toCategoryName: newCategory.name,
+      currentFee,
+      newFee,
+      feeChange: roundCurrency(newFee - currentFee),
+      reason: `Aged ${age} on ${effectiveDate}`
+    })
+  })
+
+  moves.sort((a, b) => a.memberName.localeCompare(b.memberName))
+
+  return {
+    moves,
+    totalFeeChange: roundCurrency(moves.reduce((sum, move) => sum + move.feeChange, 0)),
+    missingDateOfBirth,
+    unmatched
+  }
+}
+
+/**
+ * Preview age progression for an effective date
+ * @param {string} effectiveDate - ISO date the moves take effect
+ * @returns {Object} { effectiveDate, moves, totalFeeChange, missingDateOfBirth, unmatched }
+ */
+export const previewCategoryProgression = async (effectiveDate) => {
+  try {
+    const [categories, membersSnap, { membershipYearStartMonth }] = await Promise.all([
+      getAllCategories(),
+      getDocs(clubCollection(MEMBERS_COLLECTION)),
+      getClubSettings()
+    ])
+    const members = membersSnap.docs.map(memberDoc => ({ id: memberDoc.id, ...memberDoc.data() }))
+
+    return {
+      effectiveDate,
+      ...proposeCategoryMoves(members, categories, effectiveDate, membershipYearStartMonth)
+    }
+  } catch (error) {
+    console.error('Error previewing category progression:', error)
+    throw error
+  }
+}
+
+/**
+ * Move members to their new age categories
+ * A move is skipped if the member's category changed after the preview was loaded.
+ * @param {Array} moves - Moves from proposeCategoryMoves
+ * @param {string} effectiveDate - ISO date recorded as the change date
+ * @param {string} userId - ID of user applying the moves
+ * @returns {Object} Results with success/skipped/failed counts and details
+ */
+export const applyCategoryProgression = async (moves, effectiveDate, userId) => {
+  try {
+    const results = {
+      successful: 0,
+      skipped: 0,
+      failed: 0,
+      details: []
+    }
+
+    for (const move of moves) {
+      try {
+        const applied = await runTransaction(db, async (transaction) => {
+          const memberRef = clubDoc(MEMBERS_COLLECTION, move.memberId)
+          const memberDoc = await transaction.get(memberRef)
+
+          if (!memberDoc.exists()) {
+            throw new Error('Member not found')
+          }
+
+          if ((memberDoc.data().membershipCategory || '') !== move.fromCategoryId) {
+            return false
+          }
+
+          transaction.update(memberRef, {
+            membershipCategory: move.toCategoryId,
+            categoryChangedDate: effectiveDate,
+            categoryChangeReason: move.reason,
+            updatedAt: serverTimestamp()
+          })
+          writeMemberEvent(transaction, {
+            memberId: move.memberId,
+            memberName: move.memberName,
+            type: MEMBER_EVENT_TYPES.CATEGORY_CHANGE,
+            eventDate: effectiveDate,
+            from: move.fromCategoryId,
+            to: move.toCategoryId,
+            reason: move.reason,
+            source: 'age_progression'
+          }, userId)
+          return true
+        })
+
+        if (applied) {
+          results.successful++
+          results.details.push({ ...move, status: 'success' })
+        } else {
+          results.skipped++
+          results.details.push({ ...move, status: 'skipped', error: 'Category changed since the preview' })
+        }
+      } catch (error) {
+        results.failed++
+        results.details.push({ ...move, status: 'failed', error: error.message })
+      }
+    }
+
+    return results
+  } catch (error) {
+    console.error('Error applying category progression:', error)
+    throw error
+  }
+}
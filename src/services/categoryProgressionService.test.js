@@ -0,0 +1,127 @@
+import { describe, it, expect } from 'vitest'
+import {
+  getNextMembershipYearStart,
+  getAnnualCategoryFee,
+  proposeCategoryMoves
+} from './categoryProgressionService'
+import { calculateAgeOn } from '../utils/dateUtils'
+
+/**
+ * Age Category Progression Tests
+ *
+ * Which members move category on an effective date, and the fee impact.
+ */
+
+const categories = [
+  { id: 'junior', name: 'Junior 16-18 years', ageMin: 16, ageMax: 18, annualFee: 180, isSpecial: false },
+  { id: 'young', name: 'Young Adult 19-25', ageMin: 19, ageMax: 25, annualFee: 400, proRataRates: { 3: 420 }, isSpecial: false },
+  { id: 'full', name: 'Full Membership', ageMin: 26, ageMax: 999, annualFee: 900, isSpecial: false },
+  { id: 'life', name: 'Life Member', ageMin: 0, ageMax: 999, annualFee: 0, isSpecial: true }
+]
+
+const makeMember = (overrides = {}) => ({
+  id: 'm1',
+  fullName: 'Sam Junior',
+  dateOfBirth: '2008-05-10',
+  membershipCategory: 'junior',
+  status: 'financial',
+  ...overrides
+})
+
+describe('calculateAgeOn', () => {
+  it('counts a birthday on the date itself', () => {
+    expect(calculateAgeOn('2008-03-01', '2027-03-01')).toBe(19)
+    expect(calculateAgeOn('2008-03-02', '2027-03-01')).toBe(18)
+  })
+})
+
+describe('getNextMembershipYearStart', () => {
+  it('returns 1 March of this year until it has passed', () => {
+    expect(getNextMembershipYearStart('2026-01-15')).toBe('2026-03-01')
+    expect(getNextMembershipYearStart('2026-03-01')).toBe('2026-03-01')
+    expect(getNextMembershipYearStart('2026-10-19')).toBe('2027-03-01')
+  })
+
+  it('uses the club\'s start month', () => {
+    expect(getNextMembershipYearStart('2026-06-30', 7)).toBe('2026-07-01')
+    expect(getNextMembershipYearStart('2026-10-19', 7)).toBe('2027-07-01')
+  })
+})
+
+describe('getAnnualCategoryFee', () => {
+  it('uses the March rate when one is set', () => {
+    expect(getAnnualCategoryFee(categories[1])).toBe(420)
+    expect(getAnnualCategoryFee(categories[0])).toBe(180)
+    expect(getAnnualCategoryFee(undefined)).toBe(0)
+  })
+
+  it('uses the start month\'s rate for other membership years', () => {
+    const category = { ...categories[0], proRataRates: { 3: 60, 7: 190 } }
+    expect(getAnnualCategoryFee(category, undefined, 7)).toBe(190)
+  })
+
+  it('uses the membership year\'s price schedule', () => {
+    const category = {
+      ...categories[1],
+      priceSchedules: [
+        { membershipYear: 2026, annualFee: 400, joiningFee: 0, proRataRates: { 3: 420 } },
+        { membershipYear: 2027, annualFee: 440, joiningFee: 0 }
+      ]
+    }
+    expect(getAnnualCategoryFee(category, 2026)).toBe(420)
+    expect(getAnnualCategoryFee(category, 2027)).toBe(440)
+  })
+})
+
+describe('proposeCategoryMoves', () => {
+  it('moves a junior who has aged out, with the fee impact', () => {
+    const { moves, totalFeeChange } = proposeCategoryMoves([makeMember({ dateOfBirth: '2008-02-10' })], categories, '2027-03-01')
+    expect(moves).toHaveLength(1)
+    expect(moves[0]).toMatchObject({
+      memberId: 'm1',
+      age: 19,
+      fromCategoryId: 'junior',
+      toCategoryId: 'young',
+      toCategoryName: 'Young Adult 19-25',
+      currentFee: 180,
+      newFee: 420,
+      feeChange: 240,
+      reason: 'Aged 19 on 2027-03-01'
+    })
+    expect(totalFeeChange).toBe(240)
+  })
+
+  it('leaves members whose age still fits', () => {
+    expect(proposeCategoryMoves([makeMember()], categories, '2027-03-01').moves).toEqual([])
+  })
+
+  it('skips special categories and former members', () => {
+    const members = [
+      makeMember({ id: 'a', membershipCategory: 'life', dateOfBirth: '1950-01-01' }),
+      makeMember({ id: 'b', status: 'resigned', dateOfBirth: '2000-01-01' })
+    ]
+    expect(proposeCategoryMoves(members, categories, '2027-03-01').moves).toEqual([])
+  })
+
+  it('reports members without a date of birth or a matching category', () => {
+    const members = [
+      makeMember({ id: 'a', fullName: 'No DOB', dateOfBirth: '' }),
+      makeMember({ id: 'b', fullName: 'Too Young', dateOfBirth: '2020-01-01' })
+    ]
+    const result = proposeCategoryMoves(members, categories, '2027-03-01')
+    expect(result.moves).toEqual([])
+    expect(result.missingDateOfBirth).toEqual([{ id: 'a', fullName: 'No DOB' }])
+    expect(result.unmatched).toEqual([{ id: 'b', fullName: 'Too Young', age: 7 }])
+  })
+
+  it('places members with an unknown category and sorts by name', () => {
+    const members = [
+      makeMember({ id: 'a', fullName: 'Zed', dateOfBirth: '1990-01-01', membershipCategory: 'junior' }),
+      makeMember({ id: 'b', fullName: 'Amy', dateOfBirth: '2001-06-01', membershipCategory: 'deleted-cat' })
+    ]
+    const { moves, totalFeeChange } = proposeCategoryMoves(members, categories, '2027-03-01')
+    expect(moves.map(m => m.memberId)).toEqual(['b', 'a'])
+    expect(moves[0]).toMatchObject({ fromCategoryName: 'No category', toCategoryId: 'young', currentFee: 0 })
+    expect(totalFeeChange).toBe(420 + 720)
+  })
+})
@@ -1,5 +1,4 @@
 import {
-  collection,
   doc,
   getDoc,
   getDocs,
@@ -14,7 +13,9 @@ import {
 } from 'firebase/firestore'
 import { z } from 'zod'
 import { db } from '../firebase'
+import { clubCollection, clubDoc } from '../lib/firebase/clubScope'
 import { calculateAge } from '../utils/dateUtils'
+import { getClubSettings, DEFAULT_MEMBERSHIP_YEAR_START_MONTH, MONTH_NAMES } from './clubSettingsService'
 
 const CATEGORIES_COLLECTION = 'membershipCategories'
 
@@ -29,16 +30,181 @@ const categorySchema = z.object({
   order: z.number().int().min(0).max(1000).default(999),
   isSpecial: z.boolean().default(false),
   joiningFeeMonths: z.array(z.number().int().min(1).max(12)).default([]),
+  proRataRates: z.record(z.string(), z.number().min(0)).optional(),
+  // Family/couple/corporate pricing - see memberGroupService.applyGroupPricing
+  groupRates: z.array(z.object({
+    groupType: z.enum(['family', 'couple', 'corporate']),
+    rateType: z.enum(['fixed', 'percentage']),
+    amount: z.number().min(0).max(100000)
+  }).refine(
+    rate => rate.rateType !== 'percentage' || rate.amount <= 100,
+    'Group discount cannot be more than 100%'
+  )).default([])
+})
+
+// One membership year's prices - see getCategoryPricing
+const priceScheduleSchema = z.object({
+  membershipYear: z.number().int().min(2000).max(2100),
+  annualFee: z.number().min(0).max(100000),
+  joiningFee: z.number().min(0).max(100000),
+  joiningFeeMonths: z.array(z.number().int().min(1).max(12)).default([]),
   proRataRates: z.record(z.string(), z.number().min(0)).optional()
 })
 
+/**
+ * Membership year a date falls in
+ * @param {Date|string} date - Date or ISO date string (defaults to today)
+ * @param {number} startMonth - Month the membership year starts (club setting, default March)
+ * @returns {number} Calendar year the membership year starts in
+ */
+export const getMembershipYear = (date = new Date(), startMonth = DEFAULT_MEMBERSHIP_YEAR_START_MONTH) => {
+  const year = typeof date === 'string' ? parseInt(date.slice(0, 4)) : date.getFullYear()
+  const month = typeof date === 'string' ? parseInt(date.slice(5, 7)) : date.getMonth() + 1
+  return month >= startMonth ? year : year - 1
+}
+
+/**
+ * Months left in the membership year, counting the given month
+ * @param {number} month - Calendar month (1-12)
+ * @param {number} startMonth - Month the membership year starts (club setting, default March)
+ * @returns {number} 12 in the first month down to 1 in the last
+ */
+export const getMonthsRemaining = (month, startMonth = DEFAULT_MEMBERSHIP_YEAR_START_MONTH) => {
+  return 12 - ((month - startMonth + 12) % 12)
+}
+
+/**
+ * The months of the membership year in order, for rate tables
+ * @param {number} startMonth - Month the membership year starts (club setting, default March)
+ * @returns {Array} [{ num, name, monthsRemaining }] from the start month to the month before it
+ */
+export const getMembershipYearMonths = (startMonth = DEFAULT_MEMBERSHIP_YEAR_START_MONTH) => {
+  return Array.from({ length: 12 }, (_, index) => {
+    const num = ((startMonth - 1 + index) % 12) + 1
+    return { num, name: MONTH_NAMES[num - 1], monthsRemaining: 12 - index }
+  })
+}
+
+/**
+ * The price schedule in force for a membership year
+ * The latest schedule starting on or before the year applies. Years before the first
+ * schedule use the first schedule, the earliest prices we know of.
+ * @param {Object} category - Category with priceSchedules
+ * @param {number} membershipYear - Membership year
+ * @returns {Object|null} Schedule, or null for categories with no price history
+ */
+export const getPriceSchedule = (category, membershipYear) => {
+  const schedules = [...(category?.priceSchedules || [])].sort((a, b) => a.membershipYear - b.membershipYear)
+  if (schedules.length === 0) return null
+  return schedules.filter(schedule => schedule.membershipYear <= membershipYear).pop() || schedules[0]
+}
+
+/**
+ * A category with the prices that applied in a membership year
+ * @param {Object} category - Category with priceSchedules
+ * @param {number} membershipYear - Membership year (see getMembershipYear)
+ * @returns {Object} Category with annualFee, joiningFee, joiningFeeMonths and proRataRates for that year
+ */
+export const getCategoryPricing = (category, membershipYear) => {
+  const schedule = getPriceSchedule(category, membershipYear)
+  if (!schedule) return category
+  return {
+    ...category,
+    annualFee: schedule.annualFee,
+    joiningFee: schedule.joiningFee,
+    joiningFeeMonths: schedule.joiningFeeMonths || [],
+    proRataRates: schedule.proRataRates
+  }
+}
+
+/**
+ * Add or replace a membership year's schedule
+ * @param {Array} schedules - Existing schedules
+ * @param {Object} schedule - Schedule to save
+ * @returns {Array} Schedules sorted by membership year
+ */
+export const upsertPriceSchedule = (schedules, schedule) => {
+  return [...(schedules || []).filter(s => s.membershipYear !== schedule.membershipYear), schedule]
+    .sort((a, b) => a.membershipYear - b.membershipYear)
+}
+
+/**
+ * Price schedule from a category's pricing fields
+ * @param {Object} pricing - { annualFee, joiningFee, joiningFeeMonths, proRataRates }
+ * @param {number} membershipYear - Membership year the prices start
+ * @returns {Object} Validated schedule
+ */
+export const buildPriceSchedule = (pricing, membershipYear) => {
+  const validation = priceScheduleSchema.safeParse({
+    membershipYear,
+    annualFee: pricing.annualFee,
+    joiningFee: pricing.joiningFee,
+    joiningFeeMonths: pricing.joiningFeeMonths || [],
+    proRataRates: pricing.proRataRates
+  })
+  if (!validation.success) {
+    throw new Error(`Invalid category pricing: ${validation.error.issues[0].message}`)
+  }
+  const schedule = validation.data
+  if (schedule.proRataRates === undefined) delete schedule.proRataRates
+  return schedule
+}
+
+/**
+ * Whether two sets of category prices are the same
+ * @param {Object} a - { annualFee, joiningFee, joiningFeeMonths, proRataRates }
+ * @param {Object} b - { annualFee, joiningFee, joiningFeeMonths, proRataRates }
+ * @returns {boolean}
+ */
+const isSamePricing = (a, b) => {
+  const months = (pricing) => [...(pricing.joiningFeeMonths || [])].sort((x, y) => x - y).join(',')
+  return a.annualFee === b.annualFee &&
+    a.joiningFee === b.joiningFee &&
+    months(a) === months(b) &&
+    Array.from({ length: 12 }, (_, i) => String(i + 1))
+      .every(key => a.proRataRates?.[key] === b.proRataRates?.[key])
+}
+
+/**
+ * Fields to save when a category's prices change from a membership year
+ * Earlier years keep their prices. A category priced before schedules existed keeps its
+ * old prices for the years before the change. The category's own pricing fields always
+ * hold this membership year's prices, so screens that show "the fee" stay current.
+ * @param {Object} existing - Category as stored
+ * @param {Object} pricing - New { annualFee, joiningFee, joiningFeeMonths, proRataRates }
+ * @param {number} effectiveYear - Membership year the prices start
+ * @param {number} currentYear - This membership year
+ * @returns {Object} { priceSchedules, annualFee, joiningFee, joiningFeeMonths, proRataRates }
+ */
+const buildPricingUpdate = (existing, pricing, effectiveYear, currentYear) => {
+  if (isSamePricing(getCategoryPricing(existing, effectiveYear), pricing)) {
+    return {}
+  }
+
+  let schedules = existing.priceSchedules || []
+  if (schedules.length === 0) {
+    schedules = [buildPriceSchedule(existing, effectiveYear - 1)]
+  }
+  schedules = upsertPriceSchedule(schedules, buildPriceSchedule(pricing, effectiveYear))
+
+  const current = getPriceSchedule({ priceSchedules: schedules }, currentYear)
+  const update = {
+    priceSchedules: schedules,
+    annualFee: current.annualFee,
+    joiningFee: current.joiningFee,
+    joiningFeeMonths: current.joiningFeeMonths
+  }
+  if (current.proRataRates !== undefined) update.proRataRates = current.proRataRates
+  return update
+}
+
 /**
  * Get all membership categories
  * @returns {Array} Array of category objects
  */
 export const getAllCategories = async () => {
   try {
-    const q = query(collection(db, CATEGORIES_COLLECTION), orderBy('order', 'asc'))
+    const q = query(clubCollection(CATEGORIES_COLLECTION), orderBy('order', 'asc'))
     const querySnapshot = await getDocs(q)
 
     const categories = []
@@ -60,7 +226,7 @@ export const getAllCategories = async () => {
  */
 export const getCategoryById = async (categoryId) => {
   try {
-    const docRef = doc(db, CATEGORIES_COLLECTION, categoryId)
+    const docRef = clubDoc(CATEGORIES_COLLECTION, categoryId)
     const docSnap = await getDoc(docRef)
 
     if (docSnap.exists()) {
@@ -92,22 +258,26 @@ export const createCategory = async (categoryData) => {
       order: categoryData.order || 999,
       isSpecial: categoryData.isSpecial || false,
       joiningFeeMonths: categoryData.joiningFeeMonths || [],
-      proRataRates: categoryData.proRataRates
+      proRataRates: categoryData.proRataRates,
+      groupRates: categoryData.groupRates || []
     }
 
     // Validate with Zod
     const validation = categorySchema.safeParse(dataToValidate)
     if (!validation.success) {
-      throw new Error(`Invalid category data: ${validation.error.errors[0].message}`)
+      throw new Error(`Invalid category data: ${validation.error.issues[0].message}`)
     }
 
+    const { membershipYearStartMonth } = await getClubSettings()
+    const effectiveYear = categoryData.effectiveYear ?? getMembershipYear(new Date(), membershipYearStartMonth)
     const newCategory = {
       ...validation.data,
+      priceSchedules: [buildPriceSchedule(validation.data, effectiveYear)],
       createdAt: serverTimestamp(),
       updatedAt: serverTimestamp()
     }
 
-    const docRef = await addDoc(collection(db, CATEGORIES_COLLECTION), newCategory)
+    const docRef = await addDoc(clubCollection(CATEGORIES_COLLECTION), newCategory)
     return { id: docRef.id, ...newCategory }
   } catch (error) {
     console.error('Error creating category:', error)
@@ -117,8 +287,10 @@ export const createCategory = async (categoryData) => {
 
 /**
  * Update a membership category
+ * Price changes are saved as a schedule from categoryData.effectiveYear (defaults to this
+ * membership year), so quotes and fees for earlier years keep the prices of the time.
  * @param {string} categoryId - Category ID
- * @param {Object} categoryData - Updated category data
+ * @param {Object} categoryData - Updated category data, with optional effectiveYear
  * @returns {Object} Updated category
  */
 export const updateCategory = async (categoryId, categoryData) => {
@@ -134,18 +306,35 @@ export const updateCategory = async (categoryId, categoryData) => {
       order: categoryData.order,
       isSpecial: categoryData.isSpecial || false,
       joiningFeeMonths: categoryData.joiningFeeMonths || [],
-      proRataRates: categoryData.proRataRates
+      proRataRates: categoryData.proRataRates,
+      groupRates: categoryData.groupRates || []
     }
 
     // Validate with Zod
     const validation = categorySchema.safeParse(dataToValidate)
     if (!validation.success) {
-      throw new Error(`Invalid category data: ${validation.error.errors[0].message}`)
+      throw new Error(`Invalid category data: ${validation.error.issues[0].message}`)
     }
 
-    const docRef = doc(db, CATEGORIES_COLLECTION, categoryId)
+    const [existing, { membershipYearStartMonth }] = await Promise.all([
+      getCategoryById(categoryId),
+      getClubSettings()
+    ])
+    const currentYear = getMembershipYear(new Date(), membershipYearStartMonth)
+    const effectiveYear = categoryData.effectiveYear ?? currentYear
+    const { annualFee, joiningFee, joiningFeeMonths, proRataRates, ...details } = validation.data
+    const pricingUpdate = buildPricingUpdate(existing, {
+      annualFee,
+      joiningFee,
+      joiningFeeMonths,
+      // Keep the year's pro-rata rates unless new ones are given
+      proRataRates: proRataRates ?? getCategoryPricing(existing, effectiveYear).proRataRates
+    }, effectiveYear, currentYear)
+
+    const docRef = clubDoc(CATEGORIES_COLLECTION, categoryId)
     const updatedData = {
-      ...validation.data,
+      ...details,
+      ...pricingUpdate,
       updatedAt: serverTimestamp()
     }
 
@@ -167,7 +356,7 @@ export const deleteCategory = async (categoryId) => {
   try {
     // Check if any members are using this category (query directly to avoid circular import)
     const membersQuery = query(
-      collection(db, 'members'),
+      clubCollection('members'),
       where('membershipCategory', '==', categoryId)
     )
     const membersSnapshot = await getDocs(membersQuery)
@@ -178,7 +367,7 @@ export const deleteCategory = async (categoryId) => {
       )
     }
 
-    const docRef = doc(db, CATEGORIES_COLLECTION, categoryId)
+    const docRef = clubDoc(CATEGORIES_COLLECTION, categoryId)
     await deleteDoc(docRef)
     return true
   } catch (error) {
@@ -197,7 +386,7 @@ export const reorderCategories = async (categories) => {
     const batch = writeBatch(db)
 
     categories.forEach((category, index) => {
-      const docRef = doc(db, CATEGORIES_COLLECTION, category.id)
+      const docRef = clubDoc(CATEGORIES_COLLECTION, category.id)
       batch.update(docRef, { order: index + 1, updatedAt: serverTimestamp() })
     })
 
@@ -226,6 +415,8 @@ export const seedDefaultCategories = async () => {
       }
     }
 
+    const { membershipYearStartMonth } = await getClubSettings()
+
     const defaultCategories = [
       {
         name: 'Junior 10-12 years',
@@ -237,7 +428,7 @@ export const seedDefaultCategories = async () => {
         order: 1,
         isSpecial: false,
         joiningFeeMonths: [],
-        proRataRates: generateDefaultProRataRates(50)
+        proRataRates: generateDefaultProRataRates(50, membershipYearStartMonth)
       },
       {
         name: 'Junior 13-15 years',
@@ -249,7 +440,7 @@ export const seedDefaultCategories = async () => {
         order: 2,
         isSpecial: false,
         joiningFeeMonths: [],
-        proRataRates: generateDefaultProRataRates(120)
+        proRataRates: generateDefaultProRataRates(120, membershipYearStartMonth)
       },
       {
         name: 'Junior 16-18 years',
@@ -261,7 +452,7 @@ export const seedDefaultCategories = async () => {
         order: 3,
         isSpecial: false,
         joiningFeeMonths: [],
-        proRataRates: generateDefaultProRataRates(180)
+        proRataRates: generateDefaultProRataRates(180, membershipYearStartMonth)
       },
       {
         name: 'Colts',
@@ -273,7 +464,7 @@ export const seedDefaultCategories = async () => {
         order: 4,
         isSpecial: false,
         joiningFeeMonths: [8, 9, 10, 11, 12],
-        proRataRates: generateDefaultProRataRates(300)
+        proRataRates: generateDefaultProRataRates(300, membershipYearStartMonth)
       },
       {
         name: 'Full Membership',
@@ -285,7 +476,7 @@ export const seedDefaultCategories = async () => {
         order: 5,
         isSpecial: false,
         joiningFeeMonths: [],
-        proRataRates: generateDefaultProRataRates(480)
+        proRataRates: generateDefaultProRataRates(480, membershipYearStartMonth)
       },
       {
         name: 'Senior Full Membership',
@@ -297,7 +488,7 @@ export const seedDefaultCategories = async () => {
         order: 6,
         isSpecial: false,
         joiningFeeMonths: [],
-        proRataRates: generateDefaultProRataRates(435)
+        proRataRates: generateDefaultProRataRates(435, membershipYearStartMonth)
       },
       {
         name: 'Life & Honorary Members',
@@ -309,7 +500,7 @@ export const seedDefaultCategories = async () => {
         order: 7,
         isSpecial: false,
         joiningFeeMonths: [],
-        proRataRates: generateDefaultProRataRates(75)
+        proRataRates: generateDefaultProRataRates(75, membershipYearStartMonth)
       },
       {
         name: 'Non-playing/Social',
@@ -321,7 +512,7 @@ export const seedDefaultCategories = async () => {
         order: 8,
         isSpecial: true,
         joiningFeeMonths: [],
-        proRataRates: generateDefaultProRataRates(40)
+        proRataRates: generateDefaultProRataRates(40, membershipYearStartMonth)
       }
     ]
 
@@ -329,7 +520,7 @@ export const seedDefaultCategories = async () => {
     let count = 0
 
     defaultCategories.forEach((category) => {
-      const docRef = doc(collection(db, CATEGORIES_COLLECTION))
+      const docRef = doc(clubCollection(CATEGORIES_COLLECTION))
       batch.set(docRef, {
         ...category,
         createdAt: serverTimestamp(),
@@ -385,28 +576,26 @@ export const determineCategoryByAge = async (dateOfBirth) => {
 
 /**
  * Calculate the default pro-rata rate for a given month using formula
- * Membership year: March (3) = 12 months, February (2) = 1 month
+ * The first month of the membership year is 12 months, the last is 1 month
  * @param {number} annualFee - Annual fee amount
  * @param {number} month - Calendar month (1-12)
+ * @param {number} startMonth - Month the membership year starts (club setting, default March)
  * @returns {number} Calculated rate
  */
-export const calculateDefaultProRataRate = (annualFee, month) => {
-  // March=12 months, April=11, ..., Feb=1
-  const monthsRemaining = month <= 2
-    ? 3 - month  // Jan=2, Feb=1
-    : 15 - month // Mar=12, Apr=11, May=10, Jun=9, Jul=8, Aug=7, Sep=6, Oct=5, Nov=4, Dec=3
-  return Math.round((monthsRemaining / 12) * annualFee)
+export const calculateDefaultProRataRate = (annualFee, month, startMonth = DEFAULT_MEMBERSHIP_YEAR_START_MONTH) => {
+  return Math.round((getMonthsRemaining(month, startMonth) / 12) * annualFee)
 }
 
 /**
  * Generate default pro-rata rates for all 12 months
  * @param {number} annualFee - Annual fee amount
+ * @param {number} startMonth - Month the membership year starts (club setting, default March)
  * @returns {Object} Object with month keys (1-12) and calculated rates
  */
-export const generateDefaultProRataRates = (annualFee) => {
+export const generateDefaultProRataRates = (annualFee, startMonth = DEFAULT_MEMBERSHIP_YEAR_START_MONTH) => {
   const rates = {}
   for (let month = 1; month <= 12; month++) {
-    rates[String(month)] = calculateDefaultProRataRate(annualFee, month)
+    rates[String(month)] = calculateDefaultProRataRate(annualFee, month, startMonth)
   }
   return rates
 }
@@ -415,9 +604,10 @@ export const generateDefaultProRataRates = (annualFee) => {
  * Update pro-rata rates for a category
  * @param {string} categoryId - Category ID
  * @param {Object} proRataRates - Object with month keys (1-12) and rate values
+ * @param {number} membershipYear - Membership year the rates start (defaults to this one)
  * @returns {Object} Updated rates
  */
-export const updateProRataRates = async (categoryId, proRataRates) => {
+export const updateProRataRates = async (categoryId, proRataRates, membershipYear) => {
   try {
     // Validate and clean rates
     const validatedRates = {}
@@ -431,9 +621,22 @@ export const updateProRataRates = async (categoryId, proRataRates) => {
       }
     }
 
-    const docRef = doc(db, CATEGORIES_COLLECTION, categoryId)
+    const [category, { membershipYearStartMonth }] = await Promise.all([
+      getCategoryById(categoryId),
+      getClubSettings()
+    ])
+    const currentYear = getMembershipYear(new Date(), membershipYearStartMonth)
+    const effectiveYear = membershipYear ?? currentYear
+    const pricingUpdate = buildPricingUpdate(
+      category,
+      { ...getCategoryPricing(category, effectiveYear), proRataRates: validatedRates },
+      effectiveYear,
+      currentYear
+    )
+
+    const docRef = clubDoc(CATEGORIES_COLLECTION, categoryId)
     await updateDoc(docRef, {
-      proRataRates: validatedRates,
+      ...pricingUpdate,
       updatedAt: serverTimestamp()
     })
 
@@ -451,10 +654,13 @@ export const updateProRataRates = async (categoryId, proRataRates) => {
  */
 export const resetProRataRates = async (categoryId) => {
   try {
-    const category = await getCategoryById(categoryId)
+    const [category, { membershipYearStartMonth }] = await Promise.all([
+      getCategoryById(categoryId),
+      getClubSettings()
+    ])
     if (!category) throw new Error('Category not found')
 
-    const defaultRates = generateDefaultProRataRates(category.annualFee)
+    const defaultRates = generateDefaultProRataRates(category.annualFee, membershipYearStartMonth)
     await updateProRataRates(categoryId, defaultRates)
     return defaultRates
   } catch (error) {
@@ -466,27 +672,29 @@ export const resetProRataRates = async (categoryId) => {
 /**
  * Calculate pro-rata fee synchronously without database lookup
  * For use in public forms where categories are already loaded
- * @param {Object} category - Category object with proRataRates and joiningFee
+ * @param {Object} categoryData - Category object with proRataRates, joiningFee and priceSchedules
  * @param {Date} joiningDate - Date for calculation (defaults to today)
+ * @param {number} startMonth - Month the membership year starts (club setting, default March)
  * @returns {Object} { proRataSubscription, joiningFee, total, monthsRemaining, currentMonth }
  */
-export const calculateProRataFeeSync = (category, joiningDate = new Date()) => {
-  if (!category) {
+export const calculateProRataFeeSync = (categoryData, joiningDate = new Date(), startMonth = DEFAULT_MEMBERSHIP_YEAR_START_MONTH) => {
+  if (!categoryData) {
     return { proRataSubscription: 0, joiningFee: 0, total: 0, monthsRemaining: 0, currentMonth: 0 }
   }
 
+  // Prices in force for the membership year of the joining date
+  const category = getCategoryPricing(categoryData, getMembershipYear(joiningDate, startMonth))
+
   const month = joiningDate.getMonth() + 1 // 1-12
   const monthKey = String(month)
-
-  // Calculate months remaining in membership year (March-February)
-  const monthsRemaining = month <= 2 ? 3 - month : 15 - month
+  const monthsRemaining = getMonthsRemaining(month, startMonth)
 
   // Get pro-rata subscription from stored rates or calculate
   let proRataSubscription
   if (category.proRataRates?.[monthKey] !== undefined) {
     proRataSubscription = category.proRataRates[monthKey]
   } else {
-    proRataSubscription = calculateDefaultProRataRate(category.annualFee, month)
+    proRataSubscription = calculateDefaultProRataRate(category.annualFee, month, startMonth)
   }
 
   // Check if joining fee applies this month
@@ -532,17 +740,22 @@ export const findCategoryByAge = (categories, age) => {
 
 /**
  * Calculate pro-rata subscription for new members
- * Uses stored rates if available, falls back to formula
+ * Uses the joining date's price schedule and stored rates if available, falls back to formula
  * @param {string} categoryId - Category ID
  * @param {string} joiningDate - Joining date
  * @returns {number} Calculated fee (subscription + joining fee)
  */
 export const calculateProRataFee = async (categoryId, joiningDate) => {
   try {
-    const category = await getCategoryById(categoryId)
-    if (!category) return 0
-
-    const month = new Date(joiningDate).getMonth() + 1 // 1-12
+    const [categoryData, { membershipYearStartMonth }] = await Promise.all([
+      getCategoryById(categoryId),
+      getClubSettings()
+    ])
+    if (!categoryData) return 0
+
+    const date = new Date(joiningDate)
+    const category = getCategoryPricing(categoryData, getMembershipYear(date, membershipYearStartMonth))
+    const month = date.getMonth() + 1 // 1-12
     const monthKey = String(month)
 
     // Lookup rate from stored proRataRates, fallback to formula
@@ -550,7 +763,7 @@ export const calculateProRataFee = async (categoryId, joiningDate) => {
     if (category.proRataRates?.[monthKey] !== undefined) {
       proRataSubscription = category.proRataRates[monthKey]
     } else {
-      proRataSubscription = calculateDefaultProRataRate(category.annualFee, month)
+      proRataSubscription = calculateDefaultProRataRate(category.annualFee, month, membershipYearStartMonth)
     }
 
     // Add flat joining fee
@@ -3,7 +3,14 @@ import {
   calculateDefaultProRataRate,
   generateDefaultProRataRates,
   calculateProRataFeeSync,
-  findCategoryByAge
+  findCategoryByAge,
+  getMembershipYear,
+  getMonthsRemaining,
+  getMembershipYearMonths,
+  getPriceSchedule,
+  getCategoryPricing,
+  upsertPriceSchedule,
+  buildPriceSchedule
 } from './categoryService'
 
 /**
@@ -761,3 +768,149 @@ describe('findCategoryByAge', () => {
     })
   })
 })
+
+/**
+ * Effective-dated pricing
+ *
+ * Each membership year (March to February) can have its own prices, so quotes and fees
+ * for a date use the prices of the time.
+ */
+describe('Price schedules', () => {
+  const priced = {
+    id: 'full-membership',
+    name: 'Full Membership',
+    annualFee: 500,
+    joiningFee: 25,
+    joiningFeeMonths: [],
+    proRataRates: generateDefaultProRataRates(500),
+    priceSchedules: [
+      { membershipYear: 2025, annualFee: 480, joiningFee: 25, joiningFeeMonths: [], proRataRates: generateDefaultProRataRates(480) },
+      { membershipYear: 2026, annualFee: 500, joiningFee: 25, joiningFeeMonths: [], proRataRates: generateDefaultProRataRates(500) },
+      { membershipYear: 2027, annualFee: 540, joiningFee: 0, joiningFeeMonths: [], proRataRates: generateDefaultProRataRates(540) }
+    ]
+  }
+
+  describe('getMembershipYear', () => {
+    it('starts the membership year in March', () => {
+      expect(getMembershipYear(new Date(2026, 2, 1))).toBe(2026)
+      expect(getMembershipYear(new Date(2027, 1, 28))).toBe(2026)
+      expect(getMembershipYear('2026-12-31')).toBe(2026)
+      expect(getMembershipYear('2026-02-01')).toBe(2025)
+    })
+
+    it('starts the membership year in the club\'s start month', () => {
+      expect(getMembershipYear(new Date(2026, 6, 1), 7)).toBe(2026)
+      expect(getMembershipYear(new Date(2026, 5, 30), 7)).toBe(2025)
+      expect(getMembershipYear('2026-03-15', 1)).toBe(2026)
+    })
+  })
+
+  describe('getPriceSchedule', () => {
+    it('uses the latest schedule starting on or before the year', () => {
+      expect(getPriceSchedule(priced, 2026).annualFee).toBe(500)
+      expect(getPriceSchedule(priced, 2030).annualFee).toBe(540)
+    })
+
+    it('uses the earliest schedule for years before the first', () => {
+      expect(getPriceSchedule(priced, 2020).annualFee).toBe(480)
+    })
+
+    it('returns null for categories with no price history', () => {
+      expect(getPriceSchedule({ annualFee: 480 }, 2026)).toBeNull()
+    })
+  })
+
+  describe('getCategoryPricing', () => {
+    it('overlays the year\'s prices on the category', () => {
+      const pricing = getCategoryPricing(priced, 2027)
+      expect(pricing.name).toBe('Full Membership')
+      expect(pricing.annualFee).toBe(540)
+      expect(pricing.joiningFee).toBe(0)
+      expect(pricing.proRataRates['3']).toBe(540)
+    })
+
+    it('leaves categories with no price history unchanged', () => {
+      const legacy = { id: 'legacy', annualFee: 300, joiningFee: 50 }
+      expect(getCategoryPricing(legacy, 2026)).toBe(legacy)
+    })
+  })
+
+  describe('upsertPriceSchedule', () => {
+    it('replaces the year\'s schedule and keeps schedules in year order', () => {
+      const schedules = upsertPriceSchedule(priced.priceSchedules, { membershipYear: 2026, annualFee: 510, joiningFee: 25 })
+      expect(schedules.map(s => s.membershipYear)).toEqual([2025, 2026, 2027])
+      expect(schedules[1].annualFee).toBe(510)
+      expect(upsertPriceSchedule([], { membershipYear: 2024, annualFee: 1 })).toHaveLength(1)
+    })
+  })
+
+  describe('buildPriceSchedule', () => {
+    it('keeps the year\'s prices', () => {
+      const schedule = buildPriceSchedule({ annualFee: 500, joiningFee: 25 }, 2026)
+      expect(schedule).toEqual({ membershipYear: 2026, annualFee: 500, joiningFee: 25, joiningFeeMonths: [] })
+    })
+
+    it('reports the validation message for invalid pricing', () => {
+      expect(() => buildPriceSchedule({ annualFee: 500, joiningFee: 25 }, 1999))
+        .toThrow(/^Invalid category pricing: Too small/)
+      expect(() => buildPriceSchedule({ annualFee: -1, joiningFee: 25 }, 2026))
+        .toThrow(/^Invalid category pricing: /)
+    })
+  })
+
+  describe('calculateProRataFeeSync', () => {
+    it('quotes at the prices for the joining date', () => {
+      expect(calculateProRataFeeSync(priced, new Date(2025, 8, 15)).proRataSubscription).toBe(240) // Sep 2025: 6/12 of 480
+      expect(calculateProRataFeeSync(priced, new Date(2026, 8, 15)).proRataSubscription).toBe(250) // Sep 2026: 6/12 of 500
+      expect(calculateProRataFeeSync(priced, new Date(2027, 2, 15)).total).toBe(540) // Mar 2027: no joining fee
+    })
+
+    it('quotes January and February at the previous membership year\'s prices', () => {
+      expect(calculateProRataFeeSync(priced, new Date(2027, 1, 15)).proRataSubscription).toBe(42) // Feb 2027: 1/12 of 500
+    })
+  })
+})
+
+describe('Membership year start month', () => {
+  describe('getMonthsRemaining', () => {
+    it('counts the start month as a full year', () => {
+      expect(getMonthsRemaining(3)).toBe(12)
+      expect(getMonthsRemaining(2)).toBe(1)
+      expect(getMonthsRemaining(7, 7)).toBe(12)
+      expect(getMonthsRemaining(6, 7)).toBe(1)
+      expect(getMonthsRemaining(1, 7)).toBe(6)
+    })
+  })
+
+  describe('getMembershipYearMonths', () => {
+    it('lists the months in membership year order', () => {
+      const months = getMembershipYearMonths(7)
+      expect(months).toHaveLength(12)
+      expect(months[0]).toEqual({ num: 7, name: 'July', monthsRemaining: 12 })
+      expect(months[11]).toEqual({ num: 6, name: 'June', monthsRemaining: 1 })
+    })
+
+    it('starts in March by default', () => {
+      expect(getMembershipYearMonths()[0].name).toBe('March')
+    })
+  })
+
+  describe('pro-rata rates', () => {
+    it('charges the full fee in the start month', () => {
+      expect(calculateDefaultProRataRate(600, 7, 7)).toBe(600)
+      expect(calculateDefaultProRataRate(600, 3, 7)).toBe(200) // March: 4/12
+    })
+
+    it('generates rates from the start month', () => {
+      const rates = generateDefaultProRataRates(1200, 7)
+      expect(rates['7']).toBe(1200)
+      expect(rates['6']).toBe(100)
+      expect(rates['3']).toBe(400)
+    })
+
+    it('quotes a joining date against the club\'s membership year', () => {
+      const category = { id: 'c', annualFee: 1200, joiningFee: 0, joiningFeeMonths: [], proRataRates: generateDefaultProRataRates(1200, 7) }
+      expect(calculateProRataFeeSync(category, new Date(2026, 8, 1), 7).proRataSubscription).toBe(1000) // Sep: 10/12
+    })
+  })
+})
@@ -0,0 +1,329 @@
+import {
+  addDoc,
+  getDocs,
+  updateDoc,
+  query,
+  where,
+  serverTimestamp
+} from 'firebase/firestore'
+import { clubCollection, clubDoc } from '../lib/firebase/clubScope'
+import { updateMember } from './membersService'
+import { getDetailChanges, TRACKED_DETAIL_FIELDS } from './memberEventService'
+import { validateContactDetails, validateDetailsUpdateRequest } from '../schemas'
+
+const CHANGE_REQUESTS_COLLECTION = 'memberChangeRequests'
+
+// Review queue lifecycle for proposed member detail changes
+export const CHANGE_REQUEST_STATUSES = {
+  PENDING: 'pending',
+  APPROVED: 'approved',  // Applied to the member record
+  REJECTED: 'rejected'
+}
+
+// Where a change request came from
+export const CHANGE_REQUEST_SOURCES = {
+  PORTAL: 'portal',      // The member, from the member portal
+  PUBLIC: 'public',      // The public "update my details" form - not yet matched to a member
+  STAFF: 'staff'         // A VIEW user suggesting an edit
+}
+
+// Recorded on the member's timeline when a request is approved
+const CHANGE_REQUEST_EVENT_SOURCE = 'change_request'
+
+/**
+ * Member fields a member can ask to change from the portal
+ */
+export const CONTACT_DETAIL_FIELDS = [
+  'email',
+  'phoneMobile',
+  'phoneHome',
+  'phoneWork',
+  'streetAddress',
+  'suburb',
+  'state',
+  'postcode'
+]
+
+/**
+ * Compare proposed contact details against the member record
+ * @param {Object} member - Current member data
+ * @param {Object} details - Proposed contact details (validated)
+ * @returns {Array} [{ field, from, to }] for the fields that differ
+ */
+export const buildContactChanges = (member, details) => {
+  const proposed = Object.fromEntries(
+    CONTACT_DETAIL_FIELDS.filter(field => field in details).map(field => [field, details[field]])
+  )
+  return getDetailChanges(member, proposed)
+}
+
+/**
+ * Compare a request's changes with the member's details as they are now
+ * The side-by-side review shows what the member record says, what was proposed, and
+ * whether the record has changed since the request was made (from is null when the
+ * person couldn't see the record, i.e. the public form).
+ * @param {Array} changes - [{ field, from, to }]
+ * @param {Object|null} member - Current member data (null when not matched yet)
+ * @returns {Array} [{ field, label, from, current, to, changedSince, alreadySet }]
+ */
+export const compareWithMember = (changes, member) => {
+  return (changes || []).map(change => {
+    const current = member ? (member[change.field] || '') : null
+    return {
+      field: change.field,
+      label: TRACKED_DETAIL_FIELDS[change.field] || change.field,
+      from: change.from,
+      current,
+      to: change.to || '',
+      changedSince: current !== null && change.from !== null && current !== (change.from || ''),
+      alreadySet: current !== null && current === (change.to || '')
+    }
+  })
+}
+
+/**
+ * The changes to apply to the member's details as they are now
+ * Fields already holding the proposed value are left out.
+ * @param {Array} changes - [{ field, to }]
+ * @param {Object} member - Current member data
+ * @returns {Array} [{ field, from, to }] with from taken from the member
+ */
+export const getChangesToApply = (changes, member) => {
+  const proposed = Object.fromEntries((changes || []).map(change => [change.field, change.to || '']))
+  return getDetailChanges(member, proposed)
+}
+
+/**
+ * Suggest the member a public request is about - Golf Australia ID, else the exact name
+ * @param {Object} request - Public change request (submittedName, submittedGolfAustraliaId)
+ * @param {Array} members - Members to search
+ * @returns {Object|null} Member
+ */
+export const suggestMemberForRequest = (request, members) => {
+  const golfAustraliaId = (request.submittedGolfAustraliaId || '').trim()
+  if (golfAustraliaId) {
+    const byId = members.find(m => (m.golfAustraliaId || '').trim() === golfAustraliaId)
+    if (byId) return byId
+  }
+
+  const name = (request.submittedName || '').trim().toLowerCase()
+  const byName = members.filter(m => (m.fullName || '').trim().toLowerCase() === name)
+  return byName.length === 1 ? byName[0] : null
+}
+
+const addChangeRequest = async (request) => {
+  const data = {
+    ...request,
+    status: CHANGE_REQUEST_STATUSES.PENDING,
+    createdAt: serverTimestamp()
+  }
+  const docRef = await addDoc(clubCollection(CHANGE_REQUESTS_COLLECTION), data)
+  return { id: docRef.id, ...data }
+}
+
+/**
+ * Submit a member's contact detail changes for review by an EDIT user
+ * @param {Object} member - Member record (id, fullName and current details)
+ * @param {Object} details - Proposed contact details
+ * @param {Object} user - { uid, email } of the signed-in member
+ * @returns {Object} The created request
+ */
+export const submitContactChangeRequest = async (member, details, user) => {
+  try {
+    const validation = validateContactDetails(details)
+    if (!validation.success) {
+      throw new Error(validation.error.issues[0].message)
+    }
+
+    const changes = buildContactChanges(member, validation.data)
+    if (changes.length === 0) {
+      throw new Error('Nothing has changed')
+    }
+
+    return await addChangeRequest({
+      memberId: member.id,
+      memberName: member.fullName || '',
+      changes,
+      source: CHANGE_REQUEST_SOURCES.PORTAL,
+      submittedBy: user.uid,
+      submittedByEmail: user.email || ''
+    })
+  } catch (error) {
+    console.error('Error submitting change request:', error)
+    throw error
+  }
+}
+
+/**
+ * Submit the public "update my details" form (no sign-in)
+ * The request isn't tied to a member until an EDIT user matches it when reviewing.
+ * @param {Object} formData - { fullName, golfAustraliaId, ...contact details }
+ * @returns {Object} The created request
+ */
+export const submitPublicChangeRequest = async (formData) => {
+  try {
+    const validation = validateDetailsUpdateRequest(formData)
+    if (!validation.success) {
+      throw new Error(validation.error.issues[0].message)
+    }
+    const { fullName, golfAustraliaId, ...details } = validation.data
+
+    // The person can't see the record, so there is no "from" - blank fields are left as they are
+    const changes = CONTACT_DETAIL_FIELDS
+      .filter(field => details[field])
+      .map(field => ({ field, from: null, to: details[field] }))
+    if (changes.length === 0) {
+      throw new Error('Enter the details you would like to change')
+    }
+
+    return await addChangeRequest({
+      memberId: '',
+      memberName: fullName,
+      changes,
+      source: CHANGE_REQUEST_SOURCES.PUBLIC,
+      submittedName: fullName,
+      submittedGolfAustraliaId: golfAustraliaId
+    })
+  } catch (error) {
+    console.error('Error submitting public change request:', error)
+    throw error
+  }
+}
+
+/**
+ * Suggest an edit to a member (VIEW users, who can't change members themselves)
+ * Covers the member's details (TRACKED_DETAIL_FIELDS), not category, status or balance.
+ * @param {Object} member - Member record (id, fullName and current details)
+ * @param {Object} formData - Member form values (validated by the form)
+ * @param {Object} user - { uid, email } of the signed-in user
+ * @returns {Object} The created request
+ */
+export const submitStaffChangeRequest = async (member, formData, user) => {
+  try {
+    const proposed = Object.fromEntries(
+      Object.keys(TRACKED_DETAIL_FIELDS).filter(field => field in formData).map(field => [field, formData[field]])
+    )
+    const changes = getDetailChanges(member, proposed)
+    if (changes.length === 0) {
+      throw new Error('Nothing has changed')
+    }
+
+    return await addChangeRequest({
+      memberId: member.id,
+      memberName: member.fullName || '',
+      changes,
+      source: CHANGE_REQUEST_SOURCES.STAFF,
+      submittedBy: user.uid,
+      submittedByEmail: user.email || ''
+    })
+  } catch (error) {
+    console.error('Error submitting staff change request:', error)
+    throw error
+  }
+}
+
+// Oldest first - the queue is worked in the order requests arrived
+const sortByCreatedAt = (requests) => {
+  return requests.sort((a, b) => (a.createdAt?.toMillis?.() || 0) - (b.createdAt?.toMillis?.() || 0))
+}
+
+/**
+ * Get change requests waiting for review
+ * @returns {Array} Pending requests, oldest first
+ */
+export const getPendingChangeRequests = async () => {
+  try {
+    const snapshot = await getDocs(
+      query(clubCollection(CHANGE_REQUESTS_COLLECTION), where('status', '==', CHANGE_REQUEST_STATUSES.PENDING))
+    )
+    return sortByCreatedAt(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })))
+  } catch (error) {
+    console.error('Error getting pending change requests:', error)
+    throw error
+  }
+}
+
+/**
+ * Get a member's change requests (the portal shows the member what is still waiting)
+ * @param {string} memberId - The member ID
+ * @returns {Array} Requests, oldest first
+ */
+export const getMemberChangeRequests = async (memberId) => {
+  try {
+    const snapshot = await getDocs(
+      query(clubCollection(CHANGE_REQUESTS_COLLECTION), where('memberId', '==', memberId))
+    )
+    return sortByCreatedAt(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })))
+  } catch (error) {
+    console.error('Error getting member change requests:', error)
+    throw error
+  }
+}
+
+/**
+ * Approve a change request - the difference from the member's current details is
+ * written through updateMember, which records it on the member's timeline. The request
+ * is marked approved in the same batch, and Firestore rules only allow that while it is
+ * pending, so a request can't be applied twice.
+ * @param {Object} request - Change request (id, changes)
+ * @param {Object} member - The member it is about, as they are now (chosen by the reviewer for public requests)
+ * @param {string} userId - ID of the reviewing user
+ * @returns {Array} The changes applied
+ */
+export const approveChangeRequest = async (request, member, userId) => {
+  try {
+    if (request.status !== CHANGE_REQUEST_STATUSES.PENDING) {
+      throw new Error('This change request has already been reviewed')
+    }
+    if (!member?.id) {
+      throw new Error('Choose the member this request is about')
+    }
+
+    const applied = getChangesToApply(request.changes, member)
+    const requestRef = clubDoc(CHANGE_REQUESTS_COLLECTION, request.id)
+    const approval = {
+      status: CHANGE_REQUEST_STATUSES.APPROVED,
+      memberId: member.id,
+      memberName: member.fullName || '',
+      appliedChanges: applied,
+      reviewedBy: userId,
+      reviewedAt: serverTimestamp()
+    }
+
+    if (applied.length > 0) {
+      const updates = Object.fromEntries(applied.map(change => [change.field, change.to]))
+      await updateMember(member.id, updates, userId, {
+        source: CHANGE_REQUEST_EVENT_SOURCE,
+        sourceId: request.id,
+        extraWrites: (batch) => batch.update(requestRef, approval)
+      })
+    } else {
+      await updateDoc(requestRef, approval)
+    }
+
+    return applied
+  } catch (error) {
+    console.error('Error approving change request:', error)
+    throw error
+  }
+}
+
+/**
+ * Reject a change request - the member record is left as it is
+ * @param {string} requestId - Change request ID
+ * @param {string} reason - Why it was rejected (shown to the member)
+ * @param {string} userId - ID of the reviewing user
+ */
+export const rejectChangeRequest = async (requestId, reason, userId) => {
+  try {
+    await updateDoc(clubDoc(CHANGE_REQUESTS_COLLECTION, requestId), {
+      status: CHANGE_REQUEST_STATUSES.REJECTED,
+      rejectedReason: (reason || '').trim(),
+      reviewedBy: userId,
+      reviewedAt: serverTimestamp()
+    })
+  } catch (error) {
+    console.error('Error rejecting change request:', error)
+    throw error
+  }
+}
@@ -0,0 +1,167 @@
+import { describe, it, expect } from 'vitest'
+import {
+  buildContactChanges,
+  compareWithMember,
+  getChangesToApply,
+  suggestMemberForRequest
+} from './changeRequestService'
+import { validateContactDetails, validateDetailsUpdateRequest } from '../schemas'
+
+/**
+ * Change Request Tests
+ *
+ * Proposed member detail changes and their review.
+ */
+
+const member = {
+  id: 'm1',
+  fullName: 'Jane Smith',
+  email: 'jane@example.com',
+  phoneMobile: '0412 345 678',
+  phoneHome: '',
+  streetAddress: '1 Golf Drive',
+  suburb: 'Tea Tree',
+  state: 'TAS',
+  postcode: '7017',
+  dateOfBirth: '1970-01-01'
+}
+
+describe('buildContactChanges', () => {
+  it('lists only the fields that differ', () => {
+    const changes = buildContactChanges(member, {
+      email: 'jane@example.com',
+      phoneMobile: '0412 999 999',
+      streetAddress: '2 Fairway Road'
+    })
+    expect(changes).toEqual([
+      { field: 'phoneMobile', from: '0412 345 678', to: '0412 999 999' },
+      { field: 'streetAddress', from: '1 Golf Drive', to: '2 Fairway Road' }
+    ])
+  })
+
+  it('treats missing and blank values as the same', () => {
+    expect(buildContactChanges(member, { phoneHome: '', phoneWork: '' })).toEqual([])
+  })
+
+  it('ignores fields members cannot change themselves', () => {
+    expect(buildContactChanges(member, { fullName: 'Janet Smith', dateOfBirth: '1980-01-01' })).toEqual([])
+  })
+})
+
+describe('compareWithMember', () => {
+  it('shows the current value beside the proposed one', () => {
+    const [row] = compareWithMember([{ field: 'suburb', from: 'Tea Tree', to: 'Brighton' }], member)
+    expect(row).toEqual({
+      field: 'suburb',
+      label: 'Suburb',
+      from: 'Tea Tree',
+      current: 'Tea Tree',
+      to: 'Brighton',
+      changedSince: false,
+      alreadySet: false
+    })
+  })
+
+  it('flags a field changed since the request was made', () => {
+    const [row] = compareWithMember([{ field: 'suburb', from: 'Old Beach', to: 'Brighton' }], member)
+    expect(row.changedSince).toBe(true)
+  })
+
+  it('flags a field that already holds the proposed value', () => {
+    const [row] = compareWithMember([{ field: 'postcode', from: '7000', to: '7017' }], member)
+    expect(row.alreadySet).toBe(true)
+  })
+
+  it('has no current value until a public request is matched', () => {
+    const [row] = compareWithMember([{ field: 'suburb', from: null, to: 'Brighton' }], null)
+    expect(row.current).toBeNull()
+    expect(row.changedSince).toBe(false)
+    expect(row.alreadySet).toBe(false)
+  })
+
+  it('does not treat a public request as changed since', () => {
+    const [row] = compareWithMember([{ field: 'suburb', from: null, to: 'Brighton' }], member)
+    expect(row.changedSince).toBe(false)
+  })
+})
+
+describe('getChangesToApply', () => {
+  it('diffs the proposed values against the member as they are now', () => {
+    expect(getChangesToApply([
+      { field: 'suburb', from: 'Old Beach', to: 'Brighton' },
+      { field: 'postcode', from: '7000', to: '7017' },
+      { field: 'phoneHome', from: null, to: '03 6200 0000' }
+    ], member)).toEqual([
+      { field: 'phoneHome', from: '', to: '03 6200 0000' },
+      { field: 'suburb', from: 'Tea Tree', to: 'Brighton' }
+    ])
+  })
+
+  it('applies a cleared value', () => {
+    expect(getChangesToApply([{ field: 'phoneMobile', from: '0412 345 678', to: '' }], member))
+      .toEqual([{ field: 'phoneMobile', from: '0412 345 678', to: '' }])
+  })
+
+  it('handles a request without changes', () => {
+    expect(getChangesToApply(undefined, member)).toEqual([])
+  })
+})
+
+describe('suggestMemberForRequest', () => {
+  const members = [
+    { id: 'm1', fullName: 'Jane Smith', golfAustraliaId: '1234567890' },
+    { id: 'm2', fullName: 'John Brown', golfAustraliaId: '' },
+    { id: 'm3', fullName: 'Sam Lee' },
+    { id: 'm4', fullName: 'Sam Lee' }
+  ]
+
+  it('matches the Golf Australia ID first', () => {
+    expect(suggestMemberForRequest({ submittedName: 'J Smith', submittedGolfAustraliaId: ' 1234567890 ' }, members).id)
+      .toBe('m1')
+  })
+
+  it('falls back to the name, ignoring case and spaces', () => {
+    expect(suggestMemberForRequest({ submittedName: ' john brown ', submittedGolfAustraliaId: '999' }, members).id)
+      .toBe('m2')
+  })
+
+  it('does not guess between members with the same name', () => {
+    expect(suggestMemberForRequest({ submittedName: 'Sam Lee', submittedGolfAustraliaId: '' }, members)).toBeNull()
+  })
+
+  it('returns null when nobody matches', () => {
+    expect(suggestMemberForRequest({ submittedName: 'Alex Green', submittedGolfAustraliaId: '' }, members)).toBeNull()
+  })
+})
+
+describe('validateContactDetails', () => {
+  it('lowercases the email so portal sign-in still matches', () => {
+    const result = validateContactDetails({ email: 'Jane.Smith@Example.com' })
+    expect(result.success).toBe(true)
+    expect(result.data.email).toBe('jane.smith@example.com')
+  })
+
+  it('rejects an invalid phone number or postcode', () => {
+    expect(validateContactDetails({ phoneMobile: '1234' }).success).toBe(false)
+    expect(validateContactDetails({ postcode: '12' }).success).toBe(false)
+  })
+
+  it('allows clearing optional details', () => {
+    const result = validateContactDetails({ phoneWork: '', postcode: '' })
+    expect(result.success).toBe(true)
+  })
+})
+
+describe('validateDetailsUpdateRequest', () => {
+  it('requires the person\'s name', () => {
+    const result = validateDetailsUpdateRequest({ fullName: '  ', suburb: 'Brighton' })
+    expect(result.success).toBe(false)
+    expect(result.error.issues[0].message).toBe('Your name is required')
+  })
+
+  it('defaults the Golf Australia ID to blank', () => {
+    const result = validateDetailsUpdateRequest({ fullName: 'Jane Smith', suburb: 'Brighton' })
+    expect(result.success).toBe(true)
+    expect(result.data.golfAustraliaId).toBe('')
+  })
+})
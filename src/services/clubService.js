@@ -0,0 +1,206 @@
+import {
+  collection,
+  collectionGroup,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  where,
+  orderBy,
+  setDoc,
+  writeBatch,
+  serverTimestamp
+} from 'firebase/firestore'
+import { z } from 'zod'
+import { db } from '../firebase'
+import { CLUBS_COLLECTION } from '../lib/firebase/clubScope'
+import { DEFAULT_CLUB_SETTINGS } from './clubSettingsService'
+import { ROLES, USER_STATUS } from './usersService'
+
+const CLUB_USERS_COLLECTION = 'users'
+
+/**
+ * ID of the first club on a deployment
+ * Set up on the first sign-in of a root super admin; the data from before clubs existed is imported into it.
+ */
+export const DEFAULT_CLUB_ID = 'default'
+
+const newClubSchema = z.object({
+  clubId: z.string().regex(/^[a-z0-9]+(-[a-z0-9]+)*$/, 'Club ID can only contain lowercase letters, numbers and hyphens').max(40),
+  clubName: z.string().trim().min(1, 'Club name is required').max(100)
+})
+
+/**
+ * Suggest a club ID from its name, e.g. "Tea Tree Golf Club" -> "tea-tree-golf-club"
+ * @param {string} clubName - Club name
+ * @returns {string} Club ID
+ */
+export const suggestClubId = (clubName = '') => {
+  return clubName
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40)
+    .replace(/-+$/, '')
+}
+
+/**
+ * Choose the club to work in
+ * The first preferred club the user belongs to, else their first active club, else their first club.
+ * @param {Array} clubs - [{ clubId, status }]
+ * @param {Array<string>} preferredClubIds - e.g. the ?club= link, then the club used last time
+ * @returns {string|null} Club ID
+ */
+export const chooseActiveClubId = (clubs, preferredClubIds = []) => {
+  const preferred = preferredClubIds.find(clubId => clubs.some(club => club.clubId === clubId))
+  if (preferred) return preferred
+
+  const active = clubs.find(club => !club.status || club.status === USER_STATUS.ACTIVE)
+  return (active || clubs[0])?.clubId || null
+}
+
+// Blank contact and payment details, so a new club doesn't inherit another club's
+const buildNewClubSettings = (clubName) => ({
+  ...DEFAULT_CLUB_SETTINGS,
+  clubName,
+  legalName: clubName,
+  address: '',
+  phone: '',
+  email: '',
+  website: '',
+  secretaryName: '',
+  treasurerName: '',
+  treasurerPhone: '',
+  treasurerEmail: '',
+  bankAccountName: '',
+  bankBsb: '',
+  bankAccountNumber: ''
+})
+
+/**
+ * Get every club on the deployment (public - the application and registration pages list them)
+ * @returns {Array} [{ clubId, name }] sorted by name
+ */
+export const getClubs = async () => {
+  try {
+    const snapshot = await getDocs(query(collection(db, CLUBS_COLLECTION), orderBy('name')))
+    return snapshot.docs.map(clubDoc => ({ clubId: clubDoc.id, name: clubDoc.data().name }))
+  } catch (error) {
+    console.error('Error getting clubs:', error)
+    throw error
+  }
+}
+
+/**
+ * Get the clubs a user belongs to, with their role and status in each
+ * @param {string} uid - Firebase Auth user ID
+ * @returns {Array} [{ clubId, name, role, status }] sorted by club name
+ */
+export const getUserClubs = async (uid) => {
+  try {
+    const [membershipSnap, clubs] = await Promise.all([
+      getDocs(query(collectionGroup(db, CLUB_USERS_COLLECTION), where('uid', '==', uid))),
+      getClubs()
+    ])
+
+    const clubNames = new Map(clubs.map(club => [club.clubId, club.name]))
+    return membershipSnap.docs
+      // Club users live at clubs/{clubId}/users/{uid}
+      .filter(userDoc => userDoc.ref.parent.parent?.parent.id === CLUBS_COLLECTION)
+      .map(userDoc => {
+        const clubId = userDoc.ref.parent.parent.id
+        const { role, status } = userDoc.data()
+        return { clubId, name: clubNames.get(clubId) || clubId, role, status }
+      })
+      .sort((a, b) => a.name.localeCompare(b.name))
+  } catch (error) {
+    console.error('Error getting user clubs:', error)
+    throw error
+  }
+}
+
+/**
+ * Check whether a user can set up the default club - only a super admin in the root
+ * users collection (from before clubs, or added in the console on a fresh deployment)
+ * @param {string} uid - Firebase Auth user ID
+ * @returns {boolean} True if the user's root account is a super admin
+ */
+export const canSetUpDefaultClub = async (uid) => {
+  try {
+    const userSnap = await getDoc(doc(db, CLUB_USERS_COLLECTION, uid))
+    return userSnap.exists() && userSnap.data().role === ROLES.SUPER_ADMIN
+  } catch (error) {
+    console.error('Error checking root user:', error)
+    throw error
+  }
+}
+
+/**
+ * Create a club, with its settings and the creator as its super admin
+ * @param {Object} clubData - { clubId, clubName }
+ * @param {Object} user - { uid, email } of the user creating the club
+ * @param {string|null} fromClubId - Club the creator is a super admin of (null when setting up the first club)
+ * @returns {Object} { clubId, name }
+ */
+export const createClub = async (clubData, user, fromClubId = null) => {
+  try {
+    const validation = newClubSchema.safeParse(clubData)
+    if (!validation.success) {
+      throw new Error(validation.error.issues[0].message)
+    }
+    const { clubId, clubName } = validation.data
+
+    const clubs = await getClubs()
+    if (clubs.some(club => club.clubId === clubId)) {
+      throw new Error(`A club with the ID "${clubId}" already exists`)
+    }
+
+    const batch = writeBatch(db)
+    batch.set(doc(db, CLUBS_COLLECTION, clubId), {
+      name: clubName,
+      createdBy: user.uid,
+      createdFromClubId: fromClubId,
+      createdAt: serverTimestamp()
+    })
+    batch.set(doc(db, CLUBS_COLLECTION, clubId, 'settings', 'club'), {
+      ...buildNewClubSettings(clubName),
+      updatedBy: user.uid,
+      updatedAt: serverTimestamp()
+    })
+    batch.set(doc(db, CLUBS_COLLECTION, clubId, CLUB_USERS_COLLECTION, user.uid), {
+      uid: user.uid,
+      email: user.email,
+      role: ROLES.SUPER_ADMIN,
+      status: USER_STATUS.ACTIVE,
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp()
+    })
+    await batch.commit()
+
+    return { clubId, name: clubName }
+  } catch (error) {
+    console.error('Error creating club:', error)
+    throw error
+  }
+}
+
+/**
+ * Ask for access to a club - the user appears as pending on the club's Users page
+ * @param {string} clubId - Club ID
+ * @param {Object} user - { uid, email }
+ */
+export const requestClubAccess = async (clubId, user) => {
+  try {
+    await setDoc(doc(db, CLUBS_COLLECTION, clubId, CLUB_USERS_COLLECTION, user.uid), {
+      uid: user.uid,
+      email: user.email,
+      role: ROLES.VIEW,
+      status: USER_STATUS.PENDING,
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp()
+    })
+  } catch (error) {
+    console.error('Error requesting club access:', error)
+    throw error
+  }
+}
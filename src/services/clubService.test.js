@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest'
+import { suggestClubId, chooseActiveClubId } from './clubService'
+import { clubCollection, setActiveClubId, getActiveClubId } from '../lib/firebase/clubScope'
+
+/**
+ * Club Tests
+ *
+ * Club IDs and choosing the club to work in.
+ */
+
+describe('suggestClubId', () => {
+  it('turns the club name into a lowercase slug', () => {
+    expect(suggestClubId('Tea Tree Golf Club')).toBe('tea-tree-golf-club')
+    expect(suggestClubId("St. Andrew's  Links")).toBe('st-andrew-s-links')
+  })
+
+  it('trims hyphens from the ends', () => {
+    expect(suggestClubId('  -Riverside- ')).toBe('riverside')
+    expect(suggestClubId('')).toBe('')
+  })
+
+  it('keeps to 40 characters without a trailing hyphen', () => {
+    const clubId = suggestClubId('The Very Long Named Country Club And Golf Course Of Somewhere')
+    expect(clubId.length).toBeLessThanOrEqual(40)
+    expect(clubId.endsWith('-')).toBe(false)
+  })
+})
+
+describe('chooseActiveClubId', () => {
+  const clubs = [
+    { clubId: 'riverside', status: 'pending' },
+    { clubId: 'tea-tree', status: 'active' },
+    { clubId: 'hills', status: 'active' }
+  ]
+
+  it('uses the first preferred club the user belongs to', () => {
+    expect(chooseActiveClubId(clubs, ['elsewhere', 'hills', 'tea-tree'])).toBe('hills')
+  })
+
+  it('falls back to the first active club', () => {
+    expect(chooseActiveClubId(clubs, [null, 'elsewhere'])).toBe('tea-tree')
+  })
+
+  it('treats clubs without a status (the public list) as available', () => {
+    expect(chooseActiveClubId([{ clubId: 'riverside' }, { clubId: 'hills' }])).toBe('riverside')
+  })
+
+  it('uses a pending club when there is nothing else', () => {
+    expect(chooseActiveClubId([{ clubId: 'riverside', status: 'pending' }])).toBe('riverside')
+  })
+
+  it('returns null without any clubs', () => {
+    expect(chooseActiveClubId([], ['riverside'])).toBeNull()
+  })
+})
+
+describe('clubScope', () => {
+  it('refuses club data before a club is chosen', () => {
+    setActiveClubId(null)
+    expect(() => clubCollection('members')).toThrow('No club selected')
+  })
+
+  it('remembers the active club', () => {
+    setActiveClubId('riverside')
+    expect(getActiveClubId()).toBe('riverside')
+    setActiveClubId(null)
+  })
+})
@@ -0,0 +1,169 @@
+import { getDoc, setDoc, serverTimestamp } from 'firebase/firestore'
+import { z } from 'zod'
+import { clubDoc } from '../lib/firebase/clubScope'
+
+const SETTINGS_COLLECTION = 'settings'
+const CLUB_SETTINGS_DOC = 'club'
+
+// Largest logo kept in the settings document (as a data URL)
+export const MAX_LOGO_SIZE = 200 * 1024
+
+export const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+]
+
+/**
+ * Month the membership year starts when the club has not chosen one (March)
+ */
+export const DEFAULT_MEMBERSHIP_YEAR_START_MONTH = 3
+
+/**
+ * Club identity, contact and payment details used until the club saves its own
+ * Every letter, receipt, email and fee calculation reads these through getClubSettings.
+ */
+export const DEFAULT_CLUB_SETTINGS = {
+  clubName: 'Tea Tree Golf Club',
+  legalName: 'Tea Tree Golf Club Inc',
+  address: '10A Volcanic Drive, Brighton, Tasmania 7030',
+  phone: '03 6268 1692',
+  email: 'teatreegolf@bigpond.com',
+  website: 'www.teatreegolfclub.com.au',
+  logoDataUrl: '',
+  secretaryName: 'David Moore',
+  treasurerName: 'Kathy Manning',
+  treasurerPhone: '0408 521 963',
+  treasurerEmail: 'katmanning4@yahoo.com',
+  membershipYearStartMonth: DEFAULT_MEMBERSHIP_YEAR_START_MONTH,
+  receiptPrefix: 'R',
+  bankAccountName: 'Tea Tree Golf Club Inc',
+  bankBsb: '067 101',
+  bankAccountNumber: '2802 5959'
+}
+
+const clubSettingsSchema = z.object({
+  clubName: z.string().trim().min(1, 'Club name is required').max(100),
+  legalName: z.string().trim().max(150),
+  address: z.string().trim().max(200),
+  phone: z.string().trim().max(30),
+  email: z.union([z.literal(''), z.string().trim().email('Invalid club email')]),
+  website: z.string().trim().max(200),
+  logoDataUrl: z.union([
+    z.literal(''),
+    z.string()
+      .regex(/^data:image\/(png|jpeg);base64,/, 'Logo must be a PNG or JPEG image')
+      .max(Math.ceil(MAX_LOGO_SIZE * 4 / 3) + 30, 'Logo must be 200 KB or smaller')
+  ]),
+  secretaryName: z.string().trim().max(100),
+  treasurerName: z.string().trim().max(100),
+  treasurerPhone: z.string().trim().max(30),
+  treasurerEmail: z.union([z.literal(''), z.string().trim().email('Invalid treasurer email')]),
+  membershipYearStartMonth: z.number().int().min(1).max(12),
+  receiptPrefix: z.string().trim().min(1, 'Receipt prefix is required').max(10)
+    .regex(/^[A-Za-z0-9-]+$/, 'Receipt prefix can only contain letters, numbers and hyphens'),
+  bankAccountName: z.string().trim().max(100),
+  bankBsb: z.string().trim().regex(/^(\d{3}[ -]?\d{3})?$/, 'BSB must be 6 digits'),
+  bankAccountNumber: z.string().trim().max(20)
+})
+
+/**
+ * Check club settings before they are saved
+ * @param {Object} settings - Club settings
+ * @returns {Object} { success, data, error } - error is the first problem found
+ */
+export const validateClubSettings = (settings) => {
+  const validation = clubSettingsSchema.safeParse({ ...DEFAULT_CLUB_SETTINGS, ...settings })
+  return validation.success
+    ? { success: true, data: validation.data, error: null }
+    : { success: false, data: null, error: validation.error.issues[0].message }
+}
+
+/**
+ * Phone and email line printed under the club name on letters
+ * @param {Object} club - Club settings
+ * @returns {string} e.g. "Tel: 03 6268 1692 or Email: club@example.com"
+ */
+export const formatClubContactLine = (club) => {
+  return [club.phone && `Tel: ${club.phone}`, club.email && `Email: ${club.email}`]
+    .filter(Boolean)
+    .join(' or ')
+}
+
+/**
+ * Treasurer's name, phone and email as printed on letters
+ * @param {Object} club - Club settings
+ * @returns {string} e.g. "Kathy Manning - 0408 521 963 - treasurer@example.com"
+ */
+export const formatTreasurerContact = (club) => {
+  return [club.treasurerName, club.treasurerPhone, club.treasurerEmail].filter(Boolean).join(' - ')
+}
+
+/**
+ * Bank details line for EFT payments
+ * @param {Object} club - Club settings
+ * @returns {string} e.g. "NAME: Tea Tree Golf Club Inc  BSB: 067 101  NUMBER: 2802 5959"
+ */
+export const formatBankDetails = (club) => {
+  return `NAME: ${club.bankAccountName}  BSB: ${club.bankBsb}  NUMBER: ${club.bankAccountNumber}`
+}
+
+/**
+ * Image format of the club logo, as jsPDF's addImage expects it
+ * @param {string} logoDataUrl - Logo data URL
+ * @returns {string|null} 'PNG', 'JPEG', or null when there is no logo
+ */
+export const getLogoImageFormat = (logoDataUrl) => {
+  const match = /^data:image\/(png|jpeg);base64,/.exec(logoDataUrl || '')
+  return match ? match[1].toUpperCase() : null
+}
+
+/**
+ * Describe the membership year for members, e.g. "March to February"
+ * @param {number} startMonth - Month the membership year starts (1-12)
+ * @returns {string}
+ */
+export const formatMembershipYearSpan = (startMonth = DEFAULT_MEMBERSHIP_YEAR_START_MONTH) => {
+  return `${MONTH_NAMES[startMonth - 1]} to ${MONTH_NAMES[(startMonth + 10) % 12]}`
+}
+
+/**
+ * Get the club settings, falling back to the defaults for anything not saved
+ * @returns {Object} Club settings
+ */
+export const getClubSettings = async () => {
+  try {
+    const settingsDoc = await getDoc(clubDoc(SETTINGS_COLLECTION, CLUB_SETTINGS_DOC))
+    return settingsDoc.exists()
+      ? { ...DEFAULT_CLUB_SETTINGS, ...settingsDoc.data() }
+      : DEFAULT_CLUB_SETTINGS
+  } catch (error) {
+    console.error('Error getting club settings:', error)
+    throw error
+  }
+}
+
+/**
+ * Save the club settings
+ * @param {Object} settings - Club settings
+ * @param {string} userId - ID of user saving the settings
+ * @returns {Object} Saved settings
+ */
+export const saveClubSettings = async (settings, userId) => {
+  try {
+    const validation = validateClubSettings(settings)
+    if (!validation.success) {
+      throw new Error(validation.error)
+    }
+
+    const data = {
+      ...validation.data,
+      updatedBy: userId,
+      updatedAt: serverTimestamp()
+    }
+    await setDoc(clubDoc(SETTINGS_COLLECTION, CLUB_SETTINGS_DOC), data)
+    return data
+  } catch (error) {
+    console.error('Error saving club settings:', error)
+    throw error
+  }
+}
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest'
+import {
+  DEFAULT_CLUB_SETTINGS,
+  validateClubSettings,
+  formatClubContactLine,
+  formatTreasurerContact,
+  formatBankDetails,
+  getLogoImageFormat,
+  formatMembershipYearSpan
+} from './clubSettingsService'
+
+/**
+ * Club Settings Tests
+ *
+ * Validation and the lines printed on letters, receipts and emails.
+ */
+
+describe('validateClubSettings', () => {
+  it('accepts the defaults', () => {
+    expect(validateClubSettings(DEFAULT_CLUB_SETTINGS).success).toBe(true)
+  })
+
+  it('fills in anything not given from the defaults', () => {
+    const result = validateClubSettings({ clubName: 'Riverside Golf Club' })
+    expect(result.data.clubName).toBe('Riverside Golf Club')
+    expect(result.data.receiptPrefix).toBe('R')
+  })
+
+  it('requires a club name and receipt prefix', () => {
+    expect(validateClubSettings({ clubName: ' ' }).error).toBe('Club name is required')
+    expect(validateClubSettings({ receiptPrefix: '' }).error).toBe('Receipt prefix is required')
+    expect(validateClubSettings({ receiptPrefix: 'R/' }).error)
+      .toBe('Receipt prefix can only contain letters, numbers and hyphens')
+  })
+
+  it('checks the start month, BSB, emails and logo', () => {
+    expect(validateClubSettings({ membershipYearStartMonth: 13 }).success).toBe(false)
+    expect(validateClubSettings({ bankBsb: '0671' }).error).toBe('BSB must be 6 digits')
+    expect(validateClubSettings({ bankBsb: '067-101' }).success).toBe(true)
+    expect(validateClubSettings({ email: 'club' }).error).toBe('Invalid club email')
+    expect(validateClubSettings({ treasurerEmail: '' }).success).toBe(true)
+    expect(validateClubSettings({ logoDataUrl: 'data:image/gif;base64,AAAA' }).error)
+      .toBe('Logo must be a PNG or JPEG image')
+  })
+})
+
+describe('formatClubContactLine', () => {
+  it('joins phone and email, leaving out blanks', () => {
+    expect(formatClubContactLine({ phone: '03 6268 1692', email: 'club@example.com' }))
+      .toBe('Tel: 03 6268 1692 or Email: club@example.com')
+    expect(formatClubContactLine({ phone: '', email: 'club@example.com' })).toBe('Email: club@example.com')
+  })
+})
+
+describe('formatTreasurerContact', () => {
+  it('joins the treasurer\'s name, phone and email', () => {
+    expect(formatTreasurerContact({ treasurerName: 'Jo Smith', treasurerPhone: '', treasurerEmail: 'jo@example.com' }))
+      .toBe('Jo Smith - jo@example.com')
+  })
+})
+
+describe('formatBankDetails', () => {
+  it('prints the account for EFT payments', () => {
+    expect(formatBankDetails(DEFAULT_CLUB_SETTINGS))
+      .toBe('NAME: Tea Tree Golf Club Inc  BSB: 067 101  NUMBER: 2802 5959')
+  })
+})
+
+describe('getLogoImageFormat', () => {
+  it('reads the format from the data URL', () => {
+    expect(getLogoImageFormat('data:image/png;base64,AAAA')).toBe('PNG')
+    expect(getLogoImageFormat('data:image/jpeg;base64,AAAA')).toBe('JPEG')
+    expect(getLogoImageFormat('')).toBeNull()
+    expect(getLogoImageFormat(undefined)).toBeNull()
+  })
+})
+
+describe('formatMembershipYearSpan', () => {
+  it('names the first and last months of the membership year', () => {
+    expect(formatMembershipYearSpan()).toBe('March to February')
+    expect(formatMembershipYearSpan(7)).toBe('July to June')
+    expect(formatMembershipYearSpan(1)).toBe('January to December')
+  })
+})
@@ -7,6 +7,7 @@
 
 import { getFunctions, httpsCallable } from 'firebase/functions'
 import app from '../firebase'
+import { getActiveClubId } from '../lib/firebase/clubScope'
 
 // Initialize Firebase Functions
 const functions = getFunctions(app)
@@ -58,7 +59,8 @@ export const sendVerificationEmail = async (email, fullName, token, applicationI
       email,
       fullName,
       token,
-      applicationId
+      applicationId,
+      clubId: getActiveClubId()
     })
 
     console.log('Verification email sent successfully:', result.data)
@@ -126,7 +128,8 @@ export const sendRejectionEmail = async (email, fullName, rejectionReason) => {
     const result = await sendEmail({
       email,
       fullName,
-      rejectionReason
+      rejectionReason,
+      clubId: getActiveClubId()
     })
 
     console.log('Rejection email sent successfully:', result.data)
@@ -148,7 +151,8 @@ export const sendApprovalEmail = async (email, fullName) => {
     const sendEmail = httpsCallable(functions, 'sendApprovalEmail')
     const result = await sendEmail({
       email,
-      fullName
+      fullName,
+      clubId: getActiveClubId()
     })
 
     console.log('Approval email sent successfully:', result.data)
@@ -1,6 +1,5 @@
 
 import {
-  collection,
   doc,
   getDocs,
   query,
@@ -9,11 +8,197 @@ import {
   serverTimestamp
 } from 'firebase/firestore'
 import { db } from '../firebase'
+import { clubCollection, clubDoc } from '../lib/firebase/clubScope'
 import { getAllMembers } from './membersService'
 import { getAllCategories } from './categoryService'
+import { getAnnualCategoryFee } from './categoryProgressionService'
+import { getClubSettings } from './clubSettingsService'
+import { isFeePayingMember } from './memberStatusService'
+import { getAllMemberGroups, buildGroupMemberMap, applyGroupPricing, MEMBER_GROUP_TYPE_LABELS } from './memberGroupService'
+import { writeLedgerEntry, roundCurrency, LEDGER_ENTRY_TYPES } from './ledgerService'
+import { writePortalBalance } from './memberPortalService'
+import {
+  getInstalmentMemberIds,
+  writeInstalmentPlan,
+  buildInstalmentSchedule,
+  getPaidTowardsFee
+} from './instalmentService'
 
 const FEES_COLLECTION = 'fees'
 
+/**
+ * How much of a fee has been settled by allocated payments
+ */
+export const FEE_PAYMENT_STATUSES = {
+  UNPAID: 'unpaid',
+  PART_PAID: 'part_paid',
+  PAID: 'paid'
+}
+
+/**
+ * Amount still owed on a fee
+ * Fees recorded before payment allocation have no paidAmount and count as unpaid
+ * @param {Object} fee - { amount, paidAmount }
+ * @returns {number} Outstanding amount (never negative)
+ */
+export const getFeeOutstanding = (fee) => {
+  return Math.max(0, roundCurrency(fee.amount - (fee.paidAmount || 0)))
+}
+
+/**
+ * Payment status of a fee
+ * @param {Object} fee - { amount, paidAmount }
+ * @returns {string} One of FEE_PAYMENT_STATUSES
+ */
+export const getFeePaymentStatus = (fee) => {
+  if (getFeeOutstanding(fee) === 0) return FEE_PAYMENT_STATUSES.PAID
+  if (fee.paidAmount > 0) return FEE_PAYMENT_STATUSES.PART_PAID
+  return FEE_PAYMENT_STATUSES.UNPAID
+}
+
+/**
+ * Order fees oldest first (fee year, then date applied)
+ * @param {Array} fees - Fee records
+ * @returns {Array} New sorted array
+ */
+export const sortFeesOldestFirst = (fees) => {
+  return [...fees].sort((a, b) =>
+    (a.feeYear || 0) - (b.feeYear || 0) || (a.appliedDate || '').localeCompare(b.appliedDate || '')
+  )
+}
+
+const copyFees = (fees) => fees.map(fee => ({ ...fee, paidAmount: fee.paidAmount || 0 }))
+
+/**
+ * Allocate a payment to a member's fees, oldest outstanding fee first
+ * Anything left over stays as unallocated credit on the account.
+ * @param {Array} fees - The member's fee records
+ * @param {number} amount - Payment amount
+ * @returns {Object} { fees (changed fees with new paidAmount), allocations [{ feeId, amount }], unallocated }
+ */
+export const allocatePaymentToFees = (fees, amount) => {
+  const working = sortFeesOldestFirst(copyFees(fees))
+  let remaining = roundCurrency(amount)
+  const allocations = []
+  const changed = []
+
+  for (const fee of working) {
+    if (remaining <= 0) break
+    const applied = Math.min(remaining, getFeeOutstanding(fee))
+    if (applied <= 0) continue
+    fee.paidAmount = roundCurrency(fee.paidAmount + applied)
+    remaining = roundCurrency(remaining - applied)
+    allocations.push({ feeId: fee.id, amount: applied })
+    changed.push(fee)
+  }
+
+  return { fees: changed, allocations, unallocated: remaining }
+}
+
+/**
+ * Apply allocations chosen by the user
+ * @param {Array} fees - The member's fee records
+ * @param {Array} requested - [{ feeId, amount }]
+ * @param {number} amount - Payment amount
+ * @returns {Object} Same shape as allocatePaymentToFees
+ * @throws {Error} If a fee is unknown, over-allocated, or the total exceeds the payment
+ */
+export const applyManualFeeAllocations = (fees, requested, amount) => {
+  const working = new Map(copyFees(fees).map(fee => [fee.id, fee]))
+  const allocations = []
+  const changed = new Set()
+  let total = 0
+
+  for (const { feeId, amount: requestedAmount } of requested) {
+    const allocationAmount = roundCurrency(requestedAmount)
+    if (allocationAmount <= 0) continue
+
+    const fee = working.get(feeId)
+    if (!fee) {
+      throw new Error('Cannot allocate to a fee that does not belong to this member')
+    }
+    if (allocationAmount > getFeeOutstanding(fee)) {
+      throw new Error(`Allocation of $${allocationAmount.toFixed(2)} exceeds the $${getFeeOutstanding(fee).toFixed(2)} owing on ${fee.notes || 'the fee'}`)
+    }
+
+    fee.paidAmount = roundCurrency(fee.paidAmount + allocationAmount)
+    total = roundCurrency(total + allocationAmount)
+    allocations.push({ feeId, amount: allocationAmount })
+    changed.add(fee)
+  }
+
+  if (total > roundCurrency(amount)) {
+    throw new Error(`Allocations total $${total.toFixed(2)}, more than the $${roundCurrency(amount).toFixed(2)} payment`)
+  }
+
+  return { fees: [...changed], allocations, unallocated: roundCurrency(amount - total) }
+}
+
+/**
+ * Take back fee allocations when a payment is voided or refunded
+ * The last allocation is unwound first, so a partial refund reopens the newest fee.
+ * @param {Array} fees - Fees referenced by the allocations
+ * @param {Array} allocations - Allocations stored on the payment [{ feeId, amount }]
+ * @param {number} amount - Amount being reversed
+ * @returns {Object} { fees (changed fees), reversed [{ feeId, amount }] }
+ */
+export const reverseFeeAllocations = (fees, allocations, amount) => {
+  const working = new Map(copyFees(fees).map(fee => [fee.id, fee]))
+  let remaining = roundCurrency(amount)
+  const reversed = []
+  const changed = new Set()
+
+  for (const allocation of [...allocations].reverse()) {
+    if (remaining <= 0) break
+    const fee = working.get(allocation.feeId)
+    if (!fee) continue
+
+    const taken = Math.min(remaining, allocation.amount, fee.paidAmount)
+    if (taken <= 0) continue
+    fee.paidAmount = roundCurrency(fee.paidAmount - taken)
+    remaining = roundCurrency(remaining - taken)
+    reversed.push({ feeId: fee.id, amount: taken })
+    changed.add(fee)
+  }
+
+  return { fees: [...changed], reversed }
+}
+
+/**
+ * Payments not yet allocated to any fee
+ * Covers payments recorded before allocation existed and overpayments made before a fee was charged
+ * @param {number} netPayments - Total payments kept by the club (after voids/refunds)
+ * @param {Array} fees - The member's fee records
+ * @returns {number} Unallocated amount (never negative)
+ */
+export const getUnallocatedPaymentAmount = (netPayments, fees) => {
+  const allocated = fees.reduce((sum, fee) => sum + (fee.paidAmount || 0), 0)
+  return Math.max(0, roundCurrency(netPayments - allocated))
+}
+
+/**
+ * Revenue split by fee year and category
+ * @param {Array} fees - Fee records
+ * @returns {Array} [{ feeYear, categoryName, count, charged, collected, outstanding }] newest year first
+ */
+export const summariseFeeRevenue = (fees) => {
+  const rows = {}
+  fees.forEach(fee => {
+    const key = `${fee.feeYear}|${fee.categoryName}`
+    if (!rows[key]) {
+      rows[key] = { feeYear: fee.feeYear, categoryName: fee.categoryName, count: 0, charged: 0, collected: 0, outstanding: 0 }
+    }
+    const row = rows[key]
+    row.count++
+    row.charged = roundCurrency(row.charged + fee.amount)
+    row.collected = roundCurrency(row.collected + Math.min(fee.paidAmount || 0, fee.amount))
+    row.outstanding = roundCurrency(row.outstanding + getFeeOutstanding(fee))
+  })
+  return Object.values(rows).sort((a, b) =>
+    b.feeYear - a.feeYear || a.categoryName.localeCompare(b.categoryName)
+  )
+}
+
 /**
  * Check which members already have fees applied for a specific year
  * @param {number} year - The year to check
@@ -22,7 +207,7 @@ const FEES_COLLECTION = 'fees'
 export const checkFeesApplied = async (year) => {
   try {
     const q = query(
-      collection(db, FEES_COLLECTION),
+      clubCollection(FEES_COLLECTION),
       where('feeYear', '==', year)
     )
     const snapshot = await getDocs(q)
@@ -45,20 +230,25 @@ export const checkFeesApplied = async (year) => {
  */
 export const previewFeeApplication = async (year, categoryFees = {}) => {
   try {
-    const [members, categories, alreadyApplied] = await Promise.all([
+    const [members, categories, alreadyApplied, previousInstalmentMembers, groups, { membershipYearStartMonth }] = await Promise.all([
       getAllMembers(),
       getAllCategories(),
-      checkFeesApplied(year)
+      checkFeesApplied(year),
+      getInstalmentMemberIds(year - 1),
+      getAllMemberGroups(),
+      getClubSettings()
     ])
+    const groupByMember = buildGroupMemberMap(groups)
 
     // Filter to active members only who don't already have fees for this year
     const eligibleMembers = members.filter(
-      m => m.status === 'active' && !alreadyApplied.has(m.id)
+      m => isFeePayingMember(m) && !alreadyApplied.has(m.id)
     )
 
     const breakdown = {}
     let totalAmount = 0
     let totalMembers = 0
+    const instalmentMembers = []
 
     // Group by category and calculate totals
     eligibleMembers.forEach(member => {
@@ -67,25 +257,37 @@ export const previewFeeApplication = async (year, categoryFees = {}) => {
 
       if (!category) return // Skip if category not found
 
-      // Use override fee if provided, otherwise use March rate from proRataRates (or fallback to annualFee)
-      const marchRate = category.proRataRates?.["3"] ?? category.annualFee
-      const feeAmount = categoryFees[categoryId] !== undefined
+      // Use override fee if provided, otherwise the fee year's full-year rate (or fallback to annualFee)
+      const fullYearRate = getAnnualCategoryFee(category, year, membershipYearStartMonth)
+      const baseFee = categoryFees[categoryId] !== undefined
         ? categoryFees[categoryId]
-        : marchRate
+        : fullYearRate
+      // Linked members pay the category's family/couple/corporate rate
+      const { amount: feeAmount, groupRate } = applyGroupPricing(category, baseFee, groupByMember.get(member.id)?.type)
 
       if (!breakdown[categoryId]) {
         breakdown[categoryId] = {
           categoryName: category.name,
-          feeAmount,
+          feeAmount: baseFee,
+          totalAmount: 0,
           memberCount: 0,
+          groupRateCount: 0,
           memberNames: []
         }
       }
 
       breakdown[categoryId].memberCount++
       breakdown[categoryId].memberNames.push(member.fullName)
+      breakdown[categoryId].totalAmount = roundCurrency(breakdown[categoryId].totalAmount + feeAmount)
+      if (groupRate) {
+        breakdown[categoryId].groupRateCount++
+      }
       totalAmount += feeAmount
       totalMembers++
+
+      if (previousInstalmentMembers.has(member.id)) {
+        instalmentMembers.push({ id: member.id, fullName: member.fullName })
+      }
     })
 
     return {
@@ -93,7 +295,8 @@ export const previewFeeApplication = async (year, categoryFees = {}) => {
       totalMembers,
       totalAmount,
       breakdown,
-      alreadyAppliedCount: alreadyApplied.size
+      alreadyAppliedCount: alreadyApplied.size,
+      instalmentMembers
     }
   } catch (error) {
     console.error('Error previewing fee application:', error)
@@ -106,18 +309,30 @@ export const previewFeeApplication = async (year, categoryFees = {}) => {
  * @param {number} year - The year for fees
  * @param {Object} categoryFees - Map of categoryId to fee amount (overrides)
  * @param {string} userId - ID of user applying fees
+ * @param {Object} options - Optional settings
+ * @param {Object} options.instalments - Split the fee for some members: { memberIds, count, firstDueDate, intervalMonths }
  * @returns {Object} Results with success/failed counts and details
  */
-export const applyAnnualFees = async (year, categoryFees = {}, userId) => {
+export const applyAnnualFees = async (year, categoryFees = {}, userId, options = {}) => {
   try {
-    const [members, categories, alreadyApplied] = await Promise.all([
+    const instalmentMemberIds = new Set(options.instalments?.memberIds || [])
+    if (instalmentMemberIds.size > 0) {
+      // Fail fast on a bad schedule rather than once per member
+      const { count, firstDueDate, intervalMonths } = options.instalments
+      buildInstalmentSchedule(count, count, firstDueDate, intervalMonths)
+    }
+
+    const [members, categories, alreadyApplied, groups, { membershipYearStartMonth }] = await Promise.all([
       getAllMembers(),
       getAllCategories(),
-      checkFeesApplied(year)
+      checkFeesApplied(year),
+      getAllMemberGroups(),
+      getClubSettings()
     ])
+    const groupByMember = buildGroupMemberMap(groups)
 
     const eligibleMembers = members.filter(
-      m => m.status === 'active' && !alreadyApplied.has(m.id)
+      m => isFeePayingMember(m) && !alreadyApplied.has(m.id)
     )
 
     const results = {
@@ -145,16 +360,19 @@ export const applyAnnualFees = async (year, categoryFees = {}, userId) => {
         continue
       }
 
-      // Use override fee if provided, otherwise use March rate from proRataRates (or fallback to annualFee)
-      const marchRate = category.proRataRates?.["3"] ?? category.annualFee
-      const feeAmount = categoryFees[categoryId] !== undefined
+      // Use override fee if provided, otherwise the fee year's full-year rate (or fallback to annualFee)
+      const fullYearRate = getAnnualCategoryFee(category, year, membershipYearStartMonth)
+      const baseFee = categoryFees[categoryId] !== undefined
         ? categoryFees[categoryId]
-        : marchRate
+        : fullYearRate
+      // Linked members pay the category's family/couple/corporate rate
+      const { amount: feeAmount, groupRate } = applyGroupPricing(category, baseFee, groupByMember.get(member.id)?.type)
+      const rateLabel = groupRate ? ` (${MEMBER_GROUP_TYPE_LABELS[groupRate.groupType]} rate)` : ''
 
       try {
         // Use transaction to ensure atomicity
         await runTransaction(db, async (transaction) => {
-          const memberRef = doc(db, 'members', member.id)
+          const memberRef = clubDoc('members', member.id)
           const memberDoc = await transaction.get(memberRef)
 
           if (!memberDoc.exists()) {
@@ -162,26 +380,61 @@ export const applyAnnualFees = async (year, categoryFees = {}, userId) => {
           }
 
           const currentBalance = memberDoc.data().accountBalance || 0
-          const newBalance = currentBalance - feeAmount // Subtract fee (increases debt or reduces credit)
+          const newBalance = roundCurrency(currentBalance - feeAmount) // Subtract fee (increases debt or reduces credit)
 
-          // Update member balance
+          // Update cached member balance
           transaction.update(memberRef, {
             accountBalance: newBalance,
             updatedAt: serverTimestamp()
           })
+          writePortalBalance(transaction, member.id, newBalance)
 
-          // Create fee record
-          const feeRef = doc(collection(db, FEES_COLLECTION))
-          transaction.set(feeRef, {
+          const feeRef = doc(clubCollection(FEES_COLLECTION))
+          const appliedDate = new Date().toISOString().split('T')[0]
+          const notes = `${year} Annual Membership Fee - ${category.name}${rateLabel} `
+
+          // Charge the fee in the ledger
+          const ledgerEntry = writeLedgerEntry(transaction, {
+            memberId: member.id,
+            memberName: member.fullName,
+            type: LEDGER_ENTRY_TYPES.CHARGE,
+            amount: -feeAmount,
+            entryDate: appliedDate,
+            description: notes.trim(),
+            sourceType: 'fee',
+            sourceId: feeRef.id
+          }, userId)
+
+          const fee = {
             memberId: member.id,
             memberName: member.fullName,
             feeYear: year,
             categoryId: category.id,
             categoryName: category.name,
             amount: feeAmount,
-            appliedDate: new Date().toISOString().split('T')[0],
+            appliedDate,
             appliedBy: userId,
-            notes: `${year} Annual Membership Fee - ${category.name} `,
+            notes,
+            ledgerEntryId: ledgerEntry.id,
+            // Existing credit on the account pays the new fee
+            paidAmount: getPaidTowardsFee(feeAmount, newBalance)
+          }
+
+          // Split the fee for members who pay by instalments
+          if (instalmentMemberIds.has(member.id) && feeAmount > 0) {
+            const plan = writeInstalmentPlan(
+              transaction,
+              { id: feeRef.id, ...fee },
+              options.instalments,
+              userId,
+              fee.paidAmount
+            )
+            fee.instalmentPlanId = plan.id
+          }
+
+          // Create fee record
+          transaction.set(feeRef, {
+            ...fee,
             createdAt: serverTimestamp(),
             updatedAt: serverTimestamp()
           })
@@ -194,6 +447,8 @@ export const applyAnnualFees = async (year, categoryFees = {}, userId) => {
           memberName: member.fullName,
           categoryName: category.name,
           feeAmount,
+          groupRate: !!groupRate,
+          instalments: instalmentMemberIds.has(member.id) && feeAmount > 0,
           status: 'success'
         })
       } catch (error) {
@@ -216,17 +471,30 @@ export const applyAnnualFees = async (year, categoryFees = {}, userId) => {
 
 /**
  * Apply a single fee to a specific member
- * @param {Object} feeData - Fee data { memberId, memberName, amount, feeYear, notes }
+ * @param {Object} feeData - Fee data { memberId, memberName, amount, feeYear, notes, instalments, feeType, lateFeeRuleId }
+ *   instalments is optional: { count, firstDueDate, intervalMonths } splits the fee into a plan
+ *   feeType and lateFeeRuleId are optional tags (late fees are tagged feeType 'late' with their rule)
  * @param {string} userId - ID of user applying the fee
  * @returns {Object} The created fee record
  */
 export const applyFeeToMember = async (feeData, userId) => {
   try {
-    const { memberId, memberName, amount, feeYear, notes, categoryId, categoryName } = feeData
+    const {
+      memberId,
+      memberName,
+      amount,
+      feeYear,
+      notes,
+      categoryId,
+      categoryName,
+      instalments,
+      feeType,
+      lateFeeRuleId
+    } = feeData
 
     // Use transaction to ensure atomicity
     const feeId = await runTransaction(db, async (transaction) => {
-      const memberRef = doc(db, 'members', memberId)
+      const memberRef = clubDoc('members', memberId)
       const memberDoc = await transaction.get(memberRef)
 
       if (!memberDoc.exists()) {
@@ -234,26 +502,68 @@ export const applyFeeToMember = async (feeData, userId) => {
       }
 
       const currentBalance = memberDoc.data().accountBalance || 0
-      const newBalance = currentBalance - amount // Subtract fee (increases debt or reduces credit)
+      const newBalance = roundCurrency(currentBalance - amount) // Subtract fee (increases debt or reduces credit)
 
-      // Update member balance
+      // Update cached member balance
       transaction.update(memberRef, {
         accountBalance: newBalance,
         updatedAt: serverTimestamp()
       })
+      writePortalBalance(transaction, memberId, newBalance)
 
-      // Create fee record
-      const feeRef = doc(collection(db, FEES_COLLECTION))
-      transaction.set(feeRef, {
+      const feeRef = doc(clubCollection(FEES_COLLECTION))
+      const appliedDate = new Date().toISOString().split('T')[0]
+      const feeNotes = notes || `Fee applied - $${amount}`
+
+      // Charge the fee in the ledger
+      const ledgerEntry = writeLedgerEntry(transaction, {
+        memberId,
+        memberName,
+        type: LEDGER_ENTRY_TYPES.CHARGE,
+        amount: -amount,
+        entryDate: appliedDate,
+        description: feeNotes,
+        sourceType: 'fee',
+        sourceId: feeRef.id
+      }, userId)
+
+      const fee = {
         memberId,
         memberName,
         feeYear: feeYear || new Date().getFullYear(),
         categoryId: categoryId || 'manual',
         categoryName: categoryName || 'Manual Fee',
         amount,
-        appliedDate: new Date().toISOString().split('T')[0],
+        appliedDate,
         appliedBy: userId,
-        notes: notes || `Fee applied - $${amount}`,
+        notes: feeNotes,
+        ledgerEntryId: ledgerEntry.id,
+        // Existing credit on the account pays the new fee
+        paidAmount: getPaidTowardsFee(amount, newBalance)
+      }
+
+      if (feeType) {
+        fee.feeType = feeType
+      }
+      if (lateFeeRuleId) {
+        fee.lateFeeRuleId = lateFeeRuleId
+      }
+
+      if (instalments) {
+        // Money already paid towards the fee fills the first instalments
+        const plan = writeInstalmentPlan(
+          transaction,
+          { id: feeRef.id, ...fee },
+          instalments,
+          userId,
+          fee.paidAmount
+        )
+        fee.instalmentPlanId = plan.id
+      }
+
+      // Create fee record
+      transaction.set(feeRef, {
+        ...fee,
         createdAt: serverTimestamp(),
         updatedAt: serverTimestamp()
       })
@@ -276,7 +586,7 @@ export const applyFeeToMember = async (feeData, userId) => {
 export const getFeesByMember = async (memberId) => {
   try {
     const q = query(
-      collection(db, FEES_COLLECTION),
+      clubCollection(FEES_COLLECTION),
       where('memberId', '==', memberId)
     )
     const snapshot = await getDocs(q)
@@ -292,6 +602,122 @@ export const getFeesByMember = async (memberId) => {
   }
 }
 
+/**
+ * Get all fee records for a fee year
+ * @param {number} year - The fee year
+ * @returns {Array} Fee records
+ */
+export const getFeesByYear = async (year) => {
+  try {
+    const q = query(
+      clubCollection(FEES_COLLECTION),
+      where('feeYear', '==', year)
+    )
+    const snapshot = await getDocs(q)
+    const fees = []
+    snapshot.forEach(feeDoc => {
+      fees.push({ id: feeDoc.id, ...feeDoc.data() })
+    })
+    return fees
+  } catch (error) {
+    console.error('Error fetching fees for year:', error)
+    throw error
+  }
+}
+
+/**
+ * References to a member's fee records
+ * Transactions cannot run queries, so callers look the fees up first and
+ * re-read them with transaction.get before allocating.
+ * @param {string} memberId - The member ID
+ * @returns {Array} Document references
+ */
+export const getMemberFeeRefs = async (memberId) => {
+  try {
+    const q = query(
+      clubCollection(FEES_COLLECTION),
+      where('memberId', '==', memberId)
+    )
+    const snapshot = await getDocs(q)
+    return snapshot.docs.map(feeDoc => feeDoc.ref)
+  } catch (error) {
+    console.error('Error fetching member fee references:', error)
+    throw error
+  }
+}
+
+/**
+ * Queue paidAmount updates for fees changed by an allocation
+ * @param {Object} transaction - Firestore Transaction
+ * @param {Array} fees - Changed fees (with id and paidAmount)
+ */
+export const writeFeeAllocations = (transaction, fees) => {
+  fees.forEach(fee => {
+    transaction.update(clubDoc(FEES_COLLECTION, fee.id), {
+      paidAmount: fee.paidAmount,
+      updatedAt: serverTimestamp()
+    })
+  })
+}
+
+/**
+ * Allocate a member's unallocated payments to their outstanding fees, oldest first
+ * Used for payments recorded before allocation existed
+ * @param {string} memberId - The member ID
+ * @returns {Object} { allocated, allocations [{ feeId, amount }] }
+ */
+export const allocateUnallocatedPayments = async (memberId) => {
+  try {
+    const [feeRefs, paymentsSnap] = await Promise.all([
+      getMemberFeeRefs(memberId),
+      getDocs(query(clubCollection('payments'), where('memberId', '==', memberId)))
+    ])
+
+    const netPayments = paymentsSnap.docs.reduce((sum, paymentDoc) => {
+      const payment = paymentDoc.data()
+      return sum + payment.amount - (payment.reversedAmount || 0)
+    }, 0)
+
+    return await runTransaction(db, async (transaction) => {
+      const feeDocs = await Promise.all(feeRefs.map(ref => transaction.get(ref)))
+      const fees = feeDocs
+        .filter(feeDoc => feeDoc.exists())
+        .map(feeDoc => ({ id: feeDoc.id, ...feeDoc.data() }))
+
+      const available = getUnallocatedPaymentAmount(netPayments, fees)
+      const result = allocatePaymentToFees(fees, available)
+
+      writeFeeAllocations(transaction, result.fees)
+
+      return {
+        allocated: roundCurrency(available - result.unallocated),
+        allocations: result.allocations
+      }
+    })
+  } catch (error) {
+    console.error('Error allocating payments to fees:', error)
+    throw error
+  }
+}
+
+/**
+ * Get all fee records (revenue reporting)
+ * @returns {Array} Fee records
+ */
+export const getAllFees = async () => {
+  try {
+    const snapshot = await getDocs(clubCollection(FEES_COLLECTION))
+    const fees = []
+    snapshot.forEach(feeDoc => {
+      fees.push({ id: feeDoc.id, ...feeDoc.data() })
+    })
+    return fees
+  } catch (error) {
+    console.error('Error fetching fees:', error)
+    throw error
+  }
+}
+
 /**
  * Get fee statistics for a specific year
  * @param {number} year - The year to get stats for
@@ -300,7 +726,7 @@ export const getFeesByMember = async (memberId) => {
 export const getFeeStats = async (year) => {
   try {
     const q = query(
-      collection(db, FEES_COLLECTION),
+      clubCollection(FEES_COLLECTION),
       where('feeYear', '==', year)
     )
     const snapshot = await getDocs(q)
@@ -0,0 +1,137 @@
+import { describe, it, expect } from 'vitest'
+import {
+  FEE_PAYMENT_STATUSES,
+  getFeeOutstanding,
+  getFeePaymentStatus,
+  sortFeesOldestFirst,
+  allocatePaymentToFees,
+  applyManualFeeAllocations,
+  reverseFeeAllocations,
+  getUnallocatedPaymentAmount,
+  summariseFeeRevenue
+} from './feeService'
+
+/**
+ * Fee Allocation Tests
+ *
+ * Allocation of payments to fee records and revenue reporting.
+ */
+
+const fees = [
+  { id: 'f2025', feeYear: 2025, appliedDate: '2025-03-01', categoryName: 'Full', amount: 450, notes: '2025 Annual Membership Fee' },
+  { id: 'f2024', feeYear: 2024, appliedDate: '2024-03-01', categoryName: 'Full', amount: 400, paidAmount: 300, notes: '2024 Annual Membership Fee' },
+  { id: 'fcart', feeYear: 2025, appliedDate: '2025-05-10', categoryName: 'Manual Fee', amount: 50, paidAmount: 0, notes: 'Cart shed' }
+]
+
+describe('fee payment status', () => {
+  it('treats fees without paidAmount as unpaid', () => {
+    expect(getFeeOutstanding(fees[0])).toBe(450)
+    expect(getFeePaymentStatus(fees[0])).toBe(FEE_PAYMENT_STATUSES.UNPAID)
+  })
+
+  it('reports part paid and paid fees', () => {
+    expect(getFeePaymentStatus(fees[1])).toBe(FEE_PAYMENT_STATUSES.PART_PAID)
+    expect(getFeePaymentStatus({ amount: 100, paidAmount: 100 })).toBe(FEE_PAYMENT_STATUSES.PAID)
+    expect(getFeePaymentStatus({ amount: 0 })).toBe(FEE_PAYMENT_STATUSES.PAID)
+  })
+
+  it('sorts by fee year then date applied', () => {
+    expect(sortFeesOldestFirst(fees).map(f => f.id)).toEqual(['f2024', 'f2025', 'fcart'])
+  })
+})
+
+describe('allocatePaymentToFees', () => {
+  it('pays the oldest outstanding fee first', () => {
+    const result = allocatePaymentToFees(fees, 300)
+
+    expect(result.allocations).toEqual([
+      { feeId: 'f2024', amount: 100 },
+      { feeId: 'f2025', amount: 200 }
+    ])
+    expect(result.fees.map(f => [f.id, f.paidAmount])).toEqual([['f2024', 400], ['f2025', 200]])
+    expect(result.unallocated).toBe(0)
+  })
+
+  it('leaves overpayments unallocated', () => {
+    const result = allocatePaymentToFees(fees, 700)
+    expect(result.allocations).toHaveLength(3)
+    expect(result.unallocated).toBe(100)
+  })
+
+  it('does not modify the fees passed in', () => {
+    allocatePaymentToFees(fees, 300)
+    expect(fees[1].paidAmount).toBe(300)
+    expect(fees[0].paidAmount).toBeUndefined()
+  })
+})
+
+describe('applyManualFeeAllocations', () => {
+  it('applies the chosen amounts and leaves the rest as credit', () => {
+    const result = applyManualFeeAllocations(fees, [
+      { feeId: 'fcart', amount: 50 },
+      { feeId: 'f2025', amount: 100 }
+    ], 200)
+
+    expect(result.allocations).toEqual([
+      { feeId: 'fcart', amount: 50 },
+      { feeId: 'f2025', amount: 100 }
+    ])
+    expect(result.unallocated).toBe(50)
+  })
+
+  it('rejects allocations above the amount owing', () => {
+    expect(() => applyManualFeeAllocations(fees, [{ feeId: 'f2024', amount: 150 }], 150))
+      .toThrow('exceeds the $100.00 owing')
+  })
+
+  it('rejects allocations totalling more than the payment', () => {
+    expect(() => applyManualFeeAllocations(fees, [
+      { feeId: 'f2025', amount: 100 },
+      { feeId: 'fcart', amount: 50 }
+    ], 120)).toThrow('more than the $120.00 payment')
+  })
+
+  it('rejects fees that are not the member\'s', () => {
+    expect(() => applyManualFeeAllocations(fees, [{ feeId: 'other', amount: 10 }], 10))
+      .toThrow('does not belong')
+  })
+})
+
+describe('reverseFeeAllocations', () => {
+  const paid = [
+    { id: 'f2024', amount: 400, paidAmount: 400 },
+    { id: 'f2025', amount: 450, paidAmount: 200 }
+  ]
+  const allocations = [
+    { feeId: 'f2024', amount: 100 },
+    { feeId: 'f2025', amount: 200 }
+  ]
+
+  it('unwinds a void completely', () => {
+    const result = reverseFeeAllocations(paid, allocations, 300)
+    expect(result.fees.map(f => [f.id, f.paidAmount])).toEqual([['f2025', 0], ['f2024', 300]])
+  })
+
+  it('unwinds the newest fee first for a partial refund', () => {
+    const result = reverseFeeAllocations(paid, allocations, 50)
+    expect(result.reversed).toEqual([{ feeId: 'f2025', amount: 50 }])
+    expect(result.fees[0].paidAmount).toBe(150)
+  })
+})
+
+describe('getUnallocatedPaymentAmount', () => {
+  it('returns payments not yet allocated to fees', () => {
+    expect(getUnallocatedPaymentAmount(500, fees)).toBe(200)
+    expect(getUnallocatedPaymentAmount(100, fees)).toBe(0)
+  })
+})
+
+describe('summariseFeeRevenue', () => {
+  it('groups charged, collected and outstanding by fee year and category', () => {
+    expect(summariseFeeRevenue(fees)).toEqual([
+      { feeYear: 2025, categoryName: 'Full', count: 1, charged: 450, collected: 0, outstanding: 450 },
+      { feeYear: 2025, categoryName: 'Manual Fee', count: 1, charged: 50, collected: 0, outstanding: 50 },
+      { feeYear: 2024, categoryName: 'Full', count: 1, charged: 400, collected: 300, outstanding: 100 }
+    ])
+  })
+})
@@ -0,0 +1,534 @@
+import {
+  doc,
+  getDocs,
+  query,
+  where,
+  runTransaction,
+  updateDoc,
+  serverTimestamp
+} from 'firebase/firestore'
+import { db } from '../firebase'
+import { clubCollection, clubDoc } from '../lib/firebase/clubScope'
+import { roundCurrency } from './ledgerService'
+
+const INSTALMENT_PLANS_COLLECTION = 'instalmentPlans'
+const FEES_COLLECTION = 'fees'
+
+/**
+ * Instalment plan lifecycle
+ */
+export const PLAN_STATUSES = {
+  ACTIVE: 'active',       // Instalments still outstanding - payments are allocated to it
+  COMPLETED: 'completed', // Every instalment paid in full
+  CANCELLED: 'cancelled'  // Stopped by an admin - the fee is still owed on the account balance
+}
+
+/**
+ * Status of a single instalment on a given day
+ */
+export const INSTALMENT_STATUSES = {
+  PAID: 'paid',
+  PART_PAID: 'part_paid',
+  OVERDUE: 'overdue',
+  UPCOMING: 'upcoming'
+}
+
+export const MIN_INSTALMENTS = 2
+export const MAX_INSTALMENTS = 12
+
+const today = () => new Date().toISOString().split('T')[0]
+
+/**
+ * Add whole months to a YYYY-MM-DD date, clamping to the end of shorter months
+ * (31 Jan + 1 month = 28/29 Feb)
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @param {number} months - Months to add
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+export const addMonths = (dateString, months) => {
+  const [year, month, day] = dateString.split('-').map(Number)
+  const target = new Date(Date.UTC(year, month - 1 + months, 1))
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate()
+  target.setUTCDate(Math.min(day, lastDay))
+  return target.toISOString().split('T')[0]
+}
+
+/**
+ * Default schedule offered in forms: three monthly instalments from the first of next month
+ * @returns {Object} { count, firstDueDate, intervalMonths }
+ */
+export const getDefaultInstalmentOptions = () => {
+  const now = new Date()
+  const firstOfNextMonth = new Date(Date.UTC(now.getFullYear(), now.getMonth() + 1, 1))
+  return {
+    count: 3,
+    firstDueDate: firstOfNextMonth.toISOString().split('T')[0],
+    intervalMonths: 1
+  }
+}
+
+/**
+ * Split a fee into equal instalments
+ * Any rounding remainder is added to the last instalment so the schedule always sums to the total
+ * @param {number} totalAmount - Fee amount to split
+ * @param {number} count - Number of instalments
+ * @param {string} firstDueDate - Due date of the first instalment (YYYY-MM-DD)
+ * @param {number} intervalMonths - Months between due dates
+ * @returns {Array} Instalments [{ number, dueDate, amount, paidAmount }]
+ */
+export const buildInstalmentSchedule = (totalAmount, count, firstDueDate, intervalMonths = 1) => {
+  const total = roundCurrency(totalAmount)
+  const instalmentCount = Number(count)
+
+  if (!(total > 0)) {
+    throw new Error('Instalment plan amount must be greater than zero')
+  }
+  if (!Number.isInteger(instalmentCount) || instalmentCount < MIN_INSTALMENTS || instalmentCount > MAX_INSTALMENTS) {
+    throw new Error(`Number of instalments must be between ${MIN_INSTALMENTS} and ${MAX_INSTALMENTS}`)
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(firstDueDate || '')) {
+    throw new Error('First due date is required')
+  }
+
+  const interval = Number(intervalMonths) || 1
+  const baseAmount = Math.floor((total * 100) / instalmentCount) / 100
+
+  return Array.from({ length: instalmentCount }, (_, i) => ({
+    number: i + 1,
+    dueDate: addMonths(firstDueDate, i * interval),
+    amount: i === instalmentCount - 1
+      ? roundCurrency(total - baseAmount * (instalmentCount - 1))
+      : baseAmount,
+    paidAmount: 0
+  }))
+}
+
+/**
+ * Amount still owed on an instalment
+ * @param {Object} instalment - { amount, paidAmount }
+ * @returns {number} Outstanding amount (never negative)
+ */
+export const getInstalmentOutstanding = (instalment) => {
+  return Math.max(0, roundCurrency(instalment.amount - (instalment.paidAmount || 0)))
+}
+
+/**
+ * Status of an instalment on a given day
+ * @param {Object} instalment - { dueDate, amount, paidAmount }
+ * @param {string} asOf - Date to compare against (YYYY-MM-DD), defaults to today
+ * @returns {string} One of INSTALMENT_STATUSES
+ */
+export const getInstalmentStatus = (instalment, asOf = today()) => {
+  if (getInstalmentOutstanding(instalment) === 0) return INSTALMENT_STATUSES.PAID
+  if (instalment.dueDate < asOf) return INSTALMENT_STATUSES.OVERDUE
+  if (instalment.paidAmount > 0) return INSTALMENT_STATUSES.PART_PAID
+  return INSTALMENT_STATUSES.UPCOMING
+}
+
+/**
+ * Plan status after its instalments have changed
+ * Cancelled plans stay cancelled
+ */
+const getPlanStatus = (plan, instalments) => {
+  if (plan.status === PLAN_STATUSES.CANCELLED) return PLAN_STATUSES.CANCELLED
+  return instalments.every(inst => getInstalmentOutstanding(inst) === 0)
+    ? PLAN_STATUSES.COMPLETED
+    : PLAN_STATUSES.ACTIVE
+}
+
+/**
+ * Allocate a payment against a member's instalment plans, earliest due instalment first
+ * Only active plans receive money. Anything left over stays as general credit on the account.
+ * @param {Array} plans - Plans [{ id, status, instalments, ... }]
+ * @param {number} amount - Payment amount
+ * @returns {Object} { plans (changed plans with new instalments/status), allocations [{ planId, number, amount }], unallocated }
+ */
+export const allocateToInstalments = (plans, amount) => {
+  const working = plans
+    .filter(plan => plan.status === PLAN_STATUSES.ACTIVE)
+    .map(plan => ({ ...plan, instalments: plan.instalments.map(inst => ({ ...inst })) }))
+
+  const queue = working
+    .flatMap(plan => plan.instalments.map(inst => ({ plan, inst })))
+    .filter(({ inst }) => getInstalmentOutstanding(inst) > 0)
+    .sort((a, b) => a.inst.dueDate.localeCompare(b.inst.dueDate) || a.inst.number - b.inst.number)
+
+  let remaining = roundCurrency(amount)
+  const allocations = []
+  const changed = new Set()
+
+  for (const { plan, inst } of queue) {
+    if (remaining <= 0) break
+    const applied = Math.min(remaining, getInstalmentOutstanding(inst))
+    inst.paidAmount = roundCurrency((inst.paidAmount || 0) + applied)
+    remaining = roundCurrency(remaining - applied)
+    allocations.push({ planId: plan.id, number: inst.number, amount: applied })
+    changed.add(plan)
+  }
+
+  return {
+    plans: [...changed].map(plan => ({ ...plan, status: getPlanStatus(plan, plan.instalments) })),
+    allocations,
+    unallocated: remaining
+  }
+}
+
+/**
+ * Pass fee allocations through to the instalment plans on those fees
+ * A payment allocated to a fee pays that fee's instalments, earliest due first.
+ * @param {Array} plans - The member's plans [{ id, feeId, status, instalments, ... }]
+ * @param {Array} feeAllocations - [{ feeId, amount }] from the fee allocation
+ * @returns {Object} { plans (changed plans), allocations [{ planId, number, amount }] }
+ */
+export const allocateFeePaymentsToPlans = (plans, feeAllocations) => {
+  const working = new Map(plans
+    .filter(plan => plan.status === PLAN_STATUSES.ACTIVE)
+    .map(plan => [plan.feeId, plan]))
+  const allocations = []
+  const changed = new Map()
+
+  feeAllocations.forEach(({ feeId, amount }) => {
+    const plan = working.get(feeId)
+    if (!plan) return
+
+    const result = allocateToInstalments([plan], amount)
+    if (result.plans.length > 0) {
+      working.set(feeId, result.plans[0])
+      changed.set(plan.id, result.plans[0])
+    }
+    allocations.push(...result.allocations)
+  })
+
+  return { plans: [...changed.values()], allocations }
+}
+
+/**
+ * Take back money allocated by a payment that is being voided or refunded
+ * The most recent instalment is unwound first, so a partial refund reopens the latest instalment.
+ * @param {Array} plans - Plans referenced by the allocations [{ id, status, instalments, ... }]
+ * @param {Array} allocations - Allocations stored on the payment [{ planId, number, amount }]
+ * @param {number} amount - Amount being reversed
+ * @returns {Object} { plans (changed plans), reversed [{ planId, number, amount }] }
+ */
+export const reverseInstalmentAllocations = (plans, allocations, amount) => {
+  const working = new Map(plans.map(plan => [
+    plan.id,
+    { ...plan, instalments: plan.instalments.map(inst => ({ ...inst })) }
+  ]))
+
+  let remaining = roundCurrency(amount)
+  const reversed = []
+  const changed = new Set()
+
+  for (const allocation of [...allocations].reverse()) {
+    if (remaining <= 0) break
+    const plan = working.get(allocation.planId)
+    const inst = plan?.instalments.find(i => i.number === allocation.number)
+    if (!inst) continue
+
+    const taken = Math.min(remaining, allocation.amount, inst.paidAmount || 0)
+    if (taken <= 0) continue
+    inst.paidAmount = roundCurrency(inst.paidAmount - taken)
+    remaining = roundCurrency(remaining - taken)
+    reversed.push({ planId: plan.id, number: inst.number, amount: taken })
+    changed.add(plan)
+  }
+
+  return {
+    plans: [...changed].map(plan => ({ ...plan, status: getPlanStatus(plan, plan.instalments) })),
+    reversed
+  }
+}
+
+/**
+ * Totals for a plan on a given day
+ * @param {Object} plan - Plan with instalments
+ * @param {string} asOf - Date to compare against (YYYY-MM-DD)
+ * @returns {Object} { totalAmount, paidAmount, outstandingAmount, overdueAmount, overdueCount, nextInstalment }
+ */
+export const summariseInstalmentPlan = (plan, asOf = today()) => {
+  const instalments = plan.instalments || []
+  const paidAmount = roundCurrency(instalments.reduce((sum, inst) => sum + (inst.paidAmount || 0), 0))
+  const overdue = instalments.filter(inst => getInstalmentStatus(inst, asOf) === INSTALMENT_STATUSES.OVERDUE)
+
+  return {
+    totalAmount: roundCurrency(instalments.reduce((sum, inst) => sum + inst.amount, 0)),
+    paidAmount,
+    outstandingAmount: roundCurrency(instalments.reduce((sum, inst) => sum + getInstalmentOutstanding(inst), 0)),
+    overdueAmount: roundCurrency(overdue.reduce((sum, inst) => sum + getInstalmentOutstanding(inst), 0)),
+    overdueCount: overdue.length,
+    nextInstalment: instalments.find(inst => getInstalmentOutstanding(inst) > 0) || null
+  }
+}
+
+/**
+ * Flatten active plans into a list of overdue instalments, oldest first
+ * @param {Array} plans - Plans with instalments
+ * @param {string} asOf - Date to compare against (YYYY-MM-DD)
+ * @returns {Array} [{ planId, memberId, memberName, feeId, feeDescription, number, dueDate, amount, outstanding, daysOverdue }]
+ */
+export const getOverdueInstalments = (plans, asOf = today()) => {
+  const asOfTime = new Date(asOf).getTime()
+
+  return plans
+    .filter(plan => plan.status === PLAN_STATUSES.ACTIVE)
+    .flatMap(plan => plan.instalments
+      .filter(inst => getInstalmentStatus(inst, asOf) === INSTALMENT_STATUSES.OVERDUE)
+      .map(inst => ({
+        planId: plan.id,
+        memberId: plan.memberId,
+        memberName: plan.memberName,
+        feeId: plan.feeId,
+        feeDescription: plan.feeDescription,
+        instalmentCount: plan.instalments.length,
+        number: inst.number,
+        dueDate: inst.dueDate,
+        amount: inst.amount,
+        outstanding: getInstalmentOutstanding(inst),
+        daysOverdue: Math.floor((asOfTime - new Date(inst.dueDate).getTime()) / (1000 * 60 * 60 * 24))
+      })))
+    .sort((a, b) => a.dueDate.localeCompare(b.dueDate) || a.memberName.localeCompare(b.memberName))
+}
+
+/**
+ * Portion of a fee already covered by the member's balance
+ * When a plan is set up on an existing fee, a member who has paid some of it
+ * should not be asked for that money again.
+ * @param {number} feeAmount - Fee amount
+ * @param {number} accountBalance - Current member balance (negative = owes)
+ * @returns {number} Amount to mark as already paid against the schedule
+ */
+export const getPaidTowardsFee = (feeAmount, accountBalance) => {
+  const owing = Math.max(0, -(accountBalance || 0))
+  return roundCurrency(feeAmount - Math.min(feeAmount, owing))
+}
+
+/**
+ * Queue an instalment plan write inside an existing transaction
+ * Used when a fee is charged and split in one step, and when a plan is added to an existing fee.
+ * @param {Object} transaction - Firestore Transaction
+ * @param {Object} fee - { id, memberId, memberName, feeYear, amount, notes }
+ * @param {Object} options - { count, firstDueDate, intervalMonths }
+ * @param {string} userId - ID of user creating the plan
+ * @param {number} paidAmount - Amount of the fee already paid, allocated to the earliest instalments
+ * @returns {Object} { id, ...plan }
+ */
+export const writeInstalmentPlan = (transaction, fee, options, userId, paidAmount = 0) => {
+  const instalments = buildInstalmentSchedule(fee.amount, options.count, options.firstDueDate, options.intervalMonths)
+  const planRef = doc(clubCollection(INSTALMENT_PLANS_COLLECTION))
+
+  let plan = {
+    id: planRef.id,
+    status: PLAN_STATUSES.ACTIVE,
+    instalments
+  }
+  if (paidAmount > 0) {
+    const [allocated] = allocateToInstalments([plan], paidAmount).plans
+    plan = allocated
+  }
+
+  const planData = {
+    feeId: fee.id,
+    memberId: fee.memberId,
+    memberName: fee.memberName,
+    feeYear: fee.feeYear,
+    feeDescription: (fee.notes || `${fee.feeYear} Fee`).trim(),
+    totalAmount: roundCurrency(fee.amount),
+    intervalMonths: Number(options.intervalMonths) || 1,
+    instalments: plan.instalments,
+    status: plan.status,
+    createdBy: userId,
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp()
+  }
+
+  transaction.set(planRef, planData)
+  return { id: planRef.id, ...planData }
+}
+
+/**
+ * Queue updates for plans changed by allocateToInstalments or reverseInstalmentAllocations
+ * @param {Object} transaction - Firestore Transaction
+ * @param {Array} plans - Changed plans
+ */
+export const writePlanAllocations = (transaction, plans) => {
+  plans.forEach(plan => {
+    transaction.update(clubDoc(INSTALMENT_PLANS_COLLECTION, plan.id), {
+      instalments: plan.instalments,
+      status: plan.status,
+      updatedAt: serverTimestamp()
+    })
+  })
+}
+
+const toPlans = (snapshot) => {
+  const plans = []
+  snapshot.forEach(planDoc => {
+    plans.push({ id: planDoc.id, ...planDoc.data() })
+  })
+  return plans
+}
+
+/**
+ * References to a member's active plans
+ * Transactions cannot run queries, so callers look the plans up first and
+ * re-read them with transaction.get before allocating.
+ * @param {string} memberId - The member ID
+ * @returns {Array} Document references
+ */
+export const getActivePlanRefs = async (memberId) => {
+  try {
+    const q = query(
+      clubCollection(INSTALMENT_PLANS_COLLECTION),
+      where('memberId', '==', memberId),
+      where('status', '==', PLAN_STATUSES.ACTIVE)
+    )
+    const snapshot = await getDocs(q)
+    return snapshot.docs.map(planDoc => planDoc.ref)
+  } catch (error) {
+    console.error('Error fetching active instalment plans:', error)
+    throw error
+  }
+}
+
+/**
+ * Get a document reference for an instalment plan
+ * @param {string} planId - The plan ID
+ * @returns {Object} Document reference
+ */
+export const getInstalmentPlanRef = (planId) => clubDoc(INSTALMENT_PLANS_COLLECTION, planId)
+
+/**
+ * Get all instalment plans for a member, newest fee year first
+ * @param {string} memberId - The member ID
+ * @returns {Array} Plans
+ */
+export const getInstalmentPlansByMember = async (memberId) => {
+  try {
+    const q = query(
+      clubCollection(INSTALMENT_PLANS_COLLECTION),
+      where('memberId', '==', memberId)
+    )
+    const snapshot = await getDocs(q)
+    return toPlans(snapshot).sort((a, b) => (b.feeYear || 0) - (a.feeYear || 0))
+  } catch (error) {
+    console.error('Error fetching instalment plans:', error)
+    throw error
+  }
+}
+
+/**
+ * Get every active instalment plan (for the overdue instalments view)
+ * @returns {Array} Plans
+ */
+export const getActiveInstalmentPlans = async () => {
+  try {
+    const q = query(
+      clubCollection(INSTALMENT_PLANS_COLLECTION),
+      where('status', '==', PLAN_STATUSES.ACTIVE)
+    )
+    const snapshot = await getDocs(q)
+    return toPlans(snapshot)
+  } catch (error) {
+    console.error('Error fetching active instalment plans:', error)
+    throw error
+  }
+}
+
+/**
+ * Members who paid a year's fee by instalments
+ * Used to offer the same arrangement when next year's fees are applied.
+ * @param {number} year - Fee year
+ * @returns {Set} Member IDs
+ */
+export const getInstalmentMemberIds = async (year) => {
+  try {
+    const q = query(
+      clubCollection(INSTALMENT_PLANS_COLLECTION),
+      where('feeYear', '==', year)
+    )
+    const snapshot = await getDocs(q)
+    const memberIds = new Set()
+    snapshot.forEach(planDoc => {
+      const plan = planDoc.data()
+      if (plan.status !== PLAN_STATUSES.CANCELLED) {
+        memberIds.add(plan.memberId)
+      }
+    })
+    return memberIds
+  } catch (error) {
+    console.error('Error fetching instalment members:', error)
+    throw error
+  }
+}
+
+/**
+ * Split an existing fee into instalments
+ * Money the member has already paid towards the fee is allocated to the earliest instalments.
+ * @param {string} feeId - The fee record ID
+ * @param {Object} options - { count, firstDueDate, intervalMonths }
+ * @param {string} userId - ID of user creating the plan
+ * @returns {Object} The created plan
+ */
+export const createInstalmentPlan = async (feeId, options, userId) => {
+  try {
+    const existing = await getDocs(query(
+      clubCollection(INSTALMENT_PLANS_COLLECTION),
+      where('feeId', '==', feeId),
+      where('status', '==', PLAN_STATUSES.ACTIVE)
+    ))
+    if (!existing.empty) {
+      throw new Error('This fee already has an active instalment plan')
+    }
+
+    return await runTransaction(db, async (transaction) => {
+      // === ALL READS FIRST ===
+      const feeDoc = await transaction.get(clubDoc(FEES_COLLECTION, feeId))
+      if (!feeDoc.exists()) {
+        throw new Error('Fee not found')
+      }
+      const fee = { id: feeDoc.id, ...feeDoc.data() }
+
+      const memberDoc = await transaction.get(clubDoc('members', fee.memberId))
+      if (!memberDoc.exists()) {
+        throw new Error('Member not found')
+      }
+
+      // Fees recorded before payment allocation fall back to the account balance
+      const paidAmount = fee.paidAmount !== undefined
+        ? fee.paidAmount
+        : getPaidTowardsFee(fee.amount, memberDoc.data().accountBalance)
+      if (paidAmount >= fee.amount) {
+        throw new Error('This fee has already been paid in full')
+      }
+
+      // === ALL WRITES AFTER READS ===
+      return writeInstalmentPlan(transaction, fee, options, userId, paidAmount)
+    })
+  } catch (error) {
+    console.error('Error creating instalment plan:', error)
+    throw error
+  }
+}
+
+/**
+ * Cancel an instalment plan
+ * The fee stays on the member's account; future payments are no longer allocated to the plan.
+ * @param {string} planId - The plan ID
+ * @param {string} reason - Why the plan was cancelled
+ * @param {string} userId - ID of user cancelling the plan
+ */
+export const cancelInstalmentPlan = async (planId, reason, userId) => {
+  try {
+    await updateDoc(clubDoc(INSTALMENT_PLANS_COLLECTION, planId), {
+      status: PLAN_STATUSES.CANCELLED,
+      cancelReason: (reason || '').trim(),
+      cancelledBy: userId,
+      cancelledAt: serverTimestamp(),
+      updatedAt: serverTimestamp()
+    })
+  } catch (error) {
+    console.error('Error cancelling instalment plan:', error)
+    throw error
+  }
+}
@@ -0,0 +1,250 @@
+import { describe, it, expect } from 'vitest'
+import {
+  PLAN_STATUSES,
+  INSTALMENT_STATUSES,
+  addMonths,
+  buildInstalmentSchedule,
+  getInstalmentOutstanding,
+  getInstalmentStatus,
+  allocateToInstalments,
+  allocateFeePaymentsToPlans,
+  reverseInstalmentAllocations,
+  summariseInstalmentPlan,
+  getOverdueInstalments,
+  getPaidTowardsFee
+} from './instalmentService'
+
+/**
+ * Instalment Plan Tests
+ *
+ * Schedule building and payment allocation.
+ */
+
+const makePlan = (id, dueDates, amount, overrides = {}) => ({
+  id,
+  memberId: 'm1',
+  memberName: 'John Smith',
+  feeId: `fee-${id}`,
+  feeDescription: '2025 Annual Membership Fee',
+  status: PLAN_STATUSES.ACTIVE,
+  instalments: dueDates.map((dueDate, i) => ({ number: i + 1, dueDate, amount, paidAmount: 0 })),
+  ...overrides
+})
+
+describe('addMonths', () => {
+  it('adds whole months', () => {
+    expect(addMonths('2025-03-15', 1)).toBe('2025-04-15')
+    expect(addMonths('2025-11-01', 3)).toBe('2026-02-01')
+  })
+
+  it('clamps to the end of shorter months', () => {
+    expect(addMonths('2025-01-31', 1)).toBe('2025-02-28')
+    expect(addMonths('2024-01-31', 1)).toBe('2024-02-29')
+  })
+})
+
+describe('buildInstalmentSchedule', () => {
+  it('splits the fee evenly across monthly due dates', () => {
+    const schedule = buildInstalmentSchedule(450, 3, '2025-03-01', 1)
+    expect(schedule).toEqual([
+      { number: 1, dueDate: '2025-03-01', amount: 150, paidAmount: 0 },
+      { number: 2, dueDate: '2025-04-01', amount: 150, paidAmount: 0 },
+      { number: 3, dueDate: '2025-05-01', amount: 150, paidAmount: 0 }
+    ])
+  })
+
+  it('puts the rounding remainder on the last instalment', () => {
+    const schedule = buildInstalmentSchedule(100, 3, '2025-03-01', 1)
+    expect(schedule.map(i => i.amount)).toEqual([33.33, 33.33, 33.34])
+    expect(schedule.reduce((sum, i) => sum + i.amount, 0)).toBeCloseTo(100, 2)
+  })
+
+  it('spaces due dates by the interval', () => {
+    const schedule = buildInstalmentSchedule(400, 4, '2025-01-15', 3)
+    expect(schedule.map(i => i.dueDate)).toEqual(['2025-01-15', '2025-04-15', '2025-07-15', '2025-10-15'])
+  })
+
+  it('accepts form string values', () => {
+    expect(buildInstalmentSchedule(200, '2', '2025-01-01', '1')).toHaveLength(2)
+  })
+
+  it('rejects invalid input', () => {
+    expect(() => buildInstalmentSchedule(0, 3, '2025-01-01')).toThrow('greater than zero')
+    expect(() => buildInstalmentSchedule(300, 1, '2025-01-01')).toThrow('between 2 and 12')
+    expect(() => buildInstalmentSchedule(300, 13, '2025-01-01')).toThrow('between 2 and 12')
+    expect(() => buildInstalmentSchedule(300, 3, '')).toThrow('First due date')
+  })
+})
+
+describe('getInstalmentStatus', () => {
+  const inst = { dueDate: '2025-04-01', amount: 150, paidAmount: 0 }
+
+  it('reports paid, overdue, part paid and upcoming', () => {
+    expect(getInstalmentStatus({ ...inst, paidAmount: 150 }, '2025-05-01')).toBe(INSTALMENT_STATUSES.PAID)
+    expect(getInstalmentStatus(inst, '2025-04-02')).toBe(INSTALMENT_STATUSES.OVERDUE)
+    expect(getInstalmentStatus({ ...inst, paidAmount: 50 }, '2025-04-02')).toBe(INSTALMENT_STATUSES.OVERDUE)
+    expect(getInstalmentStatus({ ...inst, paidAmount: 50 }, '2025-03-01')).toBe(INSTALMENT_STATUSES.PART_PAID)
+    expect(getInstalmentStatus(inst, '2025-04-01')).toBe(INSTALMENT_STATUSES.UPCOMING)
+  })
+
+  it('never reports a negative outstanding amount', () => {
+    expect(getInstalmentOutstanding({ amount: 100, paidAmount: 120 })).toBe(0)
+  })
+})
+
+describe('allocateToInstalments', () => {
+  it('pays the earliest due instalment first and carries over', () => {
+    const plan = makePlan('p1', ['2025-03-01', '2025-04-01', '2025-05-01'], 150)
+    const result = allocateToInstalments([plan], 200)
+
+    expect(result.allocations).toEqual([
+      { planId: 'p1', number: 1, amount: 150 },
+      { planId: 'p1', number: 2, amount: 50 }
+    ])
+    expect(result.plans[0].instalments.map(i => i.paidAmount)).toEqual([150, 50, 0])
+    expect(result.plans[0].status).toBe(PLAN_STATUSES.ACTIVE)
+    expect(result.unallocated).toBe(0)
+  })
+
+  it('does not modify the plans passed in', () => {
+    const plan = makePlan('p1', ['2025-03-01', '2025-04-01'], 100)
+    allocateToInstalments([plan], 100)
+    expect(plan.instalments[0].paidAmount).toBe(0)
+  })
+
+  it('orders instalments across plans by due date', () => {
+    const older = makePlan('p1', ['2025-03-01', '2025-06-01'], 100)
+    const newer = makePlan('p2', ['2025-04-01', '2025-05-01'], 50)
+    const result = allocateToInstalments([newer, older], 180)
+
+    expect(result.allocations).toEqual([
+      { planId: 'p1', number: 1, amount: 100 },
+      { planId: 'p2', number: 1, amount: 50 },
+      { planId: 'p2', number: 2, amount: 30 }
+    ])
+    expect(result.plans).toHaveLength(2)
+  })
+
+  it('completes the plan and leaves overpayments unallocated', () => {
+    const plan = makePlan('p1', ['2025-03-01', '2025-04-01'], 100)
+    const result = allocateToInstalments([plan], 250)
+
+    expect(result.plans[0].status).toBe(PLAN_STATUSES.COMPLETED)
+    expect(result.unallocated).toBe(50)
+  })
+
+  it('ignores cancelled plans', () => {
+    const plan = makePlan('p1', ['2025-03-01', '2025-04-01'], 100, { status: PLAN_STATUSES.CANCELLED })
+    const result = allocateToInstalments([plan], 100)
+
+    expect(result.allocations).toEqual([])
+    expect(result.plans).toEqual([])
+    expect(result.unallocated).toBe(100)
+  })
+})
+
+describe('allocateFeePaymentsToPlans', () => {
+  const plan = makePlan('p1', ['2025-04-01', '2025-05-01', '2025-06-01'], 150, { feeId: 'f2025' })
+
+  it('pays instalments of the fee the payment was allocated to', () => {
+    const result = allocateFeePaymentsToPlans([plan], [
+      { feeId: 'f2024', amount: 100 },
+      { feeId: 'f2025', amount: 200 }
+    ])
+
+    expect(result.allocations).toEqual([
+      { planId: 'p1', number: 1, amount: 150 },
+      { planId: 'p1', number: 2, amount: 50 }
+    ])
+    expect(result.plans[0].instalments.map(i => i.paidAmount)).toEqual([150, 50, 0])
+  })
+
+  it('ignores fees without an active plan', () => {
+    const result = allocateFeePaymentsToPlans([{ ...plan, status: PLAN_STATUSES.CANCELLED }], [{ feeId: 'f2025', amount: 200 }])
+    expect(result.allocations).toEqual([])
+    expect(result.plans).toEqual([])
+  })
+})
+
+describe('reverseInstalmentAllocations', () => {
+  const paidPlan = () => makePlan('p1', ['2025-03-01', '2025-04-01', '2025-05-01'], 150, {
+    status: PLAN_STATUSES.COMPLETED,
+    instalments: [
+      { number: 1, dueDate: '2025-03-01', amount: 150, paidAmount: 150 },
+      { number: 2, dueDate: '2025-04-01', amount: 150, paidAmount: 150 },
+      { number: 3, dueDate: '2025-05-01', amount: 150, paidAmount: 150 }
+    ]
+  })
+  const allocations = [
+    { planId: 'p1', number: 2, amount: 150 },
+    { planId: 'p1', number: 3, amount: 150 }
+  ]
+
+  it('unwinds a voided payment and reopens the plan', () => {
+    const result = reverseInstalmentAllocations([paidPlan()], allocations, 300)
+
+    expect(result.plans[0].instalments.map(i => i.paidAmount)).toEqual([150, 0, 0])
+    expect(result.plans[0].status).toBe(PLAN_STATUSES.ACTIVE)
+    expect(result.reversed).toHaveLength(2)
+  })
+
+  it('unwinds the latest instalment first for a partial refund', () => {
+    const result = reverseInstalmentAllocations([paidPlan()], allocations, 100)
+
+    expect(result.plans[0].instalments.map(i => i.paidAmount)).toEqual([150, 150, 50])
+    expect(result.reversed).toEqual([{ planId: 'p1', number: 3, amount: 100 }])
+  })
+
+  it('skips plans that no longer exist', () => {
+    const result = reverseInstalmentAllocations([], allocations, 300)
+    expect(result.plans).toEqual([])
+    expect(result.reversed).toEqual([])
+  })
+})
+
+describe('summariseInstalmentPlan and getOverdueInstalments', () => {
+  const plan = makePlan('p1', ['2025-03-01', '2025-04-01', '2025-05-01'], 150, {
+    instalments: [
+      { number: 1, dueDate: '2025-03-01', amount: 150, paidAmount: 150 },
+      { number: 2, dueDate: '2025-04-01', amount: 150, paidAmount: 40 },
+      { number: 3, dueDate: '2025-05-01', amount: 150, paidAmount: 0 }
+    ]
+  })
+
+  it('totals paid, outstanding and overdue amounts', () => {
+    const summary = summariseInstalmentPlan(plan, '2025-04-11')
+    expect(summary).toMatchObject({
+      totalAmount: 450,
+      paidAmount: 190,
+      outstandingAmount: 260,
+      overdueAmount: 110,
+      overdueCount: 1
+    })
+    expect(summary.nextInstalment.number).toBe(2)
+  })
+
+  it('lists overdue instalments with days overdue', () => {
+    const overdue = getOverdueInstalments([plan], '2025-05-11')
+    expect(overdue.map(i => [i.number, i.outstanding, i.daysOverdue])).toEqual([
+      [2, 110, 40],
+      [3, 150, 10]
+    ])
+    expect(overdue[0]).toMatchObject({ planId: 'p1', memberId: 'm1', instalmentCount: 3 })
+  })
+
+  it('excludes cancelled plans', () => {
+    expect(getOverdueInstalments([{ ...plan, status: PLAN_STATUSES.CANCELLED }], '2025-05-11')).toEqual([])
+  })
+})
+
+describe('getPaidTowardsFee', () => {
+  it('treats the part of the fee not owing as already paid', () => {
+    expect(getPaidTowardsFee(450, -450)).toBe(0)
+    expect(getPaidTowardsFee(450, -300)).toBe(150)
+    expect(getPaidTowardsFee(450, 20)).toBe(450)
+  })
+
+  it('does not count older debts against the fee', () => {
+    expect(getPaidTowardsFee(450, -600)).toBe(0)
+  })
+})
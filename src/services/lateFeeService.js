@@ -0,0 +1,402 @@
+import {
+  addDoc,
+  getDoc,
+  getDocs,
+  query,
+  orderBy,
+  updateDoc,
+  serverTimestamp
+} from 'firebase/firestore'
+import { clubCollection, clubDoc } from '../lib/firebase/clubScope'
+import { getAllMembers } from './membersService'
+import { getAllCategories } from './categoryService'
+import { roundCurrency } from './ledgerService'
+import { getFeesByYear, getFeeOutstanding, applyFeeToMember } from './feeService'
+import { getInstalmentMemberIds } from './instalmentService'
+import { isFeePayingMember } from './memberStatusService'
+
+const LATE_FEE_RULES_COLLECTION = 'lateFeeRules'
+
+/**
+ * Fee type tag on fee records created by a late fee rule
+ */
+export const LATE_FEE_TYPE = 'late'
+
+/**
+ * Category recorded on late fee records (revenue reports group by it)
+ */
+export const LATE_FEE_CATEGORY = {
+  id: 'late_fee',
+  name: 'Late Fee'
+}
+
+/**
+ * How a rule calculates the surcharge
+ */
+export const LATE_FEE_AMOUNT_TYPES = {
+  FLAT: 'flat',
+  PERCENTAGE: 'percentage'
+}
+
+const today = () => new Date().toISOString().split('T')[0]
+
+/**
+ * Add days to an ISO date (YYYY-MM-DD)
+ * @param {string} isoDate - Start date
+ * @param {number} days - Days to add
+ * @returns {string} ISO date
+ */
+export const addDays = (isoDate, days) => {
+  const date = new Date(`${isoDate}T00:00:00Z`)
+  date.setUTCDate(date.getUTCDate() + (parseInt(days) || 0))
+  return date.toISOString().split('T')[0]
+}
+
+/**
+ * The last day a subscription can be paid without a surcharge (cutoff plus grace period)
+ * @param {Object} rule - Late fee rule
+ * @returns {string} ISO date
+ */
+export const getLateFeeDueDate = (rule) => {
+  return addDays(rule.cutoffDate, rule.graceDays)
+}
+
+/**
+ * Whether a rule's grace period has ended
+ * @param {Object} rule - Late fee rule
+ * @param {string} asOf - ISO date (defaults to today)
+ * @returns {boolean}
+ */
+export const isLateFeeDue = (rule, asOf = today()) => {
+  return asOf > getLateFeeDueDate(rule)
+}
+
+/**
+ * Whether a rule applies to a membership category (no categories means all)
+ * @param {Object} rule - Late fee rule
+ * @param {string} categoryId - Membership category ID
+ * @returns {boolean}
+ */
+export const ruleAppliesToCategory = (rule, categoryId) => {
+  return !rule.categoryIds?.length || rule.categoryIds.includes(categoryId)
+}
+
+/**
+ * Surcharge for an unpaid subscription
+ * @param {Object} rule - Late fee rule
+ * @param {number} outstanding - Unpaid subscription amount
+ * @returns {number} Late fee (0 when nothing is owing)
+ */
+export const calculateLateFee = (rule, outstanding) => {
+  if (outstanding <= 0) return 0
+  if (rule.amountType === LATE_FEE_AMOUNT_TYPES.PERCENTAGE) {
+    return roundCurrency(outstanding * rule.amount / 100)
+  }
+  return roundCurrency(rule.amount)
+}
+
+/**
+ * Work out which members a rule charges
+ * Only the rule's fee year subscriptions applied by the cutoff date count - members
+ * who joined later, and late fees themselves, are never surcharged.
+ * @param {Object} rule - Late fee rule (with id)
+ * @param {Array} members - All members
+ * @param {Array} categories - Membership categories
+ * @param {Array} fees - Fee records for the rule's fee year
+ * @param {Set} instalmentMemberIds - Members with an instalment plan for the fee year
+ * @returns {Object} { charges, instalmentMembers, alreadyChargedCount }
+ */
+export const buildLateFeeCharges = (rule, members, categories, fees, instalmentMemberIds = new Set()) => {
+  const alreadyCharged = new Set(
+    fees.filter(f => f.lateFeeRuleId === rule.id).map(f => f.memberId)
+  )
+
+  const outstandingByMember = {}
+  fees.forEach(fee => {
+    if (fee.feeType === LATE_FEE_TYPE || fee.appliedDate > rule.cutoffDate) return
+    outstandingByMember[fee.memberId] = (outstandingByMember[fee.memberId] || 0) + getFeeOutstanding(fee)
+  })
+
+  const charges = []
+  const instalmentMembers = []
+
+  members.forEach(member => {
+    if (!isFeePayingMember(member) || alreadyCharged.has(member.id)) return
+    if (!ruleAppliesToCategory(rule, member.membershipCategory)) return
+
+    const outstanding = roundCurrency(outstandingByMember[member.id] || 0)
+    if (outstanding <= 0) return
+
+    if (instalmentMemberIds.has(member.id)) {
+      instalmentMembers.push({ memberId: member.id, memberName: member.fullName, outstanding })
+      return
+    }
+
+    const category = categories.find(c => c.id === member.membershipCategory)
+    charges.push({
+      memberId: member.id,
+      memberName: member.fullName,
+      categoryName: category?.name || '-',
+      outstanding,
+      amount: calculateLateFee(rule, outstanding)
+    })
+  })
+
+  return {
+    charges: charges.sort((a, b) => a.memberName.localeCompare(b.memberName)),
+    instalmentMembers,
+    alreadyChargedCount: alreadyCharged.size
+  }
+}
+
+// Normalise and validate rule fields before saving
+const buildLateFeeRuleData = (ruleData) => {
+  const name = (ruleData.name || '').trim()
+  if (!name || name.length > 100) {
+    throw new Error('Name is required and must be 100 characters or less')
+  }
+
+  const feeYear = parseInt(ruleData.feeYear)
+  if (isNaN(feeYear) || feeYear < 2020 || feeYear > 2100) {
+    throw new Error('Fee year must be between 2020 and 2100')
+  }
+
+  if (!ruleData.cutoffDate || !/^\d{4}-\d{2}-\d{2}$/.test(ruleData.cutoffDate)) {
+    throw new Error('Cutoff date is required')
+  }
+
+  const graceDays = parseInt(ruleData.graceDays) || 0
+  if (graceDays < 0 || graceDays > 365) {
+    throw new Error('Grace period must be between 0 and 365 days')
+  }
+
+  const amountType = ruleData.amountType
+  if (!Object.values(LATE_FEE_AMOUNT_TYPES).includes(amountType)) {
+    throw new Error('Amount type must be flat or percentage')
+  }
+
+  const amount = parseFloat(ruleData.amount)
+  if (isNaN(amount) || amount <= 0) {
+    throw new Error('Amount must be greater than zero')
+  }
+  if (amountType === LATE_FEE_AMOUNT_TYPES.PERCENTAGE && amount > 100) {
+    throw new Error('Percentage cannot be more than 100')
+  }
+
+  return {
+    name,
+    feeYear,
+    cutoffDate: ruleData.cutoffDate,
+    graceDays,
+    amountType,
+    amount: roundCurrency(amount),
+    categoryIds: (ruleData.categoryIds || []).filter(Boolean),
+    active: ruleData.active !== false
+  }
+}
+
+/**
+ * Get all late fee rules, latest cutoff first
+ * @returns {Array} Late fee rules
+ */
+export const getAllLateFeeRules = async () => {
+  try {
+    const q = query(clubCollection(LATE_FEE_RULES_COLLECTION), orderBy('cutoffDate', 'desc'))
+    const snapshot = await getDocs(q)
+    const rules = []
+    snapshot.forEach(ruleDoc => {
+      rules.push({ id: ruleDoc.id, ...ruleDoc.data() })
+    })
+    return rules
+  } catch (error) {
+    console.error('Error getting late fee rules:', error)
+    throw error
+  }
+}
+
+/**
+ * Get a single late fee rule
+ * @param {string} ruleId - Rule ID
+ * @returns {Object} Late fee rule
+ */
+export const getLateFeeRule = async (ruleId) => {
+  try {
+    const ruleDoc = await getDoc(clubDoc(LATE_FEE_RULES_COLLECTION, ruleId))
+    if (!ruleDoc.exists()) {
+      throw new Error('Late fee rule not found')
+    }
+    return { id: ruleDoc.id, ...ruleDoc.data() }
+  } catch (error) {
+    console.error('Error getting late fee rule:', error)
+    throw error
+  }
+}
+
+/**
+ * Create a late fee rule
+ * @param {Object} ruleData - { name, feeYear, cutoffDate, graceDays, amountType, amount, categoryIds, active }
+ * @param {string} userId - ID of user creating the rule
+ * @returns {Object} Created rule
+ */
+export const createLateFeeRule = async (ruleData, userId) => {
+  try {
+    const newRule = {
+      ...buildLateFeeRuleData(ruleData),
+      createdBy: userId,
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp()
+    }
+    const docRef = await addDoc(clubCollection(LATE_FEE_RULES_COLLECTION), newRule)
+    return { id: docRef.id, ...newRule }
+  } catch (error) {
+    console.error('Error creating late fee rule:', error)
+    throw error
+  }
+}
+
+/**
+ * Update a late fee rule
+ * Rules are deactivated rather than deleted so late fees keep a link to the rule that charged them
+ * @param {string} ruleId - Rule ID
+ * @param {Object} ruleData - Updated fields
+ * @returns {Object} Updated rule
+ */
+export const updateLateFeeRule = async (ruleId, ruleData) => {
+  try {
+    const data = buildLateFeeRuleData(ruleData)
+    await updateDoc(clubDoc(LATE_FEE_RULES_COLLECTION, ruleId), {
+      ...data,
+      updatedAt: serverTimestamp()
+    })
+    return { id: ruleId, ...data }
+  } catch (error) {
+    console.error('Error updating late fee rule:', error)
+    throw error
+  }
+}
+
+// Load everything a preview or application needs for a rule
+const loadLateFeeCharges = async (ruleId) => {
+  const rule = await getLateFeeRule(ruleId)
+  const [members, categories, fees, instalmentMemberIds] = await Promise.all([
+    getAllMembers(),
+    getAllCategories(),
+    getFeesByYear(rule.feeYear),
+    getInstalmentMemberIds(rule.feeYear)
+  ])
+  return {
+    rule,
+    ...buildLateFeeCharges(rule, members, categories, fees, instalmentMemberIds)
+  }
+}
+
+/**
+ * Preview the late fees a rule would charge
+ * @param {string} ruleId - Rule ID
+ * @returns {Object} { rule, dueDate, isDue, totalMembers, totalAmount, charges, instalmentMembers, alreadyChargedCount }
+ */
+export const previewLateFees = async (ruleId) => {
+  try {
+    const { rule, charges, instalmentMembers, alreadyChargedCount } = await loadLateFeeCharges(ruleId)
+
+    return {
+      rule,
+      dueDate: getLateFeeDueDate(rule),
+      isDue: isLateFeeDue(rule),
+      totalMembers: charges.length,
+      totalAmount: roundCurrency(charges.reduce((sum, c) => sum + c.amount, 0)),
+      charges,
+      instalmentMembers,
+      alreadyChargedCount
+    }
+  } catch (error) {
+    console.error('Error previewing late fees:', error)
+    throw error
+  }
+}
+
+/**
+ * Charge a rule's late fees to members with unpaid subscriptions
+ * Each late fee is a fee record tagged feeType 'late' with the rule ID, so a rule
+ * never charges the same member twice. Members on an instalment plan are skipped.
+ * @param {string} ruleId - Rule ID
+ * @param {string} userId - ID of user applying the fees
+ * @returns {Object} Results with success/skipped/failed counts and details
+ */
+export const applyLateFees = async (ruleId, userId) => {
+  try {
+    const { rule, charges, instalmentMembers } = await loadLateFeeCharges(ruleId)
+
+    if (!rule.active) {
+      throw new Error('This late fee rule is inactive')
+    }
+    if (!isLateFeeDue(rule)) {
+      throw new Error(`Late fees cannot be applied until after ${getLateFeeDueDate(rule)}`)
+    }
+
+    const results = {
+      year: rule.feeYear,
+      successful: 0,
+      skipped: 0,
+      failed: 0,
+      totalAmount: 0,
+      details: []
+    }
+
+    instalmentMembers.forEach(member => {
+      results.skipped++
+      results.details.push({
+        memberId: member.memberId,
+        memberName: member.memberName,
+        status: 'skipped',
+        reason: 'On an instalment plan'
+      })
+    })
+
+    for (const charge of charges) {
+      try {
+        await applyFeeToMember({
+          memberId: charge.memberId,
+          memberName: charge.memberName,
+          amount: charge.amount,
+          feeYear: rule.feeYear,
+          notes: `${rule.feeYear} Late Payment Fee - ${rule.name}`,
+          categoryId: LATE_FEE_CATEGORY.id,
+          categoryName: LATE_FEE_CATEGORY.name,
+          feeType: LATE_FEE_TYPE,
+          lateFeeRuleId: rule.id
+        }, userId)
+
+        results.successful++
+        results.totalAmount = roundCurrency(results.totalAmount + charge.amount)
+        results.details.push({
+          memberId: charge.memberId,
+          memberName: charge.memberName,
+          categoryName: charge.categoryName,
+          feeAmount: charge.amount,
+          status: 'success'
+        })
+      } catch (error) {
+        results.failed++
+        results.details.push({
+          memberId: charge.memberId,
+          memberName: charge.memberName,
+          status: 'failed',
+          reason: error.message
+        })
+      }
+    }
+
+    await updateDoc(clubDoc(LATE_FEE_RULES_COLLECTION, rule.id), {
+      lastAppliedAt: serverTimestamp(),
+      lastAppliedBy: userId,
+      lastAppliedCount: results.successful,
+      updatedAt: serverTimestamp()
+    })
+
+    return results
+  } catch (error) {
+    console.error('Error applying late fees:', error)
+    throw error
+  }
+}
@@ -0,0 +1,131 @@
+import { describe, it, expect } from 'vitest'
+import {
+  LATE_FEE_TYPE,
+  LATE_FEE_AMOUNT_TYPES,
+  addDays,
+  getLateFeeDueDate,
+  isLateFeeDue,
+  ruleAppliesToCategory,
+  calculateLateFee,
+  buildLateFeeCharges
+} from './lateFeeService'
+
+/**
+ * Late Fee Tests
+ *
+ * Rule dates, surcharge amounts and who a rule charges.
+ */
+
+const rule = {
+  id: 'r1',
+  name: 'Late payment surcharge',
+  feeYear: 2025,
+  cutoffDate: '2025-04-30',
+  graceDays: 14,
+  amountType: LATE_FEE_AMOUNT_TYPES.FLAT,
+  amount: 25,
+  categoryIds: [],
+  active: true
+}
+
+const categories = [
+  { id: 'full', name: 'Full' },
+  { id: 'junior', name: 'Junior' }
+]
+
+const members = [
+  { id: 'm1', fullName: 'Alice Brown', status: 'active', membershipCategory: 'full' },
+  { id: 'm2', fullName: 'Bob Green', status: 'active', membershipCategory: 'junior' },
+  { id: 'm3', fullName: 'Carol White', status: 'active', membershipCategory: 'full' },
+  { id: 'm4', fullName: 'Dan Black', status: 'inactive', membershipCategory: 'full' },
+  { id: 'm5', fullName: 'Eve Grey', status: 'active', membershipCategory: 'full' }
+]
+
+const fees = [
+  { id: 'f1', memberId: 'm1', feeYear: 2025, amount: 400, paidAmount: 100, appliedDate: '2025-03-01' },
+  { id: 'f2', memberId: 'm2', feeYear: 2025, amount: 100, appliedDate: '2025-03-01' },
+  { id: 'f3', memberId: 'm3', feeYear: 2025, amount: 400, paidAmount: 400, appliedDate: '2025-03-01' },
+  { id: 'f4', memberId: 'm4', feeYear: 2025, amount: 400, appliedDate: '2025-03-01' },
+  // Joined after the cutoff
+  { id: 'f5', memberId: 'm5', feeYear: 2025, amount: 200, appliedDate: '2025-06-01' }
+]
+
+describe('late fee dates', () => {
+  it('adds the grace period to the cutoff', () => {
+    expect(addDays('2025-04-30', 14)).toBe('2025-05-14')
+    expect(addDays('2024-12-25', 10)).toBe('2025-01-04')
+    expect(getLateFeeDueDate(rule)).toBe('2025-05-14')
+  })
+
+  it('is only due once the grace period has ended', () => {
+    expect(isLateFeeDue(rule, '2025-05-14')).toBe(false)
+    expect(isLateFeeDue(rule, '2025-05-15')).toBe(true)
+    expect(isLateFeeDue({ ...rule, graceDays: 0 }, '2025-05-01')).toBe(true)
+  })
+})
+
+describe('calculateLateFee', () => {
+  it('charges a flat amount', () => {
+    expect(calculateLateFee(rule, 300)).toBe(25)
+  })
+
+  it('charges a percentage of the unpaid amount', () => {
+    const percentRule = { ...rule, amountType: LATE_FEE_AMOUNT_TYPES.PERCENTAGE, amount: 10 }
+    expect(calculateLateFee(percentRule, 333.33)).toBe(33.33)
+  })
+
+  it('charges nothing when nothing is owing', () => {
+    expect(calculateLateFee(rule, 0)).toBe(0)
+  })
+})
+
+describe('ruleAppliesToCategory', () => {
+  it('applies to every category when none are chosen', () => {
+    expect(ruleAppliesToCategory(rule, 'junior')).toBe(true)
+  })
+
+  it('applies only to the chosen categories', () => {
+    expect(ruleAppliesToCategory({ ...rule, categoryIds: ['full'] }, 'junior')).toBe(false)
+    expect(ruleAppliesToCategory({ ...rule, categoryIds: ['full'] }, 'full')).toBe(true)
+  })
+})
+
+describe('buildLateFeeCharges', () => {
+  it('charges active members with subscriptions unpaid from before the cutoff', () => {
+    const result = buildLateFeeCharges(rule, members, categories, fees)
+
+    expect(result.charges).toEqual([
+      { memberId: 'm1', memberName: 'Alice Brown', categoryName: 'Full', outstanding: 300, amount: 25 },
+      { memberId: 'm2', memberName: 'Bob Green', categoryName: 'Junior', outstanding: 100, amount: 25 }
+    ])
+    expect(result.alreadyChargedCount).toBe(0)
+  })
+
+  it('skips members on an instalment plan', () => {
+    const result = buildLateFeeCharges(rule, members, categories, fees, new Set(['m1']))
+
+    expect(result.charges.map(c => c.memberId)).toEqual(['m2'])
+    expect(result.instalmentMembers).toEqual([
+      { memberId: 'm1', memberName: 'Alice Brown', outstanding: 300 }
+    ])
+  })
+
+  it('limits charges to the rule categories', () => {
+    const result = buildLateFeeCharges({ ...rule, categoryIds: ['junior'] }, members, categories, fees)
+    expect(result.charges.map(c => c.memberId)).toEqual(['m2'])
+  })
+
+  it('never charges a member twice or surcharges a late fee', () => {
+    const withLateFees = [
+      ...fees,
+      { id: 'l1', memberId: 'm1', feeYear: 2025, amount: 25, appliedDate: '2025-04-01', feeType: LATE_FEE_TYPE, lateFeeRuleId: 'r1' },
+      { id: 'l2', memberId: 'm2', feeYear: 2025, amount: 25, appliedDate: '2025-04-01', feeType: LATE_FEE_TYPE, lateFeeRuleId: 'other' }
+    ]
+    const result = buildLateFeeCharges(rule, members, categories, withLateFees)
+
+    expect(result.charges).toEqual([
+      { memberId: 'm2', memberName: 'Bob Green', categoryName: 'Junior', outstanding: 100, amount: 25 }
+    ])
+    expect(result.alreadyChargedCount).toBe(1)
+  })
+})
@@ -0,0 +1,419 @@
+import {
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  where,
+  orderBy,
+  runTransaction,
+  serverTimestamp
+} from 'firebase/firestore'
+import { db } from '../firebase'
+import { clubCollection, clubDoc } from '../lib/firebase/clubScope'
+import { writePortalBalance } from './memberPortalService'
+
+const LEDGER_COLLECTION = 'ledgerEntries'
+const MEMBERS_COLLECTION = 'members'
+
+/**
+ * Ledger entry types
+ * Amounts are signed from the member's point of view, matching accountBalance:
+ * positive = credit to the member, negative = amount owed by the member
+ */
+export const LEDGER_ENTRY_TYPES = {
+  CHARGE: 'charge',         // Fee charged to the member (negative)
+  PAYMENT: 'payment',       // Payment received (positive)
+  ADJUSTMENT: 'adjustment', // Manual correction or opening balance (either sign)
+  REVERSAL: 'reversal',     // Cancels an earlier entry (opposite sign of the original)
+  WRITE_OFF: 'write_off'    // Debt forgiven by the club (positive)
+}
+
+/**
+ * Round an amount to whole cents to avoid floating point drift
+ * @param {number} amount - Amount in dollars
+ * @returns {number} Amount rounded to 2 decimal places
+ */
+export const roundCurrency = (amount) => {
+  return Math.round((Number(amount) || 0) * 100) / 100
+}
+
+/**
+ * Build a ledger entry document (without timestamps)
+ * @param {Object} entryData - { memberId, memberName, type, amount, entryDate, description, sourceType, sourceId, reversesEntryId }
+ * @param {string} userId - ID of user creating the entry
+ * @returns {Object} Ledger entry ready to be written
+ */
+export const buildLedgerEntry = (entryData, userId) => {
+  const {
+    memberId,
+    memberName,
+    type,
+    amount,
+    entryDate,
+    description,
+    sourceType,
+    sourceId,
+    reversesEntryId
+  } = entryData
+
+  if (!Object.values(LEDGER_ENTRY_TYPES).includes(type)) {
+    throw new Error(`Invalid ledger entry type: ${type}`)
+  }
+
+  return {
+    memberId,
+    memberName: memberName || '',
+    type,
+    amount: roundCurrency(amount),
+    entryDate: entryDate || new Date().toISOString().split('T')[0],
+    description: description || '',
+    sourceType: sourceType || 'manual',
+    sourceId: sourceId || '',
+    reversesEntryId: reversesEntryId || '',
+    createdBy: userId || 'system'
+  }
+}
+
+/**
+ * Queue a ledger entry write inside an existing Firestore transaction or batch
+ * Callers are responsible for updating the cached member accountBalance in the same transaction
+ * @param {Object} writer - Firestore Transaction or WriteBatch
+ * @param {Object} entryData - See buildLedgerEntry
+ * @param {string} userId - ID of user creating the entry
+ * @returns {Object} { id, entry } for the queued entry
+ */
+export const writeLedgerEntry = (writer, entryData, userId) => {
+  const entry = buildLedgerEntry(entryData, userId)
+  const entryRef = doc(clubCollection(LEDGER_COLLECTION))
+  writer.set(entryRef, {
+    ...entry,
+    createdAt: serverTimestamp()
+  })
+  return { id: entryRef.id, entry }
+}
+
+/**
+ * Sum ledger entries into a balance
+ * @param {Array} entries - Ledger entries
+ * @returns {number} Balance (positive=credit, negative=owing)
+ */
+export const calculateLedgerBalance = (entries) => {
+  return roundCurrency(
+    (entries || []).reduce((sum, entry) => sum + (entry.amount || 0), 0)
+  )
+}
+
+// Firestore timestamps, Dates and missing values all sort consistently
+const toMillis = (value) => {
+  if (!value) return 0
+  if (typeof value.toMillis === 'function') return value.toMillis()
+  if (value instanceof Date) return value.getTime()
+  return 0
+}
+
+/**
+ * Sort entries chronologically (entry date, then creation time)
+ * @param {Array} entries - Ledger entries
+ * @returns {Array} New sorted array
+ */
+export const sortLedgerEntries = (entries) => {
+  return [...(entries || [])].sort((a, b) => {
+    const byDate = (a.entryDate || '').localeCompare(b.entryDate || '')
+    if (byDate !== 0) return byDate
+    return toMillis(a.createdAt) - toMillis(b.createdAt)
+  })
+}
+
+/**
+ * Build a running-balance statement from ledger entries
+ * @param {Array} entries - Ledger entries for a single member
+ * @returns {Array} Entries in chronological order with debit, credit and runningBalance
+ */
+export const buildRunningStatement = (entries) => {
+  let runningBalance = 0
+
+  return sortLedgerEntries(entries).map(entry => {
+    runningBalance = roundCurrency(runningBalance + entry.amount)
+    return {
+      ...entry,
+      debit: entry.amount < 0 ? Math.abs(entry.amount) : 0,
+      credit: entry.amount > 0 ? entry.amount : 0,
+      runningBalance
+    }
+  })
+}
+
+/**
+ * Get all ledger entries for a member in chronological order
+ * @param {string} memberId - The member ID
+ * @returns {Array} Ledger entries
+ */
+export const getLedgerByMember = async (memberId) => {
+  try {
+    const q = query(
+      clubCollection(LEDGER_COLLECTION),
+      where('memberId', '==', memberId),
+      orderBy('entryDate', 'asc')
+    )
+    const snapshot = await getDocs(q)
+    const entries = []
+    snapshot.forEach(doc => {
+      entries.push({ id: doc.id, ...doc.data() })
+    })
+    return sortLedgerEntries(entries)
+  } catch (error) {
+    console.error('Error getting member ledger:', error)
+    throw error
+  }
+}
+
+/**
+ * Compare a member's cached accountBalance with the balance derived from the ledger
+ * @param {string} memberId - The member ID
+ * @returns {Object} { cachedBalance, ledgerBalance, difference, isValid, entryCount }
+ */
+export const verifyMemberBalance = async (memberId) => {
+  try {
+    const memberSnap = await getDoc(clubDoc(MEMBERS_COLLECTION, memberId))
+    if (!memberSnap.exists()) {
+      throw new Error('Member not found')
+    }
+
+    const entries = await getLedgerByMember(memberId)
+    const cachedBalance = roundCurrency(memberSnap.data().accountBalance)
+    const ledgerBalance = calculateLedgerBalance(entries)
+    const difference = roundCurrency(cachedBalance - ledgerBalance)
+
+    return {
+      cachedBalance,
+      ledgerBalance,
+      difference,
+      isValid: difference === 0,
+      entryCount: entries.length
+    }
+  } catch (error) {
+    console.error('Error verifying member balance:', error)
+    throw error
+  }
+}
+
+// Read the ledger again if a balance changes while it is being recomputed
+const MAX_RECOMPUTE_ATTEMPTS = 3
+
+const isSameTimestamp = (a, b) => (a && typeof a.isEqual === 'function' ? !!b && a.isEqual(b) : a === b)
+
+/**
+ * Recompute a member's cached accountBalance from the ledger
+ * The ledger is the source of truth; this only rewrites the cache. The ledger can't be
+ * read inside a transaction, so the member's updatedAt is checked instead: every ledger
+ * entry is written in the same batch or transaction as a change to its member, so an
+ * unchanged updatedAt means no entry was added since the ledger was read.
+ * @param {string} memberId - The member ID
+ * @returns {Object} { previousBalance, accountBalance }
+ */
+export const recomputeMemberBalance = async (memberId) => {
+  try {
+    const memberRef = clubDoc(MEMBERS_COLLECTION, memberId)
+
+    for (let attempt = 1; attempt <= MAX_RECOMPUTE_ATTEMPTS; attempt++) {
+      const memberSnap = await getDoc(memberRef)
+      if (!memberSnap.exists()) {
+        throw new Error('Member not found')
+      }
+      const readAt = memberSnap.data().updatedAt
+      const accountBalance = calculateLedgerBalance(await getLedgerByMember(memberId))
+
+      const previousBalance = await runTransaction(db, async (transaction) => {
+        const memberDoc = await transaction.get(memberRef)
+
+        if (!memberDoc.exists()) {
+          throw new Error('Member not found')
+        }
+        // Changed since the ledger was read - a new entry may be missing
+        if (!isSameTimestamp(memberDoc.data().updatedAt, readAt)) {
+          return null
+        }
+
+        transaction.update(memberRef, {
+          accountBalance,
+          balanceVerifiedAt: serverTimestamp(),
+          updatedAt: serverTimestamp()
+        })
+        writePortalBalance(transaction, memberId, accountBalance)
+
+        return memberDoc.data().accountBalance || 0
+      })
+
+      if (previousBalance !== null) {
+        return { previousBalance, accountBalance }
+      }
+    }
+
+    throw new Error('The balance kept changing while it was recomputed - please try again')
+  } catch (error) {
+    console.error('Error recomputing member balance:', error)
+    throw error
+  }
+}
+
+/**
+ * Record a manual ledger entry (adjustment or write-off) and update the cached balance
+ * @param {Object} entryData - { memberId, memberName, type, amount, entryDate, description }
+ * @param {string} userId - ID of user recording the entry
+ * @returns {Object} The created ledger entry
+ */
+export const recordLedgerEntry = async (entryData, userId) => {
+  try {
+    if (![LEDGER_ENTRY_TYPES.ADJUSTMENT, LEDGER_ENTRY_TYPES.WRITE_OFF].includes(entryData.type)) {
+      throw new Error('Only adjustments and write-offs can be recorded manually')
+    }
+    if (!entryData.description || entryData.description.trim() === '') {
+      throw new Error('A description is required for manual ledger entries')
+    }
+    if (roundCurrency(entryData.amount) === 0) {
+      throw new Error('Amount must not be zero')
+    }
+
+    return await runTransaction(db, async (transaction) => {
+      const memberRef = clubDoc(MEMBERS_COLLECTION, entryData.memberId)
+      const memberDoc = await transaction.get(memberRef)
+
+      if (!memberDoc.exists()) {
+        throw new Error('Member not found')
+      }
+
+      const currentBalance = memberDoc.data().accountBalance || 0
+      const { id, entry } = writeLedgerEntry(transaction, {
+        ...entryData,
+        memberName: entryData.memberName || memberDoc.data().fullName,
+        sourceType: 'manual'
+      }, userId)
+
+      const accountBalance = roundCurrency(currentBalance + entry.amount)
+      transaction.update(memberRef, {
+        accountBalance,
+        updatedAt: serverTimestamp()
+      })
+      writePortalBalance(transaction, entryData.memberId, accountBalance)
+
+      return { id, ...entry }
+    })
+  } catch (error) {
+    console.error('Error recording ledger entry:', error)
+    throw error
+  }
+}
+
+/**
+ * Build ledger history for a member that predates the ledger
+ * Creates entries from existing payments and fees, plus an opening balance
+ * adjustment for any remainder so the ledger matches the cached balance
+ * @param {string} memberId - The member ID
+ * @param {string} userId - ID of user running the backfill
+ * @returns {Object} { created, openingAdjustment }
+ */
+export const backfillMemberLedger = async (memberId, userId) => {
+  try {
+    const existing = await getLedgerByMember(memberId)
+    if (existing.length > 0) {
+      throw new Error('Member already has ledger entries')
+    }
+
+    const [paymentsSnap, feesSnap] = await Promise.all([
+      getDocs(query(clubCollection('payments'), where('memberId', '==', memberId))),
+      getDocs(query(clubCollection('fees'), where('memberId', '==', memberId)))
+    ])
+
+    return await runTransaction(db, async (transaction) => {
+      const memberRef = clubDoc(MEMBERS_COLLECTION, memberId)
+      const memberDoc = await transaction.get(memberRef)
+
+      if (!memberDoc.exists()) {
+        throw new Error('Member not found')
+      }
+
+      const member = memberDoc.data()
+      const entries = []
+
+      paymentsSnap.forEach(paymentDoc => {
+        const payment = paymentDoc.data()
+        entries.push(writeLedgerEntry(transaction, {
+          memberId,
+          memberName: member.fullName,
+          type: LEDGER_ENTRY_TYPES.PAYMENT,
+          amount: payment.amount,
+          entryDate: payment.paymentDate,
+          description: `Payment ${payment.receiptNumber || ''}`.trim(),
+          sourceType: 'payment',
+          sourceId: paymentDoc.id
+        }, userId).entry)
+
+        // Voided/refunded payments keep their receipt; the reversal is a separate entry
+        if (payment.reversedAmount) {
+          entries.push(writeLedgerEntry(transaction, {
+            memberId,
+            memberName: member.fullName,
+            type: LEDGER_ENTRY_TYPES.REVERSAL,
+            amount: -payment.reversedAmount,
+            entryDate: payment.reversalDate,
+            description: `Credit note ${payment.creditNoteNumber} for payment ${payment.receiptNumber}`,
+            sourceType: 'payment',
+            sourceId: paymentDoc.id
+          }, userId).entry)
+        }
+      })
+
+      feesSnap.forEach(feeDoc => {
+        const fee = feeDoc.data()
+        entries.push(writeLedgerEntry(transaction, {
+          memberId,
+          memberName: member.fullName,
+          type: LEDGER_ENTRY_TYPES.CHARGE,
+          amount: -fee.amount,
+          entryDate: fee.appliedDate,
+          description: fee.notes || `${fee.feeYear} Fee`,
+          sourceType: 'fee',
+          sourceId: feeDoc.id
+        }, userId).entry)
+      })
+
+      // Anything not explained by payments and fees becomes the opening balance
+      const openingAdjustment = roundCurrency(
+        (member.accountBalance || 0) - calculateLedgerBalance(entries)
+      )
+      if (openingAdjustment !== 0) {
+        entries.push(writeLedgerEntry(transaction, {
+          memberId,
+          memberName: member.fullName,
+          type: LEDGER_ENTRY_TYPES.ADJUSTMENT,
+          amount: openingAdjustment,
+          entryDate: member.dateJoined,
+          description: 'Opening balance (prior to ledger)',
+          sourceType: 'opening_balance'
+        }, userId).entry)
+      }
+
+      transaction.update(memberRef, {
+        balanceVerifiedAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+      })
+
+      return { created: entries.length, openingAdjustment }
+    })
+  } catch (error) {
+    console.error('Error backfilling member ledger:', error)
+    throw error
+  }
+}
+
+// Format ledger entry type for display
+export const formatLedgerEntryType = (type) => {
+  const types = {
+    charge: 'Charge',
+    payment: 'Payment',
+    adjustment: 'Adjustment',
+    reversal: 'Reversal',
+    write_off: 'Write-off'
+  }
+  return types[type] || type
+}
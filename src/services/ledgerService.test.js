@@ -0,0 +1,196 @@
+import { describe, it, expect } from 'vitest'
+import {
+  LEDGER_ENTRY_TYPES,
+  roundCurrency,
+  buildLedgerEntry,
+  calculateLedgerBalance,
+  sortLedgerEntries,
+  buildRunningStatement,
+  formatLedgerEntryType
+} from './ledgerService'
+
+/**
+ * Ledger Service Tests
+ *
+ * These tests verify the pure ledger logic (entry building, balance derivation
+ * and running statements) without requiring Firebase.
+ * Sign convention matches accountBalance: positive = credit, negative = owing.
+ */
+
+describe('roundCurrency', () => {
+  it('should round to whole cents', () => {
+    expect(roundCurrency(10.005)).toBe(10.01)
+    expect(roundCurrency(10.004)).toBe(10)
+  })
+
+  it('should remove floating point drift', () => {
+    expect(roundCurrency(0.1 + 0.2)).toBe(0.3)
+  })
+
+  it('should treat invalid input as zero', () => {
+    expect(roundCurrency(undefined)).toBe(0)
+    expect(roundCurrency('abc')).toBe(0)
+  })
+})
+
+describe('buildLedgerEntry', () => {
+  it('should build a payment entry with defaults', () => {
+    const entry = buildLedgerEntry({
+      memberId: 'member123',
+      memberName: 'John Doe',
+      type: LEDGER_ENTRY_TYPES.PAYMENT,
+      amount: 150,
+      entryDate: '2025-03-01'
+    }, 'user1')
+
+    expect(entry).toEqual({
+      memberId: 'member123',
+      memberName: 'John Doe',
+      type: 'payment',
+      amount: 150,
+      entryDate: '2025-03-01',
+      description: '',
+      sourceType: 'manual',
+      sourceId: '',
+      reversesEntryId: '',
+      createdBy: 'user1'
+    })
+  })
+
+  it('should default entryDate to today', () => {
+    const entry = buildLedgerEntry({
+      memberId: 'member123',
+      type: LEDGER_ENTRY_TYPES.ADJUSTMENT,
+      amount: -10
+    }, 'user1')
+
+    expect(entry.entryDate).toBe(new Date().toISOString().split('T')[0])
+  })
+
+  it('should record system as creator when no user is given', () => {
+    const entry = buildLedgerEntry({
+      memberId: 'member123',
+      type: LEDGER_ENTRY_TYPES.ADJUSTMENT,
+      amount: 25
+    })
+
+    expect(entry.createdBy).toBe('system')
+  })
+
+  it('should reject unknown entry types', () => {
+    expect(() => buildLedgerEntry({
+      memberId: 'member123',
+      type: 'refund',
+      amount: 10
+    }, 'user1')).toThrow('Invalid ledger entry type')
+  })
+})
+
+describe('calculateLedgerBalance', () => {
+  it('should return zero for no entries', () => {
+    expect(calculateLedgerBalance([])).toBe(0)
+    expect(calculateLedgerBalance(undefined)).toBe(0)
+  })
+
+  it('should net charges against payments', () => {
+    const entries = [
+      { type: 'charge', amount: -480 },
+      { type: 'payment', amount: 200 },
+      { type: 'payment', amount: 150 }
+    ]
+
+    expect(calculateLedgerBalance(entries)).toBe(-130)
+  })
+
+  it('should apply reversals and write-offs', () => {
+    const entries = [
+      { type: 'charge', amount: -480 },
+      { type: 'payment', amount: 480 },
+      { type: 'reversal', amount: -480 }, // Payment deleted
+      { type: 'write_off', amount: 80 }
+    ]
+
+    expect(calculateLedgerBalance(entries)).toBe(-400)
+  })
+
+  it('should handle decimal amounts without drift', () => {
+    const entries = [
+      { amount: 0.1 },
+      { amount: 0.2 },
+      { amount: -0.3 }
+    ]
+
+    expect(calculateLedgerBalance(entries)).toBe(0)
+  })
+})
+
+describe('sortLedgerEntries', () => {
+  it('should sort by entry date ascending', () => {
+    const entries = [
+      { id: 'b', entryDate: '2025-04-01' },
+      { id: 'a', entryDate: '2025-03-01' }
+    ]
+
+    expect(sortLedgerEntries(entries).map(e => e.id)).toEqual(['a', 'b'])
+  })
+
+  it('should use createdAt to order entries on the same date', () => {
+    const entries = [
+      { id: 'later', entryDate: '2025-03-01', createdAt: { toMillis: () => 2000 } },
+      { id: 'earlier', entryDate: '2025-03-01', createdAt: { toMillis: () => 1000 } }
+    ]
+
+    expect(sortLedgerEntries(entries).map(e => e.id)).toEqual(['earlier', 'later'])
+  })
+
+  it('should not mutate the input array', () => {
+    const entries = [
+      { id: 'b', entryDate: '2025-04-01' },
+      { id: 'a', entryDate: '2025-03-01' }
+    ]
+    sortLedgerEntries(entries)
+
+    expect(entries[0].id).toBe('b')
+  })
+})
+
+describe('buildRunningStatement', () => {
+  it('should compute running balances with debit and credit columns', () => {
+    const statement = buildRunningStatement([
+      { id: '2', entryDate: '2025-03-15', type: 'payment', amount: 200 },
+      { id: '1', entryDate: '2025-03-01', type: 'charge', amount: -480 },
+      { id: '3', entryDate: '2025-04-01', type: 'payment', amount: 280 }
+    ])
+
+    expect(statement.map(e => e.id)).toEqual(['1', '2', '3'])
+    expect(statement[0]).toMatchObject({ debit: 480, credit: 0, runningBalance: -480 })
+    expect(statement[1]).toMatchObject({ debit: 0, credit: 200, runningBalance: -280 })
+    expect(statement[2]).toMatchObject({ debit: 0, credit: 280, runningBalance: 0 })
+  })
+
+  it('should end on the same balance as calculateLedgerBalance', () => {
+    const entries = [
+      { entryDate: '2025-01-01', amount: 50.5 },
+      { entryDate: '2025-02-01', amount: -120.25 },
+      { entryDate: '2025-03-01', amount: 30 }
+    ]
+    const statement = buildRunningStatement(entries)
+
+    expect(statement[statement.length - 1].runningBalance).toBe(calculateLedgerBalance(entries))
+  })
+
+  it('should return an empty statement for no entries', () => {
+    expect(buildRunningStatement([])).toEqual([])
+  })
+})
+
+describe('formatLedgerEntryType', () => {
+  it('should format known types', () => {
+    expect(formatLedgerEntryType('write_off')).toBe('Write-off')
+    expect(formatLedgerEntryType('charge')).toBe('Charge')
+  })
+
+  it('should pass through unknown types', () => {
+    expect(formatLedgerEntryType('other')).toBe('other')
+  })
+})
@@ -0,0 +1,231 @@
+import {
+  doc,
+  getDocs,
+  query,
+  where,
+  orderBy,
+  serverTimestamp
+} from 'firebase/firestore'
+import { clubCollection } from '../lib/firebase/clubScope'
+import { MEMBER_STATUSES, CURRENT_MEMBER_STATUSES } from './memberStatusService'
+
+const MEMBER_EVENTS_COLLECTION = 'memberEvents'
+
+/**
+ * Lifecycle event types
+ */
+export const MEMBER_EVENT_TYPES = {
+  JOINED: 'joined',
+  CATEGORY_CHANGE: 'category_change',
+  STATUS_CHANGE: 'status_change',
+  RESIGNED: 'resigned',
+  REJOINED: 'rejoined',
+  DETAILS_CHANGE: 'details_change',
+  MERGED: 'merged'
+}
+
+export const MEMBER_EVENT_LABELS = {
+  [MEMBER_EVENT_TYPES.JOINED]: 'Joined',
+  [MEMBER_EVENT_TYPES.CATEGORY_CHANGE]: 'Category Changed',
+  [MEMBER_EVENT_TYPES.STATUS_CHANGE]: 'Status Changed',
+  [MEMBER_EVENT_TYPES.RESIGNED]: 'Resigned',
+  [MEMBER_EVENT_TYPES.REJOINED]: 'Rejoined',
+  [MEMBER_EVENT_TYPES.DETAILS_CHANGE]: 'Details Updated',
+  [MEMBER_EVENT_TYPES.MERGED]: 'Duplicate Merged'
+}
+
+/**
+ * Member fields whose changes are recorded as a details change, with display labels
+ */
+export const TRACKED_DETAIL_FIELDS = {
+  fullName: 'Name',
+  email: 'Email',
+  phoneMobile: 'Mobile',
+  phoneHome: 'Home phone',
+  phoneWork: 'Work phone',
+  streetAddress: 'Street address',
+  suburb: 'Suburb',
+  state: 'State',
+  postcode: 'Postcode',
+  dateOfBirth: 'Date of birth',
+  golfAustraliaId: 'Golf Australia ID'
+}
+
+const today = () => new Date().toISOString().split('T')[0]
+
+/**
+ * Build a lifecycle event document (without timestamps)
+ * @param {Object} eventData - { memberId, memberName, type, eventDate, description, from, to, changes, reason, source, sourceId }
+ * @param {string} userId - ID of user whose action caused the event
+ * @returns {Object} Event ready to be written
+ */
+export const buildMemberEvent = (eventData, userId) => {
+  const {
+    memberId,
+    memberName,
+    type,
+    eventDate,
+    description,
+    from,
+    to,
+    changes,
+    reason,
+    source,
+    sourceId
+  } = eventData
+
+  if (!Object.values(MEMBER_EVENT_TYPES).includes(type)) {
+    throw new Error(`Invalid member event type: ${type}`)
+  }
+
+  return {
+    memberId,
+    memberName: memberName || '',
+    type,
+    eventDate: eventDate || today(),
+    description: description || '',
+    from: from || '',
+    to: to || '',
+    changes: changes || [],
+    reason: reason || '',
+    source: source || 'manual',
+    sourceId: sourceId || '',
+    createdBy: userId || 'system'
+  }
+}
+
+/**
+ * Queue a lifecycle event write inside an existing Firestore transaction or batch
+ * @param {Object} writer - Firestore Transaction or WriteBatch
+ * @param {Object} eventData - See buildMemberEvent
+ * @param {string} userId - ID of user whose action caused the event
+ * @returns {Object} { id, event } for the queued event
+ */
+export const writeMemberEvent = (writer, eventData, userId) => {
+  const event = buildMemberEvent(eventData, userId)
+  const eventRef = doc(clubCollection(MEMBER_EVENTS_COLLECTION))
+  writer.set(eventRef, {
+    ...event,
+    createdAt: serverTimestamp()
+  })
+  return { id: eventRef.id, event }
+}
+
+/**
+ * Classify a status change - resigning and coming back are called out on the timeline
+ * @param {string} from - Previous status
+ * @param {string} to - New status
+ * @returns {string} Event type
+ */
+export const getStatusEventType = (from, to) => {
+  if (to === MEMBER_STATUSES.RESIGNED) return MEMBER_EVENT_TYPES.RESIGNED
+  if (from && !CURRENT_MEMBER_STATUSES.includes(from) && CURRENT_MEMBER_STATUSES.includes(to)) {
+    return MEMBER_EVENT_TYPES.REJOINED
+  }
+  return MEMBER_EVENT_TYPES.STATUS_CHANGE
+}
+
+/**
+ * Compare tracked detail fields being updated against the current member
+ * Fields not present in the update are left out.
+ * @param {Object} current - Current member data
+ * @param {Object} updates - Fields being written
+ * @returns {Array} [{ field, from, to }]
+ */
+export const getDetailChanges = (current, updates) => {
+  return Object.keys(TRACKED_DETAIL_FIELDS)
+    .filter(field => field in updates && (current[field] || '') !== (updates[field] || ''))
+    .map(field => ({ field, from: current[field] || '', to: updates[field] || '' }))
+}
+
+/**
+ * Lifecycle events caused by updating a member
+ * @param {string} memberId - The member ID
+ * @param {Object} current - Member data before the update
+ * @param {Object} updates - Fields being written
+ * @param {Object} options - { reason } for a status change, { source, sourceId } of the change
+ * @returns {Array} Event data for writeMemberEvent
+ */
+export const getMemberUpdateEvents = (memberId, current, updates, { reason, source, sourceId } = {}) => {
+  const memberName = updates.fullName || current.fullName
+  const events = []
+
+  if (updates.status && updates.status !== current.status) {
+    events.push({
+      memberId,
+      memberName,
+      type: getStatusEventType(current.status, updates.status),
+      from: current.status,
+      to: updates.status,
+      reason
+    })
+  }
+
+  if (updates.membershipCategory && updates.membershipCategory !== current.membershipCategory) {
+    events.push({
+      memberId,
+      memberName,
+      type: MEMBER_EVENT_TYPES.CATEGORY_CHANGE,
+      from: current.membershipCategory,
+      to: updates.membershipCategory
+    })
+  }
+
+  const changes = getDetailChanges(current, updates)
+  if (changes.length > 0) {
+    events.push({
+      memberId,
+      memberName,
+      type: MEMBER_EVENT_TYPES.DETAILS_CHANGE,
+      description: `Updated ${changes.map(change => TRACKED_DETAIL_FIELDS[change.field].toLowerCase()).join(', ')}`,
+      changes
+    })
+  }
+
+  return events.map(event => ({ ...event, source, sourceId }))
+}
+
+// Firestore timestamps, Dates and missing values all sort consistently
+const toMillis = (value) => {
+  if (!value) return 0
+  if (typeof value.toMillis === 'function') return value.toMillis()
+  if (value instanceof Date) return value.getTime()
+  return 0
+}
+
+/**
+ * Sort events newest first (event date, then creation time)
+ * @param {Array} events - Lifecycle events
+ * @returns {Array} New sorted array
+ */
+export const sortMemberEvents = (events) => {
+  return [...(events || [])].sort((a, b) => {
+    const byDate = (b.eventDate || '').localeCompare(a.eventDate || '')
+    if (byDate !== 0) return byDate
+    return toMillis(b.createdAt) - toMillis(a.createdAt)
+  })
+}
+
+/**
+ * Get a member's lifecycle timeline, newest first
+ * @param {string} memberId - The member ID
+ * @returns {Array} Lifecycle events
+ */
+export const getMemberEvents = async (memberId) => {
+  try {
+    const q = query(
+      clubCollection(MEMBER_EVENTS_COLLECTION),
+      where('memberId', '==', memberId),
+      orderBy('eventDate', 'desc')
+    )
+    const snapshot = await getDocs(q)
+    const events = []
+    snapshot.forEach(doc => {
+      events.push({ id: doc.id, ...doc.data() })
+    })
+    return sortMemberEvents(events)
+  } catch (error) {
+    console.error('Error getting member events:', error)
+    throw error
+  }
+}
@@ -0,0 +1,140 @@
+import { describe, it, expect } from 'vitest'
+import {
+  MEMBER_EVENT_TYPES,
+  buildMemberEvent,
+  getStatusEventType,
+  getDetailChanges,
+  getMemberUpdateEvents,
+  sortMemberEvents
+} from './memberEventService'
+
+/**
+ * Member Lifecycle Event Tests
+ *
+ * Which events a member change produces.
+ */
+
+const member = {
+  fullName: 'Jane Smith',
+  email: 'jane@example.com',
+  phoneMobile: '0400 000 000',
+  suburb: 'Tea Tree Gully',
+  membershipCategory: 'junior',
+  status: 'financial'
+}
+
+describe('buildMemberEvent', () => {
+  it('fills defaults', () => {
+    const event = buildMemberEvent({ memberId: 'm1', type: MEMBER_EVENT_TYPES.JOINED }, null)
+    expect(event).toMatchObject({
+      memberId: 'm1',
+      memberName: '',
+      from: '',
+      to: '',
+      changes: [],
+      reason: '',
+      source: 'manual',
+      sourceId: '',
+      createdBy: 'system'
+    })
+    expect(event.eventDate).toMatch(/^\d{4}-\d{2}-\d{2}$/)
+  })
+
+  it('rejects unknown event types', () => {
+    expect(() => buildMemberEvent({ memberId: 'm1', type: 'promoted' }, 'u1')).toThrow('Invalid member event type')
+  })
+})
+
+describe('getStatusEventType', () => {
+  it('calls out resignations', () => {
+    expect(getStatusEventType('financial', 'resigned')).toBe(MEMBER_EVENT_TYPES.RESIGNED)
+  })
+
+  it('calls out former members coming back', () => {
+    expect(getStatusEventType('resigned', 'active')).toBe(MEMBER_EVENT_TYPES.REJOINED)
+    expect(getStatusEventType('inactive', 'financial')).toBe(MEMBER_EVENT_TYPES.REJOINED)
+  })
+
+  it('treats other moves as status changes', () => {
+    expect(getStatusEventType('financial', 'unfinancial')).toBe(MEMBER_EVENT_TYPES.STATUS_CHANGE)
+    expect(getStatusEventType('financial', 'inactive')).toBe(MEMBER_EVENT_TYPES.STATUS_CHANGE)
+    expect(getStatusEventType(undefined, 'active')).toBe(MEMBER_EVENT_TYPES.STATUS_CHANGE)
+  })
+})
+
+describe('getDetailChanges', () => {
+  it('lists changed tracked fields only', () => {
+    const changes = getDetailChanges(member, {
+      email: 'jane.smith@example.com',
+      suburb: 'Tea Tree Gully',
+      phoneHome: '08 8000 0000',
+      accountBalance: 50
+    })
+    expect(changes).toEqual([
+      { field: 'email', from: 'jane@example.com', to: 'jane.smith@example.com' },
+      { field: 'phoneHome', from: '', to: '08 8000 0000' }
+    ])
+  })
+
+  it('ignores fields left out of the update', () => {
+    expect(getDetailChanges(member, { status: 'resigned' })).toEqual([])
+  })
+})
+
+describe('getMemberUpdateEvents', () => {
+  it('returns nothing when nothing tracked changed', () => {
+    expect(getMemberUpdateEvents('m1', member, { ...member })).toEqual([])
+  })
+
+  it('records a category change', () => {
+    const events = getMemberUpdateEvents('m1', member, { ...member, membershipCategory: 'full' })
+    expect(events).toEqual([{
+      memberId: 'm1',
+      memberName: 'Jane Smith',
+      type: MEMBER_EVENT_TYPES.CATEGORY_CHANGE,
+      from: 'junior',
+      to: 'full'
+    }])
+  })
+
+  it('records a resignation with its reason', () => {
+    const events = getMemberUpdateEvents('m1', member, { status: 'resigned' }, { reason: 'Moved interstate' })
+    expect(events).toHaveLength(1)
+    expect(events[0]).toMatchObject({
+      type: MEMBER_EVENT_TYPES.RESIGNED,
+      from: 'financial',
+      to: 'resigned',
+      reason: 'Moved interstate'
+    })
+  })
+
+  it('records status, category and contact changes made together', () => {
+    const events = getMemberUpdateEvents('m1', member, {
+      ...member,
+      fullName: 'Jane Brown',
+      email: 'jane.brown@example.com',
+      membershipCategory: 'full',
+      status: 'unfinancial'
+    })
+    expect(events.map(e => e.type)).toEqual([
+      MEMBER_EVENT_TYPES.STATUS_CHANGE,
+      MEMBER_EVENT_TYPES.CATEGORY_CHANGE,
+      MEMBER_EVENT_TYPES.DETAILS_CHANGE
+    ])
+    expect(events.every(e => e.memberName === 'Jane Brown')).toBe(true)
+    expect(events[2].description).toBe('Updated name, email')
+    expect(events[2].changes).toHaveLength(2)
+  })
+})
+
+describe('sortMemberEvents', () => {
+  it('orders newest first, then by creation time', () => {
+    const at = (ms) => ({ toMillis: () => ms })
+    const events = [
+      { id: 'a', eventDate: '2024-01-10', createdAt: at(1) },
+      { id: 'b', eventDate: '2025-03-01', createdAt: at(2) },
+      { id: 'c', eventDate: '2025-03-01', createdAt: at(3) }
+    ]
+    expect(sortMemberEvents(events).map(e => e.id)).toEqual(['c', 'b', 'a'])
+  })
+})
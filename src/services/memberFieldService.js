@@ -0,0 +1,281 @@
+import {
+  getDoc,
+  getDocs,
+  setDoc,
+  updateDoc,
+  query,
+  orderBy,
+  serverTimestamp
+} from 'firebase/firestore'
+import { clubDoc, clubCollection } from '../lib/firebase/clubScope'
+
+const CUSTOM_FIELDS_COLLECTION = 'customFields'
+
+/**
+ * Custom field types
+ * Values are stored on members.customFields by field key: text, date (YYYY-MM-DD) and select
+ * as strings, number as a number and boolean as true/false.
+ */
+export const CUSTOM_FIELD_TYPES = {
+  TEXT: 'text',
+  NUMBER: 'number',
+  DATE: 'date',
+  SELECT: 'select',
+  BOOLEAN: 'boolean'
+}
+
+export const CUSTOM_FIELD_TYPE_LABELS = {
+  [CUSTOM_FIELD_TYPES.TEXT]: 'Text',
+  [CUSTOM_FIELD_TYPES.NUMBER]: 'Number',
+  [CUSTOM_FIELD_TYPES.DATE]: 'Date',
+  [CUSTOM_FIELD_TYPES.SELECT]: 'Select',
+  [CUSTOM_FIELD_TYPES.BOOLEAN]: 'Yes/No'
+}
+
+const MAX_TEXT_LENGTH = 200
+const MAX_TAG_LENGTH = 50
+
+/**
+ * Tidy a tag as typed - trimmed with single spaces
+ * @param {string} tag - Tag text
+ * @returns {string} Tag to store
+ */
+export const normaliseTag = (tag) => {
+  return (tag || '').trim().replace(/\s+/g, ' ')
+}
+
+/**
+ * Whether a member already has a tag (tags compare without case)
+ * @param {Object} member - Member data
+ * @param {string} tag - Tag to look for
+ * @returns {boolean}
+ */
+export const hasTag = (member, tag) => {
+  const wanted = normaliseTag(tag).toLowerCase()
+  return (member.tags || []).some(existing => existing.toLowerCase() === wanted)
+}
+
+/**
+ * Split comma or semicolon separated tags (CSV import), dropping blanks and repeats
+ * @param {string|Array} tags - 'Pennant; Volunteer' or a list of tags
+ * @returns {Array} Tags to store, in the order given
+ */
+export const parseTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : (tags || '').split(/[,;]/)
+  return list
+    .map(normaliseTag)
+    .filter(Boolean)
+    .map(tag => tag.slice(0, MAX_TAG_LENGTH))
+    .filter((tag, index, all) => all.findIndex(other => other.toLowerCase() === tag.toLowerCase()) === index)
+}
+
+/**
+ * All tags used across members, for filter and suggestion lists
+ * @param {Array} members - Members
+ * @returns {Array} Distinct tags, sorted
+ */
+export const collectTags = (members) => {
+  return parseTags(members.flatMap(member => member.tags || []))
+    .sort((a, b) => a.localeCompare(b))
+}
+
+/**
+ * Build a field key from its label
+ * @param {string} label - Display label (e.g. "Locker Number")
+ * @returns {string} Key (e.g. "locker_number")
+ */
+export const toCustomFieldKey = (label) => {
+  return (label || '')
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 50)
+}
+
+/**
+ * Split select options entered one per line or comma separated
+ * @param {string|Array} options - Options text or list
+ * @returns {Array} Distinct options
+ */
+export const parseSelectOptions = (options) => {
+  const list = Array.isArray(options) ? options : (options || '').split(/[\n,]/)
+  return [...new Set(list.map(option => option.trim()).filter(Boolean))]
+}
+
+/**
+ * Read a value typed into a form or CSV cell as the field's type
+ * Blank is always allowed - it clears the value.
+ * @param {Object} field - Custom field { label, type, options }
+ * @param {*} raw - Value as entered
+ * @returns {Object} { value } (undefined when blank) or { error }
+ */
+export const parseCustomFieldValue = (field, raw) => {
+  if (field.type === CUSTOM_FIELD_TYPES.BOOLEAN) {
+    if (typeof raw === 'boolean') return { value: raw }
+    const text = String(raw ?? '').trim().toLowerCase()
+    if (!text) return { value: undefined }
+    if (['yes', 'y', 'true', '1'].includes(text)) return { value: true }
+    if (['no', 'n', 'false', '0'].includes(text)) return { value: false }
+    return { error: `${field.label} must be yes or no` }
+  }
+
+  const text = String(raw ?? '').trim()
+  if (!text) return { value: undefined }
+
+  switch (field.type) {
+    case CUSTOM_FIELD_TYPES.NUMBER: {
+      const number = Number(text)
+      return Number.isFinite(number) ? { value: number } : { error: `${field.label} must be a number` }
+    }
+    case CUSTOM_FIELD_TYPES.DATE:
+      return /^\d{4}-\d{2}-\d{2}$/.test(text)
+        ? { value: text }
+        : { error: `${field.label} must be a date in YYYY-MM-DD format` }
+    case CUSTOM_FIELD_TYPES.SELECT: {
+      const option = (field.options || []).find(o => o.toLowerCase() === text.toLowerCase())
+      return option ? { value: option } : { error: `${field.label} must be one of: ${(field.options || []).join(', ')}` }
+    }
+    default:
+      return text.length <= MAX_TEXT_LENGTH
+        ? { value: text }
+        : { error: `${field.label} must be ${MAX_TEXT_LENGTH} characters or less` }
+  }
+}
+
+/**
+ * Read a set of entered values, keeping stored values of fields not being entered
+ * (e.g. fields since deactivated)
+ * @param {Array} fields - Custom fields being entered
+ * @param {Object} raw - Entered values by field key
+ * @param {Object} existing - Member's current customFields
+ * @returns {Object} { values, errors } - errors by field key
+ */
+export const parseCustomFieldValues = (fields, raw = {}, existing = {}) => {
+  const values = { ...existing }
+  const errors = {}
+
+  fields.forEach(field => {
+    if (!(field.id in raw)) return
+    const { value, error } = parseCustomFieldValue(field, raw[field.id])
+    if (error) {
+      errors[field.id] = error
+    } else if (value === undefined) {
+      delete values[field.id]
+    } else {
+      values[field.id] = value
+    }
+  })
+
+  return { values, errors }
+}
+
+/**
+ * Show a stored value
+ * @param {Object} field - Custom field
+ * @param {*} value - Stored value
+ * @returns {string} Display text ('' when not set)
+ */
+export const formatCustomFieldValue = (field, value) => {
+  if (value === undefined || value === null || value === '') return ''
+  if (field.type === CUSTOM_FIELD_TYPES.BOOLEAN) return value ? 'Yes' : 'No'
+  return String(value)
+}
+
+/**
+ * Get all custom fields in display order (active and inactive)
+ * @returns {Array} Array of custom field objects
+ */
+export const getCustomFields = async () => {
+  try {
+    const q = query(clubCollection(CUSTOM_FIELDS_COLLECTION), orderBy('order', 'asc'))
+    const querySnapshot = await getDocs(q)
+
+    const fields = []
+    querySnapshot.forEach((doc) => {
+      fields.push({ id: doc.id, ...doc.data() })
+    })
+    return fields
+  } catch (error) {
+    console.error('Error getting custom fields:', error)
+    throw error
+  }
+}
+
+// Normalise and validate field settings before saving
+const buildCustomFieldData = (fieldData) => {
+  const label = (fieldData.label || '').trim()
+  if (!label || label.length > 50) {
+    throw new Error('Label is required and must be 50 characters or less')
+  }
+  if (!Object.values(CUSTOM_FIELD_TYPES).includes(fieldData.type)) {
+    throw new Error(`Invalid field type: ${fieldData.type}`)
+  }
+
+  const options = fieldData.type === CUSTOM_FIELD_TYPES.SELECT ? parseSelectOptions(fieldData.options) : []
+  if (fieldData.type === CUSTOM_FIELD_TYPES.SELECT && options.length === 0) {
+    throw new Error('A select field needs at least one option')
+  }
+
+  return {
+    label,
+    type: fieldData.type,
+    options,
+    active: fieldData.active !== false,
+    order: parseInt(fieldData.order) || 999
+  }
+}
+
+/**
+ * Create a custom field
+ * The key is derived from the label and cannot change once members have values
+ * @param {Object} fieldData - { label, type, options, active, order }
+ * @returns {Object} Created field
+ */
+export const createCustomField = async (fieldData) => {
+  try {
+    const data = buildCustomFieldData(fieldData)
+    const key = toCustomFieldKey(data.label)
+    if (!key) {
+      throw new Error('Label must contain letters or numbers')
+    }
+
+    const docRef = clubDoc(CUSTOM_FIELDS_COLLECTION, key)
+    const existing = await getDoc(docRef)
+    if (existing.exists()) {
+      throw new Error(`A field with key "${key}" already exists`)
+    }
+
+    const newField = {
+      ...data,
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp()
+    }
+    await setDoc(docRef, newField)
+    return { id: key, ...newField }
+  } catch (error) {
+    console.error('Error creating custom field:', error)
+    throw error
+  }
+}
+
+/**
+ * Update a custom field
+ * Fields are deactivated rather than deleted so members keep their values
+ * @param {string} key - Field key
+ * @param {Object} fieldData - Updated settings
+ * @returns {Object} Updated field
+ */
+export const updateCustomField = async (key, fieldData) => {
+  try {
+    const data = buildCustomFieldData(fieldData)
+    await updateDoc(clubDoc(CUSTOM_FIELDS_COLLECTION, key), {
+      ...data,
+      updatedAt: serverTimestamp()
+    })
+    return { id: key, ...data }
+  } catch (error) {
+    console.error('Error updating custom field:', error)
+    throw error
+  }
+}
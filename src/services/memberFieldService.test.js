@@ -0,0 +1,117 @@
+import { describe, it, expect } from 'vitest'
+import {
+  CUSTOM_FIELD_TYPES,
+  normaliseTag,
+  hasTag,
+  parseTags,
+  collectTags,
+  toCustomFieldKey,
+  parseSelectOptions,
+  parseCustomFieldValue,
+  parseCustomFieldValues,
+  formatCustomFieldValue
+} from './memberFieldService'
+
+/**
+ * Member Tag and Custom Field Tests
+ *
+ * Reading and showing tags and custom field values.
+ */
+
+const locker = { id: 'locker_number', label: 'Locker Number', type: CUSTOM_FIELD_TYPES.NUMBER }
+const team = { id: 'pennant_team', label: 'Pennant Team', type: CUSTOM_FIELD_TYPES.SELECT, options: ['Division 1', 'Division 2'] }
+const keyFob = { id: 'key_fob', label: 'Key Fob', type: CUSTOM_FIELD_TYPES.BOOLEAN }
+const medical = { id: 'medical_expiry', label: 'Medical Expiry', type: CUSTOM_FIELD_TYPES.DATE }
+const notes = { id: 'notes', label: 'Notes', type: CUSTOM_FIELD_TYPES.TEXT }
+
+describe('tags', () => {
+  it('tidies spacing', () => {
+    expect(normaliseTag('  Pennant   Team ')).toBe('Pennant Team')
+    expect(normaliseTag(undefined)).toBe('')
+  })
+
+  it('compares tags without case', () => {
+    expect(hasTag({ tags: ['Pennant Team'] }, 'pennant team')).toBe(true)
+    expect(hasTag({}, 'Volunteer')).toBe(false)
+  })
+
+  it('splits comma or semicolon separated tags and drops repeats', () => {
+    expect(parseTags('Pennant; Volunteer, pennant,,')).toEqual(['Pennant', 'Volunteer'])
+    expect(parseTags(['Volunteer', ' volunteer '])).toEqual(['Volunteer'])
+    expect(parseTags('')).toEqual([])
+  })
+
+  it('collects the distinct tags in use', () => {
+    const members = [{ tags: ['Volunteer', 'Pennant'] }, { tags: ['pennant'] }, {}]
+    expect(collectTags(members)).toEqual(['Pennant', 'Volunteer'])
+  })
+})
+
+describe('toCustomFieldKey', () => {
+  it('builds a snake_case key from the label', () => {
+    expect(toCustomFieldKey('Locker Number')).toBe('locker_number')
+    expect(toCustomFieldKey('  Key Fob # ')).toBe('key_fob')
+    expect(toCustomFieldKey('!!!')).toBe('')
+  })
+})
+
+describe('parseSelectOptions', () => {
+  it('accepts one per line or comma separated', () => {
+    expect(parseSelectOptions('Division 1\nDivision 2, Division 1\n')).toEqual(['Division 1', 'Division 2'])
+  })
+})
+
+describe('parseCustomFieldValue', () => {
+  it('allows blanks for every type', () => {
+    expect(parseCustomFieldValue(locker, '')).toEqual({ value: undefined })
+    expect(parseCustomFieldValue(keyFob, '  ')).toEqual({ value: undefined })
+  })
+
+  it('reads numbers', () => {
+    expect(parseCustomFieldValue(locker, ' 42 ')).toEqual({ value: 42 })
+    expect(parseCustomFieldValue(locker, 'twelve').error).toBe('Locker Number must be a number')
+  })
+
+  it('reads yes and no', () => {
+    expect(parseCustomFieldValue(keyFob, 'Yes')).toEqual({ value: true })
+    expect(parseCustomFieldValue(keyFob, '0')).toEqual({ value: false })
+    expect(parseCustomFieldValue(keyFob, true)).toEqual({ value: true })
+    expect(parseCustomFieldValue(keyFob, 'maybe').error).toBe('Key Fob must be yes or no')
+  })
+
+  it('needs dates as YYYY-MM-DD', () => {
+    expect(parseCustomFieldValue(medical, '2027-01-31')).toEqual({ value: '2027-01-31' })
+    expect(parseCustomFieldValue(medical, '31/01/2027').error).toContain('YYYY-MM-DD')
+  })
+
+  it('matches select options without case', () => {
+    expect(parseCustomFieldValue(team, 'division 2')).toEqual({ value: 'Division 2' })
+    expect(parseCustomFieldValue(team, 'Division 3').error).toBe('Pennant Team must be one of: Division 1, Division 2')
+  })
+
+  it('limits text length', () => {
+    expect(parseCustomFieldValue(notes, 'x'.repeat(201)).error).toBe('Notes must be 200 characters or less')
+  })
+})
+
+describe('parseCustomFieldValues', () => {
+  it('keeps values of fields not entered and clears blanks', () => {
+    const existing = { old_field: 'kept', locker_number: 12, key_fob: true }
+    const { values, errors } = parseCustomFieldValues([locker, keyFob], { locker_number: '14', key_fob: '' }, existing)
+    expect(errors).toEqual({})
+    expect(values).toEqual({ old_field: 'kept', locker_number: 14 })
+  })
+
+  it('reports errors by field key', () => {
+    const { errors } = parseCustomFieldValues([locker, team], { locker_number: 'abc', pennant_team: 'Division 1' })
+    expect(errors).toEqual({ locker_number: 'Locker Number must be a number' })
+  })
+})
+
+describe('formatCustomFieldValue', () => {
+  it('shows yes and no, and blank when not set', () => {
+    expect(formatCustomFieldValue(keyFob, false)).toBe('No')
+    expect(formatCustomFieldValue(locker, 7)).toBe('7')
+    expect(formatCustomFieldValue(locker, undefined)).toBe('')
+  })
+})
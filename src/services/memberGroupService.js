@@ -0,0 +1,381 @@
+import {
+  addDoc,
+  getDoc,
+  getDocs,
+  updateDoc,
+  deleteDoc,
+  query,
+  where,
+  orderBy,
+  arrayUnion,
+  arrayRemove,
+  serverTimestamp
+} from 'firebase/firestore'
+import { clubCollection, clubDoc } from '../lib/firebase/clubScope'
+import { roundCurrency } from './ledgerService'
+
+const MEMBER_GROUPS_COLLECTION = 'memberGroups'
+const MEMBERS_COLLECTION = 'members'
+
+/**
+ * Kinds of linked membership - one billing contact receives the statement and pays for everyone
+ */
+export const MEMBER_GROUP_TYPES = {
+  FAMILY: 'family',
+  COUPLE: 'couple',
+  CORPORATE: 'corporate'
+}
+
+export const MEMBER_GROUP_TYPE_LABELS = {
+  [MEMBER_GROUP_TYPES.FAMILY]: 'Family',
+  [MEMBER_GROUP_TYPES.COUPLE]: 'Couple',
+  [MEMBER_GROUP_TYPES.CORPORATE]: 'Corporate'
+}
+
+/**
+ * How a category's group rate changes the annual fee
+ * fixed: members of the group pay the rule's amount instead
+ * percentage: the rule's amount is a percentage off
+ */
+export const GROUP_RATE_TYPES = {
+  FIXED: 'fixed',
+  PERCENTAGE: 'percentage'
+}
+
+/**
+ * A category's pricing rule for a group type, if it has one
+ * @param {Object} category - Membership category with groupRates
+ * @param {string} groupType - Member group type
+ * @returns {Object|null} { groupType, rateType, amount }
+ */
+export const getGroupRate = (category, groupType) => {
+  if (!category || !groupType) return null
+  return (category.groupRates || []).find(rate => rate.groupType === groupType) || null
+}
+
+/**
+ * Annual fee for a member of a category, after any group rate
+ * @param {Object} category - Membership category
+ * @param {number} baseFee - Fee before group pricing (March rate or override)
+ * @param {string} groupType - Member's group type (none for ungrouped members)
+ * @returns {Object} { amount, groupRate }
+ */
+export const applyGroupPricing = (category, baseFee, groupType) => {
+  const groupRate = getGroupRate(category, groupType)
+  if (!groupRate) {
+    return { amount: baseFee, groupRate: null }
+  }
+  const amount = groupRate.rateType === GROUP_RATE_TYPES.PERCENTAGE
+    ? roundCurrency(baseFee * (1 - groupRate.amount / 100))
+    : roundCurrency(groupRate.amount)
+  return { amount: Math.max(0, amount), groupRate }
+}
+
+/**
+ * Look up each member's group
+ * @param {Array} groups - Member groups
+ * @returns {Map} memberId -> group
+ */
+export const buildGroupMemberMap = (groups) => {
+  const map = new Map()
+  groups.forEach(group => {
+    (group.memberIds || []).forEach(memberId => map.set(memberId, group))
+  })
+  return map
+}
+
+/**
+ * Combined position of a group's accounts
+ * @param {Array} members - Members of the group
+ * @returns {Object} { totalOwing, totalCredit, netBalance }
+ */
+export const summariseGroupBalance = (members) => {
+  const balances = members.map(m => m.accountBalance || 0)
+  return {
+    totalOwing: roundCurrency(balances.filter(b => b < 0).reduce((sum, b) => sum - b, 0)),
+    totalCredit: roundCurrency(balances.filter(b => b > 0).reduce((sum, b) => sum + b, 0)),
+    netBalance: roundCurrency(balances.reduce((sum, b) => sum + b, 0))
+  }
+}
+
+/**
+ * Suggest how a group payment is split across members
+ * Each member's outstanding balance is cleared in group order; anything left over is
+ * credited to the billing contact.
+ * @param {Array} members - Members of the group, in group order
+ * @param {number} amount - Payment amount
+ * @param {string} billingContactId - Member who receives any surplus
+ * @returns {Array} [{ memberId, memberName, amount }] for every member (0 when nothing is paid)
+ */
+export const splitGroupPayment = (members, amount, billingContactId) => {
+  let remaining = roundCurrency(amount || 0)
+  const splits = members.map(member => {
+    const owing = Math.max(0, -(member.accountBalance || 0))
+    const share = roundCurrency(Math.min(owing, remaining))
+    remaining = roundCurrency(remaining - share)
+    return { memberId: member.id, memberName: member.fullName, amount: share }
+  })
+
+  if (remaining > 0) {
+    const contact = splits.find(split => split.memberId === billingContactId) || splits[0]
+    if (contact) {
+      contact.amount = roundCurrency(contact.amount + remaining)
+    }
+  }
+
+  return splits
+}
+
+/**
+ * Check a group payment's shares add up to the amount received
+ * @param {Array} splits - [{ memberId, memberName, amount }]
+ * @param {number} amount - Payment amount
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateGroupPaymentSplits = (splits, amount) => {
+  if (splits.some(split => !(split.amount >= 0))) {
+    return 'Each share must be zero or more'
+  }
+  if (!splits.some(split => split.amount > 0)) {
+    return 'Allocate the payment to at least one member'
+  }
+  const total = roundCurrency(splits.reduce((sum, split) => sum + split.amount, 0))
+  if (total !== roundCurrency(amount)) {
+    return `Shares total $${total.toFixed(2)} but the payment is $${roundCurrency(amount).toFixed(2)}`
+  }
+  return null
+}
+
+/**
+ * Validate the fields a group is created or updated with
+ * @param {Object} groupData - { name, type, billingContactId }
+ * @param {Array} memberIds - Members in the group
+ */
+const assertValidGroup = ({ name, type, billingContactId }, memberIds) => {
+  if (!name?.trim()) {
+    throw new Error('Group name is required')
+  }
+  if (!Object.values(MEMBER_GROUP_TYPES).includes(type)) {
+    throw new Error(`Invalid group type: ${type}`)
+  }
+  if (!memberIds.includes(billingContactId)) {
+    throw new Error('The billing contact must be a member of the group')
+  }
+}
+
+/**
+ * Get all member groups
+ * @returns {Array} Groups sorted by name
+ */
+export const getAllMemberGroups = async () => {
+  try {
+    const q = query(clubCollection(MEMBER_GROUPS_COLLECTION), orderBy('name', 'asc'))
+    const snapshot = await getDocs(q)
+    return snapshot.docs.map(groupDoc => ({ id: groupDoc.id, ...groupDoc.data() }))
+  } catch (error) {
+    console.error('Error getting member groups:', error)
+    throw error
+  }
+}
+
+/**
+ * Get a member group by ID
+ * @param {string} groupId - Group ID
+ * @returns {Object} Group
+ */
+export const getMemberGroupById = async (groupId) => {
+  try {
+    const groupDoc = await getDoc(clubDoc(MEMBER_GROUPS_COLLECTION, groupId))
+    if (!groupDoc.exists()) {
+      throw new Error('Member group not found')
+    }
+    return { id: groupDoc.id, ...groupDoc.data() }
+  } catch (error) {
+    console.error('Error getting member group:', error)
+    throw error
+  }
+}
+
+/**
+ * Get the group a member belongs to
+ * @param {string} memberId - Member ID
+ * @returns {Object|null} Group, or null if the member is not linked
+ */
+export const getMemberGroupForMember = async (memberId) => {
+  try {
+    const q = query(
+      clubCollection(MEMBER_GROUPS_COLLECTION),
+      where('memberIds', 'array-contains', memberId)
+    )
+    const snapshot = await getDocs(q)
+    if (snapshot.empty) return null
+    const groupDoc = snapshot.docs[0]
+    return { id: groupDoc.id, ...groupDoc.data() }
+  } catch (error) {
+    console.error('Error getting member group for member:', error)
+    throw error
+  }
+}
+
+/**
+ * Get the member records of a group, in group order
+ * @param {Object} group - Group with memberIds
+ * @returns {Array} Members
+ */
+export const getGroupMembers = async (group) => {
+  try {
+    const memberDocs = await Promise.all(
+      group.memberIds.map(memberId => getDoc(clubDoc(MEMBERS_COLLECTION, memberId)))
+    )
+    return memberDocs
+      .filter(memberDoc => memberDoc.exists())
+      .map(memberDoc => ({ id: memberDoc.id, ...memberDoc.data() }))
+  } catch (error) {
+    console.error('Error getting group members:', error)
+    throw error
+  }
+}
+
+/**
+ * Throw if a member already belongs to a group (a member can only be billed through one)
+ * @param {string} memberId - Member ID
+ */
+const assertNotGrouped = async (memberId) => {
+  const existing = await getMemberGroupForMember(memberId)
+  if (existing) {
+    const memberDoc = await getDoc(clubDoc(MEMBERS_COLLECTION, memberId))
+    const name = memberDoc.data()?.fullName || 'This member'
+    throw new Error(`${name} is already in ${existing.name}`)
+  }
+}
+
+/**
+ * Create a member group
+ * @param {Object} groupData - { name, type, billingContactId, memberIds, notes }
+ * @param {string} userId - ID of user creating the group
+ * @returns {Object} Created group
+ */
+export const createMemberGroup = async (groupData, userId) => {
+  try {
+    const memberIds = [...new Set(groupData.memberIds || [])]
+    assertValidGroup(groupData, memberIds)
+
+    for (const memberId of memberIds) {
+      await assertNotGrouped(memberId)
+    }
+
+    const group = {
+      name: groupData.name.trim(),
+      type: groupData.type,
+      billingContactId: groupData.billingContactId,
+      memberIds,
+      notes: groupData.notes || '',
+      createdBy: userId,
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp()
+    }
+
+    const docRef = await addDoc(clubCollection(MEMBER_GROUPS_COLLECTION), group)
+    return { id: docRef.id, ...group }
+  } catch (error) {
+    console.error('Error creating member group:', error)
+    throw error
+  }
+}
+
+/**
+ * Update a group's name, type, billing contact or notes
+ * @param {string} groupId - Group ID
+ * @param {Object} groupData - { name, type, billingContactId, notes }
+ * @param {string} userId - ID of user updating the group
+ * @returns {Object} Updated fields
+ */
+export const updateMemberGroup = async (groupId, groupData, userId) => {
+  try {
+    const group = await getMemberGroupById(groupId)
+    assertValidGroup(groupData, group.memberIds)
+
+    const updates = {
+      name: groupData.name.trim(),
+      type: groupData.type,
+      billingContactId: groupData.billingContactId,
+      notes: groupData.notes || '',
+      updatedBy: userId,
+      updatedAt: serverTimestamp()
+    }
+
+    await updateDoc(clubDoc(MEMBER_GROUPS_COLLECTION, groupId), updates)
+    return { id: groupId, ...updates }
+  } catch (error) {
+    console.error('Error updating member group:', error)
+    throw error
+  }
+}
+
+/**
+ * Link a member to a group
+ * @param {string} groupId - Group ID
+ * @param {string} memberId - Member ID
+ * @param {string} userId - ID of user linking the member
+ */
+export const addMemberToGroup = async (groupId, memberId, userId) => {
+  try {
+    await assertNotGrouped(memberId)
+    await updateDoc(clubDoc(MEMBER_GROUPS_COLLECTION, groupId), {
+      memberIds: arrayUnion(memberId),
+      updatedBy: userId,
+      updatedAt: serverTimestamp()
+    })
+  } catch (error) {
+    console.error('Error adding member to group:', error)
+    throw error
+  }
+}
+
+/**
+ * Unlink a member from a group
+ * The billing contact can only be removed once another member is nominated.
+ * Removing the last member removes the group.
+ * @param {string} groupId - Group ID
+ * @param {string} memberId - Member ID
+ * @param {string} userId - ID of user unlinking the member
+ * @returns {Object} { groupRemoved }
+ */
+export const removeMemberFromGroup = async (groupId, memberId, userId) => {
+  try {
+    const group = await getMemberGroupById(groupId)
+    const remaining = group.memberIds.filter(id => id !== memberId)
+
+    if (remaining.length === 0) {
+      await deleteDoc(clubDoc(MEMBER_GROUPS_COLLECTION, groupId))
+      return { groupRemoved: true }
+    }
+    if (group.billingContactId === memberId) {
+      throw new Error('Nominate another billing contact before removing this member')
+    }
+
+    await updateDoc(clubDoc(MEMBER_GROUPS_COLLECTION, groupId), {
+      memberIds: arrayRemove(memberId),
+      updatedBy: userId,
+      updatedAt: serverTimestamp()
+    })
+    return { groupRemoved: false }
+  } catch (error) {
+    console.error('Error removing member from group:', error)
+    throw error
+  }
+}
+
+/**
+ * Remove a group - its members are billed individually again
+ * Payments already split across the group keep their memberGroupId.
+ * @param {string} groupId - Group ID
+ */
+export const disbandMemberGroup = async (groupId) => {
+  try {
+    await deleteDoc(clubDoc(MEMBER_GROUPS_COLLECTION, groupId))
+  } catch (error) {
+    console.error('Error disbanding member group:', error)
+    throw error
+  }
+}
@@ -0,0 +1,102 @@
+import { describe, it, expect } from 'vitest'
+import {
+  getGroupRate,
+  applyGroupPricing,
+  buildGroupMemberMap,
+  summariseGroupBalance,
+  splitGroupPayment,
+  validateGroupPaymentSplits
+} from './memberGroupService'
+
+/**
+ * Linked Membership Tests
+ *
+ * Family, couple and corporate pricing and splitting one payment across members.
+ */
+
+const junior = {
+  id: 'junior',
+  name: 'Junior 16-18 years',
+  ageMin: 16,
+  ageMax: 18,
+  annualFee: 180,
+  groupRates: [
+    { groupType: 'family', rateType: 'fixed', amount: 90 },
+    { groupType: 'corporate', rateType: 'percentage', amount: 15 }
+  ]
+}
+
+const family = [
+  { id: 'parent', fullName: 'Pat Smith', accountBalance: -900 },
+  { id: 'kid1', fullName: 'Sam Smith', accountBalance: -90 },
+  { id: 'kid2', fullName: 'Alex Smith', accountBalance: 20 }
+]
+
+describe('getGroupRate', () => {
+  it('finds the rule for a group type', () => {
+    expect(getGroupRate(junior, 'family')).toEqual({ groupType: 'family', rateType: 'fixed', amount: 90 })
+    expect(getGroupRate(junior, 'couple')).toBeNull()
+    expect(getGroupRate(junior, undefined)).toBeNull()
+    expect(getGroupRate(undefined, 'family')).toBeNull()
+  })
+})
+
+describe('applyGroupPricing', () => {
+  it('charges a fixed group fee in place of the base fee', () => {
+    expect(applyGroupPricing(junior, 180, 'family')).toEqual({ amount: 90, groupRate: junior.groupRates[0] })
+  })
+
+  it('takes a percentage off the base fee', () => {
+    expect(applyGroupPricing(junior, 180, 'corporate').amount).toBe(153)
+  })
+
+  it('leaves ungrouped members and groups without a rule at the base fee', () => {
+    expect(applyGroupPricing(junior, 180, undefined)).toEqual({ amount: 180, groupRate: null })
+    expect(applyGroupPricing(junior, 180, 'couple')).toEqual({ amount: 180, groupRate: null })
+  })
+})
+
+describe('buildGroupMemberMap', () => {
+  it('maps each member to their group', () => {
+    const groups = [{ id: 'g1', memberIds: ['a', 'b'] }, { id: 'g2', memberIds: ['c'] }]
+    const map = buildGroupMemberMap(groups)
+    expect(map.get('b').id).toBe('g1')
+    expect(map.get('c').id).toBe('g2')
+    expect(map.has('d')).toBe(false)
+  })
+})
+
+describe('summariseGroupBalance', () => {
+  it('totals owing and credit across members', () => {
+    expect(summariseGroupBalance(family)).toEqual({ totalOwing: 990, totalCredit: 20, netBalance: -970 })
+  })
+})
+
+describe('splitGroupPayment', () => {
+  it('clears balances in group order', () => {
+    expect(splitGroupPayment(family, 950, 'parent').map(s => s.amount)).toEqual([900, 50, 0])
+  })
+
+  it('credits any surplus to the billing contact', () => {
+    expect(splitGroupPayment(family, 1000, 'kid2').map(s => s.amount)).toEqual([900, 90, 10])
+  })
+
+  it('names every member', () => {
+    expect(splitGroupPayment(family, 0, 'parent')[1]).toEqual({ memberId: 'kid1', memberName: 'Sam Smith', amount: 0 })
+  })
+})
+
+describe('validateGroupPaymentSplits', () => {
+  it('accepts shares that add up to the payment', () => {
+    expect(validateGroupPaymentSplits([{ amount: 100.1 }, { amount: 0.2 }], 100.3)).toBeNull()
+  })
+
+  it('rejects shares that do not add up', () => {
+    expect(validateGroupPaymentSplits([{ amount: 100 }], 120)).toBe('Shares total $100.00 but the payment is $120.00')
+  })
+
+  it('rejects empty and negative shares', () => {
+    expect(validateGroupPaymentSplits([{ amount: 0 }], 0)).toBe('Allocate the payment to at least one member')
+    expect(validateGroupPaymentSplits([{ amount: 50 }, { amount: -10 }], 40)).toBe('Each share must be zero or more')
+  })
+})
@@ -0,0 +1,490 @@
+import {
+  getDoc,
+  getDocs,
+  query,
+  where,
+  runTransaction,
+  writeBatch,
+  arrayUnion,
+  serverTimestamp
+} from 'firebase/firestore'
+import { db } from '../firebase'
+import { clubCollection, clubDoc } from '../lib/firebase/clubScope'
+import { roundCurrency, recomputeMemberBalance } from './ledgerService'
+import { MEMBER_STATUSES, buildStatusChange, getStatusUpdate } from './memberStatusService'
+import {
+  writeMemberEvent,
+  getDetailChanges,
+  MEMBER_EVENT_TYPES,
+  TRACKED_DETAIL_FIELDS
+} from './memberEventService'
+import { buildMemberSearchFields } from './searchService'
+import { writePortalProfile, writePortalBalance, removePortalProfile } from './memberPortalService'
+
+const MEMBERS_COLLECTION = 'members'
+const MEMBER_GROUPS_COLLECTION = 'memberGroups'
+const RENEWALS_COLLECTION = 'renewals'
+
+/**
+ * Member Merge
+ *
+ * CSV imports and approved applications sometimes create a second record for someone
+ * who is already a member. The duplicate finder scores pairs of members; merging moves
+ * the retired record's payments, fees, ledger entries, history, instalment plans,
+ * renewals and comments to the surviving record and adds its balance. The retired
+ * record is kept, inactive, with mergedInto pointing at the survivor so old links
+ * (applications, statement lines, portal sign-ins) still find the member.
+ */
+
+// Pairs scoring at or above this are listed as possible duplicates
+export const DUPLICATE_THRESHOLD = 50
+
+// Collections whose records belong to a member by memberId, moved on merge
+const MEMBER_RECORD_COLLECTIONS = [
+  'payments',
+  'fees',
+  'ledgerEntries',
+  'memberEvents',
+  'instalmentPlans',
+  'memberChangeRequests'
+]
+
+// Firestore batch has limit of 500 operations
+const BATCH_SIZE = 500
+
+const NAME_TITLES = new Set(['mr', 'mrs', 'ms', 'miss', 'dr', 'prof', 'rev'])
+
+/**
+ * Normalise a name for comparison - lowercase letters only, titles dropped
+ * @param {string} name - Full name
+ * @returns {string} e.g. 'Dr Mary-Jane O'Brien' -> 'mary jane obrien'
+ */
+export const normaliseName = (name) => {
+  return (name || '')
+    .toLowerCase()
+    .replace(/['’.]/g, '')
+    .replace(/[^a-z]+/g, ' ')
+    .split(' ')
+    .filter(part => part && !NAME_TITLES.has(part))
+    .join(' ')
+}
+
+/**
+ * Normalise a phone number - digits only, +61 written as 0
+ * @param {string} phone - Phone number as entered
+ * @returns {string} e.g. '+61 412 345 678' -> '0412345678'
+ */
+export const normalisePhone = (phone) => {
+  const digits = (phone || '').replace(/\D/g, '')
+  return digits.startsWith('61') && digits.length === 11 ? `0${digits.slice(2)}` : digits
+}
+
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i)
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      )
+    }
+    previous = current
+  }
+  return previous[b.length]
+}
+
+/**
+ * How alike two names are, from 0 to 1
+ * Compares the names as written and with their parts sorted, so 'Smith Jane' matches
+ * 'Jane Smith'. Misspellings cost one edit each ('Smyth' vs 'Smith' is 0.9).
+ * @param {string} a - Full name
+ * @param {string} b - Full name
+ * @returns {number} 1 for the same name
+ */
+export const nameSimilarity = (a, b) => {
+  const nameA = normaliseName(a)
+  const nameB = normaliseName(b)
+  if (!nameA || !nameB) return 0
+
+  const similarity = (x, y) => 1 - editDistance(x, y) / Math.max(x.length, y.length)
+  const sorted = (name) => name.split(' ').sort().join(' ')
+  return Math.max(similarity(nameA, nameB), similarity(sorted(nameA), sorted(nameB)))
+}
+
+const getPhones = (member) => {
+  return new Set(
+    [member.phoneMobile, member.phoneHome, member.phoneWork]
+      .map(normalisePhone)
+      .filter(phone => phone.length >= 8)
+  )
+}
+
+const sameText = (a, b) => {
+  const x = (a || '').trim().toLowerCase()
+  return x !== '' && x === (b || '').trim().toLowerCase()
+}
+
+/**
+ * Score how likely two members are the same person
+ * Golf Australia ID 80 (it belongs to one golfer), email 30, phone 25, date of birth 25;
+ * the same name 50, a near-identical name 35, a similar one 20. A different date of
+ * birth takes off 30.
+ * Families often share an email and phone, so contact details alone (without a
+ * similar name, Golf Australia ID or date of birth) are capped below the threshold.
+ * @param {Object} a - Member
+ * @param {Object} b - Member
+ * @returns {Object} { score (0-100), reasons }
+ */
+export const scoreDuplicate = (a, b) => {
+  let score = 0
+  const reasons = []
+
+  const similarity = nameSimilarity(a.fullName, b.fullName)
+  if (similarity === 1) {
+    score += 50
+    reasons.push('Same name')
+  } else if (similarity >= 0.85) {
+    score += 35
+    reasons.push('Very similar name')
+  } else if (similarity >= 0.75) {
+    score += 20
+    reasons.push('Similar name')
+  }
+
+  const sameGolfAustraliaId = sameText(a.golfAustraliaId, b.golfAustraliaId)
+  if (sameGolfAustraliaId) {
+    score += 80
+    reasons.push('Same Golf Australia ID')
+  }
+  if (sameText(a.email, b.email)) {
+    score += 30
+    reasons.push('Same email')
+  }
+  const phonesB = getPhones(b)
+  if ([...getPhones(a)].some(phone => phonesB.has(phone))) {
+    score += 25
+    reasons.push('Same phone number')
+  }
+
+  const sameDateOfBirth = !!a.dateOfBirth && a.dateOfBirth === b.dateOfBirth
+  if (sameDateOfBirth) {
+    score += 25
+    reasons.push('Same date of birth')
+  } else if (a.dateOfBirth && b.dateOfBirth) {
+    score -= 30
+    reasons.push('Different date of birth')
+  }
+
+  if (similarity < 0.75 && !sameGolfAustraliaId && !sameDateOfBirth) {
+    score = Math.min(score, DUPLICATE_THRESHOLD - 10)
+  }
+
+  return { score: Math.max(0, Math.min(100, score)), reasons }
+}
+
+// Members can only be duplicates if they share at least one of these
+const getBlockingKeys = (member) => {
+  const keys = []
+  if (member.golfAustraliaId?.trim()) keys.push(`ga:${member.golfAustraliaId.trim().toLowerCase()}`)
+  if (member.email?.trim()) keys.push(`email:${member.email.trim().toLowerCase()}`)
+  if (member.dateOfBirth) keys.push(`dob:${member.dateOfBirth}`)
+  getPhones(member).forEach(phone => keys.push(`phone:${phone}`))
+  normaliseName(member.fullName).split(' ')
+    .filter(part => part.length >= 2)
+    .forEach(part => keys.push(`name:${part.slice(0, 3)}`))
+  return keys
+}
+
+/**
+ * Find likely duplicate members
+ * Only members sharing an ID, email, date of birth, phone or the start of a name are
+ * compared. Merged records and pairs marked as not duplicates are left out.
+ * @param {Array} members - All members
+ * @param {Object} options - { threshold }
+ * @returns {Array} [{ a, b, score, reasons }], most likely first
+ */
+export const findDuplicateMembers = (members, { threshold = DUPLICATE_THRESHOLD } = {}) => {
+  const candidates = members.filter(member => !member.mergedInto)
+
+  const blocks = new Map()
+  candidates.forEach(member => {
+    getBlockingKeys(member).forEach(key => {
+      if (!blocks.has(key)) blocks.set(key, [])
+      blocks.get(key).push(member)
+    })
+  })
+
+  const compared = new Set()
+  const pairs = []
+  blocks.forEach(block => {
+    for (let i = 0; i < block.length; i++) {
+      for (let j = i + 1; j < block.length; j++) {
+        const [a, b] = block[i].id < block[j].id ? [block[i], block[j]] : [block[j], block[i]]
+        const pairKey = `${a.id}|${b.id}`
+        if (compared.has(pairKey)) continue
+        compared.add(pairKey)
+
+        if ((a.notDuplicateIds || []).includes(b.id) || (b.notDuplicateIds || []).includes(a.id)) continue
+
+        const { score, reasons } = scoreDuplicate(a, b)
+        if (score >= threshold) {
+          pairs.push({ a, b, score, reasons })
+        }
+      }
+    }
+  })
+
+  return pairs.sort((x, y) => y.score - x.score || x.a.fullName.localeCompare(y.a.fullName))
+}
+
+/**
+ * Member details the merge tool lets you choose between
+ */
+export const MERGE_DETAIL_FIELDS = Object.keys(TRACKED_DETAIL_FIELDS)
+
+/**
+ * The surviving member's details after a merge
+ * Keeps the survivor's details, filling blanks from the retired record, unless a field
+ * is chosen from the retired record. The earlier join date is kept and comments combined.
+ * @param {Object} survivor - Member kept
+ * @param {Object} retired - Member merged into the survivor
+ * @param {Object} choices - { field: 'retired' } for details to take from the retired record
+ * @returns {Object} Updates for the survivor
+ */
+export const buildMergedMember = (survivor, retired, choices = {}) => {
+  const updates = {}
+  MERGE_DETAIL_FIELDS.forEach(field => {
+    const takeRetired = choices[field] === 'retired' || !survivor[field]
+    updates[field] = (takeRetired ? retired[field] : survivor[field]) || survivor[field] || ''
+  })
+
+  const joinDates = [survivor.dateJoined, retired.dateJoined].filter(Boolean).sort()
+  if (joinDates.length > 0) updates.dateJoined = joinDates[0]
+
+  updates.comments = [...(survivor.comments || []), ...(retired.comments || [])]
+    .sort((x, y) => (y.createdAt || '').localeCompare(x.createdAt || ''))
+
+  updates.accountBalance = roundCurrency((survivor.accountBalance || 0) + (retired.accountBalance || 0))
+  return updates
+}
+
+/**
+ * The group membership change a merge needs
+ * @param {Object|null} survivorGroup - Group the survivor is in
+ * @param {Object|null} retiredGroup - Group the retired member is in
+ * @param {string} survivorId - Surviving member ID
+ * @param {string} retiredId - Retired member ID
+ * @returns {Object|null} { groupId, memberIds, billingContactId } or null when nothing changes
+ */
+export const getMergedGroupUpdate = (survivorGroup, retiredGroup, survivorId, retiredId) => {
+  if (!retiredGroup) return null
+  if (survivorGroup && survivorGroup.id !== retiredGroup.id) {
+    throw new Error('These members are in different family or group memberships. Remove one of them first.')
+  }
+
+  const memberIds = [...new Set(retiredGroup.memberIds.map(id => id === retiredId ? survivorId : id))]
+  const billingContactId = retiredGroup.billingContactId === retiredId ? survivorId : retiredGroup.billingContactId
+  return { groupId: retiredGroup.id, memberIds, billingContactId }
+}
+
+/**
+ * The member an unfinished merge moved a duplicate's records to
+ * Records move before the two member records are updated, so a merge that stops part
+ * way leaves some records on the survivor (with mergedFromMemberId) and the duplicate
+ * without mergedInto. Running the same merge again finishes it; merging the duplicate
+ * into anyone else would split its records between two members.
+ * @param {Array} movedRecords - Records with mergedFromMemberId set to the duplicate
+ * @param {string} survivorId - Member the duplicate is being merged into now
+ * @returns {string|null} ID of the other member, or null if nothing went elsewhere
+ */
+export const getUnfinishedMergeTarget = (movedRecords, survivorId) => {
+  const elsewhere = movedRecords.find(record => record.memberId !== survivorId)
+  return elsewhere ? elsewhere.memberId : null
+}
+
+const getMemberRecord = async (memberId) => {
+  const docSnap = await getDoc(clubDoc(MEMBERS_COLLECTION, memberId))
+  if (!docSnap.exists()) {
+    throw new Error('Member not found')
+  }
+  return { id: docSnap.id, ...docSnap.data() }
+}
+
+const getGroupFor = async (memberId) => {
+  const snapshot = await getDocs(
+    query(clubCollection(MEMBER_GROUPS_COLLECTION), where('memberIds', 'array-contains', memberId))
+  )
+  return snapshot.empty ? null : { id: snapshot.docs[0].id, ...snapshot.docs[0].data() }
+}
+
+// Records an earlier attempt at this merge already moved, by collection
+const getMovedRecords = async (retiredId) => {
+  const moved = {}
+  for (const collectionName of [...MEMBER_RECORD_COLLECTIONS, RENEWALS_COLLECTION]) {
+    const snapshot = await getDocs(query(clubCollection(collectionName), where('mergedFromMemberId', '==', retiredId)))
+    moved[collectionName] = snapshot.docs.map(document => document.data())
+  }
+  return moved
+}
+
+// Move the records still on the duplicate to the survivor. Only records with the
+// duplicate's memberId are found, so running it again moves nothing twice.
+const moveMemberRecords = async (survivorId, retiredId, memberName) => {
+  const moves = []
+  const moved = {}
+  for (const collectionName of MEMBER_RECORD_COLLECTIONS) {
+    const snapshot = await getDocs(query(clubCollection(collectionName), where('memberId', '==', retiredId)))
+    snapshot.docs.forEach(document => moves.push(document.ref))
+    moved[collectionName] = snapshot.size
+  }
+
+  const [retiredRenewals, survivorRenewals] = await Promise.all([
+    getDocs(query(clubCollection(RENEWALS_COLLECTION), where('memberId', '==', retiredId))),
+    getDocs(query(clubCollection(RENEWALS_COLLECTION), where('memberId', '==', survivorId)))
+  ])
+  const survivorSeasons = new Set(survivorRenewals.docs.map(document => document.data().seasonId))
+  const renewalMoves = retiredRenewals.docs.filter(document => !survivorSeasons.has(document.data().seasonId))
+  renewalMoves.forEach(document => moves.push(document.ref))
+  moved[RENEWALS_COLLECTION] = renewalMoves.length
+
+  const reassignment = {
+    memberId: survivorId,
+    memberName,
+    mergedFromMemberId: retiredId
+  }
+  for (let i = 0; i < moves.length; i += BATCH_SIZE) {
+    const batch = writeBatch(db)
+    moves.slice(i, i + BATCH_SIZE).forEach(ref => batch.update(ref, reassignment))
+    await batch.commit()
+  }
+  return moved
+}
+
+/**
+ * Merge a duplicate member into the surviving record (ADMIN role)
+ * Records are moved by changing only their memberId and memberName, so amounts and
+ * history stay exactly as they were. Renewals are moved unless the survivor already
+ * has one for that season. The two member records are then updated in a transaction
+ * that re-reads both balances, so payments taken during the merge are not lost. A merge
+ * that stopped part way can be run again to finish it.
+ * @param {string} survivorId - Member to keep
+ * @param {string} retiredId - Duplicate to merge into it
+ * @param {Object} choices - { field: 'retired' } for details to take from the duplicate
+ * @param {string} userId - ID of the user merging
+ * @returns {Object} { moved: { collection: count }, accountBalance }
+ */
+export const mergeMembers = async (survivorId, retiredId, choices = {}, userId) => {
+  try {
+    if (survivorId === retiredId) {
+      throw new Error('Choose two different members to merge')
+    }
+
+    const [survivor, retired] = await Promise.all([getMemberRecord(survivorId), getMemberRecord(retiredId)])
+    if (survivor.mergedInto || retired.mergedInto) {
+      throw new Error('One of these members has already been merged')
+    }
+
+    const alreadyMoved = await getMovedRecords(retiredId)
+    if (getUnfinishedMergeTarget(Object.values(alreadyMoved).flat(), survivorId)) {
+      throw new Error('An earlier merge of this duplicate into another member did not finish. Merge it into that member to finish it.')
+    }
+
+    const memberName = buildMergedMember(survivor, retired, choices).fullName
+    const [survivorGroup, retiredGroup] = await Promise.all([getGroupFor(survivorId), getGroupFor(retiredId)])
+    const groupUpdate = getMergedGroupUpdate(survivorGroup, retiredGroup, survivorId, retiredId)
+
+    const moved = await moveMemberRecords(survivorId, retiredId, memberName)
+
+    // Both member records change together, after everything has moved, from their current balances
+    const survivorRef = clubDoc(MEMBERS_COLLECTION, survivorId)
+    const retiredRef = clubDoc(MEMBERS_COLLECTION, retiredId)
+    const accountBalance = await runTransaction(db, async (transaction) => {
+      const [survivorSnap, retiredSnap] = await Promise.all([transaction.get(survivorRef), transaction.get(retiredRef)])
+      const currentSurvivor = { id: survivorId, ...survivorSnap.data() }
+      const currentRetired = { id: retiredId, ...retiredSnap.data() }
+      if (currentSurvivor.mergedInto || currentRetired.mergedInto) {
+        throw new Error('One of these members has already been merged')
+      }
+
+      const updates = buildMergedMember(currentSurvivor, currentRetired, choices)
+      transaction.update(survivorRef, {
+        ...updates,
+        ...buildMemberSearchFields({ ...currentSurvivor, ...updates }),
+        mergedMemberIds: arrayUnion(retiredId),
+        updatedAt: serverTimestamp()
+      })
+      writePortalProfile(transaction, survivorId, { ...currentSurvivor, ...updates })
+      writePortalBalance(transaction, survivorId, updates.accountBalance)
+
+      const reason = `Merged into ${updates.fullName}`
+      const change = buildStatusChange(currentRetired.status, MEMBER_STATUSES.INACTIVE, reason, userId)
+      transaction.update(retiredRef, {
+        ...(currentRetired.status !== MEMBER_STATUSES.INACTIVE ? getStatusUpdate(currentRetired, change) : {}),
+        accountBalance: 0,
+        comments: [],
+        mergedInto: survivorId,
+        mergedAt: serverTimestamp(),
+        mergedBy: userId,
+        updatedAt: serverTimestamp()
+      })
+      removePortalProfile(transaction, retiredId)
+
+      if (groupUpdate) {
+        transaction.update(clubDoc(MEMBER_GROUPS_COLLECTION, groupUpdate.groupId), {
+          memberIds: groupUpdate.memberIds,
+          billingContactId: groupUpdate.billingContactId,
+          updatedAt: serverTimestamp()
+        })
+      }
+
+      const balanceMoved = roundCurrency(currentRetired.accountBalance || 0)
+      writeMemberEvent(transaction, {
+        memberId: survivorId,
+        memberName: updates.fullName,
+        type: MEMBER_EVENT_TYPES.MERGED,
+        description: `Merged with duplicate record for ${currentRetired.fullName}` +
+          (balanceMoved !== 0 ? ` (balance of $${balanceMoved.toFixed(2)} added)` : ''),
+        changes: getDetailChanges(currentSurvivor, updates),
+        source: 'member_merge',
+        sourceId: retiredId
+      }, userId)
+
+      return updates.accountBalance
+    })
+
+    // Anything recorded against the duplicate while the records were moving (payments to it
+    // are refused once it is merged). Moved ledger entries change the survivor's balance.
+    const lateMoves = await moveMemberRecords(survivorId, retiredId, memberName)
+    let finalBalance = accountBalance
+    if (lateMoves.ledgerEntries > 0) {
+      finalBalance = (await recomputeMemberBalance(survivorId)).accountBalance
+    }
+    Object.keys(moved).forEach(collectionName => {
+      moved[collectionName] += lateMoves[collectionName] + alreadyMoved[collectionName].length
+    })
+
+    return { moved, accountBalance: finalBalance }
+  } catch (error) {
+    console.error('Error merging members:', error)
+    throw error
+  }
+}
+
+/**
+ * Record that two members are different people, so the finder stops listing them
+ * @param {string} memberIdA - Member ID
+ * @param {string} memberIdB - Member ID
+ */
+export const markNotDuplicate = async (memberIdA, memberIdB) => {
+  try {
+    const batch = writeBatch(db)
+    batch.update(clubDoc(MEMBERS_COLLECTION, memberIdA), { notDuplicateIds: arrayUnion(memberIdB) })
+    batch.update(clubDoc(MEMBERS_COLLECTION, memberIdB), { notDuplicateIds: arrayUnion(memberIdA) })
+    await batch.commit()
+  } catch (error) {
+    console.error('Error marking members as not duplicates:', error)
+    throw error
+  }
+}
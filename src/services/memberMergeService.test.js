@@ -0,0 +1,193 @@
+import { describe, it, expect } from 'vitest'
+import {
+  normaliseName,
+  normalisePhone,
+  nameSimilarity,
+  scoreDuplicate,
+  findDuplicateMembers,
+  buildMergedMember,
+  getMergedGroupUpdate,
+  getUnfinishedMergeTarget,
+  DUPLICATE_THRESHOLD
+} from './memberMergeService'
+
+/**
+ * Member Merge Tests
+ *
+ * Duplicate scoring and the merged record.
+ */
+
+const jane = {
+  id: 'm1',
+  fullName: 'Jane Smith',
+  email: 'jane@example.com',
+  phoneMobile: '0412 345 678',
+  dateOfBirth: '1970-01-01',
+  golfAustraliaId: '',
+  dateJoined: '2015-03-01',
+  accountBalance: -120
+}
+
+describe('normaliseName', () => {
+  it('drops titles, punctuation and case', () => {
+    expect(normaliseName("Dr Mary-Jane O'Brien")).toBe('mary jane obrien')
+  })
+})
+
+describe('normalisePhone', () => {
+  it('writes +61 numbers the local way', () => {
+    expect(normalisePhone('+61 412 345 678')).toBe('0412345678')
+    expect(normalisePhone('(03) 6200 0000')).toBe('0362000000')
+  })
+})
+
+describe('nameSimilarity', () => {
+  it('is 1 for the same name written differently', () => {
+    expect(nameSimilarity('Mrs Jane Smith', 'jane  smith')).toBe(1)
+    expect(nameSimilarity('Smith, Jane', 'Jane Smith')).toBe(1)
+  })
+
+  it('allows a misspelling', () => {
+    expect(nameSimilarity('Jane Smith', 'Jane Smyth')).toBeCloseTo(0.9)
+  })
+
+  it('is low for different people', () => {
+    expect(nameSimilarity('Jane Smith', 'Robert Brown')).toBeLessThan(0.5)
+  })
+})
+
+describe('scoreDuplicate', () => {
+  it('scores a misspelt name with the same email as a duplicate', () => {
+    const { score, reasons } = scoreDuplicate(jane, { id: 'm2', fullName: 'Jane Smyth', email: 'JANE@example.com' })
+    expect(score).toBeGreaterThanOrEqual(DUPLICATE_THRESHOLD)
+    expect(reasons).toEqual(['Very similar name', 'Same email'])
+  })
+
+  it('scores the same Golf Australia ID highly whatever the name', () => {
+    const { score } = scoreDuplicate(
+      { ...jane, golfAustraliaId: '1234567890' },
+      { id: 'm2', fullName: 'J Smith', golfAustraliaId: '1234567890' }
+    )
+    expect(score).toBeGreaterThanOrEqual(80)
+  })
+
+  it('does not flag family members sharing an email and phone', () => {
+    const { score } = scoreDuplicate(jane, {
+      id: 'm2',
+      fullName: 'John Smith',
+      email: 'jane@example.com',
+      phoneHome: '+61 412 345 678'
+    })
+    expect(score).toBeLessThan(DUPLICATE_THRESHOLD)
+  })
+
+  it('does not flag people with the same name and different birthdays', () => {
+    const { score, reasons } = scoreDuplicate(jane, { id: 'm2', fullName: 'Jane Smith', dateOfBirth: '1995-06-30' })
+    expect(score).toBeLessThan(DUPLICATE_THRESHOLD)
+    expect(reasons).toContain('Different date of birth')
+  })
+})
+
+describe('findDuplicateMembers', () => {
+  const members = [
+    jane,
+    { id: 'm2', fullName: 'Jane Smyth', email: 'jane@example.com' },
+    { id: 'm3', fullName: 'Robert Brown', email: 'rob@example.com' },
+    { id: 'm4', fullName: 'Bob Brown', email: 'rob@example.com', dateOfBirth: '1960-05-05' },
+    { id: 'm5', fullName: 'Robert Brown', dateOfBirth: '1960-05-05' }
+  ]
+
+  it('lists likely pairs, most likely first', () => {
+    const pairs = findDuplicateMembers(members)
+    expect(pairs.map(pair => `${pair.a.id}-${pair.b.id}`)).toEqual(['m1-m2', 'm3-m5'])
+  })
+
+  it('compares each pair once', () => {
+    const pairs = findDuplicateMembers([jane, { ...jane, id: 'm2' }])
+    expect(pairs).toHaveLength(1)
+  })
+
+  it('leaves out merged records and pairs marked as different people', () => {
+    expect(findDuplicateMembers([jane, { id: 'm2', fullName: 'Jane Smyth', email: 'jane@example.com', mergedInto: 'm1' }]))
+      .toEqual([])
+    expect(findDuplicateMembers([{ ...jane, notDuplicateIds: ['m2'] }, { id: 'm2', fullName: 'Jane Smyth', email: 'jane@example.com' }]))
+      .toEqual([])
+  })
+})
+
+describe('buildMergedMember', () => {
+  const duplicate = {
+    id: 'm2',
+    fullName: 'Jane Smyth',
+    email: 'jane.smith@work.example',
+    phoneHome: '03 6200 0000',
+    dateJoined: '2012-07-01',
+    accountBalance: 50,
+    comments: [{ id: 'c2', text: 'Paid by cheque', createdAt: '2024-02-01T00:00:00.000Z' }]
+  }
+  const survivor = {
+    ...jane,
+    comments: [{ id: 'c1', text: 'Locker 12', createdAt: '2024-05-01T00:00:00.000Z' }]
+  }
+
+  it('keeps the survivor\'s details and fills blanks from the duplicate', () => {
+    const merged = buildMergedMember(survivor, duplicate)
+    expect(merged.fullName).toBe('Jane Smith')
+    expect(merged.email).toBe('jane@example.com')
+    expect(merged.phoneHome).toBe('03 6200 0000')
+  })
+
+  it('takes chosen details from the duplicate', () => {
+    expect(buildMergedMember(survivor, duplicate, { email: 'retired' }).email).toBe('jane.smith@work.example')
+  })
+
+  it('adds the balances and keeps the earlier join date', () => {
+    const merged = buildMergedMember(survivor, duplicate)
+    expect(merged.accountBalance).toBe(-70)
+    expect(merged.dateJoined).toBe('2012-07-01')
+  })
+
+  it('combines comments, newest first', () => {
+    expect(buildMergedMember(survivor, duplicate).comments.map(c => c.id)).toEqual(['c1', 'c2'])
+  })
+})
+
+describe('getMergedGroupUpdate', () => {
+  const family = { id: 'g1', memberIds: ['m2', 'm3'], billingContactId: 'm2' }
+
+  it('puts the survivor in the duplicate\'s place', () => {
+    expect(getMergedGroupUpdate(null, family, 'm1', 'm2'))
+      .toEqual({ groupId: 'g1', memberIds: ['m1', 'm3'], billingContactId: 'm1' })
+  })
+
+  it('removes the duplicate when both are in the same group', () => {
+    const group = { id: 'g1', memberIds: ['m1', 'm2', 'm3'], billingContactId: 'm3' }
+    expect(getMergedGroupUpdate(group, group, 'm1', 'm2'))
+      .toEqual({ groupId: 'g1', memberIds: ['m1', 'm3'], billingContactId: 'm3' })
+  })
+
+  it('has nothing to change when the duplicate is not in a group', () => {
+    expect(getMergedGroupUpdate(family, null, 'm2', 'm9')).toBeNull()
+  })
+
+  it('refuses members in different groups', () => {
+    expect(() => getMergedGroupUpdate({ id: 'g2', memberIds: ['m1'] }, family, 'm1', 'm2'))
+      .toThrow('different family or group memberships')
+  })
+})
+
+describe('getUnfinishedMergeTarget', () => {
+  it('has nothing in the way when no records have moved', () => {
+    expect(getUnfinishedMergeTarget([], 'm1')).toBeNull()
+  })
+
+  it('lets the same merge run again to finish it', () => {
+    const moved = [{ memberId: 'm1', mergedFromMemberId: 'm2' }, { memberId: 'm1', mergedFromMemberId: 'm2' }]
+    expect(getUnfinishedMergeTarget(moved, 'm1')).toBeNull()
+  })
+
+  it('finds records an earlier merge moved to another member', () => {
+    const moved = [{ memberId: 'm1', mergedFromMemberId: 'm2' }, { memberId: 'm3', mergedFromMemberId: 'm2' }]
+    expect(getUnfinishedMergeTarget(moved, 'm1')).toBe('m3')
+  })
+})
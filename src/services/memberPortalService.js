@@ -0,0 +1,196 @@
+import {
+  getDoc,
+  getDocs,
+  setDoc,
+  query,
+  where,
+  writeBatch,
+  serverTimestamp
+} from 'firebase/firestore'
+import { db } from '../firebase'
+import { clubCollection, clubDoc } from '../lib/firebase/clubScope'
+
+const MEMBERS_COLLECTION = 'members'
+const PORTAL_MEMBERS_COLLECTION = 'portalMembers'
+const PORTAL_PROFILES_COLLECTION = 'portalProfiles'
+
+// Firestore batch has limit of 500 operations
+const BATCH_SIZE = 500
+
+/**
+ * Member Portal
+ *
+ * Members sign in with an email link (AuthContext sendPortalSignInLink) and are tied
+ * to their member record by portalMembers/{uid}. Firestore rules only allow the link
+ * when the member record has the signed-in email, and then let the member read their
+ * own portal profile, payments, fees and change requests.
+ *
+ * The portal never reads the member record itself - comments, status history and the
+ * rest stay with the committee. portalProfiles/{memberId} holds the name, contact
+ * details and balance, written alongside the member record by the services that change
+ * them.
+ */
+
+/**
+ * Member details shown in the portal
+ */
+export const PORTAL_PROFILE_FIELDS = [
+  'fullName',
+  'email',
+  'phoneMobile',
+  'phoneHome',
+  'phoneWork',
+  'streetAddress',
+  'suburb',
+  'state',
+  'postcode'
+]
+
+/**
+ * The portal's copy of a member's details
+ * @param {Object} member - Member record
+ * @returns {Object} PORTAL_PROFILE_FIELDS, with the email lowercase
+ */
+export const buildPortalProfile = (member) => {
+  const profile = Object.fromEntries(PORTAL_PROFILE_FIELDS.map(field => [field, member[field] || '']))
+  profile.email = profile.email.toLowerCase()
+  return profile
+}
+
+/**
+ * Write a member's details to their portal profile, in the caller's batch or transaction
+ * The balance is left as it is - see writePortalBalance.
+ * @param {Object} writer - Firestore batch or transaction
+ * @param {string} memberId - The member ID
+ * @param {Object} member - Member record after the change
+ */
+export const writePortalProfile = (writer, memberId, member) => {
+  writer.set(clubDoc(PORTAL_PROFILES_COLLECTION, memberId), {
+    ...buildPortalProfile(member),
+    updatedAt: serverTimestamp()
+  }, { merge: true })
+}
+
+/**
+ * Write a member's new balance to their portal profile, in the same transaction as the member
+ * @param {Object} writer - Firestore batch or transaction
+ * @param {string} memberId - The member ID
+ * @param {number} accountBalance - Balance written to the member record
+ */
+export const writePortalBalance = (writer, memberId, accountBalance) => {
+  writer.set(clubDoc(PORTAL_PROFILES_COLLECTION, memberId), {
+    accountBalance,
+    updatedAt: serverTimestamp()
+  }, { merge: true })
+}
+
+/**
+ * Remove a member's portal profile (merged or deleted records)
+ * @param {Object} writer - Firestore batch or transaction
+ * @param {string} memberId - The member ID
+ */
+export const removePortalProfile = (writer, memberId) => {
+  writer.delete(clubDoc(PORTAL_PROFILES_COLLECTION, memberId))
+}
+
+/**
+ * Write the portal profile of every member (ADMIN role)
+ * Members saved since profiles existed already have one; this brings in the rest, e.g.
+ * after upgrading or importing the data from before clubs.
+ * @returns {Object} { written, removed }
+ */
+export const rebuildPortalProfiles = async () => {
+  try {
+    const snapshot = await getDocs(clubCollection(MEMBERS_COLLECTION))
+    const members = snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }))
+
+    for (let i = 0; i < members.length; i += BATCH_SIZE) {
+      const batch = writeBatch(db)
+      members.slice(i, i + BATCH_SIZE).forEach(member => {
+        if (member.mergedInto) {
+          removePortalProfile(batch, member.id)
+        } else {
+          writePortalProfile(batch, member.id, member)
+          writePortalBalance(batch, member.id, member.accountBalance || 0)
+        }
+      })
+      await batch.commit()
+    }
+
+    const removed = members.filter(member => member.mergedInto).length
+    return { written: members.length - removed, removed }
+  } catch (error) {
+    console.error('Error rebuilding portal profiles:', error)
+    throw error
+  }
+}
+
+/**
+ * Find the portal profiles with the signed-in member's email
+ * Usually one; families sometimes share an email.
+ * @param {string} email - Verified sign-in email
+ * @returns {Array} Portal profiles with their member ID, sorted by name
+ */
+export const getMembersByEmail = async (email) => {
+  try {
+    const snapshot = await getDocs(
+      query(clubCollection(PORTAL_PROFILES_COLLECTION), where('email', '==', (email || '').toLowerCase()))
+    )
+    return snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => a.fullName.localeCompare(b.fullName))
+  } catch (error) {
+    console.error('Error getting members by email:', error)
+    throw error
+  }
+}
+
+/**
+ * Get the portal profile of the member a portal user is tied to
+ * @param {string} memberId - The member ID
+ * @returns {Object|null} Portal profile with its member ID, or null when there is none (e.g. merged)
+ */
+export const getPortalProfile = async (memberId) => {
+  try {
+    const docSnap = await getDoc(clubDoc(PORTAL_PROFILES_COLLECTION, memberId))
+    return docSnap.exists() ? { id: docSnap.id, ...docSnap.data() } : null
+  } catch (error) {
+    console.error('Error getting portal profile:', error)
+    throw error
+  }
+}
+
+/**
+ * Get the member record a portal user is tied to
+ * @param {string} uid - Firebase Auth user ID
+ * @returns {Object|null} { memberId, email, linkedAt } or null when not linked yet
+ */
+export const getPortalLink = async (uid) => {
+  try {
+    const docSnap = await getDoc(clubDoc(PORTAL_MEMBERS_COLLECTION, uid))
+    return docSnap.exists() ? docSnap.data() : null
+  } catch (error) {
+    console.error('Error getting portal link:', error)
+    throw error
+  }
+}
+
+/**
+ * Tie a portal user to a member record with their email
+ * @param {Object} user - { uid, email } of the signed-in member
+ * @param {string} memberId - The member ID
+ * @returns {Object} { memberId, email }
+ */
+export const linkPortalMember = async (user, memberId) => {
+  try {
+    const link = { memberId, email: (user.email || '').toLowerCase() }
+    await setDoc(clubDoc(PORTAL_MEMBERS_COLLECTION, user.uid), {
+      ...link,
+      linkedAt: serverTimestamp()
+    })
+    return link
+  } catch (error) {
+    console.error('Error linking portal member:', error)
+    throw error
+  }
+}
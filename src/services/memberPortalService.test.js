@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest'
+import { buildPortalProfile, PORTAL_PROFILE_FIELDS } from './memberPortalService'
+
+/**
+ * Member Portal Tests
+ *
+ * The portal's copy of a member's details.
+ */
+
+const member = {
+  id: 'm1',
+  fullName: 'Jane Smith',
+  email: 'Jane.Smith@Example.com',
+  phoneMobile: '0412 345 678',
+  streetAddress: '1 Fairway Dr',
+  suburb: 'Tea Tree Gully',
+  state: 'SA',
+  postcode: '5091',
+  accountBalance: -120,
+  comments: [{ id: 'c1', text: 'Slow to pay' }],
+  statusHistory: [{ from: 'active', to: 'suspended' }],
+  notDuplicateIds: ['m2'],
+  dateOfBirth: '1970-01-01'
+}
+
+describe('buildPortalProfile', () => {
+  it('keeps only the name and contact details', () => {
+    const profile = buildPortalProfile(member)
+    expect(Object.keys(profile).sort()).toEqual([...PORTAL_PROFILE_FIELDS].sort())
+    expect(profile).not.toHaveProperty('comments')
+    expect(profile).not.toHaveProperty('statusHistory')
+    expect(profile).not.toHaveProperty('accountBalance')
+  })
+
+  it('lowercases the email to match the sign-in email', () => {
+    expect(buildPortalProfile(member).email).toBe('jane.smith@example.com')
+  })
+
+  it('fills missing details with blanks', () => {
+    expect(buildPortalProfile({ fullName: 'Tom Jones' })).toMatchObject({ email: '', phoneHome: '', postcode: '' })
+  })
+})
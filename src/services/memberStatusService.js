@@ -0,0 +1,373 @@
+import {
+  getDoc,
+  getDocs,
+  setDoc,
+  runTransaction,
+  serverTimestamp
+} from 'firebase/firestore'
+import { db } from '../firebase'
+import { clubCollection, clubDoc } from '../lib/firebase/clubScope'
+import { getActiveInstalmentPlans, summariseInstalmentPlan } from './instalmentService'
+
+const MEMBERS_COLLECTION = 'members'
+const SETTINGS_COLLECTION = 'settings'
+const STATUS_RULES_DOC = 'memberStatusRules'
+
+/**
+ * Member statuses
+ * 'active' and 'inactive' predate financial tracking - 'active' members are current
+ * but not yet reviewed, and 'inactive' members are lapsed.
+ */
+export const MEMBER_STATUSES = {
+  ACTIVE: 'active',
+  FINANCIAL: 'financial',
+  UNFINANCIAL: 'unfinancial',
+  SUSPENDED: 'suspended',
+  LIFE: 'life',
+  INACTIVE: 'inactive',
+  RESIGNED: 'resigned',
+  DECEASED: 'deceased'
+}
+
+export const MEMBER_STATUS_LABELS = {
+  [MEMBER_STATUSES.ACTIVE]: 'Active',
+  [MEMBER_STATUSES.FINANCIAL]: 'Financial',
+  [MEMBER_STATUSES.UNFINANCIAL]: 'Unfinancial',
+  [MEMBER_STATUSES.SUSPENDED]: 'Suspended',
+  [MEMBER_STATUSES.LIFE]: 'Life Member',
+  [MEMBER_STATUSES.INACTIVE]: 'Inactive',
+  [MEMBER_STATUSES.RESIGNED]: 'Resigned',
+  [MEMBER_STATUSES.DECEASED]: 'Deceased'
+}
+
+/**
+ * Statuses of people who are still members of the club
+ */
+export const CURRENT_MEMBER_STATUSES = [
+  MEMBER_STATUSES.ACTIVE,
+  MEMBER_STATUSES.FINANCIAL,
+  MEMBER_STATUSES.UNFINANCIAL,
+  MEMBER_STATUSES.SUSPENDED,
+  MEMBER_STATUSES.LIFE
+]
+
+// Statuses only ever set by hand - the rule engine leaves these members alone
+const MANUAL_STATUSES = [
+  MEMBER_STATUSES.LIFE,
+  MEMBER_STATUSES.INACTIVE,
+  MEMBER_STATUSES.RESIGNED,
+  MEMBER_STATUSES.DECEASED
+]
+
+/**
+ * Default rule dates (month-day, applied to the current year)
+ */
+export const DEFAULT_STATUS_RULES = {
+  feesDueDate: '03-31',
+  suspensionDate: '06-30'
+}
+
+const today = () => new Date().toISOString().split('T')[0]
+
+/**
+ * Whether a member is still a member of the club (counted, charged, reminded)
+ * @param {Object} member - Member with status
+ * @returns {boolean}
+ */
+export const isCurrentMember = (member) => {
+  return CURRENT_MEMBER_STATUSES.includes(member.status)
+}
+
+/**
+ * Whether a member pays annual subscriptions (life members do not)
+ * @param {Object} member - Member with status
+ * @returns {boolean}
+ */
+export const isFeePayingMember = (member) => {
+  return isCurrentMember(member) && member.status !== MEMBER_STATUSES.LIFE
+}
+
+/**
+ * Whether a member may play (suspended members lose playing rights)
+ * @param {Object} member - Member with status
+ * @returns {boolean}
+ */
+export const hasPlayingRights = (member) => {
+  return isCurrentMember(member) && member.status !== MEMBER_STATUSES.SUSPENDED
+}
+
+/**
+ * Display label for a status
+ * @param {string} status - Status value
+ * @returns {string}
+ */
+export const formatMemberStatus = (status) => {
+  return MEMBER_STATUS_LABELS[status] || status || '-'
+}
+
+/**
+ * Rule dates for a year
+ * @param {Object} rules - { feesDueDate, suspensionDate } as MM-DD
+ * @param {number} year - Calendar year
+ * @returns {Object} { dueDate, suspensionDate } as ISO dates
+ */
+export const getStatusRuleDates = (rules, year) => {
+  return {
+    dueDate: `${year}-${rules.feesDueDate}`,
+    suspensionDate: `${year}-${rules.suspensionDate}`
+  }
+}
+
+/**
+ * Work out the status a member should have
+ * Members who owe money once fees are due become unfinancial, and are suspended once the
+ * suspension date passes, until they pay. Members paying by instalments only owe their overdue instalments.
+ * @param {Object} member - Member with status and accountBalance
+ * @param {Object} rules - { feesDueDate, suspensionDate } as MM-DD
+ * @param {string} asOf - ISO date
+ * @param {Map} instalmentOverdue - memberId -> overdue instalment amount, for members on a plan
+ * @returns {Object|null} { status, reason }, or null when no change is needed
+ */
+export const evaluateMemberStatus = (member, rules, asOf = today(), instalmentOverdue = new Map()) => {
+  if (MANUAL_STATUSES.includes(member.status)) return null
+
+  const { dueDate, suspensionDate } = getStatusRuleDates(rules, parseInt(asOf.slice(0, 4)))
+  const onPlan = instalmentOverdue.has(member.id)
+  const owing = onPlan
+    ? instalmentOverdue.get(member.id)
+    : Math.max(0, -(member.accountBalance || 0))
+
+  // Only paying up lifts a suspension
+  if (member.status === MEMBER_STATUSES.SUSPENDED && owing > 0) return null
+
+  let proposed = null
+  if (owing <= 0) {
+    proposed = {
+      status: MEMBER_STATUSES.FINANCIAL,
+      reason: onPlan ? 'Instalment plan is up to date' : 'Account is paid up'
+    }
+  } else if (asOf > suspensionDate) {
+    proposed = {
+      status: MEMBER_STATUSES.SUSPENDED,
+      reason: `Unfinancial after ${suspensionDate} - owes $${owing.toFixed(2)}`
+    }
+  } else if (asOf > dueDate) {
+    proposed = {
+      status: MEMBER_STATUSES.UNFINANCIAL,
+      reason: `Owes $${owing.toFixed(2)} after fees were due on ${dueDate}`
+    }
+  }
+
+  return proposed && proposed.status !== member.status ? proposed : null
+}
+
+/**
+ * Propose status transitions for every member the rules would change
+ * @param {Array} members - All members
+ * @param {Object} rules - { feesDueDate, suspensionDate }
+ * @param {string} asOf - ISO date
+ * @param {Map} instalmentOverdue - memberId -> overdue instalment amount
+ * @returns {Array} [{ memberId, memberName, accountBalance, from, to, reason }] sorted by name
+ */
+export const proposeStatusTransitions = (members, rules, asOf = today(), instalmentOverdue = new Map()) => {
+  return members
+    .map(member => {
+      const proposed = evaluateMemberStatus(member, rules, asOf, instalmentOverdue)
+      return proposed && {
+        memberId: member.id,
+        memberName: member.fullName,
+        accountBalance: member.accountBalance || 0,
+        from: member.status,
+        to: proposed.status,
+        reason: proposed.reason
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.memberName.localeCompare(b.memberName))
+}
+
+/**
+ * Build a status history entry
+ * @param {string} from - Previous status
+ * @param {string} to - New status
+ * @param {string} reason - Why the status changed
+ * @param {string} userId - Who made the change
+ * @param {string} source - 'rule' (status review) or 'manual'
+ * @returns {Object} History entry
+ */
+export const buildStatusChange = (from, to, reason, userId, source = 'manual') => {
+  return {
+    from: from || null,
+    to,
+    date: today(),
+    reason: reason || '',
+    changedBy: userId || null,
+    source
+  }
+}
+
+/**
+ * Member fields to write for a status change (history is appended, never rewritten)
+ * @param {Object} member - Member data (with any existing statusHistory)
+ * @param {Object} change - Entry from buildStatusChange
+ * @returns {Object} Fields for updateDoc / transaction.update
+ */
+export const getStatusUpdate = (member, change) => {
+  return {
+    status: change.to,
+    statusChangedDate: change.date,
+    statusReason: change.reason,
+    statusHistory: [...(member.statusHistory || []), change]
+  }
+}
+
+/**
+ * Get the status rule dates, or the defaults if the club has not set them
+ * @returns {Object} { feesDueDate, suspensionDate }
+ */
+export const getStatusRules = async () => {
+  try {
+    const rulesDoc = await getDoc(clubDoc(SETTINGS_COLLECTION, STATUS_RULES_DOC))
+    return rulesDoc.exists()
+      ? { ...DEFAULT_STATUS_RULES, ...rulesDoc.data() }
+      : DEFAULT_STATUS_RULES
+  } catch (error) {
+    console.error('Error getting status rules:', error)
+    throw error
+  }
+}
+
+/**
+ * Save the status rule dates
+ * @param {Object} rules - { feesDueDate, suspensionDate } as MM-DD
+ * @param {string} userId - ID of user saving the rules
+ * @returns {Object} Saved rules
+ */
+export const saveStatusRules = async (rules, userId) => {
+  try {
+    const monthDay = /^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/
+    if (!monthDay.test(rules.feesDueDate) || !monthDay.test(rules.suspensionDate)) {
+      throw new Error('Dates must be in MM-DD format')
+    }
+    if (rules.suspensionDate <= rules.feesDueDate) {
+      throw new Error('Suspension date must be after the fees due date')
+    }
+
+    const data = {
+      feesDueDate: rules.feesDueDate,
+      suspensionDate: rules.suspensionDate,
+      updatedBy: userId,
+      updatedAt: serverTimestamp()
+    }
+    await setDoc(clubDoc(SETTINGS_COLLECTION, STATUS_RULES_DOC), data)
+    return data
+  } catch (error) {
+    console.error('Error saving status rules:', error)
+    throw error
+  }
+}
+
+/**
+ * Evaluate every member against the status rules
+ * @returns {Object} { rules, asOf, dueDate, suspensionDate, transitions }
+ */
+export const getStatusProposals = async () => {
+  try {
+    const [rules, membersSnap, plans] = await Promise.all([
+      getStatusRules(),
+      getDocs(clubCollection(MEMBERS_COLLECTION)),
+      getActiveInstalmentPlans()
+    ])
+
+    const asOf = today()
+    const members = membersSnap.docs.map(memberDoc => ({ id: memberDoc.id, ...memberDoc.data() }))
+
+    const instalmentOverdue = new Map()
+    plans.forEach(plan => {
+      const { overdueAmount } = summariseInstalmentPlan(plan, asOf)
+      instalmentOverdue.set(plan.memberId, (instalmentOverdue.get(plan.memberId) || 0) + overdueAmount)
+    })
+
+    return {
+      rules,
+      asOf,
+      ...getStatusRuleDates(rules, parseInt(asOf.slice(0, 4))),
+      transitions: proposeStatusTransitions(members, rules, asOf, instalmentOverdue)
+    }
+  } catch (error) {
+    console.error('Error evaluating member statuses:', error)
+    throw error
+  }
+}
+
+/**
+ * Apply reviewed status transitions
+ * A transition is skipped if the member's status changed after the review was loaded.
+ * @param {Array} transitions - [{ memberId, memberName, from, to, reason }]
+ * @param {string} userId - ID of user applying the transitions
+ * @returns {Object} Results with success/skipped/failed counts and details
+ */
+export const applyStatusTransitions = async (transitions, userId) => {
+  try {
+    // Imported here as memberEventService depends on this module
+    const { writeMemberEvent, MEMBER_EVENT_TYPES } = await import('./memberEventService')
+
+    const results = {
+      successful: 0,
+      skipped: 0,
+      failed: 0,
+      details: []
+    }
+
+    for (const transition of transitions) {
+      try {
+        const applied = await runTransaction(db, async (transaction) => {
+          const memberRef = clubDoc(MEMBERS_COLLECTION, transition.memberId)
+          const memberDoc = await transaction.get(memberRef)
+
+          if (!memberDoc.exists()) {
+            throw new Error('Member not found')
+          }
+
+          const member = memberDoc.data()
+          if (member.status !== transition.from) {
+            return false
+          }
+
+          const change = buildStatusChange(transition.from, transition.to, transition.reason, userId, 'rule')
+          transaction.update(memberRef, {
+            ...getStatusUpdate(member, change),
+            updatedAt: serverTimestamp()
+          })
+          // Rules only move members between current statuses
+          writeMemberEvent(transaction, {
+            memberId: transition.memberId,
+            memberName: member.fullName,
+            type: MEMBER_EVENT_TYPES.STATUS_CHANGE,
+            from: transition.from,
+            to: transition.to,
+            reason: transition.reason,
+            source: 'status_review'
+          }, userId)
+          return true
+        })
+
+        if (applied) {
+          results.successful++
+          results.details.push({ ...transition, status: 'success' })
+        } else {
+          results.skipped++
+          results.details.push({ ...transition, status: 'skipped', error: 'Status changed since the review' })
+        }
+      } catch (error) {
+        results.failed++
+        results.details.push({ ...transition, status: 'failed', error: error.message })
+      }
+    }
+
+    return results
+  } catch (error) {
+    console.error('Error applying status transitions:', error)
+    throw error
+  }
+}
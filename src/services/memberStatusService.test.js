@@ -0,0 +1,156 @@
+import { describe, it, expect } from 'vitest'
+import {
+  MEMBER_STATUSES,
+  DEFAULT_STATUS_RULES,
+  isCurrentMember,
+  isFeePayingMember,
+  hasPlayingRights,
+  formatMemberStatus,
+  getStatusRuleDates,
+  evaluateMemberStatus,
+  proposeStatusTransitions,
+  buildStatusChange,
+  getStatusUpdate
+} from './memberStatusService'
+
+/**
+ * Member Status Tests
+ *
+ * Status predicates and the rule engine behind Members > Status Review.
+ */
+
+const rules = DEFAULT_STATUS_RULES // due 03-31, suspend after 06-30
+
+const makeMember = (overrides = {}) => ({
+  id: 'm1',
+  fullName: 'Jane Smith',
+  status: MEMBER_STATUSES.ACTIVE,
+  accountBalance: 0,
+  ...overrides
+})
+
+describe('status predicates', () => {
+  it('counts current statuses as members', () => {
+    ['active', 'financial', 'unfinancial', 'suspended', 'life'].forEach(status => {
+      expect(isCurrentMember({ status })).toBe(true)
+    })
+    ;['inactive', 'resigned', 'deceased'].forEach(status => {
+      expect(isCurrentMember({ status })).toBe(false)
+    })
+  })
+
+  it('does not charge life members', () => {
+    expect(isFeePayingMember({ status: 'life' })).toBe(false)
+    expect(isFeePayingMember({ status: 'unfinancial' })).toBe(true)
+    expect(isFeePayingMember({ status: 'resigned' })).toBe(false)
+  })
+
+  it('removes playing rights from suspended members', () => {
+    expect(hasPlayingRights({ status: 'suspended' })).toBe(false)
+    expect(hasPlayingRights({ status: 'unfinancial' })).toBe(true)
+    expect(hasPlayingRights({ status: 'deceased' })).toBe(false)
+  })
+
+  it('formats status labels', () => {
+    expect(formatMemberStatus('life')).toBe('Life Member')
+    expect(formatMemberStatus('unknown')).toBe('unknown')
+    expect(formatMemberStatus(undefined)).toBe('-')
+  })
+})
+
+describe('getStatusRuleDates', () => {
+  it('applies month-day rules to the year', () => {
+    expect(getStatusRuleDates(rules, 2025)).toEqual({
+      dueDate: '2025-03-31',
+      suspensionDate: '2025-06-30'
+    })
+  })
+})
+
+describe('evaluateMemberStatus', () => {
+  it('proposes financial for a paid-up member', () => {
+    const result = evaluateMemberStatus(makeMember({ accountBalance: 10 }), rules, '2025-02-01')
+    expect(result).toEqual({ status: 'financial', reason: 'Account is paid up' })
+  })
+
+  it('leaves an owing member alone before fees are due', () => {
+    expect(evaluateMemberStatus(makeMember({ accountBalance: -200 }), rules, '2025-03-31')).toBeNull()
+  })
+
+  it('proposes unfinancial after the due date', () => {
+    const result = evaluateMemberStatus(makeMember({ accountBalance: -200 }), rules, '2025-04-01')
+    expect(result.status).toBe('unfinancial')
+    expect(result.reason).toContain('$200.00')
+  })
+
+  it('proposes suspended after the suspension date', () => {
+    const member = makeMember({ status: 'unfinancial', accountBalance: -200 })
+    expect(evaluateMemberStatus(member, rules, '2025-07-01').status).toBe('suspended')
+  })
+
+  it('keeps a suspended member suspended until they pay', () => {
+    const member = makeMember({ status: 'suspended', accountBalance: -50 })
+    expect(evaluateMemberStatus(member, rules, '2026-04-15')).toBeNull()
+    expect(evaluateMemberStatus({ ...member, accountBalance: 0 }, rules, '2026-04-15').status).toBe('financial')
+  })
+
+  it('never changes manually set statuses', () => {
+    ['life', 'inactive', 'resigned', 'deceased'].forEach(status => {
+      expect(evaluateMemberStatus(makeMember({ status, accountBalance: -500 }), rules, '2025-08-01')).toBeNull()
+    })
+  })
+
+  it('returns null when the member already has the proposed status', () => {
+    const member = makeMember({ status: 'financial', accountBalance: 0 })
+    expect(evaluateMemberStatus(member, rules, '2025-08-01')).toBeNull()
+  })
+
+  it('only counts overdue instalments for members on a plan', () => {
+    const member = makeMember({ accountBalance: -600 })
+    const upToDate = evaluateMemberStatus(member, rules, '2025-08-01', new Map([['m1', 0]]))
+    expect(upToDate).toEqual({ status: 'financial', reason: 'Instalment plan is up to date' })
+
+    const behind = evaluateMemberStatus(member, rules, '2025-08-01', new Map([['m1', 150]]))
+    expect(behind.status).toBe('suspended')
+    expect(behind.reason).toContain('$150.00')
+  })
+})
+
+describe('proposeStatusTransitions', () => {
+  it('lists only members whose status would change, sorted by name', () => {
+    const members = [
+      makeMember({ id: 'a', fullName: 'Zoe Owing', accountBalance: -100 }),
+      makeMember({ id: 'b', fullName: 'Adam Paid', status: 'financial' }),
+      makeMember({ id: 'c', fullName: 'Bea Life', status: 'life', accountBalance: -100 }),
+      makeMember({ id: 'd', fullName: 'Carl Paid', status: 'unfinancial', accountBalance: 5 })
+    ]
+
+    const transitions = proposeStatusTransitions(members, rules, '2025-05-01')
+    expect(transitions.map(t => t.memberId)).toEqual(['d', 'a'])
+    expect(transitions[0]).toMatchObject({ from: 'unfinancial', to: 'financial', accountBalance: 5 })
+    expect(transitions[1]).toMatchObject({ from: 'active', to: 'unfinancial', memberName: 'Zoe Owing' })
+  })
+})
+
+describe('status history', () => {
+  it('appends the change and records the reason', () => {
+    const change = buildStatusChange('unfinancial', 'resigned', 'Moved interstate', 'u1')
+    expect(change).toMatchObject({ from: 'unfinancial', to: 'resigned', reason: 'Moved interstate', changedBy: 'u1', source: 'manual' })
+    expect(change.date).toMatch(/^\d{4}-\d{2}-\d{2}$/)
+
+    const earlier = { from: 'active', to: 'unfinancial', date: '2025-04-01', reason: 'Owes', changedBy: 'u2', source: 'rule' }
+    const update = getStatusUpdate({ statusHistory: [earlier] }, change)
+    expect(update).toEqual({
+      status: 'resigned',
+      statusChangedDate: change.date,
+      statusReason: 'Moved interstate',
+      statusHistory: [earlier, change]
+    })
+  })
+
+  it('starts a history for members without one', () => {
+    const change = buildStatusChange(undefined, 'financial', '', null, 'rule')
+    expect(change).toMatchObject({ from: null, changedBy: null, source: 'rule' })
+    expect(getStatusUpdate({}, change).statusHistory).toEqual([change])
+  })
+})
@@ -0,0 +1,273 @@
+import {
+  doc,
+  getDocs,
+  setDoc,
+  deleteDoc,
+  query,
+  where,
+  serverTimestamp
+} from 'firebase/firestore'
+import { clubCollection, clubDoc } from '../lib/firebase/clubScope'
+import { isCurrentMember, CURRENT_MEMBER_STATUSES } from './memberStatusService'
+import { hasTag, formatCustomFieldValue, CUSTOM_FIELD_TYPES } from './memberFieldService'
+import { parseSearchTerm, MIN_SEARCH_LENGTH } from './searchService'
+
+const MEMBER_VIEWS_COLLECTION = 'memberViews'
+
+/**
+ * Members list filters, as held in the page URL and in saved views
+ */
+export const DEFAULT_MEMBER_FILTERS = {
+  search: '',
+  status: 'all',
+  category: 'all',
+  balance: 'all',
+  tag: 'all',
+  field: '',        // Custom field key
+  fieldValue: '',   // Blank = any value set
+  sort: 'fullName',
+  direction: 'asc'
+}
+
+// Short URL parameter names, so shared links stay readable
+const FILTER_PARAMS = {
+  search: 'q',
+  status: 'status',
+  category: 'category',
+  balance: 'balance',
+  tag: 'tag',
+  field: 'field',
+  fieldValue: 'value',
+  sort: 'sort',
+  direction: 'dir'
+}
+
+/**
+ * Read filters from the members page URL
+ * @param {URLSearchParams} searchParams - Page URL parameters
+ * @returns {Object} Filters, with defaults for anything not in the URL
+ */
+export const filtersFromSearchParams = (searchParams) => {
+  const filters = { ...DEFAULT_MEMBER_FILTERS }
+  Object.entries(FILTER_PARAMS).forEach(([key, param]) => {
+    const value = searchParams.get(param)
+    if (value !== null) filters[key] = value
+  })
+  return filters
+}
+
+/**
+ * Write filters as URL parameters, leaving out defaults
+ * @param {Object} filters - Members list filters
+ * @returns {URLSearchParams}
+ */
+export const filtersToSearchParams = (filters) => {
+  const searchParams = new URLSearchParams()
+  Object.entries(FILTER_PARAMS).forEach(([key, param]) => {
+    const value = filters[key]
+    if (value !== undefined && value !== '' && value !== DEFAULT_MEMBER_FILTERS[key]) {
+      searchParams.set(param, value)
+    }
+  })
+  return searchParams
+}
+
+/**
+ * Whether any filter narrows the list (sorting does not count)
+ * @param {Object} filters - Members list filters
+ * @returns {boolean}
+ */
+export const hasActiveFilters = (filters) => {
+  return ['search', 'status', 'category', 'balance', 'tag', 'field']
+    .some(key => filters[key] !== DEFAULT_MEMBER_FILTERS[key])
+}
+
+/**
+ * Split the members list filters between Firestore and the loaded pages
+ * Firestore runs a search, or else the status or category filter in name order;
+ * with neither it can sort by any column. Everything else (including tags, which
+ * match without case) is applied with filterMembers to the members loaded so far.
+ * @param {Object} filters - Members list filters
+ * @returns {Object} { search, condition: [field, op, value] | null, sort, direction, clientFilters }
+ */
+export const getMemberListQuery = (filters) => {
+  const { sort, direction } = filters
+  const search = (filters.search || '').trim()
+
+  // Search results come a page at a time from the search index and are sorted once loaded
+  if (parseSearchTerm(search).join('').length >= MIN_SEARCH_LENGTH) {
+    return { search, condition: null, sort, direction, clientFilters: { ...filters, search: '' } }
+  }
+
+  let condition = null
+  let applied = null
+  if (filters.status === 'current') {
+    condition = ['status', 'in', CURRENT_MEMBER_STATUSES]
+    applied = 'status'
+  } else if (filters.status !== 'all') {
+    condition = ['status', '==', filters.status]
+    applied = 'status'
+  } else if (filters.category !== 'all') {
+    condition = ['membershipCategory', '==', filters.category]
+    applied = 'category'
+  }
+
+  return {
+    search: '',
+    condition,
+    sort: condition ? 'fullName' : sort,
+    direction,
+    clientFilters: applied ? { ...filters, [applied]: DEFAULT_MEMBER_FILTERS[applied] } : filters
+  }
+}
+
+// A custom field filter value matches text partly, and other types exactly
+const matchesFieldValue = (field, value, wanted) => {
+  const shown = formatCustomFieldValue(field, value).toLowerCase()
+  if (!shown) return false
+  if (!wanted) return true
+  const target = wanted.trim().toLowerCase()
+  return field.type === CUSTOM_FIELD_TYPES.TEXT ? shown.includes(target) : shown === target
+}
+
+/**
+ * Apply the members list filters
+ * The search also looks in tags and custom field values.
+ * @param {Array} members - Members
+ * @param {Object} filters - Members list filters
+ * @param {Array} customFields - Custom field definitions
+ * @returns {Array} Matching members
+ */
+export const filterMembers = (members, filters, customFields = []) => {
+  const searchLower = (filters.search || '').trim().toLowerCase()
+  const field = filters.field ? customFields.find(f => f.id === filters.field) : null
+
+  return members.filter(member => {
+    if (searchLower) {
+      const searchable = [
+        member.fullName,
+        member.email,
+        member.golfAustraliaId,
+        ...(member.tags || []),
+        ...customFields.map(f => formatCustomFieldValue(f, member.customFields?.[f.id]))
+      ]
+      if (!searchable.some(value => value?.toLowerCase().includes(searchLower))) return false
+    }
+
+    if (filters.status === 'current') {
+      if (!isCurrentMember(member)) return false
+    } else if (filters.status !== 'all' && member.status !== filters.status) {
+      return false
+    }
+
+    if (filters.category !== 'all' && member.membershipCategory !== filters.category) return false
+
+    const balance = member.accountBalance || 0
+    if (filters.balance === 'positive' && !(balance > 0)) return false
+    if (filters.balance === 'negative' && !(balance < 0)) return false
+    if (filters.balance === 'zero' && balance !== 0) return false
+
+    if (filters.tag !== 'all' && !hasTag(member, filters.tag)) return false
+
+    if (field && !matchesFieldValue(field, member.customFields?.[field.id], filters.fieldValue)) return false
+
+    return true
+  })
+}
+
+/**
+ * Sort members by a column
+ * @param {Array} members - Members
+ * @param {string} column - Member field
+ * @param {string} direction - 'asc' or 'desc'
+ * @returns {Array} New sorted array
+ */
+export const sortMembers = (members, column, direction) => {
+  return [...members].sort((a, b) => {
+    let aValue = a[column]
+    let bValue = b[column]
+
+    // Handle different data types
+    if (column === 'accountBalance') {
+      aValue = parseFloat(aValue) || 0
+      bValue = parseFloat(bValue) || 0
+    } else {
+      aValue = String(aValue ?? '').toLowerCase()
+      bValue = String(bValue ?? '').toLowerCase()
+    }
+
+    if (aValue < bValue) return direction === 'asc' ? -1 : 1
+    if (aValue > bValue) return direction === 'asc' ? 1 : -1
+    return 0
+  })
+}
+
+/**
+ * Get the saved views a user can use - their own and those shared with the club
+ * @param {string} userId - Current user
+ * @returns {Array} Views sorted by name
+ */
+export const getMemberViews = async (userId) => {
+  try {
+    const [sharedSnapshot, ownSnapshot] = await Promise.all([
+      getDocs(query(clubCollection(MEMBER_VIEWS_COLLECTION), where('shared', '==', true))),
+      getDocs(query(clubCollection(MEMBER_VIEWS_COLLECTION), where('createdBy', '==', userId)))
+    ])
+
+    const views = new Map()
+    ;[...sharedSnapshot.docs, ...ownSnapshot.docs].forEach(viewDoc => {
+      views.set(viewDoc.id, { id: viewDoc.id, ...viewDoc.data() })
+    })
+    return [...views.values()].sort((a, b) => a.name.localeCompare(b.name))
+  } catch (error) {
+    console.error('Error getting member views:', error)
+    throw error
+  }
+}
+
+/**
+ * Save the current filters as a named view
+ * @param {Object} viewData - { name, filters, shared }
+ * @param {Object} user - { uid, email } of the user saving it
+ * @returns {Object} Saved view
+ */
+export const saveMemberView = async ({ name, filters, shared }, user) => {
+  try {
+    const viewName = (name || '').trim()
+    if (!viewName || viewName.length > 50) {
+      throw new Error('View name is required and must be 50 characters or less')
+    }
+
+    // Only filter settings are kept, never anything else passed in
+    const view = {
+      name: viewName,
+      filters: Object.fromEntries(
+        Object.keys(DEFAULT_MEMBER_FILTERS).map(key => [key, String(filters[key] ?? DEFAULT_MEMBER_FILTERS[key])])
+      ),
+      shared: !!shared,
+      createdBy: user.uid,
+      createdByName: user.email || '',
+      createdAt: serverTimestamp()
+    }
+
+    const docRef = doc(clubCollection(MEMBER_VIEWS_COLLECTION))
+    await setDoc(docRef, view)
+    return { id: docRef.id, ...view }
+  } catch (error) {
+    console.error('Error saving member view:', error)
+    throw error
+  }
+}
+
+/**
+ * Delete a saved view
+ * @param {string} viewId - View ID
+ */
+export const deleteMemberView = async (viewId) => {
+  try {
+    await deleteDoc(clubDoc(MEMBER_VIEWS_COLLECTION, viewId))
+  } catch (error) {
+    console.error('Error deleting member view:', error)
+    throw error
+  }
+}
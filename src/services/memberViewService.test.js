@@ -0,0 +1,127 @@
+import { describe, it, expect } from 'vitest'
+import {
+  DEFAULT_MEMBER_FILTERS,
+  filtersFromSearchParams,
+  filtersToSearchParams,
+  hasActiveFilters,
+  getMemberListQuery,
+  filterMembers,
+  sortMembers
+} from './memberViewService'
+
+/**
+ * Members List Filter Tests
+ *
+ * URL round trips, filtering and sorting.
+ */
+
+const customFields = [
+  { id: 'locker_number', label: 'Locker Number', type: 'text' },
+  { id: 'key_fob', label: 'Key Fob', type: 'boolean' },
+  { id: 'pennant_team', label: 'Pennant Team', type: 'select', options: ['Division 1', 'Division 2'] }
+]
+
+const members = [
+  {
+    id: 'm1', fullName: 'Jane Smith', email: 'jane@example.com', status: 'financial',
+    membershipCategory: 'senior', accountBalance: 0, tags: ['Volunteer'],
+    customFields: { locker_number: 'A12', key_fob: true, pennant_team: 'Division 1' }
+  },
+  {
+    id: 'm2', fullName: 'Bob Jones', email: 'bob@example.com', status: 'unfinancial',
+    membershipCategory: 'junior', accountBalance: -120, tags: [],
+    customFields: { key_fob: false }
+  },
+  {
+    id: 'm3', fullName: 'alice Brown', email: '', status: 'resigned',
+    membershipCategory: 'senior', accountBalance: 50
+  }
+]
+
+const filters = (changes) => ({ ...DEFAULT_MEMBER_FILTERS, ...changes })
+const ids = (list) => list.map(member => member.id)
+
+describe('filter URL parameters', () => {
+  it('round trips filters, leaving defaults out of the URL', () => {
+    const original = filters({ search: 'smith', tag: 'Volunteer', field: 'key_fob', fieldValue: 'Yes', direction: 'desc' })
+    const params = filtersToSearchParams(original)
+    expect(params.toString()).toBe('q=smith&tag=Volunteer&field=key_fob&value=Yes&dir=desc')
+    expect(filtersFromSearchParams(params)).toEqual(original)
+  })
+
+  it('gives the defaults for an empty URL', () => {
+    expect(filtersFromSearchParams(new URLSearchParams())).toEqual(DEFAULT_MEMBER_FILTERS)
+  })
+
+  it('does not count sorting as filtering', () => {
+    expect(hasActiveFilters(filters({ sort: 'email', direction: 'desc' }))).toBe(false)
+    expect(hasActiveFilters(filters({ tag: 'Volunteer' }))).toBe(true)
+  })
+})
+
+describe('getMemberListQuery', () => {
+  it('sorts the whole list by any column when nothing is filtered', () => {
+    const listQuery = getMemberListQuery(filters({ sort: 'accountBalance', direction: 'desc', balance: 'negative' }))
+    expect(listQuery).toMatchObject({ search: '', condition: null, sort: 'accountBalance', direction: 'desc' })
+    expect(listQuery.clientFilters.balance).toBe('negative')
+  })
+
+  it('filters current members in Firestore, sorted by name', () => {
+    const listQuery = getMemberListQuery(filters({ status: 'current', category: 'senior', sort: 'email' }))
+    expect(listQuery.condition[0]).toBe('status')
+    expect(listQuery.condition[1]).toBe('in')
+    expect(listQuery.sort).toBe('fullName')
+    expect(listQuery.clientFilters).toMatchObject({ status: 'all', category: 'senior' })
+  })
+
+  it('filters by category in Firestore when status is not filtered', () => {
+    const listQuery = getMemberListQuery(filters({ category: 'junior', tag: 'Volunteer' }))
+    expect(listQuery.condition).toEqual(['membershipCategory', '==', 'junior'])
+    expect(listQuery.clientFilters).toMatchObject({ category: 'all', tag: 'Volunteer' })
+  })
+
+  it('uses the search index for searches of two or more characters', () => {
+    const listQuery = getMemberListQuery(filters({ search: ' smith ', status: 'resigned' }))
+    expect(listQuery).toMatchObject({ search: 'smith', condition: null })
+    expect(listQuery.clientFilters).toMatchObject({ search: '', status: 'resigned' })
+    expect(getMemberListQuery(filters({ search: 's' })).search).toBe('')
+  })
+})
+
+describe('filterMembers', () => {
+  it('searches names, tags and custom field values', () => {
+    expect(ids(filterMembers(members, filters({ search: 'jones' }), customFields))).toEqual(['m2'])
+    expect(ids(filterMembers(members, filters({ search: 'volunteer' }), customFields))).toEqual(['m1'])
+    expect(ids(filterMembers(members, filters({ search: 'a12' }), customFields))).toEqual(['m1'])
+  })
+
+  it('filters by status, category and balance', () => {
+    expect(ids(filterMembers(members, filters({ status: 'current' }), customFields))).toEqual(['m1', 'm2'])
+    expect(ids(filterMembers(members, filters({ category: 'senior', balance: 'positive' }), customFields))).toEqual(['m3'])
+    expect(ids(filterMembers(members, filters({ balance: 'zero' }), customFields))).toEqual(['m1'])
+  })
+
+  it('filters by tag without case', () => {
+    expect(ids(filterMembers(members, filters({ tag: 'volunteer' }), customFields))).toEqual(['m1'])
+  })
+
+  it('filters by a custom field having any value or a given value', () => {
+    expect(ids(filterMembers(members, filters({ field: 'key_fob' }), customFields))).toEqual(['m1', 'm2'])
+    expect(ids(filterMembers(members, filters({ field: 'key_fob', fieldValue: 'No' }), customFields))).toEqual(['m2'])
+    expect(ids(filterMembers(members, filters({ field: 'locker_number', fieldValue: 'a1' }), customFields))).toEqual(['m1'])
+    expect(ids(filterMembers(members, filters({ field: 'pennant_team', fieldValue: 'Division' }), customFields))).toEqual([])
+  })
+})
+
+describe('sortMembers', () => {
+  it('sorts text without case and balances as numbers', () => {
+    expect(ids(sortMembers(members, 'fullName', 'asc'))).toEqual(['m3', 'm2', 'm1'])
+    expect(ids(sortMembers(members, 'accountBalance', 'desc'))).toEqual(['m3', 'm1', 'm2'])
+  })
+
+  it('does not change the list passed in', () => {
+    const list = [...members]
+    sortMembers(list, 'email', 'asc')
+    expect(ids(list)).toEqual(['m1', 'm2', 'm3'])
+  })
+})
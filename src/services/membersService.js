@@ -1,49 +1,103 @@
 import {
-  collection,
   doc,
   getDoc,
   getDocs,
-  addDoc,
   updateDoc,
-  deleteDoc,
   query,
   where,
   orderBy,
   serverTimestamp,
-  onSnapshot
+  writeBatch
 } from 'firebase/firestore'
 import { db } from '../firebase'
+import { clubCollection, clubDoc } from '../lib/firebase/clubScope'
+import { getPage, countDocuments } from '../lib/firebase/pagination'
 import { determineCategoryByAge } from './membershipCategories'
+import { writeLedgerEntry, roundCurrency, LEDGER_ENTRY_TYPES } from './ledgerService'
+import {
+  MEMBER_STATUSES,
+  isCurrentMember,
+  buildStatusChange,
+  getStatusUpdate
+} from './memberStatusService'
+import { writeMemberEvent, getMemberUpdateEvents, MEMBER_EVENT_TYPES } from './memberEventService'
+import {
+  getCustomFields,
+  parseTags,
+  parseCustomFieldValues,
+  formatCustomFieldValue
+} from './memberFieldService'
+import { buildMemberSearchFields, searchMemberIndex } from './searchService'
+import { writePortalProfile, writePortalBalance, removePortalProfile } from './memberPortalService'
+import { DEFAULT_MEMBER_FILTERS, getMemberListQuery } from './memberViewService'
 import { memberFormSchema, memberCSVRowSchema } from '../schemas'
 import { ValidationError } from '../utils/ValidationError'
 
 const MEMBERS_COLLECTION = 'members'
 
+// A duplicate merged into another member is kept only so old links still find the member
+const isMergedMember = (member) => !!member.mergedInto
+
 // ... (existing code)
 
-// Subscribe to all members (Real-time updates)
-export const subscribeToMembers = (callback) => {
-  const q = query(collection(db, MEMBERS_COLLECTION), orderBy('fullName'))
-  return onSnapshot(q, (querySnapshot) => {
-    const members = []
-    querySnapshot.forEach((doc) => {
-      members.push({ id: doc.id, ...doc.data() })
-    })
-    callback(members)
-  }, (error) => {
-    console.error('Error subscribing to members:', error)
-  })
+/**
+ * Get one page of the members list
+ * Firestore runs the search, status or category filter and the sort (see
+ * getMemberListQuery); the caller applies the remaining filters to the loaded pages.
+ * @param {Object} filters - Members list filters
+ * @param {Object} options - { pageSize, cursor } - cursor is the previous page's nextCursor
+ * @returns {Object} { members, nextCursor } - nextCursor is null on the last page
+ */
+export const getMembersPage = async (filters = DEFAULT_MEMBER_FILTERS, { pageSize, cursor } = {}) => {
+  try {
+    const listQuery = getMemberListQuery(filters)
+    if (listQuery.search) {
+      const { results, nextCursor } = await searchMemberIndex(listQuery.search, { pageSize, cursor })
+      return { members: results, nextCursor }
+    }
+
+    const { items, nextCursor } = await getPage(
+      clubCollection(MEMBERS_COLLECTION),
+      [
+        ...(listQuery.condition ? [where(...listQuery.condition)] : []),
+        orderBy(listQuery.sort, listQuery.direction)
+      ],
+      { pageSize, cursor }
+    )
+    return { members: items.filter(member => !isMergedMember(member)), nextCursor }
+  } catch (error) {
+    console.error('Error getting members page:', error)
+    throw error
+  }
+}
+
+/**
+ * Count the club's members, leaving out merged duplicates
+ * @returns {number}
+ */
+export const countMembers = async () => {
+  try {
+    const members = clubCollection(MEMBERS_COLLECTION)
+    const [all, merged] = await Promise.all([
+      countDocuments(members),
+      countDocuments(members, [where('mergedInto', '!=', null)])
+    ])
+    return all - merged
+  } catch (error) {
+    console.error('Error counting members:', error)
+    throw error
+  }
 }
 
 // Calculate member statistics from a list of members
 export const calculateMemberStats = (members) => {
   const stats = {
     total: members.length,
-    active: members.filter(m => m.status === 'active').length,
-    inactive: members.filter(m => m.status === 'inactive').length,
+    active: members.filter(isCurrentMember).length,
+    inactive: members.filter(m => !isCurrentMember(m)).length,
     // Sum of negative balances (owed money) as positive number
     totalOutstanding: members
-      .filter(m => m.status === 'active' && m.accountBalance < 0)
+      .filter(m => isCurrentMember(m) && m.accountBalance < 0)
       .reduce((sum, m) => sum + Math.abs(m.accountBalance || 0), 0),
     byCategory: {}
   }
@@ -72,7 +126,10 @@ export const getMemberStats = async () => {
 }
 
 // Create a new member
-export const createMember = async (memberData) => {
+// A non-zero starting accountBalance is recorded as an opening balance ledger entry,
+// and a 'joined' event starts the member's lifecycle timeline
+// options: { source, sourceId, description } describing where the member came from
+export const createMember = async (memberData, userId = null, options = {}) => {
   try {
     // Validate with Zod schema
     const validation = memberFormSchema.safeParse(memberData)
@@ -135,14 +192,47 @@ export const createMember = async (memberData) => {
       dateOfBirth: memberData.dateOfBirth || '',
       golfAustraliaId: memberData.golfAustraliaId || '',
       membershipCategory: category,
-      accountBalance: memberData.accountBalance || 0,
+      accountBalance: roundCurrency(memberData.accountBalance || 0),
       status: (memberData.status && memberData.status.trim() !== '') ? memberData.status.toLowerCase() : 'active',
       dateJoined: (memberData.dateJoined && memberData.dateJoined.trim() !== '') ? memberData.dateJoined : today,
+      tags: parseTags(memberData.tags || []),
+      customFields: memberData.customFields || {},
       createdAt: serverTimestamp(),
       updatedAt: serverTimestamp()
     }
 
-    const docRef = await addDoc(collection(db, MEMBERS_COLLECTION), newMember)
+    Object.assign(newMember, buildMemberSearchFields(newMember))
+
+    const docRef = doc(clubCollection(MEMBERS_COLLECTION))
+    const batch = writeBatch(db)
+    batch.set(docRef, newMember)
+    writePortalProfile(batch, docRef.id, newMember)
+    writePortalBalance(batch, docRef.id, newMember.accountBalance)
+
+    if (newMember.accountBalance !== 0) {
+      writeLedgerEntry(batch, {
+        memberId: docRef.id,
+        memberName: newMember.fullName,
+        type: LEDGER_ENTRY_TYPES.ADJUSTMENT,
+        amount: newMember.accountBalance,
+        entryDate: newMember.dateJoined,
+        description: 'Opening balance',
+        sourceType: 'opening_balance'
+      }, userId)
+    }
+
+    writeMemberEvent(batch, {
+      memberId: docRef.id,
+      memberName: newMember.fullName,
+      type: MEMBER_EVENT_TYPES.JOINED,
+      eventDate: newMember.dateJoined,
+      description: options.description || 'Member record created',
+      to: newMember.membershipCategory,
+      source: options.source,
+      sourceId: options.sourceId
+    }, userId)
+
+    await batch.commit()
     return { id: docRef.id, ...newMember }
   } catch (error) {
     console.error('Error creating member:', error)
@@ -153,7 +243,7 @@ export const createMember = async (memberData) => {
 // Get a single member by ID
 export const getMemberById = async (memberId) => {
   try {
-    const docRef = doc(db, MEMBERS_COLLECTION, memberId)
+    const docRef = clubDoc(MEMBERS_COLLECTION, memberId)
     const docSnap = await getDoc(docRef)
 
     if (docSnap.exists()) {
@@ -167,11 +257,11 @@ export const getMemberById = async (memberId) => {
   }
 }
 
-// Get all members
+// Get all members (merged duplicates are left out)
 export const getAllMembers = async () => {
   try {
     const querySnapshot = await getDocs(
-      query(collection(db, MEMBERS_COLLECTION), orderBy('fullName'))
+      query(clubCollection(MEMBERS_COLLECTION), orderBy('fullName'))
     )
 
     const members = []
@@ -179,7 +269,7 @@ export const getAllMembers = async () => {
       members.push({ id: doc.id, ...doc.data() })
     })
 
-    return members
+    return members.filter(member => !isMergedMember(member))
   } catch (error) {
     console.error('Error getting members:', error)
     throw error
@@ -190,7 +280,7 @@ export const getAllMembers = async () => {
 export const getMembersByStatus = async (status) => {
   try {
     const q = query(
-      collection(db, MEMBERS_COLLECTION),
+      clubCollection(MEMBERS_COLLECTION),
       where('status', '==', status),
       orderBy('fullName')
     )
@@ -202,7 +292,7 @@ export const getMembersByStatus = async (status) => {
       members.push({ id: doc.id, ...doc.data() })
     })
 
-    return members
+    return members.filter(member => !isMergedMember(member))
   } catch (error) {
     console.error('Error getting members by status:', error)
     throw error
@@ -213,7 +303,7 @@ export const getMembersByStatus = async (status) => {
 export const getMembersByCategory = async (category) => {
   try {
     const q = query(
-      collection(db, MEMBERS_COLLECTION),
+      clubCollection(MEMBERS_COLLECTION),
       where('membershipCategory', '==', category),
       orderBy('fullName')
     )
@@ -225,45 +315,69 @@ export const getMembersByCategory = async (category) => {
       members.push({ id: doc.id, ...doc.data() })
     })
 
-    return members
+    return members.filter(member => !isMergedMember(member))
   } catch (error) {
     console.error('Error getting members by category:', error)
     throw error
   }
 }
 
-// Search members by name, email, or Golf Australia ID
-export const searchMembers = async (searchTerm) => {
-  try {
-    // Get all members and filter on the client side
-    // Note: Firestore doesn't support case-insensitive searches or OR queries well
-    // For production, consider using Algolia or similar for better search
-    const allMembers = await getAllMembers()
-
-    const searchLower = searchTerm.toLowerCase()
-
-    return allMembers.filter(member =>
-      member.fullName?.toLowerCase().includes(searchLower) ||
-      member.email?.toLowerCase().includes(searchLower) ||
-      member.golfAustraliaId?.toLowerCase().includes(searchLower)
-    )
-  } catch (error) {
-    console.error('Error searching members:', error)
-    throw error
-  }
-}
+/**
+ * Search members by name, email, phone, Golf Australia ID or suburb
+ * Uses the search index rather than loading every member (see searchService)
+ * @param {string} searchTerm - Search text (at least 2 characters)
+ * @param {Object} options - { pageSize, cursor } - cursor is the previous page's nextCursor
+ * @returns {Object} { results, nextCursor } - best matches first
+ */
+export const searchMembers = (searchTerm, options = {}) => searchMemberIndex(searchTerm, options)
 
 // Update a member
-export const updateMember = async (memberId, memberData) => {
+// Status, category and contact detail changes are recorded on the lifecycle timeline
+// options: { source, sourceId } - what caused the change, e.g. an approved change request
+// options.extraWrites(batch) - other writes that must be saved with the member change (or not at all)
+// The balance is never set here - it only changes with a ledger entry (payments, fees, adjustments)
+export const updateMember = async (memberId, memberData, userId = null, options = {}) => {
   try {
-    const docRef = doc(db, MEMBERS_COLLECTION, memberId)
+    const docRef = clubDoc(MEMBERS_COLLECTION, memberId)
+    const { statusReason, ...fields } = memberData
+    const { extraWrites, ...eventOptions } = options
+    delete fields.accountBalance
+    delete fields.balanceVerifiedAt
 
+    const docSnap = await getDoc(docRef)
+    if (!docSnap.exists()) {
+      throw new Error('Member not found')
+    }
+    const current = docSnap.data()
+
+    // Keep the search index in step with name and contact details
     const updatedData = {
-      ...memberData,
+      ...fields,
+      ...buildMemberSearchFields({ ...current, ...fields }),
       updatedAt: serverTimestamp()
     }
 
-    await updateDoc(docRef, updatedData)
+    // Record status changes made by hand in the member's status history
+    const reason = statusReason || 'Changed on member record'
+    if (fields.status && current.status !== fields.status) {
+      const change = buildStatusChange(current.status, fields.status, reason, userId)
+      Object.assign(updatedData, getStatusUpdate(current, change))
+    }
+
+    if (fields.membershipCategory && current.membershipCategory !== fields.membershipCategory) {
+      updatedData.categoryChangedDate = new Date().toISOString().split('T')[0]
+      updatedData.categoryChangeReason = 'Changed on member record'
+    }
+
+    const batch = writeBatch(db)
+    batch.update(docRef, updatedData)
+    writePortalProfile(batch, memberId, { ...current, ...fields })
+    getMemberUpdateEvents(memberId, current, fields, { reason, ...eventOptions }).forEach(event => {
+      writeMemberEvent(batch, event, userId)
+    })
+    extraWrites?.(batch)
+    await batch.commit()
+
     return { id: memberId, ...updatedData }
   } catch (error) {
     console.error('Error updating member:', error)
@@ -274,7 +388,7 @@ export const updateMember = async (memberId, memberData) => {
 // Add a timestamped comment to a member
 export const addMemberComment = async (memberId, commentText, userId, userName) => {
   try {
-    const docRef = doc(db, MEMBERS_COLLECTION, memberId)
+    const docRef = clubDoc(MEMBERS_COLLECTION, memberId)
     const docSnap = await getDoc(docRef)
 
     if (!docSnap.exists()) {
@@ -309,7 +423,7 @@ export const addMemberComment = async (memberId, commentText, userId, userName)
 // Delete a member comment
 export const deleteMemberComment = async (memberId, commentId) => {
   try {
-    const docRef = doc(db, MEMBERS_COLLECTION, memberId)
+    const docRef = clubDoc(MEMBERS_COLLECTION, memberId)
     const docSnap = await getDoc(docRef)
 
     if (!docSnap.exists()) {
@@ -331,13 +445,27 @@ export const deleteMemberComment = async (memberId, commentId) => {
 }
 
 // Delete a member (soft delete by setting status to inactive)
-export const deleteMember = async (memberId) => {
+export const deleteMember = async (memberId, userId = null) => {
   try {
-    const docRef = doc(db, MEMBERS_COLLECTION, memberId)
-    await updateDoc(docRef, {
-      status: 'inactive',
+    const docRef = clubDoc(MEMBERS_COLLECTION, memberId)
+    const docSnap = await getDoc(docRef)
+    if (!docSnap.exists()) {
+      throw new Error('Member not found')
+    }
+
+    const member = docSnap.data()
+    const reason = 'Member deleted'
+    const change = buildStatusChange(member.status, MEMBER_STATUSES.INACTIVE, reason, userId)
+
+    const batch = writeBatch(db)
+    batch.update(docRef, {
+      ...getStatusUpdate(member, change),
       updatedAt: serverTimestamp()
     })
+    getMemberUpdateEvents(memberId, member, { status: MEMBER_STATUSES.INACTIVE }, { reason }).forEach(event => {
+      writeMemberEvent(batch, event, userId)
+    })
+    await batch.commit()
   } catch (error) {
     console.error('Error deleting member:', error)
     throw error
@@ -347,8 +475,10 @@ export const deleteMember = async (memberId) => {
 // Hard delete a member (use with caution)
 export const hardDeleteMember = async (memberId) => {
   try {
-    const docRef = doc(db, MEMBERS_COLLECTION, memberId)
-    await deleteDoc(docRef)
+    const batch = writeBatch(db)
+    batch.delete(clubDoc(MEMBERS_COLLECTION, memberId))
+    removePortalProfile(batch, memberId)
+    await batch.commit()
   } catch (error) {
     console.error('Error hard deleting member:', error)
     throw error
@@ -361,7 +491,7 @@ export const getMembersWithOutstandingBalance = async () => {
     const allMembers = await getAllMembers()
     // Negative balance = member owes money
     return allMembers.filter(member =>
-      member.status === 'active' && member.accountBalance < 0
+      isCurrentMember(member) && member.accountBalance < 0
     )
   } catch (error) {
     console.error('Error getting members with outstanding balance:', error)
@@ -371,24 +501,32 @@ export const getMembersWithOutstandingBalance = async () => {
 
 
 
+// Columns every members CSV has, in order; Tags and custom fields follow
+const MEMBER_CSV_HEADERS = [
+  'Full Name',
+  'Email',
+  'Phone Mobile',
+  'Phone Home',
+  'Phone Work',
+  'Street Address',
+  'Suburb',
+  'State',
+  'Postcode',
+  'Date of Birth',
+  'Golf Australia ID',
+  'Membership Category',
+  'Status',
+  'Account Balance',
+  'Date Joined'
+]
+
 // Export members to CSV format
-export const exportMembersToCSV = (members) => {
+// Tags and custom fields (one column per field, headed by its label) follow the standard columns
+export const exportMembersToCSV = (members, customFields = []) => {
   const headers = [
-    'Full Name',
-    'Email',
-    'Phone Mobile',
-    'Phone Home',
-    'Phone Work',
-    'Street Address',
-    'Suburb',
-    'State',
-    'Postcode',
-    'Date of Birth',
-    'Golf Australia ID',
-    'Membership Category',
-    'Status',
-    'Account Balance',
-    'Date Joined'
+    ...MEMBER_CSV_HEADERS,
+    'Tags',
+    ...customFields.map(field => field.label)
   ]
 
   const rows = members.map(member => [
@@ -406,20 +544,22 @@ export const exportMembersToCSV = (members) => {
     member.membershipCategory || '',
     member.status || '',
     member.accountBalance || 0,
-    member.dateJoined || ''
+    member.dateJoined || '',
+    (member.tags || []).join('; '),
+    ...customFields.map(field => formatCustomFieldValue(field, member.customFields?.[field.id]))
   ])
 
   const csvContent = [
     headers.join(','),
-    ...rows.map(row => row.map(cell => `"${cell}"`).join(','))
+    ...rows.map(row => row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(','))
   ].join('\n')
 
   return csvContent
 }
 
 // Download CSV file
-export const downloadMembersCSV = (members, filename = 'members.csv') => {
-  const csvContent = exportMembersToCSV(members)
+export const downloadMembersCSV = (members, filename = 'members.csv', customFields = []) => {
+  const csvContent = exportMembersToCSV(members, customFields)
   const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' })
   const link = document.createElement('a')
 
@@ -434,12 +574,32 @@ export const downloadMembersCSV = (members, filename = 'members.csv') => {
   }
 }
 
+/**
+ * Match the columns after the standard ones - Tags, then custom fields by label or key
+ * @param {Array} extraHeaders - Headers after the standard columns
+ * @param {Array} customFields - Custom field definitions
+ * @returns {Array} Per column: { tags: true } or { field }
+ */
+export const matchExtraCSVColumns = (extraHeaders, customFields = []) => {
+  return extraHeaders.map(header => {
+    const name = header.toLowerCase()
+    if (name === 'tags') return { tags: true }
+
+    const field = customFields.find(f => f.label.toLowerCase() === name || f.id === name)
+    if (!field) {
+      throw new Error(`Unknown CSV column "${header}". Extra columns must be Tags or a member field label.`)
+    }
+    return { field }
+  })
+}
+
 /**
  * Parse CSV text into array of objects
  * @param {string} csvText - CSV content as string
+ * @param {Array} customFields - Custom field definitions, for extra columns
  * @returns {Array} Array of member objects
  */
-const parseCSV = (csvText) => {
+const parseCSV = (csvText, customFields = []) => {
   const lines = csvText.split('\n').filter(line => line.trim())
   if (lines.length < 2) {
     throw new Error('CSV file is empty or contains only headers')
@@ -448,29 +608,11 @@ const parseCSV = (csvText) => {
   // Parse headers
   const headers = lines[0].split(',').map(h => h.replace(/"/g, '').trim())
 
-  // Expected headers
-  const expectedHeaders = [
-    'Full Name',
-    'Email',
-    'Phone Mobile',
-    'Phone Home',
-    'Phone Work',
-    'Street Address',
-    'Suburb',
-    'State',
-    'Postcode',
-    'Date of Birth',
-    'Golf Australia ID',
-    'Membership Category',
-    'Status',
-    'Account Balance',
-    'Date Joined'
-  ]
-
   // Validate headers match expected format
-  if (headers.length !== expectedHeaders.length) {
-    throw new Error(`Invalid CSV format. Expected ${expectedHeaders.length} columns, found ${headers.length}`)
+  if (headers.length < MEMBER_CSV_HEADERS.length) {
+    throw new Error(`Invalid CSV format. Expected at least ${MEMBER_CSV_HEADERS.length} columns, found ${headers.length}`)
   }
+  const extraColumns = matchExtraCSVColumns(headers.slice(MEMBER_CSV_HEADERS.length), customFields)
 
   // Parse rows
   const members = []
@@ -497,10 +639,10 @@ const parseCSV = (csvText) => {
     }
     values.push(currentValue.trim()) // Add last value
 
-    if (values.length !== expectedHeaders.length) {
+    if (values.length !== headers.length) {
       members.push({
         rowNumber: i + 1,
-        error: `Invalid number of columns (expected ${expectedHeaders.length}, found ${values.length})`
+        error: `Invalid number of columns (expected ${headers.length}, found ${values.length})`
       })
       continue
     }
@@ -525,6 +667,24 @@ const parseCSV = (csvText) => {
       dateJoined: values[14] || ''
     }
 
+    // Tags and custom field values
+    const rawFieldValues = {}
+    extraColumns.forEach((column, index) => {
+      const value = values[MEMBER_CSV_HEADERS.length + index] || ''
+      if (column.tags) {
+        member.tags = parseTags(value)
+      } else {
+        rawFieldValues[column.field.id] = value
+      }
+    })
+    const { values: fieldValues, errors: fieldErrors } = parseCustomFieldValues(customFields, rawFieldValues)
+    const firstFieldError = Object.values(fieldErrors)[0]
+    if (firstFieldError) {
+      members.push({ rowNumber: i + 1, error: firstFieldError })
+      continue
+    }
+    member.customFields = fieldValues
+
     members.push(member)
   }
 
@@ -553,12 +713,14 @@ const validateMemberData = (member) => {
 /**
  * Import members from CSV file
  * @param {string} csvText - CSV content as string
+ * @param {string} userId - ID of user running the import (recorded on opening balance entries)
  * @returns {Object} Import results { successful, skipped, failed, details }
  */
-export const importMembersFromCSV = async (csvText) => {
+export const importMembersFromCSV = async (csvText, userId = null) => {
   try {
     // Parse CSV
-    const parsedMembers = parseCSV(csvText)
+    const customFields = await getCustomFields()
+    const parsedMembers = parseCSV(csvText, customFields)
 
     const results = {
       total: parsedMembers.length,
@@ -631,7 +793,7 @@ export const importMembersFromCSV = async (csvText) => {
       try {
         // Remove rowNumber before creating
         const { rowNumber, ...memberData } = member
-        await createMember(memberData)
+        await createMember(memberData, userId)
 
         results.successful++
         results.details.push({
@@ -1,5 +1,6 @@
 import { describe, it, expect } from 'vitest'
 import { memberFormSchema, memberSchema, memberCSVRowSchema } from '../schemas'
+import { exportMembersToCSV, matchExtraCSVColumns } from './membersService'
 
 /**
  * Member Service Tests
@@ -285,3 +286,33 @@ describe('Member Schema Validation', () => {
     })
   })
 })
+
+describe('Member CSV Tags and Custom Fields', () => {
+  const customFields = [
+    { id: 'locker_number', label: 'Locker Number', type: 'text' },
+    { id: 'key_fob', label: 'Key Fob', type: 'boolean' }
+  ]
+
+  it('exports tags and custom fields after the standard columns', () => {
+    const csv = exportMembersToCSV([{
+      fullName: 'Jane Smith',
+      tags: ['Pennant', 'Volunteer'],
+      customFields: { locker_number: 'A12', key_fob: true }
+    }], customFields)
+    const [headers, row] = csv.split('\n')
+
+    expect(headers.endsWith('Date Joined,Tags,Locker Number,Key Fob')).toBe(true)
+    expect(row.endsWith('"Pennant; Volunteer","A12","Yes"')).toBe(true)
+  })
+
+  it('matches extra import columns by label or key', () => {
+    const columns = matchExtraCSVColumns(['Tags', 'locker number', 'key_fob'], customFields)
+    expect(columns[0]).toEqual({ tags: true })
+    expect(columns[1].field.id).toBe('locker_number')
+    expect(columns[2].field.id).toBe('key_fob')
+  })
+
+  it('rejects unknown extra columns', () => {
+    expect(() => matchExtraCSVColumns(['Shoe Size'], customFields)).toThrow('Unknown CSV column "Shoe Size"')
+  })
+})
@@ -0,0 +1,264 @@
+import {
+  getDoc,
+  getDocs,
+  setDoc,
+  query,
+  orderBy,
+  serverTimestamp,
+  writeBatch
+} from 'firebase/firestore'
+import { db } from '../firebase'
+import { clubCollection, clubDoc } from '../lib/firebase/clubScope'
+import { VOUCHER_PAYMENT_METHOD } from './voucherService'
+
+const PAYMENT_METHODS_COLLECTION = 'paymentMethods'
+
+/**
+ * Built-in payment methods
+ * Used until the club seeds its own list, and as display fallbacks for stored codes
+ * The document ID is the method code stored on each payment (e.g. 'bank_transfer')
+ */
+export const DEFAULT_PAYMENT_METHODS = [
+  { id: 'bank_transfer', name: 'Bank Transfer', requiresReference: false, referenceFormat: '', referenceHint: 'Transfer description', active: true, order: 1 },
+  { id: 'cash', name: 'Cash', requiresReference: false, referenceFormat: '', referenceHint: '', active: true, order: 2 },
+  { id: 'eftpos', name: 'EFTPOS', requiresReference: true, referenceFormat: '^[0-9]{4,12}$', referenceHint: 'Terminal receipt number', active: true, order: 3 },
+  { id: 'credit_card', name: 'Credit Card', requiresReference: true, referenceFormat: '^[0-9]{4,12}$', referenceHint: 'Terminal receipt number', active: true, order: 4 },
+  { id: 'cheque', name: 'Cheque', requiresReference: true, referenceFormat: '^[0-9]{6}$', referenceHint: '6-digit cheque number', active: true, order: 5 },
+  { id: 'direct_debit', name: 'Direct Debit', requiresReference: false, referenceFormat: '', referenceHint: 'Debit agreement or batch ID', active: true, order: 6 },
+  { id: VOUCHER_PAYMENT_METHOD, name: 'Gift Voucher', requiresReference: true, referenceFormat: '', referenceHint: 'Voucher code, e.g. GV-7KQ2-M4XP', active: true, order: 7 }
+]
+
+/**
+ * Build a method code from its display name
+ * @param {string} name - Display name (e.g. "Pro Shop EFTPOS")
+ * @returns {string} Code (e.g. "pro_shop_eftpos")
+ */
+export const toPaymentMethodCode = (name) => {
+  return (name || '')
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 50)
+}
+
+/**
+ * Check that a reference format is a usable regular expression
+ * @param {string} format - Regular expression source (empty = any reference)
+ * @returns {boolean} True if valid
+ */
+export const isValidReferenceFormat = (format) => {
+  if (!format) return true
+  try {
+    new RegExp(format)
+    return true
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Find a payment method by code, falling back to the built-in list
+ * @param {Array} methods - Configured payment methods
+ * @param {string} code - Method code stored on the payment
+ * @returns {Object|null} Payment method
+ */
+export const findPaymentMethod = (methods, code) => {
+  return (methods || []).find(m => m.id === code) ||
+    DEFAULT_PAYMENT_METHODS.find(m => m.id === code) ||
+    null
+}
+
+/**
+ * Check a payment reference against its method's rules
+ * @param {Object|null} method - Payment method (unknown methods are not checked)
+ * @param {string} reference - Reference entered for the payment
+ * @returns {string|null} Error message, or null if the reference is acceptable
+ */
+export const validatePaymentReference = (method, reference) => {
+  if (!method) return null
+  const value = (reference || '').trim()
+
+  if (!value) {
+    return method.requiresReference ? `A reference is required for ${method.name} payments` : null
+  }
+
+  if (method.referenceFormat && isValidReferenceFormat(method.referenceFormat) &&
+      !new RegExp(method.referenceFormat).test(value)) {
+    return method.referenceHint
+      ? `${method.name} reference must be a ${method.referenceHint.toLowerCase()}`
+      : `${method.name} reference is not in the expected format`
+  }
+
+  return null
+}
+
+/**
+ * Active methods for selection, keeping the current value selectable when editing
+ * @param {Array} methods - Configured payment methods
+ * @param {string} currentCode - Method already on the payment being edited (optional)
+ * @returns {Array} Methods to offer in a select
+ */
+export const getSelectablePaymentMethods = (methods, currentCode = null) => {
+  return (methods || []).filter(m => m.active || m.id === currentCode)
+}
+
+/**
+ * Get all payment methods in display order
+ * Returns the built-in list if the club has not configured any yet
+ * @returns {Array} Array of payment method objects
+ */
+export const getAllPaymentMethods = async () => {
+  try {
+    const q = query(clubCollection(PAYMENT_METHODS_COLLECTION), orderBy('order', 'asc'))
+    const querySnapshot = await getDocs(q)
+
+    const methods = []
+    querySnapshot.forEach((doc) => {
+      methods.push({ id: doc.id, ...doc.data() })
+    })
+
+    if (methods.length === 0) return DEFAULT_PAYMENT_METHODS
+
+    // Lists saved before vouchers existed still offer voucher redemption
+    if (!methods.some(m => m.id === VOUCHER_PAYMENT_METHOD)) {
+      methods.push(DEFAULT_PAYMENT_METHODS.find(m => m.id === VOUCHER_PAYMENT_METHOD))
+    }
+    return methods
+  } catch (error) {
+    console.error('Error getting payment methods:', error)
+    throw error
+  }
+}
+
+/**
+ * Get a single payment method by code
+ * @param {string} code - Method code
+ * @returns {Object|null} Payment method, or the built-in default, or null
+ */
+export const getPaymentMethod = async (code) => {
+  try {
+    const docSnap = await getDoc(clubDoc(PAYMENT_METHODS_COLLECTION, code))
+    if (docSnap.exists()) {
+      return { id: docSnap.id, ...docSnap.data() }
+    }
+    return findPaymentMethod([], code)
+  } catch (error) {
+    console.error('Error getting payment method:', error)
+    throw error
+  }
+}
+
+// Normalise and validate method fields before saving
+const buildPaymentMethodData = (methodData) => {
+  const name = (methodData.name || '').trim()
+  if (!name || name.length > 50) {
+    throw new Error('Name is required and must be 50 characters or less')
+  }
+
+  const referenceFormat = (methodData.referenceFormat || '').trim()
+  if (!isValidReferenceFormat(referenceFormat)) {
+    throw new Error('Reference format is not a valid pattern')
+  }
+
+  return {
+    name,
+    requiresReference: !!methodData.requiresReference,
+    referenceFormat,
+    referenceHint: (methodData.referenceHint || '').trim(),
+    active: methodData.active !== false,
+    order: parseInt(methodData.order) || 999
+  }
+}
+
+/**
+ * Create a payment method
+ * The code is derived from the name and cannot change once payments use it
+ * @param {Object} methodData - { name, requiresReference, referenceFormat, referenceHint, active, order }
+ * @returns {Object} Created payment method
+ */
+export const createPaymentMethod = async (methodData) => {
+  try {
+    const data = buildPaymentMethodData(methodData)
+    const code = methodData.id || toPaymentMethodCode(data.name)
+    if (!code) {
+      throw new Error('Name must contain letters or numbers')
+    }
+
+    const docRef = clubDoc(PAYMENT_METHODS_COLLECTION, code)
+    const existing = await getDoc(docRef)
+    if (existing.exists()) {
+      throw new Error(`A payment method with code "${code}" already exists`)
+    }
+
+    const newMethod = {
+      ...data,
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp()
+    }
+    await setDoc(docRef, newMethod)
+    return { id: code, ...newMethod }
+  } catch (error) {
+    console.error('Error creating payment method:', error)
+    throw error
+  }
+}
+
+/**
+ * Update a payment method
+ * Methods are deactivated rather than deleted so historical payments keep their label
+ * Built-in methods added to an existing list (Gift Voucher) are saved on their first edit.
+ * @param {string} code - Method code
+ * @param {Object} methodData - Updated fields
+ * @returns {Object} Updated payment method
+ */
+export const updatePaymentMethod = async (code, methodData) => {
+  try {
+    const data = buildPaymentMethodData(methodData)
+    await setDoc(clubDoc(PAYMENT_METHODS_COLLECTION, code), {
+      ...data,
+      updatedAt: serverTimestamp()
+    }, { merge: true })
+    return { id: code, ...data }
+  } catch (error) {
+    console.error('Error updating payment method:', error)
+    throw error
+  }
+}
+
+/**
+ * Seed the built-in payment methods
+ * Should only be run once on initial setup
+ * @returns {Object} Results with counts
+ */
+export const seedDefaultPaymentMethods = async () => {
+  try {
+    const snapshot = await getDocs(clubCollection(PAYMENT_METHODS_COLLECTION))
+    if (!snapshot.empty) {
+      return {
+        success: false,
+        message: 'Payment methods already exist',
+        count: snapshot.size
+      }
+    }
+
+    const batch = writeBatch(db)
+    DEFAULT_PAYMENT_METHODS.forEach(({ id, ...method }) => {
+      batch.set(clubDoc(PAYMENT_METHODS_COLLECTION, id), {
+        ...method,
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+      })
+    })
+    await batch.commit()
+
+    return {
+      success: true,
+      message: `Successfully seeded ${DEFAULT_PAYMENT_METHODS.length} payment methods`,
+      count: DEFAULT_PAYMENT_METHODS.length
+    }
+  } catch (error) {
+    console.error('Error seeding payment methods:', error)
+    throw error
+  }
+}
@@ -0,0 +1,168 @@
+import { describe, it, expect } from 'vitest'
+import {
+  DEFAULT_PAYMENT_METHODS,
+  toPaymentMethodCode,
+  isValidReferenceFormat,
+  findPaymentMethod,
+  validatePaymentReference,
+  getSelectablePaymentMethods
+} from './paymentMethodService'
+import { formatPaymentMethod } from './paymentsService'
+import { paymentMethodFormSchema } from '../schemas'
+
+/**
+ * Payment Method Tests
+ *
+ * Pure helpers for configurable payment methods and their reference rules.
+ */
+
+const cheque = {
+  id: 'cheque',
+  name: 'Cheque',
+  requiresReference: true,
+  referenceFormat: '^[0-9]{6}$',
+  referenceHint: '6-digit cheque number',
+  active: true,
+  order: 1
+}
+
+const proShop = {
+  id: 'pro_shop',
+  name: 'Pro Shop Account',
+  requiresReference: false,
+  referenceFormat: '',
+  referenceHint: '',
+  active: false,
+  order: 2
+}
+
+describe('toPaymentMethodCode', () => {
+  it('should lower-case and join words with underscores', () => {
+    expect(toPaymentMethodCode('Pro Shop EFTPOS')).toBe('pro_shop_eftpos')
+  })
+
+  it('should strip punctuation and surrounding separators', () => {
+    expect(toPaymentMethodCode('  Card (Visa/MC)! ')).toBe('card_visa_mc')
+  })
+
+  it('should return an empty code for names without letters or numbers', () => {
+    expect(toPaymentMethodCode('---')).toBe('')
+    expect(toPaymentMethodCode(undefined)).toBe('')
+  })
+})
+
+describe('isValidReferenceFormat', () => {
+  it('should accept an empty format', () => {
+    expect(isValidReferenceFormat('')).toBe(true)
+  })
+
+  it('should accept a valid regular expression', () => {
+    expect(isValidReferenceFormat('^[0-9]{6}$')).toBe(true)
+  })
+
+  it('should reject an invalid regular expression', () => {
+    expect(isValidReferenceFormat('[0-9')).toBe(false)
+  })
+})
+
+describe('findPaymentMethod', () => {
+  it('should find a configured method by code', () => {
+    expect(findPaymentMethod([cheque, proShop], 'pro_shop')).toBe(proShop)
+  })
+
+  it('should fall back to the built-in list', () => {
+    expect(findPaymentMethod([], 'bank_transfer').name).toBe('Bank Transfer')
+  })
+
+  it('should prefer the configured method over the built-in one', () => {
+    const renamed = { ...cheque, name: 'Personal Cheque' }
+    expect(findPaymentMethod([renamed], 'cheque').name).toBe('Personal Cheque')
+  })
+
+  it('should return null for unknown codes', () => {
+    expect(findPaymentMethod([cheque], 'bitcoin')).toBeNull()
+  })
+})
+
+describe('validatePaymentReference', () => {
+  it('should require a reference when the method requires one', () => {
+    expect(validatePaymentReference(cheque, '  ')).toBe('A reference is required for Cheque payments')
+  })
+
+  it('should allow an empty reference when not required', () => {
+    expect(validatePaymentReference(proShop, '')).toBeNull()
+  })
+
+  it('should check the reference against the format', () => {
+    expect(validatePaymentReference(cheque, '123456')).toBeNull()
+    expect(validatePaymentReference(cheque, '12345')).toBe('Cheque reference must be a 6-digit cheque number')
+  })
+
+  it('should use a generic message when the method has no hint', () => {
+    const method = { ...cheque, referenceHint: '' }
+    expect(validatePaymentReference(method, 'abc')).toBe('Cheque reference is not in the expected format')
+  })
+
+  it('should ignore an invalid stored format rather than block payments', () => {
+    const method = { ...cheque, referenceFormat: '[0-9' }
+    expect(validatePaymentReference(method, 'anything')).toBeNull()
+  })
+
+  it('should not check unknown methods', () => {
+    expect(validatePaymentReference(null, '')).toBeNull()
+  })
+})
+
+describe('getSelectablePaymentMethods', () => {
+  it('should only offer active methods', () => {
+    expect(getSelectablePaymentMethods([cheque, proShop])).toEqual([cheque])
+  })
+
+  it('should keep an inactive method selectable when it is the current value', () => {
+    expect(getSelectablePaymentMethods([cheque, proShop], 'pro_shop')).toEqual([cheque, proShop])
+  })
+
+  it('should offer every built-in method by default', () => {
+    expect(getSelectablePaymentMethods(DEFAULT_PAYMENT_METHODS)).toHaveLength(DEFAULT_PAYMENT_METHODS.length)
+  })
+})
+
+describe('formatPaymentMethod', () => {
+  it('should use the configured name', () => {
+    expect(formatPaymentMethod('pro_shop', [proShop])).toBe('Pro Shop Account')
+  })
+
+  it('should use built-in names when nothing is configured', () => {
+    expect(formatPaymentMethod('eftpos')).toBe('EFTPOS')
+  })
+
+  it('should title-case unknown codes from older payments', () => {
+    expect(formatPaymentMethod('card')).toBe('Card')
+    expect(formatPaymentMethod('club_account')).toBe('Club Account')
+  })
+})
+
+describe('paymentMethodFormSchema', () => {
+  const validForm = {
+    name: 'Cheque',
+    requiresReference: true,
+    referenceFormat: '^[0-9]{6}$',
+    referenceHint: '6-digit cheque number',
+    active: true,
+    order: '5'
+  }
+
+  it('should validate a valid method', () => {
+    expect(paymentMethodFormSchema.safeParse(validForm).success).toBe(true)
+  })
+
+  it('should reject an invalid reference format', () => {
+    const result = paymentMethodFormSchema.safeParse({ ...validForm, referenceFormat: '(' })
+    expect(result.success).toBe(false)
+    expect(result.error.issues[0].path).toContain('referenceFormat')
+  })
+
+  it('should reject an empty name', () => {
+    expect(paymentMethodFormSchema.safeParse({ ...validForm, name: ' ' }).success).toBe(false)
+  })
+})
@@ -0,0 +1,273 @@
+import { getDocFromCache } from 'firebase/firestore'
+import { clubDoc, getActiveClubId } from '../lib/firebase/clubScope'
+import { recordPayment, getMemberSnapshot, newPaymentId } from './paymentsService'
+import { getMemberById } from './membersService'
+import { VOUCHER_PAYMENT_METHOD } from './voucherService'
+import { roundCurrency } from './ledgerService'
+import { paymentFormSchema, transformPaymentFormData } from '../schemas'
+import { ValidationError } from '../utils/ValidationError'
+
+/**
+ * Payment outbox - payments taken at the counter while offline
+ *
+ * Recording a payment needs a transaction (for the receipt number and balance), which
+ * Firestore can't run offline. Payments entered offline are kept in this device's
+ * local storage with a provisional receipt number and recorded through recordPayment
+ * when the connection returns. Each entry's ID becomes the payment's ID, so an entry
+ * synced twice (two tabs, or a sync cut off part way) is only recorded once.
+ */
+
+export const OUTBOX_STATUSES = {
+  QUEUED: 'queued',   // Waiting to sync
+  FAILED: 'failed'    // Sync was refused - retry or discard
+}
+
+const OUTBOX_KEY = 'paymentOutbox'
+const DEVICE_KEY = 'paymentOutboxDevice'
+const COUNTER_KEY = 'paymentOutboxCounter'
+
+const listeners = new Set()
+let syncing = null
+
+// Entries are kept per club; the parsed list is reused until it changes so
+// React can compare snapshots by reference
+let cached = { key: null, raw: null, entries: [] }
+
+const outboxKey = () => `${OUTBOX_KEY}:${getActiveClubId()}`
+
+const notify = () => listeners.forEach(listener => listener())
+
+/**
+ * Get this device's outbox for the active club, oldest first
+ * @returns {Array} Entries - { id, provisionalReceiptNumber, paymentData, userId, memberSnapshot, reviewReasons, queuedAt, status, error }
+ */
+export const getOutbox = () => {
+  const key = outboxKey()
+  const raw = localStorage.getItem(key)
+  if (cached.key !== key || cached.raw !== raw) {
+    cached = { key, raw, entries: raw ? JSON.parse(raw) : [] }
+  }
+  return cached.entries
+}
+
+const saveOutbox = (entries) => {
+  if (entries.length > 0) {
+    localStorage.setItem(outboxKey(), JSON.stringify(entries))
+  } else {
+    localStorage.removeItem(outboxKey())
+  }
+  notify()
+}
+
+const updateEntry = (entryId, changes) => {
+  saveOutbox(getOutbox().map(entry => (entry.id === entryId ? { ...entry, ...changes } : entry)))
+}
+
+/**
+ * Listen for outbox changes, including syncs and changes made in other tabs
+ * @param {Function} listener - Called with no arguments
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeToOutbox = (listener) => {
+  const onStorage = (event) => {
+    if (event.key === null || event.key === outboxKey()) listener()
+  }
+  listeners.add(listener)
+  window.addEventListener('storage', onStorage)
+  return () => {
+    listeners.delete(listener)
+    window.removeEventListener('storage', onStorage)
+  }
+}
+
+/**
+ * Whether a sync is running in this tab
+ * @returns {boolean}
+ */
+export const isOutboxSyncing = () => syncing !== null
+
+/**
+ * Whether an error means Firestore couldn't be reached
+ * @param {Error} error - Error from a Firestore call
+ * @returns {boolean}
+ */
+export const isOfflineError = (error) => {
+  return error?.code === 'unavailable' || (typeof navigator !== 'undefined' && navigator.onLine === false)
+}
+
+// A short code for this browser, so provisional numbers from two counters never clash
+const getDeviceCode = () => {
+  let code = localStorage.getItem(DEVICE_KEY)
+  if (!code) {
+    code = Math.random().toString(36).slice(2, 6).toUpperCase().padEnd(4, '0')
+    localStorage.setItem(DEVICE_KEY, code)
+  }
+  return code
+}
+
+/**
+ * Format: P-7KQ2-001 - P, the device code and the device's running number
+ * @param {string} deviceCode - Device code
+ * @param {number} number - Running number
+ * @returns {string}
+ */
+export const formatProvisionalReceiptNumber = (deviceCode, number) => {
+  return `P-${deviceCode}-${String(number).padStart(3, '0')}`
+}
+
+const nextProvisionalReceiptNumber = () => {
+  const number = (parseInt(localStorage.getItem(COUNTER_KEY), 10) || 0) + 1
+  localStorage.setItem(COUNTER_KEY, String(number))
+  return formatProvisionalReceiptNumber(getDeviceCode(), number)
+}
+
+/**
+ * Keep a payment in the outbox to record when the connection returns
+ * The member as last seen on this device is kept, so changes made before the
+ * payment syncs can be flagged for review.
+ * @param {Object} paymentData - Payment form data (single member; linked membership and voucher payments need a connection)
+ * @param {string} userId - User taking the payment
+ * @param {string} paymentId - ID the payment was already tried with online, if it was (see newPaymentId)
+ * @returns {Object} The outbox entry, with its provisional receipt number
+ */
+export const queuePayment = async (paymentData, userId, paymentId = newPaymentId()) => {
+  try {
+    if (typeof paymentData.amount === 'string') {
+      const validation = paymentFormSchema.safeParse(paymentData)
+      if (!validation.success) {
+        throw new ValidationError(validation.error.flatten())
+      }
+      paymentData = transformPaymentFormData(paymentData)
+    }
+
+    // The voucher's balance can only be checked and spent online
+    if (paymentData.paymentMethod === VOUCHER_PAYMENT_METHOD) {
+      throw new ValidationError({ paymentMethod: ['Voucher payments need a connection to check the voucher balance'] })
+    }
+
+    const reviewReasons = []
+    let memberSnapshot = null
+    try {
+      const memberDoc = await getDocFromCache(clubDoc('members', paymentData.memberId))
+      memberSnapshot = getMemberSnapshot(memberDoc.data())
+    } catch {
+      reviewReasons.push('Member details were not available offline to check against')
+    }
+
+    const entry = {
+      // Generated locally - becomes the payment's ID when it syncs
+      id: paymentId,
+      provisionalReceiptNumber: nextProvisionalReceiptNumber(),
+      paymentData,
+      userId,
+      memberSnapshot,
+      reviewReasons,
+      queuedAt: new Date().toISOString(),
+      status: OUTBOX_STATUSES.QUEUED,
+      error: null
+    }
+    saveOutbox([...getOutbox(), entry])
+    return entry
+  } catch (error) {
+    console.error('Error queuing payment:', error)
+    throw error
+  }
+}
+
+/**
+ * What the member is expected to look like when an entry syncs: its snapshot, with
+ * this outbox's payments to the same member synced earlier in the run added to the balance
+ * @param {Object} snapshot - Entry's member snapshot
+ * @param {number} creditedSinceQueued - Amount already synced to the member in this run
+ * @returns {Object} Snapshot
+ */
+export const getExpectedMemberSnapshot = (snapshot, creditedSinceQueued) => {
+  return { ...snapshot, accountBalance: roundCurrency(snapshot.accountBalance + creditedSinceQueued) }
+}
+
+// Record one entry; a merged member's payment goes to the member they were merged into
+// It is recorded by whoever is signed in when it syncs, and keeps who took it as takenBy
+const syncEntry = async (entry, creditedSinceQueued, userId) => {
+  let { paymentData, memberSnapshot } = entry
+  const reviewReasons = [...(entry.reviewReasons || [])]
+
+  const member = await getMemberById(paymentData.memberId)
+  if (member.mergedInto) {
+    const survivor = await getMemberById(member.mergedInto)
+    reviewReasons.push(`${member.fullName} was merged into ${survivor.fullName}`)
+    paymentData = { ...paymentData, memberId: survivor.id, memberName: survivor.fullName, feeAllocations: undefined }
+    memberSnapshot = null
+  }
+
+  return recordPayment(paymentData, userId, {
+    paymentId: entry.id,
+    offline: {
+      provisionalReceiptNumber: entry.provisionalReceiptNumber,
+      queuedAt: entry.queuedAt,
+      takenBy: entry.userId,
+      memberSnapshot: memberSnapshot && getExpectedMemberSnapshot(memberSnapshot, creditedSinceQueued),
+      reviewReasons
+    }
+  })
+}
+
+const runSync = async (userId) => {
+  const synced = []
+  const failed = []
+  const credited = {}
+
+  for (const entry of getOutbox().filter(e => e.status === OUTBOX_STATUSES.QUEUED)) {
+    try {
+      const payment = await syncEntry(entry, credited[entry.paymentData.memberId] || 0, userId)
+      // Keyed by the member it was recorded against (a merged member's survivor); a payment
+      // found already recorded didn't change the balance in this run
+      if (!payment.alreadyRecorded) {
+        credited[payment.memberId] = roundCurrency((credited[payment.memberId] || 0) + payment.amount)
+      }
+      saveOutbox(getOutbox().filter(e => e.id !== entry.id))
+      synced.push(payment)
+    } catch (error) {
+      // Still offline - leave the rest queued for next time
+      if (isOfflineError(error)) break
+      console.error('Error syncing payment:', error)
+      updateEntry(entry.id, { status: OUTBOX_STATUSES.FAILED, error: error.message })
+      failed.push({ ...entry, error: error.message })
+    }
+  }
+
+  return { synced, failed }
+}
+
+/**
+ * Record the queued payments, oldest first, each with its real receipt number
+ * Only one sync runs at a time in a tab; calling again while one runs joins it.
+ * @param {string} userId - Signed-in user, who records the payments (on a shared
+ *   counter PC this may not be who took them)
+ * @returns {Object} { synced: [payments], failed: [entries] }
+ */
+export const syncOutbox = (userId) => {
+  if (!syncing) {
+    syncing = runSync(userId).finally(() => {
+      syncing = null
+      notify()
+    })
+    notify()
+  }
+  return syncing
+}
+
+/**
+ * Queue a failed entry again (e.g. after fixing the payment method or member)
+ * @param {string} entryId - Outbox entry ID
+ */
+export const retryOutboxEntry = (entryId) => {
+  updateEntry(entryId, { status: OUTBOX_STATUSES.QUEUED, error: null })
+}
+
+/**
+ * Remove an entry without recording it
+ * @param {string} entryId - Outbox entry ID
+ */
+export const discardOutboxEntry = (entryId) => {
+  saveOutbox(getOutbox().filter(entry => entry.id !== entryId))
+}
@@ -0,0 +1,111 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { setActiveClubId } from '../lib/firebase/clubScope'
+import {
+  OUTBOX_STATUSES,
+  formatProvisionalReceiptNumber,
+  getExpectedMemberSnapshot,
+  isOfflineError,
+  getOutbox,
+  subscribeToOutbox,
+  retryOutboxEntry,
+  discardOutboxEntry
+} from './paymentOutboxService'
+
+/**
+ * Payment Outbox Tests
+ *
+ * Queuing and syncing need Firestore; these cover the local outbox and helpers.
+ */
+
+const entry = (id, changes = {}) => ({
+  id,
+  provisionalReceiptNumber: `P-TEST-00${id}`,
+  paymentData: { memberId: 'member1', memberName: 'Jane Smith', amount: 50 },
+  userId: 'user1',
+  memberSnapshot: null,
+  reviewReasons: [],
+  queuedAt: '2025-03-01T09:00:00.000Z',
+  status: OUTBOX_STATUSES.QUEUED,
+  error: null,
+  ...changes
+})
+
+describe('Provisional Receipt Numbers', () => {
+  it('should format with the device code and a padded number', () => {
+    expect(formatProvisionalReceiptNumber('7KQ2', 1)).toBe('P-7KQ2-001')
+    expect(formatProvisionalReceiptNumber('7KQ2', 1234)).toBe('P-7KQ2-1234')
+  })
+
+  it('should fit the receipt number length limit', () => {
+    expect(formatProvisionalReceiptNumber('7KQ2', 99999).length).toBeLessThanOrEqual(20)
+  })
+})
+
+describe('Expected Member Snapshot', () => {
+  const snapshot = { fullName: 'Jane Smith', status: 'financial', membershipCategory: 'Full', accountBalance: 100 }
+
+  it('should keep the snapshot when nothing was synced before it', () => {
+    expect(getExpectedMemberSnapshot(snapshot, 0)).toEqual(snapshot)
+  })
+
+  it('should add earlier synced payments to the balance', () => {
+    expect(getExpectedMemberSnapshot(snapshot, 20.1).accountBalance).toBe(120.1)
+  })
+})
+
+describe('Offline Errors', () => {
+  it('should treat an unavailable Firestore as offline', () => {
+    expect(isOfflineError({ code: 'unavailable' })).toBe(true)
+  })
+
+  it('should not treat other errors as offline while connected', () => {
+    expect(isOfflineError({ code: 'permission-denied' })).toBe(false)
+    expect(isOfflineError(new Error('Member not found'))).toBe(false)
+  })
+})
+
+describe('Outbox Storage', () => {
+  beforeEach(() => {
+    localStorage.clear()
+    setActiveClubId('club1')
+  })
+
+  it('should be empty with nothing stored', () => {
+    expect(getOutbox()).toEqual([])
+  })
+
+  it('should keep entries per club', () => {
+    localStorage.setItem('paymentOutbox:club1', JSON.stringify([entry('1')]))
+    expect(getOutbox()).toHaveLength(1)
+    setActiveClubId('club2')
+    expect(getOutbox()).toEqual([])
+  })
+
+  it('should return the same list until it changes', () => {
+    localStorage.setItem('paymentOutbox:club1', JSON.stringify([entry('1')]))
+    expect(getOutbox()).toBe(getOutbox())
+  })
+
+  it('should queue a failed entry again on retry', () => {
+    localStorage.setItem('paymentOutbox:club1', JSON.stringify([
+      entry('1', { status: OUTBOX_STATUSES.FAILED, error: 'Member not found' })
+    ]))
+    retryOutboxEntry('1')
+    expect(getOutbox()[0]).toMatchObject({ status: OUTBOX_STATUSES.QUEUED, error: null })
+  })
+
+  it('should discard an entry and notify listeners', () => {
+    localStorage.setItem('paymentOutbox:club1', JSON.stringify([entry('1'), entry('2')]))
+    const listener = vi.fn()
+    const unsubscribe = subscribeToOutbox(listener)
+
+    discardOutboxEntry('1')
+    expect(getOutbox().map(e => e.id)).toEqual(['2'])
+    expect(listener).toHaveBeenCalledTimes(1)
+
+    unsubscribe()
+    discardOutboxEntry('2')
+    expect(listener).toHaveBeenCalledTimes(1)
+    expect(localStorage.getItem('paymentOutbox:club1')).toBeNull()
+  })
+})
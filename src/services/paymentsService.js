@@ -1,50 +1,162 @@
 import {
-  collection,
   doc,
   getDoc,
   getDocs,
   setDoc,
+  updateDoc,
   query,
   where,
   orderBy,
   serverTimestamp,
-  runTransaction,
-  onSnapshot
+  runTransaction
 } from 'firebase/firestore'
 import { db } from '../firebase'
+import { clubCollection, clubDoc } from '../lib/firebase/clubScope'
+import { getPage, countDocuments } from '../lib/firebase/pagination'
 import { getMemberById } from './membersService'
+import { writePortalBalance } from './memberPortalService'
+import {
+  getClubSettings,
+  formatClubContactLine,
+  getLogoImageFormat,
+  DEFAULT_CLUB_SETTINGS
+} from './clubSettingsService'
+import { writeLedgerEntry, roundCurrency, LEDGER_ENTRY_TYPES } from './ledgerService'
+import {
+  getAllPaymentMethods,
+  getPaymentMethod,
+  findPaymentMethod,
+  validatePaymentReference
+} from './paymentMethodService'
+import {
+  getActivePlanRefs,
+  getInstalmentPlanRef,
+  allocateFeePaymentsToPlans,
+  reverseInstalmentAllocations,
+  writePlanAllocations
+} from './instalmentService'
+import {
+  getMemberFeeRefs,
+  allocatePaymentToFees,
+  applyManualFeeAllocations,
+  reverseFeeAllocations,
+  writeFeeAllocations
+} from './feeService'
 import jsPDF from 'jspdf'
 import { paymentFormSchema, transformPaymentFormData } from '../schemas'
 import { ValidationError } from '../utils/ValidationError'
+import { getMemberGroupById, validateGroupPaymentSplits } from './memberGroupService'
+import { MEMBER_STATUS_LABELS } from './memberStatusService'
+import {
+  VOUCHER_PAYMENT_METHOD,
+  VOUCHER_STATUSES,
+  normalizeVoucherCode,
+  getVoucherRef,
+  validateVoucherRedemption,
+  writeVoucherRedemption
+} from './voucherService'
 
 const PAYMENTS_COLLECTION = 'payments'
 const RECEIPT_COUNTER_COLLECTION = 'receipt_counters'
+const CREDIT_NOTE_COUNTER_COLLECTION = 'credit_note_counters'
+
+// Payment lifecycle - issued receipts are never deleted, only voided or refunded
+export const PAYMENT_STATUSES = {
+  ACTIVE: 'active',
+  VOIDED: 'voided',     // Recorded in error - whole amount reversed
+  REFUNDED: 'refunded'  // Money returned to the member - full or partial amount
+}
+
+// Payments taken offline are flagged for review when their member changed before they synced
+export const PAYMENT_REVIEW_STATUSES = {
+  PENDING: 'pending',
+  REVIEWED: 'reviewed'
+}
 
 // ... (existing code)
 
-// Subscribe to all payments (Real-time updates)
-export const subscribeToPayments = (callback) => {
-  const q = query(
-    collection(db, PAYMENTS_COLLECTION),
-    orderBy('paymentDate', 'desc')
-  )
+// Columns the payments list can be sorted by - every payment has these fields
+export const PAYMENT_SORT_COLUMNS = ['receiptNumber', 'paymentDate', 'memberName', 'amount', 'paymentMethod']
 
-  return onSnapshot(q, (querySnapshot) => {
-    const payments = []
-    querySnapshot.forEach((doc) => {
-      payments.push({ id: doc.id, ...doc.data() })
-    })
-    callback(payments)
-  }, (error) => {
-    console.error('Error subscribing to payments:', error)
-  })
+// Payments list filters; dates are YYYY-MM-DD like paymentDate
+export const DEFAULT_PAYMENT_FILTERS = {
+  method: 'all',
+  status: 'all',   // Only voided or refunded - older payments have no status
+  from: '',
+  to: ''
+}
+
+/**
+ * Work out the Firestore query for the payments list
+ * A filtered list is always in date order, as the date range needs it and the
+ * method and status indexes are on paymentDate; an unfiltered list sorts by any column.
+ * @param {Object} filters - { method, status, from, to }
+ * @param {string} sort - Column from PAYMENT_SORT_COLUMNS
+ * @param {string} direction - 'asc' or 'desc'
+ * @returns {Object} { conditions: [[field, op, value]], sort, direction }
+ */
+export const getPaymentListQuery = (filters = {}, sort = 'paymentDate', direction = 'desc') => {
+  const { method, status, from, to } = { ...DEFAULT_PAYMENT_FILTERS, ...filters }
+  const conditions = []
+  if (method !== 'all') conditions.push(['paymentMethod', '==', method])
+  if (status !== 'all') conditions.push(['status', '==', status])
+  if (from) conditions.push(['paymentDate', '>=', from])
+  if (to) conditions.push(['paymentDate', '<=', to])
+
+  const canSort = PAYMENT_SORT_COLUMNS.includes(sort) && (conditions.length === 0 || sort === 'paymentDate')
+  return {
+    conditions,
+    sort: canSort ? sort : 'paymentDate',
+    direction: canSort && direction === 'asc' ? 'asc' : 'desc'
+  }
+}
+
+/**
+ * Get one page of the payments list, sorted and filtered by Firestore
+ * @param {Object} options - { filters, sort, direction, pageSize, cursor } - cursor is the previous page's nextCursor
+ * @returns {Object} { payments, nextCursor } - nextCursor is null on the last page
+ */
+export const getPaymentsPage = async ({ filters, sort, direction, pageSize, cursor } = {}) => {
+  try {
+    const listQuery = getPaymentListQuery(filters, sort, direction)
+    const { items, nextCursor } = await getPage(
+      clubCollection(PAYMENTS_COLLECTION),
+      [
+        ...listQuery.conditions.map(([field, op, value]) => where(field, op, value)),
+        orderBy(listQuery.sort, listQuery.direction)
+      ],
+      { pageSize, cursor }
+    )
+    return { payments: items, nextCursor }
+  } catch (error) {
+    console.error('Error getting payments page:', error)
+    throw error
+  }
+}
+
+/**
+ * Count the payments matching the list filters
+ * @param {Object} filters - { method, status, from, to }
+ * @returns {number}
+ */
+export const countPayments = async (filters = {}) => {
+  try {
+    const { conditions } = getPaymentListQuery(filters)
+    return await countDocuments(
+      clubCollection(PAYMENTS_COLLECTION),
+      conditions.map(([field, op, value]) => where(field, op, value))
+    )
+  } catch (error) {
+    console.error('Error counting payments:', error)
+    throw error
+  }
 }
 
 // Get all payments
 export const getAllPayments = async () => {
   try {
     const q = query(
-      collection(db, PAYMENTS_COLLECTION),
+      clubCollection(PAYMENTS_COLLECTION),
       orderBy('paymentDate', 'desc')
     )
 
@@ -68,7 +180,7 @@ export const getAllPayments = async () => {
 // This is safe to call multiple times - it won't overwrite existing counter
 export const initializeReceiptCounter = async (year = new Date().getFullYear()) => {
   try {
-    const counterDocRef = doc(db, RECEIPT_COUNTER_COLLECTION, String(year))
+    const counterDocRef = clubDoc(RECEIPT_COUNTER_COLLECTION, String(year))
     const counterDoc = await getDoc(counterDocRef)
 
     if (!counterDoc.exists()) {
@@ -91,9 +203,11 @@ export const initializeReceiptCounter = async (year = new Date().getFullYear())
 // Legacy function for backwards compatibility (non-atomic, use with caution)
 // Prefer using the transaction-based approach in recordPayment
 export const generateReceiptNumber = async (year = new Date().getFullYear()) => {
+  let prefix = DEFAULT_CLUB_SETTINGS.receiptPrefix
   try {
-    const counterDocRef = doc(db, RECEIPT_COUNTER_COLLECTION, String(year))
-    const counterDoc = await getDoc(counterDocRef)
+    const counterDocRef = clubDoc(RECEIPT_COUNTER_COLLECTION, String(year))
+    const [counterDoc, club] = await Promise.all([getDoc(counterDocRef), getClubSettings()])
+    prefix = club.receiptPrefix
 
     let nextNumber = 1
 
@@ -101,17 +215,201 @@ export const generateReceiptNumber = async (year = new Date().getFullYear()) =>
       nextNumber = (counterDoc.data().lastNumber || 0) + 1
     }
 
-    // Format: R2025-001
-    return `R${year}-${String(nextNumber).padStart(3, '0')}`
+    return formatReceiptNumber(year, nextNumber, prefix)
   } catch (error) {
     console.error('Error generating receipt number:', error)
     // Fallback to timestamp-based receipt number
-    return `R${year}-${Date.now()}`
+    return `${prefix}${year}-${Date.now()}`
   }
 }
 
+// Format: R2025-001, with the club's receipt prefix in place of R
+export const formatReceiptNumber = (year, number, prefix = DEFAULT_CLUB_SETTINGS.receiptPrefix) => {
+  return `${prefix}${year}-${String(number).padStart(3, '0')}`
+}
+
+// Format: CN2025-001 (separate sequence from receipts)
+export const formatCreditNoteNumber = (year, number) => {
+  return `CN${year}-${String(number).padStart(3, '0')}`
+}
+
+// Whether a payment has been voided or refunded
+export const isPaymentReversed = (payment) => {
+  return !!payment.status && payment.status !== PAYMENT_STATUSES.ACTIVE
+}
+
+// Amount the club actually kept after any void/refund
+export const getNetPaymentAmount = (payment) => {
+  return roundCurrency((payment.amount || 0) - (payment.reversedAmount || 0))
+}
+
+// The member details an offline payment is checked against when it syncs
+export const getMemberSnapshot = (member) => ({
+  fullName: member.fullName,
+  status: member.status,
+  membershipCategory: member.membershipCategory,
+  accountBalance: roundCurrency(member.accountBalance || 0)
+})
+
+const formatMemberStatus = (status) => MEMBER_STATUS_LABELS[status] || status
+
+// What changed on a member since a snapshot was taken, as review reasons
+export const getMemberChangesSince = (snapshot, member) => {
+  const reasons = []
+  if (member.fullName !== snapshot.fullName) {
+    reasons.push(`Name changed from ${snapshot.fullName} to ${member.fullName}`)
+  }
+  if (member.status !== snapshot.status) {
+    reasons.push(`Status changed from ${formatMemberStatus(snapshot.status)} to ${formatMemberStatus(member.status)}`)
+  }
+  if (member.membershipCategory !== snapshot.membershipCategory) {
+    reasons.push(`Category changed from ${snapshot.membershipCategory} to ${member.membershipCategory}`)
+  }
+  const balance = roundCurrency(member.accountBalance || 0)
+  if (balance !== snapshot.accountBalance) {
+    reasons.push(`Balance changed from $${snapshot.accountBalance.toFixed(2)} to $${balance.toFixed(2)} - check for a payment or fee recorded meanwhile`)
+  }
+  return reasons
+}
+
+// Check a void/refund request against the payment, returns an error message or null
+export const validatePaymentReversal = (payment, reversalData) => {
+  if (isPaymentReversed(payment)) {
+    return `Payment ${payment.receiptNumber} has already been ${payment.status}`
+  }
+  if (!reversalData.reason || reversalData.reason.trim() === '') {
+    return 'A reason is required to void or refund a payment'
+  }
+  if (reversalData.reversalType === 'refund') {
+    const amount = roundCurrency(reversalData.amount)
+    if (amount <= 0) {
+      return 'Refund amount must be greater than 0'
+    }
+    if (amount > roundCurrency(payment.amount)) {
+      return `Refund cannot exceed the payment amount of $${payment.amount.toFixed(2)}`
+    }
+  } else if (reversalData.reversalType !== 'void') {
+    return `Invalid reversal type: ${reversalData.reversalType}`
+  }
+  return null
+}
+
+// Check the payment method is usable and the reference matches its rules
+// An unchanged method on an existing payment is allowed even if since deactivated
+const assertValidPaymentMethod = async (paymentData, existingMethod = null) => {
+  const method = await getPaymentMethod(paymentData.paymentMethod)
+  if (!method) {
+    throw new ValidationError({ paymentMethod: [`Unknown payment method: ${paymentData.paymentMethod}`] })
+  }
+  if (!method.active && method.id !== existingMethod) {
+    throw new ValidationError({ paymentMethod: [`${method.name} is no longer accepted`] })
+  }
+  const referenceError = validatePaymentReference(method, paymentData.reference)
+  if (referenceError) {
+    throw new ValidationError({ reference: [referenceError] })
+  }
+  return method
+}
+
+// Queue one member's payment in a transaction: payment record, ledger entry, fee and instalment
+// allocations and the cached balance. All reads must already be done - pass the member, fee and plan docs.
+const writeMemberPayment = (transaction, {
+  paymentData,
+  memberDoc,
+  feeDocs,
+  planDocs,
+  receiptNumber,
+  method,
+  paymentRef = doc(clubCollection(PAYMENTS_COLLECTION)),
+  extraFields = {}
+}, userId) => {
+  // A merged duplicate's balance has moved to the member kept, so it can't take payments
+  if (memberDoc.data().mergedInto) {
+    throw new Error(`${memberDoc.data().fullName} has been merged into another member - record the payment against that member`)
+  }
+
+  const currentBalance = memberDoc.data().accountBalance || 0
+  const newBalance = roundCurrency(currentBalance + parseFloat(paymentData.amount))
+
+  const newPayment = {
+    memberId: paymentData.memberId,
+    memberName: paymentData.memberName,
+    amount: parseFloat(paymentData.amount),
+    paymentDate: paymentData.paymentDate,
+    paymentMethod: paymentData.paymentMethod,
+    reference: paymentData.reference || '',
+    notes: paymentData.notes || '',
+    receiptNumber,
+    status: PAYMENT_STATUSES.ACTIVE,
+    recordedBy: userId,
+    ...extraFields,
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp()
+  }
+
+  // Shares of a family payment are linked to each other and the group
+  if (paymentData.groupPaymentId) {
+    newPayment.memberGroupId = paymentData.memberGroupId
+    newPayment.groupPaymentId = paymentData.groupPaymentId
+  }
+
+  const fees = feeDocs
+    .filter(feeDoc => feeDoc.exists())
+    .map(feeDoc => ({ id: feeDoc.id, ...feeDoc.data() }))
+  const feeAllocation = paymentData.feeAllocations?.length
+    ? applyManualFeeAllocations(fees, paymentData.feeAllocations, newPayment.amount)
+    : allocatePaymentToFees(fees, newPayment.amount)
+  if (feeAllocation.allocations.length > 0) {
+    newPayment.feeAllocations = feeAllocation.allocations
+  }
+
+  const plans = planDocs
+    .filter(planDoc => planDoc.exists())
+    .map(planDoc => ({ id: planDoc.id, ...planDoc.data() }))
+  const allocation = allocateFeePaymentsToPlans(plans, feeAllocation.allocations)
+  if (allocation.allocations.length > 0) {
+    newPayment.instalmentAllocations = allocation.allocations
+  }
+
+  // Add ledger entry (source of truth for the balance)
+  const ledgerEntry = writeLedgerEntry(transaction, {
+    memberId: paymentData.memberId,
+    memberName: paymentData.memberName,
+    type: LEDGER_ENTRY_TYPES.PAYMENT,
+    amount: newPayment.amount,
+    entryDate: newPayment.paymentDate,
+    description: `Payment ${receiptNumber} - ${method.name}`,
+    sourceType: 'payment',
+    sourceId: paymentRef.id
+  }, userId)
+  newPayment.ledgerEntryId = ledgerEntry.id
+
+  // Add payment
+  transaction.set(paymentRef, newPayment)
+
+  writeFeeAllocations(transaction, feeAllocation.fees)
+  writePlanAllocations(transaction, allocation.plans)
+
+  // Update cached member balance
+  transaction.update(memberDoc.ref, {
+    accountBalance: newBalance,
+    updatedAt: serverTimestamp()
+  })
+  writePortalBalance(transaction, memberDoc.id, newBalance)
+
+  return { paymentRef, newPayment }
+}
+
+// ID for a payment not yet recorded - saving with it twice only records it once
+export const newPaymentId = () => doc(clubCollection(PAYMENTS_COLLECTION)).id
+
 // Record a payment
-export const recordPayment = async (paymentData, userId) => {
+// Pass { paymentId } (see newPaymentId) when a save may be retried or queued offline.
+// Payments synced from the offline outbox pass { paymentId, offline }: the outbox entry's ID
+// makes a second sync of the same entry a no-op, and offline = { provisionalReceiptNumber,
+// queuedAt, takenBy, memberSnapshot, reviewReasons } flags the payment for review if its member changed.
+// userId is whoever syncs the payment; takenBy is the user who took it offline.
+export const recordPayment = async (paymentData, userId, { paymentId = null, offline = null } = {}) => {
   try {
     // Validate with Zod schema (if data is in form format)
     if (typeof paymentData.amount === 'string') {
@@ -123,47 +421,92 @@ export const recordPayment = async (paymentData, userId) => {
       paymentData = transformPaymentFormData(paymentData)
     }
 
+    // Paying with a voucher - the voucher code is the reference
+    const isVoucher = paymentData.paymentMethod === VOUCHER_PAYMENT_METHOD
+    if (isVoucher) {
+      paymentData = { ...paymentData, reference: normalizeVoucherCode(paymentData.reference) }
+    }
+
+    const method = await assertValidPaymentMethod(paymentData)
+
+    // Queries can't run inside a transaction - find the member's fees and active plans first
+    const [feeRefs, planRefs, { receiptPrefix }] = await Promise.all([
+      getMemberFeeRefs(paymentData.memberId),
+      getActivePlanRefs(paymentData.memberId),
+      getClubSettings()
+    ])
+
     // Use transaction to ensure ALL operations are atomic:
     // 1. Generate receipt number
     // 2. Record payment
     // 3. Update member balance
+    // 4. Allocate the payment to fees (oldest first unless chosen) and their instalments
     // IMPORTANT: All reads MUST happen before any writes in Firestore transactions
     const result = await runTransaction(db, async (transaction) => {
       // === ALL READS FIRST ===
       const year = new Date().getFullYear()
-      const counterDocRef = doc(db, RECEIPT_COUNTER_COLLECTION, String(year))
+      const counterDocRef = clubDoc(RECEIPT_COUNTER_COLLECTION, String(year))
       const counterDoc = await transaction.get(counterDocRef)
 
-      const memberRef = doc(db, 'members', paymentData.memberId)
+      const memberRef = clubDoc('members', paymentData.memberId)
       const memberDoc = await transaction.get(memberRef)
 
       if (!memberDoc.exists()) {
         throw new Error('Member not found')
       }
 
+      // Already recorded by an earlier attempt (a save that lost its connection, or an earlier sync of the outbox entry)
+      const paymentRef = paymentId ? clubDoc(PAYMENTS_COLLECTION, paymentId) : doc(clubCollection(PAYMENTS_COLLECTION))
+      if (paymentId) {
+        const existingDoc = await transaction.get(paymentRef)
+        if (existingDoc.exists()) {
+          return { paymentRef, newPayment: existingDoc.data(), alreadyRecorded: true }
+        }
+      }
+
+      const feeDocs = await Promise.all(feeRefs.map(ref => transaction.get(ref)))
+      const planDocs = await Promise.all(planRefs.map(ref => transaction.get(ref)))
+
+      // The voucher is re-read here so two redemptions can't spend the same balance
+      let voucher = null
+      if (isVoucher) {
+        const voucherDoc = await transaction.get(getVoucherRef(paymentData.reference))
+        if (!voucherDoc.exists()) {
+          throw new ValidationError({ reference: [`Voucher ${paymentData.reference} not found`] })
+        }
+        voucher = { id: voucherDoc.id, ...voucherDoc.data() }
+        const voucherError = validateVoucherRedemption(voucher, paymentData.amount, paymentData.paymentDate)
+        if (voucherError) {
+          throw new ValidationError({ reference: [voucherError] })
+        }
+      }
+
       // === PROCESS DATA ===
       // Generate receipt number
       let nextNumber = 1
       if (counterDoc.exists()) {
         nextNumber = (counterDoc.data().lastNumber || 0) + 1
       }
-      const receiptNumber = `R${year}-${String(nextNumber).padStart(3, '0')}`
-
-      const currentBalance = memberDoc.data().accountBalance || 0
-      const newBalance = currentBalance + parseFloat(paymentData.amount)
+      const receiptNumber = formatReceiptNumber(year, nextNumber, receiptPrefix)
+
+      // Offline payments keep their provisional number, and are flagged if the member changed
+      const extraFields = {}
+      if (offline) {
+        const reviewReasons = [
+          ...(offline.reviewReasons || []),
+          ...(offline.memberSnapshot ? getMemberChangesSince(offline.memberSnapshot, memberDoc.data()) : [])
+        ]
+        extraFields.provisionalReceiptNumber = offline.provisionalReceiptNumber
+        extraFields.queuedAt = offline.queuedAt
+        if (offline.takenBy) extraFields.takenBy = offline.takenBy
+        if (reviewReasons.length > 0) {
+          extraFields.reviewStatus = PAYMENT_REVIEW_STATUSES.PENDING
+          extraFields.reviewReasons = reviewReasons
+        }
+      }
 
-      const newPayment = {
-        memberId: paymentData.memberId,
-        memberName: paymentData.memberName,
-        amount: parseFloat(paymentData.amount),
-        paymentDate: paymentData.paymentDate,
-        paymentMethod: paymentData.paymentMethod,
-        reference: paymentData.reference || '',
-        notes: paymentData.notes || '',
-        receiptNumber,
-        recordedBy: userId,
-        createdAt: serverTimestamp(),
-        updatedAt: serverTimestamp()
+      if (voucher) {
+        extraFields.voucherCode = voucher.code
       }
 
       // === ALL WRITES AFTER READS ===
@@ -173,22 +516,125 @@ export const recordPayment = async (paymentData, userId) => {
         updatedAt: serverTimestamp()
       }, { merge: true })
 
-      // Add payment
-      const paymentRef = doc(collection(db, PAYMENTS_COLLECTION))
-      transaction.set(paymentRef, newPayment)
+      if (voucher) {
+        writeVoucherRedemption(transaction, voucher, {
+          paymentId: paymentRef.id,
+          receiptNumber,
+          memberId: paymentData.memberId,
+          memberName: paymentData.memberName,
+          amount: parseFloat(paymentData.amount),
+          date: paymentData.paymentDate
+        })
+      }
 
-      // Update member balance
-      transaction.update(memberRef, {
-        accountBalance: newBalance,
+      return writeMemberPayment(transaction, {
+        paymentData,
+        memberDoc,
+        feeDocs,
+        planDocs,
+        receiptNumber,
+        method,
+        paymentRef,
+        extraFields
+      }, userId)
+    })
+
+    return { id: result.paymentRef.id, ...result.newPayment, alreadyRecorded: !!result.alreadyRecorded }
+  } catch (error) {
+    console.error('Error recording payment:', error)
+    throw error
+  }
+}
+
+// Record one payment for a member group (family, couple, corporate) split across the members' balances
+// Each share gets its own receipt and is allocated to that member's fees; all shares are written together
+export const recordGroupPayment = async (paymentData, splits, userId) => {
+  try {
+    const shares = splits.filter(split => split.amount > 0)
+    const splitError = validateGroupPaymentSplits(shares, paymentData.amount)
+    if (splitError) {
+      throw new ValidationError({ amount: [splitError] })
+    }
+
+    if (paymentData.paymentMethod === VOUCHER_PAYMENT_METHOD) {
+      throw new ValidationError({ paymentMethod: ['Vouchers are redeemed against one member at a time'] })
+    }
+
+    const method = await assertValidPaymentMethod(paymentData)
+
+    const group = await getMemberGroupById(paymentData.memberGroupId)
+    const outsider = shares.find(share => !group.memberIds.includes(share.memberId))
+    if (outsider) {
+      throw new Error(`${outsider.memberName} is not in ${group.name}`)
+    }
+
+    // Queries can't run inside a transaction - find each member's fees and active plans first
+    const [refs, { receiptPrefix }] = await Promise.all([
+      Promise.all(shares.map(share => Promise.all([
+        getMemberFeeRefs(share.memberId),
+        getActivePlanRefs(share.memberId)
+      ]))),
+      getClubSettings()
+    ])
+
+    // Links the shares of this payment to each other
+    const groupPaymentId = doc(clubCollection(PAYMENTS_COLLECTION)).id
+
+    const payments = await runTransaction(db, async (transaction) => {
+      // === ALL READS FIRST ===
+      const year = new Date().getFullYear()
+      const counterDocRef = clubDoc(RECEIPT_COUNTER_COLLECTION, String(year))
+      const counterDoc = await transaction.get(counterDocRef)
+
+      const reads = []
+      for (let i = 0; i < shares.length; i++) {
+        const memberDoc = await transaction.get(clubDoc('members', shares[i].memberId))
+        if (!memberDoc.exists()) {
+          throw new Error(`Member not found: ${shares[i].memberName}`)
+        }
+        const [feeRefs, planRefs] = refs[i]
+        const feeDocs = await Promise.all(feeRefs.map(ref => transaction.get(ref)))
+        const planDocs = await Promise.all(planRefs.map(ref => transaction.get(ref)))
+        reads.push({ memberDoc, feeDocs, planDocs })
+      }
+
+      // === ALL WRITES AFTER READS ===
+      // One receipt number per share
+      const lastNumber = counterDoc.exists() ? (counterDoc.data().lastNumber || 0) : 0
+      transaction.set(counterDocRef, {
+        lastNumber: lastNumber + shares.length,
         updatedAt: serverTimestamp()
-      })
+      }, { merge: true })
 
-      return { paymentRef, newPayment }
+      return shares.map((share, i) => {
+        const receiptNumber = formatReceiptNumber(year, lastNumber + i + 1, receiptPrefix)
+        const { paymentRef, newPayment } = writeMemberPayment(transaction, {
+          paymentData: {
+            ...paymentData,
+            memberId: share.memberId,
+            memberName: share.memberName,
+            amount: share.amount,
+            notes: [`${group.name} payment`, paymentData.notes].filter(Boolean).join(' - '),
+            feeAllocations: undefined,
+            groupPaymentId
+          },
+          ...reads[i],
+          receiptNumber,
+          method
+        }, userId)
+        return { id: paymentRef.id, ...newPayment }
+      })
     })
 
-    return { id: result.paymentRef.id, ...result.newPayment }
+    return {
+      groupPaymentId,
+      memberGroupId: group.id,
+      amount: roundCurrency(shares.reduce((sum, share) => sum + share.amount, 0)),
+      receiptNumbers: payments.map(payment => payment.receiptNumber),
+      payments
+    }
   } catch (error) {
-    console.error('Error recording payment:', error)
+    console.error('Error recording group payment:', error)
     throw error
   }
 }
@@ -210,12 +656,14 @@ export const recordBulkPayments = async (payments, userId, onProgress = () => {}
       const result = await recordPayment(paymentData, userId)
       results.successful.push({
         ...result,
+        index: i,
         memberId: paymentData.memberId,
         memberName: paymentData.memberName,
       })
     } catch (error) {
       console.error('Failed to record payment for', paymentData.memberName, error)
       results.failed.push({
+        index: i,
         memberId: paymentData.memberId,
         memberName: paymentData.memberName,
         error: error.message || 'Unknown error',
@@ -233,7 +681,7 @@ export const recordBulkPayments = async (payments, userId, onProgress = () => {}
 // Get payment by ID
 export const getPaymentById = async (paymentId) => {
   try {
-    const docRef = doc(db, PAYMENTS_COLLECTION, paymentId)
+    const docRef = clubDoc(PAYMENTS_COLLECTION, paymentId)
     const docSnap = await getDoc(docRef)
 
     if (docSnap.exists()) {
@@ -252,7 +700,7 @@ export const getPaymentById = async (paymentId) => {
 export const getPaymentsByMember = async (memberId) => {
   try {
     const q = query(
-      collection(db, PAYMENTS_COLLECTION),
+      clubCollection(PAYMENTS_COLLECTION),
       where('memberId', '==', memberId),
       orderBy('paymentDate', 'desc')
     )
@@ -275,7 +723,7 @@ export const getPaymentsByMember = async (memberId) => {
 export const getPaymentsByDateRange = async (startDate, endDate) => {
   try {
     const q = query(
-      collection(db, PAYMENTS_COLLECTION),
+      clubCollection(PAYMENTS_COLLECTION),
       where('paymentDate', '>=', startDate),
       where('paymentDate', '<=', endDate),
       orderBy('paymentDate', 'desc')
@@ -295,49 +743,69 @@ export const getPaymentsByDateRange = async (startDate, endDate) => {
   }
 }
 
-// Update a payment
-export const updatePayment = async (paymentId, paymentData, userId) => {
+// Get offline payments waiting for review because their member changed before they synced
+export const getPaymentsForReview = async () => {
   try {
-    // Get the old payment data
-    const oldPayment = await getPaymentById(paymentId)
-    const oldAmount = oldPayment.amount
-    const newAmount = parseFloat(paymentData.amount)
-    const amountDifference = newAmount - oldAmount
+    const q = query(
+      clubCollection(PAYMENTS_COLLECTION),
+      where('reviewStatus', '==', PAYMENT_REVIEW_STATUSES.PENDING)
+    )
 
-    // Use transaction to update payment and adjust member balance
-    await runTransaction(db, async (transaction) => {
-      const paymentRef = doc(db, PAYMENTS_COLLECTION, paymentId)
-      const memberRef = doc(db, 'members', oldPayment.memberId)
+    const querySnapshot = await getDocs(q)
+    return querySnapshot.docs
+      .map(paymentDoc => ({ id: paymentDoc.id, ...paymentDoc.data() }))
+      .sort((a, b) => (a.queuedAt || '').localeCompare(b.queuedAt || ''))
+  } catch (error) {
+    console.error('Error getting payments for review:', error)
+    throw error
+  }
+}
 
-      const memberDoc = await transaction.get(memberRef)
+// Clear an offline payment's review flag once someone has checked it
+export const markPaymentReviewed = async (paymentId, userId) => {
+  try {
+    await updateDoc(clubDoc(PAYMENTS_COLLECTION, paymentId), {
+      reviewStatus: PAYMENT_REVIEW_STATUSES.REVIEWED,
+      reviewedBy: userId,
+      reviewedAt: serverTimestamp(),
+      updatedAt: serverTimestamp()
+    })
+  } catch (error) {
+    console.error('Error marking payment reviewed:', error)
+    throw error
+  }
+}
 
-      if (!memberDoc.exists()) {
-        throw new Error('Member not found')
-      }
+// Update a payment's details (date, method, reference, notes)
+// The amount of an issued receipt is fixed - use reversePayment to void or refund it
+export const updatePayment = async (paymentId, paymentData, userId) => {
+  try {
+    const oldPayment = await getPaymentById(paymentId)
 
-      const currentBalance = memberDoc.data().accountBalance || 0
-      // If amount increased, balance should increase (more credit)
-      // If amount decreased, balance should decrease (less credit)
-      const newBalance = currentBalance + amountDifference
-
-      // Update payment
-      const updatedPayment = {
-        amount: newAmount,
-        paymentDate: paymentData.paymentDate,
-        paymentMethod: paymentData.paymentMethod,
-        reference: paymentData.reference || '',
-        notes: paymentData.notes || '',
-        updatedBy: userId,
-        updatedAt: serverTimestamp()
-      }
+    if (isPaymentReversed(oldPayment)) {
+      throw new Error(`Payment ${oldPayment.receiptNumber} has been ${oldPayment.status} and can no longer be edited`)
+    }
+    if (roundCurrency(paymentData.amount) !== roundCurrency(oldPayment.amount)) {
+      throw new Error('The amount of an issued receipt cannot be changed. Void or refund the payment and record a new one instead.')
+    }
 
-      transaction.update(paymentRef, updatedPayment)
+    // The voucher balance moved with the payment, so its method and voucher are fixed too
+    const usesVoucher = [oldPayment.paymentMethod, paymentData.paymentMethod].includes(VOUCHER_PAYMENT_METHOD)
+    if (usesVoucher && (paymentData.paymentMethod !== oldPayment.paymentMethod ||
+        normalizeVoucherCode(paymentData.reference) !== oldPayment.reference)) {
+      throw new Error('The method and voucher of a voucher payment cannot be changed. Void the payment to return the value to the voucher.')
+    }
 
-      // Update member balance
-      transaction.update(memberRef, {
-        accountBalance: newBalance,
-        updatedAt: serverTimestamp()
-      })
+    await assertValidPaymentMethod(paymentData, oldPayment.paymentMethod)
+
+    const paymentRef = clubDoc(PAYMENTS_COLLECTION, paymentId)
+    await updateDoc(paymentRef, {
+      paymentDate: paymentData.paymentDate,
+      paymentMethod: paymentData.paymentMethod,
+      reference: paymentData.reference || '',
+      notes: paymentData.notes || '',
+      updatedBy: userId,
+      updatedAt: serverTimestamp()
     })
 
     return { id: paymentId, ...paymentData }
@@ -347,78 +815,204 @@ export const updatePayment = async (paymentId, paymentData, userId) => {
   }
 }
 
-// Delete a payment (and adjust member balance)
-export const deletePayment = async (paymentId) => {
+// Void or refund a payment
+// The payment keeps its receipt number; a credit note number is issued from its own counter
+// reversalData: { reversalType: 'void' | 'refund', amount (refund only), reversalDate, refundMethod, reason }
+export const reversePayment = async (paymentId, reversalData, userId) => {
   try {
-    const payment = await getPaymentById(paymentId)
+    // IMPORTANT: All reads MUST happen before any writes in Firestore transactions
+    return await runTransaction(db, async (transaction) => {
+      // === ALL READS FIRST ===
+      const paymentRef = clubDoc(PAYMENTS_COLLECTION, paymentId)
+      const paymentDoc = await transaction.get(paymentRef)
+
+      if (!paymentDoc.exists()) {
+        throw new Error('Payment not found')
+      }
+
+      const payment = paymentDoc.data()
+      const validationError = validatePaymentReversal(payment, reversalData)
+      if (validationError) {
+        throw new Error(validationError)
+      }
 
-    // Use transaction to delete payment and adjust member balance
-    await runTransaction(db, async (transaction) => {
-      const paymentRef = doc(db, PAYMENTS_COLLECTION, paymentId)
-      const memberRef = doc(db, 'members', payment.memberId)
+      const year = new Date().getFullYear()
+      const counterDocRef = clubDoc(CREDIT_NOTE_COUNTER_COLLECTION, String(year))
+      const counterDoc = await transaction.get(counterDocRef)
 
+      const memberRef = clubDoc('members', payment.memberId)
       const memberDoc = await transaction.get(memberRef)
 
       if (!memberDoc.exists()) {
         throw new Error('Member not found')
       }
 
+      const feeAllocations = payment.feeAllocations || []
+      const feeIds = [...new Set(feeAllocations.map(a => a.feeId))]
+      const feeDocs = await Promise.all(feeIds.map(feeId => transaction.get(clubDoc('fees', feeId))))
+
+      const allocations = payment.instalmentAllocations || []
+      const planIds = [...new Set(allocations.map(a => a.planId))]
+      const planDocs = await Promise.all(planIds.map(planId => transaction.get(getInstalmentPlanRef(planId))))
+
+      // Voided voucher payments, and refunds made to the voucher, put the value back on it
+      const isVoid = reversalData.reversalType === 'void'
+      const refundMethod = isVoid ? '' : reversalData.refundMethod || payment.paymentMethod
+      let voucher = null
+      if (payment.voucherCode && (isVoid || refundMethod === VOUCHER_PAYMENT_METHOD)) {
+        const voucherDoc = await transaction.get(getVoucherRef(payment.voucherCode))
+        if (voucherDoc.exists()) {
+          voucher = { id: voucherDoc.id, ...voucherDoc.data() }
+          if (voucher.status === VOUCHER_STATUSES.CANCELLED) {
+            throw new Error(`Voucher ${voucher.code} has been cancelled - refund by another method`)
+          }
+        }
+      }
+
+      // === PROCESS DATA ===
+      let nextNumber = 1
+      if (counterDoc.exists()) {
+        nextNumber = (counterDoc.data().lastNumber || 0) + 1
+      }
+      const creditNoteNumber = formatCreditNoteNumber(year, nextNumber)
+
+      const reversedAmount = isVoid ? roundCurrency(payment.amount) : roundCurrency(reversalData.amount)
+      const reversalDate = reversalData.reversalDate || new Date().toISOString().split('T')[0]
+      const reason = reversalData.reason.trim()
+
       const currentBalance = memberDoc.data().accountBalance || 0
-      // Subtract the payment amount from balance (removing the credit from deleting payment)
-      const newBalance = currentBalance - payment.amount
+      const newBalance = roundCurrency(currentBalance - reversedAmount)
 
-      // Delete payment
-      transaction.delete(paymentRef)
+      // Reopen the fees and instalments this payment paid off
+      const fees = feeDocs
+        .filter(feeDoc => feeDoc.exists())
+        .map(feeDoc => ({ id: feeDoc.id, ...feeDoc.data() }))
+      const unwoundFees = reverseFeeAllocations(fees, feeAllocations, reversedAmount)
 
-      // Update member balance
+      const plans = planDocs
+        .filter(planDoc => planDoc.exists())
+        .map(planDoc => ({ id: planDoc.id, ...planDoc.data() }))
+      const unwound = reverseInstalmentAllocations(plans, allocations, reversedAmount)
+
+      // === ALL WRITES AFTER READS ===
+      transaction.set(counterDocRef, {
+        lastNumber: nextNumber,
+        updatedAt: serverTimestamp()
+      }, { merge: true })
+
+      // Reverse the payment in the ledger so the history is preserved
+      const ledgerEntry = writeLedgerEntry(transaction, {
+        memberId: payment.memberId,
+        memberName: payment.memberName,
+        type: LEDGER_ENTRY_TYPES.REVERSAL,
+        amount: -reversedAmount,
+        entryDate: reversalDate,
+        description: `${isVoid ? 'Void' : 'Refund'} ${creditNoteNumber} of payment ${payment.receiptNumber} - ${reason}`,
+        sourceType: 'payment',
+        sourceId: paymentId,
+        reversesEntryId: payment.ledgerEntryId
+      }, userId)
+
+      const reversal = {
+        status: isVoid ? PAYMENT_STATUSES.VOIDED : PAYMENT_STATUSES.REFUNDED,
+        reversalType: reversalData.reversalType,
+        reversedAmount,
+        reversalDate,
+        refundMethod,
+        reversalReason: reason,
+        creditNoteNumber,
+        reversalLedgerEntryId: ledgerEntry.id,
+        reversedBy: userId,
+        reversedAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+      }
+
+      transaction.update(paymentRef, reversal)
+
+      writeFeeAllocations(transaction, unwoundFees.fees)
+      writePlanAllocations(transaction, unwound.plans)
+
+      if (voucher) {
+        writeVoucherRedemption(transaction, voucher, {
+          paymentId,
+          receiptNumber: payment.receiptNumber,
+          memberId: payment.memberId,
+          memberName: payment.memberName,
+          amount: -reversedAmount,
+          date: reversalDate,
+          creditNoteNumber
+        })
+      }
+
+      // Update cached member balance
       transaction.update(memberRef, {
         accountBalance: newBalance,
         updatedAt: serverTimestamp()
       })
+      writePortalBalance(transaction, memberRef.id, newBalance)
+
+      return { id: paymentId, ...payment, ...reversal }
     })
   } catch (error) {
-    console.error('Error deleting payment:', error)
+    console.error('Error reversing payment:', error)
     throw error
   }
 }
 
-// Get payment statistics
-export const getPaymentStats = async (year = new Date().getFullYear()) => {
-  try {
-    const startDate = `${year}-01-01`
-    const endDate = `${year}-12-31`
+// Totals for a set of payments. Voucher redemptions are kept apart from the
+// revenue figures - the money came in when the voucher was sold.
+export const summarisePayments = (payments) => {
+  const stats = {
+    totalAmount: 0,
+    totalCount: 0,
+    reversedCount: 0,
+    reversedAmount: 0,
+    voucherAmount: 0,
+    voucherCount: 0,
+    byMethod: {},
+    byMonth: {}
+  }
 
-    const payments = await getPaymentsByDateRange(startDate, endDate)
+  payments.forEach(payment => {
+    // Voided and refunded amounts are not revenue
+    const amount = getNetPaymentAmount(payment)
 
-    const stats = {
-      totalAmount: 0,
-      totalCount: payments.length,
-      byMethod: {
-        bank_transfer: 0,
-        cash: 0
-      },
-      byMonth: {}
+    if (payment.paymentMethod === VOUCHER_PAYMENT_METHOD) {
+      stats.voucherAmount += amount
+      stats.voucherCount++
+      return
     }
 
-    payments.forEach(payment => {
-      stats.totalAmount += payment.amount
+    stats.totalAmount += amount
+    stats.totalCount++
+    if (isPaymentReversed(payment)) {
+      stats.reversedCount++
+      stats.reversedAmount += payment.reversedAmount || 0
+    }
 
-      // Count by method
-      if (payment.paymentMethod === 'bank_transfer') {
-        stats.byMethod.bank_transfer += payment.amount
-      } else if (payment.paymentMethod === 'cash') {
-        stats.byMethod.cash += payment.amount
-      }
+    // Count by method (keyed by method code)
+    const method = payment.paymentMethod || 'unknown'
+    stats.byMethod[method] = (stats.byMethod[method] || 0) + amount
 
-      // Count by month
-      const month = payment.paymentDate.substring(0, 7) // YYYY-MM
-      if (!stats.byMonth[month]) {
-        stats.byMonth[month] = 0
-      }
-      stats.byMonth[month] += payment.amount
-    })
+    // Count by month
+    const month = payment.paymentDate.substring(0, 7) // YYYY-MM
+    if (!stats.byMonth[month]) {
+      stats.byMonth[month] = 0
+    }
+    stats.byMonth[month] += amount
+  })
+
+  return stats
+}
+
+// Get payment statistics
+export const getPaymentStats = async (year = new Date().getFullYear()) => {
+  try {
+    const startDate = `${year}-01-01`
+    const endDate = `${year}-12-31`
 
-    return stats
+    const payments = await getPaymentsByDateRange(startDate, endDate)
+    return summarisePayments(payments)
   } catch (error) {
     console.error('Error getting payment stats:', error)
     throw error
@@ -426,41 +1020,93 @@ export const getPaymentStats = async (year = new Date().getFullYear()) => {
 }
 
 // Format payment method for display
-export const formatPaymentMethod = (method) => {
-  const methods = {
-    bank_transfer: 'Bank Transfer',
-    cash: 'Cash'
+// Pass the configured methods (usePaymentMethods) so renamed/custom methods show their name
+export const formatPaymentMethod = (method, methods = []) => {
+  const found = findPaymentMethod(methods, method)
+  if (found) return found.name
+  if (!method) return ''
+  // Unknown code - make it readable (e.g. "pro_shop" -> "Pro Shop")
+  return method
+    .split('_')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ')
+}
+
+// Format payment status for display
+export const formatPaymentStatus = (status) => {
+  const statuses = {
+    active: 'Active',
+    voided: 'Voided',
+    refunded: 'Refunded'
+  }
+  return statuses[status || 'active'] || status
+}
+
+// Shared colours for receipt and credit note PDFs
+const PDF_COLORS = {
+  primaryColor: [41, 128, 185], // Blue
+  textColor: [44, 62, 80] // Dark gray
+}
+
+// Club logo and name, document title and rule used at the top of payment PDFs
+const drawPDFHeader = (doc, club, subtitle) => {
+  const { primaryColor, textColor } = PDF_COLORS
+
+  const logoFormat = getLogoImageFormat(club.logoDataUrl)
+  if (logoFormat) {
+    doc.addImage(club.logoDataUrl, logoFormat, 20, 10, 20, 20)
   }
-  return methods[method] || method
+
+  // Header - Club Name
+  doc.setFontSize(24)
+  doc.setTextColor(...primaryColor)
+  doc.text(club.clubName, 105, 20, { align: 'center' })
+
+  // Subtitle
+  doc.setFontSize(12)
+  doc.setTextColor(...textColor)
+  doc.text(subtitle, 105, 30, { align: 'center' })
+
+  // Horizontal line
+  doc.setDrawColor(...primaryColor)
+  doc.setLineWidth(0.5)
+  doc.line(20, 35, 190, 35)
+}
+
+// Club name and contact details, message and generation timestamp at the bottom of payment PDFs
+const drawPDFFooter = (doc, club, message) => {
+  const footerY = 270
+  doc.setDrawColor(...PDF_COLORS.primaryColor)
+  doc.setLineWidth(0.5)
+  doc.line(20, footerY, 190, footerY)
+
+  doc.setFontSize(9)
+  doc.setTextColor(128, 128, 128)
+  doc.text([club.legalName || club.clubName, formatClubContactLine(club)].filter(Boolean).join(' - '), 105, footerY + 7, { align: 'center' })
+  doc.text(message, 105, footerY + 12, { align: 'center' })
+
+  // Add timestamp
+  const now = new Date()
+  const timestamp = `Generated: ${now.toLocaleDateString()} ${now.toLocaleTimeString()}`
+  doc.setFontSize(8)
+  doc.text(timestamp, 105, footerY + 20, { align: 'center' })
 }
 
 // Generate PDF receipt for a payment
 export const generatePDFReceipt = async (payment) => {
   try {
-    // Get member details
-    const member = await getMemberById(payment.memberId)
+    // Get member details, configured payment method names and the club's details
+    const [member, paymentMethods, club] = await Promise.all([
+      getMemberById(payment.memberId),
+      getAllPaymentMethods(),
+      getClubSettings()
+    ])
 
     // Create new PDF document
     const doc = new jsPDF()
+    const { primaryColor, textColor } = PDF_COLORS
 
-    // Set up colors and fonts
-    const primaryColor = [41, 128, 185] // Blue
-    const textColor = [44, 62, 80] // Dark gray
-
-    // Header - Club Name
-    doc.setFontSize(24)
-    doc.setTextColor(...primaryColor)
-    doc.text('Tea Tree Golf Club', 105, 20, { align: 'center' })
-
-    // Subtitle
-    doc.setFontSize(12)
-    doc.setTextColor(...textColor)
-    doc.text('Payment Receipt', 105, 30, { align: 'center' })
-
-    // Horizontal line
-    doc.setDrawColor(...primaryColor)
-    doc.setLineWidth(0.5)
-    doc.line(20, 35, 190, 35)
+    drawPDFHeader(doc, club, 'Payment Receipt')
 
     // Receipt Details Header
     doc.setFontSize(16)
@@ -494,7 +1140,7 @@ export const generatePDFReceipt = async (payment) => {
     doc.setFont(undefined, 'bold')
     doc.text('Payment Method:', 20, yPos)
     doc.setFont(undefined, 'normal')
-    doc.text(formatPaymentMethod(payment.paymentMethod), 70, yPos)
+    doc.text(formatPaymentMethod(payment.paymentMethod, paymentMethods), 70, yPos)
 
     yPos += lineHeight
 
@@ -518,6 +1164,32 @@ export const generatePDFReceipt = async (payment) => {
     doc.text(`$${payment.amount.toFixed(2)}`, 70, yPos + 3)
     doc.setTextColor(...textColor)
 
+    // Receipts printed offline carry a provisional number until the payment syncs
+    if (payment.provisional) {
+      yPos += 15
+      doc.setFontSize(11)
+      doc.setTextColor(211, 47, 47)
+      doc.text('PROVISIONAL RECEIPT - the receipt number is issued when this payment is synced', 20, yPos)
+      doc.setTextColor(...textColor)
+    } else if (payment.provisionalReceiptNumber) {
+      yPos += 15
+      doc.setFontSize(11)
+      doc.text(`Replaces provisional receipt ${payment.provisionalReceiptNumber}`, 20, yPos)
+    }
+
+    // Reprints of reversed receipts point to the credit note
+    if (isPaymentReversed(payment)) {
+      yPos += 15
+      doc.setFontSize(11)
+      doc.setTextColor(211, 47, 47)
+      doc.text(
+        `${formatPaymentStatus(payment.status).toUpperCase()} - $${payment.reversedAmount.toFixed(2)} reversed by credit note ${payment.creditNoteNumber} on ${payment.reversalDate}`,
+        20,
+        yPos
+      )
+      doc.setTextColor(...textColor)
+    }
+
     // Member Details Header
     yPos += 25
     doc.setFontSize(16)
@@ -597,30 +1269,221 @@ export const generatePDFReceipt = async (payment) => {
       yPos += notesLines.length * lineHeight
     }
 
-    // Footer
-    const footerY = 270
+    drawPDFFooter(doc, club, 'Thank you for your payment!')
+
+    // Save the PDF
+    const fileName = `Receipt-${payment.receiptNumber || payment.id}.pdf`
+    doc.save(fileName)
+
+    return true
+  } catch (error) {
+    console.error('Error generating PDF receipt:', error)
+    throw error
+  }
+}
+
+// Generate PDF credit note for a voided or refunded payment
+export const generatePDFCreditNote = async (payment) => {
+  try {
+    if (!isPaymentReversed(payment)) {
+      throw new Error('Payment has not been voided or refunded')
+    }
+
+    // Get member details, configured payment method names and the club's details
+    const [member, paymentMethods, club] = await Promise.all([
+      getMemberById(payment.memberId),
+      getAllPaymentMethods(),
+      getClubSettings()
+    ])
+
+    // Create new PDF document
+    const doc = new jsPDF()
+    const { primaryColor, textColor } = PDF_COLORS
+    const isVoid = payment.status === PAYMENT_STATUSES.VOIDED
+
+    drawPDFHeader(doc, club, isVoid ? 'Credit Note - Void' : 'Credit Note - Refund')
+
+    // Credit Note Details Header
+    doc.setFontSize(16)
+    doc.setTextColor(...primaryColor)
+    doc.text('Credit Note Details', 20, 50)
+
+    doc.setFontSize(11)
+    doc.setTextColor(...textColor)
+
+    let yPos = 60
+    const lineHeight = 7
+
+    const fields = [
+      ['Credit Note:', payment.creditNoteNumber],
+      ['Date:', payment.reversalDate],
+      ['Original Receipt:', payment.receiptNumber],
+      ['Receipt Date:', payment.paymentDate],
+      ['Original Amount:', `$${payment.amount.toFixed(2)}`]
+    ]
+    if (!isVoid) {
+      fields.push(['Refunded Via:', formatPaymentMethod(payment.refundMethod, paymentMethods)])
+    }
+
+    fields.forEach(([label, value]) => {
+      doc.setFont(undefined, 'bold')
+      doc.text(label, 20, yPos)
+      doc.setFont(undefined, 'normal')
+      doc.text(value || 'N/A', 70, yPos)
+      yPos += lineHeight
+    })
+
+    // Amount - Highlighted
+    yPos += 5
+    doc.setFillColor(255, 240, 240) // Light red background
+    doc.roundedRect(20, yPos - 5, 170, 12, 2, 2, 'F')
+    doc.setFontSize(14)
+    doc.setFont(undefined, 'bold')
+    doc.text(isVoid ? 'Amount Voided:' : 'Amount Refunded:', 25, yPos + 3)
+    doc.setTextColor(211, 47, 47) // Red for amount
+    doc.text(`$${payment.reversedAmount.toFixed(2)}`, 75, yPos + 3)
+    doc.setTextColor(...textColor)
+
+    // Member Details Header
+    yPos += 25
+    doc.setFontSize(16)
+    doc.setTextColor(...primaryColor)
+    doc.text('Member Information', 20, yPos)
+
+    yPos += 10
+    doc.setFontSize(11)
+    doc.setTextColor(...textColor)
+
+    doc.setFont(undefined, 'bold')
+    doc.text('Name:', 20, yPos)
+    doc.setFont(undefined, 'normal')
+    doc.text(payment.memberName || member.fullName, 70, yPos)
+    yPos += lineHeight
+
+    if (member.golfAustraliaId) {
+      doc.setFont(undefined, 'bold')
+      doc.text('Golf Australia ID:', 20, yPos)
+      doc.setFont(undefined, 'normal')
+      doc.text(member.golfAustraliaId, 70, yPos)
+      yPos += lineHeight
+    }
+
+    doc.setFont(undefined, 'bold')
+    doc.text('Current Balance:', 20, yPos)
+    doc.setFont(undefined, 'normal')
+    const balanceColor = member.accountBalance >= 0 ? [46, 125, 50] : [211, 47, 47]
+    doc.setTextColor(...balanceColor)
+    doc.text(`$${(member.accountBalance || 0).toFixed(2)}`, 70, yPos)
+    doc.setTextColor(...textColor)
+
+    // Reason section
+    yPos += 15
+    doc.setFontSize(16)
+    doc.setTextColor(...primaryColor)
+    doc.text('Reason', 20, yPos)
+
+    yPos += 10
+    doc.setFontSize(11)
+    doc.setTextColor(...textColor)
+    doc.setFont(undefined, 'normal')
+    const reasonLines = doc.splitTextToSize(payment.reversalReason || '', 170)
+    doc.text(reasonLines, 20, yPos)
+
+    drawPDFFooter(doc, club, `This credit note cancels ${isVoid ? '' : 'part or all of '}receipt ${payment.receiptNumber}`)
+
+    // Save the PDF
+    const fileName = `CreditNote-${payment.creditNoteNumber}.pdf`
+    doc.save(fileName)
+
+    return true
+  } catch (error) {
+    console.error('Error generating PDF credit note:', error)
+    throw error
+  }
+}
+
+// Generate a printable gift voucher
+// Reprints of part-redeemed vouchers show the value left
+export const generatePDFVoucher = async (voucher) => {
+  try {
+    const club = await getClubSettings()
+
+    const doc = new jsPDF()
+    const { primaryColor, textColor } = PDF_COLORS
+
+    drawPDFHeader(doc, club, 'Gift Voucher')
+
+    // Value - the centrepiece of the voucher
     doc.setDrawColor(...primaryColor)
-    doc.setLineWidth(0.5)
-    doc.line(20, footerY, 190, footerY)
+    doc.setLineWidth(1)
+    doc.roundedRect(30, 48, 150, 50, 4, 4, 'S')
+    doc.setFontSize(14)
+    doc.setTextColor(...textColor)
+    doc.text('This voucher is worth', 105, 62, { align: 'center' })
+    doc.setFontSize(32)
+    doc.setFont(undefined, 'bold')
+    doc.setTextColor(...primaryColor)
+    doc.text(`$${voucher.faceValue.toFixed(2)}`, 105, 80, { align: 'center' })
+    doc.setFont(undefined, 'normal')
+    doc.setFontSize(11)
+    doc.setTextColor(...textColor)
+    doc.text('towards subscriptions, green fees or joining fees', 105, 91, { align: 'center' })
 
+    // Code to quote at the counter
+    doc.setFontSize(12)
+    doc.text('Voucher Code', 105, 112, { align: 'center' })
+    doc.setFontSize(22)
+    doc.setFont(undefined, 'bold')
+    doc.text(voucher.code, 105, 123, { align: 'center' })
+    doc.setFont(undefined, 'normal')
+
+    let yPos = 142
+    const lineHeight = 7
+    doc.setFontSize(11)
+
+    const fields = [
+      voucher.recipientName && ['To:', voucher.recipientName],
+      ['From:', voucher.purchaserName],
+      ['Issued:', voucher.issueDate],
+      ['Valid Until:', voucher.expiryDate]
+    ].filter(Boolean)
+
+    if (roundCurrency(voucher.balance) < roundCurrency(voucher.faceValue)) {
+      fields.push(['Value Left:', `$${voucher.balance.toFixed(2)}`])
+    }
+
+    fields.forEach(([label, value]) => {
+      doc.setFont(undefined, 'bold')
+      doc.text(label, 50, yPos)
+      doc.setFont(undefined, 'normal')
+      doc.text(value, 90, yPos)
+      yPos += lineHeight
+    })
+
+    // Conditions
+    yPos += 10
     doc.setFontSize(9)
     doc.setTextColor(128, 128, 128)
-    doc.text('Tea Tree Golf Club', 105, footerY + 7, { align: 'center' })
-    doc.text('Thank you for your payment!', 105, footerY + 12, { align: 'center' })
+    const conditions = doc.splitTextToSize(
+      `Present this voucher or quote its code when paying. It can be used over several payments until its value ` +
+      `is used up or it expires on ${voucher.expiryDate}. Not redeemable for cash.`,
+      150
+    )
+    doc.text(conditions, 105, yPos, { align: 'center' })
 
-    // Add timestamp
-    const now = new Date()
-    const timestamp = `Generated: ${now.toLocaleDateString()} ${now.toLocaleTimeString()}`
-    doc.setFontSize(8)
-    doc.text(timestamp, 105, footerY + 20, { align: 'center' })
+    if (voucher.status === VOUCHER_STATUSES.CANCELLED) {
+      doc.setFontSize(28)
+      doc.setTextColor(211, 47, 47)
+      doc.text('CANCELLED', 105, 40, { align: 'center' })
+    }
 
-    // Save the PDF
-    const fileName = `Receipt-${payment.receiptNumber || payment.id}.pdf`
-    doc.save(fileName)
+    drawPDFFooter(doc, club, 'Thank you for your purchase!')
+
+    doc.save(`Voucher-${voucher.code}.pdf`)
 
     return true
   } catch (error) {
-    console.error('Error generating PDF receipt:', error)
+    console.error('Error generating PDF voucher:', error)
     throw error
   }
 }
@@ -1,5 +1,23 @@
 import { describe, it, expect } from 'vitest'
-import { paymentFormSchema, transformPaymentFormData } from '../schemas'
+import {
+  paymentFormSchema,
+  transformPaymentFormData,
+  paymentReversalFormSchema,
+  transformPaymentReversalFormData
+} from '../schemas'
+import {
+  PAYMENT_STATUSES,
+  formatCreditNoteNumber,
+  formatReceiptNumber,
+  isPaymentReversed,
+  getNetPaymentAmount,
+  validatePaymentReversal,
+  formatPaymentStatus,
+  getPaymentListQuery,
+  getMemberSnapshot,
+  getMemberChangesSince,
+  summarisePayments
+} from './paymentsService'
 
 /**
  * Payment Service Tests
@@ -233,42 +251,7 @@ describe('Payment Balance Calculations', () => {
     })
   })
 
-  describe('updatePayment balance adjustment', () => {
-    it('should increase balance when payment amount increases', () => {
-      const oldAmount = 100
-      const newAmount = 150
-      const currentBalance = 200
-      const amountDifference = newAmount - oldAmount
-      const newBalance = currentBalance + amountDifference
-
-      expect(amountDifference).toBe(50)
-      expect(newBalance).toBe(250)
-    })
-
-    it('should decrease balance when payment amount decreases', () => {
-      const oldAmount = 150
-      const newAmount = 100
-      const currentBalance = 200
-      const amountDifference = newAmount - oldAmount
-      const newBalance = currentBalance + amountDifference
-
-      expect(amountDifference).toBe(-50)
-      expect(newBalance).toBe(150)
-    })
-
-    it('should not change balance when amount stays same', () => {
-      const oldAmount = 100
-      const newAmount = 100
-      const currentBalance = 200
-      const amountDifference = newAmount - oldAmount
-      const newBalance = currentBalance + amountDifference
-
-      expect(amountDifference).toBe(0)
-      expect(newBalance).toBe(200)
-    })
-  })
-
-  describe('deletePayment balance reversal', () => {
+  describe('reversePayment balance reversal', () => {
     it('should subtract payment amount from balance', () => {
       const currentBalance = 300
       const paymentAmount = 100
@@ -277,7 +260,7 @@ describe('Payment Balance Calculations', () => {
       expect(newBalance).toBe(200)
     })
 
-    it('should go negative when deleting causes debt', () => {
+    it('should go negative when voiding causes debt', () => {
       const currentBalance = 50
       const paymentAmount = 100
       const newBalance = currentBalance - paymentAmount
@@ -285,9 +268,9 @@ describe('Payment Balance Calculations', () => {
       expect(newBalance).toBe(-50)
     })
 
-    it('should make debt larger when deleting from negative balance', () => {
+    it('should make debt larger when voiding from negative balance', () => {
       const currentBalance = -100 // Already owes $100
-      const paymentAmount = 50   // Delete a $50 payment
+      const paymentAmount = 50   // Void a $50 payment
       const newBalance = currentBalance - paymentAmount
 
       expect(newBalance).toBe(-150) // Now owes $150
@@ -335,4 +318,221 @@ describe('Receipt Number Generation', () => {
 
     expect(receiptNumber).toBe('R2025-1234')
   })
+
+  it('should use the club receipt prefix', () => {
+    expect(formatReceiptNumber(2025, 7)).toBe('R2025-007')
+    expect(formatReceiptNumber(2025, 42, 'TTGC-')).toBe('TTGC-2025-042')
+  })
+})
+
+describe('Payment Reversals', () => {
+  const payment = {
+    receiptNumber: 'R2025-010',
+    amount: 250,
+    status: PAYMENT_STATUSES.ACTIVE
+  }
+
+  describe('formatCreditNoteNumber', () => {
+    it('should use its own CN prefix and padding', () => {
+      expect(formatCreditNoteNumber(2025, 1)).toBe('CN2025-001')
+      expect(formatCreditNoteNumber(2025, 42)).toBe('CN2025-042')
+    })
+  })
+
+  describe('isPaymentReversed', () => {
+    it('should treat payments without a status as active', () => {
+      expect(isPaymentReversed({ amount: 100 })).toBe(false)
+      expect(isPaymentReversed(payment)).toBe(false)
+    })
+
+    it('should detect voided and refunded payments', () => {
+      expect(isPaymentReversed({ ...payment, status: 'voided' })).toBe(true)
+      expect(isPaymentReversed({ ...payment, status: 'refunded' })).toBe(true)
+    })
+  })
+
+  describe('getNetPaymentAmount', () => {
+    it('should return the full amount for active payments', () => {
+      expect(getNetPaymentAmount(payment)).toBe(250)
+    })
+
+    it('should subtract voided and refunded amounts', () => {
+      expect(getNetPaymentAmount({ ...payment, status: 'voided', reversedAmount: 250 })).toBe(0)
+      expect(getNetPaymentAmount({ ...payment, status: 'refunded', reversedAmount: 100.1 })).toBe(149.9)
+    })
+  })
+
+  describe('validatePaymentReversal', () => {
+    it('should accept a void with a reason', () => {
+      expect(validatePaymentReversal(payment, { reversalType: 'void', reason: 'Duplicate entry' })).toBeNull()
+    })
+
+    it('should accept a partial refund', () => {
+      expect(validatePaymentReversal(payment, { reversalType: 'refund', amount: 100, reason: 'Resigned' })).toBeNull()
+    })
+
+    it('should require a reason', () => {
+      expect(validatePaymentReversal(payment, { reversalType: 'void', reason: '  ' })).toMatch(/reason is required/)
+    })
+
+    it('should reject refunds larger than the payment', () => {
+      expect(validatePaymentReversal(payment, { reversalType: 'refund', amount: 300, reason: 'Resigned' }))
+        .toMatch(/cannot exceed/)
+    })
+
+    it('should reject reversing a payment twice', () => {
+      expect(validatePaymentReversal({ ...payment, status: 'voided' }, { reversalType: 'void', reason: 'Again' }))
+        .toMatch(/already been voided/)
+    })
+
+    it('should reject unknown reversal types', () => {
+      expect(validatePaymentReversal(payment, { reversalType: 'delete', reason: 'x' })).toMatch(/Invalid reversal type/)
+    })
+  })
+
+  describe('formatPaymentStatus', () => {
+    it('should format statuses for display', () => {
+      expect(formatPaymentStatus(undefined)).toBe('Active')
+      expect(formatPaymentStatus('voided')).toBe('Voided')
+      expect(formatPaymentStatus('refunded')).toBe('Refunded')
+    })
+  })
+
+  describe('paymentReversalFormSchema', () => {
+    const form = {
+      reversalType: 'void',
+      amount: '',
+      reversalDate: '2025-03-01',
+      refundMethod: '',
+      reason: 'Recorded against the wrong member'
+    }
+
+    it('should validate a void without an amount', () => {
+      expect(paymentReversalFormSchema.safeParse(form).success).toBe(true)
+    })
+
+    it('should require a positive amount for refunds', () => {
+      const result = paymentReversalFormSchema.safeParse({ ...form, reversalType: 'refund', amount: '0' })
+      expect(result.success).toBe(false)
+      expect(result.error.issues[0].path).toEqual(['amount'])
+    })
+
+    it('should require a reason', () => {
+      expect(paymentReversalFormSchema.safeParse({ ...form, reason: '' }).success).toBe(false)
+    })
+
+    it('should only pass refund details through for refunds', () => {
+      expect(transformPaymentReversalFormData({ ...form, amount: '50' })).toEqual({
+        reversalType: 'void',
+        amount: undefined,
+        reversalDate: '2025-03-01',
+        refundMethod: '',
+        reason: 'Recorded against the wrong member'
+      })
+      expect(transformPaymentReversalFormData({ ...form, reversalType: 'refund', amount: '50', refundMethod: 'cash' }))
+        .toMatchObject({ amount: 50, refundMethod: 'cash' })
+    })
+  })
+})
+
+describe('Payments List Query', () => {
+  it('should sort an unfiltered list by any list column', () => {
+    expect(getPaymentListQuery({}, 'amount', 'asc')).toEqual({ conditions: [], sort: 'amount', direction: 'asc' })
+  })
+
+  it('should fall back to newest first for unknown columns', () => {
+    expect(getPaymentListQuery({}, 'recordedBy', 'asc')).toEqual({ conditions: [], sort: 'paymentDate', direction: 'desc' })
+  })
+
+  it('should filter by method, status and date range in date order', () => {
+    const filters = { method: 'eftpos', status: 'refunded', from: '2025-01-01', to: '2025-12-31' }
+    expect(getPaymentListQuery(filters, 'memberName', 'asc')).toEqual({
+      conditions: [
+        ['paymentMethod', '==', 'eftpos'],
+        ['status', '==', 'refunded'],
+        ['paymentDate', '>=', '2025-01-01'],
+        ['paymentDate', '<=', '2025-12-31']
+      ],
+      sort: 'paymentDate',
+      direction: 'desc'
+    })
+  })
+
+  it('should keep the date direction when filtered', () => {
+    expect(getPaymentListQuery({ from: '2025-01-01' }, 'paymentDate', 'asc').direction).toBe('asc')
+  })
+})
+
+describe('Offline Payment Review', () => {
+  const member = {
+    fullName: 'Jane Smith',
+    status: 'financial',
+    membershipCategory: 'Full',
+    accountBalance: -150.1
+  }
+
+  it('should snapshot the fields checked for review', () => {
+    expect(getMemberSnapshot({ ...member, email: 'jane@example.com' })).toEqual({
+      fullName: 'Jane Smith',
+      status: 'financial',
+      membershipCategory: 'Full',
+      accountBalance: -150.1
+    })
+  })
+
+  it('should treat a missing balance as zero', () => {
+    expect(getMemberSnapshot({ ...member, accountBalance: undefined }).accountBalance).toBe(0)
+  })
+
+  it('should find no changes for an unchanged member', () => {
+    expect(getMemberChangesSince(getMemberSnapshot(member), member)).toEqual([])
+  })
+
+  it('should list each change with status labels', () => {
+    const changed = { ...member, fullName: 'Jane Brown', status: 'suspended', membershipCategory: 'Senior' }
+    expect(getMemberChangesSince(getMemberSnapshot(member), changed)).toEqual([
+      'Name changed from Jane Smith to Jane Brown',
+      'Status changed from Financial to Suspended',
+      'Category changed from Full to Senior'
+    ])
+  })
+
+  it('should flag a balance change', () => {
+    const reasons = getMemberChangesSince(getMemberSnapshot(member), { ...member, accountBalance: 0 })
+    expect(reasons).toHaveLength(1)
+    expect(reasons[0]).toContain('Balance changed from $-150.10 to $0.00')
+  })
+})
+
+describe('summarisePayments', () => {
+  const payments = [
+    { amount: 200, paymentMethod: 'eftpos', paymentDate: '2025-01-10' },
+    { amount: 100, paymentMethod: 'cash', paymentDate: '2025-02-03', status: 'refunded', reversedAmount: 25 },
+    { amount: 50, paymentMethod: 'voucher', paymentDate: '2025-02-14' }
+  ]
+
+  it('leaves voucher redemptions out of revenue', () => {
+    const stats = summarisePayments(payments)
+    expect(stats.totalAmount).toBe(275)
+    expect(stats.totalCount).toBe(2)
+    expect(stats.byMethod).toEqual({ eftpos: 200, cash: 75 })
+    expect(stats.byMonth).toEqual({ '2025-01': 200, '2025-02': 75 })
+  })
+
+  it('reports voucher redemptions separately', () => {
+    const stats = summarisePayments(payments)
+    expect(stats.voucherAmount).toBe(50)
+    expect(stats.voucherCount).toBe(1)
+  })
+
+  it('counts reversals against revenue payments only', () => {
+    const stats = summarisePayments([
+      ...payments,
+      { amount: 30, paymentMethod: 'voucher', paymentDate: '2025-03-01', status: 'voided', reversedAmount: 30 }
+    ])
+    expect(stats.reversedCount).toBe(1)
+    expect(stats.reversedAmount).toBe(25)
+    expect(stats.voucherAmount).toBe(50)
+    expect(stats.voucherCount).toBe(2)
+  })
 })
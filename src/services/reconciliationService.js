@@ -0,0 +1,351 @@
+import {
+  getDocs,
+  runTransaction,
+  serverTimestamp,
+  addDoc
+} from 'firebase/firestore'
+import { db } from '../firebase'
+import { clubCollection, clubDoc } from '../lib/firebase/clubScope'
+import {
+  writeLedgerEntry,
+  calculateLedgerBalance,
+  roundCurrency,
+  backfillMemberLedger,
+  LEDGER_ENTRY_TYPES
+} from './ledgerService'
+import { writePortalBalance } from './memberPortalService'
+
+const RECONCILIATION_LOG_COLLECTION = 'reconciliationLog'
+
+/**
+ * Discrepancy causes reported by the reconciliation job
+ */
+export const DISCREPANCY_CAUSES = {
+  NO_LEDGER: 'no_ledger',                         // Member predates the ledger
+  MISSING_LEDGER_ENTRY: 'missing_ledger_entry',   // Payment/fee exists but was never posted
+  AMOUNT_MISMATCH: 'amount_mismatch',             // Posted amount differs from the payment/fee
+  ORPHANED_LEDGER_ENTRY: 'orphaned_ledger_entry', // Posted payment/fee no longer exists
+  CACHE_DRIFT: 'cache_drift'                      // accountBalance differs from the ledger
+}
+
+// Format discrepancy cause for display
+export const formatDiscrepancyCause = (cause) => {
+  const causes = {
+    no_ledger: 'No ledger history',
+    missing_ledger_entry: 'Missing ledger entry',
+    amount_mismatch: 'Amount mismatch',
+    orphaned_ledger_entry: 'Orphaned ledger entry',
+    cache_drift: 'Cached balance drift'
+  }
+  return causes[cause] || cause
+}
+
+const groupBy = (items, key) => {
+  const groups = {}
+  items.forEach(item => {
+    const value = item[key]
+    if (!value) return
+    if (!groups[value]) groups[value] = []
+    groups[value].push(item)
+  })
+  return groups
+}
+
+const sumAmounts = (items) => roundCurrency(items.reduce((sum, item) => sum + (item.amount || 0), 0))
+
+/**
+ * Reconcile every member's balance against payments, fees and the ledger
+ * Pure function - takes full collection reads and returns the discrepancies found
+ * @param {Object} data - { members, payments, fees, ledgerEntries }
+ * @returns {Object} { checkedMembers, discrepancies, orphans, totalDifference }
+ */
+export const reconcileBalances = ({ members = [], payments = [], fees = [], ledgerEntries = [] }) => {
+  const memberIds = new Set(members.map(m => m.id))
+  const paymentsByMember = groupBy(payments, 'memberId')
+  const feesByMember = groupBy(fees, 'memberId')
+  const entriesByMember = groupBy(ledgerEntries, 'memberId')
+
+  const discrepancies = []
+
+  members.forEach(member => {
+    const memberPayments = paymentsByMember[member.id] || []
+    const memberFees = feesByMember[member.id] || []
+    const entries = entriesByMember[member.id] || []
+    const cachedBalance = roundCurrency(member.accountBalance)
+    const issues = []
+
+    // Members with no ledger history can only be brought in by a backfill
+    if (entries.length === 0) {
+      const paymentsTotal = memberPayments.reduce((sum, p) => sum + p.amount - (p.reversedAmount || 0), 0)
+      const historyBalance = roundCurrency(paymentsTotal - sumAmounts(memberFees))
+      if (memberPayments.length === 0 && memberFees.length === 0 && cachedBalance === 0) return
+
+      const openingBalance = roundCurrency(cachedBalance - historyBalance)
+      issues.push({
+        cause: DISCREPANCY_CAUSES.NO_LEDGER,
+        description: `${memberPayments.length} payment(s) and ${memberFees.length} fee(s) not in ledger` +
+          (openingBalance !== 0 ? `; ${openingBalance < 0 ? '-' : ''}$${Math.abs(openingBalance).toFixed(2)} unexplained by history will be recorded as opening balance` : ''),
+        amount: 0,
+        sourceId: ''
+      })
+
+      discrepancies.push({
+        memberId: member.id,
+        memberName: member.fullName,
+        cachedBalance,
+        ledgerBalance: 0,
+        expectedBalance: cachedBalance,
+        difference: 0,
+        correctionAmount: 0,
+        needsBackfill: true,
+        issues
+      })
+      return
+    }
+
+    const entriesBySource = groupBy(entries, 'sourceId')
+    const knownSourceIds = new Set()
+
+    // Every payment should net to its amount less any void/refund in the ledger
+    memberPayments.forEach(payment => {
+      knownSourceIds.add(payment.id)
+      const netAmount = roundCurrency(payment.amount - (payment.reversedAmount || 0))
+      const posted = sumAmounts(entriesBySource[payment.id] || [])
+      const diff = roundCurrency(netAmount - posted)
+      if (diff !== 0) {
+        issues.push({
+          cause: posted === 0 ? DISCREPANCY_CAUSES.MISSING_LEDGER_ENTRY : DISCREPANCY_CAUSES.AMOUNT_MISMATCH,
+          description: `Payment ${payment.receiptNumber || payment.id} ($${netAmount.toFixed(2)} net) posted as $${posted.toFixed(2)}`,
+          amount: diff,
+          sourceId: payment.id
+        })
+      }
+    })
+
+    // Every fee should net to -amount in the ledger
+    memberFees.forEach(fee => {
+      knownSourceIds.add(fee.id)
+      const posted = sumAmounts(entriesBySource[fee.id] || [])
+      const diff = roundCurrency(-fee.amount - posted)
+      if (diff !== 0) {
+        issues.push({
+          cause: posted === 0 ? DISCREPANCY_CAUSES.MISSING_LEDGER_ENTRY : DISCREPANCY_CAUSES.AMOUNT_MISMATCH,
+          description: `Fee "${fee.notes || fee.feeYear}" ($${fee.amount.toFixed(2)}) posted as $${Math.abs(posted).toFixed(2)}`,
+          amount: diff,
+          sourceId: fee.id
+        })
+      }
+    })
+
+    // Ledger entries for payments/fees that no longer exist must net to zero
+    Object.entries(entriesBySource).forEach(([sourceId, sourceEntries]) => {
+      if (knownSourceIds.has(sourceId)) return
+      const origin = sourceEntries.find(e => e.sourceType === 'payment' || e.sourceType === 'fee')
+      if (!origin) return
+
+      const posted = sumAmounts(sourceEntries)
+      if (posted !== 0) {
+        issues.push({
+          cause: DISCREPANCY_CAUSES.ORPHANED_LEDGER_ENTRY,
+          description: `${origin.sourceType === 'payment' ? 'Payment' : 'Fee'} ${sourceId} was removed without a reversal (${origin.description})`,
+          amount: roundCurrency(-posted),
+          sourceId
+        })
+      }
+    })
+
+    const ledgerBalance = calculateLedgerBalance(entries)
+    const correctionAmount = sumAmounts(issues)
+    const expectedBalance = roundCurrency(ledgerBalance + correctionAmount)
+    const difference = roundCurrency(expectedBalance - cachedBalance)
+
+    if (difference !== 0 && roundCurrency(ledgerBalance - cachedBalance) !== 0) {
+      issues.push({
+        cause: DISCREPANCY_CAUSES.CACHE_DRIFT,
+        description: `Cached balance $${cachedBalance.toFixed(2)} does not match ledger balance $${ledgerBalance.toFixed(2)}`,
+        amount: 0,
+        sourceId: ''
+      })
+    }
+
+    if (issues.length === 0) return
+
+    discrepancies.push({
+      memberId: member.id,
+      memberName: member.fullName,
+      cachedBalance,
+      ledgerBalance,
+      expectedBalance,
+      difference,
+      correctionAmount,
+      needsBackfill: false,
+      issues
+    })
+  })
+
+  // Records pointing at members that no longer exist (hard deletes, partial clears)
+  const orphans = [
+    ...payments
+      .filter(p => !memberIds.has(p.memberId))
+      .map(p => ({ collection: 'payments', id: p.id, memberId: p.memberId, memberName: p.memberName, amount: p.amount, description: `Payment ${p.receiptNumber || ''}`.trim() })),
+    ...fees
+      .filter(f => !memberIds.has(f.memberId))
+      .map(f => ({ collection: 'fees', id: f.id, memberId: f.memberId, memberName: f.memberName, amount: -f.amount, description: f.notes || `${f.feeYear} Fee` })),
+    ...ledgerEntries
+      .filter(e => !memberIds.has(e.memberId))
+      .map(e => ({ collection: 'ledgerEntries', id: e.id, memberId: e.memberId, memberName: e.memberName, amount: e.amount, description: e.description }))
+  ]
+
+  return {
+    checkedMembers: members.length,
+    discrepancies: discrepancies.sort((a, b) => (a.memberName || '').localeCompare(b.memberName || '')),
+    orphans,
+    totalDifference: roundCurrency(discrepancies.reduce((sum, d) => sum + Math.abs(d.difference), 0))
+  }
+}
+
+/**
+ * Run a full reconciliation against the live database
+ * Reads members, payments, fees and ledger entries in full (like exportAllData)
+ * @returns {Object} Reconciliation report - see reconcileBalances
+ */
+export const runBalanceReconciliation = async () => {
+  try {
+    const [membersSnap, paymentsSnap, feesSnap, ledgerSnap] = await Promise.all([
+      getDocs(clubCollection('members')),
+      getDocs(clubCollection('payments')),
+      getDocs(clubCollection('fees')),
+      getDocs(clubCollection('ledgerEntries'))
+    ])
+
+    const toArray = (snap) => snap.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+
+    return {
+      runAt: new Date().toISOString(),
+      ...reconcileBalances({
+        members: toArray(membersSnap),
+        payments: toArray(paymentsSnap),
+        fees: toArray(feesSnap),
+        ledgerEntries: toArray(ledgerSnap)
+      })
+    }
+  } catch (error) {
+    console.error('Error running balance reconciliation:', error)
+    throw error
+  }
+}
+
+/**
+ * Apply corrections for a single member discrepancy
+ * Ledger gaps become adjustment entries; the cached balance is then rewritten
+ * @param {Object} discrepancy - Discrepancy from reconcileBalances
+ * @param {string} userId - ID of user applying the correction
+ * @returns {Object} { entriesCreated, accountBalance }
+ */
+const applyMemberCorrection = async (discrepancy, userId) => {
+  if (discrepancy.needsBackfill) {
+    const result = await backfillMemberLedger(discrepancy.memberId, userId)
+    return { entriesCreated: result.created, accountBalance: discrepancy.cachedBalance }
+  }
+
+  return runTransaction(db, async (transaction) => {
+    const memberRef = clubDoc('members', discrepancy.memberId)
+    const memberDoc = await transaction.get(memberRef)
+
+    if (!memberDoc.exists()) {
+      throw new Error('Member not found')
+    }
+
+    // Refuse to correct a balance that moved after the report was produced
+    if (roundCurrency(memberDoc.data().accountBalance) !== discrepancy.cachedBalance) {
+      throw new Error('Balance changed since reconciliation ran - please run it again')
+    }
+
+    let entriesCreated = 0
+    discrepancy.issues
+      .filter(issue => issue.amount !== 0)
+      .forEach(issue => {
+        writeLedgerEntry(transaction, {
+          memberId: discrepancy.memberId,
+          memberName: discrepancy.memberName,
+          type: LEDGER_ENTRY_TYPES.ADJUSTMENT,
+          amount: issue.amount,
+          description: `Reconciliation: ${issue.description}`,
+          sourceType: 'reconciliation',
+          sourceId: issue.sourceId
+        }, userId)
+        entriesCreated++
+      })
+
+    transaction.update(memberRef, {
+      accountBalance: discrepancy.expectedBalance,
+      balanceVerifiedAt: serverTimestamp(),
+      updatedAt: serverTimestamp()
+    })
+    writePortalBalance(transaction, discrepancy.memberId, discrepancy.expectedBalance)
+
+    return { entriesCreated, accountBalance: discrepancy.expectedBalance }
+  })
+}
+
+/**
+ * Apply corrections for selected discrepancies and record an audit log entry
+ * @param {Array} discrepancies - Discrepancies to correct
+ * @param {string} userId - ID of user applying the corrections
+ * @param {function} onProgress - Called with percentage (0-100)
+ * @returns {Object} Results with success/failed counts and details
+ */
+export const applyReconciliationCorrections = async (discrepancies, userId, onProgress = () => {}) => {
+  const results = {
+    total: discrepancies.length,
+    successful: 0,
+    failed: 0,
+    details: []
+  }
+
+  for (let i = 0; i < discrepancies.length; i++) {
+    const discrepancy = discrepancies[i]
+
+    try {
+      const outcome = await applyMemberCorrection(discrepancy, userId)
+      results.successful++
+      results.details.push({
+        memberId: discrepancy.memberId,
+        memberName: discrepancy.memberName,
+        previousBalance: discrepancy.cachedBalance,
+        accountBalance: outcome.accountBalance,
+        entriesCreated: outcome.entriesCreated,
+        causes: discrepancy.issues.map(issue => issue.cause),
+        status: 'success'
+      })
+    } catch (error) {
+      results.failed++
+      results.details.push({
+        memberId: discrepancy.memberId,
+        memberName: discrepancy.memberName,
+        previousBalance: discrepancy.cachedBalance,
+        causes: discrepancy.issues.map(issue => issue.cause),
+        status: 'failed',
+        reason: error.message
+      })
+    }
+
+    onProgress(((i + 1) / discrepancies.length) * 100)
+  }
+
+  try {
+    await addDoc(clubCollection(RECONCILIATION_LOG_COLLECTION), {
+      appliedBy: userId,
+      appliedAt: serverTimestamp(),
+      total: results.total,
+      successful: results.successful,
+      failed: results.failed,
+      details: results.details
+    })
+  } catch (error) {
+    // Corrections are already in the ledger; the log is a convenience summary
+    console.error('Error writing reconciliation log:', error)
+  }
+
+  return results
+}
@@ -0,0 +1,209 @@
+import { describe, it, expect } from 'vitest'
+import {
+  DISCREPANCY_CAUSES,
+  reconcileBalances,
+  formatDiscrepancyCause
+} from './reconciliationService'
+
+/**
+ * Reconciliation Service Tests
+ *
+ * These tests verify the pure reconciliation logic that compares cached
+ * balances, payments, fees and ledger entries without requiring Firebase.
+ */
+
+const member = (id, accountBalance, fullName = `Member ${id}`) => ({ id, fullName, accountBalance })
+const payment = (id, memberId, amount) => ({ id, memberId, amount, receiptNumber: `R2025-${id}` })
+const fee = (id, memberId, amount) => ({ id, memberId, amount, feeYear: 2025, notes: '2025 Annual Fee' })
+const entry = (id, memberId, amount, sourceType, sourceId, description = '') => ({
+  id, memberId, amount, sourceType, sourceId, description
+})
+
+describe('reconcileBalances', () => {
+  it('reports nothing when cache, ledger and history agree', () => {
+    const result = reconcileBalances({
+      members: [member('m1', -100)],
+      payments: [payment('p1', 'm1', 200)],
+      fees: [fee('f1', 'm1', 300)],
+      ledgerEntries: [
+        entry('e1', 'm1', 200, 'payment', 'p1'),
+        entry('e2', 'm1', -300, 'fee', 'f1')
+      ]
+    })
+
+    expect(result.checkedMembers).toBe(1)
+    expect(result.discrepancies).toEqual([])
+    expect(result.orphans).toEqual([])
+    expect(result.totalDifference).toBe(0)
+  })
+
+  it('ignores members with no history and a zero balance', () => {
+    const result = reconcileBalances({ members: [member('m1', 0)] })
+    expect(result.discrepancies).toEqual([])
+  })
+
+  it('flags members without a ledger for backfill', () => {
+    const result = reconcileBalances({
+      members: [member('m1', 50)],
+      payments: [payment('p1', 'm1', 100)],
+      fees: [],
+      ledgerEntries: []
+    })
+
+    const [discrepancy] = result.discrepancies
+    expect(discrepancy.needsBackfill).toBe(true)
+    expect(discrepancy.issues[0].cause).toBe(DISCREPANCY_CAUSES.NO_LEDGER)
+    // $50 cached vs $100 of payments - the remainder becomes an opening balance
+    expect(discrepancy.issues[0].description).toContain('-$50.00')
+    expect(discrepancy.expectedBalance).toBe(50)
+  })
+
+  it('detects payments and fees missing from the ledger', () => {
+    const result = reconcileBalances({
+      members: [member('m1', -100)],
+      payments: [payment('p1', 'm1', 200)],
+      fees: [fee('f1', 'm1', 300)],
+      ledgerEntries: [entry('e1', 'm1', -300, 'fee', 'f1')]
+    })
+
+    const [discrepancy] = result.discrepancies
+    expect(discrepancy.issues).toHaveLength(1)
+    expect(discrepancy.issues[0]).toMatchObject({
+      cause: DISCREPANCY_CAUSES.MISSING_LEDGER_ENTRY,
+      amount: 200,
+      sourceId: 'p1'
+    })
+    expect(discrepancy.ledgerBalance).toBe(-300)
+    expect(discrepancy.expectedBalance).toBe(-100)
+    expect(discrepancy.difference).toBe(0)
+  })
+
+  it('detects posted amounts that differ from the payment', () => {
+    const result = reconcileBalances({
+      members: [member('m1', 150)],
+      payments: [payment('p1', 'm1', 150)],
+      ledgerEntries: [entry('e1', 'm1', 100, 'payment', 'p1')]
+    })
+
+    const [discrepancy] = result.discrepancies
+    expect(discrepancy.issues[0]).toMatchObject({
+      cause: DISCREPANCY_CAUSES.AMOUNT_MISMATCH,
+      amount: 50
+    })
+  })
+
+  it('counts later adjustments against the same payment', () => {
+    const result = reconcileBalances({
+      members: [member('m1', 150)],
+      payments: [payment('p1', 'm1', 150)],
+      ledgerEntries: [
+        entry('e1', 'm1', 100, 'payment', 'p1'),
+        entry('e2', 'm1', 50, 'payment', 'p1')
+      ]
+    })
+
+    expect(result.discrepancies).toEqual([])
+  })
+
+  it('expects voided and refunded payments to net to the amount kept', () => {
+    const result = reconcileBalances({
+      members: [member('m1', 60)],
+      payments: [{ ...payment('p1', 'm1', 100), status: 'refunded', reversedAmount: 40 }],
+      ledgerEntries: [
+        entry('e1', 'm1', 100, 'payment', 'p1'),
+        entry('e2', 'm1', -40, 'payment', 'p1')
+      ]
+    })
+
+    expect(result.discrepancies).toEqual([])
+  })
+
+  it('detects ledger entries for payments removed without a reversal', () => {
+    const result = reconcileBalances({
+      members: [member('m1', 100)],
+      payments: [],
+      ledgerEntries: [entry('e1', 'm1', 100, 'payment', 'p-gone', 'Payment R2025-001')]
+    })
+
+    const [discrepancy] = result.discrepancies
+    expect(discrepancy.issues[0]).toMatchObject({
+      cause: DISCREPANCY_CAUSES.ORPHANED_LEDGER_ENTRY,
+      amount: -100,
+      sourceId: 'p-gone'
+    })
+    expect(discrepancy.expectedBalance).toBe(0)
+    expect(discrepancy.difference).toBe(-100)
+  })
+
+  it('accepts deleted payments that were properly reversed', () => {
+    const result = reconcileBalances({
+      members: [member('m1', 0)],
+      ledgerEntries: [
+        entry('e1', 'm1', 100, 'payment', 'p-gone'),
+        entry('e2', 'm1', -100, 'payment', 'p-gone')
+      ]
+    })
+
+    expect(result.discrepancies).toEqual([])
+  })
+
+  it('ignores manual and opening balance entries when matching sources', () => {
+    const result = reconcileBalances({
+      members: [member('m1', -40)],
+      ledgerEntries: [
+        entry('e1', 'm1', -50, 'opening_balance', ''),
+        entry('e2', 'm1', 10, 'manual', '')
+      ]
+    })
+
+    expect(result.discrepancies).toEqual([])
+  })
+
+  it('reports cached balance drift from the ledger', () => {
+    const result = reconcileBalances({
+      members: [member('m1', 75)],
+      payments: [payment('p1', 'm1', 100)],
+      ledgerEntries: [entry('e1', 'm1', 100, 'payment', 'p1')]
+    })
+
+    const [discrepancy] = result.discrepancies
+    expect(discrepancy.issues).toHaveLength(1)
+    expect(discrepancy.issues[0].cause).toBe(DISCREPANCY_CAUSES.CACHE_DRIFT)
+    expect(discrepancy.issues[0].amount).toBe(0)
+    expect(discrepancy.expectedBalance).toBe(100)
+    expect(discrepancy.difference).toBe(25)
+    expect(result.totalDifference).toBe(25)
+  })
+
+  it('lists records belonging to deleted members as orphans', () => {
+    const result = reconcileBalances({
+      members: [member('m1', 0)],
+      payments: [payment('p1', 'gone', 100)],
+      fees: [fee('f1', 'gone', 300)],
+      ledgerEntries: [entry('e1', 'gone', 100, 'payment', 'p1')]
+    })
+
+    expect(result.discrepancies).toEqual([])
+    expect(result.orphans.map(o => o.collection)).toEqual(['payments', 'fees', 'ledgerEntries'])
+    expect(result.orphans[1].amount).toBe(-300)
+  })
+
+  it('sorts discrepancies by member name', () => {
+    const result = reconcileBalances({
+      members: [member('m1', 10, 'Zed'), member('m2', 10, 'Amy')]
+    })
+
+    expect(result.discrepancies.map(d => d.memberName)).toEqual(['Amy', 'Zed'])
+  })
+})
+
+describe('formatDiscrepancyCause', () => {
+  it('formats known causes', () => {
+    expect(formatDiscrepancyCause('cache_drift')).toBe('Cached balance drift')
+    expect(formatDiscrepancyCause('orphaned_ledger_entry')).toBe('Orphaned ledger entry')
+  })
+
+  it('returns unknown causes unchanged', () => {
+    expect(formatDiscrepancyCause('other')).toBe('other')
+  })
+})
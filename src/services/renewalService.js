@@ -0,0 +1,532 @@
+import {
+  getDoc,
+  getDocs,
+  setDoc,
+  updateDoc,
+  query,
+  where,
+  orderBy,
+  runTransaction,
+  serverTimestamp,
+  writeBatch
+} from 'firebase/firestore'
+import { db } from '../firebase'
+import { clubCollection, clubDoc } from '../lib/firebase/clubScope'
+import { getAllCategories } from './categoryService'
+import { checkFeesApplied, applyFeeToMember } from './feeService'
+import {
+  MEMBER_STATUSES,
+  isCurrentMember,
+  isFeePayingMember,
+  buildStatusChange,
+  getStatusUpdate
+} from './memberStatusService'
+import { writeMemberEvent, getStatusEventType, MEMBER_EVENT_TYPES } from './memberEventService'
+import { proposeCategoryMoves, getAnnualCategoryFee } from './categoryProgressionService'
+import { roundCurrency } from './ledgerService'
+import {
+  getAllMemberGroups,
+  getMemberGroupForMember,
+  buildGroupMemberMap,
+  applyGroupPricing
+} from './memberGroupService'
+import { getClubSettings, DEFAULT_MEMBERSHIP_YEAR_START_MONTH } from './clubSettingsService'
+
+const RENEWAL_SEASONS_COLLECTION = 'renewalSeasons'
+const RENEWALS_COLLECTION = 'renewals'
+const MEMBERS_COLLECTION = 'members'
+
+export const RENEWAL_SEASON_STATUSES = {
+  OPEN: 'open',
+  CLOSED: 'closed'
+}
+
+/**
+ * Member responses to a renewal notice
+ */
+export const RENEWAL_RESPONSES = {
+  PENDING: 'pending',
+  RENEWING: 'renewing',
+  CHANGING_CATEGORY: 'changing_category',
+  RESIGNING: 'resigning'
+}
+
+export const RENEWAL_RESPONSE_LABELS = {
+  [RENEWAL_RESPONSES.PENDING]: 'No Response',
+  [RENEWAL_RESPONSES.RENEWING]: 'Renewing',
+  [RENEWAL_RESPONSES.CHANGING_CATEGORY]: 'Changing Category',
+  [RENEWAL_RESPONSES.RESIGNING]: 'Resigning'
+}
+
+// Responses that are charged the new year's fee
+const RENEWING_RESPONSES = [RENEWAL_RESPONSES.RENEWING, RENEWAL_RESPONSES.CHANGING_CATEGORY]
+
+/**
+ * Whether a renewal is charged the new year's fee
+ * @param {Object} renewal - Renewal with response
+ * @returns {boolean}
+ */
+export const isRenewing = (renewal) => RENEWING_RESPONSES.includes(renewal.response)
+
+/**
+ * First day of a membership year
+ * @param {number} year - Membership year
+ * @param {number} startMonth - Month the membership year starts (club setting, default March)
+ * @returns {string} ISO date
+ */
+export const getMembershipYearStart = (year, startMonth = DEFAULT_MEMBERSHIP_YEAR_START_MONTH) => {
+  return `${year}-${String(startMonth).padStart(2, '0')}-01`
+}
+
+/**
+ * Build a renewal notice for every fee-paying member
+ * Members who will have aged out of their category by the start of the year are renewed into the
+ * matching one, and linked members are quoted their category's group rate.
+ * @param {Array} members - All members
+ * @param {Array} categories - Membership categories
+ * @param {number} year - Membership year being renewed
+ * @param {Array} groups - Member groups (family, couple, corporate)
+ * @param {number} startMonth - Month the membership year starts (club setting, default March)
+ * @returns {Array} Renewal data sorted by member name
+ */
+export const buildRenewalNotices = (members, categories, year, groups = [], startMonth = DEFAULT_MEMBERSHIP_YEAR_START_MONTH) => {
+  const { moves } = proposeCategoryMoves(members, categories, getMembershipYearStart(year, startMonth), startMonth)
+  const movesByMember = new Map(moves.map(move => [move.memberId, move]))
+  const groupByMember = buildGroupMemberMap(groups)
+
+  return members
+    .filter(isFeePayingMember)
+    .map(member => {
+      const move = movesByMember.get(member.id)
+      const categoryId = move ? move.toCategoryId : member.membershipCategory || ''
+      const category = categories.find(c => c.id === categoryId)
+
+      return {
+        memberId: member.id,
+        memberName: member.fullName,
+        email: member.email || '',
+        currentCategoryId: member.membershipCategory || '',
+        proposedCategoryId: categoryId,
+        categoryId,
+        categoryName: category?.name || 'Unknown category',
+        feeAmount: applyGroupPricing(
+          category,
+          getAnnualCategoryFee(category, year, startMonth),
+          groupByMember.get(member.id)?.type
+        ).amount,
+        categoryChangeReason: move ? move.reason : '',
+        response: RENEWAL_RESPONSES.PENDING
+      }
+    })
+    .sort((a, b) => a.memberName.localeCompare(b.memberName))
+}
+
+/**
+ * Count renewals by response
+ * @param {Array} renewals - Renewals for a season
+ * @returns {Object} { total, pending, renewing, changingCategory, resigning, feesApplied, renewingFeeTotal }
+ */
+export const summariseRenewals = (renewals) => {
+  const count = (response) => renewals.filter(r => r.response === response).length
+  const renewing = renewals.filter(isRenewing)
+
+  return {
+    total: renewals.length,
+    pending: count(RENEWAL_RESPONSES.PENDING),
+    renewing: count(RENEWAL_RESPONSES.RENEWING),
+    changingCategory: count(RENEWAL_RESPONSES.CHANGING_CATEGORY),
+    resigning: count(RENEWAL_RESPONSES.RESIGNING),
+    feesApplied: renewals.filter(r => r.feeId).length,
+    renewingFeeTotal: roundCurrency(renewing.reduce((sum, r) => sum + (r.feeAmount || 0), 0))
+  }
+}
+
+/**
+ * Status a member leaves the club with when the season closes, or null if they stay
+ * @param {Object} renewal - Renewal with response
+ * @param {number} year - Membership year being renewed
+ * @returns {Object|null} { status, reason }
+ */
+export const getClosingStatus = (renewal, year) => {
+  if (renewal.response === RENEWAL_RESPONSES.RESIGNING) {
+    return { status: MEMBER_STATUSES.RESIGNED, reason: `Resigned at ${year} renewal` }
+  }
+  if (renewal.response === RENEWAL_RESPONSES.PENDING) {
+    return { status: MEMBER_STATUSES.INACTIVE, reason: `Lapsed - did not renew for ${year}` }
+  }
+  return null
+}
+
+/**
+ * Get all renewal seasons, newest first
+ * @returns {Array} Seasons
+ */
+export const getRenewalSeasons = async () => {
+  try {
+    const q = query(clubCollection(RENEWAL_SEASONS_COLLECTION), orderBy('year', 'desc'))
+    const snapshot = await getDocs(q)
+    return snapshot.docs.map(seasonDoc => ({ id: seasonDoc.id, ...seasonDoc.data() }))
+  } catch (error) {
+    console.error('Error getting renewal seasons:', error)
+    throw error
+  }
+}
+
+/**
+ * Get the renewals for a season, sorted by member name
+ * @param {string} seasonId - Season ID
+ * @returns {Array} Renewals
+ */
+export const getRenewalsBySeason = async (seasonId) => {
+  try {
+    const q = query(clubCollection(RENEWALS_COLLECTION), where('seasonId', '==', seasonId))
+    const snapshot = await getDocs(q)
+    return snapshot.docs
+      .map(renewalDoc => ({ id: renewalDoc.id, ...renewalDoc.data() }))
+      .sort((a, b) => a.memberName.localeCompare(b.memberName))
+  } catch (error) {
+    console.error('Error getting renewals:', error)
+    throw error
+  }
+}
+
+/**
+ * Open a renewal season and create a renewal notice for every fee-paying member
+ * Only one season can be open at a time, and each membership year has one season.
+ * @param {number} year - Membership year being renewed
+ * @param {Object} options - { responseDeadline } as an ISO date
+ * @param {string} userId - ID of user opening the season
+ * @returns {Object} Created season
+ */
+export const openRenewalSeason = async (year, { responseDeadline } = {}, userId) => {
+  try {
+    if (!Number.isInteger(year) || year < 2020 || year > 2100) {
+      throw new Error('Invalid membership year')
+    }
+
+    const seasons = await getRenewalSeasons()
+    if (seasons.some(season => season.year === year)) {
+      throw new Error(`A renewal season for ${year} already exists`)
+    }
+    if (seasons.some(season => season.status === RENEWAL_SEASON_STATUSES.OPEN)) {
+      throw new Error('Close the open renewal season before opening another')
+    }
+
+    const [categories, membersSnap, groups, { membershipYearStartMonth }] = await Promise.all([
+      getAllCategories(),
+      getDocs(clubCollection(MEMBERS_COLLECTION)),
+      getAllMemberGroups(),
+      getClubSettings()
+    ])
+    const members = membersSnap.docs.map(memberDoc => ({ id: memberDoc.id, ...memberDoc.data() }))
+    const notices = buildRenewalNotices(members, categories, year, groups, membershipYearStartMonth)
+
+    const seasonId = String(year)
+    const season = {
+      year,
+      name: `${year}/${String(year + 1).slice(-2)} Renewals`,
+      status: RENEWAL_SEASON_STATUSES.OPEN,
+      responseDeadline: responseDeadline || getMembershipYearStart(year, membershipYearStartMonth),
+      memberCount: notices.length,
+      openedBy: userId,
+      openedAt: serverTimestamp()
+    }
+
+    // Firestore batch has limit of 500 operations
+    const batchSize = 500
+    for (let i = 0; i < notices.length; i += batchSize) {
+      const batch = writeBatch(db)
+      notices.slice(i, i + batchSize).forEach(notice => {
+        batch.set(clubDoc(RENEWALS_COLLECTION, `${seasonId}_${notice.memberId}`), {
+          ...notice,
+          seasonId,
+          year,
+          createdAt: serverTimestamp(),
+          updatedAt: serverTimestamp()
+        })
+      })
+      await batch.commit()
+    }
+
+    // Written last so a season is only listed once all its renewals exist
+    await setDoc(clubDoc(RENEWAL_SEASONS_COLLECTION, seasonId), season)
+    return { id: seasonId, ...season }
+  } catch (error) {
+    console.error('Error opening renewal season:', error)
+    throw error
+  }
+}
+
+/**
+ * Record a member's response to their renewal notice
+ * @param {string} renewalId - Renewal ID
+ * @param {Object} responseData - { response, requestedCategoryId, notes }
+ * @param {string} userId - ID of user recording the response
+ * @returns {Object} Updated fields
+ */
+export const recordRenewalResponse = async (renewalId, { response, requestedCategoryId, notes }, userId) => {
+  try {
+    if (!Object.values(RENEWAL_RESPONSES).includes(response)) {
+      throw new Error(`Invalid renewal response: ${response}`)
+    }
+
+    const renewalRef = clubDoc(RENEWALS_COLLECTION, renewalId)
+    const renewalDoc = await getDoc(renewalRef)
+    if (!renewalDoc.exists()) {
+      throw new Error('Renewal not found')
+    }
+    const renewal = renewalDoc.data()
+
+    const seasonDoc = await getDoc(clubDoc(RENEWAL_SEASONS_COLLECTION, renewal.seasonId))
+    if (seasonDoc.data()?.status !== RENEWAL_SEASON_STATUSES.OPEN) {
+      throw new Error('This renewal season is closed')
+    }
+    if (renewal.feeId) {
+      throw new Error('The renewal fee has already been applied')
+    }
+
+    // Changing category renews into the requested category; anything else uses the proposed one
+    let categoryId = renewal.proposedCategoryId
+    if (response === RENEWAL_RESPONSES.CHANGING_CATEGORY) {
+      if (!requestedCategoryId) {
+        throw new Error('Choose the category the member is changing to')
+      }
+      categoryId = requestedCategoryId
+    }
+
+    const [categories, group, { membershipYearStartMonth }] = await Promise.all([
+      getAllCategories(),
+      getMemberGroupForMember(renewal.memberId),
+      getClubSettings()
+    ])
+    const category = categories.find(c => c.id === categoryId)
+    const annualFee = getAnnualCategoryFee(category, renewal.year, membershipYearStartMonth)
+
+    const updates = {
+      response,
+      categoryId,
+      categoryName: category?.name || 'Unknown category',
+      feeAmount: applyGroupPricing(category, annualFee, group?.type).amount,
+      notes: notes || '',
+      respondedBy: userId,
+      responseDate: new Date().toISOString().split('T')[0],
+      updatedAt: serverTimestamp()
+    }
+
+    await updateDoc(renewalRef, updates)
+    return { id: renewalId, ...updates }
+  } catch (error) {
+    console.error('Error recording renewal response:', error)
+    throw error
+  }
+}
+
+/**
+ * Apply the new year's fee to members who are renewing
+ * Members changing category (by request or by age) are moved first, so the fee is charged at the new rate.
+ * @param {string} seasonId - Season ID
+ * @param {string} userId - ID of user applying fees
+ * @returns {Object} Results with success/skipped/failed counts and details
+ */
+export const applyRenewalFees = async (seasonId, userId) => {
+  try {
+    const seasonDoc = await getDoc(clubDoc(RENEWAL_SEASONS_COLLECTION, seasonId))
+    if (!seasonDoc.exists()) {
+      throw new Error('Renewal season not found')
+    }
+    const season = seasonDoc.data()
+    if (season.status !== RENEWAL_SEASON_STATUSES.OPEN) {
+      throw new Error('This renewal season is closed')
+    }
+
+    const [renewals, alreadyCharged, { membershipYearStartMonth }] = await Promise.all([
+      getRenewalsBySeason(seasonId),
+      checkFeesApplied(season.year),
+      getClubSettings()
+    ])
+
+    const results = {
+      year: season.year,
+      successful: 0,
+      skipped: 0,
+      failed: 0,
+      totalAmount: 0,
+      details: []
+    }
+
+    for (const renewal of renewals.filter(r => isRenewing(r) && !r.feeId)) {
+      if (alreadyCharged.has(renewal.memberId)) {
+        results.skipped++
+        results.details.push({ ...renewal, status: 'skipped', reason: `${season.year} fee already applied` })
+        continue
+      }
+
+      try {
+        await runTransaction(db, async (transaction) => {
+          const memberRef = clubDoc(MEMBERS_COLLECTION, renewal.memberId)
+          const memberDoc = await transaction.get(memberRef)
+          if (!memberDoc.exists()) {
+            throw new Error('Member not found')
+          }
+
+          const member = memberDoc.data()
+          if (member.membershipCategory === renewal.categoryId) return
+
+          const reason = renewal.response === RENEWAL_RESPONSES.CHANGING_CATEGORY
+            ? `Changed category at ${season.year} renewal`
+            : renewal.categoryChangeReason || `Renewed for ${season.year}`
+          const changedDate = getMembershipYearStart(season.year, membershipYearStartMonth)
+
+          transaction.update(memberRef, {
+            membershipCategory: renewal.categoryId,
+            categoryChangedDate: changedDate,
+            categoryChangeReason: reason,
+            updatedAt: serverTimestamp()
+          })
+          writeMemberEvent(transaction, {
+            memberId: renewal.memberId,
+            memberName: member.fullName,
+            type: MEMBER_EVENT_TYPES.CATEGORY_CHANGE,
+            eventDate: changedDate,
+            from: member.membershipCategory,
+            to: renewal.categoryId,
+            reason,
+            source: 'renewal',
+            sourceId: seasonId
+          }, userId)
+        })
+
+        const fee = await applyFeeToMember({
+          memberId: renewal.memberId,
+          memberName: renewal.memberName,
+          amount: renewal.feeAmount,
+          feeYear: season.year,
+          notes: `${season.year} Annual Membership Fee - ${renewal.categoryName}`,
+          categoryId: renewal.categoryId,
+          categoryName: renewal.categoryName
+        }, userId)
+
+        await updateDoc(clubDoc(RENEWALS_COLLECTION, renewal.id), {
+          feeId: fee.id,
+          feeAppliedAt: serverTimestamp(),
+          updatedAt: serverTimestamp()
+        })
+
+        results.successful++
+        results.totalAmount = roundCurrency(results.totalAmount + renewal.feeAmount)
+        results.details.push({ ...renewal, status: 'success' })
+      } catch (error) {
+        results.failed++
+        results.details.push({ ...renewal, status: 'failed', error: error.message })
+      }
+    }
+
+    await updateDoc(clubDoc(RENEWAL_SEASONS_COLLECTION, seasonId), {
+      feesAppliedAt: serverTimestamp(),
+      feesAppliedBy: userId
+    })
+
+    return results
+  } catch (error) {
+    console.error('Error applying renewal fees:', error)
+    throw error
+  }
+}
+
+/**
+ * Close a renewal season
+ * Members who resigned are marked resigned, and members who never responded are marked lapsed (inactive).
+ * Fees must be applied to every renewing member first.
+ * @param {string} seasonId - Season ID
+ * @param {string} userId - ID of user closing the season
+ * @returns {Object} Results with success/skipped/failed counts and details
+ */
+export const closeRenewalSeason = async (seasonId, userId) => {
+  try {
+    const seasonRef = clubDoc(RENEWAL_SEASONS_COLLECTION, seasonId)
+    const seasonDoc = await getDoc(seasonRef)
+    if (!seasonDoc.exists()) {
+      throw new Error('Renewal season not found')
+    }
+    const season = seasonDoc.data()
+    if (season.status !== RENEWAL_SEASON_STATUSES.OPEN) {
+      throw new Error('This renewal season is already closed')
+    }
+
+    const renewals = await getRenewalsBySeason(seasonId)
+    const unbilled = renewals.filter(r => isRenewing(r) && !r.feeId)
+    if (unbilled.length > 0) {
+      throw new Error(`Apply fees to the ${unbilled.length} renewing members before closing the season`)
+    }
+
+    const results = {
+      successful: 0,
+      skipped: 0,
+      failed: 0,
+      details: []
+    }
+
+    for (const renewal of renewals) {
+      const closing = getClosingStatus(renewal, season.year)
+      if (!closing) continue
+
+      try {
+        const applied = await runTransaction(db, async (transaction) => {
+          const memberRef = clubDoc(MEMBERS_COLLECTION, renewal.memberId)
+          const memberDoc = await transaction.get(memberRef)
+          if (!memberDoc.exists()) {
+            throw new Error('Member not found')
+          }
+
+          // Already left the club some other way
+          const member = memberDoc.data()
+          if (!isCurrentMember(member)) return false
+
+          const change = buildStatusChange(member.status, closing.status, closing.reason, userId)
+          transaction.update(memberRef, {
+            ...getStatusUpdate(member, change),
+            updatedAt: serverTimestamp()
+          })
+          writeMemberEvent(transaction, {
+            memberId: renewal.memberId,
+            memberName: member.fullName,
+            type: getStatusEventType(member.status, closing.status),
+            from: member.status,
+            to: closing.status,
+            reason: closing.reason,
+            source: 'renewal',
+            sourceId: seasonId
+          }, userId)
+          transaction.update(clubDoc(RENEWALS_COLLECTION, renewal.id), {
+            outcome: closing.status,
+            updatedAt: serverTimestamp()
+          })
+          return true
+        })
+
+        if (applied) {
+          results.successful++
+          results.details.push({ ...renewal, status: 'success', outcome: closing.status })
+        } else {
+          results.skipped++
+          results.details.push({ ...renewal, status: 'skipped', reason: 'No longer a current member' })
+        }
+      } catch (error) {
+        results.failed++
+        results.details.push({ ...renewal, status: 'failed', error: error.message })
+      }
+    }
+
+    await updateDoc(seasonRef, {
+      status: RENEWAL_SEASON_STATUSES.CLOSED,
+      closedAt: serverTimestamp(),
+      closedBy: userId,
+      summary: summariseRenewals(renewals)
+    })
+
+    return results
+  } catch (error) {
+    console.error('Error closing renewal season:', error)
+    throw error
+  }
+}
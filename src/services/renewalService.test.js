@@ -0,0 +1,139 @@
+import { describe, it, expect } from 'vitest'
+import {
+  RENEWAL_RESPONSES,
+  isRenewing,
+  getMembershipYearStart,
+  buildRenewalNotices,
+  summariseRenewals,
+  getClosingStatus
+} from './renewalService'
+
+/**
+ * Annual Renewal Tests
+ *
+ * Who gets a renewal notice, at what category and fee, and what happens to them at close.
+ */
+
+const categories = [
+  { id: 'junior', name: 'Junior 16-18 years', ageMin: 16, ageMax: 18, annualFee: 180, isSpecial: false },
+  { id: 'young', name: 'Young Adult 19-25', ageMin: 19, ageMax: 25, annualFee: 400, proRataRates: { 3: 420 }, isSpecial: false },
+  { id: 'full', name: 'Full Membership', ageMin: 26, ageMax: 999, annualFee: 900, isSpecial: false }
+]
+
+const makeMember = (overrides = {}) => ({
+  id: 'm1',
+  fullName: 'Pat Full',
+  email: 'pat@example.com',
+  dateOfBirth: '1980-05-10',
+  membershipCategory: 'full',
+  status: 'financial',
+  ...overrides
+})
+
+describe('getMembershipYearStart', () => {
+  it('starts the membership year on 1 March', () => {
+    expect(getMembershipYearStart(2027)).toBe('2027-03-01')
+  })
+
+  it('uses the club\'s start month', () => {
+    expect(getMembershipYearStart(2027, 7)).toBe('2027-07-01')
+    expect(getMembershipYearStart(2027, 11)).toBe('2027-11-01')
+  })
+})
+
+describe('buildRenewalNotices', () => {
+  it('renews members into their current category at the annual fee', () => {
+    const [notice] = buildRenewalNotices([makeMember()], categories, 2027)
+    expect(notice).toEqual({
+      memberId: 'm1',
+      memberName: 'Pat Full',
+      email: 'pat@example.com',
+      currentCategoryId: 'full',
+      proposedCategoryId: 'full',
+      categoryId: 'full',
+      categoryName: 'Full Membership',
+      feeAmount: 900,
+      categoryChangeReason: '',
+      response: 'pending'
+    })
+  })
+
+  it('renews aged-out members into their new category at its March rate', () => {
+    const member = makeMember({ fullName: 'Sam Junior', dateOfBirth: '2008-02-10', membershipCategory: 'junior' })
+    const [notice] = buildRenewalNotices([member], categories, 2027)
+    expect(notice).toMatchObject({
+      currentCategoryId: 'junior',
+      proposedCategoryId: 'young',
+      categoryName: 'Young Adult 19-25',
+      feeAmount: 420,
+      categoryChangeReason: 'Aged 19 on 2027-03-01'
+    })
+  })
+
+  it('leaves out life and former members, sorted by name', () => {
+    const members = [
+      makeMember({ id: 'a', fullName: 'Zoe' }),
+      makeMember({ id: 'b', fullName: 'Life', status: 'life' }),
+      makeMember({ id: 'c', fullName: 'Gone', status: 'resigned' }),
+      makeMember({ id: 'd', fullName: 'Amy', status: 'unfinancial' })
+    ]
+    expect(buildRenewalNotices(members, categories, 2027).map(n => n.memberId)).toEqual(['d', 'a'])
+  })
+
+  it('quotes the category family rate for linked members', () => {
+    const familyCategories = categories.map(c =>
+      c.id === 'junior' ? { ...c, groupRates: [{ groupType: 'family', rateType: 'fixed', amount: 90 }] } : c
+    )
+    const members = [
+      makeMember({ id: 'kid1', fullName: 'Sam Smith', dateOfBirth: '2010-05-01', membershipCategory: 'junior' }),
+      makeMember({ id: 'kid2', fullName: 'Jo Brown', dateOfBirth: '2010-05-01', membershipCategory: 'junior' })
+    ]
+    const groups = [{ id: 'g1', type: 'family', memberIds: ['parent', 'kid1'] }]
+    const notices = buildRenewalNotices(members, familyCategories, 2027, groups)
+    expect(notices.find(n => n.memberId === 'kid1').feeAmount).toBe(90)
+    expect(notices.find(n => n.memberId === 'kid2').feeAmount).toBe(180)
+  })
+})
+
+describe('summariseRenewals', () => {
+  it('counts responses and totals fees for renewing members', () => {
+    const renewals = [
+      { response: RENEWAL_RESPONSES.PENDING, feeAmount: 900 },
+      { response: RENEWAL_RESPONSES.RENEWING, feeAmount: 900, feeId: 'f1' },
+      { response: RENEWAL_RESPONSES.CHANGING_CATEGORY, feeAmount: 420.5 },
+      { response: RENEWAL_RESPONSES.RESIGNING, feeAmount: 900 }
+    ]
+    expect(summariseRenewals(renewals)).toEqual({
+      total: 4,
+      pending: 1,
+      renewing: 1,
+      changingCategory: 1,
+      resigning: 1,
+      feesApplied: 1,
+      renewingFeeTotal: 1320.5
+    })
+  })
+})
+
+describe('isRenewing', () => {
+  it('charges renewing and changing category responses only', () => {
+    expect(isRenewing({ response: RENEWAL_RESPONSES.RENEWING })).toBe(true)
+    expect(isRenewing({ response: RENEWAL_RESPONSES.CHANGING_CATEGORY })).toBe(true)
+    expect(isRenewing({ response: RENEWAL_RESPONSES.PENDING })).toBe(false)
+    expect(isRenewing({ response: RENEWAL_RESPONSES.RESIGNING })).toBe(false)
+  })
+})
+
+describe('getClosingStatus', () => {
+  it('resigns resigning members and lapses members who did not respond', () => {
+    expect(getClosingStatus({ response: RENEWAL_RESPONSES.RESIGNING }, 2027))
+      .toEqual({ status: 'resigned', reason: 'Resigned at 2027 renewal' })
+    expect(getClosingStatus({ response: RENEWAL_RESPONSES.PENDING }, 2027))
+      .toEqual({ status: 'inactive', reason: 'Lapsed - did not renew for 2027' })
+  })
+
+  it('leaves renewing members alone', () => {
+    expect(getClosingStatus({ response: RENEWAL_RESPONSES.RENEWING }, 2027)).toBeNull()
+    expect(getClosingStatus({ response: RENEWAL_RESPONSES.CHANGING_CATEGORY }, 2027)).toBeNull()
+  })
+})
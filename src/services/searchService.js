@@ -0,0 +1,286 @@
+import {
+  getDocs,
+  writeBatch,
+  where,
+  orderBy
+} from 'firebase/firestore'
+import { db } from '../firebase'
+import { clubCollection } from '../lib/firebase/clubScope'
+import { getPage } from '../lib/firebase/pagination'
+
+/**
+ * Search index kept on member and application documents
+ *
+ * Each record stores `searchTokens` - every prefix (up to 20 characters) of its name
+ * parts, email, phone digits, Golf Australia ID or Golf Link number, suburb and, for
+ * members, tags and text member fields - and `searchName`, its lowercased name used
+ * for ordering and paging. A search looks up its longest word
+ * with one `array-contains` query, checks the remaining words against the same tokens
+ * and ranks the page, so the collection is never downloaded to search it.
+ */
+
+export const MIN_SEARCH_LENGTH = 2
+export const DEFAULT_SEARCH_PAGE_SIZE = 20
+
+const MAX_PREFIX_LENGTH = 20
+// firestore.rules rejects records with more tokens than this
+export const MAX_SEARCH_TOKENS = 500
+const BATCH_SIZE = 400
+
+/**
+ * Lowercase text with accents and apostrophes removed and other punctuation as spaces
+ * @param {string} text - Text to normalise
+ * @returns {string} e.g. "O'Brien-Smith" -> "obrien smith"
+ */
+export const normaliseSearchText = (text) => {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+}
+
+const toWords = (text) => {
+  const normalised = normaliseSearchText(text)
+  return normalised ? normalised.split(' ') : []
+}
+
+/**
+ * A phone number's digits, also in local form when entered with +61
+ * @param {string} phone - Phone as entered
+ * @returns {Array} e.g. '+61 412 345 678' -> ['61412345678', '0412345678']
+ */
+export const getPhoneVariants = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '')
+  if (digits.length < 6) return []
+  if (digits.startsWith('61') && digits.length === 11) {
+    return [digits, `0${digits.slice(2)}`]
+  }
+  return [digits]
+}
+
+/**
+ * Split a search as typed into the words to look up
+ * Digit groups are joined so '0412 345' finds '0412345678'.
+ * @param {string} term - Search text
+ * @returns {Array} Words, each at most 20 characters
+ */
+export const parseSearchTerm = (term) => {
+  const words = []
+  toWords(term).forEach(word => {
+    const previous = words[words.length - 1]
+    if (previous && /^\d+$/.test(previous) && /^\d+$/.test(word)) {
+      words[words.length - 1] = previous + word
+    } else {
+      words.push(word)
+    }
+  })
+  return [...new Set(words.map(word => word.slice(0, MAX_PREFIX_LENGTH)))]
+}
+
+// The words a record is found by - name words separately, as they rank higher
+const getRecordWords = ({ name, emails = [], phones = [], ids = [], places = [], labels = [] }) => ({
+  name: toWords(name),
+  other: [
+    ...emails.flatMap(toWords),
+    ...phones.flatMap(getPhoneVariants),
+    ...ids.flatMap(toWords),
+    ...places.flatMap(toWords),
+    ...labels.flatMap(toWords)
+  ]
+})
+
+/**
+ * Build the search fields stored on a record
+ * @param {Object} source - { name, emails, phones, ids, places, labels }
+ * @returns {Object} { searchTokens, searchName }
+ */
+export const buildSearchFields = (source) => {
+  const { name, other } = getRecordWords(source)
+  const tokens = new Set()
+  // Words are taken in order (name, contact details, then tags and member fields),
+  // so a record with long member field text loses the tail of that text, not its name
+  for (const word of [...name, ...other]) {
+    // Single letters too, so 'j smith' finds Jane Smith
+    for (let length = 1; length <= Math.min(word.length, MAX_PREFIX_LENGTH); length++) {
+      tokens.add(word.slice(0, length))
+      if (tokens.size === MAX_SEARCH_TOKENS) break
+    }
+    if (tokens.size === MAX_SEARCH_TOKENS) break
+  }
+  return {
+    searchTokens: [...tokens].sort(),
+    searchName: normaliseSearchText(source.name)
+  }
+}
+
+// What members are found by - tags and text custom field values too
+const getMemberSearchSource = (member) => ({
+  name: member.fullName,
+  emails: [member.email],
+  phones: [member.phoneMobile, member.phoneHome, member.phoneWork],
+  ids: [member.golfAustraliaId],
+  places: [member.suburb],
+  labels: [
+    ...(member.tags || []),
+    ...Object.values(member.customFields || {}).filter(value => typeof value === 'string')
+  ]
+})
+
+// What applications are found by
+const getApplicationSearchSource = (application) => ({
+  name: application.fullName,
+  emails: [application.email],
+  phones: [application.phoneMobile, application.phoneHome, application.phoneWork],
+  ids: [application.golfLinkNumber],
+  places: [application.suburb]
+})
+
+/**
+ * Search fields for a member, written whenever the member is saved
+ * @param {Object} member - Member data (the full record, not just the changes)
+ * @returns {Object} { searchTokens, searchName }
+ */
+export const buildMemberSearchFields = (member) => buildSearchFields(getMemberSearchSource(member))
+
+/**
+ * Search fields for an application, written when it is submitted
+ * @param {Object} application - Application data
+ * @returns {Object} { searchTokens, searchName }
+ */
+export const buildApplicationSearchFields = (application) => buildSearchFields(getApplicationSearchSource(application))
+
+/**
+ * Whether a record matches every word of a search
+ * @param {Object} record - Record with searchTokens
+ * @param {Array} words - From parseSearchTerm
+ * @returns {boolean}
+ */
+export const matchesSearchWords = (record, words) => {
+  const tokens = new Set(record.searchTokens || [])
+  return words.every(word => tokens.has(word))
+}
+
+/**
+ * Score how well a record matches - whole name words first, then name prefixes,
+ * then whole and partial matches on email, phone, ID and suburb
+ * @param {Object} source - { name, emails, phones, ids, places }
+ * @param {Array} words - From parseSearchTerm
+ * @returns {number} Higher is better
+ */
+export const scoreSearchMatch = (source, words) => {
+  const { name, other } = getRecordWords(source)
+  let score = words.reduce((total, word) => {
+    if (name.includes(word)) return total + 4
+    if (name.some(part => part.startsWith(word))) return total + 3
+    if (other.includes(word)) return total + 2
+    if (other.some(part => part.startsWith(word))) return total + 1
+    return total
+  }, 0)
+
+  // Typed the start of the name in order, e.g. 'jane sm'
+  if (normaliseSearchText(source.name).startsWith(words.join(' '))) score += 2
+  return score
+}
+
+/**
+ * Best matches first, then by name
+ * @param {Array} records - Matching records
+ * @param {Array} words - From parseSearchTerm
+ * @param {Function} getSource - Record -> { name, emails, phones, ids, places }
+ * @returns {Array} New sorted array
+ */
+export const rankSearchResults = (records, words, getSource) => {
+  return records
+    .map(record => ({ record, score: scoreSearchMatch(getSource(record), words) }))
+    .sort((a, b) => b.score - a.score || (a.record.searchName || '').localeCompare(b.record.searchName || ''))
+    .map(({ record }) => record)
+}
+
+// One page of a prefix search on a collection
+const searchCollection = async (collectionName, term, getSource, { pageSize = DEFAULT_SEARCH_PAGE_SIZE, cursor = null } = {}) => {
+  const words = parseSearchTerm(term)
+  if (words.join('').length < MIN_SEARCH_LENGTH) {
+    return { results: [], nextCursor: null }
+  }
+
+  // The longest word narrows the query most; the others are checked on the page
+  const lookupWord = [...words].sort((a, b) => b.length - a.length)[0]
+  const { items, nextCursor } = await getPage(
+    clubCollection(collectionName),
+    [where('searchTokens', 'array-contains', lookupWord), orderBy('searchName')],
+    { pageSize, cursor }
+  )
+
+  const matches = items.filter(record => matchesSearchWords(record, words))
+  return { results: rankSearchResults(matches, words, getSource), nextCursor }
+}
+
+/**
+ * Search members by name, email, phone, Golf Australia ID, suburb, tag or text member field
+ * Merged duplicates are left out.
+ * @param {string} term - Search text (at least 2 characters)
+ * @param {Object} options - { pageSize, cursor } - cursor is the previous page's nextCursor
+ * @returns {Object} { results, nextCursor } - nextCursor is null on the last page
+ */
+export const searchMemberIndex = async (term, options = {}) => {
+  try {
+    const page = await searchCollection('members', term, getMemberSearchSource, options)
+    return { ...page, results: page.results.filter(member => !member.mergedInto) }
+  } catch (error) {
+    console.error('Error searching members:', error)
+    throw error
+  }
+}
+
+/**
+ * Search applications by name, email, phone, Golf Link number or suburb
+ * @param {string} term - Search text (at least 2 characters)
+ * @param {Object} options - { pageSize, cursor }
+ * @returns {Object} { results, nextCursor }
+ */
+export const searchApplicationIndex = async (term, options = {}) => {
+  try {
+    return await searchCollection('applications', term, getApplicationSearchSource, options)
+  } catch (error) {
+    console.error('Error searching applications:', error)
+    throw error
+  }
+}
+
+// Write search fields onto every document of a collection that is missing or out of date
+const reindexCollection = async (collectionName, buildFields) => {
+  const snapshot = await getDocs(clubCollection(collectionName))
+  const stale = snapshot.docs
+    .map(docSnap => ({ ref: docSnap.ref, data: docSnap.data() }))
+    .map(({ ref, data }) => ({ ref, data, fields: buildFields(data) }))
+    .filter(({ data, fields }) =>
+      data.searchName !== fields.searchName ||
+      (data.searchTokens || []).join(' ') !== fields.searchTokens.join(' ')
+    )
+
+  for (let i = 0; i < stale.length; i += BATCH_SIZE) {
+    const batch = writeBatch(db)
+    stale.slice(i, i + BATCH_SIZE).forEach(({ ref, fields }) => batch.update(ref, fields))
+    await batch.commit()
+  }
+  return { checked: snapshot.size, updated: stale.length }
+}
+
+/**
+ * Build the search index for records saved before it existed (or imported directly)
+ * New and edited records are indexed as they are saved, so this only needs running once.
+ * @returns {Object} { members: { checked, updated }, applications: { checked, updated } }
+ */
+export const rebuildSearchIndex = async () => {
+  try {
+    const members = await reindexCollection('members', buildMemberSearchFields)
+    const applications = await reindexCollection('applications', buildApplicationSearchFields)
+    return { members, applications }
+  } catch (error) {
+    console.error('Error rebuilding search index:', error)
+    throw error
+  }
+}
@@ -0,0 +1,132 @@
+import { describe, it, expect } from 'vitest'
+import {
+  normaliseSearchText,
+  getPhoneVariants,
+  parseSearchTerm,
+  buildMemberSearchFields,
+  buildApplicationSearchFields,
+  matchesSearchWords,
+  scoreSearchMatch,
+  rankSearchResults,
+  MAX_SEARCH_TOKENS
+} from './searchService'
+
+/**
+ * Search Index Tests
+ *
+ * Building search tokens and matching and ranking searches.
+ */
+
+const jane = {
+  fullName: 'Jane O\'Brien-Smith',
+  email: 'jane.smith@example.com',
+  phoneMobile: '+61 412 345 678',
+  phoneHome: '',
+  phoneWork: '(03) 6234 5678',
+  golfAustraliaId: 'GA2011234',
+  suburb: 'Sandy Bay'
+}
+
+describe('normaliseSearchText', () => {
+  it('drops accents, case and apostrophes', () => {
+    expect(normaliseSearchText("  Zoë O'Brien-Smith ")).toBe('zoe obrien smith')
+    expect(normaliseSearchText(null)).toBe('')
+  })
+})
+
+describe('getPhoneVariants', () => {
+  it('keeps international numbers in local form too', () => {
+    expect(getPhoneVariants('+61 412 345 678')).toEqual(['61412345678', '0412345678'])
+    expect(getPhoneVariants('(03) 6234 5678')).toEqual(['0362345678'])
+  })
+
+  it('ignores blanks and fragments', () => {
+    expect(getPhoneVariants('')).toEqual([])
+    expect(getPhoneVariants('123')).toEqual([])
+  })
+})
+
+describe('parseSearchTerm', () => {
+  it('joins digit groups so spaced phone numbers match', () => {
+    expect(parseSearchTerm('0412 345')).toEqual(['0412345'])
+    expect(parseSearchTerm('Jane  SMITH')).toEqual(['jane', 'smith'])
+  })
+
+  it('limits words to the indexed prefix length', () => {
+    expect(parseSearchTerm('a'.repeat(30))[0]).toHaveLength(20)
+  })
+})
+
+describe('buildMemberSearchFields', () => {
+  const fields = buildMemberSearchFields(jane)
+
+  it('indexes prefixes of name parts, email, phones, ID and suburb', () => {
+    ;['j', 'ja', 'jane', 'obr', 'smith', 'exam', '0412', '6141', '03623', 'ga201', 'sandy', 'bay']
+      .forEach(token => expect(fields.searchTokens).toContain(token))
+  })
+
+  it('does not index the middle of words', () => {
+    expect(fields.searchTokens).not.toContain('ane')
+    expect(fields.searchTokens).not.toContain('345')
+  })
+
+  it('keeps the normalised name for ordering', () => {
+    expect(fields.searchName).toBe('jane obrien smith')
+  })
+
+  it('indexes member tags and text member fields', () => {
+    const member = buildMemberSearchFields({ ...jane, tags: ['Pennant Team'], customFields: { locker: 'A12', key_fob: true } })
+    ;['pennant', 'team', 'a12'].forEach(token => expect(member.searchTokens).toContain(token))
+    expect(member.searchTokens).not.toContain('true')
+  })
+
+  it('keeps within the token limit, dropping member field text before the name', () => {
+    // 10 fields of 200 characters in distinct words would give over 1,000 tokens
+    const words = (field) => Array.from({ length: 20 }, (_, i) => `${field}word${i}x`).join(' ')
+    const customFields = Object.fromEntries(Array.from({ length: 10 }, (_, i) => [`note${i}`, words(`f${i}`)]))
+    const member = buildMemberSearchFields({ ...jane, tags: ['Pennant Team'], customFields })
+    expect(member.searchTokens.length).toBe(MAX_SEARCH_TOKENS)
+    ;['jane', 'smith', '0412', 'sandy', 'pennant'].forEach(token => expect(member.searchTokens).toContain(token))
+    expect(member.searchTokens).not.toContain('f9word19x')
+  })
+
+  it('indexes applications by Golf Link number', () => {
+    const application = buildApplicationSearchFields({ fullName: 'Bob Jones', golfLinkNumber: '7654321' })
+    expect(application.searchTokens).toContain('765')
+  })
+})
+
+describe('matchesSearchWords', () => {
+  const member = buildMemberSearchFields(jane)
+
+  it('needs every word to match', () => {
+    expect(matchesSearchWords(member, parseSearchTerm('jane sm'))).toBe(true)
+    expect(matchesSearchWords(member, parseSearchTerm('j smith'))).toBe(true)
+    expect(matchesSearchWords(member, parseSearchTerm('jane jones'))).toBe(false)
+  })
+
+  it('finds members by phone however it was typed', () => {
+    expect(matchesSearchWords(member, parseSearchTerm('0412 345'))).toBe(true)
+    expect(matchesSearchWords(member, parseSearchTerm('+61412'))).toBe(true)
+  })
+})
+
+describe('ranking', () => {
+  const source = (member) => ({ name: member.fullName, emails: [member.email], phones: [], ids: [], places: [member.suburb] })
+
+  it('scores name matches above other matches', () => {
+    const words = parseSearchTerm('sandy')
+    expect(scoreSearchMatch({ name: 'Sandy Brown' }, words))
+      .toBeGreaterThan(scoreSearchMatch({ name: 'Jane Smith', places: ['Sandy Bay'] }, words))
+  })
+
+  it('puts whole-word and in-order name matches first', () => {
+    const records = [
+      { fullName: 'Bay Smithers', searchName: 'bay smithers' },
+      { fullName: 'Jane Smith', searchName: 'jane smith', suburb: 'Sandy Bay' },
+      { fullName: 'Ann Smith', searchName: 'ann smith' }
+    ]
+    const ranked = rankSearchResults(records, parseSearchTerm('smith'), source)
+    expect(ranked.map(record => record.fullName)).toEqual(['Ann Smith', 'Jane Smith', 'Bay Smithers'])
+  })
+})
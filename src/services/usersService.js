@@ -1,6 +1,4 @@
 import {
-  collection,
-  doc,
   getDoc,
   getDocs,
   setDoc,
@@ -11,7 +9,7 @@ import {
   serverTimestamp
 } from 'firebase/firestore'
 import { z } from 'zod'
-import { db } from '../firebase'
+import { clubCollection, clubDoc } from '../lib/firebase/clubScope'
 
 const USERS_COLLECTION = 'users'
 
@@ -68,7 +66,8 @@ export const hasPermission = (userRole, requiredRole) => {
   return hierarchy[userRole] >= hierarchy[requiredRole]
 }
 
-// Create or update user document in Firestore
+// Create or update the user's document in the active club
+// uid is stored so a user's clubs can be found with a collection group query
 export const createUserDocument = async (uid, email, role = ROLES.VIEW, status = USER_STATUS.PENDING) => {
   try {
     // Validate input
@@ -77,8 +76,9 @@ export const createUserDocument = async (uid, email, role = ROLES.VIEW, status =
       throw new Error(`Invalid user data: ${validation.error.errors[0].message}`)
     }
 
-    const userRef = doc(db, USERS_COLLECTION, uid)
+    const userRef = clubDoc(USERS_COLLECTION, uid)
     const userData = {
+      uid,
       email: validation.data.email,
       role: validation.data.role,
       status: validation.data.status,
@@ -97,7 +97,7 @@ export const createUserDocument = async (uid, email, role = ROLES.VIEW, status =
 // Get user document from Firestore
 export const getUserDocument = async (uid) => {
   try {
-    const userRef = doc(db, USERS_COLLECTION, uid)
+    const userRef = clubDoc(USERS_COLLECTION, uid)
     const userSnap = await getDoc(userRef)
 
     if (userSnap.exists()) {
@@ -113,7 +113,7 @@ export const getUserDocument = async (uid) => {
 // Get all users
 export const getAllUsers = async () => {
   try {
-    const q = query(collection(db, USERS_COLLECTION), orderBy('email'))
+    const q = query(clubCollection(USERS_COLLECTION), orderBy('email'))
     const querySnapshot = await getDocs(q)
 
     const users = []
@@ -132,7 +132,7 @@ export const getAllUsers = async () => {
 export const getPendingUsers = async () => {
   try {
     const q = query(
-      collection(db, USERS_COLLECTION),
+      clubCollection(USERS_COLLECTION),
       where('status', '==', USER_STATUS.PENDING),
       orderBy('createdAt', 'desc')
     )
@@ -160,7 +160,7 @@ export const updateUserRole = async (uid, newRole) => {
       throw new Error(`Invalid role: ${validation.error.errors[0].message}`)
     }
 
-    const userRef = doc(db, USERS_COLLECTION, uid)
+    const userRef = clubDoc(USERS_COLLECTION, uid)
     await updateDoc(userRef, {
       role: validation.data.role,
       updatedAt: serverTimestamp()
@@ -180,7 +180,7 @@ export const updateUserStatus = async (uid, newStatus) => {
       throw new Error(`Invalid status: ${validation.error.errors[0].message}`)
     }
 
-    const userRef = doc(db, USERS_COLLECTION, uid)
+    const userRef = clubDoc(USERS_COLLECTION, uid)
     await updateDoc(userRef, {
       status: validation.data.status,
       updatedAt: serverTimestamp()
@@ -194,7 +194,7 @@ export const updateUserStatus = async (uid, newStatus) => {
 // Approve pending user
 export const approveUser = async (uid, role = ROLES.VIEW) => {
   try {
-    const userRef = doc(db, USERS_COLLECTION, uid)
+    const userRef = clubDoc(USERS_COLLECTION, uid)
     await updateDoc(userRef, {
       role,
       status: USER_STATUS.ACTIVE,
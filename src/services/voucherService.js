@@ -0,0 +1,316 @@
+import {
+  getDoc,
+  getDocs,
+  query,
+  orderBy,
+  runTransaction,
+  serverTimestamp
+} from 'firebase/firestore'
+import { db } from '../firebase'
+import { clubCollection, clubDoc } from '../lib/firebase/clubScope'
+import { roundCurrency } from './ledgerService'
+import { addMonths } from './instalmentService'
+
+const VOUCHERS_COLLECTION = 'vouchers'
+
+/**
+ * Voucher lifecycle
+ * Expiry is not stored - a voucher past its expiry date is reported as expired
+ * while its status is still active.
+ */
+export const VOUCHER_STATUSES = {
+  ACTIVE: 'active',       // Value left to redeem
+  REDEEMED: 'redeemed',   // Fully redeemed
+  EXPIRED: 'expired',     // Past its expiry date with value left
+  CANCELLED: 'cancelled'  // Withdrawn by an admin - the remaining value can't be redeemed
+}
+
+export const VOUCHER_STATUS_LABELS = {
+  [VOUCHER_STATUSES.ACTIVE]: 'Active',
+  [VOUCHER_STATUSES.REDEEMED]: 'Redeemed',
+  [VOUCHER_STATUSES.EXPIRED]: 'Expired',
+  [VOUCHER_STATUSES.CANCELLED]: 'Cancelled'
+}
+
+// Payment method code for paying with a voucher - the voucher code is the payment reference
+export const VOUCHER_PAYMENT_METHOD = 'voucher'
+
+// Vouchers must be valid for at least three years (Australian gift card rules)
+export const VOUCHER_VALIDITY_MONTHS = 36
+
+// No 0/O or 1/I, so codes read back over the phone or from a printout can't be mistaken
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'
+const CODE_PATTERN = /^GV-[A-Z2-9]{4}-[A-Z2-9]{4}$/
+
+const today = () => new Date().toISOString().split('T')[0]
+
+/**
+ * Generate a voucher code
+ * @param {Function} random - Returns a number in [0, 1), for tests
+ * @returns {string} Code, e.g. GV-7KQ2-M4XP
+ */
+export const generateVoucherCode = (random = Math.random) => {
+  const block = () => Array.from({ length: 4 }, () => CODE_ALPHABET[Math.floor(random() * CODE_ALPHABET.length)]).join('')
+  return `GV-${block()}-${block()}`
+}
+
+/**
+ * Tidy a code as typed at the counter: any case, spaces or missing dashes
+ * @param {string} code - Code entered
+ * @returns {string} Code in GV-XXXX-XXXX form, or the cleaned input if it isn't a voucher code
+ */
+export const normalizeVoucherCode = (code) => {
+  const cleaned = (code || '').toUpperCase().replace(/[^A-Z0-9]/g, '')
+  if (cleaned.length === 10 && cleaned.startsWith('GV')) {
+    return `GV-${cleaned.slice(2, 6)}-${cleaned.slice(6)}`
+  }
+  return cleaned
+}
+
+/**
+ * Whether a code is in the voucher code format
+ * @param {string} code - Normalised code
+ * @returns {boolean}
+ */
+export const isVoucherCode = (code) => CODE_PATTERN.test(code || '')
+
+/**
+ * Default expiry for a voucher issued on a date
+ * @param {string} issueDate - YYYY-MM-DD
+ * @returns {string} YYYY-MM-DD
+ */
+export const getDefaultVoucherExpiry = (issueDate = today()) => addMonths(issueDate, VOUCHER_VALIDITY_MONTHS)
+
+/**
+ * Status of a voucher on a given day
+ * @param {Object} voucher - { status, balance, expiryDate }
+ * @param {string} asOf - Date to compare against (YYYY-MM-DD), defaults to today
+ * @returns {string} One of VOUCHER_STATUSES
+ */
+export const getVoucherStatus = (voucher, asOf = today()) => {
+  if (voucher.status === VOUCHER_STATUSES.CANCELLED) return VOUCHER_STATUSES.CANCELLED
+  if (roundCurrency(voucher.balance) <= 0) return VOUCHER_STATUSES.REDEEMED
+  if (voucher.expiryDate && voucher.expiryDate < asOf) return VOUCHER_STATUSES.EXPIRED
+  return VOUCHER_STATUSES.ACTIVE
+}
+
+/**
+ * Check a redemption against a voucher
+ * @param {Object} voucher - Voucher
+ * @param {number} amount - Amount to redeem
+ * @param {string} asOf - Redemption date (YYYY-MM-DD)
+ * @returns {string|null} Error message, or null if the voucher covers the amount
+ */
+export const validateVoucherRedemption = (voucher, amount, asOf = today()) => {
+  const status = getVoucherStatus(voucher, asOf)
+  if (status === VOUCHER_STATUSES.CANCELLED) {
+    return `Voucher ${voucher.code} has been cancelled`
+  }
+  if (status === VOUCHER_STATUSES.REDEEMED) {
+    return `Voucher ${voucher.code} has been fully redeemed`
+  }
+  if (status === VOUCHER_STATUSES.EXPIRED) {
+    return `Voucher ${voucher.code} expired on ${voucher.expiryDate}`
+  }
+  if (roundCurrency(amount) > roundCurrency(voucher.balance)) {
+    return `Voucher ${voucher.code} only has $${voucher.balance.toFixed(2)} left`
+  }
+  return null
+}
+
+/**
+ * Apply a redemption to a voucher
+ * A negative amount returns value to the voucher (a voided or refunded redemption).
+ * @param {Object} voucher - { balance, status, redemptions }
+ * @param {Object} redemption - { paymentId, receiptNumber, memberId, memberName, amount, date, creditNoteNumber }
+ * @returns {Object} { balance, status, redemptions }
+ */
+export const applyVoucherRedemption = (voucher, redemption) => {
+  const balance = roundCurrency(voucher.balance - redemption.amount)
+  return {
+    balance,
+    status: voucher.status === VOUCHER_STATUSES.CANCELLED
+      ? VOUCHER_STATUSES.CANCELLED
+      : balance > 0 ? VOUCHER_STATUSES.ACTIVE : VOUCHER_STATUSES.REDEEMED,
+    redemptions: [...(voucher.redemptions || []), { ...redemption, amount: roundCurrency(redemption.amount) }]
+  }
+}
+
+/**
+ * Unredeemed voucher value on a given day
+ * Value on active vouchers is still owed to the holders; value on expired
+ * vouchers is shown separately so it can be written back as income.
+ * @param {Array} vouchers - All vouchers
+ * @param {string} asOf - Date to compare against (YYYY-MM-DD)
+ * @returns {Object} { issued, redeemed, outstanding, outstandingCount, expired, expiredCount, vouchers (with value left, soonest expiry first) }
+ */
+export const summariseVoucherLiability = (vouchers, asOf = today()) => {
+  const withStatus = vouchers.map(voucher => ({ ...voucher, currentStatus: getVoucherStatus(voucher, asOf) }))
+  const total = (list, field) => roundCurrency(list.reduce((sum, voucher) => sum + (voucher[field] || 0), 0))
+
+  const active = withStatus.filter(voucher => voucher.currentStatus === VOUCHER_STATUSES.ACTIVE)
+  const expired = withStatus.filter(voucher => voucher.currentStatus === VOUCHER_STATUSES.EXPIRED)
+  const redeemed = withStatus.flatMap(voucher => voucher.redemptions || [])
+
+  return {
+    issued: total(withStatus, 'faceValue'),
+    redeemed: total(redeemed, 'amount'),
+    outstanding: total(active, 'balance'),
+    outstandingCount: active.length,
+    expired: total(expired, 'balance'),
+    expiredCount: expired.length,
+    vouchers: [...active, ...expired].sort((a, b) => (a.expiryDate || '').localeCompare(b.expiryDate || ''))
+  }
+}
+
+/**
+ * Get a document reference for a voucher
+ * The document ID is the voucher code.
+ * @param {string} code - Voucher code
+ * @returns {Object} Document reference
+ */
+export const getVoucherRef = (code) => clubDoc(VOUCHERS_COLLECTION, normalizeVoucherCode(code))
+
+/**
+ * Queue a redemption (or its reversal) inside an existing transaction
+ * The voucher must already have been read in the transaction.
+ * @param {Object} transaction - Firestore Transaction
+ * @param {Object} voucher - { id, balance, status, redemptions }
+ * @param {Object} redemption - See applyVoucherRedemption
+ * @returns {Object} { balance, status, redemptions }
+ */
+export const writeVoucherRedemption = (transaction, voucher, redemption) => {
+  const changes = applyVoucherRedemption(voucher, redemption)
+  transaction.update(clubDoc(VOUCHERS_COLLECTION, voucher.id), {
+    ...changes,
+    updatedAt: serverTimestamp()
+  })
+  return changes
+}
+
+/**
+ * Get all vouchers, newest first
+ * @returns {Array} Vouchers
+ */
+export const getAllVouchers = async () => {
+  try {
+    const q = query(clubCollection(VOUCHERS_COLLECTION), orderBy('issueDate', 'desc'))
+    const snapshot = await getDocs(q)
+    return snapshot.docs.map(voucherDoc => ({ id: voucherDoc.id, ...voucherDoc.data() }))
+  } catch (error) {
+    console.error('Error getting vouchers:', error)
+    throw error
+  }
+}
+
+/**
+ * Look up a voucher by code
+ * @param {string} code - Voucher code, as typed
+ * @returns {Object|null} Voucher, or null if there is no voucher with that code
+ */
+export const getVoucher = async (code) => {
+  try {
+    const normalized = normalizeVoucherCode(code)
+    if (!isVoucherCode(normalized)) return null
+    const voucherDoc = await getDoc(getVoucherRef(normalized))
+    return voucherDoc.exists() ? { id: voucherDoc.id, ...voucherDoc.data() } : null
+  } catch (error) {
+    console.error('Error getting voucher:', error)
+    throw error
+  }
+}
+
+/**
+ * Issue a voucher with a new unique code
+ * @param {Object} voucherData - { faceValue, purchaserName, recipientName, issueDate, expiryDate, purchaseMethod, purchaseReference, notes }
+ * @param {string} userId - User issuing the voucher
+ * @returns {Object} Created voucher
+ */
+export const issueVoucher = async (voucherData, userId) => {
+  try {
+    const faceValue = roundCurrency(voucherData.faceValue)
+    if (!(faceValue > 0)) {
+      throw new Error('Voucher value must be greater than zero')
+    }
+    if (voucherData.expiryDate && voucherData.expiryDate <= voucherData.issueDate) {
+      throw new Error('Expiry date must be after the issue date')
+    }
+
+    // A clash is very unlikely, but the code is the document ID so check before writing
+    return await runTransaction(db, async (transaction) => {
+      for (let attempt = 0; attempt < 5; attempt++) {
+        const code = generateVoucherCode()
+        const voucherRef = clubDoc(VOUCHERS_COLLECTION, code)
+        const existing = await transaction.get(voucherRef)
+        if (existing.exists()) continue
+
+        const voucher = {
+          code,
+          faceValue,
+          balance: faceValue,
+          purchaserName: voucherData.purchaserName.trim(),
+          recipientName: (voucherData.recipientName || '').trim(),
+          issueDate: voucherData.issueDate,
+          expiryDate: voucherData.expiryDate || getDefaultVoucherExpiry(voucherData.issueDate),
+          purchaseMethod: voucherData.purchaseMethod,
+          purchaseReference: (voucherData.purchaseReference || '').trim(),
+          notes: (voucherData.notes || '').trim(),
+          status: VOUCHER_STATUSES.ACTIVE,
+          redemptions: [],
+          issuedBy: userId,
+          createdAt: serverTimestamp(),
+          updatedAt: serverTimestamp()
+        }
+        transaction.set(voucherRef, voucher)
+        return { id: code, ...voucher }
+      }
+      throw new Error('Could not generate a unique voucher code - please try again')
+    })
+  } catch (error) {
+    console.error('Error issuing voucher:', error)
+    throw error
+  }
+}
+
+/**
+ * Cancel a voucher (e.g. sold in error or refunded to the purchaser)
+ * The remaining value comes off the liability; past redemptions are untouched.
+ * @param {string} code - Voucher code
+ * @param {string} reason - Why it was cancelled
+ * @param {string} userId - User cancelling the voucher
+ * @returns {Object} Cancelled voucher
+ */
+export const cancelVoucher = async (code, reason, userId) => {
+  try {
+    if (!reason || reason.trim() === '') {
+      throw new Error('A reason is required to cancel a voucher')
+    }
+
+    return await runTransaction(db, async (transaction) => {
+      const voucherRef = getVoucherRef(code)
+      const voucherDoc = await transaction.get(voucherRef)
+      if (!voucherDoc.exists()) {
+        throw new Error(`Voucher ${code} not found`)
+      }
+      const voucher = voucherDoc.data()
+      if (voucher.status === VOUCHER_STATUSES.CANCELLED) {
+        throw new Error(`Voucher ${code} has already been cancelled`)
+      }
+
+      const cancellation = {
+        status: VOUCHER_STATUSES.CANCELLED,
+        cancelledBalance: voucher.balance,
+        balance: 0,
+        cancelReason: reason.trim(),
+        cancelledBy: userId,
+        cancelledAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+      }
+      transaction.update(voucherRef, cancellation)
+      return { id: voucherDoc.id, ...voucher, ...cancellation }
+    })
+  } catch (error) {
+    console.error('Error cancelling voucher:', error)
+    throw error
+  }
+}
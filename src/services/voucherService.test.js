@@ -0,0 +1,216 @@
+import { describe, it, expect } from 'vitest'
+import {
+  VOUCHER_STATUSES,
+  generateVoucherCode,
+  normalizeVoucherCode,
+  isVoucherCode,
+  getDefaultVoucherExpiry,
+  getVoucherStatus,
+  validateVoucherRedemption,
+  applyVoucherRedemption,
+  summariseVoucherLiability
+} from './voucherService'
+import { voucherFormSchema } from '../schemas'
+
+/**
+ * Gift Voucher Tests
+ *
+ * Codes, balances and liability.
+ */
+
+const makeVoucher = (code, overrides = {}) => ({
+  id: code,
+  code,
+  faceValue: 100,
+  balance: 100,
+  purchaserName: 'Mary Jones',
+  recipientName: 'Tom Jones',
+  issueDate: '2025-03-01',
+  expiryDate: '2028-03-01',
+  status: VOUCHER_STATUSES.ACTIVE,
+  redemptions: [],
+  ...overrides
+})
+
+const redemption = (amount, changes = {}) => ({
+  paymentId: 'p1',
+  receiptNumber: 'R-2025-0001',
+  memberId: 'm1',
+  memberName: 'Tom Jones',
+  amount,
+  date: '2025-06-01',
+  ...changes
+})
+
+describe('Voucher Codes', () => {
+  it('should generate codes in the voucher format', () => {
+    for (let i = 0; i < 20; i++) {
+      expect(isVoucherCode(generateVoucherCode())).toBe(true)
+    }
+  })
+
+  it('should not use characters that are easily misread', () => {
+    const code = generateVoucherCode(() => 0.999)
+    expect(code).toBe('GV-9999-9999')
+    expect(generateVoucherCode(() => 0)).toBe('GV-AAAA-AAAA')
+  })
+
+  it('should fit the payment reference and receipt number limits', () => {
+    expect(generateVoucherCode().length).toBeLessThanOrEqual(20)
+  })
+
+  it('should normalise codes typed in any case or spacing', () => {
+    expect(normalizeVoucherCode('gv-7kq2-m4xp')).toBe('GV-7KQ2-M4XP')
+    expect(normalizeVoucherCode('GV 7KQ2 M4XP')).toBe('GV-7KQ2-M4XP')
+    expect(normalizeVoucherCode('gv7kq2m4xp')).toBe('GV-7KQ2-M4XP')
+  })
+
+  it('should leave other references cleaned but not reformatted', () => {
+    expect(normalizeVoucherCode('12-34')).toBe('1234')
+    expect(isVoucherCode(normalizeVoucherCode('12-34'))).toBe(false)
+    expect(normalizeVoucherCode('')).toBe('')
+  })
+})
+
+describe('Voucher Expiry', () => {
+  it('should default to three years after issue', () => {
+    expect(getDefaultVoucherExpiry('2025-03-01')).toBe('2028-03-01')
+  })
+})
+
+describe('Voucher Status', () => {
+  it('should be active with value left before expiry', () => {
+    expect(getVoucherStatus(makeVoucher('GV-AAAA-AAAA'), '2025-06-01')).toBe(VOUCHER_STATUSES.ACTIVE)
+  })
+
+  it('should still be active on its expiry date', () => {
+    expect(getVoucherStatus(makeVoucher('GV-AAAA-AAAA'), '2028-03-01')).toBe(VOUCHER_STATUSES.ACTIVE)
+  })
+
+  it('should be expired after its expiry date with value left', () => {
+    expect(getVoucherStatus(makeVoucher('GV-AAAA-AAAA'), '2028-03-02')).toBe(VOUCHER_STATUSES.EXPIRED)
+  })
+
+  it('should be redeemed with nothing left, even after expiry', () => {
+    expect(getVoucherStatus(makeVoucher('GV-AAAA-AAAA', { balance: 0 }), '2029-01-01')).toBe(VOUCHER_STATUSES.REDEEMED)
+  })
+
+  it('should stay cancelled', () => {
+    const voucher = makeVoucher('GV-AAAA-AAAA', { status: VOUCHER_STATUSES.CANCELLED, balance: 0 })
+    expect(getVoucherStatus(voucher, '2025-06-01')).toBe(VOUCHER_STATUSES.CANCELLED)
+  })
+})
+
+describe('Voucher Redemption Checks', () => {
+  it('should accept an amount up to the balance', () => {
+    expect(validateVoucherRedemption(makeVoucher('GV-AAAA-AAAA'), 100, '2025-06-01')).toBeNull()
+    expect(validateVoucherRedemption(makeVoucher('GV-AAAA-AAAA', { balance: 20.1 }), 20.1, '2025-06-01')).toBeNull()
+  })
+
+  it('should reject more than the balance', () => {
+    expect(validateVoucherRedemption(makeVoucher('GV-AAAA-AAAA', { balance: 40 }), 50, '2025-06-01'))
+      .toBe('Voucher GV-AAAA-AAAA only has $40.00 left')
+  })
+
+  it('should reject expired, redeemed and cancelled vouchers', () => {
+    expect(validateVoucherRedemption(makeVoucher('GV-AAAA-AAAA'), 10, '2028-03-02'))
+      .toBe('Voucher GV-AAAA-AAAA expired on 2028-03-01')
+    expect(validateVoucherRedemption(makeVoucher('GV-AAAA-AAAA', { balance: 0 }), 10, '2025-06-01'))
+      .toBe('Voucher GV-AAAA-AAAA has been fully redeemed')
+    expect(validateVoucherRedemption(makeVoucher('GV-AAAA-AAAA', { status: VOUCHER_STATUSES.CANCELLED }), 10, '2025-06-01'))
+      .toBe('Voucher GV-AAAA-AAAA has been cancelled')
+  })
+})
+
+describe('Applying Redemptions', () => {
+  it('should reduce the balance on a partial redemption', () => {
+    const result = applyVoucherRedemption(makeVoucher('GV-AAAA-AAAA'), redemption(35.5))
+    expect(result.balance).toBe(64.5)
+    expect(result.status).toBe(VOUCHER_STATUSES.ACTIVE)
+    expect(result.redemptions).toHaveLength(1)
+  })
+
+  it('should mark the voucher redeemed when the balance is used up', () => {
+    const voucher = makeVoucher('GV-AAAA-AAAA', { balance: 30.3, redemptions: [redemption(69.7)] })
+    const result = applyVoucherRedemption(voucher, redemption(30.3, { paymentId: 'p2' }))
+    expect(result.balance).toBe(0)
+    expect(result.status).toBe(VOUCHER_STATUSES.REDEEMED)
+    expect(result.redemptions.map(r => r.paymentId)).toEqual(['p1', 'p2'])
+  })
+
+  it('should restore value when a redemption is reversed', () => {
+    const voucher = makeVoucher('GV-AAAA-AAAA', { balance: 0, status: VOUCHER_STATUSES.REDEEMED, redemptions: [redemption(100)] })
+    const result = applyVoucherRedemption(voucher, redemption(-40, { creditNoteNumber: 'CN-2025-0001' }))
+    expect(result.balance).toBe(40)
+    expect(result.status).toBe(VOUCHER_STATUSES.ACTIVE)
+    expect(result.redemptions[1]).toMatchObject({ amount: -40, creditNoteNumber: 'CN-2025-0001' })
+  })
+})
+
+describe('Voucher Liability', () => {
+  const vouchers = [
+    makeVoucher('GV-AAAA-AAAA', { balance: 60, redemptions: [redemption(40)] }),
+    makeVoucher('GV-BBBB-BBBB', { faceValue: 50, balance: 50, expiryDate: '2025-05-01' }),
+    makeVoucher('GV-CCCC-CCCC', { faceValue: 25, balance: 0, status: VOUCHER_STATUSES.REDEEMED, redemptions: [redemption(25)] }),
+    makeVoucher('GV-DDDD-DDDD', { faceValue: 75, balance: 0, cancelledBalance: 75, status: VOUCHER_STATUSES.CANCELLED }),
+    makeVoucher('GV-EEEE-EEEE', { faceValue: 20, balance: 20, expiryDate: '2026-01-31' })
+  ]
+
+  it('should total sold, redeemed, outstanding and expired value', () => {
+    const summary = summariseVoucherLiability(vouchers, '2025-06-01')
+    expect(summary.issued).toBe(270)
+    expect(summary.redeemed).toBe(65)
+    expect(summary.outstanding).toBe(80)
+    expect(summary.outstandingCount).toBe(2)
+    expect(summary.expired).toBe(50)
+    expect(summary.expiredCount).toBe(1)
+  })
+
+  it('should list vouchers with value left, soonest expiry first', () => {
+    const summary = summariseVoucherLiability(vouchers, '2025-06-01')
+    expect(summary.vouchers.map(v => [v.code, v.currentStatus])).toEqual([
+      ['GV-BBBB-BBBB', VOUCHER_STATUSES.EXPIRED],
+      ['GV-EEEE-EEEE', VOUCHER_STATUSES.ACTIVE],
+      ['GV-AAAA-AAAA', VOUCHER_STATUSES.ACTIVE]
+    ])
+  })
+
+  it('should count reversed redemptions against the amount redeemed', () => {
+    const summary = summariseVoucherLiability([
+      makeVoucher('GV-AAAA-AAAA', { balance: 100, redemptions: [redemption(30), redemption(-30)] })
+    ], '2025-06-01')
+    expect(summary.redeemed).toBe(0)
+    expect(summary.outstanding).toBe(100)
+  })
+
+  it('should be empty with no vouchers', () => {
+    expect(summariseVoucherLiability([], '2025-06-01')).toMatchObject({ issued: 0, outstanding: 0, vouchers: [] })
+  })
+})
+
+describe('Voucher Form', () => {
+  const form = {
+    faceValue: '100',
+    purchaserName: 'Mary Jones',
+    recipientName: '',
+    issueDate: '2025-03-01',
+    expiryDate: '2028-03-01',
+    purchaseMethod: 'eftpos',
+    purchaseReference: '',
+    notes: ''
+  }
+
+  it('should accept a valid voucher', () => {
+    expect(voucherFormSchema.safeParse(form).success).toBe(true)
+  })
+
+  it('should require an expiry after the issue date', () => {
+    const result = voucherFormSchema.safeParse({ ...form, expiryDate: '2025-03-01' })
+    expect(result.success).toBe(false)
+    expect(result.error.issues[0].path).toEqual(['expiryDate'])
+  })
+
+  it('should reject a zero value', () => {
+    expect(voucherFormSchema.safeParse({ ...form, faceValue: '0' }).success).toBe(false)
+  })
+})
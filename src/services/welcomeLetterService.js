@@ -1,19 +1,66 @@
 import jsPDF from 'jspdf'
 import { getMemberById } from './membersService'
 import { getAllCategories } from './membershipCategories'
+import { isCurrentMember } from './memberStatusService'
+import {
+  PLAN_STATUSES,
+  INSTALMENT_STATUSES,
+  getInstalmentPlansByMember,
+  getInstalmentStatus,
+  summariseInstalmentPlan
+} from './instalmentService'
+import {
+  getClubSettings,
+  formatClubContactLine,
+  formatTreasurerContact,
+  formatBankDetails,
+  getLogoImageFormat,
+  MONTH_NAMES
+} from './clubSettingsService'
+
+const INSTALMENT_STATUS_LABELS = {
+  [INSTALMENT_STATUSES.PAID]: 'Paid',
+  [INSTALMENT_STATUSES.PART_PAID]: 'Part paid',
+  [INSTALMENT_STATUSES.OVERDUE]: 'Overdue',
+  [INSTALMENT_STATUSES.UPCOMING]: 'Upcoming'
+}
+
+/**
+ * Draw the club letterhead - logo, name, address and contact details - at the top of a page
+ * @param {jsPDF} doc - PDF document
+ * @param {Object} club - Club settings
+ */
+const drawLetterhead = (doc, club) => {
+  const logoFormat = getLogoImageFormat(club.logoDataUrl)
+  if (logoFormat) {
+    doc.addImage(club.logoDataUrl, logoFormat, 20, 12, 24, 24)
+  }
+
+  doc.setFontSize(24)
+  doc.setTextColor(0, 0, 255)
+  doc.setFont('helvetica', 'bold')
+  doc.text(club.clubName, 105, 25, { align: 'center' })
+
+  doc.setFontSize(10)
+  doc.setTextColor(0, 0, 0)
+  doc.setFont('helvetica', 'normal')
+  doc.text(club.address, 105, 38, { align: 'center' })
+  doc.text(formatClubContactLine(club), 105, 44, { align: 'center' })
+}
 
 /**
  * Generate Welcome Letter and Information Pack PDF
- * Matches the original Tea Tree Golf Club templates
+ * Matches the original club templates, with the club's details from settings
  * @param {string} memberId - Member ID
  * @returns {Promise<boolean>} True if successful
  */
 export const generateWelcomeLetter = async (memberId) => {
   try {
-    // Get member details
+    // Get member and club details
     const member = await getMemberById(memberId)
     const categories = await getAllCategories()
     const category = categories.find(c => c.id === member.membershipCategory)
+    const club = await getClubSettings()
 
     // Calculate amount owing (negative balance = owes money)
     const amountOwing = member.accountBalance < 0 ? Math.abs(member.accountBalance) : 0
@@ -41,18 +88,7 @@ export const generateWelcomeLetter = async (memberId) => {
 
     // ===== PAGE 1: MEMBERSHIP ACCEPTANCE LETTER =====
 
-    // Header - Club Name
-    doc.setFontSize(24)
-    doc.setTextColor(...blueColor)
-    doc.setFont('helvetica', 'bold')
-    doc.text('Tea Tree Golf Club', 105, 25, { align: 'center' })
-
-    // Club address
-    doc.setFontSize(10)
-    doc.setTextColor(...blackColor)
-    doc.setFont('helvetica', 'normal')
-    doc.text('10A Volcanic Drive, Brighton, Tasmania 7030', 105, 38, { align: 'center' })
-    doc.text('Tel: 03 62681692 or Email: teatreegolf@bigpond.com', 105, 44, { align: 'center' })
+    drawLetterhead(doc, club)
 
     // Date
     const today = new Date().toLocaleDateString('en-AU', {
@@ -82,7 +118,7 @@ export const generateWelcomeLetter = async (memberId) => {
     yPos += 10
     const categoryName = category?.name || member.membershipCategory || 'Full'
 
-    let approvalText = `I am pleased to advise that your application for ${categoryName} Membership at Tea Tree Golf Club has been approved, subject to payment of your subscription fees.`
+    let approvalText = `I am pleased to advise that your application for ${categoryName} Membership at ${club.clubName} has been approved, subject to payment of your subscription fees.`
 
     if (amountPaid > 0 && amountOwing > 0) {
       approvalText += ` We have already received a $${amountPaid.toFixed(2)} payment toward your subscription, bringing your total amount owing to $${amountOwing.toFixed(2)}.`
@@ -136,7 +172,7 @@ export const generateWelcomeLetter = async (memberId) => {
     yPos += thursLines.length * 5 + 5
 
     // Website info
-    const websiteText = 'Information about Tea Tree Golf Club, including fixtures and results, can be found on our website: www.teatreegolfclub.com.au. We also have a Facebook page; please send a request to join.'
+    const websiteText = `Information about ${club.clubName}, including fixtures and results, can be found on our website: ${club.website}. We also have a Facebook page; please send a request to join.`
     const websiteLines = doc.splitTextToSize(websiteText, 170)
     doc.text(websiteLines, 20, yPos)
     yPos += websiteLines.length * 5 + 5
@@ -154,13 +190,13 @@ export const generateWelcomeLetter = async (memberId) => {
     }
 
     // Closing
-    doc.text('I trust you will enjoy your membership at Tea Tree Golf Club.', 20, yPos)
+    doc.text(`I trust you will enjoy your membership at ${club.clubName}.`, 20, yPos)
     yPos += 12
 
     // Signature
     doc.text('Yours sincerely,', 20, yPos)
     yPos += 12
-    doc.text('David Moore', 20, yPos)
+    doc.text(club.secretaryName, 20, yPos)
     yPos += 5
     doc.text('Secretary', 20, yPos)
 
@@ -175,7 +211,7 @@ export const generateWelcomeLetter = async (memberId) => {
     doc.setFont('helvetica', 'bold')
     doc.text('Payment to be made via EFT:', 20, yPos)
     doc.setFont('helvetica', 'normal')
-    doc.text('NAME: Tea Tree Golf Club Inc  BSB: 067 101  NUMBER: 2802 5959', 75, yPos)
+    doc.text(formatBankDetails(club), 75, yPos)
     yPos += 5
     doc.setFont('helvetica', 'bold')
     doc.text('REFERENCE:', 85, yPos)
@@ -185,18 +221,7 @@ export const generateWelcomeLetter = async (memberId) => {
     // ===== PAGE 2: INFORMATION PACK =====
     doc.addPage()
 
-    // Header - Club Name
-    doc.setFontSize(24)
-    doc.setTextColor(...blueColor)
-    doc.setFont('helvetica', 'bold')
-    doc.text('Tea Tree Golf Club', 105, 25, { align: 'center' })
-
-    // Club address
-    doc.setFontSize(10)
-    doc.setTextColor(...blackColor)
-    doc.setFont('helvetica', 'normal')
-    doc.text('10A Volcanic Drive, Brighton, Tasmania 7030', 105, 38, { align: 'center' })
-    doc.text('Tel: 03 62681692 or Email: teatreegolf@bigpond.com', 105, 44, { align: 'center' })
+    drawLetterhead(doc, club)
 
     // Title
     yPos = 65
@@ -213,7 +238,7 @@ export const generateWelcomeLetter = async (memberId) => {
     yPos += 12
     doc.setFontSize(11)
     doc.setFont('helvetica', 'normal')
-    const introText = 'Congratulations and thank you for choosing to become a member of the Tea Tree Golf Club. Now that you are a member, we need to share a few key points so you can take full advantage of our facilities.'
+    const introText = `Congratulations and thank you for choosing to become a member of ${club.clubName}. Now that you are a member, we need to share a few key points so you can take full advantage of our facilities.`
     const introLines = doc.splitTextToSize(introText, 170)
     doc.text(introLines, 20, yPos)
     yPos += introLines.length * 5 + 8
@@ -236,7 +261,7 @@ export const generateWelcomeLetter = async (memberId) => {
     doc.text("Official competitions are held across the week and the schedule can be viewed online on the club's website.", 20, yPos)
     yPos += 6
     doc.setTextColor(...blueColor)
-    doc.text('https://www.teatreegolfclub.com.au/', 20, yPos)
+    doc.text(club.website, 20, yPos)
     doc.setTextColor(...blackColor)
     yPos += 6
     const compText = 'For Saturday competitions we recommend you book your tee time online, for other competitions you can just turn up to the club and the captain will assign you to a group.'
@@ -259,12 +284,12 @@ export const generateWelcomeLetter = async (memberId) => {
     doc.text('Code of conduct:', 20, yPos)
     yPos += 6
     doc.setFont('helvetica', 'normal')
-    const conductText = "As a member of the Tea Tree Golf Club, we are all required to act and behave as per the guidelines within the club's code of conduct, please take the time to review these."
+    const conductText = `As a member of ${club.clubName}, we are all required to act and behave as per the guidelines within the club's code of conduct, please take the time to review these.`
     const conductLines = doc.splitTextToSize(conductText, 170)
     doc.text(conductLines, 20, yPos)
     yPos += conductLines.length * 5 + 2
     doc.setTextColor(...blueColor)
-    doc.text('Tea Tree Golf Club Code of Conduct 2015', 20, yPos)
+    doc.text(`${club.clubName} Code of Conduct`, 20, yPos)
     doc.setTextColor(...blackColor)
     yPos += 8
 
@@ -281,12 +306,12 @@ export const generateWelcomeLetter = async (memberId) => {
     doc.setFont('helvetica', 'bold')
     doc.text('Account Name:', 20, yPos)
     doc.setFont('helvetica', 'normal')
-    doc.text(' Tea Tree Golf Club', 52, yPos)
+    doc.text(` ${club.bankAccountName}`, 52, yPos)
     yPos += 5
     doc.setFont('helvetica', 'bold')
     doc.text('BSB:', 20, yPos)
     doc.setFont('helvetica', 'normal')
-    doc.text(' 067101  Account : 2802 5959', 30, yPos)
+    doc.text(` ${club.bankBsb}  Account : ${club.bankAccountNumber}`, 30, yPos)
     yPos += 5
     doc.setFont('helvetica', 'bold')
     doc.text('Reference:', 20, yPos)
@@ -296,11 +321,11 @@ export const generateWelcomeLetter = async (memberId) => {
     doc.setFont('helvetica', 'bold')
     doc.text("Treasurers contact details", 20, yPos)
     doc.setFont('helvetica', 'normal')
-    doc.text(' - Kathy Manning 0408 521 963 katmanning4@yahoo.com', 65, yPos)
+    doc.text(` - ${formatTreasurerContact(club)}`, 65, yPos)
     yPos += 8
 
     // Facebook
-    const fbText = 'We invite you to join our club group on Facebook, Tea Tree Golf Club, where club updates and competition results are shared.'
+    const fbText = `We invite you to join our club group on Facebook, ${club.clubName}, where club updates and competition results are shared.`
     const fbLines = doc.splitTextToSize(fbText, 170)
     doc.text(fbLines, 20, yPos)
     yPos += fbLines.length * 5 + 12
@@ -327,14 +352,24 @@ export const generateWelcomeLetter = async (memberId) => {
  */
 export const generatePaymentReminder = async (memberId) => {
   try {
-    // Get member details
+    // Get member and club details
     const member = await getMemberById(memberId)
     const categories = await getAllCategories()
     const category = categories.find(c => c.id === member.membershipCategory)
+    const club = await getClubSettings()
 
     // Calculate amount owing (negative balance = owes money)
     const amountOwing = member.accountBalance < 0 ? Math.abs(member.accountBalance) : 0
 
+    // Members on an instalment plan only need to pay what has fallen due
+    const plans = (await getInstalmentPlansByMember(memberId))
+      .filter(plan => plan.status === PLAN_STATUSES.ACTIVE)
+    const notYetDue = plans.reduce((sum, plan) => {
+      const summary = summariseInstalmentPlan(plan)
+      return sum + summary.outstandingAmount - summary.overdueAmount
+    }, 0)
+    const amountDueNow = Math.max(0, Math.round((amountOwing - notYetDue) * 100) / 100)
+
     // Parse name - handle "Last name, First name" format
     let displayName = member.fullName
     let firstName = member.fullName
@@ -349,23 +384,7 @@ export const generatePaymentReminder = async (memberId) => {
 
     // Create new PDF document
     const doc = new jsPDF()
-
-    // Colors
-    const blueColor = [0, 0, 255]
-    const blackColor = [0, 0, 0]
-
-    // Header - Club Name
-    doc.setFontSize(24)
-    doc.setTextColor(...blueColor)
-    doc.setFont('helvetica', 'bold')
-    doc.text('Tea Tree Golf Club', 105, 25, { align: 'center' })
-
-    // Club address
-    doc.setFontSize(10)
-    doc.setTextColor(...blackColor)
-    doc.setFont('helvetica', 'normal')
-    doc.text('10A Volcanic Drive, Brighton, Tasmania 7030', 105, 38, { align: 'center' })
-    doc.text('Tel: 03 62681692 or Email: teatreegolf@bigpond.com', 105, 44, { align: 'center' })
+    drawLetterhead(doc, club)
 
     // Date
     const today = new Date().toLocaleDateString('en-AU', {
@@ -395,19 +414,56 @@ export const generatePaymentReminder = async (memberId) => {
     yPos += 10
     const categoryName = category?.name || member.membershipCategory || 'Full'
 
-    const openingText = `We hope you are enjoying your membership at Tea Tree Golf Club. We are writing to advise that your ${categoryName} Membership account currently has an outstanding balance of $${amountOwing.toFixed(2)}.`
+    const openingText = `We hope you are enjoying your membership at ${club.clubName}. We are writing to advise that your ${categoryName} Membership account currently has an outstanding balance of $${amountOwing.toFixed(2)}.`
 
     const openingLines = doc.splitTextToSize(openingText, 170)
     doc.text(openingLines, 20, yPos)
     yPos += openingLines.length * 5 + 8
 
     // Payment request
-    const paymentRequestText = `We kindly request that you arrange payment of $${amountOwing.toFixed(2)} at your earliest convenience using the bank details provided below.`
+    const paymentRequestText = plans.length > 0
+      ? `You are paying by instalments. The amount now due is $${amountDueNow.toFixed(2)}; we kindly request that you arrange this payment at your earliest convenience and pay the remaining instalments by their due dates, using the bank details provided below.`
+      : `We kindly request that you arrange payment of $${amountOwing.toFixed(2)} at your earliest convenience using the bank details provided below.`
     const paymentRequestLines = doc.splitTextToSize(paymentRequestText, 170)
     doc.text(paymentRequestLines, 20, yPos)
     yPos += paymentRequestLines.length * 5 + 8
 
+    // Start a new page when the next block would run into the payment footer
+    const ensureSpace = (needed) => {
+      if (yPos + needed > 255) {
+        doc.addPage()
+        yPos = 25
+      }
+    }
+
+    // Instalment schedule
+    plans.forEach(plan => {
+      ensureSpace(22)
+      doc.setFont('helvetica', 'bold')
+      doc.text(`Instalment schedule - ${plan.feeDescription}`, 20, yPos)
+      yPos += 6
+      doc.text('No.', 20, yPos)
+      doc.text('Due Date', 40, yPos)
+      doc.text('Amount', 100, yPos, { align: 'right' })
+      doc.text('Paid', 135, yPos, { align: 'right' })
+      doc.text('Status', 150, yPos)
+      doc.setFont('helvetica', 'normal')
+      yPos += 5
+
+      plan.instalments.forEach(inst => {
+        ensureSpace(5)
+        doc.text(String(inst.number), 20, yPos)
+        doc.text(new Date(inst.dueDate).toLocaleDateString('en-AU'), 40, yPos)
+        doc.text(`$${inst.amount.toFixed(2)}`, 100, yPos, { align: 'right' })
+        doc.text(`$${(inst.paidAmount || 0).toFixed(2)}`, 135, yPos, { align: 'right' })
+        doc.text(INSTALMENT_STATUS_LABELS[getInstalmentStatus(inst)], 150, yPos)
+        yPos += 5
+      })
+      yPos += 6
+    })
+
     // If already paid notice
+    ensureSpace(60)
     const noticeText = 'If you have already made this payment, please accept our apologies and disregard this reminder.'
     const noticeLines = doc.splitTextToSize(noticeText, 170)
     doc.text(noticeLines, 20, yPos)
@@ -419,17 +475,17 @@ export const generatePaymentReminder = async (memberId) => {
     doc.text(contactLines, 20, yPos)
     yPos += contactLines.length * 5 + 5
 
-    doc.text('Kathy Manning - 0408 521 963 - katmanning4@yahoo.com', 20, yPos)
+    doc.text(formatTreasurerContact(club), 20, yPos)
     yPos += 10
 
     // Closing
-    doc.text('Thank you for your continued membership and support of Tea Tree Golf Club.', 20, yPos)
+    doc.text(`Thank you for your continued membership and support of ${club.clubName}.`, 20, yPos)
     yPos += 12
 
     // Signature
     doc.text('Yours sincerely,', 20, yPos)
     yPos += 12
-    doc.text('Kathy Manning', 20, yPos)
+    doc.text(club.treasurerName, 20, yPos)
     yPos += 5
     doc.text('Treasurer', 20, yPos)
 
@@ -437,11 +493,16 @@ export const generatePaymentReminder = async (memberId) => {
     yPos = 265
     doc.setFontSize(10)
     doc.setFont('helvetica', 'bold')
-    doc.text(`Amount to pay: $${amountOwing.toFixed(2)}`, 105, yPos, { align: 'center' })
+    doc.text(
+      plans.length > 0
+        ? `Amount due now: $${amountDueNow.toFixed(2)} (balance $${amountOwing.toFixed(2)})`
+        : `Amount to pay: $${amountOwing.toFixed(2)}`,
+      105, yPos, { align: 'center' }
+    )
     yPos += 6
     doc.text('Payment to be made via EFT:', 20, yPos)
     doc.setFont('helvetica', 'normal')
-    doc.text('NAME: Tea Tree Golf Club Inc  BSB: 067 101  NUMBER: 2802 5959', 75, yPos)
+    doc.text(formatBankDetails(club), 75, yPos)
     yPos += 5
     doc.setFont('helvetica', 'bold')
     doc.text('REFERENCE:', 85, yPos)
@@ -469,60 +530,78 @@ export const getMembersWithOutstandingBalance = async () => {
 
   // Filter active members with negative balance (owing money)
   return members
-    .filter(m => m.status === 'active' && m.accountBalance < 0)
+    .filter(m => isCurrentMember(m) && m.accountBalance < 0)
     .sort((a, b) => a.accountBalance - b.accountBalance) // Most owing first
 }
 
 /**
  * Generate bulk payment reminder PDFs for all members with outstanding balances
+ * Members of a family, couple or corporate membership get one consolidated reminder,
+ * addressed to the billing contact.
  * Downloads each PDF individually with a short delay to prevent browser issues
  * @param {Function} onProgress - Callback function called with progress updates { current, total, memberName }
  * @returns {Promise<Object>} Results { successful, failed, total, details }
  */
 export const generateBulkPaymentReminders = async (onProgress = null) => {
   try {
-    const members = await getMembersWithOutstandingBalance()
+    const { getAllMemberGroups, buildGroupMemberMap } = await import('./memberGroupService')
+    const [members, groups] = await Promise.all([
+      getMembersWithOutstandingBalance(),
+      getAllMemberGroups()
+    ])
+    const groupByMember = buildGroupMemberMap(groups)
+
+    // One reminder per ungrouped member, and one per group with anyone owing
+    const reminders = []
+    const remindersByGroup = new Map()
+    members.forEach(member => {
+      const group = groupByMember.get(member.id)
+      if (!group) {
+        reminders.push({ memberId: member.id, memberName: member.fullName, amountOwing: Math.abs(member.accountBalance) })
+        return
+      }
+      if (!remindersByGroup.has(group.id)) {
+        const reminder = { groupId: group.id, memberId: group.billingContactId, memberName: group.name, amountOwing: 0 }
+        remindersByGroup.set(group.id, reminder)
+        reminders.push(reminder)
+      }
+      const reminder = remindersByGroup.get(group.id)
+      reminder.amountOwing = Math.round((reminder.amountOwing + Math.abs(member.accountBalance)) * 100) / 100
+    })
 
     const results = {
       successful: 0,
       failed: 0,
-      total: members.length,
+      total: reminders.length,
       details: []
     }
 
-    for (let i = 0; i < members.length; i++) {
-      const member = members[i]
+    for (let i = 0; i < reminders.length; i++) {
+      const reminder = reminders[i]
 
       if (onProgress) {
         onProgress({
           current: i + 1,
-          total: members.length,
-          memberName: member.fullName
+          total: reminders.length,
+          memberName: reminder.memberName
         })
       }
 
       try {
-        await generatePaymentReminder(member.id)
+        if (reminder.groupId) {
+          await generateGroupPaymentReminder(reminder.groupId)
+        } else {
+          await generatePaymentReminder(reminder.memberId)
+        }
         results.successful++
-        results.details.push({
-          memberId: member.id,
-          memberName: member.fullName,
-          amountOwing: Math.abs(member.accountBalance),
-          status: 'success'
-        })
+        results.details.push({ ...reminder, status: 'success' })
       } catch (error) {
         results.failed++
-        results.details.push({
-          memberId: member.id,
-          memberName: member.fullName,
-          amountOwing: Math.abs(member.accountBalance),
-          status: 'failed',
-          error: error.message
-        })
+        results.details.push({ ...reminder, status: 'failed', error: error.message })
       }
 
       // Small delay between downloads to prevent browser issues
-      if (i < members.length - 1) {
+      if (i < reminders.length - 1) {
         await new Promise(resolve => setTimeout(resolve, 500))
       }
     }
@@ -533,3 +612,465 @@ export const generateBulkPaymentReminders = async (onProgress = null) => {
     throw error
   }
 }
+
+/**
+ * Letters that can be generated for members chosen on the members list
+ */
+export const MEMBER_LETTER_TYPES = {
+  WELCOME: 'welcome',
+  PAYMENT_REMINDER: 'payment_reminder'
+}
+
+export const MEMBER_LETTER_LABELS = {
+  [MEMBER_LETTER_TYPES.WELCOME]: 'Welcome Letter',
+  [MEMBER_LETTER_TYPES.PAYMENT_REMINDER]: 'Payment Reminder'
+}
+
+/**
+ * Generate the same letter for each chosen member
+ * Downloads each PDF individually with a short delay to prevent browser issues
+ * @param {Array} members - Members ({ id, fullName, accountBalance })
+ * @param {string} letterType - One of MEMBER_LETTER_TYPES
+ * @param {Function} onProgress - Callback function called with progress updates { current, total, memberName }
+ * @returns {Promise<Object>} Results { total, successful, skipped, failed, details: [{ memberId, name, status, reason }] }
+ */
+export const generateMemberLetters = async (members, letterType, onProgress = null) => {
+  try {
+    const generate = {
+      [MEMBER_LETTER_TYPES.WELCOME]: generateWelcomeLetter,
+      [MEMBER_LETTER_TYPES.PAYMENT_REMINDER]: generatePaymentReminder
+    }[letterType]
+    if (!generate) {
+      throw new Error(`Unknown letter type: ${letterType}`)
+    }
+
+    const results = {
+      total: members.length,
+      successful: 0,
+      skipped: 0,
+      failed: 0,
+      details: []
+    }
+
+    for (let i = 0; i < members.length; i++) {
+      const member = members[i]
+      onProgress?.({ current: i + 1, total: members.length, memberName: member.fullName })
+
+      // Reminders are only for members who owe money
+      if (letterType === MEMBER_LETTER_TYPES.PAYMENT_REMINDER && !(member.accountBalance < 0)) {
+        results.skipped++
+        results.details.push({ memberId: member.id, name: member.fullName, status: 'skipped', reason: 'Nothing owing' })
+        continue
+      }
+
+      try {
+        await generate(member.id)
+        results.successful++
+        results.details.push({ memberId: member.id, name: member.fullName, status: 'success' })
+      } catch (error) {
+        results.failed++
+        results.details.push({ memberId: member.id, name: member.fullName, status: 'failed', reason: error.message })
+      }
+
+      // Small delay between downloads to prevent browser issues
+      if (i < members.length - 1) {
+        await new Promise(resolve => setTimeout(resolve, 500))
+      }
+    }
+
+    return results
+  } catch (error) {
+    console.error('Error generating member letters:', error)
+    throw error
+  }
+}
+
+/**
+ * Generate renewal notices for a season as a single PDF (one page per member)
+ * Each notice shows the member's category and fee for the new membership year.
+ * @param {Object} season - Renewal season { year, responseDeadline }
+ * @param {Array} renewals - Renewals to print
+ * @returns {Promise<number>} Number of notices generated
+ */
+export const generateRenewalNotices = async (season, renewals) => {
+  try {
+    const { getAllMembers } = await import('./membersService')
+    const [members, club] = await Promise.all([getAllMembers(), getClubSettings()])
+    const membersById = new Map(members.map(m => [m.id, m]))
+
+    const doc = new jsPDF()
+
+    const today = new Date().toLocaleDateString('en-AU', {
+      day: 'numeric',
+      month: 'long',
+      year: 'numeric'
+    })
+    const deadline = new Date(season.responseDeadline).toLocaleDateString('en-AU', {
+      day: 'numeric',
+      month: 'long',
+      year: 'numeric'
+    })
+
+    renewals.forEach((renewal, index) => {
+      if (index > 0) doc.addPage()
+      const member = membersById.get(renewal.memberId) || { fullName: renewal.memberName }
+
+      // Parse name - handle "Last name, First name" format
+      let displayName = member.fullName
+      let firstName = member.fullName
+      if (member.fullName && member.fullName.includes(',')) {
+        const parts = member.fullName.split(',').map(p => p.trim())
+        const lastName = parts[0]
+        firstName = parts[1] || lastName
+        displayName = `${firstName} ${lastName}`
+      } else if (member.fullName && member.fullName.includes(' ')) {
+        firstName = member.fullName.split(' ')[0]
+      }
+
+      drawLetterhead(doc, club)
+
+      let yPos = 60
+      doc.setFontSize(11)
+      doc.text(today, 20, yPos)
+
+      yPos += 10
+      doc.text(displayName, 20, yPos)
+      yPos += 5
+      const addressLine = [member.streetAddress, member.suburb, member.state, member.postcode]
+        .filter(Boolean)
+        .join(' ')
+      if (addressLine) {
+        doc.text(addressLine, 20, yPos)
+        yPos += 5
+      }
+
+      yPos += 8
+      doc.setFont('helvetica', 'bold')
+      doc.text(`Membership Renewal ${season.year}/${String(season.year + 1).slice(-2)}`, 20, yPos)
+      doc.setFont('helvetica', 'normal')
+
+      yPos += 10
+      doc.text(`Dear ${firstName},`, 20, yPos)
+
+      yPos += 10
+      const openingText = `Your membership of ${club.clubName} is due for renewal on 1 ${MONTH_NAMES[club.membershipYearStartMonth - 1]} ${season.year}. Thank you for your support over the past year; we hope you will continue to play with us.`
+      const openingLines = doc.splitTextToSize(openingText, 170)
+      doc.text(openingLines, 20, yPos)
+      yPos += openingLines.length * 5 + 8
+
+      // Renewal details
+      doc.setFont('helvetica', 'bold')
+      doc.text('Membership category:', 20, yPos)
+      doc.setFont('helvetica', 'normal')
+      doc.text(renewal.categoryName, 75, yPos)
+      yPos += 6
+      if (renewal.categoryId !== renewal.currentCategoryId && renewal.categoryChangeReason) {
+        doc.setFontSize(9)
+        doc.text(`Your category changes this year based on your age (${renewal.categoryChangeReason.toLowerCase()}).`, 75, yPos)
+        doc.setFontSize(11)
+        yPos += 6
+      }
+      doc.setFont('helvetica', 'bold')
+      doc.text('Annual subscription:', 20, yPos)
+      doc.setFont('helvetica', 'normal')
+      doc.text(`$${renewal.feeAmount.toFixed(2)}`, 75, yPos)
+      yPos += 12
+
+      const responseText = `Please let us know by ${deadline} whether you will be renewing, changing your membership category or resigning. Members who have not responded by then will be treated as not renewing and their membership will lapse.`
+      const responseLines = doc.splitTextToSize(responseText, 170)
+      doc.text(responseLines, 20, yPos)
+      yPos += responseLines.length * 5 + 8
+
+      const contactText = 'Should you have any questions about your renewal, please do not hesitate to contact the treasurer:'
+      const contactLines = doc.splitTextToSize(contactText, 170)
+      doc.text(contactLines, 20, yPos)
+      yPos += contactLines.length * 5 + 5
+      doc.text(formatTreasurerContact(club), 20, yPos)
+      yPos += 12
+
+      doc.text('Yours sincerely,', 20, yPos)
+      yPos += 12
+      doc.text(club.treasurerName, 20, yPos)
+      yPos += 5
+      doc.text('Treasurer', 20, yPos)
+
+      // Payment footer - same as payment reminder
+      yPos = 265
+      doc.setFontSize(10)
+      doc.setFont('helvetica', 'bold')
+      doc.text(`Amount to pay: $${renewal.feeAmount.toFixed(2)}`, 105, yPos, { align: 'center' })
+      yPos += 6
+      doc.text('Payment to be made via EFT:', 20, yPos)
+      doc.setFont('helvetica', 'normal')
+      doc.text(formatBankDetails(club), 75, yPos)
+      yPos += 5
+      doc.setFont('helvetica', 'bold')
+      doc.text('REFERENCE:', 85, yPos)
+      doc.setFont('helvetica', 'normal')
+      doc.text(` ${displayName}`, 110, yPos)
+    })
+
+    doc.save(`Renewal-Notices-${season.year}.pdf`)
+    return renewals.length
+  } catch (error) {
+    console.error('Error generating renewal notices:', error)
+    throw error
+  }
+}
+
+/**
+ * Load a group with its members and billing contact for a consolidated letter
+ * @param {string} groupId - Member group ID
+ * @returns {Promise<Object>} { group, members, contact, displayName, firstName, addressLine }
+ */
+const getGroupLetterDetails = async (groupId) => {
+  const { getMemberGroupById, getGroupMembers } = await import('./memberGroupService')
+  const group = await getMemberGroupById(groupId)
+  const members = await getGroupMembers(group)
+  const contact = members.find(m => m.id === group.billingContactId) || members[0]
+  if (!contact) {
+    throw new Error(`${group.name} has no members`)
+  }
+
+  // Parse name - handle "Last name, First name" format
+  let displayName = contact.fullName
+  let firstName = contact.fullName
+  if (contact.fullName && contact.fullName.includes(',')) {
+    const parts = contact.fullName.split(',').map(p => p.trim())
+    const lastName = parts[0]
+    firstName = parts[1] || lastName
+    displayName = `${firstName} ${lastName}`
+  } else if (contact.fullName && contact.fullName.includes(' ')) {
+    firstName = contact.fullName.split(' ')[0]
+  }
+
+  const addressLine = contact.address ||
+    [contact.streetAddress, contact.suburb, contact.state, contact.postcode].filter(Boolean).join(' ')
+
+  return { group, members, contact, displayName, firstName, addressLine }
+}
+
+/**
+ * Draw the club letterhead, date and addressee, returning where the letter body starts
+ * @param {jsPDF} doc - PDF document
+ * @param {Object} club - Club settings
+ * @param {string} displayName - Addressee
+ * @param {string} addressLine - Addressee's address
+ * @returns {number} y position for the body
+ */
+const drawGroupLetterHeader = (doc, club, displayName, addressLine) => {
+  drawLetterhead(doc, club)
+
+  let yPos = 60
+  doc.setFontSize(11)
+  doc.text(new Date().toLocaleDateString('en-AU', { day: 'numeric', month: 'long', year: 'numeric' }), 20, yPos)
+  yPos += 10
+  doc.text(displayName, 20, yPos)
+  yPos += 5
+  if (addressLine) {
+    doc.text(addressLine, 20, yPos)
+    yPos += 5
+  }
+  return yPos + 8
+}
+
+/**
+ * Draw the EFT payment footer used on every letter, with the group name as reference
+ * @param {jsPDF} doc - PDF document
+ * @param {Object} club - Club settings
+ * @param {number} amountOwing - Total to pay
+ * @param {string} reference - Payment reference
+ */
+const drawGroupPaymentFooter = (doc, club, amountOwing, reference) => {
+  let yPos = 265
+  doc.setFontSize(10)
+  doc.setFont('helvetica', 'bold')
+  doc.text(`Amount to pay: $${amountOwing.toFixed(2)}`, 105, yPos, { align: 'center' })
+  yPos += 6
+  doc.text('Payment to be made via EFT:', 20, yPos)
+  doc.setFont('helvetica', 'normal')
+  doc.text(formatBankDetails(club), 75, yPos)
+  yPos += 5
+  doc.setFont('helvetica', 'bold')
+  doc.text('REFERENCE:', 85, yPos)
+  doc.setFont('helvetica', 'normal')
+  doc.text(` ${reference}`, 110, yPos)
+}
+
+/**
+ * Generate a consolidated statement for a family, couple or corporate membership
+ * Addressed to the billing contact, with each member's account activity since the start date
+ * and the combined amount to pay.
+ * @param {string} groupId - Member group ID
+ * @param {string} since - ISO date the statement starts from (defaults to one year ago)
+ * @returns {Promise<boolean>} True if successful
+ */
+export const generateGroupStatement = async (groupId, since = null) => {
+  try {
+    const { group, members, displayName, firstName, addressLine } = await getGroupLetterDetails(groupId)
+    const { getLedgerByMember, buildRunningStatement } = await import('./ledgerService')
+    const { summariseGroupBalance } = await import('./memberGroupService')
+    const club = await getClubSettings()
+
+    const startDate = since || (() => {
+      const date = new Date()
+      date.setFullYear(date.getFullYear() - 1)
+      return date.toISOString().split('T')[0]
+    })()
+    const ledgers = await Promise.all(members.map(m => getLedgerByMember(m.id)))
+    const { totalOwing, netBalance } = summariseGroupBalance(members)
+
+    const doc = new jsPDF()
+    let yPos = drawGroupLetterHeader(doc, club, displayName, addressLine)
+
+    doc.setFont('helvetica', 'bold')
+    doc.text(`${group.name} - Account Statement`, 20, yPos)
+    doc.setFont('helvetica', 'normal')
+    yPos += 10
+    doc.text(`Dear ${firstName},`, 20, yPos)
+    yPos += 8
+    const introLines = doc.splitTextToSize(
+      `Below is the combined statement for the members of ${group.name} from ${new Date(startDate).toLocaleDateString('en-AU')}. One payment can be made for the whole amount.`,
+      170
+    )
+    doc.text(introLines, 20, yPos)
+    yPos += introLines.length * 5 + 6
+
+    // Start a new page when the next block would run into the payment footer
+    const ensureSpace = (needed) => {
+      if (yPos + needed > 255) {
+        doc.addPage()
+        yPos = 25
+      }
+    }
+
+    members.forEach((member, index) => {
+      const statement = buildRunningStatement(ledgers[index])
+      const opening = statement.filter(line => line.entryDate < startDate).pop()
+      const lines = statement.filter(line => line.entryDate >= startDate)
+
+      ensureSpace(22)
+      doc.setFont('helvetica', 'bold')
+      doc.text(member.fullName, 20, yPos)
+      yPos += 6
+      doc.setFontSize(9)
+      doc.text('Date', 20, yPos)
+      doc.text('Description', 45, yPos)
+      doc.text('Charges', 135, yPos, { align: 'right' })
+      doc.text('Payments', 160, yPos, { align: 'right' })
+      doc.text('Balance', 190, yPos, { align: 'right' })
+      doc.setFont('helvetica', 'normal')
+      yPos += 5
+
+      doc.text('Opening balance', 45, yPos)
+      doc.text(`$${(opening?.runningBalance || 0).toFixed(2)}`, 190, yPos, { align: 'right' })
+      yPos += 5
+
+      lines.forEach(line => {
+        ensureSpace(5)
+        doc.text(new Date(line.entryDate).toLocaleDateString('en-AU'), 20, yPos)
+        doc.text(doc.splitTextToSize(line.description || '', 70)[0], 45, yPos)
+        if (line.debit) doc.text(`$${line.debit.toFixed(2)}`, 135, yPos, { align: 'right' })
+        if (line.credit) doc.text(`$${line.credit.toFixed(2)}`, 160, yPos, { align: 'right' })
+        doc.text(`$${line.runningBalance.toFixed(2)}`, 190, yPos, { align: 'right' })
+        yPos += 5
+      })
+
+      doc.setFont('helvetica', 'bold')
+      doc.text('Closing balance', 45, yPos)
+      doc.text(`$${(member.accountBalance || 0).toFixed(2)}`, 190, yPos, { align: 'right' })
+      doc.setFont('helvetica', 'normal')
+      doc.setFontSize(11)
+      yPos += 10
+    })
+
+    ensureSpace(12)
+    doc.setFont('helvetica', 'bold')
+    doc.text(
+      netBalance < 0
+        ? `Combined balance owing: $${Math.abs(netBalance).toFixed(2)}`
+        : `Combined balance: $${netBalance.toFixed(2)} in credit`,
+      20, yPos
+    )
+    doc.setFont('helvetica', 'normal')
+
+    drawGroupPaymentFooter(doc, club, totalOwing, group.name)
+
+    doc.save(`Statement-${group.name.replace(/\s+/g, '-')}.pdf`)
+    return true
+  } catch (error) {
+    console.error('Error generating group statement:', error)
+    throw error
+  }
+}
+
+/**
+ * Generate a single payment reminder for a family, couple or corporate membership
+ * Addressed to the billing contact and listing what each member owes.
+ * @param {string} groupId - Member group ID
+ * @returns {Promise<boolean>} True if successful
+ */
+export const generateGroupPaymentReminder = async (groupId) => {
+  try {
+    const { group, members, displayName, firstName, addressLine } = await getGroupLetterDetails(groupId)
+    const { summariseGroupBalance } = await import('./memberGroupService')
+    const club = await getClubSettings()
+    const { totalOwing } = summariseGroupBalance(members)
+    const owingMembers = members.filter(m => m.accountBalance < 0)
+
+    const doc = new jsPDF()
+    let yPos = drawGroupLetterHeader(doc, club, displayName, addressLine)
+
+    doc.text(`Dear ${firstName},`, 20, yPos)
+    yPos += 10
+
+    const openingText = `We hope everyone in ${group.name} is enjoying their membership at ${club.clubName}. We are writing to advise that the following membership accounts have an outstanding balance, totalling $${totalOwing.toFixed(2)}:`
+    const openingLines = doc.splitTextToSize(openingText, 170)
+    doc.text(openingLines, 20, yPos)
+    yPos += openingLines.length * 5 + 6
+
+    owingMembers.forEach(member => {
+      if (yPos > 240) {
+        doc.addPage()
+        yPos = 25
+      }
+      doc.text(member.fullName, 30, yPos)
+      doc.text(`$${Math.abs(member.accountBalance).toFixed(2)}`, 150, yPos, { align: 'right' })
+      yPos += 6
+    })
+    doc.setFont('helvetica', 'bold')
+    doc.text('Total', 30, yPos)
+    doc.text(`$${totalOwing.toFixed(2)}`, 150, yPos, { align: 'right' })
+    doc.setFont('helvetica', 'normal')
+    yPos += 10
+
+    const paymentRequestText = `We kindly request that you arrange a single payment of $${totalOwing.toFixed(2)} at your earliest convenience using the bank details provided below. It will be split across each member's account.`
+    const paymentRequestLines = doc.splitTextToSize(paymentRequestText, 170)
+    doc.text(paymentRequestLines, 20, yPos)
+    yPos += paymentRequestLines.length * 5 + 8
+
+    const noticeLines = doc.splitTextToSize('If you have already made this payment, please accept our apologies and disregard this reminder.', 170)
+    doc.text(noticeLines, 20, yPos)
+    yPos += noticeLines.length * 5 + 8
+
+    const contactLines = doc.splitTextToSize('Should you have any questions about your accounts or wish to discuss payment arrangements, please do not hesitate to contact the treasurer:', 170)
+    doc.text(contactLines, 20, yPos)
+    yPos += contactLines.length * 5 + 5
+    doc.text(formatTreasurerContact(club), 20, yPos)
+    yPos += 12
+
+    doc.text('Yours sincerely,', 20, yPos)
+    yPos += 12
+    doc.text(club.treasurerName, 20, yPos)
+    yPos += 5
+    doc.text('Treasurer', 20, yPos)
+
+    drawGroupPaymentFooter(doc, club, totalOwing, group.name)
+
+    doc.save(`Payment-Reminder-${group.name.replace(/\s+/g, '-')}.pdf`)
+    return true
+  } catch (error) {
+    console.error('Error generating group payment reminder:', error)
+    throw error
+  }
+}
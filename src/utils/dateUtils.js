@@ -20,6 +20,18 @@ export const calculateAge = (dateOfBirth) => {
   return age
 }
 
+/**
+ * Calculate age on a given date (e.g. the start of a membership year)
+ * Compares the date strings directly so the result does not depend on timezone
+ * @param {string} dateOfBirth - Date in YYYY-MM-DD format
+ * @param {string} onDate - Date in YYYY-MM-DD format
+ * @returns {number} Age in years
+ */
+export const calculateAgeOn = (dateOfBirth, onDate) => {
+  const age = parseInt(onDate.slice(0, 4)) - parseInt(dateOfBirth.slice(0, 4))
+  return onDate.slice(5) < dateOfBirth.slice(5) ? age - 1 : age
+}
+
 /**
  * Format date string to locale format
  * @param {string} dateString - Date string
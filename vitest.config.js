@@ -7,5 +7,13 @@ export default defineConfig({
         environment: 'jsdom',
         globals: true,
         setupFiles: [],
+        // Placeholder Firebase config so modules that import src/firebase.js load
+        // without a .env - the tests never talk to Firebase
+        env: {
+            VITE_FIREBASE_API_KEY: 'test-api-key',
+            VITE_FIREBASE_AUTH_DOMAIN: 'test.firebaseapp.com',
+            VITE_FIREBASE_PROJECT_ID: 'test-project',
+            VITE_FIREBASE_APP_ID: 'test-app-id',
+        },
     },
 })